@@ -0,0 +1,101 @@
+// تحويل الصفوف إلى CSV يفتحه Excel بالعربية بشكل صحيح:
+// علامة BOM في البداية حتى يُقرأ الملف كـ UTF-8، وفواصل أسطر CRLF
+const BOM = '\uFEFF';
+
+// القيم التي تبدأ بهذه الرموز قد ينفذها Excel كصيغ، فنسبقها بعلامة اقتباس
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (FORMULA_PREFIX.test(text) && typeof value !== 'number') {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ key, label }] بترتيب الأعمدة في الملف
+const toCsv = (columns, rows) => {
+  const lines = [columns.map((column) => escapeCell(column.label)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCell(row[column.key])).join(','));
+  }
+  return BOM + lines.join('\r\n');
+};
+
+// ملفات CSV العربية التي يحفظها Excel بدون «UTF-8» تكون بترميز Windows-1256
+const decode = (buffer) => {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return buffer.subarray(3).toString('utf8');
+  }
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    return new TextDecoder('windows-1256').decode(buffer);
+  }
+};
+
+// Excel في الإعدادات الإقليمية العربية والفرنسية يفصل بفاصلة منقوطة
+const detectDelimiter = (text) => {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  const counts = [',', ';', '\t'].map((delimiter) => [delimiter, header.split(delimiter).length]);
+  return counts.reduce((best, current) => (current[1] > best[1] ? current : best))[0];
+};
+
+// عكس escapeCell: علامة الاقتباس قبل الصيغة تُزال عند القراءة
+const unescapeCell = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+// قراءة CSV (RFC 4180) إلى مصفوفة صفوف، كل صف مصفوفة نصوص. الأسطر الفارغة تُتجاهل
+const parseCsv = (buffer) => {
+  const text = decode(buffer);
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endCell = () => {
+    row.push(unescapeCell(cell));
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some((value) => value.trim() !== '')) {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+};
+
+module.exports = { toCsv, parseCsv };
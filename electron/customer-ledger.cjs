@@ -0,0 +1,96 @@
+// حساب الزبون: توزيع الدفعة على الفواتير الآجلة، كشف الحساب برصيده المتراكم، وأعمار الديون
+const { ValidationError } = require('./validation.cjs');
+const { roundMoney } = require('./payments.cjs');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// فترات أعمار الديون بالأيام منذ تاريخ الفاتورة
+const AGING_BUCKETS = [
+  { key: 'current', max: 30 },
+  { key: 'days_31_60', max: 60 },
+  { key: 'over_60', max: Infinity }
+];
+
+// تواريخ القاعدة (YYYY-MM-DD HH:MM:SS بتوقيت UTC) وتواريخ ISO تُقارن كأزمنة
+const toTime = (value) => {
+  if (value instanceof Date) return value.getTime();
+  const text = String(value);
+  return new Date(/^\d{4}-\d{2}-\d{2} /.test(text) ? `${text.replace(' ', 'T')}Z` : text).getTime();
+};
+
+/**
+ * توزيع مبلغ على الفواتير المفتوحة من الأقدم إلى الأحدث. كل فاتورة { id, remaining, created_at }.
+ * يرجع [{ invoice_id, amount, remaining }] حيث remaining ما بقي على الفاتورة بعد الدفعة
+ */
+const allocatePayment = (amount, invoices) => {
+  const open = invoices
+    .filter((invoice) => invoice.remaining > 0)
+    .sort((a, b) => toTime(a.created_at) - toTime(b.created_at) || a.id - b.id);
+  const debt = roundMoney(open.reduce((sum, invoice) => sum + invoice.remaining, 0));
+  if (debt <= 0) {
+    throw new ValidationError('لا توجد ديون مفتوحة على هذا الزبون');
+  }
+  if (amount > debt) {
+    throw new ValidationError(`المبلغ أكبر من مجموع ديون الزبون (${debt})`);
+  }
+
+  let left = roundMoney(amount);
+  const allocations = [];
+  for (const invoice of open) {
+    if (left <= 0) break;
+    const paid = Math.min(left, roundMoney(invoice.remaining));
+    left = roundMoney(left - paid);
+    allocations.push({ invoice_id: invoice.id, amount: paid, remaining: roundMoney(invoice.remaining - paid) });
+  }
+  return allocations;
+};
+
+// ترتيب الحركات في الوقت نفسه: الفاتورة قبل مرتجعاتها ودفعاتها
+const TYPE_ORDER = { invoice: 0, return: 1, void: 1, payment: 2 };
+
+/**
+ * كشف الحساب: الحركات { date, type, debit, credit, ... } مرتبة زمنياً مع الرصيد بعد كل حركة.
+ * ما قبل بداية الفترة يُجمع في الرصيد الافتتاحي، وما بعد نهايتها لا يظهر
+ */
+const buildStatement = (entries, { start = null, end = null } = {}) => {
+  const startTime = start ? toTime(start) : -Infinity;
+  const endTime = end ? toTime(end) : Infinity;
+  const sorted = [...entries].sort((a, b) => toTime(a.date) - toTime(b.date)
+    || TYPE_ORDER[a.type] - TYPE_ORDER[b.type]
+    || String(a.document_number).localeCompare(String(b.document_number)));
+
+  let balance = 0;
+  let openingBalance = 0;
+  let totalDebit = 0;
+  let totalCredit = 0;
+  const rows = [];
+  for (const entry of sorted) {
+    const time = toTime(entry.date);
+    if (time > endTime) break;
+    balance = roundMoney(balance + entry.debit - entry.credit);
+    if (time < startTime) {
+      openingBalance = balance;
+      continue;
+    }
+    totalDebit = roundMoney(totalDebit + entry.debit);
+    totalCredit = roundMoney(totalCredit + entry.credit);
+    rows.push({ ...entry, balance });
+  }
+  return { opening_balance: openingBalance, entries: rows, total_debit: totalDebit, total_credit: totalCredit, closing_balance: balance };
+};
+
+/**
+ * أعمار الديون: المتبقي من كل فاتورة { remaining, created_at } في فترة عمرها بالأيام يوم asOf
+ */
+const agingBuckets = (invoices, asOf = new Date()) => {
+  const totals = Object.fromEntries(AGING_BUCKETS.map((bucket) => [bucket.key, 0]));
+  for (const invoice of invoices) {
+    if (invoice.remaining <= 0) continue;
+    const age = Math.max(0, Math.floor((toTime(asOf) - toTime(invoice.created_at)) / DAY));
+    const bucket = AGING_BUCKETS.find((item) => age <= item.max);
+    totals[bucket.key] = roundMoney(totals[bucket.key] + invoice.remaining);
+  }
+  return { ...totals, total: roundMoney(AGING_BUCKETS.reduce((sum, bucket) => sum + totals[bucket.key], 0)) };
+};
+
+module.exports = { AGING_BUCKETS, allocatePayment, buildStatement, agingBuckets };
@@ -2,16 +2,72 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 const bcrypt = require('bcryptjs');
+const { MIGRATIONS, MigrationError } = require('./migrations.cjs');
+
+const allRows = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      console.error('Database query error:', err);
+      reject(err);
+    } else {
+      resolve(rows);
+    }
+  });
+});
+
+const getRow = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) {
+      console.error('Database get error:', err);
+      reject(err);
+    } else {
+      resolve(row);
+    }
+  });
+});
+
+const runStatement = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) {
+      console.error('Database run error:', err);
+      reject(err);
+    } else {
+      resolve({ lastInsertRowid: this.lastID, changes: this.changes });
+    }
+  });
+});
+
+// نسخة متسقة عبر VACUUM INTO بدل نسخ الملف أثناء الكتابة فيه. تُكتب النسخة في ملف مؤقت
+// ثم يُعاد تسميته، فلا يبقى ملف نصف مكتوب ولا تُستبدل نسخة سابقة بنفس الاسم قبل النجاح
+const vacuumInto = async (db, targetPath) => {
+  fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+  const partialPath = `${targetPath}.partial`;
+  fs.rmSync(partialPath, { force: true });
+  try {
+    await runStatement(db, 'VACUUM INTO ?', [partialPath]);
+    fs.renameSync(partialPath, targetPath);
+  } catch (error) {
+    fs.rmSync(partialPath, { force: true });
+    throw error;
+  }
+  return targetPath;
+};
+
+const transactionContext = (db) => ({
+  query: (sql, params = []) => allRows(db, sql, params),
+  get: (sql, params = []) => getRow(db, sql, params),
+  run: (sql, params = []) => runStatement(db, sql, params)
+});
 
 class DatabaseService {
   constructor() {
-      let dbPath;
-      const { app } = require('electron'); // يجب استيرادها هنا لتكون متاحة
-      if (process.env.NODE_ENV === 'development' || !app.isPackaged) {
-        dbPath = path.join(__dirname, '../data/gym.db');
-      } else {
-        dbPath = path.join(app.getPath('userData'), 'data', 'gym.db');
-      }
+      let dbPath;
+      const { app } = require('electron'); // يجب استيرادها هنا لتكون متاحة
+      if (process.env.NODE_ENV === 'development' || !app.isPackaged) {
+        dbPath = path.join(__dirname, '../data/gym.db');
+      } else {
+        dbPath = path.join(app.getPath('userData'), 'data', 'gym.db');
+      }
     
     // Ensure data directory exists
     const dataDir = path.dirname(dbPath);
@@ -21,250 +77,83 @@ class DatabaseService {
 
     console.log('Database path:', dbPath);
     
+    this.dbPath = dbPath;
     this.db = new sqlite3.Database(dbPath);
-    this.db.serialize(() => {
-    this.initializeTables();
-    this.seedInitialData();
+    this.transactionLock = Promise.resolve();
+
+    // كل الاستعلامات تنتظر انتهاء الترحيلات، وإذا فشل ترحيل تُرفض كلها بنفس الخطأ.
+    // الخطأ نفسه يُعرض في main.cjs عبر شاشة الخطأ
+    this.ready = this.migrate().then(() => this.seedInitialData());
+    this.ready.catch((error) => {
+      console.error('Database migration error:', error);
     });
   }
 
-  initializeTables() {
-    // Gyms table
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS gyms (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
+  // تطبيق الترحيلات التي لم تُطبق بعد على هذه القاعدة بالترتيب
+  async migrate() {
+    await runStatement(this.db, `
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
         name TEXT NOT NULL,
-        type TEXT CHECK(type IN ('male', 'female')) NOT NULL,
-        logo TEXT,
-        settings TEXT DEFAULT '{}',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
-    // Users table
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        username TEXT UNIQUE NOT NULL,
-        password_hash TEXT NOT NULL,
-        full_name TEXT NOT NULL,
-        role TEXT DEFAULT 'admin',
-        gym_id INTEGER,
-        is_active BOOLEAN DEFAULT 1,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (gym_id) REFERENCES gyms (id)
-      )
-    `);
-
-    // Categories table (shared)
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS categories (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        description TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Products table (shared inventory)
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS products (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        barcode TEXT UNIQUE,
-        name TEXT NOT NULL,
-        category_id INTEGER,
-        purchase_price DECIMAL(10,2) DEFAULT 0,
-        sale_price DECIMAL(10,2) DEFAULT 0,
-        male_gym_quantity INTEGER DEFAULT 0,
-        female_gym_quantity INTEGER DEFAULT 0,
-        image_path TEXT,
-        notes TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (category_id) REFERENCES categories (id)
-      )
-    `);
-
-    // Subscription types table
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS subscription_types (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        type TEXT CHECK(type IN ('monthly', 'session')) NOT NULL,
-        duration_months INTEGER,
-        session_count INTEGER,
-        price DECIMAL(10,2) NOT NULL,
-        gym_id INTEGER,
-        is_active BOOLEAN DEFAULT 1,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (gym_id) REFERENCES gyms (id)
-      )
-    `);
-
-    // Subscribers table
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS subscribers (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        full_name TEXT NOT NULL,
-        phone TEXT,
-        subscription_type_id INTEGER,
-        start_date DATE NOT NULL,
-        end_date DATE NOT NULL,
-        price_paid DECIMAL(10,2) NOT NULL,
-        remaining_sessions INTEGER,
-        status TEXT DEFAULT 'active',
-        gym_id INTEGER,
-        created_by INTEGER,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (subscription_type_id) REFERENCES subscription_types (id),
-        FOREIGN KEY (gym_id) REFERENCES gyms (id),
-        FOREIGN KEY (created_by) REFERENCES users (id)
-      )
-    `);
+    const row = await getRow(this.db, 'SELECT MAX(version) as version FROM schema_version');
+    const currentVersion = row.version || 0;
+    const latestVersion = MIGRATIONS[MIGRATIONS.length - 1].version;
+    if (currentVersion > latestVersion) {
+      throw new Error(`قاعدة البيانات (الإصدار ${currentVersion}) أحدث من هذا البرنامج (الإصدار ${latestVersion})، يرجى تحديث البرنامج`);
+    }
 
-    // Add created_by column if it doesn't exist
-    this.db.run(`
-      ALTER TABLE subscribers ADD COLUMN created_by INTEGER
-    `, (err) => {
-      if (err && !err.message.includes('duplicate column name')) {
-        console.error('Error adding created_by column to subscribers:', err);
-      }
-    });
+    const pending = MIGRATIONS.filter((migration) => migration.version > currentVersion);
+    if (pending.length === 0) {
+      return currentVersion;
+    }
 
-    // Invoices table (sales)
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS invoices (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        invoice_number TEXT UNIQUE NOT NULL,
-        customer_name TEXT,
-        customer_phone TEXT,
-        subtotal DECIMAL(10,2) NOT NULL,
-        discount DECIMAL(10,2) DEFAULT 0,
-        total DECIMAL(10,2) NOT NULL,
-        paid_amount DECIMAL(10,2) DEFAULT 0,
-        is_credit BOOLEAN DEFAULT 0,
-        is_single_session BOOLEAN DEFAULT 0,
-        gym_id INTEGER,
-        user_id INTEGER,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (gym_id) REFERENCES gyms (id),
-        FOREIGN KEY (user_id) REFERENCES users (id)
-      )
-    `);
+    const backupPath = await this.backupBeforeMigration(currentVersion);
+    const tx = transactionContext(this.db);
 
-    // Add profit column to invoices if it doesn't exist
-    this.db.run(`
-      ALTER TABLE invoices ADD COLUMN profit DECIMAL(10,2) DEFAULT 0
-    `, (err) => {
-      if (err && !err.message.includes('duplicate column name')) {
-        console.error('Error adding profit column to invoices:', err);
+    for (const migration of pending) {
+      await runStatement(this.db, 'BEGIN IMMEDIATE');
+      try {
+        await migration.up(tx);
+        await tx.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        await runStatement(this.db, 'COMMIT');
+        console.log(`✅ تم تطبيق ترحيل قاعدة البيانات رقم ${migration.version}: ${migration.name}`);
+      } catch (error) {
+        await runStatement(this.db, 'ROLLBACK').catch((rollbackError) => {
+          console.error('Migration rollback error:', rollbackError);
+        });
+        throw new MigrationError(migration, error, backupPath);
       }
-    });
-
-    // Invoice items table
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS invoice_items (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        invoice_id INTEGER,
-        product_id INTEGER,
-        quantity INTEGER NOT NULL,
-        unit_price DECIMAL(10,2) NOT NULL,
-        total_price DECIMAL(10,2) NOT NULL,
-        FOREIGN KEY (invoice_id) REFERENCES invoices (id) ON DELETE CASCADE,
-        FOREIGN KEY (product_id) REFERENCES products (id)
-      )
-    `);
-
-    // Purchases table (inventory purchases)
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS purchases (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        supplier_name TEXT,
-        total_amount DECIMAL(10,2) NOT NULL,
-        gym_id INTEGER,
-        user_id INTEGER,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (gym_id) REFERENCES gyms (id),
-        FOREIGN KEY (user_id) REFERENCES users (id)
-      )
-    `);
-
-    // Purchase items table
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS purchase_items (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        purchase_id INTEGER,
-        product_id INTEGER,
-        quantity INTEGER NOT NULL,
-        unit_cost DECIMAL(10,2) NOT NULL,
-        total_cost DECIMAL(10,2) NOT NULL,
-        FOREIGN KEY (purchase_id) REFERENCES purchases (id) ON DELETE CASCADE,
-        FOREIGN KEY (product_id) REFERENCES products (id)
-      )
-    `);
-
-    // Internal sales table (white list)
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS internal_sales (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        admin_name TEXT NOT NULL,
-        product_id INTEGER,
-        quantity INTEGER NOT NULL,
-        price_type TEXT CHECK(price_type IN ('purchase', 'manual')) NOT NULL,
-        unit_price DECIMAL(10,2) NOT NULL,
-        total_price DECIMAL(10,2) NOT NULL,
-        gym_id INTEGER,
-        user_id INTEGER,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (product_id) REFERENCES products (id),
-        FOREIGN KEY (gym_id) REFERENCES gyms (id),
-        FOREIGN KEY (user_id) REFERENCES users (id)
-      )
-    `);
+    }
 
-    // Add profit column to internal_sales if it doesn't exist
-    this.db.run(`
-      ALTER TABLE internal_sales ADD COLUMN profit DECIMAL(10,2) DEFAULT 0
-    `, (err) => {
-      if (err && !err.message.includes('duplicate column name')) {
-        console.error('Error adding profit column to internal_sales:', err);
-      }
-    });
+    return latestVersion;
+  }
 
-    // Create indexes for better performance
-    this.db.run(`CREATE INDEX IF NOT EXISTS idx_products_barcode ON products(barcode)`);
-    this.db.run(`CREATE INDEX IF NOT EXISTS idx_subscribers_gym_status ON subscribers(gym_id, status)`);
-    this.db.run(`CREATE INDEX IF NOT EXISTS idx_invoices_gym_date ON invoices(gym_id, created_at)`);
-    this.db.run(`CREATE INDEX IF NOT EXISTS idx_purchases_gym_date ON purchases(gym_id, created_at)`);
-    this.db.run(`CREATE INDEX IF NOT EXISTS idx_internal_sales_gym_date ON internal_sales(gym_id, created_at)`);
-    this.db.run(`CREATE INDEX IF NOT EXISTS idx_subscription_types_gym ON subscription_types(gym_id, is_active)`);
-    this.db.run(`CREATE INDEX IF NOT EXISTS idx_subscribers_end_date ON subscribers(end_date, status)`);
-
-    // Customers table
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS customers (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        phone TEXT NOT NULL,
-        email TEXT,
-        address TEXT,
-        gym_id INTEGER,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (gym_id) REFERENCES gyms (id)
-      )
+  // نسخة من الملف قبل تعديل المخطط، إلا إذا كانت القاعدة جديدة وفارغة
+  async backupBeforeMigration(currentVersion) {
+    const tables = await getRow(this.db, `
+      SELECT COUNT(*) as count
+      FROM sqlite_master
+      WHERE type = 'table' AND name NOT IN ('schema_version', 'sqlite_sequence')
     `);
+    if (tables.count === 0) {
+      return null;
+    }
 
-    // Add customer_id to invoices table if it doesn't exist
-    this.db.run(`
-      ALTER TABLE invoices ADD COLUMN customer_id INTEGER
-    `, (err) => {
-      if (err && !err.message.includes('duplicate column name')) {
-        console.error('Error adding customer_id column to invoices:', err);
-      }
-    });
+    const { app } = require('electron');
+    const backupDir = path.join(app.getPath('userData'), 'backups');
+    if (!fs.existsSync(backupDir)) {
+      fs.mkdirSync(backupDir, { recursive: true });
+    }
 
-    // Add foreign key index
-    this.db.run(`CREATE INDEX IF NOT EXISTS idx_invoices_customer ON invoices(customer_id)`);
-    this.db.run(`CREATE INDEX IF NOT EXISTS idx_customers_gym ON customers(gym_id)`);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(backupDir, `pre-migration-v${currentVersion}-${timestamp}.db`);
+    await vacuumInto(this.db, backupPath);
+    console.log(`Pre-migration backup created: ${backupPath}`);
+    return backupPath;
   }
 
 async seedInitialData() {
@@ -317,14 +206,14 @@ async seedInitialData() {
 
       // إنشاء حساب مدير نادي الرجال
       await runAsync(
-        `INSERT INTO users (username, password_hash, full_name, gym_id) VALUES (?, ?, ?, ?)`,
+        `INSERT INTO users (username, password_hash, full_name, role, gym_id) VALUES (?, ?, ?, 'owner', ?)`,
         ['admin_male', hashedPassword, 'مدير نادي الرجال', maleGymId]
       );
       console.log("✅ تم إنشاء مدير نادي الرجال");
 
       // إنشاء حساب مديرة نادي السيدات
       await runAsync(
-        `INSERT INTO users (username, password_hash, full_name, gym_id) VALUES (?, ?, ?, ?)`,
+        `INSERT INTO users (username, password_hash, full_name, role, gym_id) VALUES (?, ?, ?, 'owner', ?)`,
         ['admin_female', hashedPassword, 'مديرة نادي السيدات', femaleGymId]
       );
       console.log("✅ تم إنشاء مديرة نادي السيدات");
@@ -374,29 +263,49 @@ async seedInitialData() {
 
 
 
+  // ينتظر انتهاء الترحيلات ثم المعاملة الجارية وقت الاستدعاء
+  whenIdle() {
+    const lock = this.transactionLock;
+    return this.ready.then(() => lock);
+  }
+
   query(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.all(sql, params, (err, rows) => {
-        if (err) {
-          console.error('Database query error:', err);
-          reject(err);
-        } else {
-          resolve(rows);
-    }
-      });
-    });
+    return this.whenIdle().then(() => allRows(this.db, sql, params));
+  }
+
+  get(sql, params = []) {
+    return this.whenIdle().then(() => getRow(this.db, sql, params));
   }
 
   run(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, params, function(err) {
-        if (err) {
-          console.error('Database run error:', err);
-          reject(err);
-        } else {
-          resolve({ lastInsertRowid: this.lastID, changes: this.changes });
-    }
-      });
+    return this.whenIdle().then(() => runStatement(this.db, sql, params));
+  }
+
+  // تنفيذ work على الاتصال بعد انتهاء المعاملة الجارية، وكل ما يُطلب بعدها ينتظر انتهاءها
+  exclusive(work) {
+    const result = this.whenIdle().then(() => work(this.db));
+    this.transactionLock = result.catch(() => {});
+    return result;
+  }
+
+  // تنفيذ عدة عمليات كوحدة واحدة: إما أن تنجح كلها أو يتم التراجع عنها كلها.
+  // الدالة work تستقبل كائن tx يجب استخدامه لكل الاستعلامات داخل المعاملة،
+  // وباقي الاستعلامات تنتظر حتى انتهاء المعاملة الحالية
+  transaction(work) {
+    const tx = transactionContext(this.db);
+
+    return this.exclusive(async () => {
+      await runStatement(this.db, 'BEGIN IMMEDIATE');
+      try {
+        const value = await work(tx);
+        await runStatement(this.db, 'COMMIT');
+        return value;
+      } catch (error) {
+        await runStatement(this.db, 'ROLLBACK').catch((rollbackError) => {
+          console.error('Transaction rollback error:', rollbackError);
+        });
+        throw error;
+      }
     });
   }
 
@@ -407,95 +316,47 @@ close() {
     }
   }
 
-  // وظيفة النسخ الاحتياطي لقاعدة البيانات
+  // نسخة احتياطية متسقة من القاعدة المفتوحة (لا تبدأ أثناء معاملة جارية).
+  // التحقق من النسخة وتسجيل بياناتها يتم في BackupService
   backup(backupPath) {
-    return new Promise((resolve, reject) => {
-      const fs = require('fs');
-      const path = require('path');
-      
-      // تأكد من وجود المجلد
-      const backupDir = path.dirname(backupPath);
-      if (!fs.existsSync(backupDir)) {
-        fs.mkdirSync(backupDir, { recursive: true });
-      }
-      
-      try {
-        // الحصول على مسار قاعدة البيانات الحالية
-        let currentDbPath;
-        const { app } = require('electron');
-        
-        if (process.env.NODE_ENV === 'development' || !app.isPackaged) {
-          currentDbPath = path.join(__dirname, '../data/gym.db');
-        } else {
-          currentDbPath = path.join(app.getPath('userData'), 'data', 'gym.db');
-        }
-        
-        // نسخ الملف مباشرة
-        fs.copyFileSync(currentDbPath, backupPath);
-        
-        console.log(`Backup created successfully: ${backupPath}`);
-        resolve(backupPath);
-      } catch (error) {
-        console.error('Backup error:', error);
-        reject(error);
-      }
+    return this.exclusive((db) => vacuumInto(db, backupPath)).then((result) => {
+      console.log(`Backup created successfully: ${result}`);
+      return result;
     });
   }
 
-  // وظيفة استعادة قاعدة البيانات من نسخة احتياطية
-  restore(backupPath) {
-    return new Promise((resolve, reject) => {
-      const fs = require('fs');
-      const path = require('path');
-      
-      if (!fs.existsSync(backupPath)) {
-        reject(new Error('ملف النسخة الاحتياطية غير موجود'));
-        return;
-      }
-      
+  // استبدال القاعدة الحالية بملف آخر (بعد التحقق منه في BackupService) ثم إعادة فتح الاتصال
+  // وتطبيق الترحيلات الناقصة عليه، دون إعادة تشغيل البرنامج
+  restore(sourcePath) {
+    return this.exclusive(async () => {
+      await new Promise((resolve, reject) => this.db.close((err) => (err ? reject(err) : resolve())));
       try {
-        // الحصول على مسار قاعدة البيانات الحالية
-        let dbPath;
-        const { app } = require('electron');
-        
-        if (process.env.NODE_ENV === 'development' || !app.isPackaged) {
-          dbPath = path.join(__dirname, '../data/gym.db');
-        } else {
-          dbPath = path.join(app.getPath('userData'), 'data', 'gym.db');
-        }
-        
-        // إغلاق الاتصال الحالي مؤقتاً
-        if (this.db) {
-          this.db.close();
+        for (const suffix of ['-wal', '-shm', '-journal']) {
+          fs.rmSync(`${this.dbPath}${suffix}`, { force: true });
         }
-        
-        // نسخ ملف النسخة الاحتياطية إلى مسار قاعدة البيانات
-        fs.copyFileSync(backupPath, dbPath);
-        
-        // إعادة فتح الاتصال بقاعدة البيانات
-        this.db = new sqlite3.Database(dbPath);
-        
-        console.log(`Database restored successfully from: ${backupPath}`);
-        resolve(true);
-      } catch (error) {
-        console.error('Restore error:', error);
-        reject(error);
+        fs.copyFileSync(sourcePath, this.dbPath);
+      } finally {
+        this.db = new sqlite3.Database(this.dbPath);
       }
+      await this.migrate();
+      await this.seedInitialData();
+      console.log(`Database restored successfully from: ${sourcePath}`);
+      return true;
     });
   }
 
-  // وظيفة لإصلاح قاعدة البيانات
-  repair() {
-    return new Promise((resolve, reject) => {
-      try {
-        // تشغيل عمليات الإصلاح والتحسين
-        this.db.run('VACUUM');
-        this.db.run('PRAGMA integrity_check');
-        this.db.run('PRAGMA optimize');
-        resolve(true);
-      } catch (error) {
-        reject(error);
-      }
+  // إعادة بناء الملف (VACUUM) لاستعادة المساحة ثم تحديث إحصائيات الاستعلامات.
+  // فحص السلامة والإصلاحات في HealthService
+  optimize() {
+    return this.exclusive(async (db) => {
+      const pageSize = async () => {
+        const [count, size] = await Promise.all([getRow(db, 'PRAGMA page_count'), getRow(db, 'PRAGMA page_size')]);
+        return count.page_count * size.page_size;
+      };
+      const sizeBefore = await pageSize();
+      await runStatement(db, 'VACUUM');
+      await allRows(db, 'PRAGMA optimize');
+      return { size_before: sizeBefore, size_after: await pageSize() };
     });
   }
 }
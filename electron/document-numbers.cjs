@@ -0,0 +1,104 @@
+// ترقيم المستندات المتسلسل لكل صالة ونوع مستند: بادئة ثم السنة اختيارياً ثم رقم بعدد خانات ثابت
+// مثل M-2026-000123. التسلسل نفسه يُحجز في قاعدة البيانات (services/document-numbers.cjs)
+const { ensureObject, requireBoolean, ValidationError } = require('./validation.cjs');
+
+// نوع المستند: جدوله وعمود الرقم واسمه في الإعدادات، والبادئة تُضاف إلى رمز الصالة
+const DOCUMENT_TYPES = {
+  sale: { table: 'invoices', column: 'invoice_number', label: 'فواتير البيع', suffix: '' },
+  return: { table: 'sales_returns', column: 'return_number', label: 'المرتجعات', suffix: 'RET' },
+  purchase: { table: 'purchases', column: 'purchase_number', label: 'المشتريات', suffix: 'PUR' },
+  internal_sale: { table: 'internal_sales', column: 'internal_sale_number', label: 'القائمة البيضاء', suffix: 'INT' },
+  receipt: { table: 'customer_payments', column: 'receipt_number', label: 'سندات القبض', suffix: 'RCP' }
+};
+
+const PREFIX_PATTERN = /^[A-Z0-9]+(-[A-Z0-9]+)*$/;
+const MAX_PREFIX_LENGTH = 12;
+const MIN_DIGITS = 3;
+const MAX_DIGITS = 9;
+
+// رمز الصالة M للرجال وF للنساء، ويُضاف رقمها إذا سبقتها صالة أخرى من نفس النوع
+const gymCode = (gym, gyms) => {
+  const letter = gym.type === 'female' ? 'F' : 'M';
+  const shared = gyms.some((other) => other.type === gym.type && other.id < gym.id);
+  return shared ? `${letter}${gym.id}` : letter;
+};
+
+const defaultScheme = (gym, gyms, type) => {
+  const code = gymCode(gym, gyms);
+  const { suffix } = DOCUMENT_TYPES[type];
+  return {
+    prefix: suffix ? `${code}-${suffix}` : code,
+    include_year: true,
+    reset_yearly: true,
+    digits: 6
+  };
+};
+
+// مخطط الترقيم المحفوظ في إعدادات الصالة (settings.numbering) فوق المخطط الافتراضي
+const resolveSchemes = (gym, gyms, numbering = {}) => Object.fromEntries(
+  Object.keys(DOCUMENT_TYPES).map((type) => [type, { ...defaultScheme(gym, gyms, type), ...(numbering[type] || {}) }])
+);
+
+const validateScheme = (payload, type) => {
+  ensureObject(payload);
+  const { label } = DOCUMENT_TYPES[type];
+  const prefix = String(payload.prefix ?? '').trim().toUpperCase();
+  if (!prefix || prefix.length > MAX_PREFIX_LENGTH || !PREFIX_PATTERN.test(prefix)) {
+    throw new ValidationError(`بادئة ${label} غير صالحة (حروف لاتينية وأرقام وشرطات، حتى ${MAX_PREFIX_LENGTH} حرفاً)`);
+  }
+  const digits = Number(payload.digits);
+  if (!Number.isInteger(digits) || digits < MIN_DIGITS || digits > MAX_DIGITS) {
+    throw new ValidationError(`عدد خانات ${label} يجب أن يكون بين ${MIN_DIGITS} و ${MAX_DIGITS}`);
+  }
+  const includeYear = requireBoolean(payload.include_year);
+  const resetYearly = requireBoolean(payload.reset_yearly);
+  // بدون السنة في الرقم يتكرر نفس الرقم كل سنة بعد التصفير
+  if (resetYearly && !includeYear) {
+    throw new ValidationError(`التصفير السنوي يتطلب إظهار السنة في الرقم (${label})`);
+  }
+  return { prefix, include_year: includeYear, reset_yearly: resetYearly, digits };
+};
+
+/**
+ * فحص مخططات صالة كاملة. otherSchemes: مخططات باقي الصالات، لأن أرقام كل نوع فريدة في جدوله
+ * فلا تتشارك صالتان نفس البادئة
+ */
+const validateNumbering = (payload, otherSchemes = []) => {
+  ensureObject(payload);
+  const numbering = {};
+  for (const type of Object.keys(DOCUMENT_TYPES)) {
+    const scheme = validateScheme(payload[type], type);
+    if (otherSchemes.some((schemes) => schemes[type].prefix === scheme.prefix)) {
+      throw new ValidationError(`البادئة ${scheme.prefix} مستخدمة في صالة أخرى (${DOCUMENT_TYPES[type].label})`);
+    }
+    numbering[type] = scheme;
+  }
+  return numbering;
+};
+
+// سنة التسلسل: 0 عندما لا يُصفّر سنوياً
+const sequenceYear = (scheme, year) => (scheme.reset_yearly ? year : 0);
+
+const formatDocumentNumber = (scheme, year, number) => [
+  scheme.prefix,
+  scheme.include_year ? String(year) : null,
+  String(number).padStart(scheme.digits, '0')
+].filter(Boolean).join('-');
+
+// سنة المستند بالتوقيت المحلي. تواريخ القاعدة (YYYY-MM-DD HH:MM:SS) بتوقيت UTC
+const documentYear = (value = new Date()) => {
+  if (value instanceof Date) return value.getFullYear();
+  const text = String(value);
+  return new Date(/^\d{4}-\d{2}-\d{2} /.test(text) ? `${text.replace(' ', 'T')}Z` : text).getFullYear();
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  gymCode,
+  defaultScheme,
+  resolveSchemes,
+  validateNumbering,
+  sequenceYear,
+  formatDocumentNumber,
+  documentYear
+};
@@ -0,0 +1,270 @@
+const { ipcMain } = require('electron');
+const { DatabaseService } = require('./database.cjs');
+const { SessionService } = require('./sessions.cjs');
+const { hasPermission, resolveGym } = require('./permissions.cjs');
+const { CategoryService } = require('./services/categories.cjs');
+const { GymService } = require('./services/gyms.cjs');
+const { ProductService } = require('./services/products.cjs');
+const { StockMovementService } = require('./services/stock-movements.cjs');
+const { StockTransferService } = require('./services/stock-transfers.cjs');
+const { SubscriptionTypeService } = require('./services/subscription-types.cjs');
+const { SubscriberService } = require('./services/subscribers.cjs');
+const { SalesService } = require('./services/sales.cjs');
+const { PurchaseService } = require('./services/purchases.cjs');
+const { InternalSaleService } = require('./services/internal-sales.cjs');
+const { CustomerService } = require('./services/customers.cjs');
+const { UserService } = require('./services/users.cjs');
+const { DashboardService } = require('./services/dashboard.cjs');
+const { PaymentService } = require('./services/payments.cjs');
+const { AuditLogService } = require('./services/audit-log.cjs');
+const { DiagnosticsService } = require('./services/diagnostics.cjs');
+const { HealthService } = require('./services/health.cjs');
+const { ImportService } = require('./services/imports.cjs');
+const { ReceiptService } = require('./services/receipts.cjs');
+const { DocumentNumberService } = require('./services/document-numbers.cjs');
+
+// كل قناة ترجع { data } عند النجاح أو { error } عند الفشل،
+// والواجهة (preload) تحول { error } إلى استثناء
+const respond = async (channel, work) => {
+  try {
+    return { data: await work() };
+  } catch (error) {
+    console.error(`IPC ${channel} error:`, error);
+    DiagnosticsService.recordError(channel, error);
+    return { error: error.message };
+  }
+};
+
+// وصف تسجيل العملية في سجل العمليات: نوعها والجدول وموضع رقم السجل في وسائط القناة.
+// عند الإنشاء (idArg = null) يؤخذ الرقم من نتيجة العملية
+const audit = (action, table = null, idArg = null) => ({ action, table, idArg });
+
+// لقطة قبل العملية وبعدها. العملية تكون قد حُفظت عند التسجيل، لذلك فشل التسجيل
+// لا يُرجع خطأ للواجهة حتى لا يعيد المستخدم عملية تمت فعلاً
+const runAudited = async (actor, spec, fn, args) => {
+  const targetId = spec.idArg === null ? null : args[spec.idArg];
+  const before = spec.table && targetId ? await AuditLogService.snapshot(spec.table, targetId) : null;
+  const result = await fn(actor, ...args);
+
+  try {
+    const entityId = targetId || (result && result.id) || null;
+    const after = spec.table && entityId ? await AuditLogService.snapshot(spec.table, entityId) : null;
+    await AuditLogService.record(actor, { action: spec.action, entityType: spec.table, entityId, before, after });
+  } catch (error) {
+    console.error(`Audit log error (${spec.action}):`, error);
+  }
+  return result;
+};
+
+// نطاق الفرع للقنوات التي وسيطها الأول رقم الفرع: يُربط بفرع المستخدم في جلسته ولا يُؤخذ من الواجهة
+// كما هو، والمالك وحده يختار فرعاً آخر. OWN_GYM لقرارات الفرع نفسه (إرسال تحويل واعتماده أو رفضه أو إلغاؤه)
+// فلا تُتخذ إلا من فرع المستخدم حتى للمالك
+const GYM = { ownGymOnly: false };
+const OWN_GYM = { ownGymOnly: true };
+
+// القنوات التي وسيطها الأول رقم سجل: فروع السجل تُقرأ من القاعدة وتُفحص مثل رقم الفرع في GYM، فلا يعدل
+// مستخدم فرع سجلات الفرع الآخر أو يحذفها برقمها. المنتجات مشتركة بين الفرعين فتُنسب إلى كل فرع له فيها
+// حركة مخزون. السجل غير الموجود تتركه للخدمة ترفضه برسالتها
+const ROW_GYMS = {
+  subscription_types: 'SELECT gym_id FROM subscription_types WHERE id = ?',
+  subscribers: 'SELECT gym_id FROM subscribers WHERE id = ?',
+  customers: 'SELECT gym_id FROM customers WHERE id = ?',
+  customer_payments: 'SELECT gym_id FROM customer_payments WHERE id = ?',
+  invoices: 'SELECT gym_id FROM invoices WHERE id = ?',
+  purchases: 'SELECT gym_id FROM purchases WHERE id = ?',
+  products: 'SELECT DISTINCT gym_id FROM stock_movements WHERE product_id = ?'
+};
+const rowGym = (table) => ({ table });
+
+const requireRowGym = async (actor, table, id) => {
+  const rows = await DatabaseService.query(ROW_GYMS[table], [id]);
+  rows.forEach((row) => resolveGym(actor, row.gym_id));
+};
+
+// قنوات المجالات تتطلب مستخدماً مسجلاً في هذه النافذة، والصلاحية (إن وُجدت) تُفحص هنا
+// وليس في الواجهة فقط. الدالة تستقبل المستخدم الحالي بدل كائن الحدث
+const handle = (channel, fn, permission = null, auditSpec = null, gymScope = null) => {
+  ipcMain.handle(channel, (event, ...args) => respond(channel, async () => {
+    const actor = await SessionService.requireUser(event.sender, permission);
+    if (gymScope && gymScope.table) {
+      await requireRowGym(actor, gymScope.table, args[0]);
+    } else if (gymScope) {
+      args[0] = resolveGym(actor, args[0], gymScope);
+    }
+    return auditSpec ? runAudited(actor, auditSpec, fn, args) : fn(actor, ...args);
+  }));
+};
+
+// إخفاء الربح عمن لا يملك صلاحية عرضه
+const withoutProfit = (actor, rows) => (
+  hasPermission(actor, 'view_profit') ? rows : rows.map(({ profit, ...row }) => row)
+);
+
+const priceOptions = (actor) => ({ canEditPrices: hasPermission(actor, 'edit_prices') });
+
+const registerDomainHandlers = () => {
+  // الجلسة
+  ipcMain.handle('auth:current', (event) => respond('auth:current', () => SessionService.current(event.sender)));
+  ipcMain.handle('auth:logout', (event) => respond('auth:logout', () => SessionService.logout(event.sender)));
+  ipcMain.handle('auth:touch', (event) => respond('auth:touch', () => SessionService.touch(event.sender)));
+  ipcMain.handle('auth:lock', (event) => respond('auth:lock', () => SessionService.lock(event.sender)));
+  ipcMain.handle('auth:unlock', (event, secret) => respond('auth:unlock', () => SessionService.unlock(event.sender, secret)));
+
+  // الفئات
+  handle('categories:list', () => CategoryService.list());
+  handle('categories:create', (actor, payload) => CategoryService.create(payload), 'manage_stock', audit('create', 'categories'));
+  handle('categories:update', (actor, id, payload) => CategoryService.update(id, payload), 'manage_stock', audit('update', 'categories', 0));
+  handle('categories:remove', (actor, id) => CategoryService.remove(id), 'manage_stock', audit('delete', 'categories', 0));
+
+  // المنتجات
+  handle('products:list', () => ProductService.list());
+  handle('products:list-in-stock', (actor, gymId) => ProductService.listInStock(gymId), null, null, GYM);
+  handle('products:low-stock', (actor, gymId) => ProductService.lowStock(gymId), null, null, GYM);
+  handle('products:create', (actor, gymId, payload) => (
+    ProductService.create(gymId, actor.id, payload, priceOptions(actor))
+  ), 'manage_stock', audit('create', 'products'), GYM);
+  handle('products:update', (actor, gymId, id, payload) => (
+    ProductService.update(gymId, actor.id, id, payload, priceOptions(actor))
+  ), 'manage_stock', audit('update', 'products', 1), GYM);
+  handle('products:remove', (actor, id) => ProductService.remove(id), 'manage_stock', audit('delete', 'products', 0), rowGym('products'));
+  handle('products:preview-import', (actor, gymId, data) => ImportService.preview('products', gymId, data), 'manage_stock', null, GYM);
+  handle('products:import', (actor, gymId, data) => (
+    ImportService.commit('products', gymId, actor.id, data, priceOptions(actor))
+  ), 'manage_stock', audit('import', 'products'), GYM);
+
+  // حركات المخزون
+  handle('stock:history', (actor, productId) => StockMovementService.history(productId));
+  handle('stock:reconcile', () => StockMovementService.reconcile());
+
+  // تحويلات المخزون بين الفروع
+  handle('stock-transfers:list', (actor, gymId) => StockTransferService.list(gymId), null, null, GYM);
+  handle('stock-transfers:get-items', (actor, transferId) => StockTransferService.getItems(transferId));
+  handle('stock-transfers:create', (actor, gymId, payload) => StockTransferService.create(gymId, actor.id, payload), 'manage_stock', audit('create', 'stock_transfers'), OWN_GYM);
+  handle('stock-transfers:approve', (actor, gymId, id) => StockTransferService.approve(gymId, actor.id, id), 'manage_stock', audit('approve', 'stock_transfers', 1), OWN_GYM);
+  handle('stock-transfers:reject', (actor, gymId, id, reason) => StockTransferService.reject(gymId, actor.id, id, reason), 'manage_stock', audit('reject', 'stock_transfers', 1), OWN_GYM);
+  handle('stock-transfers:cancel', (actor, gymId, id) => StockTransferService.cancel(gymId, actor.id, id), 'manage_stock', audit('cancel', 'stock_transfers', 1), OWN_GYM);
+
+  // أنواع الاشتراكات (تحدد أسعار الاشتراكات)
+  handle('subscription-types:list', (actor, gymId, options) => SubscriptionTypeService.list(gymId, options), null, null, GYM);
+  handle('subscription-types:create', (actor, gymId, payload) => SubscriptionTypeService.create(gymId, payload), 'edit_prices', audit('create', 'subscription_types'), GYM);
+  handle('subscription-types:update', (actor, id, payload) => SubscriptionTypeService.update(id, payload), 'edit_prices', audit('update', 'subscription_types', 0), rowGym('subscription_types'));
+  handle('subscription-types:set-active', (actor, id, isActive) => SubscriptionTypeService.setActive(id, isActive), 'edit_prices', audit('set_active', 'subscription_types', 0), rowGym('subscription_types'));
+  handle('subscription-types:remove', (actor, id) => SubscriptionTypeService.remove(id), 'edit_prices', audit('delete', 'subscription_types', 0), rowGym('subscription_types'));
+
+  // المشتركين: التسجيل والتعديل والتجديد لمن يبيع، والحذف لمن يحذف الفواتير. المدرب يعرض ويسجل الجلسات فقط
+  handle('subscribers:list', (actor, gymId) => SubscriberService.list(gymId), null, null, GYM);
+  handle('subscribers:expiring', (actor, gymId) => SubscriberService.expiring(gymId), null, null, GYM);
+  handle('subscribers:create', (actor, gymId, payload) => SubscriberService.create(gymId, actor.id, payload), 'sell', audit('create', 'subscribers'), GYM);
+  handle('subscribers:update', (actor, id, payload) => SubscriberService.update(id, payload), 'sell', audit('update', 'subscribers', 0), rowGym('subscribers'));
+  handle('subscribers:remove', (actor, id) => SubscriberService.remove(id), 'delete_invoices', audit('delete', 'subscribers', 0), rowGym('subscribers'));
+  handle('subscribers:use-session', (actor, id) => SubscriberService.useSession(id), null, audit('use_session', 'subscribers', 0), rowGym('subscribers'));
+  handle('subscribers:renew', (actor, id, payload) => SubscriberService.renew(id, actor.id, payload), 'sell', audit('renew', 'subscribers', 0), rowGym('subscribers'));
+  handle('subscribers:preview-import', (actor, gymId, data) => ImportService.preview('subscribers', gymId, data), 'sell', null, GYM);
+  handle('subscribers:import', (actor, gymId, data) => ImportService.commit('subscribers', gymId, actor.id, data), 'sell', audit('import', 'subscribers'), GYM);
+
+  // المبيعات
+  handle('sales:list-invoices', async (actor, gymId) => withoutProfit(actor, await SalesService.listInvoices(gymId)), null, null, GYM);
+  handle('sales:get-invoice-items', (actor, invoiceId) => SalesService.getInvoiceItems(invoiceId), null, null, rowGym('invoices'));
+  handle('sales:create-invoice', async (actor, gymId, payload) => {
+    const invoice = await SalesService.createInvoice(gymId, actor.id, payload, priceOptions(actor));
+    return withoutProfit(actor, [invoice])[0];
+  }, 'sell', audit('create', 'invoices'), GYM);
+  handle('sales:list-payments', (actor, invoiceId) => PaymentService.listForInvoice(invoiceId), null, null, rowGym('invoices'));
+  handle('sales:list-returns', async (actor, invoiceId) => withoutProfit(actor, await SalesService.listReturns(invoiceId)), null, null, rowGym('invoices'));
+  handle('sales:create-return', async (actor, gymId, invoiceId, payload) => {
+    const salesReturn = await SalesService.createReturn(gymId, actor.id, invoiceId, payload, {
+      canReturnAll: hasPermission(actor, 'delete_invoices')
+    });
+    return withoutProfit(actor, [salesReturn])[0];
+  }, 'sell', audit('return', 'invoices', 1), GYM);
+  handle('sales:void-invoice', async (actor, gymId, invoiceId, reason, refundMethod) => {
+    const salesReturn = await SalesService.voidInvoice(gymId, actor.id, invoiceId, reason, refundMethod);
+    return withoutProfit(actor, [salesReturn])[0];
+  }, 'delete_invoices', audit('void', 'invoices', 1), GYM);
+
+  // المشتريات
+  handle('purchases:list', (actor, gymId) => PurchaseService.list(gymId), null, null, GYM);
+  handle('purchases:get-items', (actor, purchaseId) => PurchaseService.getItems(purchaseId), null, null, rowGym('purchases'));
+  handle('purchases:create', (actor, gymId, payload) => PurchaseService.create(gymId, actor.id, payload), 'manage_stock', audit('create', 'purchases'), GYM);
+
+  // المبيعات الداخلية
+  handle('internal-sales:list', async (actor, gymId) => withoutProfit(actor, await InternalSaleService.list(gymId)), null, null, GYM);
+  handle('internal-sales:create', async (actor, gymId, payload) => {
+    const sale = await InternalSaleService.create(gymId, actor.id, payload, priceOptions(actor));
+    return withoutProfit(actor, [sale])[0];
+  }, 'sell', audit('create', 'internal_sales'), GYM);
+
+  // الزبائن والديون: الإضافة والتعديل لمن يبيع، والحذف لمن يحذف الفواتير
+  handle('customers:list', (actor, gymId) => CustomerService.list(gymId), null, null, GYM);
+  handle('customers:list-basic', (actor, gymId) => CustomerService.listBasic(gymId), null, null, GYM);
+  handle('customers:top-debtors', (actor, gymId) => CustomerService.topDebtors(gymId), null, null, GYM);
+  handle('customers:create', (actor, gymId, payload) => CustomerService.create(gymId, payload), 'sell', audit('create', 'customers'), GYM);
+  handle('customers:update', (actor, id, payload) => CustomerService.update(id, payload), 'sell', audit('update', 'customers', 0), rowGym('customers'));
+  handle('customers:remove', (actor, id) => CustomerService.remove(id), 'delete_invoices', audit('delete', 'customers', 0), rowGym('customers'));
+  handle('customers:preview-import', (actor, gymId, data) => ImportService.preview('customers', gymId, data), 'sell', null, GYM);
+  handle('customers:import', (actor, gymId, data) => ImportService.commit('customers', gymId, actor.id, data), 'sell', audit('import', 'customers'), GYM);
+  handle('customers:debts', (actor, customerId) => CustomerService.debts(customerId), null, null, rowGym('customers'));
+  handle('customers:pay-debt', (actor, invoiceId, amount, payment) => CustomerService.payDebt(invoiceId, amount, actor.id, payment), 'sell', audit('pay_debt', 'invoices', 0), rowGym('invoices'));
+  handle('customers:settle-debt', (actor, invoiceId, payment) => CustomerService.settleDebt(invoiceId, actor.id, payment), 'sell', audit('settle_debt', 'invoices', 0), rowGym('invoices'));
+  handle('customers:receive-payment', (actor, customerId, payload) => CustomerService.receivePayment(customerId, actor.id, payload), 'sell', audit('receive_payment', 'customer_payments'), rowGym('customers'));
+  handle('customers:receipt', (actor, receiptId) => CustomerService.receipt(receiptId), null, null, rowGym('customer_payments'));
+  handle('customers:list-receipts', (actor, customerId) => CustomerService.listReceipts(customerId), null, null, rowGym('customers'));
+  handle('customers:statement', (actor, customerId, range) => CustomerService.statement(customerId, range), null, null, rowGym('customers'));
+  handle('customers:aging', (actor, gymId) => CustomerService.aging(gymId), null, null, GYM);
+
+  // المستخدمين
+  handle('users:list', () => UserService.list(), 'manage_users');
+  handle('users:create', (actor, payload) => UserService.create(payload), 'manage_users', audit('create', 'users'));
+  handle('users:update', (actor, id, payload) => UserService.update(id, payload), 'manage_users', audit('update', 'users', 0));
+  handle('users:remove', (actor, id) => UserService.remove(id, actor.id), 'manage_users', audit('delete', 'users', 0));
+  handle('users:set-active', (actor, id, isActive) => UserService.setActive(id, isActive, actor.id), 'manage_users', audit('set_active', 'users', 0));
+
+  // الصالات والإعدادات
+  handle('gyms:list', () => GymService.list());
+  handle('gyms:get', (actor, id) => GymService.get(id), null, null, GYM);
+  // الإعدادات تشمل مدة القفل التلقائي، فلا يغيرها إلا من يدير المستخدمين
+  handle('gyms:update-settings', (actor, id, payload) => GymService.updateSettings(id, payload), 'manage_users', audit('update', 'gyms', 0), GYM);
+  handle('numbering:list', (actor, gymId) => DocumentNumberService.list(gymId), null, null, GYM);
+  handle('numbering:save', (actor, gymId, payload) => DocumentNumberService.save(gymId, payload), 'manage_users', audit('update_numbering', 'gyms', 0), GYM);
+
+  // طابعة الإيصالات (إعدادات هذا الجهاز) والطباعة وإعادة الطباعة من سجل الفواتير
+  handle('receipts:config', () => ReceiptService.config());
+  handle('receipts:set-config', (actor, payload) => ReceiptService.setConfig(payload), 'manage_users', audit('receipt_printer'));
+  handle('receipts:printers', () => ReceiptService.listPrinters(), 'manage_users');
+  handle('receipts:print', (actor, invoiceId, options) => ReceiptService.printInvoice(invoiceId, options), null, null, rowGym('invoices'));
+  handle('receipts:preview', (actor, invoiceId, options) => ReceiptService.previewInvoice(invoiceId, options), null, null, rowGym('invoices'));
+  handle('receipts:print-test', (actor, gymId) => ReceiptService.printTest(gymId), 'manage_users', null, GYM);
+  handle('receipts:preview-test', (actor, gymId) => ReceiptService.previewTest(gymId), 'manage_users', null, GYM);
+
+  // لوحة التحكم
+  handle('dashboard:stats', async (actor, gymId, range) => {
+    const stats = await DashboardService.stats(gymId, range);
+    if (!hasPermission(actor, 'view_profit')) {
+      stats.salesProfit = null;
+      stats.internalSalesProfit = null;
+    }
+    return stats;
+  }, null, null, GYM);
+  // تقرير نهاية اليوم: المقبوض حسب طريقة الدفع والمصدر
+  handle('dashboard:payments-report', (actor, gymId, range) => PaymentService.report(gymId, range), null, null, GYM);
+
+  // سجل العمليات (قراءة فقط، لا توجد قناة لتعديله أو حذفه)
+  handle('audit:list', (actor, filters) => AuditLogService.list(filters), 'view_audit_log');
+  handle('audit:filter-options', () => AuditLogService.filterOptions(), 'view_audit_log');
+  handle('audit:export-csv', (actor, filters) => AuditLogService.exportCsv(filters), 'view_audit_log');
+
+  // التشخيص (للمالك فقط)
+  handle('diagnostics:summary', () => DiagnosticsService.summary(), 'run_diagnostics');
+  handle('diagnostics:reset-password', async (actor, userId, password) => {
+    const result = await UserService.resetPassword(userId, password);
+    SessionService.endUserSessions(result.id);
+    return result;
+  }, 'run_diagnostics', audit('reset_password', 'users', 0));
+
+  // الصيانة
+  handle('maintenance:health-check', () => HealthService.check(), 'run_diagnostics');
+  handle('maintenance:repair', (actor, code) => HealthService.fix(code, actor.id), 'run_diagnostics', audit('database_repair'));
+  handle('maintenance:optimize', () => DatabaseService.optimize(), 'run_diagnostics', audit('database_optimize'));
+};
+
+module.exports = { registerDomainHandlers, handle, audit };
@@ -1,14 +1,40 @@
-const { app, BrowserWindow, Menu, ipcMain, dialog, shell, globalShortcut } = require('electron');
+const { app, BrowserWindow, Menu, ipcMain, dialog, shell, globalShortcut, Notification, powerMonitor } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const bcrypt = require('bcryptjs');
 const { DatabaseService } = require('./database.cjs');
-const { google } = require('googleapis');
+const { registerDomainHandlers, handle, audit } = require('./ipc-handlers.cjs');
+const { SessionService } = require('./sessions.cjs');
+const { DiagnosticsService } = require('./services/diagnostics.cjs');
+const { BackupService } = require('./services/backups.cjs');
+const { GoogleDriveService } = require('./services/google-drive.cjs');
+const { DestinationService } = require('./services/destinations.cjs');
+const { PeriodService, archiveDirectory } = require('./services/periods.cjs');
+const { PERIOD_ARCHIVE_EXTENSION } = require('./services/period-archive.cjs');
+const { FREQUENCIES, DEFAULT_SCHEDULE, cronPattern, isMissed } = require('./services/backup-schedule.cjs');
+const { GymService, parseSettings } = require('./services/gyms.cjs');
+const { ImportService, IMPORT_EXTENSIONS } = require('./services/imports.cjs');
+const { ExportService } = require('./services/exports.cjs');
+const { BranchTransferService } = require('./services/branch-transfer.cjs');
+const { BRANCH_DATA_EXTENSION } = require('./services/branch-data.cjs');
 const cron = require('node-cron');
 
+// إذا فات موعد النسخ والجهاز مطفأ تُنشأ النسخة بعد التشغيل بقليل
+const CATCH_UP_DELAY_MS = 30 * 1000;
+// النسخة عند الإغلاق لا تنتظر الوجهات البطيئة أكثر من هذا
+const EXIT_SEND_TIMEOUT_MS = 2 * 60 * 1000;
+
 let mainWindow;
 let isDev;
 let backupSchedule = null;
+let scheduledBackupRun = null;
+let exitBackupDone = false;
+
+// الأخطاء غير المعالجة تظهر في صفحة التشخيص (المراقبة لا تغير السلوك الافتراضي)
+process.on('uncaughtExceptionMonitor', (error) => DiagnosticsService.recordError('main', error));
+process.on('unhandledRejection', (reason) => {
+  console.error('Unhandled rejection:', reason);
+  DiagnosticsService.recordError('main', reason);
+});
 
 // تأكد من وجود مجلد البيانات
 const ensureDataDirectory = () => {
@@ -28,114 +54,172 @@ const ensureDataDirectory = () => {
 };
 
 // تأكد من وجود مجلد النسخ الاحتياطية
-const ensureBackupDirectory = () => {
-  const backupDir = path.join(app.getPath('userData'), 'backups');
-  if (!fs.existsSync(backupDir)) {
-    fs.mkdirSync(backupDir, { recursive: true });
+const ensureBackupDirectory = () => BackupService.ensureDirectory();
+
+// إرسال النسخة إلى الوجهات المفعلة. الفشل يُسجل في التشخيص ولا يُفشل النسخة المحلية السليمة
+const sendToDestinations = async (backup, options = {}) => {
+  const results = await DestinationService.send(backup, options);
+  for (const result of results.filter((item) => item.status === 'failed')) {
+    DiagnosticsService.recordError(`destination:${result.destination}`, new Error(result.error));
   }
-  return backupDir;
+  return results;
 };
 
-// إعداد Google Drive API
-const setupGoogleDrive = (credentials) => {
-  try {
-    const auth = new google.auth.OAuth2(
-      credentials.client_id,
-      credentials.client_secret,
-      credentials.redirect_uri
-    );
-    
-    if (credentials.refresh_token) {
-      auth.setCredentials({
-        refresh_token: credentials.refresh_token
-      });
-    }
-    
-    return google.drive({ version: 'v3', auth });
-  } catch (error) {
-    console.error('Error setting up Google Drive:', error);
-    return null;
-  }
+const destinationsSummary = (results) => results
+  .map((result) => `${result.destination}: ${result.status === 'uploaded' ? 'تم الإرسال' : `فشل - ${result.error}`}`)
+  .join('\n');
+
+const previewTableLabels = {
+  gyms: 'الصالات',
+  users: 'المستخدمين',
+  products: 'المنتجات',
+  subscribers: 'المشتركين',
+  invoices: 'الفواتير',
+  purchases: 'المشتريات',
+  internal_sales: 'القائمة البيضاء',
+  customers: 'الزبائن'
 };
 
-// رفع ملف إلى Google Drive
-const uploadToGoogleDrive = async (filePath, fileName, drive) => {
-  try {
-    const fileMetadata = {
-      name: fileName,
-      parents: ['1234567890'] // يمكن تخصيص مجلد معين
-    };
-    
-    const media = {
-      mimeType: 'application/octet-stream',
-      body: fs.createReadStream(filePath)
-    };
-    
-    const response = await drive.files.create({
-      resource: fileMetadata,
-      media: media,
-      fields: 'id'
-    });
-    
-    return response.data.id;
-  } catch (error) {
-    console.error('Error uploading to Google Drive:', error);
-    throw error;
+// ملفات النسخ: قاعدة SQLite عادية أو أرشيف مشفر
+const backupFileFilters = [
+  { name: 'النسخ الاحتياطية', extensions: ['db', 'gymbak'] },
+  { name: 'جميع الملفات', extensions: ['*'] }
+];
+
+// ملخص نصي لمعاينة الاستعادة: عدد السجلات في الملف مقابل البيانات الحالية
+const previewSummary = (preview) => preview.tables
+  .map(({ name, candidate, current }) => (
+    `${previewTableLabels[name] || name}: ${candidate ? candidate.rows : '-'} (الحالي: ${current ? current.rows : '-'})`
+  ))
+  .join('\n');
+
+const withTimeout = (promise, ms, fallback) => {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(fallback), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// نسخة مجدولة (auto) أو عند الإغلاق (exit) ثم إرسالها إلى وجهات الجدول.
+// إذا كانت نسخة مجدولة قيد التنفيذ يُنتظر انتهاؤها بدل بدء أخرى
+const runScheduledBackup = (trigger, { sendTimeoutMs = null } = {}) => {
+  if (scheduledBackupRun) {
+    return scheduledBackupRun;
   }
+  scheduledBackupRun = (async () => {
+    try {
+      console.log(`Starting ${trigger} backup...`);
+      const backupDir = ensureBackupDirectory();
+      const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
+      const backupPath = path.join(backupDir, `gym-${trigger}-backup-${timestamp}.db`);
+      
+      // النسخة التي تفشل في التحقق لا تُرسل
+      const backup = await BackupService.create(backupPath, { trigger });
+      const sending = sendToDestinations(backup, { destinationIds: BackupService.schedule().destination_ids });
+      const results = sendTimeoutMs ? await withTimeout(sending, sendTimeoutMs, []) : await sending;
+      const failed = results.filter((result) => result.status === 'failed');
+      if (failed.length > 0 && Notification.isSupported()) {
+        new Notification({
+          title: 'تعذر إرسال النسخة الاحتياطية',
+          body: destinationsSummary(failed)
+        }).show();
+      }
+      
+      console.log(`${trigger} backup completed successfully`);
+    } catch (error) {
+      console.error(`${trigger} backup failed:`, error);
+      DiagnosticsService.recordError('auto-backup', error);
+      if (Notification.isSupported()) {
+        new Notification({ title: 'فشل النسخ الاحتياطي التلقائي', body: error.message }).show();
+      }
+    } finally {
+      scheduledBackupRun = null;
+    }
+  })();
+  return scheduledBackupRun;
 };
 
-// جدولة النسخ الاحتياطي التلقائي
-const scheduleAutoBackup = (schedule, driveCredentials = null) => {
+// جدولة النسخ الاحتياطي التلقائي حسب الجدول المحفوظ
+const scheduleAutoBackup = (schedule) => {
   if (backupSchedule) {
     backupSchedule.stop();
     backupSchedule = null;
   }
   
-  if (schedule && schedule !== 'manual') {
-    let cronPattern;
-    switch (schedule) {
-      case 'daily':
-        cronPattern = '0 2 * * *'; // كل يوم في الساعة 2 صباحاً
-        break;
-      case 'weekly':
-        cronPattern = '0 2 * * 0'; // كل أحد في الساعة 2 صباحاً
-        break;
-      case 'monthly':
-        cronPattern = '0 2 1 * *'; // أول كل شهر في الساعة 2 صباحاً
-        break;
-      default:
-        return;
-    }
-    
-    backupSchedule = cron.schedule(cronPattern, async () => {
-      try {
-        console.log('Starting automatic backup...');
-        const backupDir = ensureBackupDirectory();
-        const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
-        const backupPath = path.join(backupDir, `gym-auto-backup-${timestamp}.db`);
-        
-        await DatabaseService.backup(backupPath);
-        
-        // رفع إلى Google Drive إذا كان متاحاً
-        if (driveCredentials) {
-          const drive = setupGoogleDrive(driveCredentials);
-          if (drive) {
-            await uploadToGoogleDrive(backupPath, `gym-auto-backup-${timestamp}.db`, drive);
-            console.log('Backup uploaded to Google Drive successfully');
-          }
-        }
-        
-        console.log('Automatic backup completed successfully');
-      } catch (error) {
-        console.error('Automatic backup failed:', error);
-      }
-    });
-    
+  const pattern = cronPattern(schedule);
+  if (pattern) {
+    backupSchedule = cron.schedule(pattern, () => runScheduledBackup('auto'));
     backupSchedule.start();
-    console.log(`Automatic backup scheduled: ${schedule}`);
+    console.log(`Automatic backup scheduled: ${schedule.frequency} ${schedule.time}`);
+  }
+};
+
+// تعويض موعد فات والجهاز مطفأ أو في وضع السكون
+const catchUpAutoBackup = () => {
+  const last = BackupService.lastSuccess();
+  if (isMissed(BackupService.schedule(), last && last.created_at)) {
+    console.log('Scheduled backup was missed, running it now');
+    runScheduledBackup('auto');
+  }
+};
+
+// الإصدارات السابقة كانت تحفظ تكرار النسخ في إعدادات الصالة دون أن تطبقه، فيُعتمد مرة واحدة
+const adoptLegacySchedule = async () => {
+  const gyms = await DatabaseService.query('SELECT settings FROM gyms ORDER BY id');
+  const frequency = gyms
+    .map((gym) => parseSettings(gym.settings).backup_frequency)
+    .find((value) => FREQUENCIES.includes(value));
+  BackupService.setSchedule({ ...DEFAULT_SCHEDULE, frequency: frequency || DEFAULT_SCHEDULE.frequency });
+};
+
+const startAutoBackup = async () => {
+  try {
+    await DatabaseService.ready;
+    if (!BackupService.hasSchedule()) {
+      await adoptLegacySchedule();
+    }
+    scheduleAutoBackup(BackupService.schedule());
+    setTimeout(catchUpAutoBackup, CATCH_UP_DELAY_MS);
+    powerMonitor.on('resume', catchUpAutoBackup);
+  } catch (error) {
+    console.error('Auto backup startup failed:', error);
+    DiagnosticsService.recordError('auto-backup', error);
   }
 };
 
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// شاشة تظهر بدل الواجهة عندما يفشل ترحيل قاعدة البيانات عند التشغيل
+const migrationErrorPage = (error) => {
+  const details = [];
+  if (error.version) {
+    details.push(`<p><strong>الترحيل:</strong> رقم ${error.version} - ${escapeHtml(error.migrationName)}</p>`);
+  }
+  details.push(error.backupPath
+    ? `<p><strong>نسخة احتياطية قبل الترحيل:</strong> <code>${escapeHtml(error.backupPath)}</code></p>`
+    : '<p>لم يتم تعديل أي بيانات سابقة.</p>');
+
+  return `<!DOCTYPE html>
+<html lang="ar" dir="rtl">
+<head><meta charset="utf-8"><title>خطأ في قاعدة البيانات</title></head>
+<body style="font-family: Tahoma, Arial, sans-serif; background: #f8f9fa; color: #1f2937; padding: 48px;">
+  <div style="max-width: 720px; margin: 0 auto; background: #fff; border: 1px solid #fecaca; border-radius: 12px; padding: 32px;">
+    <h1 style="color: #b91c1c; margin-top: 0;">تعذر تحديث قاعدة البيانات</h1>
+    <p>فشل تحديث بنية قاعدة البيانات عند تشغيل البرنامج، وتم التراجع عن التغيير الذي فشل. لن يعمل البرنامج حتى تتم معالجة المشكلة.</p>
+    ${details.join('\n    ')}
+    <p><strong>تفاصيل الخطأ:</strong></p>
+    <pre style="background: #f3f4f6; padding: 12px; border-radius: 8px; white-space: pre-wrap; direction: ltr; text-align: left;">${escapeHtml(error.cause ? error.cause.message : error.message)}</pre>
+    <p>يرجى إغلاق البرنامج والتواصل مع الدعم الفني مع إرفاق هذه المعلومات.</p>
+  </div>
+</body>
+</html>`;
+};
+
 // إعداد قاعدة البيانات للتطبيق المثبت
 const setupDatabase = () => {
   if (app.isPackaged) {
@@ -183,7 +267,13 @@ function createWindow() {
     ? 'http://localhost:5173' 
     : `file://${path.join(__dirname, '../dist/index.html')}`;
 
-  mainWindow.loadURL(startUrl);
+  // لا نفتح الواجهة قبل اكتمال ترحيلات قاعدة البيانات
+  DatabaseService.ready
+    .then(() => mainWindow.loadURL(startUrl))
+    .catch((error) => {
+      console.error('Database startup failed:', error);
+      mainWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(migrationErrorPage(error))}`);
+    });
 
   mainWindow.once('ready-to-show', () => {
     mainWindow.show();
@@ -280,13 +370,16 @@ function createWindow() {
               const date = new Date().toISOString().replace(/[:.]/g, '-');
               const backupPath = path.join(backupDir, `gym-backup-${date}.db`);
               
-              const result = await DatabaseService.backup(backupPath);
+              const backup = await BackupService.create(backupPath, { trigger: 'manual' });
+              const results = await sendToDestinations(backup);
               
               dialog.showMessageBox(mainWindow, {
-                type: 'info',
+                type: results.some((result) => result.status === 'failed') ? 'warning' : 'info',
                 title: 'نسخ احتياطي',
-                message: 'تم إنشاء نسخة احتياطية بنجاح',
-                detail: `تم حفظ النسخة الاحتياطية في: ${backupPath}`,
+                message: 'تم إنشاء نسخة احتياطية بنجاح والتحقق من سلامتها',
+                detail: [`تم حفظ النسخة الاحتياطية في: ${backup.path}`, `SHA-256: ${backup.sha256}`, destinationsSummary(results)]
+                  .filter(Boolean)
+                  .join('\n'),
                 buttons: ['موافق']
               });
             } catch (error) {
@@ -299,30 +392,42 @@ function createWindow() {
           label: 'استعادة من نسخة احتياطية',
           click: async () => {
             try {
+              await SessionService.requireUser(mainWindow.webContents, 'restore_backups');
               const backupDir = ensureBackupDirectory();
               
               const { filePaths } = await dialog.showOpenDialog(mainWindow, {
                 title: 'اختر ملف النسخة الاحتياطية',
                 defaultPath: backupDir,
-                filters: [{ name: 'قاعدة بيانات SQLite', extensions: ['db'] }],
+                filters: backupFileFilters,
                 properties: ['openFile']
               });
               
               if (filePaths && filePaths.length > 0) {
-                await DatabaseService.restore(filePaths[0]);
-                
-                dialog.showMessageBox(mainWindow, {
-                  type: 'info',
+                const preview = await BackupService.preview({ path: filePaths[0] });
+                if (preview.passphrase_required) {
+                  dialog.showErrorBox('نسخة مشفرة', 'هذه النسخة مشفرة بكلمة مرور، يرجى استعادتها من الإعدادات > النسخ الاحتياطي حتى تُطلب كلمة المرور.');
+                  return;
+                }
+                if (!preview.valid) {
+                  dialog.showErrorBox('لا يمكن استعادة هذا الملف', preview.errors.join('\n'));
+                  return;
+                }
+
+                const { response } = await dialog.showMessageBox(mainWindow, {
+                  type: 'question',
                   title: 'استعادة النسخة الاحتياطية',
-                  message: 'تم استعادة النسخة الاحتياطية بنجاح',
-                  detail: 'يرجى إعادة تشغيل التطبيق لتطبيق التغييرات',
-                  buttons: ['إعادة تشغيل الآن', 'لاحقاً'],
-                }).then(({ response }) => {
-                  if (response === 0) {
-                    app.relaunch();
-                    app.exit();
-                  }
+                  message: `استبدال البيانات الحالية بمحتوى ${preview.file}؟`,
+                  detail: `${previewSummary(preview)}\n\nستُحفظ نسخة من البيانات الحالية قبل الاستعادة ويمكن التراجع من الإعدادات.`,
+                  buttons: ['استعادة', 'إلغاء'],
+                  defaultId: 1,
+                  cancelId: 1
                 });
+                if (response !== 0) {
+                  return;
+                }
+
+                await BackupService.restore({ path: filePaths[0] });
+                mainWindow.webContents.reload();
               }
             } catch (error) {
               console.error('Restore error:', error);
@@ -417,7 +522,10 @@ function createWindow() {
   });
 }
 
-app.whenReady().then(createWindow);
+app.whenReady().then(() => {
+  createWindow();
+  startAutoBackup();
+});
 
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
@@ -431,49 +539,184 @@ app.on('activate', () => {
   }
 });
 
-// IPC handlers for database operations
-ipcMain.handle('database-query', async (event, query, params) => {
-  try {
-    const result = await DatabaseService.query(query, params);
-    return result;
-  } catch (error) {
-    console.error('Database query error:', error);
-    return { error: error.message };
+// IPC handlers for domain operations (see ipc-handlers.cjs)
+registerDomainHandlers();
+
+// سجل النسخ الاحتياطية: العرض لأي مستخدم مسجل، وما يحذف النسخ أو يستعيدها أو يخرجها لمن يملك الاستعادة
+handle('backups:list', () => BackupService.list());
+handle('backups:set-retention', (actor, payload) => BackupService.setRetention(payload), 'restore_backups', audit('backup_retention'));
+handle('backups:remove', (actor, id) => BackupService.remove(id), 'restore_backups', audit('delete_backup', null, 0));
+handle('backups:export', async (actor, id) => {
+  const backup = BackupService.get(id);
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'تصدير النسخة الاحتياطية',
+    defaultPath: backup.file,
+    filters: [backup.encrypted
+      ? { name: 'نسخة احتياطية مشفرة', extensions: ['gymbak'] }
+      : { name: 'قاعدة بيانات SQLite', extensions: ['db'] }]
+  });
+  if (result.canceled || !result.filePath) {
+    return { canceled: true };
+  }
+  return BackupService.export(backup.id, result.filePath);
+}, 'restore_backups');
+// الاستعادة: اختيار ملف ثم معاينته ثم الاستبدال، والواجهة تعيد تحميل نفسها بعدها
+handle('backups:choose-file', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'اختر ملف النسخة الاحتياطية',
+    defaultPath: ensureBackupDirectory(),
+    filters: backupFileFilters,
+    properties: ['openFile']
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { canceled: true };
+  }
+  return { path: result.filePaths[0] };
+}, 'restore_backups');
+handle('backups:preview', (actor, source) => BackupService.preview(source), 'restore_backups');
+handle('backups:restore', (actor, source) => BackupService.restore(source), 'restore_backups', audit('restore_backup'));
+handle('backups:undo-restore', () => BackupService.undoRestore(), 'restore_backups', audit('undo_restore'));
+handle('backups:last-restore', () => BackupService.lastRestore, 'restore_backups');
+// تشفير النسخ بكلمة مرور: يشمل النسخ اليدوية والمجدولة والمحفوظة في مسار مخصص
+handle('backups:encryption-status', () => BackupService.encryptionStatus(), 'restore_backups');
+handle('backups:set-encryption', (actor, payload) => BackupService.setEncryption(payload), 'restore_backups', audit('backup_encryption'));
+handle('backups:send', (actor, id) => DestinationService.sendBackup(id), 'restore_backups', audit('send_backup', null, 0));
+// جدول النسخ التلقائي وآخر نسخة سليمة: الحالة لأي مستخدم مسجل والتعديل لمن يملك الاستعادة
+handle('backups:status', () => BackupService.status());
+handle('backups:set-schedule', (actor, payload) => {
+  scheduleAutoBackup(BackupService.setSchedule(payload));
+  return BackupService.status();
+}, 'restore_backups', audit('backup_schedule'));
+
+// وجهات النسخ: مجلد أو قرص خارجي أو مجلد شبكة أو WebDAV أو S3 أو Google Drive
+handle('destinations:list', () => DestinationService.list(), 'restore_backups');
+handle('destinations:save', (actor, payload) => DestinationService.save(payload), 'restore_backups', audit('backup_destination'));
+handle('destinations:remove', (actor, id) => DestinationService.remove(id), 'restore_backups', audit('delete_backup_destination', null, 0));
+handle('destinations:test', (actor, payload) => DestinationService.test(payload), 'restore_backups');
+handle('destinations:choose-folder', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'اختر مجلد النسخ الاحتياطية',
+    properties: ['openDirectory', 'createDirectory']
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { canceled: true };
   }
+  return { path: result.filePaths[0] };
+}, 'restore_backups');
+
+// Google Drive: الحالة لأي مستخدم مسجل، والربط والمجلد والتنزيل لمن يملك الاستعادة
+handle('drive:status', () => GoogleDriveService.status());
+handle('drive:set-client', (actor, payload) => GoogleDriveService.setClient(payload), 'restore_backups', audit('drive_client'));
+handle('drive:connect', () => GoogleDriveService.connect(), 'restore_backups', audit('drive_connect'));
+handle('drive:disconnect', () => GoogleDriveService.disconnect(), 'restore_backups', audit('drive_disconnect'));
+handle('drive:list-folders', () => GoogleDriveService.listFolders(), 'restore_backups');
+handle('drive:create-folder', (actor, name) => GoogleDriveService.createFolder(name), 'restore_backups', audit('drive_folder'));
+handle('drive:select-folder', (actor, folder) => GoogleDriveService.selectFolder(folder), 'restore_backups', audit('drive_folder'));
+handle('drive:list-backups', () => GoogleDriveService.listBackups(), 'restore_backups');
+handle('drive:download', (actor, fileId) => GoogleDriveService.downloadBackup(fileId), 'restore_backups');
+
+// إقفال الفترات المالية وعرض أرشيفها (للقراءة فقط)
+handle('periods:list', () => PeriodService.list(), 'clear_data');
+handle('periods:preview', (actor, periodEnd) => PeriodService.preview(periodEnd), 'clear_data');
+handle('periods:close', (actor, payload) => PeriodService.close(actor.id, payload), 'clear_data', audit('close_period', 'closed_periods'));
+handle('periods:view', (actor, id) => PeriodService.viewArchive(id), 'clear_data');
+handle('periods:open-file', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'فتح أرشيف فترة مقفلة',
+    defaultPath: archiveDirectory(),
+    filters: [{ name: 'أرشيف فترة', extensions: [PERIOD_ARCHIVE_EXTENSION.slice(1)] }],
+    properties: ['openFile']
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { canceled: true };
+  }
+  return { canceled: false, archive: await PeriodService.readArchiveFile(result.filePaths[0]) };
+}, 'clear_data');
+
+// الاستيراد من CSV و Excel: اختيار الملف وقراءته هنا، والمعاينة والحفظ في قنوات كل قائمة
+handle('imports:open-file', async (actor, entity) => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'اختر ملف الاستيراد',
+    filters: [{ name: 'CSV أو Excel', extensions: IMPORT_EXTENSIONS }],
+    properties: ['openFile']
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { canceled: true };
+  }
+  return { canceled: false, ...ImportService.readFile(entity, result.filePaths[0]) };
 });
 
-ipcMain.handle('database-run', async (event, query, params) => {
-  try {
-    const result = await DatabaseService.run(query, params);
-    return result;
-  } catch (error) {
-    console.error('Database run error:', error);
-    return { error: error.message };
+// تصدير القوائم بعد الفلترة إلى CSV أو Excel
+handle('exports:save', async (actor, format, payload) => {
+  const file = ExportService.build(format, payload);
+  const date = new Date().toISOString().split('T')[0];
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'تصدير القائمة',
+    defaultPath: `${file.title}-${date}.${file.extension}`,
+    filters: [{ name: file.name, extensions: [file.extension] }]
+  });
+  if (result.canceled || !result.filePath) {
+    return { canceled: true };
   }
+  fs.writeFileSync(result.filePath, file.data);
+  return { canceled: false, path: result.filePath };
 });
 
+// نقل بيانات فرع بين الأجهزة: تصدير صالة أو كل الصالات إلى ملف، ثم معاينة الدمج واستيراده على الجهاز الآخر
+const branchDataFilters = [{ name: 'بيانات فرع', extensions: [BRANCH_DATA_EXTENSION.slice(1), 'json'] }];
+handle('transfers:export', async (actor, gymId) => {
+  const gym = gymId === null ? null : await GymService.get(gymId);
+  const date = new Date().toISOString().split('T')[0];
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'تصدير بيانات الفرع',
+    defaultPath: `gym-data-${gym ? gym.name : 'all'}-${date}${BRANCH_DATA_EXTENSION}`,
+    filters: branchDataFilters
+  });
+  if (result.canceled || !result.filePath) {
+    return { canceled: true };
+  }
+  return { canceled: false, ...await BranchTransferService.exportToFile(result.filePath, gym ? gym.id : null) };
+}, 'restore_backups', audit('export_branch_data'));
+handle('transfers:choose-file', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'اختر ملف بيانات الفرع',
+    filters: branchDataFilters,
+    properties: ['openFile']
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { canceled: true };
+  }
+  return { canceled: false, path: result.filePaths[0] };
+}, 'restore_backups');
+handle('transfers:preview', (actor, filePath, targets) => BranchTransferService.preview(filePath, targets), 'restore_backups');
+handle('transfers:import', (actor, filePath, targets) => BranchTransferService.importFile(filePath, targets), 'restore_backups', audit('import_branch_data'));
+
 // IPC handlers for database management
-ipcMain.handle('backup-database', async () => {
+ipcMain.handle('backup-database', async (event) => {
   try {
+    await SessionService.requireUser(event.sender);
     const backupDir = ensureBackupDirectory();
     const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
     const backupPath = path.join(backupDir, `gym-backup-${timestamp}.db`);
     
-    const result = await DatabaseService.backup(backupPath);
-    return { success: true, path: result };
+    const backup = await BackupService.create(backupPath, { trigger: 'manual' });
+    const destinations = await sendToDestinations(backup);
+    return { success: true, path: backup.path, backup, destinations };
   } catch (error) {
     console.error('Database backup error:', error);
+    DiagnosticsService.recordError('backup-database', error);
     return { error: error.message };
   }
 });
 
-ipcMain.handle('restore-database', async () => {
+// الواجهة القديمة: نفس الاستعادة المتحقق منها (مع لقطة قبلها) لكن دون معاينة
+ipcMain.handle('restore-database', async (event) => {
   try {
-    const backupDir = ensureBackupDirectory();
+    await SessionService.requireUser(event.sender, 'restore_backups');
     const result = await dialog.showOpenDialog({
       title: 'استعادة قاعدة البيانات',
-      defaultPath: backupDir,
-      filters: [{ name: 'ملفات قاعدة البيانات', extensions: ['db'] }],
+      defaultPath: ensureBackupDirectory(),
+      filters: backupFileFilters,
       properties: ['openFile']
     });
     
@@ -481,19 +724,19 @@ ipcMain.handle('restore-database', async () => {
       return { canceled: true };
     }
     
-    const backupPath = result.filePaths[0];
-    await DatabaseService.restore(backupPath);
-    
-    return { success: true, needRestart: true };
+    await BackupService.restore({ path: result.filePaths[0] });
+    return { success: true, needRestart: false };
   } catch (error) {
     console.error('Database restore error:', error);
     return { error: error.message };
   }
 });
 
-ipcMain.handle('repair-database', async () => {
+// الواجهة القديمة: تحسين القاعدة فقط، والفحص والإصلاحات عبر maintenance:health-check
+ipcMain.handle('repair-database', async (event) => {
   try {
-    await DatabaseService.repair();
+    await SessionService.requireUser(event.sender);
+    await DatabaseService.optimize();
     return { success: true };
   } catch (error) {
     console.error('Database repair error:', error);
@@ -501,28 +744,10 @@ ipcMain.handle('repair-database', async () => {
   }
 });
 
-// Login handler
+// Login handler: الجلسة تُحفظ في العملية الرئيسية وترتبط بالنافذة التي سجلت الدخول
 ipcMain.handle('login', async (event, username, password) => {
   try {
-    // الاستعلام في سطر واحد لتجنب مشاكل الأحرف المخفية
-    const query = 'SELECT u.*, g.name as gym_name, g.type as gym_type FROM users u JOIN gyms g ON u.gym_id = g.id WHERE u.username = ? AND u.is_active = 1';
-    const users = await DatabaseService.query(query, [username]);
-
-    if (users.length === 0) {
-      return { success: false, message: 'اسم المستخدم أو كلمة المرور غير صحيحة.' };
-    }
-
-    const userData = users[0];
-    const isValidPassword = await bcrypt.compare(password, userData.password_hash);
-    
-    if (!isValidPassword) {
-      return { success: false, message: 'اسم المستخدم أو كلمة المرور غير صحيحة.' };
-    }
-
-    // إزالة الهاش من البيانات قبل إرسالها إلى الواجهة
-    delete userData.password_hash;
-    
-    return { success: true, user: userData };
+    return await SessionService.login(event.sender, username, password);
   } catch (error) {
     console.error('Login error:', error);
     return { success: false, message: 'حدث خطأ أثناء تسجيل الدخول.' };
@@ -597,153 +822,29 @@ ipcMain.handle('app-version', () => {
   return app.getVersion();
 });
 
-// Debug handler to check database content
-ipcMain.handle('debug-users', async () => {
-  try {
-    const users = await DatabaseService.query('SELECT * FROM users');
-    const gyms = await DatabaseService.query('SELECT * FROM gyms');
-    return { users, gyms };
-  } catch (error) {
-    console.error('Debug error:', error);
-    return { error: error.message };
-  }
-});
-
-// Debug handler to check password hashes
-ipcMain.handle('debug-passwords', async () => {
-  try {
-    const users = await DatabaseService.query('SELECT username, password_hash FROM users');
-    return { users };
-  } catch (error) {
-    console.error('Debug passwords error:', error);
-    return { error: error.message };
-  }
-});
-
-// Debug handler to test login directly
-ipcMain.handle('debug-login', async (event, username, password) => {
-  try {
-    console.log('Testing login for:', username, password);
-    
-    const query = 'SELECT u.*, g.name as gym_name, g.type as gym_type FROM users u JOIN gyms g ON u.gym_id = g.id WHERE u.username = ? AND u.is_active = 1';
-    const users = await DatabaseService.query(query, [username]);
-    console.log('Found users:', users);
-
-    if (users.length === 0) {
-      return { success: false, message: 'User not found' };
-    }
-
-    const userData = users[0];
-    console.log('User data:', userData);
-    
-    const isValidPassword = await bcrypt.compare(password, userData.password_hash);
-    console.log('Password valid:', isValidPassword);
-    
-    if (!isValidPassword) {
-      return { success: false, message: 'Invalid password' };
-    }
-
-    const userSession = {
-      id: userData.id,
-      username: userData.username,
-      full_name: userData.full_name,
-      role: userData.role,
-      gym_id: userData.gym_id,
-      gym_name: userData.gym_name,
-      gym_type: userData.gym_type
-    };
-
-    return { success: true, user: userSession };
-  } catch (error) {
-    console.error('Debug login error:', error);
-    return { success: false, message: 'Login failed', error: error.message };
-  }
-});
-
 // User management handlers
-ipcMain.handle('create-user', async (event, userData) => {
-  try {
-    // تأكد من تشفير كلمة المرور بشكل صحيح
-    const saltRounds = 12; // زيادة قوة التشفير
-    const hashedPassword = await bcrypt.hash(userData.password, saltRounds);
-    
-    console.log('Creating user with hashed password:', {
-      username: userData.username,
-      hashedLength: hashedPassword.length
-    });
-    
-    const result = await DatabaseService.run(`
-      INSERT INTO users (username, password_hash, full_name, role, gym_id, is_active)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `, [
-      userData.username,
-      hashedPassword,
-      userData.full_name,
-      userData.role,
-      userData.gym_id,
-      userData.is_active
-    ]);
-    
-    return { success: true, result };
-  } catch (error) {
-    console.error('Create user error:', error);
-    return { success: false, message: 'Failed to create user', error: error.message };
-  }
-});
-
-ipcMain.handle('update-user', async (event, userId, userData) => {
-  try {
-    let result;
-    if (userData.password) {
-      // Update with new password
-      const saltRounds = 12;
-      const hashedPassword = await bcrypt.hash(userData.password, saltRounds);
-      
-      result = await DatabaseService.run(`
-        UPDATE users
-        SET username = ?, password_hash = ?, full_name = ?, role = ?,
-            gym_id = ?, is_active = ?
-        WHERE id = ?
-      `, [
-        userData.username,
-        hashedPassword,
-        userData.full_name,
-        userData.role,
-        userData.gym_id,
-        userData.is_active,
-        userId
-      ]);
-    } else {
-      // Update without changing password
-      result = await DatabaseService.run(`
-        UPDATE users
-        SET username = ?, full_name = ?, role = ?, gym_id = ?, is_active = ?
-        WHERE id = ?
-      `, [
-        userData.username,
-        userData.full_name,
-        userData.role,
-        userData.gym_id,
-        userData.is_active,
-        userId
-      ]);
-    }
-    
-    return { success: true, result };
-  } catch (error) {
-    console.error('Update user error:', error);
-    return { success: false, message: 'Failed to update user', error: error.message };
-  }
-});
-
-// النسخ الاحتياطي المحسن
+// النسخ الاحتياطي المحسن. النسخة نسخة كاملة من القاعدة، فتتطلب صلاحية النسخ الاحتياطية، والمسار المخصص
+// يُختار في نافذة الحفظ هنا ولا يُقبل مسار ترسله الواجهة
 ipcMain.handle('backup-database-enhanced', async (event, options = {}) => {
   try {
+    await SessionService.requireUser(event.sender, 'restore_backups');
+    const custom = Boolean(options && options.choosePath);
     let backupPath;
     
-    if (options.customPath) {
-      // استخدام المسار المخصص
-      backupPath = options.customPath;
+    if (custom) {
+      const result = await dialog.showSaveDialog(mainWindow, {
+        title: 'اختر مكان حفظ النسخة الاحتياطية',
+        defaultPath: `gym-backup-${new Date().toISOString().split('T')[0]}.db`,
+        filters: [
+          { name: 'ملفات قاعدة البيانات', extensions: ['db'] },
+          { name: 'نسخة احتياطية مشفرة', extensions: ['gymbak'] },
+          { name: 'جميع الملفات', extensions: ['*'] }
+        ]
+      });
+      if (result.canceled || !result.filePath) {
+        return { canceled: true };
+      }
+      backupPath = result.filePath;
     } else {
       // استخدام المسار الافتراضي
       const backupDir = ensureBackupDirectory();
@@ -751,86 +852,34 @@ ipcMain.handle('backup-database-enhanced', async (event, options = {}) => {
       backupPath = path.join(backupDir, `gym-backup-${timestamp}.db`);
     }
     
-    // إنشاء النسخة الاحتياطية
-    await DatabaseService.backup(backupPath);
-    
-    let driveFileId = null;
+    // إنشاء النسخة الاحتياطية والتحقق منها
+    const backup = await BackupService.create(backupPath, { trigger: custom ? 'custom' : 'manual' });
     
-    // رفع إلى Google Drive إذا كان مطلوباً
-    if (options.uploadToDrive && options.driveCredentials) {
-      try {
-        const drive = setupGoogleDrive(options.driveCredentials);
-        if (drive) {
-          const fileName = path.basename(backupPath);
-          driveFileId = await uploadToGoogleDrive(backupPath, fileName, drive);
-        }
-      } catch (driveError) {
-        console.error('Google Drive upload failed:', driveError);
-        // لا نفشل العملية كاملة إذا فشل الرفع
-      }
-    }
+    // النسخة المحفوظة في مسار اختاره المستخدم لا تُرسل إلى الوجهات
+    const destinations = custom ? [] : await sendToDestinations(backup);
     
     return { 
       success: true, 
-      path: backupPath,
-      driveFileId: driveFileId
+      path: backup.path,
+      backup,
+      destinations
     };
   } catch (error) {
     console.error('Enhanced backup error:', error);
-    return { error: error.message };
-  }
-});
-
-// اختيار مسار النسخ الاحتياطي
-ipcMain.handle('choose-backup-path', async () => {
-  try {
-    const result = await dialog.showSaveDialog(mainWindow, {
-      title: 'اختر مكان حفظ النسخة الاحتياطية',
-      defaultPath: `gym-backup-${new Date().toISOString().split('T')[0]}.db`,
-      filters: [
-        { name: 'ملفات قاعدة البيانات', extensions: ['db'] },
-        { name: 'جميع الملفات', extensions: ['*'] }
-      ]
-    });
-    
-    if (result.canceled) {
-      return { canceled: true };
-    }
-    
-    return { success: true, filePath: result.filePath };
-  } catch (error) {
-    console.error('Choose backup path error:', error);
-    return { error: error.message };
-  }
-});
-
-// إعداد النسخ الاحتياطي التلقائي
-ipcMain.handle('setup-auto-backup', async (event, schedule, driveCredentials = null) => {
-  try {
-    scheduleAutoBackup(schedule, driveCredentials);
-    return { success: true };
-  } catch (error) {
-    console.error('Setup auto backup error:', error);
-    return { error: error.message };
-  }
-});
-
-// Google Drive authentication
-ipcMain.handle('google-drive-auth', async () => {
-  try {
-    // هنا يمكن إضافة منطق المصادقة مع Google Drive
-    // للبساطة، سنعيد رابط المصادقة
-    const authUrl = 'https://accounts.google.com/oauth2/auth?client_id=YOUR_CLIENT_ID&redirect_uri=YOUR_REDIRECT_URI&scope=https://www.googleapis.com/auth/drive.file&response_type=code';
-    
-    return { success: true, authUrl };
-  } catch (error) {
-    console.error('Google Drive auth error:', error);
+    DiagnosticsService.recordError('backup-database-enhanced', error);
     return { error: error.message };
   }
 });
 
 // إغلاق قاعدة البيانات عند إغلاق التطبيق
-app.on('will-quit', () => {
+app.on('will-quit', (event) => {
+  // النسخة عند الإغلاق (إن كانت مفعلة) تؤخر الخروج حتى تنتهي
+  if (!exitBackupDone && BackupService.schedule().backup_on_exit) {
+    event.preventDefault();
+    exitBackupDone = true;
+    runScheduledBackup('exit', { sendTimeoutMs: EXIT_SEND_TIMEOUT_MS }).finally(() => app.quit());
+    return;
+  }
   if (backupSchedule) {
     backupSchedule.stop();
   }
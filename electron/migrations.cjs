@@ -0,0 +1,589 @@
+// ترحيلات مخطط قاعدة البيانات مرقمة بالترتيب.
+// كل ترحيل يُنفَّذ مرة واحدة داخل معاملة ويُسجَّل رقمه في جدول schema_version.
+// لا تعدّل ترحيلاً تم إصداره؛ أضف ترحيلاً جديداً برقم أكبر.
+
+const { DOCUMENT_TYPES, defaultScheme, formatDocumentNumber, documentYear } = require('./document-numbers.cjs');
+
+class MigrationError extends Error {
+  constructor(migration, cause, backupPath) {
+    super(`فشل ترحيل قاعدة البيانات رقم ${migration.version} (${migration.name}): ${cause.message}`);
+    this.name = 'MigrationError';
+    this.version = migration.version;
+    this.migrationName = migration.name;
+    this.backupPath = backupPath;
+    this.cause = cause;
+  }
+}
+
+const columnExists = async (tx, table, column) => {
+  const columns = await tx.query(`PRAGMA table_info(${table})`);
+  return columns.some((info) => info.name === column);
+};
+
+// قواعد البيانات القديمة قد تحتوي العمود مسبقاً، لذلك نتحقق بدل تجاهل الأخطاء
+const addColumnIfMissing = async (tx, table, column, definition) => {
+  if (!(await columnExists(tx, table, column))) {
+    await tx.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'المخطط الأساسي',
+    up: async (tx) => {
+      await tx.run(`
+        CREATE TABLE IF NOT EXISTS gyms (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          type TEXT CHECK(type IN ('male', 'female')) NOT NULL,
+          logo TEXT,
+          settings TEXT DEFAULT '{}',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await tx.run(`
+        CREATE TABLE IF NOT EXISTS users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT UNIQUE NOT NULL,
+          password_hash TEXT NOT NULL,
+          full_name TEXT NOT NULL,
+          role TEXT DEFAULT 'admin',
+          gym_id INTEGER,
+          is_active BOOLEAN DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (gym_id) REFERENCES gyms (id)
+        )
+      `);
+
+      await tx.run(`
+        CREATE TABLE IF NOT EXISTS categories (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          description TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await tx.run(`
+        CREATE TABLE IF NOT EXISTS products (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          barcode TEXT UNIQUE,
+          name TEXT NOT NULL,
+          category_id INTEGER,
+          purchase_price DECIMAL(10,2) DEFAULT 0,
+          sale_price DECIMAL(10,2) DEFAULT 0,
+          male_gym_quantity INTEGER DEFAULT 0,
+          female_gym_quantity INTEGER DEFAULT 0,
+          image_path TEXT,
+          notes TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (category_id) REFERENCES categories (id)
+        )
+      `);
+
+      await tx.run(`
+        CREATE TABLE IF NOT EXISTS subscription_types (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          type TEXT CHECK(type IN ('monthly', 'session')) NOT NULL,
+          duration_months INTEGER,
+          session_count INTEGER,
+          price DECIMAL(10,2) NOT NULL,
+          gym_id INTEGER,
+          is_active BOOLEAN DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (gym_id) REFERENCES gyms (id)
+        )
+      `);
+
+      await tx.run(`
+        CREATE TABLE IF NOT EXISTS subscribers (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          full_name TEXT NOT NULL,
+          phone TEXT,
+          subscription_type_id INTEGER,
+          start_date DATE NOT NULL,
+          end_date DATE NOT NULL,
+          price_paid DECIMAL(10,2) NOT NULL,
+          remaining_sessions INTEGER,
+          status TEXT DEFAULT 'active',
+          gym_id INTEGER,
+          created_by INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (subscription_type_id) REFERENCES subscription_types (id),
+          FOREIGN KEY (gym_id) REFERENCES gyms (id),
+          FOREIGN KEY (created_by) REFERENCES users (id)
+        )
+      `);
+
+      await tx.run(`
+        CREATE TABLE IF NOT EXISTS invoices (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          invoice_number TEXT UNIQUE NOT NULL,
+          customer_name TEXT,
+          customer_phone TEXT,
+          subtotal DECIMAL(10,2) NOT NULL,
+          discount DECIMAL(10,2) DEFAULT 0,
+          total DECIMAL(10,2) NOT NULL,
+          paid_amount DECIMAL(10,2) DEFAULT 0,
+          is_credit BOOLEAN DEFAULT 0,
+          is_single_session BOOLEAN DEFAULT 0,
+          gym_id INTEGER,
+          user_id INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (gym_id) REFERENCES gyms (id),
+          FOREIGN KEY (user_id) REFERENCES users (id)
+        )
+      `);
+
+      await tx.run(`
+        CREATE TABLE IF NOT EXISTS invoice_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          invoice_id INTEGER,
+          product_id INTEGER,
+          quantity INTEGER NOT NULL,
+          unit_price DECIMAL(10,2) NOT NULL,
+          total_price DECIMAL(10,2) NOT NULL,
+          FOREIGN KEY (invoice_id) REFERENCES invoices (id) ON DELETE CASCADE,
+          FOREIGN KEY (product_id) REFERENCES products (id)
+        )
+      `);
+
+      await tx.run(`
+        CREATE TABLE IF NOT EXISTS purchases (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          supplier_name TEXT,
+          total_amount DECIMAL(10,2) NOT NULL,
+          gym_id INTEGER,
+          user_id INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (gym_id) REFERENCES gyms (id),
+          FOREIGN KEY (user_id) REFERENCES users (id)
+        )
+      `);
+
+      await tx.run(`
+        CREATE TABLE IF NOT EXISTS purchase_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          purchase_id INTEGER,
+          product_id INTEGER,
+          quantity INTEGER NOT NULL,
+          unit_cost DECIMAL(10,2) NOT NULL,
+          total_cost DECIMAL(10,2) NOT NULL,
+          FOREIGN KEY (purchase_id) REFERENCES purchases (id) ON DELETE CASCADE,
+          FOREIGN KEY (product_id) REFERENCES products (id)
+        )
+      `);
+
+      await tx.run(`
+        CREATE TABLE IF NOT EXISTS internal_sales (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          admin_name TEXT NOT NULL,
+          product_id INTEGER,
+          quantity INTEGER NOT NULL,
+          price_type TEXT CHECK(price_type IN ('purchase', 'manual')) NOT NULL,
+          unit_price DECIMAL(10,2) NOT NULL,
+          total_price DECIMAL(10,2) NOT NULL,
+          gym_id INTEGER,
+          user_id INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (product_id) REFERENCES products (id),
+          FOREIGN KEY (gym_id) REFERENCES gyms (id),
+          FOREIGN KEY (user_id) REFERENCES users (id)
+        )
+      `);
+
+      await tx.run(`
+        CREATE TABLE IF NOT EXISTS customers (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          phone TEXT NOT NULL,
+          email TEXT,
+          address TEXT,
+          gym_id INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (gym_id) REFERENCES gyms (id)
+        )
+      `);
+
+      await tx.run('CREATE INDEX IF NOT EXISTS idx_products_barcode ON products(barcode)');
+      await tx.run('CREATE INDEX IF NOT EXISTS idx_subscribers_gym_status ON subscribers(gym_id, status)');
+      await tx.run('CREATE INDEX IF NOT EXISTS idx_invoices_gym_date ON invoices(gym_id, created_at)');
+      await tx.run('CREATE INDEX IF NOT EXISTS idx_purchases_gym_date ON purchases(gym_id, created_at)');
+      await tx.run('CREATE INDEX IF NOT EXISTS idx_internal_sales_gym_date ON internal_sales(gym_id, created_at)');
+      await tx.run('CREATE INDEX IF NOT EXISTS idx_subscription_types_gym ON subscription_types(gym_id, is_active)');
+      await tx.run('CREATE INDEX IF NOT EXISTS idx_subscribers_end_date ON subscribers(end_date, status)');
+      await tx.run('CREATE INDEX IF NOT EXISTS idx_customers_gym ON customers(gym_id)');
+    }
+  },
+  {
+    // أعمدة أضيفت سابقاً عبر ALTER TABLE بدون تسجيل، بعض قواعد البيانات تحتويها وبعضها لا
+    version: 2,
+    name: 'توحيد الأعمدة المضافة لاحقاً',
+    up: async (tx) => {
+      await addColumnIfMissing(tx, 'subscribers', 'created_by', 'INTEGER');
+      await addColumnIfMissing(tx, 'invoices', 'profit', 'DECIMAL(10,2) DEFAULT 0');
+      await addColumnIfMissing(tx, 'internal_sales', 'profit', 'DECIMAL(10,2) DEFAULT 0');
+      await addColumnIfMissing(tx, 'invoices', 'customer_id', 'INTEGER');
+      await tx.run('CREATE INDEX IF NOT EXISTS idx_invoices_customer ON invoices(customer_id)');
+    }
+  },
+  {
+    // سجل حركات المخزون، مع رصيد افتتاحي يطابق الكميات الحالية
+    version: 3,
+    name: 'سجل حركات المخزون',
+    up: async (tx) => {
+      await tx.run(`
+        CREATE TABLE stock_movements (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          product_id INTEGER NOT NULL,
+          gym_id INTEGER,
+          movement_type TEXT NOT NULL,
+          quantity INTEGER NOT NULL,
+          source_id INTEGER,
+          user_id INTEGER,
+          notes TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (product_id) REFERENCES products (id),
+          FOREIGN KEY (gym_id) REFERENCES gyms (id),
+          FOREIGN KEY (user_id) REFERENCES users (id)
+        )
+      `);
+      await tx.run('CREATE INDEX idx_stock_movements_product ON stock_movements(product_id, created_at)');
+      await tx.run('CREATE INDEX idx_stock_movements_source ON stock_movements(movement_type, source_id)');
+
+      for (const gymType of ['male', 'female']) {
+        await tx.run(`
+          INSERT INTO stock_movements (product_id, gym_id, movement_type, quantity, notes)
+          SELECT id, (SELECT id FROM gyms WHERE type = ? ORDER BY id LIMIT 1), 'opening', ${gymType}_gym_quantity, 'رصيد افتتاحي'
+          FROM products
+          WHERE ${gymType}_gym_quantity != 0
+        `, [gymType]);
+      }
+    }
+  },
+  {
+    version: 4,
+    name: 'تحويلات المخزون بين الفروع',
+    up: async (tx) => {
+      await tx.run(`
+        CREATE TABLE stock_transfers (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          from_gym_id INTEGER NOT NULL,
+          to_gym_id INTEGER NOT NULL,
+          status TEXT CHECK(status IN ('pending', 'approved', 'rejected', 'cancelled')) NOT NULL DEFAULT 'pending',
+          notes TEXT,
+          requested_by INTEGER,
+          decided_by INTEGER,
+          decision_notes TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          decided_at DATETIME,
+          FOREIGN KEY (from_gym_id) REFERENCES gyms (id),
+          FOREIGN KEY (to_gym_id) REFERENCES gyms (id),
+          FOREIGN KEY (requested_by) REFERENCES users (id),
+          FOREIGN KEY (decided_by) REFERENCES users (id)
+        )
+      `);
+
+      await tx.run(`
+        CREATE TABLE stock_transfer_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          transfer_id INTEGER NOT NULL,
+          product_id INTEGER NOT NULL,
+          quantity INTEGER NOT NULL,
+          FOREIGN KEY (transfer_id) REFERENCES stock_transfers (id) ON DELETE CASCADE,
+          FOREIGN KEY (product_id) REFERENCES products (id)
+        )
+      `);
+
+      await tx.run('CREATE INDEX idx_stock_transfers_from ON stock_transfers(from_gym_id, status)');
+      await tx.run('CREATE INDEX idx_stock_transfers_to ON stock_transfers(to_gym_id, status)');
+      await tx.run('CREATE INDEX idx_stock_transfer_items_transfer ON stock_transfer_items(transfer_id)');
+    }
+  },
+  {
+    version: 5,
+    name: 'أدوار المستخدمين وصلاحياتهم',
+    up: async (tx) => {
+      // admin القديم يصبح مالكاً، وأي دور غير معروف يصبح أمين صندوق بأقل الصلاحيات
+      await tx.run("UPDATE users SET role = 'owner' WHERE role = 'admin' OR role IS NULL");
+      await tx.run(`
+        UPDATE users SET role = 'cashier'
+        WHERE role NOT IN ('owner', 'manager', 'cashier', 'coach')
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'قفل الجلسة والحساب',
+    up: async (tx) => {
+      // الرمز السري لفتح شاشة القفل، وعداد المحاولات الفاشلة لقفل الحساب مؤقتاً
+      await addColumnIfMissing(tx, 'users', 'pin_hash', 'TEXT');
+      await addColumnIfMissing(tx, 'users', 'failed_attempts', 'INTEGER NOT NULL DEFAULT 0');
+      await addColumnIfMissing(tx, 'users', 'locked_until', 'DATETIME');
+    }
+  },
+  {
+    version: 7,
+    name: 'سجل العمليات',
+    up: async (tx) => {
+      // اسم المستخدم يُنسخ في السجل حتى يبقى واضحاً بعد حذف المستخدم
+      await tx.run(`
+        CREATE TABLE audit_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER,
+          user_name TEXT,
+          gym_id INTEGER,
+          action TEXT NOT NULL,
+          entity_type TEXT,
+          entity_id INTEGER,
+          before_data TEXT,
+          after_data TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await tx.run('CREATE INDEX idx_audit_log_created ON audit_log(created_at)');
+      await tx.run('CREATE INDEX idx_audit_log_entity ON audit_log(entity_type, entity_id)');
+      await tx.run('CREATE INDEX idx_audit_log_user ON audit_log(user_id)');
+
+      // السجل للإضافة فقط: أي تعديل أو حذف يُرفض من قاعدة البيانات نفسها
+      await tx.run(`
+        CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN
+          SELECT RAISE(ABORT, 'سجل العمليات لا يقبل التعديل');
+        END
+      `);
+      await tx.run(`
+        CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN
+          SELECT RAISE(ABORT, 'سجل العمليات لا يقبل الحذف');
+        END
+      `);
+    }
+  },
+  {
+    // الفترات المقفلة: معاملاتها في ملف أرشيف موقع، وتاريخ آخر فترة يمنع التعديل على ما قبله
+    version: 8,
+    name: 'إقفال الفترات المالية',
+    up: async (tx) => {
+      await tx.run(`
+        CREATE TABLE closed_periods (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          period_start DATE,
+          period_end DATE NOT NULL UNIQUE,
+          archive_file TEXT NOT NULL,
+          archive_sha256 TEXT NOT NULL,
+          key_fingerprint TEXT NOT NULL,
+          summary TEXT NOT NULL,
+          closed_by INTEGER,
+          closed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (closed_by) REFERENCES users (id)
+        )
+      `);
+    }
+  },
+  {
+    // المرتجع مستند مستقل مرتبط بالفاتورة الأصلية، والإلغاء مرتجع لكل ما بقي منها مع سبب.
+    // الفاتورة تحتفظ بمبالغها الأصلية، و returned_amount مجموع مرتجعاتها بعد الخصم
+    version: 9,
+    name: 'مرتجعات المبيعات وإلغاء الفواتير',
+    up: async (tx) => {
+      await addColumnIfMissing(tx, 'invoices', 'returned_amount', 'DECIMAL(10,2) DEFAULT 0');
+      await addColumnIfMissing(tx, 'invoices', 'status', "TEXT DEFAULT 'active'");
+
+      await tx.run(`
+        CREATE TABLE sales_returns (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          return_number TEXT UNIQUE NOT NULL,
+          invoice_id INTEGER NOT NULL,
+          type TEXT CHECK(type IN ('return', 'void')) NOT NULL DEFAULT 'return',
+          reason TEXT,
+          amount DECIMAL(10,2) NOT NULL,
+          profit DECIMAL(10,2) DEFAULT 0,
+          refund_amount DECIMAL(10,2) DEFAULT 0,
+          debt_reduction DECIMAL(10,2) DEFAULT 0,
+          gym_id INTEGER NOT NULL,
+          user_id INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (invoice_id) REFERENCES invoices (id),
+          FOREIGN KEY (gym_id) REFERENCES gyms (id),
+          FOREIGN KEY (user_id) REFERENCES users (id)
+        )
+      `);
+
+      await tx.run(`
+        CREATE TABLE sales_return_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          return_id INTEGER NOT NULL,
+          invoice_item_id INTEGER NOT NULL,
+          product_id INTEGER NOT NULL,
+          quantity INTEGER NOT NULL,
+          unit_price DECIMAL(10,2) NOT NULL,
+          total_price DECIMAL(10,2) NOT NULL,
+          FOREIGN KEY (return_id) REFERENCES sales_returns (id) ON DELETE CASCADE,
+          FOREIGN KEY (invoice_item_id) REFERENCES invoice_items (id),
+          FOREIGN KEY (product_id) REFERENCES products (id)
+        )
+      `);
+
+      await tx.run('CREATE INDEX idx_sales_returns_invoice ON sales_returns(invoice_id)');
+      await tx.run('CREATE INDEX idx_sales_returns_gym ON sales_returns(gym_id, created_at)');
+      await tx.run('CREATE INDEX idx_sales_return_items_return ON sales_return_items(return_id)');
+    }
+  },
+  {
+    version: 10,
+    name: 'طرق الدفع وتقسيم الدفع',
+    up: async (tx) => {
+      // كل مبلغ قُبض (أو رُد بقيمة سالبة) مع طريقته، لفاتورة أو اشتراك. رد المرتجع يشير إلى مرتجعه
+      await tx.run(`
+        CREATE TABLE payments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          invoice_id INTEGER,
+          subscriber_id INTEGER,
+          return_id INTEGER,
+          method TEXT CHECK(method IN ('cash', 'card', 'baridimob', 'ccp', 'cheque')) NOT NULL DEFAULT 'cash',
+          amount DECIMAL(10,2) NOT NULL,
+          reference TEXT,
+          gym_id INTEGER NOT NULL,
+          user_id INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          CHECK (invoice_id IS NOT NULL OR subscriber_id IS NOT NULL),
+          FOREIGN KEY (invoice_id) REFERENCES invoices (id),
+          FOREIGN KEY (subscriber_id) REFERENCES subscribers (id),
+          FOREIGN KEY (return_id) REFERENCES sales_returns (id),
+          FOREIGN KEY (gym_id) REFERENCES gyms (id),
+          FOREIGN KEY (user_id) REFERENCES users (id)
+        )
+      `);
+      await tx.run('CREATE INDEX idx_payments_invoice ON payments(invoice_id)');
+      await tx.run('CREATE INDEX idx_payments_subscriber ON payments(subscriber_id)');
+      await tx.run('CREATE INDEX idx_payments_gym ON payments(gym_id, created_at)');
+
+      // الفاتورة غير الآجلة مدفوعة بالكامل، فيصبح paid_amount ما بقي منها بعد المرتجعات كالآجلة
+      await tx.run('UPDATE invoices SET paid_amount = total - returned_amount WHERE is_credit = 0');
+
+      // الدفعات السابقة كانت نقداً. تواريخ تسديد الديون القديمة غير معروفة فتُسجل بتاريخ الفاتورة
+      await tx.run(`
+        INSERT INTO payments (invoice_id, method, amount, gym_id, user_id, created_at)
+        SELECT i.id, 'cash',
+               i.paid_amount + (SELECT COALESCE(SUM(r.refund_amount), 0) FROM sales_returns r WHERE r.invoice_id = i.id),
+               i.gym_id, i.user_id, i.created_at
+        FROM invoices i
+        WHERE i.paid_amount + (SELECT COALESCE(SUM(r.refund_amount), 0) FROM sales_returns r WHERE r.invoice_id = i.id) > 0
+      `);
+      await tx.run(`
+        INSERT INTO payments (invoice_id, return_id, method, amount, gym_id, user_id, created_at)
+        SELECT invoice_id, id, 'cash', -refund_amount, gym_id, user_id, created_at
+        FROM sales_returns
+        WHERE refund_amount > 0
+      `);
+      await tx.run(`
+        INSERT INTO payments (subscriber_id, method, amount, gym_id, user_id, created_at)
+        SELECT id, 'cash', price_paid, gym_id, created_by, created_at
+        FROM subscribers
+        WHERE price_paid > 0
+      `);
+    }
+  },
+  {
+    version: 11,
+    name: 'سندات قبض ديون الزبائن',
+    up: async (tx) => {
+      // سند القبض دفعة واحدة من الزبون، وتوزيعها على فواتيره الآجلة في payments.customer_payment_id.
+      // تسديدات الديون قبل هذه النسخة تبقى دفعات بدون سند
+      await tx.run(`
+        CREATE TABLE customer_payments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          receipt_number TEXT UNIQUE NOT NULL,
+          customer_id INTEGER,
+          method TEXT CHECK(method IN ('cash', 'card', 'baridimob', 'ccp', 'cheque')) NOT NULL DEFAULT 'cash',
+          amount DECIMAL(10,2) NOT NULL,
+          reference TEXT,
+          notes TEXT,
+          gym_id INTEGER NOT NULL,
+          user_id INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (customer_id) REFERENCES customers (id),
+          FOREIGN KEY (gym_id) REFERENCES gyms (id),
+          FOREIGN KEY (user_id) REFERENCES users (id)
+        )
+      `);
+      await tx.run('CREATE INDEX idx_customer_payments_customer ON customer_payments(customer_id, created_at)');
+      await addColumnIfMissing(tx, 'payments', 'customer_payment_id', 'INTEGER REFERENCES customer_payments (id)');
+      await tx.run('CREATE INDEX idx_payments_customer_payment ON payments(customer_payment_id)');
+    }
+  },
+  {
+    version: 12,
+    name: 'ترقيم المستندات المتسلسل',
+    up: async (tx) => {
+      // آخر رقم محجوز لكل صالة ونوع مستند وسنة (0 للترقيم الذي لا يُصفّر سنوياً)
+      await tx.run(`
+        CREATE TABLE document_sequences (
+          gym_id INTEGER NOT NULL,
+          doc_type TEXT NOT NULL,
+          year INTEGER NOT NULL,
+          last_number INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (gym_id, doc_type, year),
+          FOREIGN KEY (gym_id) REFERENCES gyms (id)
+        )
+      `);
+      await addColumnIfMissing(tx, 'purchases', 'purchase_number', 'TEXT');
+      await addColumnIfMissing(tx, 'internal_sales', 'internal_sale_number', 'TEXT');
+
+      // المشتريات والقائمة البيضاء السابقة تُرقّم بترتيب تسجيلها بالمخطط الافتراضي.
+      // أرقام الفواتير والمرتجعات والسندات السابقة طُبعت للزبائن فتبقى كما هي
+      const gyms = await tx.query('SELECT id, type FROM gyms');
+      for (const gym of gyms) {
+        for (const type of ['purchase', 'internal_sale']) {
+          const { table, column } = DOCUMENT_TYPES[type];
+          const scheme = defaultScheme(gym, gyms, type);
+          const rows = await tx.query(`SELECT id, created_at FROM ${table} WHERE gym_id = ? ORDER BY created_at, id`, [gym.id]);
+          const counters = new Map();
+          for (const row of rows) {
+            const year = documentYear(row.created_at);
+            const number = (counters.get(year) || 0) + 1;
+            counters.set(year, number);
+            await tx.run(`UPDATE ${table} SET ${column} = ? WHERE id = ?`, [formatDocumentNumber(scheme, year, number), row.id]);
+          }
+          for (const [year, number] of counters) {
+            await tx.run(
+              'INSERT INTO document_sequences (gym_id, doc_type, year, last_number) VALUES (?, ?, ?, ?)',
+              [gym.id, type, year, number]
+            );
+          }
+        }
+      }
+      await tx.run('CREATE UNIQUE INDEX idx_purchases_number ON purchases(purchase_number)');
+      await tx.run('CREATE UNIQUE INDEX idx_internal_sales_number ON internal_sales(internal_sale_number)');
+    }
+  },
+  {
+    version: 13,
+    name: 'تكلفة الوحدة في عناصر الفواتير',
+    up: async (tx) => {
+      // سعر الشراء وقت البيع، حتى يُعكس ربح المرتجع بنفس التكلفة التي حُسب بها ربح الفاتورة.
+      // الفواتير السابقة تأخذ سعر الشراء الحالي لأن سعرها وقت البيع لم يُحفظ
+      await addColumnIfMissing(tx, 'invoice_items', 'unit_cost', 'DECIMAL(10,2)');
+      await tx.run(`
+        UPDATE invoice_items
+        SET unit_cost = COALESCE((SELECT purchase_price FROM products WHERE id = invoice_items.product_id), 0)
+        WHERE unit_cost IS NULL
+      `);
+    }
+  },
+  {
+    version: 14,
+    name: 'تاريخ آخر تجديد للمشترك',
+    up: async (tx) => {
+      // دفعة التجديد تُسجل بجانب دفعات الفترات السابقة، وتعديل المشترك يعيد كتابة دفعة الفترة الحالية فقط
+      await addColumnIfMissing(tx, 'subscribers', 'renewed_at', 'DATETIME');
+      await addColumnIfMissing(tx, 'subscribers', 'renewed_by', 'INTEGER REFERENCES users (id)');
+    }
+  }
+];
+
+module.exports = { MIGRATIONS, MigrationError, addColumnIfMissing, columnExists };
@@ -0,0 +1,63 @@
+// طرق الدفع وتوزيع المبلغ المدفوع على فاتورة (نفس القائمة في src/utils/payment-methods.ts)
+const { ensureObject, optionalText, requireAmount, requireOneOf, ValidationError } = require('./validation.cjs');
+
+const PAYMENT_METHODS = ['cash', 'card', 'baridimob', 'ccp', 'cheque'];
+
+// أسماء الطرق على الإيصالات المطبوعة
+const PAYMENT_METHOD_LABELS = {
+  cash: 'نقداً',
+  card: 'بطاقة بنكية',
+  baridimob: 'بريدي موب',
+  ccp: 'تحويل CCP',
+  cheque: 'شيك'
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const validatePayment = (payload) => {
+  ensureObject(payload);
+  const amount = requireAmount(payload.amount, 'مبلغ الدفع');
+  if (amount <= 0) {
+    throw new ValidationError('مبلغ الدفع يجب أن يكون أكبر من صفر');
+  }
+  return {
+    method: requireOneOf(payload.method || 'cash', PAYMENT_METHODS, 'طريقة الدفع'),
+    amount: roundMoney(amount),
+    reference: optionalText(payload.reference, 'مرجع الدفع', 100) || null
+  };
+};
+
+/**
+ * توزيع ما دفعه الزبون على مجموع الفاتورة: الباقي (الفكة) يُرد نقداً فيُخصم من الدفعات النقدية،
+ * والفاتورة غير الآجلة يجب أن تُدفع بالكامل. يرجع الدفعات كما تُسجل والمدفوع والباقي
+ */
+const splitPayments = (total, payments, { isCredit = false } = {}) => {
+  const tendered = payments.map(validatePayment);
+  const sum = roundMoney(tendered.reduce((value, payment) => value + payment.amount, 0));
+  if (!isCredit && sum < total) {
+    throw new ValidationError('المبلغ المدفوع أقل من مجموع الفاتورة، اختر الدفع الآجل لتسجيل الباقي ديناً');
+  }
+
+  const paid = roundMoney(Math.min(sum, total));
+  const change = roundMoney(sum - paid);
+  const cash = tendered.filter((payment) => payment.method === 'cash').reduce((value, payment) => value + payment.amount, 0);
+  if (change > roundMoney(cash)) {
+    throw new ValidationError('الدفع غير النقدي أكبر من المطلوب، والباقي لا يُرد إلا نقداً');
+  }
+
+  let remainingChange = change;
+  const recorded = [];
+  for (const payment of [...tendered].reverse()) {
+    if (payment.method === 'cash' && remainingChange > 0) {
+      const deducted = Math.min(payment.amount, remainingChange);
+      remainingChange = roundMoney(remainingChange - deducted);
+      payment.amount = roundMoney(payment.amount - deducted);
+    }
+    if (payment.amount > 0) {
+      recorded.unshift(payment);
+    }
+  }
+  return { payments: recorded, paid, change };
+};
+
+module.exports = { PAYMENT_METHODS, PAYMENT_METHOD_LABELS, validatePayment, splitPayments, roundMoney };
@@ -0,0 +1,63 @@
+// الأدوار وصلاحيات كل دور. الفحص الفعلي يتم في العملية الرئيسية (ipc-handlers.cjs)،
+// والواجهة تستخدم نفس القائمة لإخفاء ما لا يملكه المستخدم فقط
+
+const PERMISSIONS = [
+  'view_profit',      // عرض الأرباح
+  'delete_invoices',  // حذف وإلغاء الفواتير وحذف المشتركين والزبائن
+  'edit_prices',      // تعديل أسعار المنتجات والبيع بسعر مختلف
+  'manage_users',     // إدارة المستخدمين
+  'clear_data',       // إقفال الفترات المالية وحذف معاملاتها بعد أرشفتها
+  'restore_backups',  // استعادة النسخ الاحتياطية
+  'sell',             // البيع وتحصيل الديون وتسجيل المشتركين والزبائن
+  'manage_stock',     // المنتجات والفئات والمشتريات والتحويلات
+  'view_audit_log',   // عرض سجل العمليات وتصديره
+  'run_diagnostics'   // صفحة التشخيص وإعادة تعيين كلمات المرور (للمالك فقط)
+];
+
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  manager: ['view_profit', 'delete_invoices', 'edit_prices', 'sell', 'manage_stock'],
+  cashier: ['sell'],
+  coach: []
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+class PermissionError extends Error {
+  constructor(message = 'ليس لديك صلاحية للقيام بهذه العملية') {
+    super(message);
+    this.name = 'PermissionError';
+  }
+}
+
+const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (user, permission) => permissionsFor(user.role).includes(permission);
+
+const requirePermission = (user, permission) => {
+  if (!hasPermission(user, permission)) {
+    throw new PermissionError();
+  }
+};
+
+// الفرع الذي تعمل عليه العملية: فرع المستخدم في جلسته إذا لم يُحدد. المالك وحده يختار فرعاً آخر،
+// إلا في العمليات التي تمثل قرار الفرع نفسه (ownGymOnly) مثل الموافقة على تحويل وارد إليه
+const resolveGym = (user, requested, { ownGymOnly = false } = {}) => {
+  if (requested === undefined || requested === null || requested === '') {
+    return user.gym_id;
+  }
+  if (Number(requested) === user.gym_id || (user.role === 'owner' && !ownGymOnly)) {
+    return requested;
+  }
+  throw new PermissionError('لا يمكنك العمل على بيانات فرع آخر');
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  PermissionError,
+  permissionsFor,
+  hasPermission,
+  requirePermission,
+  resolveGym
+};
@@ -1,32 +1,237 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
+// قنوات المجالات ترجع { data } أو { error }، نحول الخطأ إلى استثناء
+// حتى تتعامل معه الصفحات عبر try/catch كالمعتاد
+const invoke = async (channel, ...args) => {
+  const result = await ipcRenderer.invoke(channel, ...args);
+  if (result && result.error) {
+    throw new Error(result.error);
+  }
+  return result.data;
+};
+
 // تعريف API متوافق مع واجهة TypeScript الخاصة بك
 contextBridge.exposeInMainWorld('electronAPI', {
-  // عمليات قاعدة البيانات
-  query: (sql, params) => ipcRenderer.invoke('database-query', sql, params),
-  run: (sql, params) => ipcRenderer.invoke('database-run', sql, params),
-
   // المصادقة
   login: (username, password) => ipcRenderer.invoke('login', username, password),
+  auth: {
+    current: () => invoke('auth:current'),
+    logout: () => invoke('auth:logout'),
+    touch: () => invoke('auth:touch'),
+    lock: () => invoke('auth:lock'),
+    unlock: (secret) => invoke('auth:unlock', secret)
+  },
+
+  // عمليات المجالات (بدلاً من تمرير SQL من الواجهة)
+  categories: {
+    list: () => invoke('categories:list'),
+    create: (payload) => invoke('categories:create', payload),
+    update: (id, payload) => invoke('categories:update', id, payload),
+    remove: (id) => invoke('categories:remove', id)
+  },
+
+  products: {
+    list: () => invoke('products:list'),
+    listInStock: (gymId) => invoke('products:list-in-stock', gymId),
+    lowStock: (gymId) => invoke('products:low-stock', gymId),
+    create: (gymId, payload) => invoke('products:create', gymId, payload),
+    update: (gymId, id, payload) => invoke('products:update', gymId, id, payload),
+    remove: (id) => invoke('products:remove', id),
+    previewImport: (gymId, data) => invoke('products:preview-import', gymId, data),
+    importRows: (gymId, data) => invoke('products:import', gymId, data)
+  },
+
+  stock: {
+    history: (productId) => invoke('stock:history', productId),
+    reconcile: () => invoke('stock:reconcile')
+  },
+
+  stockTransfers: {
+    list: (gymId) => invoke('stock-transfers:list', gymId),
+    getItems: (transferId) => invoke('stock-transfers:get-items', transferId),
+    create: (gymId, payload) => invoke('stock-transfers:create', gymId, payload),
+    approve: (gymId, id) => invoke('stock-transfers:approve', gymId, id),
+    reject: (gymId, id, reason) => invoke('stock-transfers:reject', gymId, id, reason),
+    cancel: (gymId, id) => invoke('stock-transfers:cancel', gymId, id)
+  },
+
+  subscriptionTypes: {
+    list: (gymId, options) => invoke('subscription-types:list', gymId, options),
+    create: (gymId, payload) => invoke('subscription-types:create', gymId, payload),
+    update: (id, payload) => invoke('subscription-types:update', id, payload),
+    setActive: (id, isActive) => invoke('subscription-types:set-active', id, isActive),
+    remove: (id) => invoke('subscription-types:remove', id)
+  },
+
+  subscribers: {
+    list: (gymId) => invoke('subscribers:list', gymId),
+    expiring: (gymId) => invoke('subscribers:expiring', gymId),
+    create: (gymId, payload) => invoke('subscribers:create', gymId, payload),
+    update: (id, payload) => invoke('subscribers:update', id, payload),
+    remove: (id) => invoke('subscribers:remove', id),
+    useSession: (id) => invoke('subscribers:use-session', id),
+    renew: (id, payload) => invoke('subscribers:renew', id, payload),
+    previewImport: (gymId, data) => invoke('subscribers:preview-import', gymId, data),
+    importRows: (gymId, data) => invoke('subscribers:import', gymId, data)
+  },
+
+  sales: {
+    listInvoices: (gymId) => invoke('sales:list-invoices', gymId),
+    getInvoiceItems: (invoiceId) => invoke('sales:get-invoice-items', invoiceId),
+    createInvoice: (gymId, payload) => invoke('sales:create-invoice', gymId, payload),
+    listPayments: (invoiceId) => invoke('sales:list-payments', invoiceId),
+    listReturns: (invoiceId) => invoke('sales:list-returns', invoiceId),
+    createReturn: (gymId, invoiceId, payload) => invoke('sales:create-return', gymId, invoiceId, payload),
+    voidInvoice: (gymId, invoiceId, reason, refundMethod) => invoke('sales:void-invoice', gymId, invoiceId, reason, refundMethod)
+  },
+
+  purchases: {
+    list: (gymId) => invoke('purchases:list', gymId),
+    getItems: (purchaseId) => invoke('purchases:get-items', purchaseId),
+    create: (gymId, payload) => invoke('purchases:create', gymId, payload)
+  },
+
+  internalSales: {
+    list: (gymId) => invoke('internal-sales:list', gymId),
+    create: (gymId, payload) => invoke('internal-sales:create', gymId, payload)
+  },
+
+  customers: {
+    list: (gymId) => invoke('customers:list', gymId),
+    listBasic: (gymId) => invoke('customers:list-basic', gymId),
+    topDebtors: (gymId) => invoke('customers:top-debtors', gymId),
+    create: (gymId, payload) => invoke('customers:create', gymId, payload),
+    update: (id, payload) => invoke('customers:update', id, payload),
+    remove: (id) => invoke('customers:remove', id),
+    debts: (customerId) => invoke('customers:debts', customerId),
+    payDebt: (invoiceId, amount, payment) => invoke('customers:pay-debt', invoiceId, amount, payment),
+    settleDebt: (invoiceId, payment) => invoke('customers:settle-debt', invoiceId, payment),
+    receivePayment: (customerId, payload) => invoke('customers:receive-payment', customerId, payload),
+    receipt: (receiptId) => invoke('customers:receipt', receiptId),
+    listReceipts: (customerId) => invoke('customers:list-receipts', customerId),
+    statement: (customerId, range) => invoke('customers:statement', customerId, range),
+    aging: (gymId) => invoke('customers:aging', gymId),
+    previewImport: (gymId, data) => invoke('customers:preview-import', gymId, data),
+    importRows: (gymId, data) => invoke('customers:import', gymId, data)
+  },
+
+  imports: {
+    openFile: (entity) => invoke('imports:open-file', entity)
+  },
+
+  exports: {
+    save: (format, payload) => invoke('exports:save', format, payload)
+  },
 
-  // إدارة المستخدمين
-  createUser: (userData) => ipcRenderer.invoke('create-user', userData),
-  updateUser: (userId, userData) => ipcRenderer.invoke('update-user', userId, userData),
+  users: {
+    list: () => invoke('users:list'),
+    create: (payload) => invoke('users:create', payload),
+    update: (id, payload) => invoke('users:update', id, payload),
+    remove: (id) => invoke('users:remove', id),
+    setActive: (id, isActive) => invoke('users:set-active', id, isActive)
+  },
+
+  gyms: {
+    list: () => invoke('gyms:list'),
+    get: (id) => invoke('gyms:get', id),
+    updateSettings: (id, payload) => invoke('gyms:update-settings', id, payload)
+  },
+
+  numbering: {
+    list: (gymId) => invoke('numbering:list', gymId),
+    save: (gymId, payload) => invoke('numbering:save', gymId, payload)
+  },
+
+  receipts: {
+    config: () => invoke('receipts:config'),
+    setConfig: (payload) => invoke('receipts:set-config', payload),
+    printers: () => invoke('receipts:printers'),
+    print: (invoiceId, options) => invoke('receipts:print', invoiceId, options),
+    preview: (invoiceId, options) => invoke('receipts:preview', invoiceId, options),
+    printTest: (gymId) => invoke('receipts:print-test', gymId),
+    previewTest: (gymId) => invoke('receipts:preview-test', gymId)
+  },
+
+  dashboard: {
+    stats: (gymId, range) => invoke('dashboard:stats', gymId, range),
+    paymentsReport: (gymId, range) => invoke('dashboard:payments-report', gymId, range)
+  },
+
+  audit: {
+    list: (filters) => invoke('audit:list', filters),
+    filterOptions: () => invoke('audit:filter-options'),
+    exportCsv: (filters) => invoke('audit:export-csv', filters)
+  },
+
+  backups: {
+    list: () => invoke('backups:list'),
+    setRetention: (payload) => invoke('backups:set-retention', payload),
+    remove: (id) => invoke('backups:remove', id),
+    export: (id) => invoke('backups:export', id),
+    chooseFile: () => invoke('backups:choose-file'),
+    preview: (source) => invoke('backups:preview', source),
+    restore: (source) => invoke('backups:restore', source),
+    undoRestore: () => invoke('backups:undo-restore'),
+    lastRestore: () => invoke('backups:last-restore'),
+    encryptionStatus: () => invoke('backups:encryption-status'),
+    setEncryption: (payload) => invoke('backups:set-encryption', payload),
+    send: (id) => invoke('backups:send', id),
+    status: () => invoke('backups:status'),
+    setSchedule: (payload) => invoke('backups:set-schedule', payload)
+  },
+
+  destinations: {
+    list: () => invoke('destinations:list'),
+    save: (payload) => invoke('destinations:save', payload),
+    remove: (id) => invoke('destinations:remove', id),
+    test: (payload) => invoke('destinations:test', payload),
+    chooseFolder: () => invoke('destinations:choose-folder')
+  },
+
+  periods: {
+    list: () => invoke('periods:list'),
+    preview: (periodEnd) => invoke('periods:preview', periodEnd),
+    close: (payload) => invoke('periods:close', payload),
+    view: (id) => invoke('periods:view', id),
+    openFile: () => invoke('periods:open-file')
+  },
+
+  transfers: {
+    export: (gymId) => invoke('transfers:export', gymId),
+    chooseFile: () => invoke('transfers:choose-file'),
+    preview: (filePath, targets) => invoke('transfers:preview', filePath, targets),
+    import: (filePath, targets) => invoke('transfers:import', filePath, targets)
+  },
+
+  drive: {
+    status: () => invoke('drive:status'),
+    setClient: (payload) => invoke('drive:set-client', payload),
+    connect: () => invoke('drive:connect'),
+    disconnect: () => invoke('drive:disconnect'),
+    listFolders: () => invoke('drive:list-folders'),
+    createFolder: (name) => invoke('drive:create-folder', name),
+    selectFolder: (folder) => invoke('drive:select-folder', folder),
+    listBackups: () => invoke('drive:list-backups'),
+    download: (fileId) => invoke('drive:download', fileId)
+  },
+
+  diagnostics: {
+    summary: () => invoke('diagnostics:summary'),
+    resetPassword: (userId, password) => invoke('diagnostics:reset-password', userId, password)
+  },
+
+  maintenance: {
+    healthCheck: () => invoke('maintenance:health-check'),
+    repair: (code) => invoke('maintenance:repair', code),
+    optimize: () => invoke('maintenance:optimize')
+  },
 
   // إدارة قاعدة البيانات
   backupDatabase: () => ipcRenderer.invoke('backup-database'),
   backupDatabaseEnhanced: (options) => ipcRenderer.invoke('backup-database-enhanced', options),
-  chooseBackupPath: () => ipcRenderer.invoke('choose-backup-path'),
-  setupAutoBackup: (schedule, driveCredentials) => ipcRenderer.invoke('setup-auto-backup', schedule, driveCredentials),
-  googleDriveAuth: () => ipcRenderer.invoke('google-drive-auth'),
   restoreDatabase: () => ipcRenderer.invoke('restore-database'),
   repairDatabase: () => ipcRenderer.invoke('repair-database'),
 
-  // تصحيح الأخطاء (Debug)
-  debugUsers: () => ipcRenderer.invoke('debug-users'),
-  debugPasswords: () => ipcRenderer.invoke('debug-passwords'),
-  debugLogin: (username, password) => ipcRenderer.invoke('debug-login', username, password),
-
   // معلومات النظام
   platform: process.platform,
   appVersion: () => ipcRenderer.invoke('app-version'),
@@ -0,0 +1,17 @@
+// حساب الربح في العملية الرئيسية (نفس معادلة src/utils/profit-calculator.ts)
+
+/**
+ * حساب الربح بناءً على السعر بعد الخصم
+ */
+const calculateProfit = (itemPrice, itemQuantity, purchasePrice, subtotal, total) => {
+  // نسبة السعر النهائي بعد الخصم (فاتورة بمجموع صفر لا تحقق إيراداً)
+  const finalPriceRatio = subtotal > 0 ? total / subtotal : 0;
+
+  // السعر الفعلي للعنصر بعد الخصم
+  const actualItemPrice = itemPrice * finalPriceRatio;
+
+  // الربح = (السعر الفعلي × الكمية) - (سعر الشراء × الكمية)
+  return (actualItemPrice * itemQuantity) - (purchasePrice * itemQuantity);
+};
+
+module.exports = { calculateProfit };
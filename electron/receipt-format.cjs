@@ -0,0 +1,238 @@
+// قوالب إيصال البيع للطابعات الحرارية: صفحة HTML بعرض الورق (58 أو 80 ملم) تطبعها الطابعة عبر النظام،
+// أو أوامر ESC/POS خام تُرسل إلى الطابعة مباشرة
+const { PAYMENT_METHOD_LABELS, roundMoney } = require('./payments.cjs');
+
+// عرض الورق والمساحة القابلة للطباعة بالملم وعدد الأحرف في السطر بالخط العادي
+const PAPER_SIZES = {
+  58: { width_mm: 58, printable_mm: 48, columns: 32, font_px: 10 },
+  80: { width_mm: 80, printable_mm: 72, columns: 48, font_px: 12 }
+};
+
+const CURRENCY_SYMBOLS = { DZD: 'دج', USD: '$', EUR: '€' };
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// 1500 => "1 500"، 12.5 => "12.50"
+const formatAmount = (value, currency = 'DZD') => {
+  const amount = roundMoney(Number(value) || 0);
+  const [whole, fraction] = Math.abs(amount).toFixed(2).split('.');
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ' ');
+  const text = `${amount < 0 ? '-' : ''}${grouped}${fraction === '00' ? '' : `.${fraction}`}`;
+  return `${text} ${CURRENCY_SYMBOLS[currency] || currency}`;
+};
+
+// تواريخ القاعدة بتوقيت UTC وتُطبع بالتوقيت المحلي
+const formatDate = (value) => {
+  const text = String(value);
+  const date = new Date(/^\d{4}-\d{2}-\d{2} /.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// سطور المجاميع في أسفل الإيصال [العنوان، المبلغ، بارز]
+const totalRows = (receipt) => {
+  const currency = receipt.gym.currency;
+  const rows = [['المجموع', formatAmount(receipt.subtotal, currency), false]];
+  if (receipt.discount > 0) {
+    rows.push(['الخصم', formatAmount(-receipt.discount, currency), false]);
+  }
+  rows.push(['الإجمالي', formatAmount(receipt.total, currency), true]);
+  if (receipt.returned > 0) {
+    rows.push(['المرتجع', formatAmount(-receipt.returned, currency), false]);
+  }
+  for (const payment of receipt.payments) {
+    const label = PAYMENT_METHOD_LABELS[payment.method] || payment.method;
+    rows.push([payment.reference ? `${label} (${payment.reference})` : label, formatAmount(payment.amount, currency), false]);
+  }
+  if (receipt.change > 0) {
+    rows.push(['الباقي للزبون', formatAmount(receipt.change, currency), true]);
+  }
+  if (receipt.remaining > 0) {
+    rows.push(['المتبقي ديناً', formatAmount(receipt.remaining, currency), true]);
+  }
+  return rows;
+};
+
+const headerLines = (receipt) => [receipt.gym.address, receipt.gym.phone && `الهاتف: ${receipt.gym.phone}`].filter(Boolean);
+
+const detailLines = (receipt) => [
+  `${receipt.title} رقم: ${receipt.number}`,
+  `التاريخ: ${formatDate(receipt.date)}`,
+  receipt.cashier && `البائع: ${receipt.cashier}`,
+  receipt.customer && receipt.customer.name && `الزبون: ${receipt.customer.name}${receipt.customer.phone ? ` - ${receipt.customer.phone}` : ''}`
+].filter(Boolean);
+
+/**
+ * صفحة الإيصال للطباعة عبر النظام أو حفظها PDF. قالب 80 ملم يعرض الأصناف في أعمدة،
+ * وقالب 58 ملم يضع الكمية والسعر تحت اسم الصنف حتى يتسع السطر
+ */
+const receiptHtml = (receipt, { paperWidth = 80, showLogo = true } = {}) => {
+  const paper = PAPER_SIZES[paperWidth];
+  const currency = receipt.gym.currency;
+  const wide = paperWidth === 80;
+
+  const lines = receipt.lines.map((line) => (wide
+    ? `<tr><td>${escapeHtml(line.name)}</td><td class="num">${line.quantity}</td><td class="num">${formatAmount(line.unit_price, currency)}</td><td class="num">${formatAmount(line.total, currency)}</td></tr>`
+    : `<tr><td colspan="2">${escapeHtml(line.name)}</td></tr><tr><td class="sub">${line.quantity} × ${formatAmount(line.unit_price, currency)}</td><td class="num">${formatAmount(line.total, currency)}</td></tr>`
+  )).join('\n');
+  const linesHead = wide
+    ? '<tr><th>الصنف</th><th class="num">الكمية</th><th class="num">السعر</th><th class="num">المجموع</th></tr>'
+    : '<tr><th>الصنف</th><th class="num">المجموع</th></tr>';
+  const totals = totalRows(receipt)
+    .map(([label, value, strong]) => `<tr${strong ? ' class="strong"' : ''}><td>${escapeHtml(label)}</td><td class="num">${value}</td></tr>`)
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="ar" dir="rtl">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(receipt.number)}</title>
+<style>
+  @page { margin: 0; }
+  body { width: ${paper.printable_mm}mm; margin: 0 auto; padding: 2mm 0; font-family: Tahoma, Arial, sans-serif; font-size: ${paper.font_px}px; color: #000; }
+  .center { text-align: center; }
+  .logo { max-width: 60%; max-height: 20mm; }
+  h1 { font-size: 1.4em; margin: 1mm 0; }
+  p { margin: 0.5mm 0; }
+  table { width: 100%; border-collapse: collapse; }
+  th { text-align: right; border-bottom: 1px solid #000; }
+  td { padding: 0.5mm 0; vertical-align: top; }
+  .num { text-align: left; white-space: nowrap; }
+  .sub { padding-right: 2mm; }
+  .strong td { font-weight: bold; font-size: 1.15em; }
+  hr { border: 0; border-top: 1px dashed #000; margin: 1.5mm 0; }
+</style>
+</head>
+<body>
+<div class="center">
+  ${showLogo && receipt.gym.logo ? `<img class="logo" src="${escapeHtml(receipt.gym.logo)}">` : ''}
+  <h1>${escapeHtml(receipt.gym.name)}</h1>
+  ${headerLines(receipt).map((line) => `<p>${escapeHtml(line)}</p>`).join('\n  ')}
+</div>
+<hr>
+${detailLines(receipt).map((line) => `<p>${escapeHtml(line)}</p>`).join('\n')}
+<hr>
+<table>
+${linesHead}
+${lines}
+</table>
+<hr>
+<table>
+${totals}
+</table>
+${receipt.gym.footer ? `<hr>\n<p class="center">${escapeHtml(receipt.gym.footer).replace(/\n/g, '<br>')}</p>` : ''}
+</body>
+</html>`;
+};
+
+// سطر من عمودين بعرض ثابت: العنوان في اليمين والمبلغ في اليسار
+const columnsRow = (label, value, columns) => {
+  const space = Math.max(1, columns - label.length - value.length);
+  return `${value}${' '.repeat(space)}${label}`;
+};
+
+/**
+ * سطور الإيصال النصي { text, align, bold, large } بعدد أحرف السطر، لطابعات ESC/POS.
+ * الشعار لا يُطبع في هذا الوضع ويُطبع اسم الصالة بخط مضاعف بدلاً منه
+ */
+const receiptLines = (receipt, columns) => {
+  const currency = receipt.gym.currency;
+  const separator = { text: '-'.repeat(columns), align: 'center' };
+  const lines = [
+    { text: receipt.gym.name, align: 'center', bold: true, large: true },
+    ...headerLines(receipt).map((text) => ({ text, align: 'center' })),
+    separator,
+    ...detailLines(receipt).map((text) => ({ text, align: 'right' })),
+    separator
+  ];
+  for (const line of receipt.lines) {
+    lines.push({ text: line.name, align: 'right' });
+    lines.push({ text: columnsRow(`${line.quantity} × ${formatAmount(line.unit_price, currency)}`, formatAmount(line.total, currency), columns), align: 'left' });
+  }
+  lines.push(separator);
+  for (const [label, value, strong] of totalRows(receipt)) {
+    lines.push({ text: columnsRow(label, value, columns), align: 'left', bold: strong });
+  }
+  if (receipt.gym.footer) {
+    lines.push(separator);
+    for (const text of receipt.gym.footer.split('\n')) {
+      lines.push({ text, align: 'center' });
+    }
+  }
+  return lines;
+};
+
+// معاينة الإيصال النصي كما تطبعه طابعة ESC/POS (بخط ثابت العرض)
+const linesHtml = (lines, { paperWidth = 80 } = {}) => {
+  const paper = PAPER_SIZES[paperWidth];
+  // عرض الحرف في الخط الثابت 0.6 من حجمه، فيُختار الحجم الذي يملأ السطر بعدد أحرفه
+  const fontPx = ((paper.printable_mm / paper.columns / 0.6) * (96 / 25.4)).toFixed(1);
+  const body = lines
+    .map((line) => `<div style="text-align: ${line.align};${line.bold ? ' font-weight: bold;' : ''}${line.large ? ' font-size: 2em;' : ''}">${escapeHtml(line.text) || '&nbsp;'}</div>`)
+    .join('\n');
+  return `<!DOCTYPE html>
+<html lang="ar">
+<head>
+<meta charset="utf-8">
+<style>
+  @page { margin: 0; }
+  body { width: ${paper.printable_mm}mm; margin: 0 auto; padding: 2mm 0; font-family: 'Courier New', monospace; font-size: ${fontPx}px; white-space: pre; color: #000; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+};
+
+// الأحرف العربية في جدول Windows-1256 (ما سواها وسوى ASCII يُطبع "?")
+const CP1256 = {
+  '€': 0x80, '،': 0xa1, '؛': 0xba, '؟': 0xbf, 'ء': 0xc1, 'آ': 0xc2, 'أ': 0xc3, 'ؤ': 0xc4, 'إ': 0xc5,
+  'ئ': 0xc6, 'ا': 0xc7, 'ب': 0xc8, 'ة': 0xc9, 'ت': 0xca, 'ث': 0xcb, 'ج': 0xcc, 'ح': 0xcd, 'خ': 0xce,
+  'د': 0xcf, 'ذ': 0xd0, 'ر': 0xd1, 'ز': 0xd2, 'س': 0xd3, 'ش': 0xd4, 'ص': 0xd5, 'ض': 0xd6, '×': 0xd7,
+  'ط': 0xd8, 'ظ': 0xd9, 'ع': 0xda, 'غ': 0xdb, 'ـ': 0xdc, 'ف': 0xdd, 'ق': 0xde, 'ك': 0xdf, 'ل': 0xe1,
+  'م': 0xe3, 'ن': 0xe4, 'ه': 0xe5, 'و': 0xe6, 'ى': 0xec, 'ي': 0xed, 'ً': 0xf0, 'ٌ': 0xf1, 'ٍ': 0xf2,
+  'َ': 0xf3, 'ُ': 0xf5, 'ِ': 0xf6, 'ّ': 0xf8, 'ْ': 0xfa
+};
+
+const encodeCp1256 = (text) => Buffer.from(Array.from(text, (char) => {
+  const code = char.charCodeAt(0);
+  if (code < 0x80) return code;
+  return CP1256[char] || 0x3f;
+}));
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const ALIGN = { left: 0, center: 1, right: 2 };
+
+/**
+ * أوامر ESC/POS للإيصال. النص العربي يُرسل بترميز Windows-1256 ورقم جدول الأحرف (codepage)
+ * يختلف حسب الطابعة، والطابعة هي التي تشكل الحروف العربية وتعرضها من اليمين
+ */
+const receiptEscPos = (receipt, { paperWidth = 80, codepage = 50 } = {}) => {
+  const chunks = [Buffer.from([ESC, 0x40, ESC, 0x74, codepage])];
+  for (const line of receiptLines(receipt, PAPER_SIZES[paperWidth].columns)) {
+    chunks.push(Buffer.from([ESC, 0x61, ALIGN[line.align], ESC, 0x45, line.bold ? 1 : 0, GS, 0x21, line.large ? 0x11 : 0]));
+    chunks.push(encodeCp1256(line.text), Buffer.from([0x0a]));
+  }
+  // تغذية الورق ثم القص
+  chunks.push(Buffer.from([ESC, 0x64, 4, GS, 0x56, 0x41, 0x03]));
+  return Buffer.concat(chunks);
+};
+
+// منافذ الطابعة التي تُرسل إليها الأوامر الخام: جهاز USB أو منفذ متوازي في Linux، منافذ LPT وCOM في Windows،
+// أو طابعة مشاركة \\الجهاز\المشاركة. أي مسار آخر ملف عادي لا يُكتب فيه
+const PRINTER_PORT_PATTERNS = [
+  /^\/dev\/usb\/lp\d+$/,
+  /^\/dev\/lp\d+$/,
+  /^(LPT[1-9]|COM[1-9]\d?):?$/i,
+  /^\\\\[^\\/:*?"<>|\s]+\\(?!\.+$)[^\\/:*?"<>|]+$/
+];
+
+const isPrinterPort = (device) => PRINTER_PORT_PATTERNS.some((pattern) => pattern.test(String(device || '')));
+
+module.exports = { PAPER_SIZES, formatAmount, receiptHtml, receiptLines, linesHtml, receiptEscPos, encodeCp1256, isPrinterPort };
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { DatabaseService } = require('../database.cjs');
+const { toCsv } = require('../csv.cjs');
+const { optionalId, optionalText, optionalDate } = require('../validation.cjs');
+
+// الجداول التي يمكن أخذ لقطة منها قبل العملية وبعدها
+const AUDITED_TABLES = [
+  'categories',
+  'products',
+  'stock_transfers',
+  'subscription_types',
+  'subscribers',
+  'invoices',
+  'purchases',
+  'internal_sales',
+  'customers',
+  'customer_payments',
+  'users',
+  'gyms',
+  'closed_periods'
+];
+
+// حقول لا تُحفظ في السجل أبداً
+const SECRET_FIELDS = ['password_hash', 'pin_hash'];
+
+// الصور المضمنة تُحفظ ببصمتها فقط، فيظهر تغييرها دون تضخيم السجل
+const IMAGE_FIELDS = ['logo'];
+
+const MAX_ROWS = 1000;
+
+const parseData = (raw) => {
+  try {
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const buildFilters = (filters = {}) => {
+  const conditions = [];
+  const params = [];
+  const userId = optionalId(filters.user_id, 'المستخدم');
+  const entityType = optionalText(filters.entity_type, 'نوع السجل', 64);
+  const start = optionalDate(filters.start, 'تاريخ البداية');
+  const end = optionalDate(filters.end, 'تاريخ النهاية');
+
+  if (userId) {
+    conditions.push('a.user_id = ?');
+    params.push(userId);
+  }
+  if (entityType) {
+    conditions.push('a.entity_type = ?');
+    params.push(entityType);
+  }
+  if (start) {
+    conditions.push('DATE(a.created_at) >= DATE(?)');
+    params.push(start);
+  }
+  if (end) {
+    conditions.push('DATE(a.created_at) <= DATE(?)');
+    params.push(end);
+  }
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+class AuditLogService {
+  async snapshot(table, id) {
+    if (!AUDITED_TABLES.includes(table)) {
+      throw new Error(`الجدول ${table} غير مدعوم في سجل العمليات`);
+    }
+    const row = await DatabaseService.get(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+    if (!row) {
+      return null;
+    }
+    for (const field of SECRET_FIELDS) {
+      delete row[field];
+    }
+    for (const field of IMAGE_FIELDS) {
+      if (row[field]) {
+        row[field] = `sha256:${crypto.createHash('sha256').update(row[field]).digest('hex').slice(0, 16)}`;
+      }
+    }
+    return row;
+  }
+
+  async record(actor, { action, entityType = null, entityId = null, before = null, after = null }) {
+    await DatabaseService.run(`
+      INSERT INTO audit_log (user_id, user_name, gym_id, action, entity_type, entity_id, before_data, after_data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      actor ? actor.id : null,
+      actor ? actor.full_name : null,
+      actor ? actor.gym_id : null,
+      action,
+      entityType,
+      entityId,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null
+    ]);
+  }
+
+  async list(filters) {
+    const { where, params } = buildFilters(filters);
+    const rows = await DatabaseService.query(`
+      SELECT a.*, g.name as gym_name
+      FROM audit_log a
+      LEFT JOIN gyms g ON a.gym_id = g.id
+      ${where}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT ${MAX_ROWS}
+    `, params);
+    return rows.map(({ before_data: before, after_data: after, ...row }) => ({
+      ...row,
+      before: parseData(before),
+      after: parseData(after)
+    }));
+  }
+
+  // قيم الفلاتر المتاحة في صفحة السجل
+  async filterOptions() {
+    const users = await DatabaseService.query(`
+      SELECT user_id as id, user_name as name
+      FROM audit_log
+      WHERE user_id IS NOT NULL
+      GROUP BY user_id
+      ORDER BY user_name
+    `);
+    const entityTypes = await DatabaseService.query(`
+      SELECT DISTINCT entity_type FROM audit_log WHERE entity_type IS NOT NULL ORDER BY entity_type
+    `);
+    return { users, entityTypes: entityTypes.map((row) => row.entity_type) };
+  }
+
+  async exportCsv(filters) {
+    const rows = await this.list(filters);
+    return toCsv([
+      { key: 'created_at', label: 'التاريخ' },
+      { key: 'user_name', label: 'المستخدم' },
+      { key: 'gym_name', label: 'الفرع' },
+      { key: 'action', label: 'العملية' },
+      { key: 'entity_type', label: 'نوع السجل' },
+      { key: 'entity_id', label: 'رقم السجل' },
+      { key: 'before', label: 'قبل' },
+      { key: 'after', label: 'بعد' }
+    ], rows);
+  }
+}
+
+module.exports = { AuditLogService: new AuditLogService() };
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+
+// صيغة النسخة المشفرة:
+//   MAGIC (8 بايت) | طول الترويسة (4 بايت) | الترويسة JSON | البيانات المضغوطة والمشفرة | وسم المصادقة (16 بايت)
+// الترويسة غير مشفرة حتى يمكن قراءة بياناتها دون كلمة المرور، لكنها داخلة في المصادقة
+// فأي تعديل عليها أو على البيانات يرفض الملف كاملاً
+const MAGIC = Buffer.from('GYMBAK01');
+const ARCHIVE_EXTENSION = '.gymbak';
+const FORMAT_VERSION = 1;
+const TAG_LENGTH = 16;
+const MAX_HEADER_LENGTH = 64 * 1024;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+// حد أعلى لمعاملات scrypt المقروءة من الملف حتى لا يستهلك ملف معدل الذاكرة كلها
+const MAX_SCRYPT_N = 2 ** 20;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+class BackupArchiveError extends Error {
+  // code: WRONG_PASSPHRASE أو TAMPERED أو INVALID
+  constructor(code, message) {
+    super(message);
+    this.name = 'BackupArchiveError';
+    this.code = code;
+  }
+}
+
+const archivePath = (backupPath) => `${backupPath.replace(/\.db$/i, '')}${ARCHIVE_EXTENSION}`;
+
+// مفتاحان من كلمة المرور: الأول للتشفير، والثاني لقيمة تحقق تميز كلمة المرور الخاطئة عن الملف المعدل
+const deriveKeys = (passphrase, salt, params) => new Promise((resolve, reject) => {
+  crypto.scrypt(passphrase, salt, 64, { ...params, maxmem: 256 * params.N * params.r }, (err, key) => {
+    if (err) return reject(err);
+    resolve({
+      key: key.subarray(0, 32),
+      check: crypto.createHash('sha256').update(key.subarray(32)).digest('hex')
+    });
+  });
+});
+
+const readBytes = async (handle, length, position) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+const isArchive = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    return (await readBytes(handle, MAGIC.length, 0)).equals(MAGIC);
+  } finally {
+    await handle.close();
+  }
+};
+
+// قراءة الترويسة دون فك التشفير. prefix هو الجزء الداخل في المصادقة
+const readHeader = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const start = await readBytes(handle, MAGIC.length + 4, 0);
+    if (start.length < MAGIC.length + 4 || !start.subarray(0, MAGIC.length).equals(MAGIC)) {
+      throw new BackupArchiveError('INVALID', 'الملف ليس نسخة احتياطية مشفرة');
+    }
+    const headerLength = start.readUInt32BE(MAGIC.length);
+    const offset = MAGIC.length + 4 + headerLength;
+    if (headerLength > MAX_HEADER_LENGTH || offset + TAG_LENGTH >= size) {
+      throw new BackupArchiveError('TAMPERED', 'ملف النسخة المشفرة تالف أو ناقص');
+    }
+    const headerBytes = await readBytes(handle, headerLength, MAGIC.length + 4);
+    let header;
+    try {
+      header = JSON.parse(headerBytes.toString('utf8'));
+    } catch (error) {
+      throw new BackupArchiveError('TAMPERED', 'ترويسة النسخة المشفرة تالفة');
+    }
+    if (header.format !== FORMAT_VERSION) {
+      throw new BackupArchiveError('INVALID', `صيغة النسخة المشفرة غير مدعومة (${header.format})`);
+    }
+    const kdf = header.kdf || {};
+    if (!(kdf.N > 1 && kdf.N <= MAX_SCRYPT_N && kdf.r >= 1 && kdf.r <= 32 && kdf.p >= 1 && kdf.p <= 16)) {
+      throw new BackupArchiveError('TAMPERED', 'ترويسة النسخة المشفرة تالفة');
+    }
+    return { header, prefix: Buffer.concat([start, headerBytes]), offset, size };
+  } finally {
+    await handle.close();
+  }
+};
+
+// الكتابة في ملف مؤقت ثم إعادة التسمية، فلا يبقى ملف ناقص باسم النسخة
+const encryptFile = async (sourcePath, targetPath, passphrase, metadata = {}) => {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const { key, check } = await deriveKeys(passphrase, salt, SCRYPT_PARAMS);
+  const headerBytes = Buffer.from(JSON.stringify({
+    format: FORMAT_VERSION,
+    cipher: 'aes-256-gcm',
+    compression: 'gzip',
+    kdf: { name: 'scrypt', ...SCRYPT_PARAMS, salt: salt.toString('base64') },
+    iv: iv.toString('base64'),
+    check,
+    ...metadata
+  }), 'utf8');
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(headerBytes.length);
+  const prefix = Buffer.concat([MAGIC, length, headerBytes]);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(prefix);
+  const partialPath = `${targetPath}.partial`;
+  try {
+    fs.writeFileSync(partialPath, prefix);
+    await pipeline(
+      fs.createReadStream(sourcePath),
+      zlib.createGzip(),
+      cipher,
+      fs.createWriteStream(partialPath, { flags: 'a' })
+    );
+    fs.appendFileSync(partialPath, cipher.getAuthTag());
+    fs.renameSync(partialPath, targetPath);
+  } catch (error) {
+    fs.rmSync(partialPath, { force: true });
+    throw error;
+  }
+  return targetPath;
+};
+
+// الملف الناتج لا يُعتمد إلا بعد نجاح المصادقة في آخر البيانات، وإلا يُحذف
+const decryptFile = async (archiveFile, targetPath, passphrase) => {
+  const { header, prefix, offset, size } = await readHeader(archiveFile);
+  const { key, check } = await deriveKeys(passphrase, Buffer.from(header.kdf.salt, 'base64'), {
+    N: header.kdf.N,
+    r: header.kdf.r,
+    p: header.kdf.p
+  });
+  if (check !== header.check) {
+    throw new BackupArchiveError('WRONG_PASSPHRASE', 'كلمة مرور النسخة الاحتياطية غير صحيحة');
+  }
+
+  const handle = await fs.promises.open(archiveFile, 'r');
+  let tag;
+  try {
+    tag = await readBytes(handle, TAG_LENGTH, size - TAG_LENGTH);
+  } finally {
+    await handle.close();
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(header.iv, 'base64'));
+  decipher.setAAD(prefix);
+  decipher.setAuthTag(tag);
+  const partialPath = `${targetPath}.partial`;
+  try {
+    await pipeline(
+      fs.createReadStream(archiveFile, { start: offset, end: size - TAG_LENGTH - 1 }),
+      decipher,
+      zlib.createGunzip(),
+      fs.createWriteStream(partialPath)
+    );
+    fs.renameSync(partialPath, targetPath);
+  } catch (error) {
+    fs.rmSync(partialPath, { force: true });
+    // كلمة المرور صحيحة، فأي فشل هنا يعني أن الملف تغير بعد إنشائه
+    throw new BackupArchiveError('TAMPERED', 'ملف النسخة المشفرة تالف أو تم التلاعب به');
+  }
+  return header;
+};
+
+module.exports = {
+  ARCHIVE_EXTENSION,
+  MIN_PASSPHRASE_LENGTH,
+  BackupArchiveError,
+  archivePath,
+  isArchive,
+  readHeader,
+  encryptFile,
+  decryptFile
+};
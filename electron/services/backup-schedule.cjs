@@ -0,0 +1,100 @@
+const { ensureObject, requireId, requireBoolean, requireOneOf, ValidationError } = require('../validation.cjs');
+
+// جدول النسخ التلقائي: التكرار ووقت التنفيذ والوجهات. الأسبوعي يوم الأحد والشهري أول الشهر.
+// destination_ids: الوجهات التي تُرسل إليها النسخ المجدولة، و null تعني جميع الوجهات المفعلة
+const FREQUENCIES = ['manual', 'daily', 'weekly', 'monthly'];
+const DEFAULT_SCHEDULE = { frequency: 'manual', time: '02:00', destination_ids: null, backup_on_exit: false };
+
+// آخر نسخة سليمة تعتبر قديمة بعد هذا العدد من الأيام
+const STALE_AFTER_DAYS = { manual: 7, daily: 2, weekly: 8, monthly: 32 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseTime = (time) => time.split(':').map(Number);
+
+const normalizeSchedule = (payload) => {
+  ensureObject(payload);
+  const frequency = requireOneOf(payload.frequency, FREQUENCIES, 'تكرار النسخ التلقائي');
+  const time = typeof payload.time === 'string' ? payload.time : DEFAULT_SCHEDULE.time;
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+    throw new ValidationError('وقت النسخ التلقائي غير صالح');
+  }
+  let destinationIds = null;
+  if (Array.isArray(payload.destination_ids)) {
+    destinationIds = [...new Set(payload.destination_ids.map((id) => requireId(id, 'رقم الوجهة')))];
+  }
+  return {
+    frequency,
+    time,
+    destination_ids: destinationIds,
+    backup_on_exit: requireBoolean(payload.backup_on_exit)
+  };
+};
+
+const cronPattern = ({ frequency, time }) => {
+  const [hour, minute] = parseTime(time);
+  switch (frequency) {
+    case 'daily':
+      return `${minute} ${hour} * * *`;
+    case 'weekly':
+      return `${minute} ${hour} * * 0`;
+    case 'monthly':
+      return `${minute} ${hour} 1 * *`;
+    default:
+      return null;
+  }
+};
+
+// آخر موعد مجدول قبل now (أو يساويه)، و null للنسخ اليدوي
+const previousRun = ({ frequency, time }, now = new Date()) => {
+  const [hour, minute] = parseTime(time);
+  const run = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hour, minute);
+  switch (frequency) {
+    case 'daily':
+      if (run > now) run.setDate(run.getDate() - 1);
+      return run;
+    case 'weekly':
+      run.setDate(run.getDate() - run.getDay());
+      if (run > now) run.setDate(run.getDate() - 7);
+      return run;
+    case 'monthly':
+      run.setDate(1);
+      if (run > now) run.setMonth(run.getMonth() - 1);
+      return run;
+    default:
+      return null;
+  }
+};
+
+const nextRun = (schedule, now = new Date()) => {
+  const run = previousRun(schedule, now);
+  if (!run) {
+    return null;
+  }
+  if (schedule.frequency === 'daily') run.setDate(run.getDate() + 1);
+  if (schedule.frequency === 'weekly') run.setDate(run.getDate() + 7);
+  if (schedule.frequency === 'monthly') run.setMonth(run.getMonth() + 1);
+  return run;
+};
+
+// فات موعد مجدول إذا لم تُنشأ نسخة سليمة بعده (الجهاز كان مطفأ في وقت النسخ مثلاً)
+const isMissed = (schedule, lastSuccessAt, now = new Date()) => {
+  const due = previousRun(schedule, now);
+  return Boolean(due) && (!lastSuccessAt || new Date(lastSuccessAt) < due);
+};
+
+const isStale = (schedule, lastSuccessAt, now = new Date()) => (
+  !lastSuccessAt || now - new Date(lastSuccessAt) > STALE_AFTER_DAYS[schedule.frequency] * DAY_MS
+);
+
+module.exports = {
+  FREQUENCIES,
+  DEFAULT_SCHEDULE,
+  STALE_AFTER_DAYS,
+  normalizeSchedule,
+  cronPattern,
+  previousRun,
+  nextRun,
+  isMissed,
+  isStale
+};
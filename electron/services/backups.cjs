@@ -0,0 +1,719 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3');
+const { app, safeStorage } = require('electron');
+const { DatabaseService } = require('../database.cjs');
+const { MIGRATIONS } = require('../migrations.cjs');
+const { ensureObject, requireId, optionalInteger, ValidationError } = require('../validation.cjs');
+const { ARCHIVE_EXTENSION, MIN_PASSPHRASE_LENGTH, BackupArchiveError, archivePath, isArchive, encryptFile, decryptFile } = require('./backup-archive.cjs');
+const { DEFAULT_SCHEDULE, normalizeSchedule, nextRun, isStale } = require('./backup-schedule.cjs');
+
+// قواعد الاحتفاظ الافتراضية: آخر نسخة من كل يوم/أسبوع/شهر ضمن هذا العدد
+const DEFAULT_RETENTION = { daily: 7, weekly: 4, monthly: 6 };
+const MAX_RETENTION = 365;
+// المصادر التي تُحذف نسخها تلقائياً حسب قواعد الاحتفاظ. النسخ في مسار اختاره المستخدم لا تُحذف
+const PRUNABLE_TRIGGERS = ['manual', 'auto', 'exit', 'legacy'];
+// لقطات ما قبل الاستعادة والإصلاح وإقفال الفترة واستيراد بيانات فرع لها عدد ثابت خاص بكل نوع
+const SNAPSHOT_TRIGGERS = ['pre-restore', 'pre-repair', 'pre-close', 'pre-import'];
+const SNAPSHOTS_KEPT = 5;
+
+// الجداول التي يجب أن توجد في أي قاعدة بيانات للبرنامج
+const REQUIRED_TABLES = ['gyms', 'users', 'products', 'subscribers', 'invoices'];
+// الجداول المعروضة في معاينة الاستعادة
+const PREVIEW_TABLES = ['gyms', 'users', 'products', 'subscribers', 'invoices', 'purchases', 'internal_sales', 'customers'];
+
+class BackupVerificationError extends Error {
+  constructor(message) {
+    super(`فشل التحقق من النسخة الاحتياطية: ${message}`);
+    this.name = 'BackupVerificationError';
+  }
+}
+
+// بيانات كل نسخة تُحفظ بجانبها في ملف JSON بنفس الاسم
+const manifestPath = (backupPath) => `${backupPath}.json`;
+
+const backupDirectory = () => path.join(app.getPath('userData'), 'backups');
+const cataloguePath = () => path.join(backupDirectory(), 'catalogue.json');
+// التشفير والجدول وقواعد الاحتفاظ في ملف منفصل عن الفهرس، فلا يضيع معه إذا تلف
+const settingsPath = () => path.join(backupDirectory(), 'settings.json');
+
+const removeFile = (filePath) => fs.rmSync(filePath, { force: true });
+
+const dayKey = (date) => `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+const monthKey = (date) => `${date.getFullYear()}-${date.getMonth() + 1}`;
+// الأسبوع يبدأ يوم الإثنين
+const weekKey = (date) => {
+  const monday = new Date(date);
+  monday.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return dayKey(monday);
+};
+
+// كل ما تكتبه النسخ في مجلدها: قواعد .db وأرشيفات .gymbak المشفرة، ومنها لقطات ما قبل الاستعادة وغيرها
+const BACKUP_FILE_PATTERN = /^gym-.*\.(db|gymbak)$/;
+// مصدر النسخة من اسمها: gym-pre-restore-... أو gym-auto-backup-...، وgym-backup-... نسخة يدوية
+const triggerOfFile = (file) => {
+  const match = file.match(/^gym-(pre-[a-z]+|[a-z]+(?=-backup-))-/);
+  if (!match) {
+    return file.startsWith('gym-backup-') ? 'manual' : 'legacy';
+  }
+  return [...PRUNABLE_TRIGGERS, ...SNAPSHOT_TRIGGERS].includes(match[1]) ? match[1] : 'legacy';
+};
+
+const readJson = (filePath) => {
+  try {
+    const value = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return value && typeof value === 'object' ? value : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// الكتابة عبر ملف مؤقت حتى لا يتلف الملف إذا توقف البرنامج أثناءها
+const writeJson = (filePath, value) => {
+  const partialPath = `${filePath}.partial`;
+  fs.writeFileSync(partialPath, JSON.stringify(value, null, 2));
+  fs.renameSync(partialPath, filePath);
+};
+
+// بناء سجلات الفهرس من النسخ الموجودة في المجلد، الأحدث أولاً، مع بيانات التحقق المحفوظة بجانب كل نسخة
+const scanBackups = () => {
+  const dir = backupDirectory();
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const entries = fs.readdirSync(dir)
+    .filter((file) => BACKUP_FILE_PATTERN.test(file))
+    .map((file) => {
+      const filePath = path.join(dir, file);
+      const stat = fs.statSync(filePath);
+      const manifest = readJson(manifestPath(filePath)) || {};
+      return {
+        path: filePath,
+        file,
+        trigger: triggerOfFile(file),
+        created_at: manifest.created_at || stat.mtime.toISOString(),
+        duration_ms: null,
+        size: stat.size,
+        sha256: manifest.sha256 || null,
+        schema_version: manifest.schema_version || null,
+        encrypted: file.endsWith(ARCHIVE_EXTENSION),
+        verified: manifest.verified === undefined ? null : manifest.verified,
+        error: manifest.error || null,
+        uploads: {}
+      };
+    })
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  return entries.map((entry, index) => ({ id: index + 1, ...entry })).reverse();
+};
+
+// السجلات القديمة فيها حقل upload واحد لرفع Google Drive
+const uploadsOf = (entry) => {
+  if (entry.uploads) {
+    return entry.uploads;
+  }
+  return entry.upload ? { 'google-drive': { destination: 'Google Drive', type: 'google_drive', ...entry.upload } } : {};
+};
+
+const fileChecksum = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', (chunk) => hash.update(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+const openReadOnly = (filePath) => new Promise((resolve, reject) => {
+  const db = new sqlite3.Database(filePath, sqlite3.OPEN_READONLY, (err) => (err ? reject(err) : resolve(db)));
+});
+
+const all = (db, sql) => new Promise((resolve, reject) => {
+  db.all(sql, [], (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+const closeDb = (db) => new Promise((resolve) => db.close(() => resolve()));
+
+// فتح النسخة كقاعدة مستقلة وفحصها دون لمس القاعدة الحالية
+const inspect = async (filePath) => {
+  const db = await openReadOnly(filePath);
+  try {
+    const integrity = (await all(db, 'PRAGMA integrity_check(20)')).map((row) => Object.values(row)[0]);
+    const version = await all(db, 'SELECT MAX(version) as version FROM schema_version')
+      .catch(() => [{ version: null }]);
+    const tables = await all(db, `
+      SELECT name FROM sqlite_master
+      WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+      ORDER BY name
+    `);
+    const rowCounts = {};
+    for (const table of tables) {
+      const [row] = await all(db, `SELECT COUNT(*) as count FROM "${table.name}"`);
+      rowCounts[table.name] = row.count;
+    }
+    return {
+      integrity_ok: integrity.length === 1 && integrity[0] === 'ok',
+      integrity_messages: integrity.filter((message) => message !== 'ok'),
+      schema_version: version[0].version,
+      row_counts: rowCounts
+    };
+  } finally {
+    await closeDb(db);
+  }
+};
+
+// عدد السجلات وأقدم وأحدث تاريخ في جداول المعاينة. query تنفذ على القاعدة المطلوبة
+const collectStats = async (query) => {
+  const existing = new Set((await query("SELECT name FROM sqlite_master WHERE type = 'table'")).map((row) => row.name));
+  const stats = {};
+  for (const table of PREVIEW_TABLES) {
+    if (!existing.has(table)) {
+      stats[table] = null;
+      continue;
+    }
+    const columns = (await query(`PRAGMA table_info("${table}")`)).map((column) => column.name);
+    const [row] = await query(columns.includes('created_at')
+      ? `SELECT COUNT(*) as rows, MIN(created_at) as first, MAX(created_at) as last FROM "${table}"`
+      : `SELECT COUNT(*) as rows, NULL as first, NULL as last FROM "${table}"`);
+    stats[table] = row;
+  }
+  return { tables: existing, stats };
+};
+
+// إنشاء النسخ الاحتياطية والتحقق منها: كل نسخة تُفتح بعد إنشائها وتُفحص سلامتها،
+// ويُسجل بجانبها ملخص SHA-256 والإصدار وعدد السجلات. النسخة التي تفشل في التحقق
+// تبقى على القرص مع بيانات تشير إلى فشلها، لكن العملية تُعتبر فاشلة.
+// فهرس النسخ (catalogue.json) وإعداداتها (settings.json) في مجلد النسخ وليس في القاعدة، حتى لا تغيرهما الاستعادة
+class BackupService {
+  constructor() {
+    // آخر استعادة في هذا التشغيل، للتراجع عنها بضغطة واحدة
+    this.lastRestore = null;
+  }
+
+  ensureDirectory() {
+    const dir = backupDirectory();
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+  }
+
+  // الفهرس المحمّل يجمع سجلات النسخ من catalogue.json والإعدادات من settings.json. عند أول استخدام
+  // أو إذا تلف الفهرس (تعديل يدوي أو قرص ممتلئ) يُنقل إلى catalogue.json.corrupt وتُبنى السجلات
+  // من النسخ الموجودة في المجلد، وتبقى الإعدادات كما هي
+  loadCatalogue() {
+    const exists = fs.existsSync(cataloguePath());
+    const stored = exists ? readJson(cataloguePath()) : null;
+    const settings = this.loadSettings(stored);
+    if (exists && !stored) {
+      console.error('Backup catalogue is corrupt, rebuilding it from the backups on disk');
+      fs.renameSync(cataloguePath(), `${cataloguePath()}.corrupt`);
+    }
+    if (!stored) {
+      const entries = scanBackups();
+      return this.saveCatalogue({ next_id: entries.length + 1, ...settings, entries });
+    }
+    return {
+      next_id: stored.next_id || 1,
+      ...settings,
+      entries: Array.isArray(stored.entries) ? stored.entries : []
+    };
+  }
+
+  // الإصدارات السابقة حفظت الإعدادات داخل الفهرس، فتُنقل منه إلى ملفها عند أول تحميل.
+  // ملف الإعدادات التالف لا يُستبدل بالقيم الافتراضية حتى لا تتوقف النسخ المشفرة أو المجدولة دون علم المستخدم
+  loadSettings(stored) {
+    let settings = stored || {};
+    if (fs.existsSync(settingsPath())) {
+      settings = readJson(settingsPath());
+      if (!settings) {
+        throw new Error(`ملف إعدادات النسخ الاحتياطية تالف: ${settingsPath()}. أصلحه أو احذفه ثم أعد ضبط التشفير والجدول`);
+      }
+    }
+    const result = {
+      retention: { ...DEFAULT_RETENTION, ...settings.retention },
+      encryption: settings.encryption || { enabled: false, passphrase: null },
+      schedule: settings.schedule || null
+    };
+    if (!fs.existsSync(settingsPath())) {
+      this.ensureDirectory();
+      writeJson(settingsPath(), result);
+    }
+    return result;
+  }
+
+  saveCatalogue({ next_id: nextId, retention, encryption, schedule, entries }) {
+    this.ensureDirectory();
+    writeJson(settingsPath(), { retention, encryption, schedule });
+    writeJson(cataloguePath(), { next_id: nextId, entries });
+    return { next_id: nextId, retention, encryption, schedule, entries };
+  }
+
+  // كل تعديل على الفهرس يُقرأ ويُكتب دفعة واحدة
+  updateCatalogue(change) {
+    const catalogue = this.loadCatalogue();
+    const result = change(catalogue);
+    this.saveCatalogue(catalogue);
+    return result;
+  }
+
+  encryptionStatus() {
+    const { encryption } = this.loadCatalogue();
+    return { enabled: Boolean(encryption.enabled), available: safeStorage.isEncryptionAvailable() };
+  }
+
+  // كلمة المرور تُحفظ مشفرة بمفتاح نظام التشغيل حتى تعمل النسخ المجدولة دون سؤال المستخدم
+  setEncryption(payload) {
+    ensureObject(payload);
+    let encryption = { enabled: false, passphrase: null };
+    if (payload.enabled) {
+      if (typeof payload.passphrase !== 'string' || payload.passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new ValidationError(`كلمة مرور النسخ الاحتياطية يجب أن تكون ${MIN_PASSPHRASE_LENGTH} أحرف على الأقل`);
+      }
+      if (!safeStorage.isEncryptionAvailable()) {
+        throw new ValidationError('حفظ كلمة المرور بأمان غير متاح على هذا الجهاز');
+      }
+      encryption = { enabled: true, passphrase: safeStorage.encryptString(payload.passphrase).toString('base64') };
+    }
+    this.updateCatalogue((catalogue) => {
+      catalogue.encryption = encryption;
+    });
+    return this.encryptionStatus();
+  }
+
+  backupPassphrase() {
+    const { encryption } = this.loadCatalogue();
+    if (!encryption.enabled || !encryption.passphrase) {
+      return null;
+    }
+    return safeStorage.decryptString(Buffer.from(encryption.passphrase, 'base64'));
+  }
+
+  // جدول النسخ التلقائي محفوظ في ملف الإعدادات حتى يبقى بعد إعادة التشغيل والاستعادة
+  hasSchedule() {
+    return Boolean(this.loadCatalogue().schedule);
+  }
+
+  schedule() {
+    return { ...DEFAULT_SCHEDULE, ...this.loadCatalogue().schedule };
+  }
+
+  setSchedule(payload) {
+    const schedule = normalizeSchedule(payload);
+    this.updateCatalogue((catalogue) => {
+      catalogue.schedule = schedule;
+    });
+    return schedule;
+  }
+
+  // أحدث نسخة سليمة موجودة على القرص. لقطات ما قبل الاستعادة لا تُحسب
+  lastSuccess() {
+    return this.loadCatalogue().entries
+      .find((entry) => entry.verified && entry.trigger !== 'pre-restore' && fs.existsSync(entry.path)) || null;
+  }
+
+  status() {
+    const schedule = this.schedule();
+    const last = this.lastSuccess();
+    const next = nextRun(schedule);
+    return {
+      schedule,
+      last_success: last ? { id: last.id, file: last.file, trigger: last.trigger, created_at: last.created_at } : null,
+      stale: isStale(schedule, last && last.created_at),
+      next_run: next ? next.toISOString() : null
+    };
+  }
+
+  // trigger: مصدر النسخة (manual أو auto أو custom ...) ويحدد إن كانت تُحذف تلقائياً.
+  // إذا كان التشفير مفعلاً تُحفظ النسخة كأرشيف مشفر بامتداد .gymbak بدل .db،
+  // عدا لقطات ما قبل الاستعادة فهي لا تغادر الجهاز. المسار الفعلي في path من النتيجة
+  async create(requestedPath, { trigger = 'manual' } = {}) {
+    // تحميل الفهرس قبل إنشاء الملف حتى لا تُعتبر النسخة الجديدة نسخة قديمة عند إنشائه
+    this.loadCatalogue();
+    const passphrase = trigger === 'pre-restore' ? null : this.backupPassphrase();
+    const backupPath = passphrase ? archivePath(requestedPath) : requestedPath;
+    const startedAt = Date.now();
+    let manifest;
+    let failure = null;
+    try {
+      if (passphrase) {
+        await this.createArchive(backupPath, passphrase);
+      } else {
+        await DatabaseService.backup(backupPath);
+      }
+      manifest = await this.verify(backupPath, passphrase);
+    } catch (error) {
+      failure = error;
+      manifest = { file: path.basename(backupPath), size: 0, sha256: null, schema_version: null, encrypted: Boolean(passphrase), verified: false, error: error.message };
+    }
+
+    const entry = this.updateCatalogue((catalogue) => {
+      const added = {
+        id: catalogue.next_id,
+        path: backupPath,
+        file: manifest.file,
+        trigger,
+        created_at: new Date(startedAt).toISOString(),
+        duration_ms: Date.now() - startedAt,
+        size: manifest.size,
+        sha256: manifest.sha256,
+        schema_version: manifest.schema_version,
+        encrypted: manifest.encrypted,
+        verified: manifest.verified,
+        error: manifest.error,
+        uploads: {}
+      };
+      catalogue.next_id += 1;
+      catalogue.entries.unshift(added);
+      return added;
+    });
+
+    if (failure) {
+      throw failure;
+    }
+    if (!manifest.verified) {
+      throw new BackupVerificationError(manifest.error);
+    }
+    this.prune();
+    return entry;
+  }
+
+  // النسخة تُكتب أولاً كملف SQLite مؤقت ثم تُضغط وتُشفر، والملف المؤقت يُحذف في كل الأحوال
+  async createArchive(backupPath, passphrase) {
+    const plainPath = `${backupPath}.plain.partial`;
+    try {
+      await DatabaseService.backup(plainPath);
+      const version = await DatabaseService.get('SELECT MAX(version) as version FROM schema_version');
+      await encryptFile(plainPath, backupPath, passphrase, {
+        created_at: new Date().toISOString(),
+        app_version: app.getVersion(),
+        schema_version: version.version
+      });
+    } finally {
+      removeFile(plainPath);
+    }
+  }
+
+  list() {
+    const catalogue = this.loadCatalogue();
+    return {
+      retention: catalogue.retention,
+      entries: catalogue.entries.map((entry) => ({ ...entry, uploads: uploadsOf(entry), exists: fs.existsSync(entry.path) }))
+    };
+  }
+
+  get(id) {
+    const backupId = requireId(id, 'رقم النسخة');
+    const entry = this.loadCatalogue().entries.find((item) => item.id === backupId);
+    if (!entry) {
+      throw new ValidationError('النسخة الاحتياطية غير موجودة في السجل');
+    }
+    return entry;
+  }
+
+  // حالة إرسال النسخة إلى كل وجهة، بمفتاح رقم الوجهة
+  setUpload(id, destinationId, upload) {
+    return this.updateCatalogue((catalogue) => {
+      const entry = catalogue.entries.find((item) => item.id === id);
+      if (entry) {
+        entry.uploads = { ...uploadsOf(entry), [destinationId]: { ...upload, updated_at: new Date().toISOString() } };
+        delete entry.upload;
+      }
+      return entry;
+    });
+  }
+
+  setRetention(payload) {
+    ensureObject(payload);
+    const retention = {};
+    for (const key of Object.keys(DEFAULT_RETENTION)) {
+      const value = optionalInteger(payload[key], 'عدد النسخ المحتفظ بها');
+      if (value === null || value > MAX_RETENTION) {
+        throw new ValidationError(`عدد النسخ المحتفظ بها يجب أن يكون بين 0 و ${MAX_RETENTION}`);
+      }
+      retention[key] = value;
+    }
+    this.updateCatalogue((catalogue) => {
+      catalogue.retention = retention;
+    });
+    this.prune();
+    return retention;
+  }
+
+  // يُحتفظ بأحدث نسخة سليمة دائماً، وبآخر نسخة من كل يوم وأسبوع وشهر ضمن العدد المحدد.
+  // النسخ التي فشل التحقق منها لا تُحذف تلقائياً حتى يراها المستخدم في السجل
+  prune() {
+    return this.updateCatalogue((catalogue) => {
+      const { retention } = catalogue;
+      const candidates = catalogue.entries
+        .filter((entry) => PRUNABLE_TRIGGERS.includes(entry.trigger) && entry.verified !== false)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+      const keep = new Set(candidates.slice(0, 1).map((entry) => entry.id));
+      const keepLatestPer = (count, keyOf) => {
+        const seen = new Set();
+        for (const entry of candidates) {
+          const key = keyOf(new Date(entry.created_at));
+          if (seen.has(key)) continue;
+          if (seen.size >= count) break;
+          seen.add(key);
+          keep.add(entry.id);
+        }
+      };
+      keepLatestPer(retention.daily, dayKey);
+      keepLatestPer(retention.weekly, weekKey);
+      keepLatestPer(retention.monthly, monthKey);
+
+      const pruned = candidates.filter((entry) => !keep.has(entry.id));
+      for (const trigger of SNAPSHOT_TRIGGERS) {
+        pruned.push(...catalogue.entries
+          .filter((entry) => entry.trigger === trigger)
+          .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+          .slice(SNAPSHOTS_KEPT));
+      }
+      for (const entry of pruned) {
+        removeFile(entry.path);
+        removeFile(manifestPath(entry.path));
+      }
+      const prunedIds = new Set(pruned.map((entry) => entry.id));
+      catalogue.entries = catalogue.entries.filter((entry) => !prunedIds.has(entry.id));
+      if (pruned.length > 0) {
+        console.log(`Pruned ${pruned.length} old backup(s)`);
+      }
+      return pruned.length;
+    });
+  }
+
+  remove(id) {
+    const entry = this.get(id);
+    removeFile(entry.path);
+    removeFile(manifestPath(entry.path));
+    this.updateCatalogue((catalogue) => {
+      catalogue.entries = catalogue.entries.filter((item) => item.id !== entry.id);
+    });
+    return { id: entry.id };
+  }
+
+  // الملف المطلوب استعادته: نسخة من السجل (id) أو ملف اختاره المستخدم (path)
+  async resolveSource(source) {
+    ensureObject(source);
+    if (source.id !== undefined && source.id !== null) {
+      const entry = await this.ensureIntact(this.get(source.id));
+      return entry.path;
+    }
+    if (typeof source.path !== 'string' || !fs.existsSync(source.path)) {
+      throw new ValidationError('ملف النسخة الاحتياطية غير موجود');
+    }
+    return source.path;
+  }
+
+  // فحص الملف قبل الاستعادة ومقارنة محتواه بالبيانات الحالية. الملف لا يُعدل.
+  // الأرشيف المشفر يحتاج كلمة المرور في source.passphrase ويُفك في ملف مؤقت،
+  // ويُرجع مع المعاينة مسار الملف القابل للاستعادة ودالة discard لحذف المؤقت
+  async examine(source) {
+    const filePath = await this.resolveSource(source);
+    const errors = [];
+    const current = await collectStats((sql) => DatabaseService.query(sql));
+    const currentVersion = await DatabaseService.get('SELECT MAX(version) as version FROM schema_version');
+    const latestVersion = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    const encrypted = await isArchive(filePath);
+    let passphraseRequired = false;
+    let plainPath = encrypted ? null : filePath;
+    if (encrypted && !source.passphrase) {
+      passphraseRequired = true;
+      errors.push('هذه النسخة مشفرة بكلمة مرور');
+    } else if (encrypted) {
+      const temporaryPath = path.join(this.ensureDirectory(), `restore-${Date.now()}.tmp`);
+      try {
+        await decryptFile(filePath, temporaryPath, source.passphrase);
+        plainPath = temporaryPath;
+      } catch (error) {
+        if (!(error instanceof BackupArchiveError)) throw error;
+        passphraseRequired = error.code === 'WRONG_PASSPHRASE';
+        errors.push(error.message);
+      }
+    }
+
+    let candidate = { tables: new Set(), stats: {} };
+    let schemaVersion = null;
+    let db = null;
+    try {
+      if (plainPath) {
+        db = await openReadOnly(plainPath);
+        const integrity = (await all(db, 'PRAGMA integrity_check(20)')).map((row) => Object.values(row)[0]);
+        if (!(integrity.length === 1 && integrity[0] === 'ok')) {
+          errors.push(`فحص السلامة فشل: ${integrity.join('; ')}`);
+        }
+        candidate = await collectStats((sql) => all(db, sql));
+        const missing = REQUIRED_TABLES.filter((table) => !candidate.tables.has(table));
+        if (missing.length > 0) {
+          errors.push(`الملف ليس قاعدة بيانات لهذا البرنامج (جداول ناقصة: ${missing.join('، ')})`);
+        }
+        if (candidate.tables.has('schema_version')) {
+          const [row] = await all(db, 'SELECT MAX(version) as version FROM schema_version');
+          schemaVersion = row.version || 0;
+        } else {
+          schemaVersion = 0;
+        }
+        if (schemaVersion > latestVersion) {
+          errors.push(`النسخة من إصدار أحدث من البرنامج (الإصدار ${schemaVersion})، يرجى تحديث البرنامج أولاً`);
+        }
+      }
+    } catch (error) {
+      errors.push(error.code === 'SQLITE_NOTADB' ? 'الملف ليس قاعدة بيانات SQLite' : error.message);
+    } finally {
+      if (db) {
+        await closeDb(db);
+      }
+    }
+
+    const stat = fs.statSync(filePath);
+    const preview = {
+      file: path.basename(filePath),
+      path: filePath,
+      size: stat.size,
+      modified_at: stat.mtime.toISOString(),
+      encrypted,
+      passphrase_required: passphraseRequired,
+      schema_version: schemaVersion,
+      current_schema_version: currentVersion.version,
+      latest_schema_version: latestVersion,
+      valid: errors.length === 0,
+      errors,
+      tables: PREVIEW_TABLES.map((name) => ({
+        name,
+        candidate: candidate.stats[name] || null,
+        current: current.stats[name] || null
+      }))
+    };
+    const discard = () => {
+      if (plainPath && plainPath !== filePath) {
+        removeFile(plainPath);
+      }
+    };
+    return { preview, plainPath, discard };
+  }
+
+  async preview(source) {
+    const { preview, discard } = await this.examine(source);
+    discard();
+    return preview;
+  }
+
+  // تُؤخذ لقطة من البيانات الحالية قبل الاستبدال، وإذا فشلت الاستعادة تُعاد اللقطة تلقائياً
+  async restore(source) {
+    const { preview, plainPath, discard } = await this.examine(source);
+    try {
+      if (!preview.valid) {
+        throw new ValidationError(preview.errors.join('\n'));
+      }
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const snapshot = await this.create(path.join(this.ensureDirectory(), `gym-pre-restore-${timestamp}.db`), { trigger: 'pre-restore' });
+      try {
+        await DatabaseService.restore(plainPath);
+      } catch (error) {
+        console.error('Restore failed, reverting to snapshot:', error);
+        await DatabaseService.restore(snapshot.path);
+        throw error;
+      }
+
+      this.lastRestore = {
+        snapshot_id: snapshot.id,
+        file: preview.file,
+        restored_at: new Date().toISOString()
+      };
+      return this.lastRestore;
+    } finally {
+      discard();
+    }
+  }
+
+  // التراجع عن آخر استعادة بإرجاع لقطة ما قبلها
+  async undoRestore() {
+    if (!this.lastRestore) {
+      throw new ValidationError('لا توجد استعادة للتراجع عنها');
+    }
+    const { snapshot_id: snapshotId } = this.lastRestore;
+    await this.restore({ id: snapshotId });
+    this.lastRestore = null;
+    return { id: snapshotId };
+  }
+
+  // نسخ الملف (مع بياناته) إلى مكان يختاره المستخدم
+  export(id, destinationPath) {
+    const entry = this.get(id);
+    if (!fs.existsSync(entry.path)) {
+      throw new Error('ملف النسخة الاحتياطية غير موجود على القرص');
+    }
+    fs.copyFileSync(entry.path, destinationPath);
+    if (fs.existsSync(manifestPath(entry.path))) {
+      fs.copyFileSync(manifestPath(entry.path), manifestPath(destinationPath));
+    }
+    return { id: entry.id, path: destinationPath };
+  }
+
+  // لا تُستعاد نسخة تغير محتواها منذ إنشائها
+  async ensureIntact(entry) {
+    if (!fs.existsSync(entry.path)) {
+      throw new Error('ملف النسخة الاحتياطية غير موجود على القرص');
+    }
+    if (entry.verified === false) {
+      throw new Error('لا يمكن استعادة نسخة فشل التحقق منها');
+    }
+    if (entry.sha256 && await fileChecksum(entry.path) !== entry.sha256) {
+      throw new Error('ملف النسخة الاحتياطية تغير منذ إنشائه (المجموع الاختباري غير مطابق)');
+    }
+    return entry;
+  }
+
+  // النسخة المشفرة تُفك في ملف مؤقت وتُفحص مثل غيرها، فالتحقق يشمل كلمة المرور والأرشيف نفسه
+  async verify(backupPath, passphrase = null) {
+    const manifest = {
+      file: path.basename(backupPath),
+      created_at: new Date().toISOString(),
+      app_version: app.getVersion(),
+      size: fs.statSync(backupPath).size,
+      sha256: await fileChecksum(backupPath),
+      schema_version: null,
+      row_counts: {},
+      encrypted: Boolean(passphrase),
+      verified: false,
+      error: null
+    };
+
+    const plainPath = passphrase ? `${backupPath}.verify.partial` : backupPath;
+    try {
+      if (passphrase) {
+        await decryptFile(backupPath, plainPath, passphrase);
+      }
+      const result = await inspect(plainPath);
+      manifest.schema_version = result.schema_version;
+      manifest.row_counts = result.row_counts;
+      if (!result.integrity_ok) {
+        manifest.error = result.integrity_messages.join('; ') || 'integrity_check';
+      } else if (!result.schema_version) {
+        manifest.error = 'النسخة لا تحتوي على إصدار المخطط';
+      } else {
+        manifest.verified = true;
+      }
+    } catch (error) {
+      manifest.error = error.message;
+    } finally {
+      if (passphrase) {
+        removeFile(plainPath);
+      }
+    }
+
+    fs.writeFileSync(manifestPath(backupPath), JSON.stringify(manifest, null, 2));
+    return manifest;
+  }
+
+  readManifest(backupPath) {
+    try {
+      return JSON.parse(fs.readFileSync(manifestPath(backupPath), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = { BackupService: new BackupService(), BackupVerificationError, manifestPath };
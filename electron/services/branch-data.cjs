@@ -0,0 +1,217 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// ملف نقل بيانات فرع أو أكثر بين الأجهزة: JSON مضغوط بـ gzip فيه الجداول بأرقام سجلاتها الأصلية
+// ومراجعها كما هي، ورقم الصيغة ونسخة مخطط القاعدة التي صُدّر منها، وبصمة SHA-256 للبيانات
+// تكشف الملف التالف. الأرقام لا تُستخدم كما هي عند الاستيراد بل تُربط بأرقام الجهاز الآخر
+const BRANCH_DATA_EXTENSION = '.gymdata';
+const FORMAT = 'gym-branch-data';
+const FORMAT_VERSION = 1;
+
+// الجداول بترتيب الاستيراد: كل جدول يشير إلى جداول قبله فقط
+const TABLES = [
+  'gyms',
+  'users',
+  'categories',
+  'products',
+  'subscription_types',
+  'customers',
+  'subscribers',
+  'invoices',
+  'invoice_items',
+  'sales_returns',
+  'sales_return_items',
+  'customer_payments',
+  'payments',
+  'purchases',
+  'purchase_items',
+  'internal_sales',
+  'stock_movements'
+];
+
+// مراجع كل جدول: [العمود، الجدول المشار إليه، مطلوب]. المرجع غير المطلوب يقبل null
+const REFERENCES = {
+  products: [['category_id', 'categories', false]],
+  subscription_types: [['gym_id', 'gyms', true]],
+  customers: [['gym_id', 'gyms', true]],
+  subscribers: [['gym_id', 'gyms', true], ['subscription_type_id', 'subscription_types', true], ['created_by', 'users', false]],
+  invoices: [['gym_id', 'gyms', true], ['user_id', 'users', false], ['customer_id', 'customers', false]],
+  invoice_items: [['invoice_id', 'invoices', true], ['product_id', 'products', true]],
+  sales_returns: [['invoice_id', 'invoices', true], ['gym_id', 'gyms', true], ['user_id', 'users', false]],
+  sales_return_items: [['return_id', 'sales_returns', true], ['invoice_item_id', 'invoice_items', true], ['product_id', 'products', true]],
+  customer_payments: [['customer_id', 'customers', false], ['gym_id', 'gyms', true], ['user_id', 'users', false]],
+  payments: [
+    ['invoice_id', 'invoices', false],
+    ['subscriber_id', 'subscribers', false],
+    ['return_id', 'sales_returns', false],
+    ['customer_payment_id', 'customer_payments', false],
+    ['gym_id', 'gyms', true],
+    ['user_id', 'users', false]
+  ],
+  purchases: [['gym_id', 'gyms', true], ['user_id', 'users', false]],
+  purchase_items: [['purchase_id', 'purchases', true], ['product_id', 'products', true]],
+  internal_sales: [['gym_id', 'gyms', true], ['product_id', 'products', true], ['user_id', 'users', false]],
+  stock_movements: [['gym_id', 'gyms', true], ['product_id', 'products', true], ['user_id', 'users', false]]
+};
+
+// مصدر حركة المخزون حسب نوعها. مصادر التحويلات بين الفروع لا تُنقل لأن التحويل يخص فرعين
+const MOVEMENT_SOURCES = { sale: 'invoices', return: 'sales_returns', purchase: 'purchases', internal_sale: 'internal_sales' };
+
+// الجداول التي أضيفت بعد أول صيغة، مع نسخة المخطط التي أضيفت فيها. ملفات النسخ الأقدم لا تحتويها
+const TABLES_SINCE = { sales_returns: 9, sales_return_items: 9, payments: 10, customer_payments: 11 };
+
+class BranchDataError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BranchDataError';
+  }
+}
+
+const checksum = (data) => crypto.createHash('sha256').update(JSON.stringify(data), 'utf8').digest('hex');
+
+const idSets = (data) => new Map(TABLES.map((table) => [table, new Set((data[table] || []).map((row) => row.id))]));
+
+// المراجع الاختيارية إلى سجلات ليست في الملف (مستخدم محذوف مثلاً) تصبح null، ومصدر الحركة كذلك
+const detachMissing = (data) => {
+  const ids = idSets(data);
+  const result = {};
+  for (const table of TABLES) {
+    result[table] = (data[table] || []).map((row) => {
+      const copy = { ...row };
+      for (const [column, target, required] of REFERENCES[table] || []) {
+        if (!required && copy[column] !== null && copy[column] !== undefined && !ids.get(target).has(copy[column])) {
+          copy[column] = null;
+        }
+      }
+      if (table === 'stock_movements') {
+        const source = MOVEMENT_SOURCES[copy.movement_type];
+        if (!source || !ids.get(source).has(copy.source_id)) {
+          copy.source_id = null;
+        }
+      }
+      return copy;
+    });
+  }
+  return result;
+};
+
+// أول مشكلة في بنية الجداول أو مراجعها، أو null إذا كانت البيانات سليمة
+const structureProblem = (data) => {
+  if (!data || typeof data !== 'object') {
+    return 'لا توجد بيانات في الملف';
+  }
+  for (const table of TABLES) {
+    if (!Array.isArray(data[table])) {
+      return `الجدول ${table} غير موجود`;
+    }
+    const seen = new Set();
+    for (const row of data[table]) {
+      if (!row || typeof row !== 'object' || !Number.isInteger(row.id) || row.id <= 0) {
+        return `سجل بدون رقم صالح في ${table}`;
+      }
+      if (seen.has(row.id)) {
+        return `الرقم ${row.id} مكرر في ${table}`;
+      }
+      seen.add(row.id);
+    }
+  }
+  if (data.gyms.length === 0) {
+    return 'لا توجد صالات في الملف';
+  }
+
+  const ids = idSets(data);
+  for (const [table, references] of Object.entries(REFERENCES)) {
+    for (const row of data[table]) {
+      for (const [column, target, required] of references) {
+        const value = row[column];
+        const missing = value === null || value === undefined;
+        if ((required && missing) || (!missing && !ids.get(target).has(value))) {
+          return `السجل ${row.id} في ${table} يشير إلى ${target} غير موجود (${column})`;
+        }
+      }
+    }
+  }
+  for (const movement of data.stock_movements) {
+    const source = MOVEMENT_SOURCES[movement.movement_type];
+    if (movement.source_id !== null && movement.source_id !== undefined && (!source || !ids.get(source).has(movement.source_id))) {
+      return `حركة المخزون ${movement.id} تشير إلى مصدر غير موجود`;
+    }
+  }
+  return null;
+};
+
+const createBranchData = ({ appVersion, schemaVersion, data }) => {
+  const detached = detachMissing(data);
+  return {
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    app_version: appVersion,
+    schema_version: schemaVersion,
+    exported_at: new Date().toISOString(),
+    checksum: checksum(detached),
+    data: detached
+  };
+};
+
+// الكتابة في ملف مؤقت ثم إعادة التسمية، فلا يبقى ملف ناقص
+const writeBranchData = (targetPath, content) => {
+  const file = zlib.gzipSync(Buffer.from(JSON.stringify(content), 'utf8'));
+  const partialPath = `${targetPath}.partial`;
+  try {
+    fs.writeFileSync(partialPath, file);
+    fs.renameSync(partialPath, targetPath);
+  } catch (error) {
+    fs.rmSync(partialPath, { force: true });
+    throw error;
+  }
+  return { path: targetPath, size: file.length };
+};
+
+// يقبل الملف مضغوطاً أو JSON عادياً. schemaVersion: نسخة مخطط هذا الجهاز، والملف من نسخة أحدث يُرفض
+const parseBranchData = (buffer, { schemaVersion }) => {
+  let content;
+  try {
+    const text = buffer[0] === 0x1f && buffer[1] === 0x8b ? zlib.gunzipSync(buffer) : buffer;
+    content = JSON.parse(text.toString('utf8'));
+  } catch (error) {
+    throw new BranchDataError('الملف ليس ملف بيانات فرع');
+  }
+  if (!content || content.format !== FORMAT) {
+    throw new BranchDataError('الملف ليس ملف بيانات فرع');
+  }
+  if (content.version !== FORMAT_VERSION) {
+    throw new BranchDataError(`صيغة الملف غير مدعومة (${content.version})`);
+  }
+  if (!Number.isInteger(content.schema_version) || content.schema_version > schemaVersion) {
+    throw new BranchDataError('الملف صُدّر من نسخة أحدث من البرنامج، حدّث البرنامج على هذا الجهاز أولاً');
+  }
+  // البصمة محسوبة على بيانات الملف كما هي، والجداول الناقصة من نسخة أقدم تُضاف فارغة بعدها
+  const data = content.data && typeof content.data === 'object' ? { ...content.data } : content.data;
+  for (const [table, since] of Object.entries(TABLES_SINCE)) {
+    if (data && content.schema_version < since && data[table] === undefined) {
+      data[table] = [];
+    }
+  }
+  const problem = structureProblem(data);
+  if (problem) {
+    throw new BranchDataError(`ملف البيانات غير سليم: ${problem}`);
+  }
+  if (content.checksum !== checksum(content.data)) {
+    throw new BranchDataError('بصمة البيانات لا تطابق، الملف تالف أو معدل');
+  }
+  return { ...content, data };
+};
+
+const readBranchData = (filePath, options) => parseBranchData(fs.readFileSync(filePath), options);
+
+module.exports = {
+  BRANCH_DATA_EXTENSION,
+  TABLES,
+  MOVEMENT_SOURCES,
+  BranchDataError,
+  createBranchData,
+  writeBranchData,
+  parseBranchData,
+  readBranchData
+};
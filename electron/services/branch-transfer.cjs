@@ -0,0 +1,706 @@
+const path = require('path');
+const { app } = require('electron');
+const { DatabaseService } = require('../database.cjs');
+const { MIGRATIONS } = require('../migrations.cjs');
+const { ensureObject, requireId, ValidationError } = require('../validation.cjs');
+const { parseSettings } = require('./gyms.cjs');
+const { PeriodService } = require('./periods.cjs');
+const { BackupService } = require('./backups.cjs');
+const { branchColumn } = require('./stock-movements.cjs');
+const { phoneKey } = require('./imports.cjs');
+const { allocateNumber } = require('./document-numbers.cjs');
+const { TABLES, MOVEMENT_SOURCES, createBranchData, writeBranchData, readBranchData } = require('./branch-data.cjs');
+
+// نقل بيانات فرع بين الأجهزة: التصدير يكتب ملف .gymdata بأرقام السجلات الأصلية، والاستيراد يدمجه
+// في قاعدة هذا الجهاز بأرقام جديدة. السجل الموجود مسبقاً (نفس الباركود أو رقم الهاتف أو رقم الفاتورة...)
+// لا يتكرر ولا تتغير بياناته، والاختلاف بينه وبين الملف يظهر في قائمة التعارضات.
+// المعاينة تنفذ الاستيراد نفسه داخل معاملة ثم تتراجع عنه، فتطابق نتيجتها ما سيحدث فعلاً
+
+const MAX_CONFLICTS = 500;
+
+const timestamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+
+// تُرمى داخل معاملة المعاينة حتى يتم التراجع عن كل ما أُضيف
+class PreviewRollback extends Error {}
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+const sameAmount = (a, b) => Number(a || 0) === Number(b || 0);
+
+const inList = (ids) => ids.map(() => '?').join(', ');
+
+// نتيجة الدمج: لكل جدول عدد ما أُضيف وما وُجد مسبقاً وما حُدّث وما لم يُستورد، وقائمة التعارضات
+class MergeReport {
+  constructor() {
+    this.counts = Object.fromEntries(TABLES.map((table) => [table, { created: 0, matched: 0, updated: 0, skipped: 0 }]));
+    this.conflicts = [];
+    this.conflictCount = 0;
+  }
+
+  count(table, outcome) {
+    this.counts[table][outcome] += 1;
+  }
+
+  conflict(table, record, message) {
+    this.conflictCount += 1;
+    if (this.conflicts.length < MAX_CONFLICTS) {
+      this.conflicts.push({ table, record, message });
+    }
+  }
+
+  toJSON() {
+    return { counts: this.counts, conflicts: this.conflicts, conflict_count: this.conflictCount };
+  }
+}
+
+class BranchTransferService {
+  latestSchemaVersion() {
+    return MIGRATIONS[MIGRATIONS.length - 1].version;
+  }
+
+  // بيانات الصالات المطلوبة، أو كل الصالات عندما gymId = null. المنتجات والفئات مشتركة بين الفروع،
+  // فيُصدَّر منها ما تشير إليه سجلات الصالات المختارة فقط (أو كلها عند تصدير كل الصالات)
+  async collect(gymId) {
+    const gyms = gymId === null
+      ? await DatabaseService.query('SELECT * FROM gyms ORDER BY id')
+      : await DatabaseService.query('SELECT * FROM gyms WHERE id = ?', [requireId(gymId, 'رقم الصالة')]);
+    if (gyms.length === 0) {
+      throw new ValidationError('الصالة غير موجودة');
+    }
+    const ids = gyms.map((gym) => gym.id);
+    const gymFilter = `gym_id IN (${inList(ids)})`;
+
+    const data = {
+      gyms: gyms.map((gym) => ({ ...gym, settings: parseSettings(gym.settings) })),
+      subscription_types: await DatabaseService.query(`SELECT * FROM subscription_types WHERE ${gymFilter} ORDER BY id`, ids),
+      customers: await DatabaseService.query(`SELECT * FROM customers WHERE ${gymFilter} ORDER BY id`, ids),
+      subscribers: await DatabaseService.query(`
+        SELECT s.* FROM subscribers s
+        JOIN subscription_types st ON s.subscription_type_id = st.id AND st.gym_id = s.gym_id
+        WHERE s.${gymFilter}
+        ORDER BY s.id
+      `, ids),
+      invoices: await DatabaseService.query(`SELECT * FROM invoices WHERE ${gymFilter} ORDER BY id`, ids),
+      invoice_items: await DatabaseService.query(`
+        SELECT ii.* FROM invoice_items ii
+        JOIN invoices i ON ii.invoice_id = i.id
+        JOIN products p ON ii.product_id = p.id
+        WHERE i.${gymFilter}
+        ORDER BY ii.id
+      `, ids),
+      sales_returns: await DatabaseService.query(`SELECT * FROM sales_returns WHERE ${gymFilter} ORDER BY id`, ids),
+      sales_return_items: await DatabaseService.query(`
+        SELECT ri.* FROM sales_return_items ri
+        JOIN sales_returns r ON ri.return_id = r.id
+        JOIN products p ON ri.product_id = p.id
+        WHERE r.${gymFilter}
+        ORDER BY ri.id
+      `, ids),
+      customer_payments: await DatabaseService.query(`SELECT * FROM customer_payments WHERE ${gymFilter} ORDER BY id`, ids),
+      payments: await DatabaseService.query(`SELECT * FROM payments WHERE ${gymFilter} ORDER BY id`, ids),
+      purchases: await DatabaseService.query(`SELECT * FROM purchases WHERE ${gymFilter} ORDER BY id`, ids),
+      purchase_items: await DatabaseService.query(`
+        SELECT pi.* FROM purchase_items pi
+        JOIN purchases pu ON pi.purchase_id = pu.id
+        JOIN products p ON pi.product_id = p.id
+        WHERE pu.${gymFilter}
+        ORDER BY pi.id
+      `, ids),
+      internal_sales: await DatabaseService.query(`
+        SELECT s.* FROM internal_sales s
+        JOIN products p ON s.product_id = p.id
+        WHERE s.${gymFilter}
+        ORDER BY s.id
+      `, ids),
+      stock_movements: await DatabaseService.query(`
+        SELECT m.* FROM stock_movements m
+        JOIN products p ON m.product_id = p.id
+        WHERE m.${gymFilter}
+        ORDER BY m.created_at, m.id
+      `, ids)
+    };
+
+    // الكميات تُبنى من حركات المخزون عند الاستيراد، فلا تُصدَّر أعمدة الكمية
+    const productIds = new Set([
+      ...data.invoice_items, ...data.sales_return_items, ...data.purchase_items, ...data.internal_sales, ...data.stock_movements
+    ].map((row) => row.product_id));
+    const products = (await DatabaseService.query('SELECT * FROM products ORDER BY id'))
+      .filter((product) => gymId === null || productIds.has(product.id))
+      .map(({ male_gym_quantity, female_gym_quantity, ...product }) => product);
+    const categoryIds = new Set(products.map((product) => product.category_id));
+    const userIds = new Set([
+      ...data.subscribers.map((row) => row.created_by),
+      ...[...data.invoices, ...data.sales_returns, ...data.customer_payments, ...data.payments, ...data.purchases, ...data.internal_sales, ...data.stock_movements].map((row) => row.user_id)
+    ]);
+
+    return {
+      ...data,
+      products,
+      categories: (await DatabaseService.query('SELECT * FROM categories ORDER BY id'))
+        .filter((category) => gymId === null || categoryIds.has(category.id)),
+      // المستخدمون للربط باسم الدخول فقط، بدون كلمات المرور
+      users: (await DatabaseService.query('SELECT id, username, full_name FROM users ORDER BY id'))
+        .filter((user) => userIds.has(user.id))
+    };
+  }
+
+  async exportToFile(targetPath, gymId) {
+    const version = await DatabaseService.get('SELECT MAX(version) as version FROM schema_version');
+    const content = createBranchData({
+      appVersion: app.getVersion(),
+      schemaVersion: version.version,
+      data: await this.collect(gymId)
+    });
+    const file = writeBranchData(targetPath, content);
+    return {
+      ...file,
+      gyms: content.data.gyms.map(({ id, name, type }) => ({ id, name, type })),
+      totals: Object.fromEntries(TABLES.map((table) => [table, content.data[table].length]))
+    };
+  }
+
+  read(filePath) {
+    return readBranchData(filePath, { schemaVersion: this.latestSchemaVersion() });
+  }
+
+  // لكل صالة في الملف: صالة هذا الجهاز التي تُدمج فيها أو 'new' لإنشاء صالة جديدة.
+  // الافتراضي صالة بنفس الاسم والنوع إن وُجدت
+  async resolveTargets(db, sourceGyms, requested = {}) {
+    ensureObject(requested);
+    const gyms = await db.query('SELECT id, name, type FROM gyms');
+    const targets = {};
+    for (const source of sourceGyms) {
+      const value = requested[source.id];
+      if (value === undefined || value === null || value === '') {
+        const same = gyms.find((gym) => gym.type === source.type && sameText(gym.name, source.name));
+        targets[source.id] = same ? same.id : 'new';
+      } else if (value === 'new') {
+        targets[source.id] = 'new';
+      } else {
+        const targetId = requireId(value, 'رقم الصالة');
+        if (!gyms.some((gym) => gym.id === targetId)) {
+          throw new ValidationError(`الصالة المختارة لـ «${source.name}» غير موجودة`);
+        }
+        targets[source.id] = targetId;
+      }
+    }
+    return targets;
+  }
+
+  // دمج الملف داخل المعاملة tx. map لكل جدول: رقم السجل في الملف -> رقمه في هذا الجهاز،
+  // و created للسجلات المضافة فعلاً (عناصر الفاتورة وحركاتها تتبع الفاتورة: تُضاف معها أو لا تُضاف)
+  async merge(tx, data, targets) {
+    const report = new MergeReport();
+    const map = Object.fromEntries(TABLES.map((table) => [table, new Map()]));
+    const created = Object.fromEntries(TABLES.map((table) => [table, new Set()]));
+    // السجلات الموجودة التي أُخذت بياناتها من الملف، فتُضاف دفعاتها الجديدة
+    const updated = { invoices: new Set(), subscribers: new Set() };
+    const lockedUntil = await PeriodService.lockedUntil(tx);
+    const isLocked = (date) => Boolean(lockedUntil && date && String(date).slice(0, 10) <= lockedUntil);
+    const lockedMessage = `ضمن فترة مقفلة حتى ${lockedUntil} على هذا الجهاز، لم يُستورد`;
+    const mapped = (table, id) => (id === null || id === undefined ? null : map[table].get(id) || null);
+    const columnsOf = new Map();
+    // تُحفظ أعمدة الملف التي يعرفها هذا الجهاز فقط، والرقم يُنشأ من جديد
+    const insert = async (table, sourceId, row) => {
+      if (!columnsOf.has(table)) {
+        columnsOf.set(table, new Set((await tx.query(`PRAGMA table_info(${table})`)).map((info) => info.name)));
+      }
+      const columns = Object.keys(row).filter((column) => column !== 'id' && columnsOf.get(table).has(column));
+      const result = await tx.run(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${inList(columns)})`,
+        columns.map((column) => row[column])
+      );
+      map[table].set(sourceId, result.lastInsertRowid);
+      created[table].add(sourceId);
+      report.count(table, 'created');
+      return result.lastInsertRowid;
+    };
+    const match = (table, sourceId, targetId) => {
+      map[table].set(sourceId, targetId);
+      report.count(table, 'matched');
+    };
+
+    for (const gym of data.gyms) {
+      if (targets[gym.id] === 'new') {
+        await insert('gyms', gym.id, { ...gym, settings: JSON.stringify(gym.settings || {}) });
+      } else {
+        match('gyms', gym.id, targets[gym.id]);
+      }
+    }
+
+    // المستخدمون لا يُنشؤون (كلمات المرور لا تُنقل)، والسجلات التي أنشأها مستخدم غير موجود تبقى بدون مستخدم
+    for (const user of data.users) {
+      const existing = await tx.get('SELECT id FROM users WHERE username = ?', [user.username]);
+      if (existing) {
+        match('users', user.id, existing.id);
+      } else {
+        report.count('users', 'skipped');
+        report.conflict('users', user.full_name || user.username, 'المستخدم غير موجود على هذا الجهاز، تُحفظ سجلاته بدون مستخدم');
+      }
+    }
+
+    for (const category of data.categories) {
+      const existing = await tx.get('SELECT id FROM categories WHERE lower(trim(name)) = lower(trim(?))', [category.name]);
+      if (existing) {
+        match('categories', category.id, existing.id);
+      } else {
+        await insert('categories', category.id, category);
+      }
+    }
+
+    // المنتج نفسه بالباركود، والمنتج بدون باركود بالاسم
+    for (const product of data.products) {
+      const existing = product.barcode
+        ? await tx.get('SELECT id, name, barcode, purchase_price, sale_price FROM products WHERE barcode = ?', [product.barcode])
+        : await tx.get("SELECT id, name, barcode, purchase_price, sale_price FROM products WHERE (barcode IS NULL OR barcode = '') AND lower(trim(name)) = lower(trim(?))", [product.name]);
+      if (existing) {
+        match('products', product.id, existing.id);
+        if (!sameText(existing.name, product.name)
+          || !sameAmount(existing.purchase_price, product.purchase_price)
+          || !sameAmount(existing.sale_price, product.sale_price)) {
+          report.conflict('products', product.name, `المنتج موجود${product.barcode ? ` بنفس الباركود ${product.barcode}` : ''} باسم أو أسعار مختلفة، أُبقيت بيانات هذا الجهاز`);
+        }
+      } else {
+        // الكمية تُضاف مع حركات المخزون
+        await insert('products', product.id, {
+          ...product,
+          barcode: product.barcode || null,
+          category_id: mapped('categories', product.category_id),
+          male_gym_quantity: 0,
+          female_gym_quantity: 0
+        });
+      }
+    }
+
+    for (const type of data.subscription_types) {
+      const gymId = mapped('gyms', type.gym_id);
+      const existing = await tx.get('SELECT * FROM subscription_types WHERE gym_id = ? AND lower(trim(name)) = lower(trim(?))', [gymId, type.name]);
+      if (existing) {
+        match('subscription_types', type.id, existing.id);
+        if (existing.type !== type.type || !sameAmount(existing.price, type.price)
+          || existing.duration_months !== type.duration_months || existing.session_count !== type.session_count) {
+          report.conflict('subscription_types', type.name, 'نوع الاشتراك موجود بسعر أو مدة مختلفة، أُبقيت بيانات هذا الجهاز');
+        }
+      } else {
+        await insert('subscription_types', type.id, { ...type, gym_id: gymId });
+      }
+    }
+
+    // الزبون نفسه برقم الهاتف داخل نفس الصالة
+    const customersByPhone = new Map();
+    const customerIndex = async (gymId) => {
+      if (!customersByPhone.has(gymId)) {
+        const rows = await tx.query('SELECT id, name, phone FROM customers WHERE gym_id = ?', [gymId]);
+        customersByPhone.set(gymId, new Map(rows.filter((row) => phoneKey(row.phone)).map((row) => [phoneKey(row.phone), row])));
+      }
+      return customersByPhone.get(gymId);
+    };
+    for (const customer of data.customers) {
+      const gymId = mapped('gyms', customer.gym_id);
+      const index = await customerIndex(gymId);
+      const existing = phoneKey(customer.phone) ? index.get(phoneKey(customer.phone)) : null;
+      if (existing) {
+        match('customers', customer.id, existing.id);
+        if (!sameText(existing.name, customer.name)) {
+          report.conflict('customers', customer.name, `رقم الهاتف ${customer.phone} مسجل باسم «${existing.name}»، أُبقيت بيانات هذا الجهاز`);
+        }
+      } else {
+        const id = await insert('customers', customer.id, { ...customer, gym_id: gymId });
+        if (phoneKey(customer.phone)) {
+          index.set(phoneKey(customer.phone), { id, name: customer.name, phone: customer.phone });
+        }
+      }
+    }
+
+    // المشترك نفسه برقم الهاتف (أو بالاسم إن لم يكن له هاتف) داخل نفس الصالة. التجديد يعدّل نفس السجل،
+    // فإذا كان اشتراكه في الملف أحدث (جُدد على الجهاز الآخر) يُنقل الاشتراك الأحدث
+    const subscriberKey = (row) => phoneKey(row.phone) || `name:${String(row.full_name).trim().toLowerCase()}`;
+    const subscribersByKey = new Map();
+    const subscriberIndex = async (gymId) => {
+      if (!subscribersByKey.has(gymId)) {
+        const rows = await tx.query('SELECT * FROM subscribers WHERE gym_id = ?', [gymId]);
+        subscribersByKey.set(gymId, new Map(rows.map((row) => [subscriberKey(row), row])));
+      }
+      return subscribersByKey.get(gymId);
+    };
+    for (const subscriber of data.subscribers) {
+      const gymId = mapped('gyms', subscriber.gym_id);
+      const index = await subscriberIndex(gymId);
+      const existing = index.get(subscriberKey(subscriber));
+      const subscriptionTypeId = mapped('subscription_types', subscriber.subscription_type_id);
+
+      if (existing && subscriber.start_date > existing.start_date && !isLocked(subscriber.start_date)) {
+        map.subscribers.set(subscriber.id, existing.id);
+        await tx.run(`
+          UPDATE subscribers
+          SET subscription_type_id = ?, start_date = ?, end_date = ?, price_paid = ?, remaining_sessions = ?, status = ?
+          WHERE id = ?
+        `, [
+          subscriptionTypeId,
+          subscriber.start_date,
+          subscriber.end_date,
+          subscriber.price_paid,
+          subscriber.remaining_sessions,
+          subscriber.status,
+          existing.id
+        ]);
+        index.set(subscriberKey(subscriber), { ...existing, ...subscriber, id: existing.id });
+        updated.subscribers.add(subscriber.id);
+        report.count('subscribers', 'updated');
+      } else if (existing) {
+        match('subscribers', subscriber.id, existing.id);
+        if (existing.start_date !== subscriber.start_date || existing.end_date !== subscriber.end_date
+          || existing.remaining_sessions !== subscriber.remaining_sessions) {
+          report.conflict('subscribers', subscriber.full_name, 'المشترك موجود ببيانات اشتراك مختلفة، أُبقيت بيانات هذا الجهاز');
+        }
+      } else if (isLocked(subscriber.start_date)) {
+        report.count('subscribers', 'skipped');
+        report.conflict('subscribers', subscriber.full_name, lockedMessage);
+      } else {
+        const id = await insert('subscribers', subscriber.id, {
+          ...subscriber,
+          subscription_type_id: subscriptionTypeId,
+          gym_id: gymId,
+          created_by: mapped('users', subscriber.created_by)
+        });
+        index.set(subscriberKey(subscriber), { ...subscriber, id });
+      }
+    }
+
+    // رقم مستخدم لمستند آخر على هذا الجهاز يعني مستندين مختلفين، فيُحفظ مستند الملف برقم جديد
+    const uniqueNumber = async (table, column, number) => {
+      let candidate = number;
+      for (let suffix = 2; await tx.get(`SELECT id FROM ${table} WHERE ${column} = ?`, [candidate]); suffix += 1) {
+        candidate = `${number}-${suffix}`;
+      }
+      return candidate;
+    };
+
+    // الفاتورة نفسها: نفس الرقم والصالة والتاريخ والمجموع. إذا تقدمت على الجهاز الآخر (تسديد دين أو مرتجع)
+    // تؤخذ مبالغها من الملف، ومرتجعاتها تُضاف بعدها
+    for (const invoice of data.invoices) {
+      const gymId = mapped('gyms', invoice.gym_id);
+      // الفاتورة قد تكون استوردت سابقاً برقم جديد (الرقم الأصلي ثم -2، -3...)
+      const existing = await tx.get(`
+        SELECT * FROM invoices
+        WHERE gym_id = ? AND created_at = ? AND total = ? AND (invoice_number = ? OR invoice_number LIKE ?)
+      `, [gymId, invoice.created_at, invoice.total, invoice.invoice_number, `${invoice.invoice_number}-%`]);
+      if (existing) {
+        const returned = Number(invoice.returned_amount || 0);
+        const progressed = returned > Number(existing.returned_amount)
+          || (returned === Number(existing.returned_amount) && Number(invoice.paid_amount) > Number(existing.paid_amount));
+        if (progressed && !isLocked(existing.created_at)) {
+          map.invoices.set(invoice.id, existing.id);
+          await tx.run('UPDATE invoices SET paid_amount = ?, returned_amount = ?, status = ? WHERE id = ?', [
+            invoice.paid_amount,
+            returned,
+            invoice.status || existing.status,
+            existing.id
+          ]);
+          updated.invoices.add(invoice.id);
+          report.count('invoices', 'updated');
+        } else {
+          match('invoices', invoice.id, existing.id);
+        }
+        continue;
+      }
+      if (isLocked(invoice.created_at)) {
+        report.count('invoices', 'skipped');
+        report.conflict('invoices', invoice.invoice_number, lockedMessage);
+        continue;
+      }
+
+      const invoiceNumber = await uniqueNumber('invoices', 'invoice_number', invoice.invoice_number);
+      if (invoiceNumber !== invoice.invoice_number) {
+        report.conflict('invoices', invoice.invoice_number, `رقم الفاتورة مستخدم لفاتورة أخرى على هذا الجهاز، حُفظت برقم ${invoiceNumber}`);
+      }
+      await insert('invoices', invoice.id, {
+        ...invoice,
+        invoice_number: invoiceNumber,
+        gym_id: gymId,
+        user_id: mapped('users', invoice.user_id),
+        customer_id: mapped('customers', invoice.customer_id)
+      });
+    }
+
+    // عناصر المستند تتبعه: تُضاف مع المستند المضاف، وتُعد موجودة مع المستند الموجود.
+    // العنصر الموجود يُربط بعنصر بنفس المنتج والكمية حتى تشير إليه المرتجعات المضافة
+    const mergeItems = async (table, parentTable, parentColumn, rows) => {
+      const linked = new Set();
+      for (const row of rows) {
+        const parentId = row[parentColumn];
+        if (created[parentTable].has(parentId)) {
+          await insert(table, row.id, { ...row, [parentColumn]: mapped(parentTable, parentId), product_id: mapped('products', row.product_id) });
+        } else if (map[parentTable].has(parentId)) {
+          const candidates = await tx.query(`SELECT id FROM ${table} WHERE ${parentColumn} = ? AND product_id = ? AND quantity = ? ORDER BY id`, [
+            mapped(parentTable, parentId),
+            mapped('products', row.product_id),
+            row.quantity
+          ]);
+          const existing = candidates.find((candidate) => !linked.has(candidate.id));
+          if (existing) {
+            linked.add(existing.id);
+            map[table].set(row.id, existing.id);
+          }
+          report.count(table, 'matched');
+        } else {
+          report.count(table, 'skipped');
+        }
+      }
+    };
+    await mergeItems('invoice_items', 'invoices', 'invoice_id', data.invoice_items);
+
+    // المرتجع يتبع فاتورته: يُضاف مع الفاتورة المضافة، ومع الفاتورة الموجودة إذا لم يكن فيها (مبالغ الفاتورة
+    // أُخذت من الملف أعلاه). المرتجع نفسه: نفس الفاتورة والرقم (أو رقم جديد مشتق منه)
+    const sourceInvoices = new Map(data.invoices.map((invoice) => [invoice.id, invoice]));
+    for (const salesReturn of data.sales_returns) {
+      const invoiceId = mapped('invoices', salesReturn.invoice_id);
+      if (!invoiceId) {
+        report.count('sales_returns', 'skipped');
+        continue;
+      }
+      if (!created.invoices.has(salesReturn.invoice_id)) {
+        const existing = await tx.get(`
+          SELECT id FROM sales_returns WHERE invoice_id = ? AND (return_number = ? OR return_number LIKE ?)
+        `, [invoiceId, salesReturn.return_number, `${salesReturn.return_number}-%`]);
+        if (existing) {
+          match('sales_returns', salesReturn.id, existing.id);
+          continue;
+        }
+        if (isLocked(sourceInvoices.get(salesReturn.invoice_id).created_at)) {
+          report.count('sales_returns', 'skipped');
+          report.conflict('sales_returns', salesReturn.return_number, lockedMessage);
+          continue;
+        }
+      }
+      await insert('sales_returns', salesReturn.id, {
+        ...salesReturn,
+        return_number: await uniqueNumber('sales_returns', 'return_number', salesReturn.return_number),
+        invoice_id: invoiceId,
+        gym_id: mapped('gyms', salesReturn.gym_id),
+        user_id: mapped('users', salesReturn.user_id)
+      });
+    }
+
+    for (const item of data.sales_return_items) {
+      if (!created.sales_returns.has(item.return_id)) {
+        report.count('sales_return_items', map.sales_returns.has(item.return_id) ? 'matched' : 'skipped');
+        continue;
+      }
+      const invoiceItemId = mapped('invoice_items', item.invoice_item_id);
+      if (!invoiceItemId) {
+        report.count('sales_return_items', 'skipped');
+        report.conflict('sales_return_items', `#${item.id}`, 'عنصر الفاتورة المرتجع غير موجود في الفاتورة على هذا الجهاز');
+        continue;
+      }
+      await insert('sales_return_items', item.id, {
+        ...item,
+        return_id: mapped('sales_returns', item.return_id),
+        invoice_item_id: invoiceItemId,
+        product_id: mapped('products', item.product_id)
+      });
+    }
+
+    // سند القبض نفسه: نفس الصالة والتاريخ والرقم (أو رقم جديد مشتق منه). دفعاته تشير إليه أدناه
+    for (const receipt of data.customer_payments) {
+      const gymId = mapped('gyms', receipt.gym_id);
+      const existing = await tx.get(`
+        SELECT id FROM customer_payments WHERE gym_id = ? AND created_at = ? AND (receipt_number = ? OR receipt_number LIKE ?)
+      `, [gymId, receipt.created_at, receipt.receipt_number, `${receipt.receipt_number}-%`]);
+      if (existing) {
+        match('customer_payments', receipt.id, existing.id);
+        continue;
+      }
+      if (isLocked(receipt.created_at)) {
+        report.count('customer_payments', 'skipped');
+        report.conflict('customer_payments', receipt.receipt_number, lockedMessage);
+        continue;
+      }
+      await insert('customer_payments', receipt.id, {
+        ...receipt,
+        receipt_number: await uniqueNumber('customer_payments', 'receipt_number', receipt.receipt_number),
+        customer_id: mapped('customers', receipt.customer_id),
+        gym_id: gymId,
+        user_id: mapped('users', receipt.user_id)
+      });
+    }
+
+    // الدفعة تتبع مستندها (الفاتورة أو الاشتراك، ورد المرتجع مرتجعه): تُضاف مع المستند المضاف، ومع المستند
+    // الذي حُدّث من الملف إذا لم تكن فيه دفعة بنفس الطريقة والمبلغ والتاريخ (تسديد دين، مرتجع أو تجديد
+    // على الجهاز الآخر). دفعات المستند الموجود الذي لم يتغير تُعد موجودة
+    for (const payment of data.payments) {
+      const invoiceId = mapped('invoices', payment.invoice_id);
+      const subscriberId = mapped('subscribers', payment.subscriber_id);
+      const returnId = mapped('sales_returns', payment.return_id);
+      if ((!invoiceId && !subscriberId) || (payment.return_id && !returnId)) {
+        report.count('payments', 'skipped');
+        continue;
+      }
+      const [parentTable, parentId] = invoiceId ? ['invoices', payment.invoice_id] : ['subscribers', payment.subscriber_id];
+      if (!created[parentTable].has(parentId)) {
+        const existing = await tx.get(`
+          SELECT id FROM payments
+          WHERE COALESCE(invoice_id, 0) = ? AND COALESCE(subscriber_id, 0) = ? AND method = ? AND amount = ? AND created_at = ?
+        `, [invoiceId || 0, subscriberId || 0, payment.method, payment.amount, payment.created_at]);
+        if (existing || !updated[parentTable].has(parentId)) {
+          if (existing) {
+            map.payments.set(payment.id, existing.id);
+          }
+          report.count('payments', 'matched');
+          continue;
+        }
+        if (isLocked(payment.created_at)) {
+          report.count('payments', 'skipped');
+          report.conflict('payments', `#${payment.id}`, lockedMessage);
+          continue;
+        }
+      }
+      await insert('payments', payment.id, {
+        ...payment,
+        invoice_id: invoiceId,
+        subscriber_id: subscriberId,
+        return_id: returnId,
+        customer_payment_id: mapped('customer_payments', payment.customer_payment_id),
+        gym_id: mapped('gyms', payment.gym_id),
+        user_id: mapped('users', payment.user_id)
+      });
+    }
+
+    // رقم المشتريات والقائمة البيضاء أحدث من السجل نفسه (ملفات قديمة بدونه)، فالمطابقة بالصالة والتاريخ
+    // والمبلغ. السجل الجديد يحتفظ برقمه إن لم يكن مستخدماً، وبدون رقم يُحجز له رقم بسنة تاريخه
+    const documentNumber = async (table, column, type, row, gymId) => {
+      if (!row[column]) {
+        return allocateNumber(tx, gymId, type, { date: row.created_at });
+      }
+      const number = await uniqueNumber(table, column, row[column]);
+      if (number !== row[column]) {
+        report.conflict(table, row[column], `الرقم مستخدم لمستند آخر على هذا الجهاز، حُفظ برقم ${number}`);
+      }
+      return number;
+    };
+
+    for (const purchase of data.purchases) {
+      const gymId = mapped('gyms', purchase.gym_id);
+      const existing = await tx.get(`
+        SELECT id FROM purchases WHERE gym_id = ? AND created_at = ? AND total_amount = ? AND COALESCE(supplier_name, '') = ?
+      `, [gymId, purchase.created_at, purchase.total_amount, purchase.supplier_name || '']);
+      if (existing) {
+        match('purchases', purchase.id, existing.id);
+      } else if (isLocked(purchase.created_at)) {
+        report.count('purchases', 'skipped');
+        report.conflict('purchases', purchase.purchase_number || purchase.supplier_name || `#${purchase.id}`, lockedMessage);
+      } else {
+        await insert('purchases', purchase.id, {
+          ...purchase,
+          purchase_number: await documentNumber('purchases', 'purchase_number', 'purchase', purchase, gymId),
+          gym_id: gymId,
+          user_id: mapped('users', purchase.user_id)
+        });
+      }
+    }
+    await mergeItems('purchase_items', 'purchases', 'purchase_id', data.purchase_items);
+
+    for (const sale of data.internal_sales) {
+      const gymId = mapped('gyms', sale.gym_id);
+      const productId = mapped('products', sale.product_id);
+      const existing = await tx.get(`
+        SELECT id FROM internal_sales
+        WHERE gym_id = ? AND product_id = ? AND created_at = ? AND quantity = ? AND total_price = ?
+      `, [gymId, productId, sale.created_at, sale.quantity, sale.total_price]);
+      if (existing) {
+        match('internal_sales', sale.id, existing.id);
+      } else if (isLocked(sale.created_at)) {
+        report.count('internal_sales', 'skipped');
+        report.conflict('internal_sales', sale.internal_sale_number || sale.admin_name, lockedMessage);
+      } else {
+        await insert('internal_sales', sale.id, {
+          ...sale,
+          internal_sale_number: await documentNumber('internal_sales', 'internal_sale_number', 'internal_sale', sale, gymId),
+          gym_id: gymId,
+          product_id: productId,
+          user_id: mapped('users', sale.user_id)
+        });
+      }
+    }
+
+    // حركات المخزون: حركة المستند تتبعه، وباقي الحركات (رصيد افتتاحي، تسوية، تحويل) موجودة إذا وُجدت
+    // حركة بنفس المنتج والصالة والنوع والكمية والتاريخ. كل حركة مضافة تُضاف كميتها لمخزون الصالة
+    for (const movement of data.stock_movements) {
+      const gymId = mapped('gyms', movement.gym_id);
+      const productId = mapped('products', movement.product_id);
+      const sourceId = movement.source_id;
+      const sourceTable = sourceId ? MOVEMENT_SOURCES[movement.movement_type] : null;
+      if (sourceTable && !created[sourceTable].has(sourceId)) {
+        report.count('stock_movements', map[sourceTable].has(sourceId) ? 'matched' : 'skipped');
+        continue;
+      }
+      if (!sourceTable) {
+        const existing = await tx.get(`
+          SELECT id FROM stock_movements
+          WHERE product_id = ? AND gym_id = ? AND movement_type = ? AND quantity = ? AND created_at = ?
+        `, [productId, gymId, movement.movement_type, movement.quantity, movement.created_at]);
+        if (existing) {
+          match('stock_movements', movement.id, existing.id);
+          continue;
+        }
+        if (isLocked(movement.created_at)) {
+          report.count('stock_movements', 'skipped');
+          report.conflict('stock_movements', `#${movement.id}`, lockedMessage);
+          continue;
+        }
+      }
+      await insert('stock_movements', movement.id, {
+        ...movement,
+        product_id: productId,
+        gym_id: gymId,
+        user_id: mapped('users', movement.user_id),
+        source_id: sourceTable ? mapped(sourceTable, sourceId) : null
+      });
+      const column = await branchColumn(tx, gymId);
+      await tx.run(`UPDATE products SET ${column} = ${column} + ? WHERE id = ?`, [movement.quantity, productId]);
+    }
+
+    return report;
+  }
+
+  async preview(filePath, requestedTargets) {
+    const content = this.read(filePath);
+    const targets = await this.resolveTargets(DatabaseService, content.data.gyms, requestedTargets);
+    let report;
+    try {
+      await DatabaseService.transaction(async (tx) => {
+        report = await this.merge(tx, content.data, targets);
+        throw new PreviewRollback();
+      });
+    } catch (error) {
+      if (!(error instanceof PreviewRollback)) {
+        throw error;
+      }
+    }
+    return {
+      file: path.basename(filePath),
+      exported_at: content.exported_at,
+      app_version: content.app_version,
+      gyms: content.data.gyms.map(({ id, name, type }) => ({ id, name, type })),
+      targets,
+      totals: Object.fromEntries(TABLES.map((table) => [table, content.data[table].length])),
+      ...report.toJSON()
+    };
+  }
+
+  // نسخة احتياطية قبل الاستيراد، ثم الدمج كله في معاملة واحدة: أي خطأ لا يترك بيانات ناقصة
+  async importFile(filePath, requestedTargets) {
+    const content = this.read(filePath);
+    await BackupService.create(
+      path.join(BackupService.ensureDirectory(), `gym-pre-import-${timestamp()}.db`),
+      { trigger: 'pre-import' }
+    );
+    return DatabaseService.transaction(async (tx) => {
+      const targets = await this.resolveTargets(tx, content.data.gyms, requestedTargets);
+      const report = await this.merge(tx, content.data, targets);
+      return { file: path.basename(filePath), targets, ...report.toJSON() };
+    });
+  }
+}
+
+module.exports = { BranchTransferService: new BranchTransferService() };
@@ -0,0 +1,47 @@
+const { DatabaseService } = require('../database.cjs');
+const { ensureObject, requireId, requireText, optionalText } = require('../validation.cjs');
+
+const validateCategory = (payload) => {
+  ensureObject(payload);
+  return {
+    name: requireText(payload.name, 'اسم الفئة'),
+    description: optionalText(payload.description, 'الوصف')
+  };
+};
+
+class CategoryService {
+  list() {
+    return DatabaseService.query('SELECT * FROM categories ORDER BY created_at DESC');
+  }
+
+  async create(payload) {
+    const category = validateCategory(payload);
+    const result = await DatabaseService.run(
+      'INSERT INTO categories (name, description) VALUES (?, ?)',
+      [category.name, category.description]
+    );
+    return { id: result.lastInsertRowid };
+  }
+
+  async update(id, payload) {
+    const categoryId = requireId(id, 'رقم الفئة');
+    const category = validateCategory(payload);
+    await DatabaseService.run(
+      'UPDATE categories SET name = ?, description = ? WHERE id = ?',
+      [category.name, category.description, categoryId]
+    );
+    return { id: categoryId };
+  }
+
+  async remove(id) {
+    const categoryId = requireId(id, 'رقم الفئة');
+    const used = await DatabaseService.get('SELECT COUNT(*) as count FROM products WHERE category_id = ?', [categoryId]);
+    if (used.count > 0) {
+      throw new Error('لا يمكن حذف هذه الفئة لأنها مرتبطة بمنتجات');
+    }
+    await DatabaseService.run('DELETE FROM categories WHERE id = ?', [categoryId]);
+    return { id: categoryId };
+  }
+}
+
+module.exports = { CategoryService: new CategoryService() };
@@ -0,0 +1,291 @@
+const { DatabaseService } = require('../database.cjs');
+const { ensureObject, requireId, requireText, optionalText, requireAmount, ValidationError } = require('../validation.cjs');
+const { validatePayment, roundMoney } = require('../payments.cjs');
+const { allocatePayment, buildStatement, agingBuckets } = require('../customer-ledger.cjs');
+const { recordPayments } = require('./payments.cjs');
+const { allocateNumber } = require('./document-numbers.cjs');
+
+const validateCustomer = (payload) => {
+  ensureObject(payload);
+  return {
+    name: requireText(payload.name, 'اسم الزبون'),
+    phone: requireText(payload.phone, 'رقم الهاتف', 32),
+    email: optionalText(payload.email, 'البريد الإلكتروني'),
+    address: optionalText(payload.address, 'العنوان')
+  };
+};
+
+// سند قبض بالمبلغ كاملاً، وتوزيعه على الفواتير دفعات تزيد المدفوع من كل فاتورة
+const recordReceipt = async (tx, { customerId, gymId, userId, notes = null }, details, allocations) => {
+  const receiptNumber = await allocateNumber(tx, gymId, 'receipt');
+  const result = await tx.run(`
+    INSERT INTO customer_payments (receipt_number, customer_id, method, amount, reference, notes, gym_id, user_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [receiptNumber, customerId, details.method, details.amount, details.reference, notes, gymId, userId]);
+  const receiptId = result.lastInsertRowid;
+  for (const allocation of allocations) {
+    await tx.run('UPDATE invoices SET paid_amount = paid_amount + ? WHERE id = ?', [allocation.amount, allocation.invoice_id]);
+    await recordPayments(tx, { invoiceId: allocation.invoice_id, customerPaymentId: receiptId, gymId, userId }, [
+      { ...details, amount: allocation.amount }
+    ]);
+  }
+  return receiptId;
+};
+
+class CustomerService {
+  list(gymId) {
+    const id = requireId(gymId, 'رقم الصالة');
+    return DatabaseService.query(`
+      SELECT
+        c.*,
+        COALESCE(SUM(i.total - i.returned_amount), 0) as total_purchases,
+        COALESCE(SUM(CASE WHEN i.is_credit = 1 THEN i.total - i.returned_amount - i.paid_amount ELSE 0 END), 0) as total_debt
+      FROM customers c
+      LEFT JOIN invoices i ON c.id = i.customer_id AND i.gym_id = ?
+      WHERE c.gym_id = ?
+      GROUP BY c.id
+      ORDER BY c.created_at DESC
+    `, [id, id]);
+  }
+
+  // قائمة مختصرة لاختيار الزبون في الفاتورة السريعة
+  listBasic(gymId) {
+    return DatabaseService.query(`
+      SELECT id, name, phone
+      FROM customers
+      WHERE gym_id = ?
+      ORDER BY name
+    `, [requireId(gymId, 'رقم الصالة')]);
+  }
+
+  topDebtors(gymId, limit = 5) {
+    return DatabaseService.query(`
+      SELECT c.name, c.phone, SUM(i.total - i.returned_amount - i.paid_amount) as total_debt
+      FROM customers c
+      JOIN invoices i ON c.id = i.customer_id
+      WHERE i.gym_id = ? AND i.is_credit = 1 AND i.total - i.returned_amount > i.paid_amount
+      GROUP BY c.id, c.name, c.phone
+      ORDER BY total_debt DESC
+      LIMIT ?
+    `, [requireId(gymId, 'رقم الصالة'), limit]);
+  }
+
+  async create(gymId, payload) {
+    const customer = validateCustomer(payload);
+    const result = await DatabaseService.run(`
+      INSERT INTO customers (name, phone, email, address, gym_id)
+      VALUES (?, ?, ?, ?, ?)
+    `, [customer.name, customer.phone, customer.email, customer.address, requireId(gymId, 'رقم الصالة')]);
+    return { id: result.lastInsertRowid, name: customer.name, phone: customer.phone };
+  }
+
+  async update(id, payload) {
+    const customerId = requireId(id, 'رقم الزبون');
+    const customer = validateCustomer(payload);
+    await DatabaseService.run(`
+      UPDATE customers
+      SET name = ?, phone = ?, email = ?, address = ?
+      WHERE id = ?
+    `, [customer.name, customer.phone, customer.email, customer.address, customerId]);
+    return { id: customerId };
+  }
+
+  async remove(id) {
+    const customerId = requireId(id, 'رقم الزبون');
+    const debt = await DatabaseService.get(`
+      SELECT COALESCE(SUM(total - returned_amount - paid_amount), 0) as remaining
+      FROM invoices
+      WHERE customer_id = ? AND is_credit = 1 AND total - returned_amount > paid_amount
+    `, [customerId]);
+    if (debt.remaining > 0) {
+      throw new Error('لا يمكن حذف زبون عليه ديون غير مسددة');
+    }
+    await DatabaseService.run('DELETE FROM customers WHERE id = ?', [customerId]);
+    return { id: customerId };
+  }
+
+  debts(customerId) {
+    return DatabaseService.query(`
+      SELECT
+        id,
+        invoice_number,
+        total,
+        returned_amount,
+        paid_amount,
+        (total - returned_amount - paid_amount) as remaining,
+        created_at
+      FROM invoices
+      WHERE customer_id = ? AND is_credit = 1 AND total - returned_amount > paid_amount
+      ORDER BY created_at DESC
+    `, [requireId(customerId, 'رقم الزبون')]);
+  }
+
+  // تسديد جزء من دين فاتورة واحدة بسند قبض (payment: { method, reference })
+  async payDebt(invoiceId, amount, userId, payment = {}) {
+    const id = requireId(invoiceId, 'رقم الفاتورة');
+    const user = requireId(userId, 'رقم المستخدم');
+    const paid = requireAmount(amount, 'المبلغ المدفوع');
+    if (paid <= 0) {
+      throw new Error('يرجى إدخال مبلغ صحيح وموجب.');
+    }
+    const details = validatePayment({ ...payment, amount: paid });
+
+    const receiptId = await DatabaseService.transaction(async (tx) => {
+      const invoice = await tx.get('SELECT gym_id, customer_id, total, returned_amount, paid_amount FROM invoices WHERE id = ? AND is_credit = 1', [id]);
+      if (!invoice) {
+        throw new Error('الفاتورة غير موجودة');
+      }
+      if (paid > roundMoney(invoice.total - invoice.returned_amount - invoice.paid_amount)) {
+        throw new Error('المبلغ المدخل أكبر من المبلغ المتبقي!');
+      }
+      return recordReceipt(tx, { customerId: invoice.customer_id, gymId: invoice.gym_id, userId: user }, details, [
+        { invoice_id: id, amount: details.amount }
+      ]);
+    });
+    return this.receipt(receiptId);
+  }
+
+  async settleDebt(invoiceId, userId, payment = {}) {
+    const id = requireId(invoiceId, 'رقم الفاتورة');
+    const user = requireId(userId, 'رقم المستخدم');
+
+    const receiptId = await DatabaseService.transaction(async (tx) => {
+      const invoice = await tx.get(`
+        SELECT gym_id, customer_id, total - returned_amount - paid_amount as remaining
+        FROM invoices
+        WHERE id = ? AND is_credit = 1
+      `, [id]);
+      if (!invoice) {
+        throw new Error('الفاتورة غير موجودة');
+      }
+      const remaining = roundMoney(invoice.remaining);
+      if (remaining <= 0) {
+        throw new ValidationError('الفاتورة مسددة بالكامل');
+      }
+      return recordReceipt(tx, { customerId: invoice.customer_id, gymId: invoice.gym_id, userId: user }, validatePayment({ ...payment, amount: remaining }), [
+        { invoice_id: id, amount: remaining }
+      ]);
+    });
+    return this.receipt(receiptId);
+  }
+
+  // دفعة على حساب الزبون تُوزع على فواتيره الآجلة المفتوحة من الأقدم (payload: { amount, method, reference, notes })
+  async receivePayment(customerId, userId, payload) {
+    const id = requireId(customerId, 'رقم الزبون');
+    const user = requireId(userId, 'رقم المستخدم');
+    ensureObject(payload);
+    const details = validatePayment(payload);
+    const notes = optionalText(payload.notes, 'ملاحظات', 255);
+
+    const receiptId = await DatabaseService.transaction(async (tx) => {
+      const customer = await tx.get('SELECT id, gym_id FROM customers WHERE id = ?', [id]);
+      if (!customer) {
+        throw new ValidationError('الزبون غير موجود');
+      }
+      const invoices = await tx.query(`
+        SELECT id, created_at, total - returned_amount - paid_amount as remaining
+        FROM invoices
+        WHERE customer_id = ? AND is_credit = 1 AND total - returned_amount > paid_amount
+      `, [id]);
+      const allocations = allocatePayment(details.amount, invoices);
+      return recordReceipt(tx, { customerId: id, gymId: customer.gym_id, userId: user, notes }, details, allocations);
+    });
+    return this.receipt(receiptId);
+  }
+
+  // سند القبض للطباعة مع توزيعه، والمتبقي من كل فاتورة بعده (المرتجعات والدفعات السابقة له فقط)
+  async receipt(receiptId) {
+    const id = requireId(receiptId, 'رقم السند');
+    const receipt = await DatabaseService.get(`
+      SELECT cp.*, u.full_name as user_name, g.name as gym_name,
+             COALESCE(c.name, (SELECT i.customer_name FROM payments p JOIN invoices i ON p.invoice_id = i.id WHERE p.customer_payment_id = cp.id LIMIT 1)) as customer_name,
+             c.phone as customer_phone
+      FROM customer_payments cp
+      LEFT JOIN customers c ON cp.customer_id = c.id
+      LEFT JOIN users u ON cp.user_id = u.id
+      LEFT JOIN gyms g ON cp.gym_id = g.id
+      WHERE cp.id = ?
+    `, [id]);
+    if (!receipt) {
+      throw new ValidationError('سند القبض غير موجود');
+    }
+    const allocations = await DatabaseService.query(`
+      SELECT p.invoice_id, i.invoice_number, i.created_at as invoice_date, p.amount,
+             i.total
+               - COALESCE((SELECT SUM(r.amount) FROM sales_returns r WHERE r.invoice_id = i.id AND r.created_at <= p.created_at), 0)
+               - (SELECT SUM(q.amount) FROM payments q WHERE q.invoice_id = i.id AND q.id <= p.id) as remaining
+      FROM payments p
+      JOIN invoices i ON p.invoice_id = i.id
+      WHERE p.customer_payment_id = ?
+      ORDER BY i.created_at, i.id
+    `, [id]);
+    return { ...receipt, allocations };
+  }
+
+  listReceipts(customerId) {
+    return DatabaseService.query(`
+      SELECT cp.*, u.full_name as user_name
+      FROM customer_payments cp
+      LEFT JOIN users u ON cp.user_id = u.id
+      WHERE cp.customer_id = ?
+      ORDER BY cp.created_at DESC, cp.id DESC
+    `, [requireId(customerId, 'رقم الزبون')]);
+  }
+
+  // كشف حساب الزبون: فواتيره الآجلة (مدين)، ودفعاتها بسند أو عند البيع والمرتجعات (دائن، والمبلغ المردود مدين)
+  // مع الرصيد المتراكم. range: { start, end } اختياري
+  async statement(customerId, range = {}) {
+    const id = requireId(customerId, 'رقم الزبون');
+    const customer = await DatabaseService.get('SELECT id, name, phone, gym_id FROM customers WHERE id = ?', [id]);
+    if (!customer) {
+      throw new ValidationError('الزبون غير موجود');
+    }
+    const start = optionalText(range && range.start, 'بداية الفترة', 40);
+    const end = optionalText(range && range.end, 'نهاية الفترة', 40);
+    const entries = await DatabaseService.query(`
+      SELECT 'invoice' as type, i.created_at as date, i.invoice_number as document_number, NULL as related,
+             NULL as method, i.total as debit, 0 as credit
+      FROM invoices i
+      WHERE i.customer_id = ? AND i.is_credit = 1
+      UNION ALL
+      SELECT 'payment', MIN(p.created_at), COALESCE(cp.receipt_number, i.invoice_number), GROUP_CONCAT(i.invoice_number, '، '),
+             p.method, 0, SUM(p.amount)
+      FROM payments p
+      JOIN invoices i ON p.invoice_id = i.id
+      LEFT JOIN customer_payments cp ON p.customer_payment_id = cp.id
+      WHERE i.customer_id = ? AND i.is_credit = 1 AND p.return_id IS NULL
+      GROUP BY COALESCE('r' || p.customer_payment_id, 'p' || p.id)
+      UNION ALL
+      SELECT r.type, r.created_at, r.return_number, i.invoice_number, NULL, r.refund_amount, r.amount
+      FROM sales_returns r
+      JOIN invoices i ON r.invoice_id = i.id
+      WHERE i.customer_id = ? AND i.is_credit = 1
+    `, [id, id, id]);
+    return { customer, start, end, ...buildStatement(entries, { start, end }) };
+  }
+
+  // أعمار الديون المفتوحة في الصالة يوم asOf، إجمالاً ولكل زبون (الفاتورة بدون زبون مسجل تُجمع باسمه)
+  async aging(gymId, asOf = new Date()) {
+    const invoices = await DatabaseService.query(`
+      SELECT i.customer_id, COALESCE(c.name, i.customer_name) as name, COALESCE(c.phone, i.customer_phone) as phone,
+             i.created_at, i.total - i.returned_amount - i.paid_amount as remaining
+      FROM invoices i
+      LEFT JOIN customers c ON i.customer_id = c.id
+      WHERE i.gym_id = ? AND i.is_credit = 1 AND i.total - i.returned_amount > i.paid_amount
+    `, [requireId(gymId, 'رقم الصالة')]);
+    const groups = new Map();
+    for (const invoice of invoices) {
+      const key = invoice.customer_id ? `c${invoice.customer_id}` : `n${invoice.name || ''}`;
+      if (!groups.has(key)) {
+        groups.set(key, { customer_id: invoice.customer_id, name: invoice.name, phone: invoice.phone, invoices: [] });
+      }
+      groups.get(key).invoices.push(invoice);
+    }
+    const customers = [...groups.values()]
+      .map(({ invoices: rows, ...customer }) => ({ ...customer, ...agingBuckets(rows, asOf) }))
+      .sort((a, b) => b.total - a.total);
+    return { as_of: asOf.toISOString(), totals: agingBuckets(invoices, asOf), customers };
+  }
+}
+
+module.exports = { CustomerService: new CustomerService(), validateCustomer };
@@ -0,0 +1,112 @@
+const { DatabaseService } = require('../database.cjs');
+const { requireId, optionalText } = require('../validation.cjs');
+const { GymService } = require('./gyms.cjs');
+const { quantityColumn } = require('./stock-movements.cjs');
+const { PaymentService } = require('./payments.cjs');
+
+class DashboardService {
+  // إحصائيات لوحة التحكم للفترة المحددة (بدون فترة = كل البيانات)
+  async stats(gymId, range = {}) {
+    const id = requireId(gymId, 'رقم الصالة');
+    const start = optionalText(range && range.start, 'بداية الفترة', 40);
+    const end = optionalText(range && range.end, 'نهاية الفترة', 40);
+
+    let dateCondition = '';
+    let dateParams = [];
+    if (start && end) {
+      dateCondition = 'AND datetime(created_at) BETWEEN datetime(?) AND datetime(?)';
+      dateParams = [start, end];
+    }
+
+    const subscribers = await DatabaseService.get(`
+      SELECT
+        COUNT(*) as total,
+        SUM(CASE WHEN status = 'active' THEN 1 ELSE 0 END) as active,
+        SUM(CASE WHEN status = 'expiring' THEN 1 ELSE 0 END) as expiring
+      FROM subscribers
+      WHERE gym_id = ? ${dateCondition}
+    `, [id, ...dateParams]);
+
+    // المخزون المنخفض حسب مخزون هذا الفرع
+    const gym = await GymService.get(id);
+    const column = quantityColumn(gym.type);
+    const products = await DatabaseService.get(`
+      SELECT
+        COUNT(*) as total,
+        SUM(CASE WHEN ${column} < 5 THEN 1 ELSE 0 END) as low_stock
+      FROM products
+    `);
+
+    const sales = await DatabaseService.get(`
+      SELECT
+        COUNT(DISTINCT CASE WHEN i.status != 'voided' THEN i.id END) as total_sales,
+        COALESCE(SUM(i.total), 0) as revenue,
+        COALESCE(SUM(i.profit), 0) as profit
+      FROM invoices i
+      WHERE i.gym_id = ? AND i.is_single_session = 0 ${dateCondition}
+    `, [id, ...dateParams]);
+
+    const singleSessions = await DatabaseService.get(`
+      SELECT
+        SUM(CASE WHEN status != 'voided' THEN 1 ELSE 0 END) as session_count,
+        COALESCE(SUM(total), 0) as revenue
+      FROM invoices
+      WHERE gym_id = ? AND is_single_session = 1 ${dateCondition}
+    `, [id, ...dateParams]);
+
+    // المرتجعات تُخصم من مبيعات فترتها (تاريخ الإرجاع وليس تاريخ الفاتورة)
+    const returns = await DatabaseService.get(`
+      SELECT
+        COALESCE(SUM(CASE WHEN invoice_id IN (SELECT id FROM invoices WHERE is_single_session = 1) THEN amount ELSE 0 END), 0) as single_sessions,
+        COALESCE(SUM(CASE WHEN invoice_id IN (SELECT id FROM invoices WHERE is_single_session = 1) THEN 0 ELSE amount END), 0) as sales,
+        COALESCE(SUM(profit), 0) as profit
+      FROM sales_returns
+      WHERE gym_id = ? ${dateCondition}
+    `, [id, ...dateParams]);
+    const salesRevenue = sales.revenue - returns.sales;
+    const singleSessionRevenue = singleSessions.revenue - returns.single_sessions;
+
+    const subscriptions = await DatabaseService.get(`
+      SELECT COALESCE(SUM(price_paid), 0) as revenue
+      FROM subscribers
+      WHERE gym_id = ? ${dateCondition}
+    `, [id, ...dateParams]);
+
+    const internalSales = await DatabaseService.get(`
+      SELECT
+        COALESCE(SUM(total_price), 0) as revenue,
+        COALESCE(SUM(profit), 0) as profit
+      FROM internal_sales
+      WHERE gym_id = ? ${dateCondition}
+    `, [id, ...dateParams]);
+
+    const debts = await DatabaseService.get(`
+      SELECT COALESCE(SUM(total - returned_amount - paid_amount), 0) as total_debts
+      FROM invoices
+      WHERE gym_id = ? AND is_credit = 1 AND total - returned_amount > paid_amount
+    `, [id]);
+
+    return {
+      totalSubscribers: subscribers.total || 0,
+      activeSubscribers: subscribers.active || 0,
+      expiringSubscribers: subscribers.expiring || 0,
+      totalProducts: products.total || 0,
+      lowStockProducts: products.low_stock || 0,
+      totalRevenue: salesRevenue + subscriptions.revenue + singleSessionRevenue + internalSales.revenue,
+      subscriptionRevenue: subscriptions.revenue,
+      salesRevenue,
+      salesReturns: returns.sales,
+      salesProfit: sales.profit - returns.profit + internalSales.profit,
+      totalSales: sales.total_sales || 0,
+      singleSessionRevenue,
+      singleSessionCount: singleSessions.session_count || 0,
+      internalSalesRevenue: internalSales.revenue,
+      internalSalesProfit: internalSales.profit,
+      customerDebts: debts.total_debts,
+      // المبالغ المقبوضة فعلاً في الفترة حسب طريقة الدفع (تشمل تسديد الديون وتطرح المبالغ المردودة)
+      paymentMethods: await PaymentService.totalsByMethod(id, { start, end })
+    };
+  }
+}
+
+module.exports = { DashboardService: new DashboardService() };
@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// وجهات النسخ الاحتياطية خارج مجلد البرنامج. كل وجهة تعرض نفس الواجهة:
+//   test()                   يفحص الاتصال والكتابة ويرمي خطأ يشرح المشكلة
+//   upload(filePath, name)   يرسل الملف ويرجع { location } مكان النسخة في الوجهة
+// الوجهات الشبكية (WebDAV و S3) تُختبر على خادم محلي مثل MinIO أو خادم WebDAV
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 2000;
+const PROBE_FILE = '.gym-dada-write-test';
+
+class DestinationError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'DestinationError';
+    this.status = status;
+  }
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// إعادة المحاولة عند انقطاع الشبكة أو أخطاء الخادم المؤقتة فقط
+const withRetry = async (work, retryDelayMs = RETRY_DELAY_MS) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await work();
+    } catch (error) {
+      const retryable = !(error instanceof DestinationError) || error.status === null || error.status >= 500;
+      if (!retryable || attempt >= MAX_ATTEMPTS) {
+        throw error instanceof DestinationError ? error : new DestinationError(`تعذر الاتصال بالخادم: ${error.message}`);
+      }
+      await delay(retryDelayMs * attempt);
+    }
+  }
+};
+
+const fileSha256 = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', (chunk) => hash.update(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+// جسم الطلب من الملف مباشرة دون تحميله كاملاً في الذاكرة
+const fileBody = (filePath) => {
+  const { size } = fs.statSync(filePath);
+  return { body: fs.createReadStream(filePath), duplex: 'half', headers: { 'Content-Length': String(size) } };
+};
+
+// مجلد محلي أو قرص خارجي أو مجلد مشترك على الشبكة (\\NAS\backups)
+class FolderDestination {
+  constructor({ path: directory }, { network = false } = {}) {
+    this.directory = directory;
+    this.network = network;
+  }
+
+  unreachable(error) {
+    const hint = this.network
+      ? 'تأكد أن جهاز التخزين يعمل ومتصل بالشبكة وأن المجلد مشترك'
+      : 'تأكد أن القرص متصل وأن المجلد موجود';
+    return new DestinationError(`تعذر الوصول إلى المجلد ${this.directory}: ${error.code || error.message}. ${hint}`);
+  }
+
+  async test() {
+    try {
+      if (!fs.statSync(this.directory).isDirectory()) {
+        throw new DestinationError(`${this.directory} ليس مجلداً`);
+      }
+      const probe = path.join(this.directory, PROBE_FILE);
+      fs.writeFileSync(probe, new Date().toISOString());
+      fs.rmSync(probe, { force: true });
+    } catch (error) {
+      throw error instanceof DestinationError ? error : this.unreachable(error);
+    }
+    return { message: 'المجلد متاح للكتابة' };
+  }
+
+  // النسخ إلى ملف مؤقت ثم إعادة التسمية، مع ملف البيانات (.json) إن وجد
+  async upload(filePath, name) {
+    const target = path.join(this.directory, name);
+    try {
+      fs.copyFileSync(filePath, `${target}.partial`);
+      fs.renameSync(`${target}.partial`, target);
+      if (fs.existsSync(`${filePath}.json`)) {
+        fs.copyFileSync(`${filePath}.json`, `${target}.json`);
+      }
+    } catch (error) {
+      fs.rmSync(`${target}.partial`, { force: true });
+      throw this.unreachable(error);
+    }
+    return { location: target };
+  }
+}
+
+class WebDavDestination {
+  constructor({ url, username, password }, { retryDelayMs = RETRY_DELAY_MS } = {}) {
+    this.baseUrl = url.replace(/\/+$/, '');
+    this.authorization = username
+      ? `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}`
+      : null;
+    this.retryDelayMs = retryDelayMs;
+  }
+
+  async request(method, url, options = {}) {
+    const headers = { ...options.headers };
+    if (this.authorization) {
+      headers.Authorization = this.authorization;
+    }
+    const response = await fetch(url, { ...options, method, headers });
+    if (response.status === 401 || response.status === 403) {
+      throw new DestinationError('اسم المستخدم أو كلمة المرور غير صحيحة لخادم WebDAV', response.status);
+    }
+    if (response.status === 404 || response.status === 409) {
+      throw new DestinationError('المجلد غير موجود على خادم WebDAV', response.status);
+    }
+    if (!response.ok) {
+      throw new DestinationError(`رد غير متوقع من خادم WebDAV (HTTP ${response.status})`, response.status);
+    }
+    return response;
+  }
+
+  async test() {
+    await withRetry(() => this.request('PROPFIND', `${this.baseUrl}/`, { headers: { Depth: '0' } }), this.retryDelayMs);
+    return { message: 'تم الاتصال بخادم WebDAV' };
+  }
+
+  async upload(filePath, name) {
+    const location = `${this.baseUrl}/${encodeURIComponent(name)}`;
+    await withRetry(() => {
+      const { body, duplex, headers } = fileBody(filePath);
+      return this.request('PUT', location, {
+        body,
+        duplex,
+        headers: { ...headers, 'Content-Type': 'application/octet-stream' }
+      });
+    }, this.retryDelayMs);
+    return { location };
+  }
+}
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// توقيع AWS Signature Version 4. يرجع ترويسات الطلب مع Authorization
+// (ترويسة host يضيفها fetch بنفسه لكنها داخلة في التوقيع)
+const signV4 = ({ method, url, headers = {}, payloadHash, accessKeyId, secretAccessKey, region, service = 's3', date = new Date() }) => {
+  const target = new URL(url);
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const signed = { ...headers, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+
+  const canonical = { host: target.host };
+  for (const [key, value] of Object.entries(signed)) {
+    canonical[key.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+  }
+  const names = Object.keys(canonical).sort();
+  const signedHeaders = names.join(';');
+  const canonicalUri = target.pathname.split('/').map((segment) => encodeRfc3986(decodeURIComponent(segment))).join('/');
+  const canonicalQuery = [...target.searchParams.entries()]
+    .map(([key, value]) => `${encodeRfc3986(key)}=${encodeRfc3986(value)}`)
+    .sort()
+    .join('&');
+  const canonicalRequest = [
+    method,
+    canonicalUri,
+    canonicalQuery,
+    names.map((name) => `${name}:${canonical[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = [region, service, 'aws4_request'].reduce((key, part) => hmac(key, part), hmac(`AWS4${secretAccessKey}`, dateStamp));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signed,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+};
+
+// رسالة الخطأ من رد S3 بصيغة XML
+const s3ErrorMessage = async (response) => {
+  const text = await response.text().catch(() => '');
+  const code = /<Code>([^<]+)<\/Code>/.exec(text);
+  const message = /<Message>([^<]+)<\/Message>/.exec(text);
+  return [code && code[1], message && message[1]].filter(Boolean).join(': ') || `HTTP ${response.status}`;
+};
+
+const EMPTY_PAYLOAD_HASH = sha256Hex('');
+
+// تخزين متوافق مع S3 (Amazon S3 أو MinIO أو Wasabi ...). الرفع بطلب PUT واحد، ويكفي لحجم قواعد البيانات هنا
+class S3Destination {
+  constructor({ endpoint, region, bucket, prefix, access_key_id: accessKeyId, secret_access_key: secretAccessKey, path_style: pathStyle = true }, { retryDelayMs = RETRY_DELAY_MS } = {}) {
+    this.endpoint = new URL(endpoint);
+    this.region = region || 'us-east-1';
+    this.bucket = bucket;
+    this.prefix = (prefix || '').replace(/^\/+/, '');
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.pathStyle = pathStyle !== false;
+    this.retryDelayMs = retryDelayMs;
+  }
+
+  url(key = '') {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    const base = this.endpoint.origin + this.endpoint.pathname.replace(/\/+$/, '');
+    if (this.pathStyle) {
+      return `${base}/${this.bucket}/${encodedKey}`;
+    }
+    return `${this.endpoint.protocol}//${this.bucket}.${this.endpoint.host}${this.endpoint.pathname.replace(/\/+$/, '')}/${encodedKey}`;
+  }
+
+  async request(method, url, { payloadHash = EMPTY_PAYLOAD_HASH, headers = {}, ...options } = {}) {
+    const signedHeaders = signV4({
+      method,
+      url,
+      headers,
+      payloadHash,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey,
+      region: this.region
+    });
+    const response = await fetch(url, { ...options, method, headers: signedHeaders });
+    if (!response.ok) {
+      const detail = await s3ErrorMessage(response);
+      if (response.status === 403) {
+        throw new DestinationError(`رفض خادم التخزين مفاتيح الدخول (${detail})`, response.status);
+      }
+      if (response.status === 404) {
+        throw new DestinationError(`الحاوية (bucket) غير موجودة (${detail})`, response.status);
+      }
+      throw new DestinationError(`رد غير متوقع من خادم التخزين (${detail})`, response.status);
+    }
+    return response;
+  }
+
+  async test() {
+    const query = new URLSearchParams({ 'list-type': '2', 'max-keys': '1', prefix: this.prefix });
+    await withRetry(() => this.request('GET', `${this.url()}?${query}`), this.retryDelayMs);
+    return { message: `تم الاتصال بالحاوية ${this.bucket}` };
+  }
+
+  async upload(filePath, name) {
+    const key = `${this.prefix}${this.prefix && !this.prefix.endsWith('/') ? '/' : ''}${name}`;
+    const payloadHash = await fileSha256(filePath);
+    await withRetry(() => {
+      const { body, duplex, headers } = fileBody(filePath);
+      return this.request('PUT', this.url(key), {
+        body,
+        duplex,
+        payloadHash,
+        headers: { ...headers, 'Content-Type': 'application/octet-stream' }
+      });
+    }, this.retryDelayMs);
+    return { location: `s3://${this.bucket}/${key}` };
+  }
+}
+
+module.exports = {
+  DestinationError,
+  FolderDestination,
+  WebDavDestination,
+  S3Destination,
+  signV4
+};
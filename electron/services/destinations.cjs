@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const { app, safeStorage } = require('electron');
+const { ensureObject, requireId, requireText, optionalText, requireBoolean, requireOneOf, ValidationError } = require('../validation.cjs');
+const { FolderDestination, WebDavDestination, S3Destination } = require('./destination-adapters.cjs');
+const { BackupService } = require('./backups.cjs');
+const { GoogleDriveService } = require('./google-drive.cjs');
+
+// وجهات النسخ الاحتياطية: كل نسخة يدوية أو مجدولة تُرسل إلى جميع الوجهات المفعلة،
+// وتُسجل نتيجة كل وجهة في سجل النسخة. الإعدادات في ملف مستقل عن القاعدة حتى لا تغيرها الاستعادة،
+// وكلمات السر مشفرة بمفتاح نظام التشغيل ولا تصل إلى الواجهة
+const configPath = () => path.join(app.getPath('userData'), 'destinations.json');
+
+// الحقول العادية والحقول السرية لكل نوع
+const DESTINATION_TYPES = {
+  folder: { fields: ['path'], secrets: [] },
+  network: { fields: ['path'], secrets: [] },
+  webdav: { fields: ['url', 'username'], secrets: ['password'] },
+  s3: { fields: ['endpoint', 'region', 'bucket', 'prefix', 'access_key_id', 'path_style'], secrets: ['secret_access_key'] },
+  google_drive: { fields: [], secrets: [] }
+};
+
+const BUCKET_PATTERN = /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/;
+
+const seal = (value) => {
+  if (!safeStorage.isEncryptionAvailable()) {
+    throw new ValidationError('حفظ كلمات السر بأمان غير متاح على هذا الجهاز');
+  }
+  return safeStorage.encryptString(value).toString('base64');
+};
+
+const unseal = (value) => (value ? JSON.parse(safeStorage.decryptString(Buffer.from(value, 'base64'))) : {});
+
+const requireUrl = (value, label) => {
+  const text = requireText(value, label, 1000);
+  let url;
+  try {
+    url = new URL(text);
+  } catch (error) {
+    throw new ValidationError(`${label} غير صالح`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new ValidationError(`${label} يجب أن يبدأ بـ http:// أو https://`);
+  }
+  return text;
+};
+
+// مسار كامل على هذا الجهاز أو مسار شبكة بصيغة \\الخادم\المجلد
+const requireFolderPath = (value) => {
+  const folder = requireText(value, 'مسار المجلد', 1000);
+  if (!path.isAbsolute(folder) && !/^\\\\[^\\]+\\[^\\]+/.test(folder)) {
+    throw new ValidationError('يرجى إدخال المسار الكامل للمجلد');
+  }
+  return folder;
+};
+
+const validateSettings = (type, settings) => {
+  switch (type) {
+    case 'folder':
+    case 'network':
+      return { path: requireFolderPath(settings.path) };
+    case 'webdav':
+      return {
+        url: requireUrl(settings.url, 'عنوان WebDAV'),
+        username: optionalText(settings.username, 'اسم المستخدم', 255)
+      };
+    case 's3': {
+      const bucket = requireText(settings.bucket, 'اسم الحاوية (bucket)');
+      if (!BUCKET_PATTERN.test(bucket)) {
+        throw new ValidationError('اسم الحاوية (bucket) يقبل الحروف الصغيرة والأرقام والنقطة والشرطة فقط');
+      }
+      return {
+        endpoint: requireUrl(settings.endpoint, 'عنوان خادم التخزين'),
+        region: optionalText(settings.region, 'المنطقة', 100) || 'us-east-1',
+        bucket,
+        prefix: optionalText(settings.prefix, 'المجلد داخل الحاوية', 500),
+        access_key_id: requireText(settings.access_key_id, 'مفتاح الدخول (Access Key)', 500),
+        path_style: requireBoolean(settings.path_style)
+      };
+    }
+    default:
+      return {};
+  }
+};
+
+// Google Drive وجهة مثل غيرها، لكن ربطه واختيار مجلده من قسم Google Drive في الإعدادات
+const googleDriveDestination = {
+  async test() {
+    const folder = GoogleDriveService.requireFolder();
+    const about = await GoogleDriveService.getClient().about();
+    return { message: `متصل بحساب ${about.user ? about.user.emailAddress : 'Google'} - المجلد: ${folder.name}` };
+  },
+  async upload(filePath, name) {
+    const file = await GoogleDriveService.uploadBackup({ path: filePath, file: name });
+    return { location: `${GoogleDriveService.requireFolder().name}/${file.name || name}` };
+  }
+};
+
+class DestinationService {
+  loadConfig() {
+    try {
+      const config = JSON.parse(fs.readFileSync(configPath(), 'utf8'));
+      return { next_id: config.next_id || 1, destinations: Array.isArray(config.destinations) ? config.destinations : [] };
+    } catch (error) {
+      return { next_id: 1, destinations: [] };
+    }
+  }
+
+  saveConfig(config) {
+    const partialPath = `${configPath()}.partial`;
+    fs.writeFileSync(partialPath, JSON.stringify(config, null, 2));
+    fs.renameSync(partialPath, configPath());
+    return config;
+  }
+
+  updateConfig(change) {
+    const config = this.loadConfig();
+    const result = change(config);
+    this.saveConfig(config);
+    return result;
+  }
+
+  // ما يصل إلى الواجهة: دون الحقول السرية
+  view(destination) {
+    const { secret, ...rest } = destination;
+    return { ...rest, has_secret: Boolean(secret) };
+  }
+
+  list() {
+    return this.loadConfig().destinations.map((destination) => this.view(destination));
+  }
+
+  find(config, id) {
+    const destinationId = requireId(id, 'رقم الوجهة');
+    const destination = config.destinations.find((item) => item.id === destinationId);
+    if (!destination) {
+      throw new ValidationError('الوجهة غير موجودة');
+    }
+    return destination;
+  }
+
+  // التحقق من بيانات الوجهة. الحقل السري الفارغ عند التعديل يعني إبقاء القيمة المحفوظة
+  normalize(payload, config) {
+    ensureObject(payload);
+    const existing = payload.id ? this.find(config, payload.id) : null;
+    const type = requireOneOf(existing ? existing.type : payload.type, Object.keys(DESTINATION_TYPES), 'نوع الوجهة');
+    if (type === 'google_drive' && config.destinations.some((item) => item.type === type && (!existing || item.id !== existing.id))) {
+      throw new ValidationError('Google Drive مضاف مسبقاً كوجهة');
+    }
+    const settings = payload.settings && typeof payload.settings === 'object' ? payload.settings : {};
+    const secrets = existing ? unseal(existing.secret) : {};
+    for (const field of DESTINATION_TYPES[type].secrets) {
+      if (typeof settings[field] === 'string' && settings[field] !== '') {
+        secrets[field] = settings[field];
+      }
+    }
+    const destination = {
+      name: requireText(payload.name, 'اسم الوجهة', 100),
+      type,
+      enabled: requireBoolean(payload.enabled),
+      settings: validateSettings(type, settings)
+    };
+    if (type === 's3' && !secrets.secret_access_key) {
+      throw new ValidationError('المفتاح السري (Secret Key) مطلوب');
+    }
+    return { existing, destination, secrets };
+  }
+
+  save(payload) {
+    return this.updateConfig((config) => {
+      const { existing, destination, secrets } = this.normalize(payload, config);
+      const secret = Object.keys(secrets).length > 0 ? seal(JSON.stringify(secrets)) : null;
+      if (existing) {
+        Object.assign(existing, destination, { secret });
+        return this.view(existing);
+      }
+      const added = { id: config.next_id, ...destination, secret, last: null };
+      config.next_id += 1;
+      config.destinations.push(added);
+      return this.view(added);
+    });
+  }
+
+  remove(id) {
+    return this.updateConfig((config) => {
+      const destination = this.find(config, id);
+      config.destinations = config.destinations.filter((item) => item.id !== destination.id);
+      return { success: true };
+    });
+  }
+
+  adapter(type, settings, secrets) {
+    const options = { ...settings, ...secrets };
+    switch (type) {
+      case 'folder':
+        return new FolderDestination(options);
+      case 'network':
+        return new FolderDestination(options, { network: true });
+      case 'webdav':
+        return new WebDavDestination(options);
+      case 's3':
+        return new S3Destination(options);
+      case 'google_drive':
+        return googleDriveDestination;
+      default:
+        throw new ValidationError('نوع الوجهة غير معروف');
+    }
+  }
+
+  // اختبار الاتصال ببيانات النموذج قبل حفظها (أو بوجهة محفوظة مع كلمة سرها)
+  async test(payload) {
+    const { destination, secrets } = this.normalize({ enabled: false, ...payload }, this.loadConfig());
+    return this.adapter(destination.type, destination.settings, secrets).test();
+  }
+
+  // إرسال نسخة إلى جميع الوجهات المفعلة، واحدة بعد الأخرى. فشل وجهة لا يوقف الباقي ولا يرمي خطأ،
+  // والنتيجة تُسجل في سجل النسخة وفي آخر حالة للوجهة. pendingOnly يتجاوز الوجهات التي وصلتها النسخة،
+  // و destinationIds يحصر الإرسال في وجهات محددة (وجهات جدول النسخ التلقائي)
+  async send(entry, { pendingOnly = false, destinationIds = null } = {}) {
+    const uploads = entry.uploads || {};
+    const destinations = this.loadConfig().destinations
+      .filter((destination) => destination.enabled)
+      .filter((destination) => !destinationIds || destinationIds.includes(destination.id))
+      .filter((destination) => !pendingOnly || !uploads[destination.id] || uploads[destination.id].status !== 'uploaded');
+    const results = [];
+    for (const destination of destinations) {
+      const upload = { destination: destination.name, type: destination.type, status: 'uploaded', location: null, error: null };
+      try {
+        const adapter = this.adapter(destination.type, destination.settings, unseal(destination.secret));
+        upload.location = (await adapter.upload(entry.path, entry.file)).location;
+      } catch (error) {
+        console.error(`Backup destination ${destination.name} failed:`, error);
+        upload.status = 'failed';
+        upload.error = error.message;
+      }
+      BackupService.setUpload(entry.id, destination.id, upload);
+      this.updateConfig((config) => {
+        const saved = config.destinations.find((item) => item.id === destination.id);
+        if (saved) {
+          saved.last = { status: upload.status, error: upload.error, file: entry.file, at: new Date().toISOString() };
+        }
+      });
+      results.push({ destination_id: destination.id, ...upload });
+    }
+    return results;
+  }
+
+  // إعادة إرسال نسخة من السجل إلى الوجهات التي لم تصلها
+  sendBackup(id) {
+    const entry = BackupService.get(id);
+    if (!fs.existsSync(entry.path)) {
+      throw new ValidationError('ملف النسخة غير موجود على القرص');
+    }
+    if (!entry.verified) {
+      throw new ValidationError('لا يمكن إرسال نسخة فشلت في التحقق');
+    }
+    return this.send(entry, { pendingOnly: true });
+  }
+}
+
+module.exports = { DestinationService: new DestinationService() };
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const { app } = require('electron');
+const { DatabaseService } = require('../database.cjs');
+const { MIGRATIONS } = require('../migrations.cjs');
+
+// عدد الأخطاء الأخيرة المحفوظة في الذاكرة لعرضها في صفحة التشخيص
+const MAX_RECENT_ERRORS = 50;
+// أقصى عدد من المشاكل التي يعيدها فحص السلامة
+const INTEGRITY_CHECK_LIMIT = 20;
+
+const fileSize = (filePath) => {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (error) {
+    return 0;
+  }
+};
+
+// التشخيص للمالك فقط: معلومات عن قاعدة البيانات والأخطاء الأخيرة.
+// لا يعيد أي هاش ولا يسجل بيانات الدخول، والأخطاء تُحفظ برسالتها فقط دون وسائط الطلب
+class DiagnosticsService {
+  constructor() {
+    this.recentErrors = [];
+  }
+
+  recordError(source, error) {
+    this.recentErrors.unshift({
+      source,
+      name: (error && error.name) || 'Error',
+      message: (error && error.message) || String(error),
+      created_at: new Date().toISOString()
+    });
+    this.recentErrors.length = Math.min(this.recentErrors.length, MAX_RECENT_ERRORS);
+  }
+
+  async integrity() {
+    const rows = await DatabaseService.query(`PRAGMA integrity_check(${INTEGRITY_CHECK_LIMIT})`);
+    const messages = rows.map((row) => Object.values(row)[0]);
+    return {
+      ok: messages.length === 1 && messages[0] === 'ok',
+      messages: messages.filter((message) => message !== 'ok')
+    };
+  }
+
+  async tableCounts() {
+    const tables = await DatabaseService.query(`
+      SELECT name FROM sqlite_master
+      WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+      ORDER BY name
+    `);
+    const counts = [];
+    for (const table of tables) {
+      const row = await DatabaseService.get(`SELECT COUNT(*) as count FROM "${table.name}"`);
+      counts.push({ name: table.name, rows: row.count });
+    }
+    return counts;
+  }
+
+  async summary() {
+    const version = await DatabaseService.get('SELECT MAX(version) as version, MAX(applied_at) as applied_at FROM schema_version');
+    const dbPath = DatabaseService.dbPath;
+
+    return {
+      db_path: dbPath,
+      db_size: fileSize(dbPath),
+      wal_size: fileSize(`${dbPath}-wal`),
+      schema_version: version.version || 0,
+      latest_schema_version: MIGRATIONS[MIGRATIONS.length - 1].version,
+      schema_applied_at: version.applied_at,
+      tables: await this.tableCounts(),
+      integrity: await this.integrity(),
+      recent_errors: this.recentErrors,
+      app_version: app.getVersion(),
+      electron_version: process.versions.electron || null,
+      node_version: process.versions.node,
+      platform: process.platform
+    };
+  }
+}
+
+module.exports = { DiagnosticsService: new DiagnosticsService() };
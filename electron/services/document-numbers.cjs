@@ -0,0 +1,94 @@
+const { DatabaseService } = require('../database.cjs');
+const { requireId } = require('../validation.cjs');
+const { parseSettings } = require('./gyms.cjs');
+const {
+  DOCUMENT_TYPES,
+  resolveSchemes,
+  validateNumbering,
+  sequenceYear,
+  formatDocumentNumber,
+  documentYear
+} = require('../document-numbers.cjs');
+
+// مخططات ترقيم كل الصالات بالمعرف، من إعداداتها فوق المخطط الافتراضي
+const loadSchemes = async (db) => {
+  const gyms = await db.query('SELECT id, type, settings FROM gyms ORDER BY id');
+  return new Map(gyms.map((gym) => [gym.id, resolveSchemes(gym, gyms, parseSettings(gym.settings).numbering)]));
+};
+
+/**
+ * حجز رقم المستند التالي داخل معاملة إنشائه: العداد يزيد في نفس المعاملة، فإذا فشل الحفظ
+ * يُلغى الحجز معه ولا تبقى فجوة. رقم موجود مسبقاً في الجدول (مستورد من جهاز آخر أو بعد
+ * تغيير البادئة) يُتخطى. date: تاريخ المستند لسنة الترقيم، الافتراضي الآن
+ */
+const allocateNumber = async (tx, gymId, type, { date = new Date() } = {}) => {
+  const schemes = (await loadSchemes(tx)).get(gymId);
+  if (!schemes) {
+    throw new Error('الصالة غير موجودة');
+  }
+  const scheme = schemes[type];
+  const { table, column } = DOCUMENT_TYPES[type];
+  const year = documentYear(date);
+  const key = [gymId, type, sequenceYear(scheme, year)];
+
+  for (;;) {
+    await tx.run(`
+      INSERT INTO document_sequences (gym_id, doc_type, year, last_number) VALUES (?, ?, ?, 1)
+      ON CONFLICT (gym_id, doc_type, year) DO UPDATE SET last_number = last_number + 1
+    `, key);
+    const { last_number: number } = await tx.get(
+      'SELECT last_number FROM document_sequences WHERE gym_id = ? AND doc_type = ? AND year = ?',
+      key
+    );
+    const documentNumber = formatDocumentNumber(scheme, year, number);
+    if (!(await tx.get(`SELECT id FROM ${table} WHERE ${column} = ?`, [documentNumber]))) {
+      return documentNumber;
+    }
+  }
+};
+
+class DocumentNumberService {
+  // مخطط كل نوع مع الرقم التالي المتوقع في السنة الحالية
+  async list(gymId) {
+    const gym = requireId(gymId, 'رقم الصالة');
+    const schemes = (await loadSchemes(DatabaseService)).get(gym);
+    if (!schemes) {
+      throw new Error('الصالة غير موجودة');
+    }
+    const year = documentYear();
+    const result = [];
+    for (const [type, { label }] of Object.entries(DOCUMENT_TYPES)) {
+      const scheme = schemes[type];
+      const sequence = await DatabaseService.get(
+        'SELECT last_number FROM document_sequences WHERE gym_id = ? AND doc_type = ? AND year = ?',
+        [gym, type, sequenceYear(scheme, year)]
+      );
+      result.push({
+        type,
+        label,
+        ...scheme,
+        next_number: formatDocumentNumber(scheme, year, (sequence ? sequence.last_number : 0) + 1)
+      });
+    }
+    return result;
+  }
+
+  // تغيير المخطط لا يعيد ترقيم المستندات السابقة، والعداد يستمر من آخر رقم
+  async save(gymId, payload) {
+    const gym = requireId(gymId, 'رقم الصالة');
+    const schemes = await loadSchemes(DatabaseService);
+    if (!schemes.has(gym)) {
+      throw new Error('الصالة غير موجودة');
+    }
+    const numbering = validateNumbering(payload, [...schemes].filter(([id]) => id !== gym).map(([, other]) => other));
+
+    await DatabaseService.transaction(async (tx) => {
+      const row = await tx.get('SELECT settings FROM gyms WHERE id = ?', [gym]);
+      const settings = { ...parseSettings(row.settings), numbering };
+      await tx.run('UPDATE gyms SET settings = ? WHERE id = ?', [JSON.stringify(settings), gym]);
+    });
+    return this.list(gym);
+  }
+}
+
+module.exports = { DocumentNumberService: new DocumentNumberService(), allocateNumber };
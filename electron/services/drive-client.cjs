@@ -0,0 +1,351 @@
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// عميل Google Drive عبر REST مباشرة. العناوين قابلة للتغيير حتى يمكن تشغيل
+// المسار كاملاً (تسجيل الدخول والرفع والتنزيل) على خادم محلي في الاختبارات
+const DEFAULT_ENDPOINTS = {
+  auth: 'https://accounts.google.com/o/oauth2/v2/auth',
+  token: 'https://oauth2.googleapis.com/token',
+  revoke: 'https://oauth2.googleapis.com/revoke',
+  api: 'https://www.googleapis.com/drive/v3',
+  upload: 'https://www.googleapis.com/upload/drive/v3'
+};
+
+// drive.file: البرنامج يرى فقط الملفات والمجلدات التي أنشأها بنفسه
+const SCOPE = 'https://www.googleapis.com/auth/drive.file';
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+// حجم كل جزء في الرفع المستأنف، ويجب أن يكون من مضاعفات 256 KB
+const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;
+const MAX_ATTEMPTS = 5;
+const MAX_RETRY_DELAY_MS = 30000;
+const AUTH_TIMEOUT_MS = 5 * 60 * 1000;
+
+class DriveError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'DriveError';
+    this.status = status;
+  }
+}
+
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// أخطاء الخادم وتجاوز حد الطلبات مؤقتة، فيُعاد الطلب بعد انتظار
+const isRetryable = (status) => status === 429 || status >= 500;
+
+const responseError = async (response, fallback) => {
+  let detail = '';
+  try {
+    const body = await response.json();
+    detail = (body.error && (body.error.message || body.error_description || body.error)) || body.error_description || '';
+  } catch (error) {
+    detail = '';
+  }
+  return new DriveError(`${fallback} (HTTP ${response.status}${detail ? `: ${detail}` : ''})`, response.status);
+};
+
+const postForm = (url, fields) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+  body: new URLSearchParams(fields).toString()
+});
+
+// صفحة قصيرة تظهر في المتصفح بعد الرجوع من Google
+const callbackPage = (message) => `<!DOCTYPE html>
+<html lang="ar" dir="rtl"><head><meta charset="utf-8"><title>GYM DADA</title></head>
+<body style="font-family: Tahoma, Arial, sans-serif; text-align: center; padding: 48px;">
+<h2>${message}</h2><p>يمكنك إغلاق هذه النافذة والعودة إلى البرنامج.</p>
+</body></html>`;
+
+// تسجيل الدخول بإعادة التوجيه إلى عنوان محلي (loopback) مع PKCE:
+// يُفتح خادم على 127.0.0.1 بمنفذ عشوائي، ويُفتح رابط Google في متصفح النظام،
+// ثم يُستبدل الرمز القادم من Google برمز التجديد
+const authorize = async ({ clientId, clientSecret, openUrl, endpoints = DEFAULT_ENDPOINTS, timeoutMs = AUTH_TIMEOUT_MS }) => {
+  const verifier = base64Url(crypto.randomBytes(32));
+  const challenge = base64Url(crypto.createHash('sha256').update(verifier).digest());
+  const state = base64Url(crypto.randomBytes(16));
+
+  const server = http.createServer();
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', resolve);
+  });
+  const redirectUri = `http://127.0.0.1:${server.address().port}`;
+
+  let timer;
+  try {
+    const code = await new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new DriveError('انتهت مهلة تسجيل الدخول إلى Google')), timeoutMs);
+      server.on('request', (req, res) => {
+        const url = new URL(req.url, redirectUri);
+        if (url.pathname !== '/') {
+          res.writeHead(404).end();
+          return;
+        }
+        const params = url.searchParams;
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        if (params.get('state') !== state) {
+          res.end(callbackPage('طلب غير صالح'));
+          reject(new DriveError('رد تسجيل الدخول غير صالح'));
+        } else if (params.get('error') || !params.get('code')) {
+          res.end(callbackPage('تم إلغاء الربط'));
+          reject(new DriveError(`لم يتم ربط Google Drive: ${params.get('error') || 'لا يوجد رمز'}`));
+        } else {
+          res.end(callbackPage('تم ربط Google Drive بنجاح'));
+          resolve(params.get('code'));
+        }
+      });
+
+      const authUrl = new URL(endpoints.auth);
+      authUrl.search = new URLSearchParams({
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        response_type: 'code',
+        scope: SCOPE,
+        code_challenge: challenge,
+        code_challenge_method: 'S256',
+        state,
+        access_type: 'offline',
+        prompt: 'consent'
+      }).toString();
+      Promise.resolve(openUrl(authUrl.toString())).catch(reject);
+    });
+
+    const response = await postForm(endpoints.token, {
+      code,
+      client_id: clientId,
+      client_secret: clientSecret,
+      redirect_uri: redirectUri,
+      grant_type: 'authorization_code',
+      code_verifier: verifier
+    });
+    if (!response.ok) {
+      throw await responseError(response, 'فشل الحصول على رمز الدخول من Google');
+    }
+    const tokens = await response.json();
+    if (!tokens.refresh_token) {
+      throw new DriveError('لم تُرجع Google رمز التجديد، يرجى إزالة صلاحية البرنامج من حساب Google والربط من جديد');
+    }
+    return tokens;
+  } finally {
+    clearTimeout(timer);
+    server.close();
+  }
+};
+
+// رقم أول بايت لم يصل بعد، من ترويسة Range في رد 308 (مثل bytes=0-524287)
+const nextOffset = (response) => {
+  const match = /bytes=\d+-(\d+)/.exec(response.headers.get('range') || '');
+  return match ? Number(match[1]) + 1 : 0;
+};
+
+class DriveClient {
+  constructor({ clientId, clientSecret, refreshToken, endpoints = DEFAULT_ENDPOINTS, retryDelayMs = 1000, chunkSize = UPLOAD_CHUNK_SIZE }) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.refreshToken = refreshToken;
+    this.endpoints = endpoints;
+    this.retryDelayMs = retryDelayMs;
+    this.chunkSize = chunkSize;
+    this.token = null;
+  }
+
+  backoff(attempt) {
+    return delay(Math.min(this.retryDelayMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS));
+  }
+
+  async accessToken() {
+    if (this.token && this.token.expiresAt > Date.now() + 60000) {
+      return this.token.value;
+    }
+    const response = await postForm(this.endpoints.token, {
+      client_id: this.clientId,
+      client_secret: this.clientSecret,
+      refresh_token: this.refreshToken,
+      grant_type: 'refresh_token'
+    });
+    if (!response.ok) {
+      throw await responseError(response, 'انتهت صلاحية ربط Google Drive، يرجى الربط من جديد');
+    }
+    const body = await response.json();
+    this.token = { value: body.access_token, expiresAt: Date.now() + (body.expires_in || 3600) * 1000 };
+    return this.token.value;
+  }
+
+  // طلب إلى Drive مع تجديد رمز الدخول مرة واحدة عند 401، وإعادة المحاولة عند أخطاء الشبكة والخادم.
+  // الجسم يجب أن يكون نصاً أو Buffer حتى يمكن إرساله أكثر من مرة
+  async request(url, options = {}, { raw = false } = {}) {
+    let refreshed = false;
+    for (let attempt = 1; ; attempt += 1) {
+      let response;
+      try {
+        const token = await this.accessToken();
+        response = await fetch(url, { ...options, headers: { ...options.headers, Authorization: `Bearer ${token}` } });
+      } catch (error) {
+        if (error instanceof DriveError || attempt >= MAX_ATTEMPTS) {
+          throw error instanceof DriveError ? error : new DriveError(`تعذر الاتصال بـ Google Drive: ${error.message}`);
+        }
+        await this.backoff(attempt);
+        continue;
+      }
+      if (response.status === 401 && !refreshed) {
+        refreshed = true;
+        this.token = null;
+        continue;
+      }
+      if (isRetryable(response.status) && attempt < MAX_ATTEMPTS) {
+        await this.backoff(attempt);
+        continue;
+      }
+      if (!response.ok) {
+        throw await responseError(response, 'فشل الطلب إلى Google Drive');
+      }
+      return raw ? response : response.json();
+    }
+  }
+
+  about() {
+    return this.request(`${this.endpoints.api}/about?fields=user(emailAddress,displayName)`);
+  }
+
+  async listFolders() {
+    const query = new URLSearchParams({
+      q: `mimeType='${FOLDER_MIME_TYPE}' and trashed=false`,
+      fields: 'files(id,name)',
+      orderBy: 'name',
+      pageSize: '100'
+    });
+    return (await this.request(`${this.endpoints.api}/files?${query}`)).files;
+  }
+
+  createFolder(name) {
+    return this.request(`${this.endpoints.api}/files?fields=id,name`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json; charset=UTF-8' },
+      body: JSON.stringify({ name, mimeType: FOLDER_MIME_TYPE })
+    });
+  }
+
+  async listFiles(folderId) {
+    const query = new URLSearchParams({
+      q: `'${folderId.replace(/'/g, "\\'")}' in parents and trashed=false and mimeType!='${FOLDER_MIME_TYPE}'`,
+      fields: 'files(id,name,size,createdTime)',
+      orderBy: 'createdTime desc',
+      pageSize: '100'
+    });
+    return (await this.request(`${this.endpoints.api}/files?${query}`)).files;
+  }
+
+  getFile(fileId) {
+    return this.request(`${this.endpoints.api}/files/${encodeURIComponent(fileId)}?fields=id,name,size`);
+  }
+
+  // التنزيل إلى ملف مؤقت ثم إعادة التسمية حتى لا يبقى ملف ناقص
+  async download(fileId, targetPath) {
+    const response = await this.request(`${this.endpoints.api}/files/${encodeURIComponent(fileId)}?alt=media`, {}, { raw: true });
+    const partialPath = `${targetPath}.partial`;
+    try {
+      await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(partialPath));
+      fs.renameSync(partialPath, targetPath);
+    } catch (error) {
+      fs.rmSync(partialPath, { force: true });
+      throw new DriveError(`فشل تنزيل الملف من Google Drive: ${error.message}`);
+    }
+    return targetPath;
+  }
+
+  // رفع مستأنف: تُفتح جلسة رفع ثم يُرسل الملف أجزاءً. عند انقطاع الاتصال أو خطأ مؤقت
+  // يُسأل الخادم عما وصل فعلاً ويُكمل الرفع من هناك بدل البدء من جديد
+  async upload(filePath, { name, folderId }) {
+    const size = fs.statSync(filePath).size;
+    const session = await this.request(`${this.endpoints.upload}/files?uploadType=resumable&fields=id,name,size`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json; charset=UTF-8',
+        'X-Upload-Content-Type': 'application/octet-stream',
+        'X-Upload-Content-Length': String(size)
+      },
+      body: JSON.stringify({ name, parents: [folderId] })
+    }, { raw: true });
+    const sessionUrl = session.headers.get('location');
+    if (!sessionUrl) {
+      throw new DriveError('لم يُرجع Google Drive عنوان جلسة الرفع');
+    }
+
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      // null: لا نعرف ما وصل إلى الخادم، فيُسأل عنه قبل إرسال الجزء التالي
+      let offset = 0;
+      let confirmed = 0;
+      let failures = 0;
+      let lastError = '';
+      for (;;) {
+        let response = null;
+        try {
+          const headers = { Authorization: `Bearer ${await this.accessToken()}` };
+          if (offset === null) {
+            response = await fetch(sessionUrl, { method: 'PUT', redirect: 'manual', headers: { ...headers, 'Content-Range': `bytes */${size}` } });
+          } else {
+            const end = Math.min(offset + this.chunkSize, size);
+            const chunk = Buffer.alloc(end - offset);
+            await handle.read(chunk, 0, chunk.length, offset);
+            response = await fetch(sessionUrl, {
+              method: 'PUT',
+              redirect: 'manual',
+              headers: { ...headers, 'Content-Range': `bytes ${offset}-${end - 1}/${size}` },
+              body: chunk
+            });
+          }
+        } catch (error) {
+          if (error instanceof DriveError) throw error;
+          lastError = error.message;
+        }
+
+        if (response) {
+          if (response.status === 200 || response.status === 201) {
+            return response.json();
+          }
+          if (response.status === 308) {
+            offset = nextOffset(response);
+            if (offset > confirmed) {
+              confirmed = offset;
+              failures = 0;
+            }
+            continue;
+          }
+          if (response.status === 401) {
+            this.token = null;
+          } else if (!isRetryable(response.status)) {
+            throw await responseError(response, 'فشل رفع الملف إلى Google Drive');
+          }
+          lastError = `HTTP ${response.status}`;
+        }
+
+        failures += 1;
+        if (failures >= MAX_ATTEMPTS) {
+          throw new DriveError(`فشل رفع الملف إلى Google Drive بعد ${MAX_ATTEMPTS} محاولات: ${lastError}`);
+        }
+        await this.backoff(failures);
+        offset = null;
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // إلغاء صلاحية البرنامج في حساب Google. الفشل هنا لا يمنع فك الربط محلياً
+  async revoke() {
+    try {
+      await postForm(this.endpoints.revoke, { token: this.refreshToken });
+    } catch (error) {
+      console.error('Google token revoke failed:', error);
+    }
+  }
+}
+
+module.exports = { DEFAULT_ENDPOINTS, DriveClient, DriveError, authorize };
@@ -0,0 +1,44 @@
+const { toCsv } = require('../csv.cjs');
+const { toXlsx } = require('../xlsx.cjs');
+const { ensureObject, requireText, requireArray, requireOneOf, ValidationError } = require('../validation.cjs');
+
+// تصدير قوائم الصفحات كما تظهر (بعد الفلترة) إلى CSV أو Excel.
+// الصفوف تأتي من الواجهة لأن الفلترة تتم فيها، والأعمدة تحدد الترتيب والعناوين
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', name: 'CSV (Excel)' },
+  xlsx: { extension: 'xlsx', name: 'Excel' }
+};
+
+const MAX_ROWS = 100000;
+
+const validateExport = (format, payload) => {
+  requireOneOf(format, Object.keys(EXPORT_FORMATS), 'صيغة التصدير');
+  ensureObject(payload);
+  const columns = requireArray(payload.columns, 'عمود').map((column) => {
+    ensureObject(column);
+    return { key: requireText(column.key, 'اسم العمود', 64), label: requireText(column.label, 'عنوان العمود') };
+  });
+  if (!Array.isArray(payload.rows) || payload.rows.some((row) => !row || typeof row !== 'object')) {
+    throw new ValidationError('بيانات التصدير غير صالحة');
+  }
+  if (payload.rows.length > MAX_ROWS) {
+    throw new ValidationError('عدد الصفوف أكبر من المسموح في ملف واحد');
+  }
+  return {
+    title: requireText(payload.title, 'عنوان الملف'),
+    columns,
+    rows: payload.rows
+  };
+};
+
+class ExportService {
+  build(format, payload) {
+    const { title, columns, rows } = validateExport(format, payload);
+    const data = format === 'xlsx'
+      ? toXlsx(columns, rows, { sheetName: title })
+      : Buffer.from(toCsv(columns, rows), 'utf8');
+    return { data, title, ...EXPORT_FORMATS[format] };
+  }
+}
+
+module.exports = { ExportService: new ExportService(), EXPORT_FORMATS };
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const { app, safeStorage, shell } = require('electron');
+const { ensureObject, requireText, ValidationError } = require('../validation.cjs');
+const { DEFAULT_ENDPOINTS, DriveClient, authorize } = require('./drive-client.cjs');
+
+// إعدادات الربط تُحفظ في ملف مستقل عن قاعدة البيانات حتى لا تغيرها الاستعادة.
+// كلمة سر العميل ورمز التجديد مشفران بمفتاح نظام التشغيل ولا يصلان إلى الواجهة
+const configPath = () => path.join(app.getPath('userData'), 'google-drive.json');
+const downloadDirectory = () => path.join(app.getPath('userData'), 'backups', 'drive');
+
+const EMPTY_CONFIG = { client_id: null, client_secret: null, refresh_token: null, account: null, folder: null };
+
+const seal = (value) => {
+  if (!safeStorage.isEncryptionAvailable()) {
+    throw new ValidationError('حفظ بيانات الربط بأمان غير متاح على هذا الجهاز');
+  }
+  return safeStorage.encryptString(value).toString('base64');
+};
+
+const unseal = (value) => safeStorage.decryptString(Buffer.from(value, 'base64'));
+
+class GoogleDriveService {
+  constructor() {
+    this.endpoints = DEFAULT_ENDPOINTS;
+    this.client = null;
+  }
+
+  loadConfig() {
+    try {
+      return { ...EMPTY_CONFIG, ...JSON.parse(fs.readFileSync(configPath(), 'utf8')) };
+    } catch (error) {
+      return { ...EMPTY_CONFIG };
+    }
+  }
+
+  saveConfig(config) {
+    const partialPath = `${configPath()}.partial`;
+    fs.writeFileSync(partialPath, JSON.stringify(config, null, 2));
+    fs.renameSync(partialPath, configPath());
+    this.client = null;
+  }
+
+  status() {
+    const config = this.loadConfig();
+    return {
+      configured: Boolean(config.client_id && config.client_secret),
+      connected: Boolean(config.refresh_token),
+      client_id: config.client_id,
+      account: config.account,
+      folder: config.folder
+    };
+  }
+
+  // معرف العميل وكلمة السر من مشروع Google Cloud (نوع التطبيق: Desktop).
+  // تغيير العميل يلغي الربط السابق لأن رمز التجديد مرتبط به
+  setClient(payload) {
+    ensureObject(payload);
+    const clientId = requireText(payload.client_id, 'معرف العميل', 500);
+    const clientSecret = requireText(payload.client_secret, 'كلمة سر العميل', 500);
+    this.saveConfig({ ...EMPTY_CONFIG, client_id: clientId, client_secret: seal(clientSecret) });
+    return this.status();
+  }
+
+  async connect() {
+    const config = this.loadConfig();
+    if (!config.client_id || !config.client_secret) {
+      throw new ValidationError('يرجى إدخال معرف العميل وكلمة السر من Google Cloud أولاً');
+    }
+    const tokens = await authorize({
+      clientId: config.client_id,
+      clientSecret: unseal(config.client_secret),
+      endpoints: this.endpoints,
+      openUrl: (url) => shell.openExternal(url)
+    });
+    this.saveConfig({ ...config, refresh_token: seal(tokens.refresh_token), account: null, folder: null });
+    const about = await this.getClient().about();
+    this.saveConfig({ ...this.loadConfig(), account: about.user ? about.user.emailAddress : null });
+    return this.status();
+  }
+
+  async disconnect() {
+    const config = this.loadConfig();
+    if (config.refresh_token) {
+      await this.getClient().revoke();
+    }
+    this.saveConfig({ ...config, refresh_token: null, account: null, folder: null });
+    return this.status();
+  }
+
+  getClient() {
+    if (this.client) {
+      return this.client;
+    }
+    const config = this.loadConfig();
+    if (!config.refresh_token) {
+      throw new ValidationError('Google Drive غير مربوط');
+    }
+    this.client = new DriveClient({
+      clientId: config.client_id,
+      clientSecret: unseal(config.client_secret),
+      refreshToken: unseal(config.refresh_token),
+      endpoints: this.endpoints
+    });
+    return this.client;
+  }
+
+  listFolders() {
+    return this.getClient().listFolders();
+  }
+
+  // إنشاء مجلد جديد واختياره مجلداً للنسخ
+  async createFolder(name) {
+    const folder = await this.getClient().createFolder(requireText(name, 'اسم المجلد'));
+    return this.selectFolder(folder);
+  }
+
+  selectFolder(folder) {
+    ensureObject(folder);
+    const selected = { id: requireText(folder.id, 'المجلد'), name: requireText(folder.name, 'اسم المجلد') };
+    this.saveConfig({ ...this.loadConfig(), folder: selected });
+    return this.status();
+  }
+
+  requireFolder() {
+    const { folder } = this.status();
+    if (!folder) {
+      throw new ValidationError('يرجى ربط Google Drive واختيار مجلد النسخ أولاً');
+    }
+    return folder;
+  }
+
+  // entry: سجل النسخة من BackupService
+  uploadBackup(entry) {
+    const folder = this.requireFolder();
+    return this.getClient().upload(entry.path, { name: entry.file, folderId: folder.id });
+  }
+
+  listBackups() {
+    return this.getClient().listFiles(this.requireFolder().id);
+  }
+
+  // تنزيل نسخة من Drive إلى مجلد النسخ المحلي لمعاينتها واستعادتها كأي ملف
+  async downloadBackup(fileId) {
+    const client = this.getClient();
+    const file = await client.getFile(requireText(fileId, 'الملف'));
+    fs.mkdirSync(downloadDirectory(), { recursive: true });
+    const targetPath = path.join(downloadDirectory(), path.basename(file.name));
+    await client.download(file.id, targetPath);
+    return { path: targetPath, name: file.name };
+  }
+}
+
+module.exports = { GoogleDriveService: new GoogleDriveService() };
@@ -0,0 +1,73 @@
+const { DatabaseService } = require('../database.cjs');
+const { ensureObject, requireId, requireText, optionalText, optionalAmount, optionalInteger, ValidationError } = require('../validation.cjs');
+
+// مفاتيح الإعدادات المسموح بحفظها في عمود gyms.settings
+const SETTINGS_FIELDS = ['address', 'phone', 'email', 'currency', 'receipt_footer', 'theme_color'];
+
+// الشعار صورة مضمنة (data URL) يُطبع على الإيصالات، بحجم صغير حتى لا يثقل القاعدة والطباعة
+const LOGO_PATTERN = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/]+=*$/;
+const MAX_LOGO_LENGTH = 300 * 1024;
+
+const validateLogo = (value) => {
+  if (value === null || value === '') return null;
+  if (typeof value !== 'string' || !LOGO_PATTERN.test(value)) {
+    throw new ValidationError('صورة الشعار غير صالحة (PNG أو JPEG أو GIF أو WEBP)');
+  }
+  if (value.length > MAX_LOGO_LENGTH) {
+    throw new ValidationError('صورة الشعار كبيرة جداً، الحد الأقصى 200 كيلوبايت تقريباً');
+  }
+  return value;
+};
+
+const parseSettings = (raw) => {
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch (error) {
+    console.error('Invalid gym settings JSON:', error);
+    return {};
+  }
+};
+
+class GymService {
+  list() {
+    return DatabaseService.query('SELECT id, name, type FROM gyms ORDER BY name');
+  }
+
+  async get(id) {
+    const gymId = requireId(id, 'رقم الصالة');
+    const gym = await DatabaseService.get('SELECT * FROM gyms WHERE id = ?', [gymId]);
+    if (!gym) {
+      throw new Error('الصالة غير موجودة');
+    }
+    return { ...gym, settings: parseSettings(gym.settings) };
+  }
+
+  async updateSettings(id, payload) {
+    const gymId = requireId(id, 'رقم الصالة');
+    ensureObject(payload);
+    const current = await this.get(gymId);
+
+    const settings = { ...current.settings };
+    for (const field of SETTINGS_FIELDS) {
+      if (payload[field] !== undefined) {
+        settings[field] = optionalText(payload[field], field);
+      }
+    }
+    if (payload.tax_rate !== undefined) {
+      settings.tax_rate = optionalAmount(payload.tax_rate, 'معدل الضريبة');
+    }
+    if (payload.idle_lock_minutes !== undefined) {
+      settings.idle_lock_minutes = optionalInteger(payload.idle_lock_minutes, 'مدة القفل التلقائي') || 0;
+    }
+
+    const logo = payload.logo === undefined ? current.logo : validateLogo(payload.logo);
+
+    await DatabaseService.run(
+      'UPDATE gyms SET name = ?, settings = ?, logo = ? WHERE id = ?',
+      [requireText(payload.name, 'اسم الصالة'), JSON.stringify(settings), logo, gymId]
+    );
+    return this.get(gymId);
+  }
+}
+
+module.exports = { GymService: new GymService(), parseSettings };
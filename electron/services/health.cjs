@@ -0,0 +1,250 @@
+const path = require('path');
+const { DatabaseService } = require('../database.cjs');
+const { ValidationError } = require('../validation.cjs');
+const { StockMovementService, recordMovement, moveStock } = require('./stock-movements.cjs');
+const { DiagnosticsService } = require('./diagnostics.cjs');
+const { BackupService } = require('./backups.cjs');
+
+// عدد السجلات المعروضة من كل مشكلة في التقرير
+const SAMPLE_LIMIT = 20;
+
+const timestamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+
+// سجلات تشير إلى سجل محذوف. fix يحدد الإصلاح:
+// delete: حذف السجل اليتيم (عنصر بلا مستند أو حركة بلا منتج)،
+// restore_product / restore_subscription_type: إعادة إنشاء المرجع المحذوف بنفس رقمه حتى يظهر السجل من جديد،
+// clear: إفراغ المرجع (السجل يبقى صحيحاً بدونه)
+const ORPHAN_CHECKS = [
+  { code: 'invoice_items_invoice', title: 'عناصر فواتير بدون فاتورة', table: 'invoice_items', column: 'invoice_id', parent: 'invoices', fix: 'delete' },
+  { code: 'invoice_items_product', title: 'عناصر فواتير لمنتجات محذوفة', table: 'invoice_items', column: 'product_id', parent: 'products', fix: 'restore_product',
+    label: '(SELECT invoice_number FROM invoices WHERE id = c.invoice_id)' },
+  { code: 'purchase_items_purchase', title: 'عناصر مشتريات بدون فاتورة شراء', table: 'purchase_items', column: 'purchase_id', parent: 'purchases', fix: 'delete' },
+  { code: 'purchase_items_product', title: 'عناصر مشتريات لمنتجات محذوفة', table: 'purchase_items', column: 'product_id', parent: 'products', fix: 'restore_product',
+    label: '(SELECT supplier_name FROM purchases WHERE id = c.purchase_id)' },
+  { code: 'sales_return_items_return', title: 'عناصر مرتجعات بدون مرتجع', table: 'sales_return_items', column: 'return_id', parent: 'sales_returns', fix: 'delete' },
+  { code: 'sales_return_items_product', title: 'عناصر مرتجعات لمنتجات محذوفة', table: 'sales_return_items', column: 'product_id', parent: 'products', fix: 'restore_product',
+    label: '(SELECT return_number FROM sales_returns WHERE id = c.return_id)' },
+  { code: 'payments_invoice', title: 'دفعات لفواتير محذوفة', table: 'payments', column: 'invoice_id', parent: 'invoices', fix: 'delete',
+    label: 'c.method' },
+  { code: 'payments_subscriber', title: 'دفعات لمشتركين محذوفين', table: 'payments', column: 'subscriber_id', parent: 'subscribers', fix: 'delete',
+    label: 'c.method' },
+  { code: 'payments_receipt', title: 'دفعات لسندات قبض محذوفة', table: 'payments', column: 'customer_payment_id', parent: 'customer_payments', fix: 'clear',
+    label: 'c.method' },
+  { code: 'internal_sales_product', title: 'مبيعات داخلية لمنتجات محذوفة', table: 'internal_sales', column: 'product_id', parent: 'products', fix: 'restore_product',
+    label: 'c.admin_name' },
+  { code: 'stock_transfer_items_transfer', title: 'عناصر تحويلات بدون تحويل', table: 'stock_transfer_items', column: 'transfer_id', parent: 'stock_transfers', fix: 'delete' },
+  { code: 'stock_transfer_items_product', title: 'عناصر تحويلات لمنتجات محذوفة', table: 'stock_transfer_items', column: 'product_id', parent: 'products', fix: 'restore_product' },
+  { code: 'stock_movements_product', title: 'حركات مخزون لمنتجات محذوفة', table: 'stock_movements', column: 'product_id', parent: 'products', fix: 'delete',
+    label: 'c.movement_type' },
+  { code: 'subscribers_subscription_type', title: 'مشتركون بنوع اشتراك محذوف', table: 'subscribers', column: 'subscription_type_id', parent: 'subscription_types', fix: 'restore_subscription_type',
+    label: 'c.full_name' },
+  { code: 'products_category', title: 'منتجات بفئة محذوفة', table: 'products', column: 'category_id', parent: 'categories', fix: 'clear',
+    label: 'c.name' },
+  { code: 'invoices_customer', title: 'فواتير لعملاء محذوفين', table: 'invoices', column: 'customer_id', parent: 'customers', fix: 'clear',
+    label: 'c.invoice_number' },
+  { code: 'customer_payments_customer', title: 'سندات قبض لعملاء محذوفين', table: 'customer_payments', column: 'customer_id', parent: 'customers', fix: 'clear',
+    label: 'c.receipt_number' }
+];
+
+const ORPHAN_FIX_LABELS = {
+  delete: 'حذف السجلات اليتيمة',
+  restore_product: 'إعادة إنشاء المنتجات المحذوفة',
+  restore_subscription_type: 'إعادة إنشاء أنواع الاشتراك المحذوفة (غير مفعلة)',
+  clear: 'إفراغ المرجع المحذوف'
+};
+
+const findOrphans = (db, check) => db.query(`
+  SELECT c.id, c.${check.column} as missing_id${check.label ? `, ${check.label} as label` : ''}
+  FROM ${check.table} c
+  WHERE c.${check.column} IS NOT NULL
+    AND NOT EXISTS (SELECT 1 FROM ${check.parent} p WHERE p.id = c.${check.column})
+  ORDER BY c.id
+`);
+
+const missingIds = (rows) => [...new Set(rows.map((row) => row.missing_id))];
+
+const repairOrphans = async (tx, check, rows) => {
+  const ids = rows.map((row) => row.id);
+  switch (check.fix) {
+    case 'delete':
+      await tx.run(`DELETE FROM ${check.table} WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+      break;
+    case 'clear':
+      await tx.run(`UPDATE ${check.table} SET ${check.column} = NULL WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+      break;
+    case 'restore_product':
+      // بكمية صفر في كل الفروع، فلا يتغير المخزون ولا يحتاج حركة افتتاحية
+      for (const id of missingIds(rows)) {
+        await tx.run('INSERT INTO products (id, name, notes) VALUES (?, ?, ?)', [
+          id,
+          `منتج محذوف #${id}`,
+          'أُعيد إنشاؤه من فحص قاعدة البيانات لأن سجلات سابقة تشير إليه'
+        ]);
+      }
+      break;
+    case 'restore_subscription_type':
+      for (const id of missingIds(rows)) {
+        const owner = await tx.get(`SELECT MIN(gym_id) as gym_id FROM ${check.table} WHERE ${check.column} = ?`, [id]);
+        await tx.run(`
+          INSERT INTO subscription_types (id, name, type, duration_months, price, gym_id, is_active)
+          VALUES (?, ?, 'monthly', 1, 0, ?, 0)
+        `, [id, `اشتراك محذوف #${id}`, owner.gym_id]);
+      }
+      break;
+    default:
+      throw new ValidationError('لا يوجد إصلاح تلقائي لهذه المشكلة');
+  }
+};
+
+const findNegativeStock = (db) => db.query(`
+  SELECT * FROM (
+    SELECT p.id, p.name, p.barcode, g.id as gym_id, g.name as gym_name,
+           CASE g.type WHEN 'female' THEN p.female_gym_quantity ELSE p.male_gym_quantity END as quantity
+    FROM products p
+    CROSS JOIN gyms g
+  )
+  WHERE quantity < 0
+  ORDER BY name, gym_id
+`);
+
+// فحوص لها إصلاح تلقائي. find تقبل DatabaseService أو tx حتى يُعاد الفحص داخل معاملة الإصلاح
+const CHECKS = [
+  ...ORPHAN_CHECKS.map((check) => ({
+    code: check.code,
+    title: check.title,
+    description: `${check.table}.${check.column} يشير إلى سجل غير موجود في ${check.parent}`,
+    fix_label: ORPHAN_FIX_LABELS[check.fix],
+    find: (db) => findOrphans(db, check),
+    repair: (tx, rows) => repairOrphans(tx, check, rows)
+  })),
+  {
+    code: 'stock_ledger',
+    title: 'كميات لا تطابق سجل حركات المخزون',
+    description: 'الكمية الحالية للمنتج في الفرع تختلف عن مجموع حركاته',
+    fix_label: 'تسجيل حركة تسوية بالفرق (الكمية الحالية لا تتغير)',
+    find: (db) => StockMovementService.reconcile(db),
+    repair: async (tx, rows, userId) => {
+      for (const row of rows) {
+        await recordMovement(tx, {
+          productId: row.id,
+          gymId: row.gym_id,
+          type: 'adjustment',
+          quantity: row.counter_quantity - row.ledger_quantity,
+          userId,
+          notes: 'تسوية من فحص قاعدة البيانات'
+        });
+      }
+    }
+  },
+  {
+    code: 'negative_stock',
+    title: 'منتجات بكمية سالبة',
+    description: 'الكمية المتوفرة في الفرع أقل من صفر',
+    fix_label: 'تصفير الكمية بحركة تسوية',
+    find: findNegativeStock,
+    repair: async (tx, rows, userId) => {
+      for (const row of rows) {
+        await moveStock(tx, {
+          productId: row.id,
+          gymId: row.gym_id,
+          type: 'adjustment',
+          quantity: -row.quantity,
+          userId,
+          notes: 'تصفير كمية سالبة من فحص قاعدة البيانات'
+        });
+      }
+    }
+  }
+];
+
+const COVERED_REFERENCES = new Set(ORPHAN_CHECKS.map((check) => `${check.table}.${check.column}`));
+
+// مخالفات المفاتيح الخارجية التي لا تغطيها الفحوص السابقة (مثل صالة أو مستخدم محذوف)، تُعرض دون إصلاح
+const foreignKeyIssues = async () => {
+  const violations = await DatabaseService.query('PRAGMA foreign_key_check');
+  const columns = new Map();
+  const groups = new Map();
+  for (const violation of violations) {
+    if (!columns.has(violation.table)) {
+      columns.set(violation.table, await DatabaseService.query(`PRAGMA foreign_key_list("${violation.table}")`));
+    }
+    const reference = columns.get(violation.table).find((key) => key.id === violation.fkid);
+    const column = reference ? reference.from : '?';
+    const key = `${violation.table}.${column}`;
+    if (COVERED_REFERENCES.has(key)) continue;
+    if (!groups.has(key)) {
+      groups.set(key, { key, parent: violation.parent, rows: [] });
+    }
+    groups.get(key).rows.push({ id: violation.rowid });
+  }
+  return [...groups.values()].map((group) => ({
+    code: `foreign_key:${group.key}`,
+    title: 'سجلات تشير إلى سجلات محذوفة',
+    description: `${group.key} يشير إلى سجل غير موجود في ${group.parent}`,
+    severity: 'warning',
+    count: group.rows.length,
+    sample: group.rows.slice(0, SAMPLE_LIMIT),
+    fix_label: null
+  }));
+};
+
+// فحص سلامة قاعدة البيانات والروابط بين الجداول والمخزون، مع إصلاحات موجهة.
+// قبل أي إصلاح تُنشأ نسخة احتياطية، وإذا فشلت لا يُطبق الإصلاح
+class HealthService {
+  async check() {
+    const integrity = await DiagnosticsService.integrity();
+    const issues = [];
+    if (!integrity.ok) {
+      issues.push({
+        code: 'integrity',
+        title: 'ملف قاعدة البيانات تالف',
+        description: 'فشل فحص السلامة. يُنصح بالاستعادة من آخر نسخة احتياطية سليمة',
+        severity: 'error',
+        count: integrity.messages.length,
+        sample: integrity.messages.map((message) => ({ label: message })),
+        fix_label: null
+      });
+    }
+    for (const check of CHECKS) {
+      const rows = await check.find(DatabaseService);
+      if (rows.length > 0) {
+        issues.push({
+          code: check.code,
+          title: check.title,
+          description: check.description,
+          severity: 'warning',
+          count: rows.length,
+          sample: rows.slice(0, SAMPLE_LIMIT),
+          fix_label: check.fix_label
+        });
+      }
+    }
+    issues.push(...await foreignKeyIssues());
+    return { checked_at: new Date().toISOString(), integrity, issues };
+  }
+
+  async fix(code, userId) {
+    const check = CHECKS.find((item) => item.code === code);
+    if (!check) {
+      throw new ValidationError('لا يوجد إصلاح تلقائي لهذه المشكلة');
+    }
+    if ((await check.find(DatabaseService)).length === 0) {
+      throw new ValidationError('المشكلة لم تعد موجودة، أعد الفحص');
+    }
+
+    const backup = await BackupService.create(
+      path.join(BackupService.ensureDirectory(), `gym-pre-repair-${timestamp()}.db`),
+      { trigger: 'pre-repair' }
+    );
+    const fixed = await DatabaseService.transaction(async (tx) => {
+      const rows = await check.find(tx);
+      if (rows.length > 0) {
+        await check.repair(tx, rows, userId);
+      }
+      return rows.length;
+    });
+    return { fixed, backup: { id: backup.id, file: backup.file }, report: await this.check() };
+  }
+}
+
+module.exports = { HealthService: new HealthService() };
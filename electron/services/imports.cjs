@@ -0,0 +1,400 @@
+const fs = require('fs');
+const path = require('path');
+const { DatabaseService } = require('../database.cjs');
+const { parseCsv } = require('../csv.cjs');
+const { parseXlsx } = require('../xlsx.cjs');
+const { GymService } = require('./gyms.cjs');
+const { CategoryService } = require('./categories.cjs');
+const { PeriodService } = require('./periods.cjs');
+const { ProductService, validateProduct } = require('./products.cjs');
+const { CustomerService, validateCustomer } = require('./customers.cjs');
+const { SubscriberService, validateSubscriber } = require('./subscribers.cjs');
+const { quantityColumn } = require('./stock-movements.cjs');
+const { ensureObject, requireId, requireArray, ValidationError } = require('../validation.cjs');
+
+// استيراد القوائم من ملفات CSV و Excel على مراحل: قراءة الملف، ربط أعمدته بالحقول،
+// معاينة كل صف بأخطائه، ثم الحفظ. السجل الموجود (نفس الباركود أو رقم الهاتف) يُحدَّث
+// بدل إنشاء نسخة ثانية، والخلايا الفارغة لا تغير قيمه الحالية
+
+const MAX_ROWS = 5000;
+const IMPORT_EXTENSIONS = ['csv', 'xlsx'];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// الأرقام العربية (٠-٩) والفارسية (۰-۹) إلى أرقام لاتينية
+const latinDigits = (text) => String(text)
+  .replace(/[٠-٩]/g, (digit) => String(digit.charCodeAt(0) - 0x0660))
+  .replace(/[۰-۹]/g, (digit) => String(digit.charCodeAt(0) - 0x06f0));
+
+// المبالغ كما تُكتب في Excel: «1 200,50 دج» أو «1,200.50»
+const toNumber = (value) => {
+  if (isBlank(value)) return '';
+  let text = latinDigits(value).replace(/[\s ]|دج|DA|DZD/gi, '').replace(/٫/g, '.').replace(/٬/g, ',');
+  text = text.includes('.') ? text.replace(/,/g, '') : text.replace(',', '.');
+  return text;
+};
+
+// التواريخ بصيغة 2026-01-31 أو 31/01/2026، أو رقم تاريخ Excel عندما يحوّل الخلية إلى تاريخ
+const toDate = (value) => {
+  if (isBlank(value)) return '';
+  const text = latinDigits(value).trim();
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (iso) {
+    return `${iso[1]}-${iso[2].padStart(2, '0')}-${iso[3].padStart(2, '0')}`;
+  }
+  const local = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (local) {
+    return `${local[3]}-${local[2].padStart(2, '0')}-${local[1].padStart(2, '0')}`;
+  }
+  if (/^\d{5}(\.\d+)?$/.test(text)) {
+    const excelEpoch = Date.UTC(1899, 11, 30);
+    return new Date(excelEpoch + Math.floor(Number(text)) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  }
+  return text;
+};
+
+// مفتاح المطابقة برقم الهاتف: الأرقام فقط، فلا تؤثر المسافات والشرطات
+const phoneKey = (value) => latinDigits(value || '').replace(/\D/g, '');
+
+const normalizeHeader = (value) => String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+
+const rowLabel = (values) => (values.name || values.full_name || '').trim();
+
+const errorMessages = (error) => [error instanceof Error ? error.message : String(error)];
+
+// تعريف كل نوع قابل للاستيراد: الحقول وأسماؤها البديلة في رؤوس الأعمدة، تحميل ما يلزم
+// مرة واحدة (context)، تحويل الصف إلى بيانات الخدمة (prepare) ثم الحفظ عبر الخدمة نفسها
+// حتى تنطبق نفس قواعد الإضافة والتعديل اليدوي (حركات المخزون، الفترات المقفلة...)
+const IMPORTERS = {
+  products: {
+    fields: [
+      { key: 'barcode', label: 'الباركود', aliases: ['barcode', 'code', 'الرمز'] },
+      { key: 'name', label: 'اسم المنتج', required: true, aliases: ['name', 'product', 'المنتج', 'الاسم'] },
+      { key: 'category', label: 'الفئة', aliases: ['category', 'الصنف'] },
+      { key: 'purchase_price', label: 'سعر الشراء', aliases: ['purchase price', 'cost', 'التكلفة'] },
+      { key: 'sale_price', label: 'سعر البيع', required: true, aliases: ['sale price', 'price', 'السعر'] },
+      { key: 'quantity', label: 'الكمية في هذا الفرع', aliases: ['quantity', 'qty', 'الكمية', 'المتاح'] },
+      { key: 'notes', label: 'الملاحظات', aliases: ['notes', 'ملاحظات'] }
+    ],
+    key: (values) => values.barcode.trim(),
+
+    async context(gymId) {
+      const gym = await GymService.get(gymId);
+      const products = await DatabaseService.query('SELECT * FROM products');
+      const categories = await CategoryService.list();
+      return {
+        gym,
+        column: quantityColumn(gym.type),
+        existing: new Map(products.filter((product) => product.barcode).map((product) => [product.barcode, product])),
+        categories: new Map(categories.map((category) => [normalizeHeader(category.name), category.id]))
+      };
+    },
+
+    prepare(context, values, existing) {
+      const current = existing
+        ? {
+          barcode: existing.barcode,
+          name: existing.name,
+          category_id: existing.category_id,
+          purchase_price: existing.purchase_price,
+          sale_price: existing.sale_price,
+          quantity: existing[context.column],
+          notes: existing.notes || ''
+        }
+        : { quantity: 0 };
+      const payload = { ...current };
+      for (const field of ['barcode', 'name', 'notes']) {
+        if (!isBlank(values[field])) payload[field] = values[field].trim();
+      }
+      for (const field of ['purchase_price', 'sale_price', 'quantity']) {
+        if (!isBlank(values[field])) payload[field] = toNumber(values[field]);
+      }
+      // الفئة بالاسم، والفئة غير الموجودة تُنشأ عند الحفظ
+      const notes = [];
+      if (!isBlank(values.category)) {
+        const categoryId = context.categories.get(normalizeHeader(values.category));
+        payload.category_id = categoryId || null;
+        if (!categoryId) {
+          payload.category_name = values.category.trim();
+          notes.push(`فئة جديدة: ${payload.category_name}`);
+        }
+      }
+      validateProduct(payload);
+      return { payload, label: payload.name, notes };
+    },
+
+    async save(context, payload, existing, { userId, canEditPrices }) {
+      const { category_name: categoryName, ...product } = payload;
+      if (categoryName) {
+        const key = normalizeHeader(categoryName);
+        if (!context.categories.has(key)) {
+          context.categories.set(key, (await CategoryService.create({ name: categoryName })).id);
+        }
+        product.category_id = context.categories.get(key);
+      }
+      if (existing) {
+        return ProductService.update(context.gym.id, userId, existing.id, product, { canEditPrices });
+      }
+      return ProductService.create(context.gym.id, userId, product, { canEditPrices });
+    }
+  },
+
+  customers: {
+    fields: [
+      { key: 'name', label: 'الاسم', required: true, aliases: ['name', 'اسم الزبون', 'الزبون'] },
+      { key: 'phone', label: 'رقم الهاتف', required: true, aliases: ['phone', 'mobile', 'الهاتف', 'الجوال'] },
+      { key: 'email', label: 'البريد الإلكتروني', aliases: ['email', 'e-mail', 'البريد'] },
+      { key: 'address', label: 'العنوان', aliases: ['address'] }
+    ],
+    key: (values) => phoneKey(values.phone),
+
+    async context(gymId) {
+      const customers = await DatabaseService.query('SELECT * FROM customers WHERE gym_id = ? ORDER BY created_at DESC', [gymId]);
+      const existing = new Map();
+      for (const customer of customers) {
+        if (phoneKey(customer.phone) && !existing.has(phoneKey(customer.phone))) {
+          existing.set(phoneKey(customer.phone), customer);
+        }
+      }
+      return { gymId, existing };
+    },
+
+    prepare(context, values, existing) {
+      const payload = existing
+        ? { name: existing.name, phone: existing.phone, email: existing.email || '', address: existing.address || '' }
+        : {};
+      for (const field of ['name', 'email', 'address']) {
+        if (!isBlank(values[field])) payload[field] = values[field].trim();
+      }
+      if (!isBlank(values.phone)) payload.phone = latinDigits(values.phone).trim();
+      validateCustomer(payload);
+      return { payload, label: payload.name, notes: [] };
+    },
+
+    save(context, payload, existing) {
+      return existing ? CustomerService.update(existing.id, payload) : CustomerService.create(context.gymId, payload);
+    }
+  },
+
+  subscribers: {
+    fields: [
+      { key: 'full_name', label: 'الاسم الكامل', required: true, aliases: ['name', 'full name', 'الاسم', 'المشترك'] },
+      { key: 'phone', label: 'رقم الهاتف', aliases: ['phone', 'mobile', 'الهاتف', 'الجوال'] },
+      { key: 'subscription_type', label: 'نوع الاشتراك', required: true, aliases: ['subscription', 'type', 'الاشتراك'] },
+      { key: 'start_date', label: 'تاريخ البداية', required: true, aliases: ['start date', 'start', 'البداية'] },
+      { key: 'price_paid', label: 'المبلغ المدفوع', aliases: ['price', 'paid', 'المبلغ', 'السعر'] }
+    ],
+    key: (values) => phoneKey(values.phone),
+
+    async context(gymId) {
+      const subscribers = await DatabaseService.query('SELECT * FROM subscribers WHERE gym_id = ? ORDER BY created_at DESC', [gymId]);
+      const types = await DatabaseService.query('SELECT * FROM subscription_types WHERE gym_id = ?', [gymId]);
+      const existing = new Map();
+      for (const subscriber of subscribers) {
+        if (phoneKey(subscriber.phone) && !existing.has(phoneKey(subscriber.phone))) {
+          existing.set(phoneKey(subscriber.phone), subscriber);
+        }
+      }
+      return {
+        gymId,
+        existing,
+        types: new Map(types.map((type) => [normalizeHeader(type.name), type])),
+        lockedUntil: await PeriodService.lockedUntil()
+      };
+    },
+
+    prepare(context, values, existing) {
+      const payload = existing
+        ? {
+          full_name: existing.full_name,
+          phone: existing.phone || '',
+          subscription_type_id: existing.subscription_type_id,
+          start_date: existing.start_date,
+          price_paid: existing.price_paid
+        }
+        : {};
+      if (!isBlank(values.full_name)) payload.full_name = values.full_name.trim();
+      if (!isBlank(values.phone)) payload.phone = latinDigits(values.phone).trim();
+      if (!isBlank(values.start_date)) payload.start_date = toDate(values.start_date);
+
+      if (!isBlank(values.subscription_type)) {
+        const type = context.types.get(normalizeHeader(values.subscription_type));
+        if (!type) {
+          throw new ValidationError(`نوع الاشتراك «${values.subscription_type.trim()}» غير موجود في هذا الفرع`);
+        }
+        payload.subscription_type_id = type.id;
+        // بدون مبلغ مدفوع يؤخذ سعر نوع الاشتراك
+        if (!existing || type.id !== existing.subscription_type_id) {
+          payload.price_paid = type.price;
+        }
+      }
+      if (!isBlank(values.price_paid)) payload.price_paid = toNumber(values.price_paid);
+
+      const subscriber = validateSubscriber(payload);
+      // نفس قاعدة التعديل اليدوي: بيانات اشتراك ضمن فترة مقفلة لا تتغير
+      const changed = !existing
+        || subscriber.start_date !== existing.start_date
+        || subscriber.subscription_type_id !== existing.subscription_type_id
+        || subscriber.price_paid !== existing.price_paid;
+      const locked = context.lockedUntil && changed
+        && (subscriber.start_date <= context.lockedUntil || (existing && existing.start_date <= context.lockedUntil));
+      if (locked) {
+        throw new ValidationError(`بيانات الاشتراك ضمن فترة مقفلة حتى ${context.lockedUntil} ولا يمكن تعديلها`);
+      }
+      return { payload: subscriber, label: subscriber.full_name, notes: [] };
+    },
+
+    save(context, payload, existing, { userId }) {
+      return existing ? SubscriberService.update(existing.id, payload) : SubscriberService.create(context.gymId, userId, payload);
+    }
+  }
+};
+
+const importerFor = (entity) => {
+  const importer = IMPORTERS[entity];
+  if (!importer) {
+    throw new ValidationError('نوع الاستيراد غير مدعوم');
+  }
+  return importer;
+};
+
+// ربط تلقائي للأعمدة بالحقول حسب اسم العمود (الاسم المعروض أو أحد الأسماء البديلة)
+const guessMapping = (fields, headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  for (const field of fields) {
+    const names = [field.label, field.key, ...field.aliases].map(normalizeHeader);
+    const index = names.map((name) => normalized.indexOf(name)).find((found) => found >= 0);
+    mapping[field.key] = index === undefined ? null : index;
+  }
+  return mapping;
+};
+
+const validateRequest = (importer, data) => {
+  ensureObject(data);
+  const rows = requireArray(data.rows, 'صف');
+  if (rows.length > MAX_ROWS) {
+    throw new ValidationError(`الملف كبير جداً، الحد الأقصى ${MAX_ROWS} صف في المرة الواحدة`);
+  }
+  if (rows.some((row) => !Array.isArray(row))) {
+    throw new ValidationError('بيانات الملف غير صالحة');
+  }
+  const mapping = ensureObject(data.mapping);
+  for (const field of importer.fields) {
+    const index = mapping[field.key];
+    if (index !== null && index !== undefined && !Number.isInteger(index)) {
+      throw new ValidationError('ربط الأعمدة غير صالح');
+    }
+  }
+  // الحقول المطلوبة مطلوبة للسجلات الجديدة فقط وتُفحص في كل صف، فملف لتحديث
+  // الأسماء بأرقام الهواتف مثلاً لا يحتاج باقي الأعمدة
+  if (!importer.fields.some((field) => Number.isInteger(mapping[field.key]))) {
+    throw new ValidationError('يرجى ربط عمود واحد على الأقل');
+  }
+  return { rows, mapping };
+};
+
+const rowValues = (importer, mapping, row) => {
+  const values = {};
+  for (const field of importer.fields) {
+    const index = mapping[field.key];
+    const value = Number.isInteger(index) ? row[index] : '';
+    values[field.key] = value === null || value === undefined ? '' : String(value);
+  }
+  return values;
+};
+
+class ImportService {
+  // قراءة الملف إلى صفوف، الصف الأول رؤوس الأعمدة
+  readFile(entity, filePath) {
+    const importer = importerFor(entity);
+    const extension = path.extname(filePath).slice(1).toLowerCase();
+    if (!IMPORT_EXTENSIONS.includes(extension)) {
+      throw new ValidationError('يمكن الاستيراد من ملفات CSV أو Excel (xlsx) فقط');
+    }
+    const buffer = fs.readFileSync(filePath);
+    const [headers = [], ...rows] = extension === 'xlsx' ? parseXlsx(buffer) : parseCsv(buffer);
+    if (rows.length === 0) {
+      throw new ValidationError('الملف لا يحتوي على بيانات بعد سطر العناوين');
+    }
+    if (rows.length > MAX_ROWS) {
+      throw new ValidationError(`الملف كبير جداً، الحد الأقصى ${MAX_ROWS} صف في المرة الواحدة`);
+    }
+    return {
+      file: path.basename(filePath),
+      headers,
+      rows,
+      fields: importer.fields.map(({ key, label, required = false }) => ({ key, label, required })),
+      mapping: guessMapping(importer.fields, headers)
+    };
+  }
+
+  // نتيجة كل صف دون حفظ: إضافة أو تعديل أو أخطاء. رقم الصف كما في الملف (بعد سطر العناوين).
+  // المفتاح المكرر داخل نفس الملف خطأ، حتى لا يُحفظ السجل مرتين بقيم مختلفة
+  async evaluate(entity, gymId, data) {
+    const importer = importerFor(entity);
+    const { rows, mapping } = validateRequest(importer, data);
+    const context = await importer.context(requireId(gymId, 'رقم الصالة'));
+    const seen = new Map();
+
+    const results = rows.map((row, index) => {
+      const line = index + 2;
+      const values = rowValues(importer, mapping, row);
+      const key = importer.key(values);
+      if (key && seen.has(key)) {
+        return { line, action: null, label: rowLabel(values), errors: [`مكرر في الملف (الصف ${seen.get(key)})`], notes: [] };
+      }
+      if (key) {
+        seen.set(key, line);
+      }
+      const existing = key ? context.existing.get(key) || null : null;
+      try {
+        const { payload, label, notes } = importer.prepare(context, values, existing);
+        return { line, action: existing ? 'update' : 'create', label, errors: [], notes, payload, existing };
+      } catch (error) {
+        return { line, action: null, label: rowLabel(values), errors: errorMessages(error), notes: [] };
+      }
+    });
+    return { context, results };
+  }
+
+  async preview(entity, gymId, data) {
+    const { results } = await this.evaluate(entity, gymId, data);
+    return {
+      rows: results.map(({ payload, existing, ...row }) => row),
+      counts: {
+        create: results.filter((row) => row.action === 'create').length,
+        update: results.filter((row) => row.action === 'update').length,
+        invalid: results.filter((row) => row.errors.length > 0).length
+      }
+    };
+  }
+
+  // الصفوف تُعاد معاينتها هنا ولا يُعتمد على معاينة الواجهة. كل صف يُحفظ وحده عبر خدمته،
+  // فالصف الذي يفشل لا يمنع بقية الصفوف ويظهر في النتيجة مع سببه
+  async commit(entity, gymId, userId, data, { canEditPrices = false } = {}) {
+    if (entity === 'products' && !canEditPrices) {
+      throw new Error('ليس لديك صلاحية تحديد أسعار المنتجات');
+    }
+    const importer = importerFor(entity);
+    const user = requireId(userId, 'رقم المستخدم');
+    const { context, results } = await this.evaluate(entity, gymId, data);
+
+    const summary = { created: 0, updated: 0, failed: [] };
+    for (const row of results) {
+      if (row.errors.length > 0) {
+        summary.failed.push({ line: row.line, label: row.label, errors: row.errors });
+        continue;
+      }
+      try {
+        await importer.save(context, row.payload, row.existing, { userId: user, canEditPrices });
+        summary[row.existing ? 'updated' : 'created'] += 1;
+      } catch (error) {
+        summary.failed.push({ line: row.line, label: row.label, errors: errorMessages(error) });
+      }
+    }
+    return summary;
+  }
+}
+
+module.exports = { ImportService: new ImportService(), IMPORT_EXTENSIONS, phoneKey };
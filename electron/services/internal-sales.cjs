@@ -0,0 +1,98 @@
+const { DatabaseService } = require('../database.cjs');
+const { calculateProfit } = require('../profit-calculator.cjs');
+const { moveStock, branchColumn } = require('./stock-movements.cjs');
+const { allocateNumber } = require('./document-numbers.cjs');
+const {
+  ensureObject,
+  requireId,
+  requireText,
+  requireAmount,
+  requireQuantity,
+  requireOneOf
+} = require('../validation.cjs');
+
+const validateInternalSale = (payload) => {
+  ensureObject(payload);
+  const priceType = requireOneOf(payload.price_type, ['purchase', 'manual'], 'نوع السعر');
+  return {
+    admin_name: requireText(payload.admin_name, 'اسم المسؤول'),
+    product_id: requireId(payload.product_id, 'المنتج'),
+    quantity: requireQuantity(payload.quantity, 'الكمية'),
+    price_type: priceType,
+    unit_price: priceType === 'manual' ? requireAmount(payload.unit_price, 'سعر الوحدة') : null
+  };
+};
+
+class InternalSaleService {
+  list(gymId) {
+    return DatabaseService.query(`
+      SELECT i.*, p.name as product_name
+      FROM internal_sales i
+      JOIN products p ON i.product_id = p.id
+      WHERE i.gym_id = ?
+      ORDER BY i.created_at DESC
+    `, [requireId(gymId, 'رقم الصالة')]);
+  }
+
+  async create(gymId, userId, payload, { canEditPrices = false } = {}) {
+    const sale = validateInternalSale(payload);
+    if (sale.price_type === 'manual' && !canEditPrices) {
+      throw new Error('ليس لديك صلاحية البيع بسعر يدوي');
+    }
+    const gym = requireId(gymId, 'رقم الصالة');
+    const user = requireId(userId, 'رقم المستخدم');
+
+    return DatabaseService.transaction(async (tx) => {
+      const column = await branchColumn(tx, gym);
+      const product = await tx.get(`
+        SELECT name, purchase_price, ${column} as available
+        FROM products
+        WHERE id = ?
+      `, [sale.product_id]);
+      if (!product) {
+        throw new Error('المنتج غير موجود');
+      }
+      if (product.available < sale.quantity) {
+        throw new Error(`الكمية المتوفرة من "${product.name}" غير كافية (المتوفر: ${product.available})`);
+      }
+
+      const unitPrice = sale.price_type === 'purchase' ? product.purchase_price : sale.unit_price;
+      const totalPrice = sale.quantity * unitPrice;
+      // البيع بسعر الشراء لا يحقق ربحاً، الربح يُحسب فقط عند السعر اليدوي
+      const profit = sale.price_type === 'manual'
+        ? calculateProfit(unitPrice, sale.quantity, product.purchase_price, totalPrice, totalPrice)
+        : 0;
+
+      const internalSaleNumber = await allocateNumber(tx, gym, 'internal_sale');
+      const result = await tx.run(`
+        INSERT INTO internal_sales (internal_sale_number, admin_name, product_id, quantity, price_type,
+                                   unit_price, total_price, profit, gym_id, user_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        internalSaleNumber,
+        sale.admin_name,
+        sale.product_id,
+        sale.quantity,
+        sale.price_type,
+        unitPrice,
+        totalPrice,
+        profit,
+        gym,
+        user
+      ]);
+
+      await moveStock(tx, {
+        productId: sale.product_id,
+        gymId: gym,
+        type: 'internal_sale',
+        quantity: -sale.quantity,
+        sourceId: result.lastInsertRowid,
+        userId: user
+      });
+
+      return { id: result.lastInsertRowid, internal_sale_number: internalSaleNumber, total_price: totalPrice, profit };
+    });
+  }
+}
+
+module.exports = { InternalSaleService: new InternalSaleService() };
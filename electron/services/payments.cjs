@@ -0,0 +1,91 @@
+const { DatabaseService } = require('../database.cjs');
+const { PAYMENT_METHODS } = require('../payments.cjs');
+const { requireId, optionalText } = require('../validation.cjs');
+
+// مصدر الدفعة في التقارير: رد مرتجع، سند قبض دين، اشتراك، حصة مفردة، أو فاتورة مبيعات
+const SOURCE = `
+  CASE
+    WHEN p.return_id IS NOT NULL THEN 'refunds'
+    WHEN p.customer_payment_id IS NOT NULL THEN 'debt_payments'
+    WHEN p.subscriber_id IS NOT NULL THEN 'subscriptions'
+    WHEN i.is_single_session = 1 THEN 'single_sessions'
+    ELSE 'sales'
+  END
+`;
+
+// تسجيل دفعات مستند داخل المعاملة. المبلغ السالب رد للزبون، وcustomerPaymentId سند القبض الذي وُزعت منه
+const recordPayments = async (tx, { invoiceId = null, subscriberId = null, returnId = null, customerPaymentId = null, gymId, userId, createdAt = null }, payments) => {
+  for (const payment of payments) {
+    await tx.run(`
+      INSERT INTO payments (invoice_id, subscriber_id, return_id, customer_payment_id, method, amount, reference, gym_id, user_id, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+    `, [invoiceId, subscriberId, returnId, customerPaymentId, payment.method, payment.amount, payment.reference || null, gymId, userId, createdAt]);
+  }
+};
+
+const rangeCondition = (range) => {
+  const start = optionalText(range && range.start, 'بداية الفترة', 40);
+  const end = optionalText(range && range.end, 'نهاية الفترة', 40);
+  return start && end
+    ? { condition: 'AND datetime(p.created_at) BETWEEN datetime(?) AND datetime(?)', params: [start, end] }
+    : { condition: '', params: [] };
+};
+
+class PaymentService {
+  listForInvoice(invoiceId) {
+    return DatabaseService.query(`
+      SELECT p.*, u.full_name as user_name
+      FROM payments p
+      LEFT JOIN users u ON p.user_id = u.id
+      WHERE p.invoice_id = ?
+      ORDER BY p.created_at, p.id
+    `, [requireId(invoiceId, 'رقم الفاتورة')]);
+  }
+
+  // المقبوض والمردود وصافيهما لكل طريقة دفع في الفترة (بدون فترة = كل البيانات)، بكل الطرق ولو كانت صفراً
+  async totalsByMethod(gymId, range = {}) {
+    const { condition, params } = rangeCondition(range);
+    const rows = await DatabaseService.query(`
+      SELECT p.method,
+             COALESCE(SUM(CASE WHEN p.amount > 0 THEN p.amount ELSE 0 END), 0) as received,
+             COALESCE(SUM(CASE WHEN p.amount < 0 THEN -p.amount ELSE 0 END), 0) as refunded,
+             COUNT(*) as count
+      FROM payments p
+      WHERE p.gym_id = ? ${condition}
+      GROUP BY p.method
+    `, [requireId(gymId, 'رقم الصالة'), ...params]);
+    return PAYMENT_METHODS.map((method) => {
+      const row = rows.find((item) => item.method === method) || { received: 0, refunded: 0, count: 0 };
+      return { method, received: row.received, refunded: row.refunded, net: row.received - row.refunded, count: row.count };
+    });
+  }
+
+  // تقرير نهاية اليوم (أو أي فترة): المجاميع حسب طريقة الدفع وحسب المصدر، وكل دفعة بمستندها
+  async report(gymId, range = {}) {
+    const id = requireId(gymId, 'رقم الصالة');
+    const { condition, params } = rangeCondition(range);
+    const sources = await DatabaseService.query(`
+      SELECT ${SOURCE} as source, p.method, COALESCE(SUM(p.amount), 0) as amount
+      FROM payments p
+      LEFT JOIN invoices i ON p.invoice_id = i.id
+      WHERE p.gym_id = ? ${condition}
+      GROUP BY source, p.method
+    `, [id, ...params]);
+    const payments = await DatabaseService.query(`
+      SELECT p.*, ${SOURCE} as source, u.full_name as user_name,
+             COALESCE(r.return_number, cp.receipt_number, i.invoice_number) as document_number,
+             COALESCE(s.full_name, i.customer_name) as party_name
+      FROM payments p
+      LEFT JOIN invoices i ON p.invoice_id = i.id
+      LEFT JOIN sales_returns r ON p.return_id = r.id
+      LEFT JOIN customer_payments cp ON p.customer_payment_id = cp.id
+      LEFT JOIN subscribers s ON p.subscriber_id = s.id
+      LEFT JOIN users u ON p.user_id = u.id
+      WHERE p.gym_id = ? ${condition}
+      ORDER BY p.created_at, p.id
+    `, [id, ...params]);
+    return { methods: await this.totalsByMethod(id, range), sources, payments };
+  }
+}
+
+module.exports = { PaymentService: new PaymentService(), recordPayments };
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// صيغة أرشيف الفترة المقفلة: ملف JSON فيه بيانات الفترة مضغوطة (payload) وتوقيعها بمفتاح Ed25519
+// والمفتاح العام الذي وقعها. أي تعديل على البيانات يُفشل التحقق من التوقيع فيُرفض الملف،
+// وبصمة المفتاح العام تبين إن كان الأرشيف من هذا البرنامج
+const PERIOD_ARCHIVE_EXTENSION = '.gymarchive';
+const FORMAT = 'gym-period-archive';
+const FORMAT_VERSION = 1;
+
+class PeriodArchiveError extends Error {
+  // code: INVALID أو TAMPERED
+  constructor(code, message) {
+    super(message);
+    this.name = 'PeriodArchiveError';
+    this.code = code;
+  }
+}
+
+const generateSigningKey = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  return {
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  };
+};
+
+const keyFingerprint = (publicKey) => crypto.createHash('sha256')
+  .update(crypto.createPublicKey(publicKey).export({ type: 'spki', format: 'der' }))
+  .digest('hex')
+  .slice(0, 32);
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// الكتابة في ملف مؤقت ثم إعادة التسمية، فلا يبقى أرشيف ناقص
+const writeArchive = (targetPath, content, { publicKey, privateKey }) => {
+  const payload = zlib.gzipSync(Buffer.from(JSON.stringify(content), 'utf8'));
+  const file = Buffer.from(JSON.stringify({
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    public_key: publicKey,
+    signature: crypto.sign(null, payload, privateKey).toString('base64'),
+    payload: payload.toString('base64')
+  }), 'utf8');
+  const partialPath = `${targetPath}.partial`;
+  try {
+    fs.writeFileSync(partialPath, file);
+    fs.renameSync(partialPath, targetPath);
+  } catch (error) {
+    fs.rmSync(partialPath, { force: true });
+    throw error;
+  }
+  return { path: targetPath, sha256: sha256(file), fingerprint: keyFingerprint(publicKey) };
+};
+
+// البيانات لا تُعاد إلا بعد التحقق من التوقيع
+const readArchive = (filePath) => {
+  const file = fs.readFileSync(filePath);
+  let envelope;
+  try {
+    envelope = JSON.parse(file.toString('utf8'));
+  } catch (error) {
+    throw new PeriodArchiveError('INVALID', 'الملف ليس أرشيف فترة مقفلة');
+  }
+  if (!envelope || envelope.format !== FORMAT) {
+    throw new PeriodArchiveError('INVALID', 'الملف ليس أرشيف فترة مقفلة');
+  }
+  if (envelope.version !== FORMAT_VERSION) {
+    throw new PeriodArchiveError('INVALID', `صيغة الأرشيف غير مدعومة (${envelope.version})`);
+  }
+
+  let verified = false;
+  let payload;
+  try {
+    payload = Buffer.from(envelope.payload, 'base64');
+    verified = crypto.verify(null, payload, envelope.public_key, Buffer.from(envelope.signature, 'base64'));
+  } catch (error) {
+    verified = false;
+  }
+  if (!verified) {
+    throw new PeriodArchiveError('TAMPERED', 'توقيع الأرشيف غير صحيح، الملف معدل أو تالف');
+  }
+  return {
+    content: JSON.parse(zlib.gunzipSync(payload).toString('utf8')),
+    fingerprint: keyFingerprint(envelope.public_key),
+    sha256: sha256(file)
+  };
+};
+
+module.exports = {
+  PERIOD_ARCHIVE_EXTENSION,
+  PeriodArchiveError,
+  generateSigningKey,
+  keyFingerprint,
+  writeArchive,
+  readArchive
+};
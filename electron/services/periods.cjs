@@ -0,0 +1,330 @@
+const fs = require('fs');
+const path = require('path');
+const { app, safeStorage } = require('electron');
+const { DatabaseService } = require('../database.cjs');
+const { ensureObject, requireId, requireDate, ValidationError } = require('../validation.cjs');
+const { BackupService } = require('./backups.cjs');
+const { PERIOD_ARCHIVE_EXTENSION, generateSigningKey, keyFingerprint, writeArchive, readArchive } = require('./period-archive.cjs');
+
+// إقفال فترة مالية: تُحفظ معاملات الفترة في أرشيف موقع ثم تُحذف من القاعدة، مع الإبقاء على
+// ما يبقى أثره بعدها: كميات المخزون (تُختصر حركاتها في رصيد افتتاحي)، والفواتير الآجلة غير المسددة،
+// والاشتراكات التي لم تنته. المنتجات والزبائن وأنواع الاشتراكات لا تُمس
+const archiveDirectory = () => path.join(app.getPath('userData'), 'archives');
+// مفتاح التوقيع خاص بهذا الجهاز، والمفتاح الخاص مشفر بمفتاح نظام التشغيل
+const signingKeyPath = () => path.join(app.getPath('userData'), 'archive-signing-key.json');
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const nextDay = (date) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().split('T')[0];
+};
+
+const timestamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+
+// الفاتورة الآجلة غير المسددة تبقى لأنها دين على الزبون، والفاتورة التي لها مرتجع أو دفعة بعد نهاية الفترة
+// تبقى حتى لا تختفي تلك الحركة من تقارير الفترة المفتوحة. الشرط يأخذ نهاية الفترة مرتين (keptParams)
+const KEPT_INVOICE = `(i.is_credit = 1 AND i.total - i.returned_amount > i.paid_amount)
+  OR EXISTS (SELECT 1 FROM sales_returns kr WHERE kr.invoice_id = i.id AND date(kr.created_at) > ?)
+  OR EXISTS (SELECT 1 FROM payments kp WHERE kp.invoice_id = i.id AND date(kp.created_at) > ?)`;
+const keptParams = (end) => [end, end];
+
+const groupBy = (rows, key) => {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row[key])) groups.set(row[key], []);
+    groups.get(row[key]).push(row);
+  }
+  return groups;
+};
+
+const sum = (rows, field) => rows.reduce((total, row) => total + (Number(row[field]) || 0), 0);
+
+const summarize = (data) => ({
+  invoices: data.invoices.length,
+  invoices_kept: data.invoices.filter((invoice) => invoice.kept).length,
+  purchases: data.purchases.length,
+  internal_sales: data.internal_sales.length,
+  subscribers: data.subscribers.length,
+  subscribers_kept: data.subscribers.filter((subscriber) => subscriber.kept).length,
+  stock_movements: data.stock_movements,
+  sales_total: sum(data.invoices, 'total'),
+  returns_total: sum(data.invoices.flatMap((invoice) => invoice.returns), 'amount'),
+  purchases_total: sum(data.purchases, 'total_amount'),
+  internal_sales_total: sum(data.internal_sales, 'total_price'),
+  subscriptions_total: sum(data.subscribers, 'price_paid')
+});
+
+class PeriodService {
+  signingKey() {
+    if (fs.existsSync(signingKeyPath())) {
+      const stored = JSON.parse(fs.readFileSync(signingKeyPath(), 'utf8'));
+      return {
+        publicKey: stored.public_key,
+        privateKey: safeStorage.decryptString(Buffer.from(stored.private_key, 'base64'))
+      };
+    }
+    if (!safeStorage.isEncryptionAvailable()) {
+      throw new ValidationError('توقيع الأرشيف غير متاح على هذا الجهاز');
+    }
+    const key = generateSigningKey();
+    fs.writeFileSync(signingKeyPath(), JSON.stringify({
+      public_key: key.publicKey,
+      private_key: safeStorage.encryptString(key.privateKey).toString('base64')
+    }, null, 2));
+    return key;
+  }
+
+  async lockedUntil(db = DatabaseService) {
+    const row = await db.get('SELECT MAX(period_end) as period_end FROM closed_periods');
+    return row.period_end || null;
+  }
+
+  // تاريخ نهاية الفترة المقفلة التي يقع فيها date، و null إذا كان التاريخ مفتوحاً
+  async lockedPeriodOf(date, db = DatabaseService) {
+    const lockedUntil = await this.lockedUntil(db);
+    return lockedUntil && date && String(date).slice(0, 10) <= lockedUntil ? lockedUntil : null;
+  }
+
+  // يُستدعى قبل أي تعديل على سجل مؤرخ (بداية اشتراك، فاتورة...)
+  async assertOpen(date, label, db = DatabaseService) {
+    const lockedUntil = await this.lockedPeriodOf(date, db);
+    if (lockedUntil) {
+      throw new ValidationError(`${label} ضمن فترة مقفلة حتى ${lockedUntil} ولا يمكن تعديلها`);
+    }
+  }
+
+  async list() {
+    const periods = await DatabaseService.query(`
+      SELECT cp.*, u.full_name as closed_by_name
+      FROM closed_periods cp
+      LEFT JOIN users u ON cp.closed_by = u.id
+      ORDER BY cp.period_end DESC
+    `);
+    return {
+      locked_until: await this.lockedUntil(),
+      periods: periods.map((period) => ({
+        ...period,
+        summary: JSON.parse(period.summary),
+        archive_exists: fs.existsSync(period.archive_file)
+      }))
+    };
+  }
+
+  // الفترة تبدأ بعد آخر فترة مقفلة وتنتهي قبل اليوم
+  async validatePeriod(periodEnd, db = DatabaseService) {
+    const end = requireDate(periodEnd, 'تاريخ نهاية الفترة');
+    if (end >= today()) {
+      throw new ValidationError('يجب أن تنتهي الفترة قبل تاريخ اليوم');
+    }
+    const lockedUntil = await this.lockedUntil(db);
+    if (lockedUntil && end <= lockedUntil) {
+      throw new ValidationError(`الفترة حتى ${lockedUntil} مقفلة مسبقاً`);
+    }
+    return { start: lockedUntil ? nextDay(lockedUntil) : null, end };
+  }
+
+  // كل ما سيُحذف عند الإقفال يُحفظ في الأرشيف، ومعه ما سيبقى من الفترة (kept) حتى يكون الأرشيف كاملاً
+  async collect(db, end) {
+    const invoices = await db.query(`
+      SELECT i.*, CASE WHEN ${KEPT_INVOICE} THEN 1 ELSE 0 END as kept
+      FROM invoices i
+      WHERE date(i.created_at) <= ?
+      ORDER BY i.created_at, i.id
+    `, [...keptParams(end), end]);
+    const invoiceItems = groupBy(await db.query(`
+      SELECT ii.*, p.name as product_name
+      FROM invoice_items ii
+      JOIN invoices i ON ii.invoice_id = i.id
+      LEFT JOIN products p ON ii.product_id = p.id
+      WHERE date(i.created_at) <= ?
+    `, [end]), 'invoice_id');
+    // مرتجعات فواتير الفترة تُؤرشف معها، وما كان منها بعد نهايتها يبقى مع فاتورته في القاعدة (kept)
+    const returnItems = groupBy(await db.query(`
+      SELECT ri.*, p.name as product_name
+      FROM sales_return_items ri
+      JOIN sales_returns r ON ri.return_id = r.id
+      JOIN invoices i ON r.invoice_id = i.id
+      LEFT JOIN products p ON ri.product_id = p.id
+      WHERE date(i.created_at) <= ?
+    `, [end]), 'return_id');
+    const invoiceReturns = groupBy((await db.query(`
+      SELECT r.*
+      FROM sales_returns r
+      JOIN invoices i ON r.invoice_id = i.id
+      WHERE date(i.created_at) <= ?
+      ORDER BY r.created_at, r.id
+    `, [end])).map((salesReturn) => ({ ...salesReturn, items: returnItems.get(salesReturn.id) || [] })), 'invoice_id');
+    const invoicePayments = groupBy(await db.query(`
+      SELECT p.*, cp.receipt_number
+      FROM payments p
+      JOIN invoices i ON p.invoice_id = i.id
+      LEFT JOIN customer_payments cp ON p.customer_payment_id = cp.id
+      WHERE date(i.created_at) <= ?
+      ORDER BY p.created_at, p.id
+    `, [end]), 'invoice_id');
+
+    const purchases = await db.query(`
+      SELECT * FROM purchases WHERE date(created_at) <= ? ORDER BY created_at, id
+    `, [end]);
+    const purchaseItems = groupBy(await db.query(`
+      SELECT pi.*, p.name as product_name
+      FROM purchase_items pi
+      JOIN purchases pu ON pi.purchase_id = pu.id
+      LEFT JOIN products p ON pi.product_id = p.id
+      WHERE date(pu.created_at) <= ?
+    `, [end]), 'purchase_id');
+
+    const internalSales = await db.query(`
+      SELECT s.*, p.name as product_name
+      FROM internal_sales s
+      LEFT JOIN products p ON s.product_id = p.id
+      WHERE date(s.created_at) <= ?
+      ORDER BY s.created_at, s.id
+    `, [end]);
+
+    const subscribers = await db.query(`
+      SELECT s.*, st.name as subscription_type_name, CASE WHEN s.end_date > ? THEN 1 ELSE 0 END as kept
+      FROM subscribers s
+      LEFT JOIN subscription_types st ON s.subscription_type_id = st.id
+      WHERE s.start_date <= ?
+      ORDER BY s.start_date, s.id
+    `, [end, end]);
+    const subscriberPayments = groupBy(await db.query(`
+      SELECT p.*
+      FROM payments p
+      JOIN subscribers s ON p.subscriber_id = s.id
+      WHERE s.start_date <= ?
+      ORDER BY p.created_at, p.id
+    `, [end]), 'subscriber_id');
+
+    // أرصدة المخزون في نهاية الفترة، وهي الحركات الافتتاحية التي تحل محل حركات الفترة
+    const stockOpenings = await db.query(`
+      SELECT m.product_id, p.name as product_name, m.gym_id, SUM(m.quantity) as quantity, COUNT(*) as movements
+      FROM stock_movements m
+      LEFT JOIN products p ON m.product_id = p.id
+      WHERE date(m.created_at) <= ?
+      GROUP BY m.product_id, m.gym_id
+    `, [end]);
+
+    return {
+      gyms: await db.query('SELECT id, name, type FROM gyms ORDER BY id'),
+      invoices: invoices.map((invoice) => ({
+        ...invoice,
+        items: invoiceItems.get(invoice.id) || [],
+        returns: invoiceReturns.get(invoice.id) || [],
+        payments: invoicePayments.get(invoice.id) || []
+      })),
+      purchases: purchases.map((purchase) => ({ ...purchase, items: purchaseItems.get(purchase.id) || [] })),
+      internal_sales: internalSales,
+      subscribers: subscribers.map((subscriber) => ({ ...subscriber, payments: subscriberPayments.get(subscriber.id) || [] })),
+      stock_openings: stockOpenings.map(({ movements, ...opening }) => opening),
+      stock_movements: sum(stockOpenings, 'movements')
+    };
+  }
+
+  async preview(periodEnd) {
+    const { start, end } = await this.validatePeriod(periodEnd);
+    return { period_start: start, period_end: end, summary: summarize(await this.collect(DatabaseService, end)) };
+  }
+
+  // الفواتير المسددة وكل مرتجعاتها ودفعاتها داخل الفترة، فلا يُحذف شيء مؤرخ بعد نهايتها
+  async removeClosedTransactions(tx, end, openings) {
+    const settledInvoices = `SELECT i.id FROM invoices i WHERE date(i.created_at) <= ? AND NOT (${KEPT_INVOICE})`;
+    const settled = [end, ...keptParams(end)];
+    const settledReturns = `SELECT id FROM sales_returns WHERE invoice_id IN (${settledInvoices}) AND date(created_at) <= ?`;
+    await tx.run(`DELETE FROM payments WHERE invoice_id IN (${settledInvoices}) AND date(created_at) <= ?`, [...settled, end]);
+    await tx.run(`DELETE FROM sales_return_items WHERE return_id IN (${settledReturns})`, [...settled, end]);
+    await tx.run(`DELETE FROM sales_returns WHERE id IN (${settledReturns})`, [...settled, end]);
+    await tx.run(`DELETE FROM invoice_items WHERE invoice_id IN (${settledInvoices})`, settled);
+    await tx.run(`DELETE FROM invoices WHERE id IN (${settledInvoices})`, settled);
+    await tx.run('DELETE FROM purchase_items WHERE purchase_id IN (SELECT id FROM purchases WHERE date(created_at) <= ?)', [end]);
+    await tx.run('DELETE FROM purchases WHERE date(created_at) <= ?', [end]);
+    await tx.run('DELETE FROM internal_sales WHERE date(created_at) <= ?', [end]);
+    await tx.run('DELETE FROM payments WHERE subscriber_id IN (SELECT id FROM subscribers WHERE start_date <= ? AND end_date <= ?)', [end, end]);
+    await tx.run('DELETE FROM subscribers WHERE start_date <= ? AND end_date <= ?', [end, end]);
+    // سند القبض يُحذف مع آخر فاتورة وُزع عليها، ورقمه محفوظ مع دفعاتها في الأرشيف
+    await tx.run(`
+      DELETE FROM customer_payments
+      WHERE date(created_at) <= ? AND id NOT IN (SELECT customer_payment_id FROM payments WHERE customer_payment_id IS NOT NULL)
+    `, [end]);
+
+    await tx.run('DELETE FROM stock_movements WHERE date(created_at) <= ?', [end]);
+    for (const opening of openings.filter((item) => item.quantity !== 0)) {
+      await tx.run(`
+        INSERT INTO stock_movements (product_id, gym_id, movement_type, quantity, notes, created_at)
+        VALUES (?, ?, 'opening', ?, ?, ?)
+      `, [opening.product_id, opening.gym_id, opening.quantity, `رصيد افتتاحي بعد إقفال الفترة حتى ${end}`, `${end} 23:59:59`]);
+    }
+  }
+
+  // نسخة احتياطية كاملة قبل الإقفال، ثم الأرشيف والحذف في معاملة واحدة.
+  // إذا فشل أي جزء لا يُحذف شيء ويُحذف ملف الأرشيف
+  async close(userId, payload) {
+    ensureObject(payload);
+    const { end } = await this.validatePeriod(payload.period_end);
+    const key = this.signingKey();
+    await BackupService.create(
+      path.join(BackupService.ensureDirectory(), `gym-pre-close-${timestamp()}.db`),
+      { trigger: 'pre-close' }
+    );
+
+    fs.mkdirSync(archiveDirectory(), { recursive: true });
+    const archiveFile = path.join(archiveDirectory(), `period-${end}${PERIOD_ARCHIVE_EXTENSION}`);
+    return DatabaseService.transaction(async (tx) => {
+      const { start } = await this.validatePeriod(end, tx);
+      const data = await this.collect(tx, end);
+      const summary = summarize(data);
+      const closedAt = new Date().toISOString();
+      const archive = writeArchive(archiveFile, {
+        period_start: start,
+        period_end: end,
+        closed_at: closedAt,
+        app_version: app.getVersion(),
+        summary,
+        ...data
+      }, key);
+
+      try {
+        await this.removeClosedTransactions(tx, end, data.stock_openings);
+        const result = await tx.run(`
+          INSERT INTO closed_periods (period_start, period_end, archive_file, archive_sha256, key_fingerprint, summary, closed_by)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [start, end, archive.path, archive.sha256, archive.fingerprint, JSON.stringify(summary), userId]);
+        return { id: result.lastInsertRowid, period_start: start, period_end: end, archive_file: archive.path, summary };
+      } catch (error) {
+        fs.rmSync(archiveFile, { force: true });
+        throw error;
+      }
+    });
+  }
+
+  // قراءة الأرشيف للعرض فقط. signer_known: الأرشيف موقع بمفتاح هذا الجهاز أو بمفتاح فترة مسجلة في القاعدة
+  async readArchiveFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new ValidationError(`ملف الأرشيف غير موجود: ${filePath}`);
+    }
+    const archive = readArchive(filePath);
+    const known = await DatabaseService.get('SELECT id FROM closed_periods WHERE key_fingerprint = ? LIMIT 1', [archive.fingerprint]);
+    const localKey = fs.existsSync(signingKeyPath())
+      ? keyFingerprint(JSON.parse(fs.readFileSync(signingKeyPath(), 'utf8')).public_key)
+      : null;
+    return {
+      file: path.basename(filePath),
+      fingerprint: archive.fingerprint,
+      signer_known: Boolean(known) || archive.fingerprint === localKey,
+      content: archive.content
+    };
+  }
+
+  async viewArchive(id) {
+    const period = await DatabaseService.get('SELECT archive_file FROM closed_periods WHERE id = ?', [requireId(id, 'رقم الفترة')]);
+    if (!period) {
+      throw new ValidationError('الفترة غير موجودة');
+    }
+    return this.readArchiveFile(period.archive_file);
+  }
+}
+
+module.exports = { PeriodService: new PeriodService(), archiveDirectory };
@@ -0,0 +1,182 @@
+const { DatabaseService } = require('../database.cjs');
+const { GymService } = require('./gyms.cjs');
+const { recordMovement, quantityColumn } = require('./stock-movements.cjs');
+const {
+  ensureObject,
+  requireId,
+  optionalId,
+  requireText,
+  optionalText,
+  requireAmount,
+  optionalAmount,
+  optionalInteger
+} = require('../validation.cjs');
+
+const generateBarcode = () => {
+  const timestamp = Date.now().toString();
+  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+  return `${timestamp.slice(-8)}${random}`;
+};
+
+const validateProduct = (payload) => {
+  ensureObject(payload);
+  return {
+    barcode: optionalText(payload.barcode, 'الباركود', 64),
+    name: requireText(payload.name, 'اسم المنتج'),
+    category_id: optionalId(payload.category_id, 'الفئة'),
+    purchase_price: optionalAmount(payload.purchase_price, 'سعر الشراء'),
+    sale_price: requireAmount(payload.sale_price, 'سعر البيع'),
+    quantity: optionalInteger(payload.quantity, 'الكمية') || 0,
+    notes: optionalText(payload.notes, 'الملاحظات')
+  };
+};
+
+class ProductService {
+  list() {
+    return DatabaseService.query(`
+      SELECT p.*, c.name as category_name
+      FROM products p
+      LEFT JOIN categories c ON p.category_id = c.id
+      ORDER BY p.created_at DESC
+    `);
+  }
+
+  // المنتجات المتوفرة للبيع في مخزون الفرع
+  async listInStock(gymId) {
+    const gym = await GymService.get(gymId);
+    const column = quantityColumn(gym.type);
+    return DatabaseService.query(`
+      SELECT id, name, barcode, sale_price, purchase_price, male_gym_quantity, female_gym_quantity,
+             ${column} as available
+      FROM products
+      WHERE ${column} > 0
+      ORDER BY name
+    `);
+  }
+
+  async lowStock(gymId, limit = 5) {
+    const gym = await GymService.get(gymId);
+    const column = quantityColumn(gym.type);
+    return DatabaseService.query(`
+      SELECT name, ${column} as total_quantity
+      FROM products
+      WHERE ${column} < 5 AND ${column} > 0
+      ORDER BY total_quantity ASC
+      LIMIT ?
+    `, [limit]);
+  }
+
+  async create(gymId, userId, payload, { canEditPrices = false } = {}) {
+    if (!canEditPrices) {
+      throw new Error('ليس لديك صلاحية تحديد أسعار المنتجات');
+    }
+    const gym = await GymService.get(gymId);
+    const product = validateProduct(payload);
+    const user = requireId(userId, 'رقم المستخدم');
+    // الباركود يُولّد عند الإنشاء فقط إذا لم يُدخل
+    const barcode = product.barcode || generateBarcode();
+
+    return DatabaseService.transaction(async (tx) => {
+      const result = await tx.run(`
+        INSERT INTO products (barcode, name, category_id, purchase_price, sale_price,
+                              male_gym_quantity, female_gym_quantity, notes)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        barcode,
+        product.name,
+        product.category_id,
+        product.purchase_price,
+        product.sale_price,
+        gym.type === 'male' ? product.quantity : 0,
+        gym.type === 'female' ? product.quantity : 0,
+        product.notes
+      ]);
+      const productId = result.lastInsertRowid;
+
+      if (product.quantity !== 0) {
+        await recordMovement(tx, {
+          productId,
+          gymId: gym.id,
+          type: 'opening',
+          quantity: product.quantity,
+          userId: user,
+          notes: 'رصيد افتتاحي'
+        });
+      }
+      return { id: productId };
+    });
+  }
+
+  async update(gymId, userId, id, payload, { canEditPrices = false } = {}) {
+    const gym = await GymService.get(gymId);
+    const productId = requireId(id, 'رقم المنتج');
+    const product = validateProduct(payload);
+    const user = requireId(userId, 'رقم المستخدم');
+    const column = quantityColumn(gym.type);
+
+    // تعديل الكمية يدوياً يُسجل كحركة تسوية بالفرق، والباركود الفارغ يُبقي الباركود الحالي
+    return DatabaseService.transaction(async (tx) => {
+      const current = await tx.get(`
+        SELECT purchase_price, sale_price, ${column} as quantity FROM products WHERE id = ?
+      `, [productId]);
+      if (!current) {
+        throw new Error('المنتج غير موجود');
+      }
+      if (!canEditPrices
+        && (product.purchase_price !== current.purchase_price || product.sale_price !== current.sale_price)) {
+        throw new Error('ليس لديك صلاحية تعديل أسعار المنتجات');
+      }
+
+      await tx.run(`
+        UPDATE products
+        SET barcode = COALESCE(NULLIF(?, ''), barcode), name = ?, category_id = ?, purchase_price = ?,
+            sale_price = ?, ${column} = ?, notes = ?
+        WHERE id = ?
+      `, [
+        product.barcode,
+        product.name,
+        product.category_id,
+        product.purchase_price,
+        product.sale_price,
+        product.quantity,
+        product.notes,
+        productId
+      ]);
+
+      const delta = product.quantity - current.quantity;
+      if (delta !== 0) {
+        await recordMovement(tx, {
+          productId,
+          gymId: gym.id,
+          type: 'adjustment',
+          quantity: delta,
+          userId: user,
+          notes: 'تعديل يدوي للكمية'
+        });
+      }
+      return { id: productId };
+    });
+  }
+
+  async remove(id) {
+    const productId = requireId(id, 'رقم المنتج');
+    const used = await DatabaseService.get(`
+      SELECT
+        (SELECT COUNT(*) FROM invoice_items WHERE product_id = ?) +
+        (SELECT COUNT(*) FROM purchase_items WHERE product_id = ?) +
+        (SELECT COUNT(*) FROM internal_sales WHERE product_id = ?) +
+        (SELECT COUNT(*) FROM stock_transfer_items WHERE product_id = ?) as count
+    `, [productId, productId, productId, productId]);
+    if (used.count > 0) {
+      throw new Error('لا يمكن حذف هذا المنتج لأنه مرتبط بفواتير أو تحويلات مخزون');
+    }
+    // المنتج غير مستخدم في أي مستند ولا تحويل، فحركاته أرصدة افتتاحية وتسويات فقط
+    return DatabaseService.transaction(async (tx) => {
+      await tx.run('DELETE FROM stock_movements WHERE product_id = ?', [productId]);
+      await tx.run('DELETE FROM products WHERE id = ?', [productId]);
+      return { id: productId };
+    });
+  }
+}
+
+module.exports = { ProductService: new ProductService(), validateProduct };
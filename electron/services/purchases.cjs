@@ -0,0 +1,101 @@
+const { DatabaseService } = require('../database.cjs');
+const { moveStock } = require('./stock-movements.cjs');
+const { allocateNumber } = require('./document-numbers.cjs');
+const {
+  ensureObject,
+  requireId,
+  optionalText,
+  requireAmount,
+  requireQuantity,
+  requireArray
+} = require('../validation.cjs');
+
+const validatePurchase = (payload) => {
+  ensureObject(payload);
+  const items = requireArray(payload.items, 'عناصر المشتريات').map((item) => {
+    ensureObject(item);
+    const quantity = requireQuantity(item.quantity, 'الكمية');
+    const unitCost = requireAmount(item.unit_cost, 'سعر الشراء');
+    return {
+      product_id: requireId(item.product_id, 'المنتج'),
+      quantity,
+      unit_cost: unitCost,
+      total_cost: quantity * unitCost
+    };
+  });
+
+  if (items.length === 0) {
+    throw new Error('يرجى إضافة منتج واحد على الأقل');
+  }
+
+  return {
+    supplier_name: optionalText(payload.supplier_name, 'اسم المورد'),
+    items
+  };
+};
+
+class PurchaseService {
+  list(gymId) {
+    return DatabaseService.query(`
+      SELECT p.*, COUNT(pi.id) as items_count
+      FROM purchases p
+      LEFT JOIN purchase_items pi ON p.id = pi.purchase_id
+      WHERE p.gym_id = ?
+      GROUP BY p.id
+      ORDER BY p.created_at DESC
+    `, [requireId(gymId, 'رقم الصالة')]);
+  }
+
+  getItems(purchaseId) {
+    return DatabaseService.query(`
+      SELECT pi.*, p.name as product_name
+      FROM purchase_items pi
+      JOIN products p ON pi.product_id = p.id
+      WHERE pi.purchase_id = ?
+    `, [requireId(purchaseId, 'رقم المشتريات')]);
+  }
+
+  async create(gymId, userId, payload) {
+    const purchase = validatePurchase(payload);
+    const totalAmount = purchase.items.reduce((sum, item) => sum + item.total_cost, 0);
+
+    const gym = requireId(gymId, 'رقم الصالة');
+    const user = requireId(userId, 'رقم المستخدم');
+
+    // تسجيل المشتريات وتحديث المخزون كوحدة واحدة
+    return DatabaseService.transaction(async (tx) => {
+      const purchaseNumber = await allocateNumber(tx, gym, 'purchase');
+      const result = await tx.run(`
+        INSERT INTO purchases (purchase_number, supplier_name, total_amount, gym_id, user_id)
+        VALUES (?, ?, ?, ?, ?)
+      `, [purchaseNumber, purchase.supplier_name, totalAmount, gym, user]);
+      const purchaseId = result.lastInsertRowid;
+
+      for (const item of purchase.items) {
+        // سعر الشراء مشترك، والكمية تُضاف إلى مخزون الفرع المشتري
+        const updated = await tx.run('UPDATE products SET purchase_price = ? WHERE id = ?', [item.unit_cost, item.product_id]);
+        if (updated.changes === 0) {
+          throw new Error('المنتج غير موجود');
+        }
+
+        await tx.run(`
+          INSERT INTO purchase_items (purchase_id, product_id, quantity, unit_cost, total_cost)
+          VALUES (?, ?, ?, ?, ?)
+        `, [purchaseId, item.product_id, item.quantity, item.unit_cost, item.total_cost]);
+
+        await moveStock(tx, {
+          productId: item.product_id,
+          gymId: gym,
+          type: 'purchase',
+          quantity: item.quantity,
+          sourceId: purchaseId,
+          userId: user
+        });
+      }
+
+      return { id: purchaseId, purchase_number: purchaseNumber, total_amount: totalAmount };
+    });
+  }
+}
+
+module.exports = { PurchaseService: new PurchaseService() };
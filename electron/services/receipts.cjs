@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+const { app, BrowserWindow, shell } = require('electron');
+const { DatabaseService } = require('../database.cjs');
+const { ensureObject, requireId, optionalText, optionalInteger, requireBoolean, requireOneOf, ValidationError } = require('../validation.cjs');
+const { PAPER_SIZES, receiptHtml, receiptLines, linesHtml, receiptEscPos, isPrinterPort } = require('../receipt-format.cjs');
+const { parseSettings } = require('./gyms.cjs');
+const { roundMoney } = require('../payments.cjs');
+
+// طابعة الإيصالات خاصة بهذا الجهاز، فإعداداتها في ملف مستقل عن القاعدة لا تغيره الاستعادة ولا ينتقل مع بيانات الفرع
+const configPath = () => path.join(app.getPath('userData'), 'receipt-printer.json');
+const previewDirectory = () => path.join(app.getPath('temp'), 'gym-receipts');
+
+// system: طباعة صفحة الإيصال عبر تعريف الطابعة في النظام، escpos: أوامر خام إلى منفذ الطابعة أو مشاركتها
+const PRINT_MODES = ['system', 'escpos'];
+
+const DEFAULT_CONFIG = {
+  printer_name: null,
+  paper_width: 80,
+  mode: 'system',
+  raw_device: null,
+  codepage: 50,
+  copies: 1,
+  show_logo: true,
+  auto_print: false
+};
+
+const MAX_COPIES = 5;
+const INVALID_PORT = 'منفذ الطابعة غير صالح: أدخل منفذاً مثل /dev/usb/lp0 أو LPT1 أو COM3، أو مشاركة مثل \\\\localhost\\POS80';
+const PX_TO_MICRONS = 25400 / 96;
+
+// إيصال تجريبي لمعاينة القالب وإعدادات الطابعة قبل أول بيع
+const sampleReceipt = (header) => ({
+  ...header,
+  title: 'إيصال تجريبي',
+  number: 'TEST-0001',
+  date: new Date().toISOString(),
+  cashier: null,
+  customer: { name: 'زبون تجريبي', phone: '0555 00 00 00' },
+  lines: [
+    { name: 'واي بروتين 2 كغ', quantity: 1, unit_price: 9500, total: 9500 },
+    { name: 'مشروب طاقة', quantity: 3, unit_price: 250, total: 750 }
+  ],
+  subtotal: 10250,
+  discount: 250,
+  total: 10000,
+  returned: 0,
+  payments: [{ method: 'cash', amount: 10000, reference: null }],
+  change: 0,
+  remaining: 0
+});
+
+class ReceiptService {
+  config() {
+    try {
+      return { ...DEFAULT_CONFIG, ...JSON.parse(fs.readFileSync(configPath(), 'utf8')) };
+    } catch (error) {
+      return { ...DEFAULT_CONFIG };
+    }
+  }
+
+  setConfig(payload) {
+    ensureObject(payload);
+    const mode = requireOneOf(payload.mode || 'system', PRINT_MODES, 'طريقة الطباعة');
+    const rawDevice = optionalText(payload.raw_device, 'منفذ الطابعة', 500) || null;
+    if (mode === 'escpos' && !rawDevice) {
+      throw new ValidationError('يرجى إدخال منفذ الطابعة أو اسم مشاركتها للطباعة الخام');
+    }
+    if (rawDevice && !isPrinterPort(rawDevice)) {
+      throw new ValidationError(INVALID_PORT);
+    }
+    const codepage = optionalInteger(payload.codepage, 'جدول الأحرف');
+    if (codepage !== null && codepage > 255) {
+      throw new ValidationError('جدول الأحرف غير صالح');
+    }
+    const copies = optionalInteger(payload.copies, 'عدد النسخ') || 1;
+    if (copies > MAX_COPIES) {
+      throw new ValidationError(`عدد النسخ لا يتجاوز ${MAX_COPIES}`);
+    }
+
+    const config = {
+      printer_name: optionalText(payload.printer_name, 'اسم الطابعة', 255) || null,
+      paper_width: requireOneOf(Number(payload.paper_width), [58, 80], 'عرض الورق'),
+      mode,
+      raw_device: rawDevice,
+      codepage: codepage === null ? DEFAULT_CONFIG.codepage : codepage,
+      copies,
+      show_logo: requireBoolean(payload.show_logo),
+      auto_print: requireBoolean(payload.auto_print)
+    };
+    const partialPath = `${configPath()}.partial`;
+    fs.writeFileSync(partialPath, JSON.stringify(config, null, 2));
+    fs.renameSync(partialPath, configPath());
+    return config;
+  }
+
+  // الطابعات المعرفة في النظام (اسم الجهاز واسم العرض)
+  async listPrinters() {
+    const window = new BrowserWindow({ show: false });
+    try {
+      const printers = await window.webContents.getPrintersAsync();
+      return printers.map((printer) => ({ name: printer.name, display_name: printer.displayName || printer.name }));
+    } finally {
+      window.destroy();
+    }
+  }
+
+  async gymHeader(gymId) {
+    const gym = await DatabaseService.get('SELECT name, logo, settings FROM gyms WHERE id = ?', [requireId(gymId, 'رقم الصالة')]);
+    if (!gym) {
+      throw new ValidationError('الصالة غير موجودة');
+    }
+    const settings = parseSettings(gym.settings);
+    return {
+      gym: {
+        name: gym.name,
+        logo: gym.logo,
+        address: settings.address || null,
+        phone: settings.phone || null,
+        footer: settings.receipt_footer || null,
+        currency: settings.currency || 'DZD'
+      }
+    };
+  }
+
+  /**
+   * بيانات إيصال الفاتورة. الدفعات المطبوعة هي ما دُفع عند البيع، والمتبقي هو الدين الحالي.
+   * الباقي للزبون لا يُحفظ في القاعدة فيُمرر عند الطباعة بعد البيع مباشرة
+   */
+  async invoiceReceipt(invoiceId, options = {}) {
+    const id = requireId(invoiceId, 'رقم الفاتورة');
+    const { change = 0, reprint = false } = options || {};
+    const invoice = await DatabaseService.get(`
+      SELECT i.*, u.full_name as user_name
+      FROM invoices i
+      LEFT JOIN users u ON i.user_id = u.id
+      WHERE i.id = ?
+    `, [id]);
+    if (!invoice) {
+      throw new ValidationError('الفاتورة غير موجودة');
+    }
+
+    const items = await DatabaseService.query(`
+      SELECT ii.quantity, ii.unit_price, ii.total_price, p.name as product_name
+      FROM invoice_items ii
+      LEFT JOIN products p ON ii.product_id = p.id
+      WHERE ii.invoice_id = ?
+      ORDER BY ii.id
+    `, [id]);
+    const payments = await DatabaseService.query(`
+      SELECT method, amount, reference
+      FROM payments
+      WHERE invoice_id = ? AND amount > 0 AND customer_payment_id IS NULL
+      ORDER BY id
+    `, [id]);
+
+    const lines = invoice.is_single_session
+      ? [{ name: 'حصة مفردة', quantity: 1, unit_price: invoice.subtotal, total: invoice.subtotal }]
+      : items.map((item) => ({ name: item.product_name || '-', quantity: item.quantity, unit_price: item.unit_price, total: item.total_price }));
+
+    return {
+      ...(await this.gymHeader(invoice.gym_id)),
+      title: invoice.status === 'voided' ? 'فاتورة ملغاة' : (requireBoolean(reprint) ? 'نسخة فاتورة' : 'فاتورة'),
+      number: invoice.invoice_number,
+      date: invoice.created_at,
+      cashier: invoice.user_name,
+      customer: invoice.customer_name || invoice.customer_phone
+        ? { name: invoice.customer_name, phone: invoice.customer_phone }
+        : null,
+      lines,
+      subtotal: invoice.subtotal,
+      discount: invoice.discount,
+      total: invoice.total,
+      returned: invoice.returned_amount,
+      payments,
+      change: roundMoney(Number(change) || 0),
+      remaining: Math.max(0, roundMoney(invoice.total - invoice.returned_amount - invoice.paid_amount))
+    };
+  }
+
+  // الصفحة كما ستطبع بحسب طريقة الطباعة المختارة
+  pageFor(receipt, config) {
+    return config.mode === 'escpos'
+      ? linesHtml(receiptLines(receipt, PAPER_SIZES[config.paper_width].columns), { paperWidth: config.paper_width })
+      : receiptHtml(receipt, { paperWidth: config.paper_width, showLogo: config.show_logo });
+  }
+
+  // تحميل الصفحة في نافذة مخفية وقياس طولها، لأن ورق الطابعة الحرارية لفافة بلا طول ثابت
+  async renderPage(html, work) {
+    const window = new BrowserWindow({ show: false, webPreferences: { sandbox: true, contextIsolation: true } });
+    try {
+      await window.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+      const height = await window.webContents.executeJavaScript('document.documentElement.scrollHeight');
+      return await work(window.webContents, height);
+    } finally {
+      window.destroy();
+    }
+  }
+
+  async printPage(html, config) {
+    const paper = PAPER_SIZES[config.paper_width];
+    await this.renderPage(html, (contents, height) => new Promise((resolve, reject) => {
+      contents.print({
+        silent: true,
+        deviceName: config.printer_name || undefined,
+        copies: config.copies,
+        printBackground: false,
+        margins: { marginType: 'none' },
+        pageSize: { width: paper.width_mm * 1000, height: Math.ceil(height * PX_TO_MICRONS) }
+      }, (success, failureReason) => (
+        success ? resolve() : reject(new ValidationError(`فشلت الطباعة: ${failureReason}`))
+      ));
+    }));
+  }
+
+  // ملف الإعدادات قد يُعدل يدوياً، فيُفحص المنفذ مرة أخرى قبل الكتابة فيه
+  printRaw(receipt, config) {
+    if (!isPrinterPort(config.raw_device)) {
+      throw new ValidationError(INVALID_PORT);
+    }
+    const data = receiptEscPos(receipt, { paperWidth: config.paper_width, codepage: config.codepage });
+    try {
+      fs.writeFileSync(config.raw_device, Buffer.concat(Array(config.copies).fill(data)));
+    } catch (error) {
+      throw new ValidationError(`تعذر الإرسال إلى الطابعة (${config.raw_device}): ${error.message}`);
+    }
+  }
+
+  // طباعة صامتة على الطابعة المختارة لهذا الجهاز
+  async print(receipt) {
+    const config = this.config();
+    if (config.mode === 'escpos') {
+      this.printRaw(receipt, config);
+    } else {
+      await this.printPage(this.pageFor(receipt, config), config);
+    }
+    return { printed: true, mode: config.mode, copies: config.copies };
+  }
+
+  // حفظ الإيصال كما سيطبع في ملف PDF وفتحه، لتجربة القوالب والإعدادات دون طابعة
+  async preview(receipt) {
+    const config = this.config();
+    const paper = PAPER_SIZES[config.paper_width];
+    const pdf = await this.renderPage(this.pageFor(receipt, config), (contents, height) => contents.printToPDF({
+      printBackground: true,
+      margins: { top: 0, bottom: 0, left: 0, right: 0 },
+      pageSize: { width: paper.width_mm / 25.4, height: height / 96 }
+    }));
+
+    fs.mkdirSync(previewDirectory(), { recursive: true });
+    const filePath = path.join(previewDirectory(), `${receipt.number}-${config.paper_width}mm.pdf`);
+    fs.writeFileSync(filePath, pdf);
+    const error = await shell.openPath(filePath);
+    if (error) {
+      console.error('Open receipt preview error:', error);
+    }
+    return { path: filePath };
+  }
+
+  async printInvoice(invoiceId, options = {}) {
+    return this.print(await this.invoiceReceipt(invoiceId, options));
+  }
+
+  async previewInvoice(invoiceId, options = {}) {
+    return this.preview(await this.invoiceReceipt(invoiceId, options));
+  }
+
+  async printTest(gymId) {
+    return this.print(sampleReceipt(await this.gymHeader(gymId)));
+  }
+
+  async previewTest(gymId) {
+    return this.preview(sampleReceipt(await this.gymHeader(gymId)));
+  }
+}
+
+module.exports = { ReceiptService: new ReceiptService(), PRINT_MODES };
@@ -0,0 +1,408 @@
+const { DatabaseService } = require('../database.cjs');
+const { calculateProfit } = require('../profit-calculator.cjs');
+const { moveStock, branchColumn } = require('./stock-movements.cjs');
+const { PeriodService } = require('./periods.cjs');
+const { PAYMENT_METHODS, splitPayments, roundMoney } = require('../payments.cjs');
+const { recordPayments } = require('./payments.cjs');
+const { allocateNumber } = require('./document-numbers.cjs');
+const {
+  ensureObject,
+  requireId,
+  optionalId,
+  requireText,
+  optionalText,
+  requireAmount,
+  optionalAmount,
+  requireQuantity,
+  requireOneOf,
+  requireArray,
+  ValidationError
+} = require('../validation.cjs');
+
+// دفعات الفاتورة اختيارية في الطلب، وكل دفعة تُفحص عند توزيعها على المجموع
+const validatePaymentList = (payments) => {
+  if (payments === undefined || payments === null) return null;
+  if (!Array.isArray(payments)) {
+    throw new ValidationError('الدفعات غير صالحة');
+  }
+  return payments;
+};
+
+const validateRefundMethod = (method) => requireOneOf(method || 'cash', PAYMENT_METHODS, 'طريقة رد المبلغ');
+
+const validateInvoice = (payload) => {
+  ensureObject(payload);
+  const isSingleSession = Boolean(payload.is_single_session);
+  const items = isSingleSession ? [] : requireArray(payload.items, 'عناصر الفاتورة').map((item) => {
+    ensureObject(item);
+    const quantity = requireQuantity(item.quantity, 'الكمية');
+    const unitPrice = requireAmount(item.unit_price, 'سعر الوحدة');
+    return {
+      product_id: requireId(item.product_id, 'المنتج'),
+      quantity,
+      unit_price: unitPrice,
+      total_price: quantity * unitPrice
+    };
+  });
+
+  if (!isSingleSession && items.length === 0) {
+    throw new Error('يرجى إضافة منتج واحد على الأقل');
+  }
+
+  return {
+    customer_id: optionalId(payload.customer_id, 'الزبون'),
+    customer_name: optionalText(payload.customer_name, 'اسم الزبون'),
+    customer_phone: optionalText(payload.customer_phone, 'رقم الهاتف', 32),
+    discount: optionalAmount(payload.discount, 'الخصم'),
+    paid_amount: optionalAmount(payload.paid_amount, 'المبلغ المدفوع'),
+    is_credit: Boolean(payload.is_credit),
+    is_single_session: isSingleSession,
+    single_session_price: isSingleSession ? requireAmount(payload.single_session_price, 'سعر الحصة') : 0,
+    items,
+    payments: validatePaymentList(payload.payments)
+  };
+};
+
+// يجمع الكميات المطلوبة لكل منتج ويتحقق من توفرها في الفرع البائع، ويرجع بيانات المنتجات
+const checkStock = async (tx, gymId, items) => {
+  const column = await branchColumn(tx, gymId);
+
+  const requested = new Map();
+  for (const item of items) {
+    requested.set(item.product_id, (requested.get(item.product_id) || 0) + item.quantity);
+  }
+
+  const products = new Map();
+  for (const [productId, quantity] of requested) {
+    const product = await tx.get(`
+      SELECT id, name, purchase_price, sale_price, ${column} as available
+      FROM products
+      WHERE id = ?
+    `, [productId]);
+    if (!product) {
+      throw new Error('المنتج غير موجود');
+    }
+    if (product.available < quantity) {
+      throw new Error(`الكمية المتوفرة من "${product.name}" غير كافية (المتوفر: ${product.available})`);
+    }
+    products.set(productId, product);
+  }
+  return products;
+};
+
+const validateReturn = (payload) => {
+  ensureObject(payload);
+  // نفس العنصر قد يتكرر في الطلب، فتُجمع كمياته
+  const quantities = new Map();
+  for (const item of requireArray(payload.items, 'عناصر المرتجع')) {
+    ensureObject(item);
+    const itemId = requireId(item.invoice_item_id, 'عنصر الفاتورة');
+    quantities.set(itemId, (quantities.get(itemId) || 0) + requireQuantity(item.quantity, 'الكمية المرتجعة'));
+  }
+  if (quantities.size === 0) {
+    throw new Error('يرجى اختيار عنصر واحد على الأقل للإرجاع');
+  }
+  return {
+    reason: optionalText(payload.reason, 'سبب الإرجاع', 255),
+    refundMethod: validateRefundMethod(payload.refund_method),
+    quantities
+  };
+};
+
+// الفاتورة التي يمكن إرجاع شيء منها: في الفرع نفسه، غير ملغاة، وخارج الفترات المقفلة
+const getReturnableInvoice = async (tx, gymId, invoiceId) => {
+  const invoice = await tx.get('SELECT * FROM invoices WHERE id = ?', [invoiceId]);
+  if (!invoice) {
+    throw new Error('الفاتورة غير موجودة');
+  }
+  if (invoice.gym_id !== gymId) {
+    throw new Error('الإرجاع والإلغاء يتمان من الفرع الذي باع الفاتورة');
+  }
+  if (invoice.status === 'voided') {
+    throw new Error('الفاتورة ملغاة مسبقاً');
+  }
+  await PeriodService.assertOpen(invoice.created_at, 'الفاتورة', tx);
+  return invoice;
+};
+
+// عناصر الفاتورة مع الكمية التي لم تُرجع بعد وتكلفة الوحدة وقت البيع. العناصر المنقولة من ملف فرع
+// أقدم بدون تكلفة تأخذ سعر الشراء الحالي
+const returnableItems = (tx, invoiceId) => tx.query(`
+  SELECT ii.id, ii.product_id, ii.quantity, ii.unit_price, p.name as product_name,
+         COALESCE(ii.unit_cost, p.purchase_price, 0) as unit_cost,
+         ii.quantity - (SELECT COALESCE(SUM(ri.quantity), 0) FROM sales_return_items ri WHERE ri.invoice_item_id = ii.id) as remaining
+  FROM invoice_items ii
+  LEFT JOIN products p ON ii.product_id = p.id
+  WHERE ii.invoice_id = ?
+  ORDER BY ii.id
+`, [invoiceId]);
+
+// تسجيل المرتجع داخل المعاملة: تعود الكميات لمخزون الفرع البائع، وتُحسب قيمة العناصر وربحها بنفس
+// نسبة الخصم التي حُسب بها ربح الفاتورة (calculateProfit). المبلغ يُخصم أولاً من دين الفاتورة الآجلة
+// والباقي يُرد للزبون بالطريقة المختارة. المرتجع الذي يُنهي الفاتورة يأخذ ما بقي من مجموعها وربحها بالضبط
+// حتى لا يبقى فرق بسبب التقريب
+const recordReturn = async (tx, invoice, items, quantities, { type, reason, refundMethod, userId }) => {
+  let amount = 0;
+  let profit = 0;
+  for (const item of items) {
+    const quantity = quantities.get(item.id) || 0;
+    if (quantity > 0) {
+      // بسعر شراء صفر ترجع calculateProfit قيمة العنصر بعد الخصم
+      amount += calculateProfit(item.unit_price, quantity, 0, invoice.subtotal, invoice.total);
+      profit += calculateProfit(item.unit_price, quantity, item.unit_cost, invoice.subtotal, invoice.total);
+    }
+  }
+
+  const complete = items.every((item) => item.remaining === (quantities.get(item.id) || 0));
+  if (complete) {
+    const reversed = await tx.get('SELECT COALESCE(SUM(profit), 0) as profit FROM sales_returns WHERE invoice_id = ?', [invoice.id]);
+    amount = invoice.total - invoice.returned_amount;
+    profit = invoice.profit - reversed.profit;
+  }
+  amount = roundMoney(amount);
+  profit = roundMoney(profit);
+
+  const debt = invoice.is_credit ? Math.max(0, invoice.total - invoice.returned_amount - invoice.paid_amount) : 0;
+  const debtReduction = roundMoney(Math.min(amount, debt));
+  const refund = roundMoney(amount - debtReduction);
+
+  const returnNumber = await allocateNumber(tx, invoice.gym_id, 'return');
+  const result = await tx.run(`
+    INSERT INTO sales_returns (return_number, invoice_id, type, reason, amount, profit,
+                               refund_amount, debt_reduction, gym_id, user_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [returnNumber, invoice.id, type, reason || null, amount, profit, refund, debtReduction, invoice.gym_id, userId]);
+  const returnId = result.lastInsertRowid;
+
+  for (const item of items) {
+    const quantity = quantities.get(item.id) || 0;
+    if (quantity === 0) continue;
+    await tx.run(`
+      INSERT INTO sales_return_items (return_id, invoice_item_id, product_id, quantity, unit_price, total_price)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [returnId, item.id, item.product_id, quantity, item.unit_price, quantity * item.unit_price]);
+
+    await moveStock(tx, {
+      productId: item.product_id,
+      gymId: invoice.gym_id,
+      type: 'return',
+      quantity,
+      sourceId: returnId,
+      userId
+    });
+  }
+
+  // المبلغ المدفوع هو ما بقي عند المحل، فينقص بما رُدّ منه، والرد دفعة سالبة بطريقته
+  const status = type === 'void' ? 'voided' : (complete ? 'returned' : 'partially_returned');
+  await tx.run(`
+    UPDATE invoices
+    SET returned_amount = returned_amount + ?, paid_amount = paid_amount - ?, status = ?
+    WHERE id = ?
+  `, [amount, refund, status, invoice.id]);
+  if (refund > 0) {
+    await recordPayments(tx, { invoiceId: invoice.id, returnId, gymId: invoice.gym_id, userId }, [
+      { method: refundMethod, amount: -refund, reference: returnNumber }
+    ]);
+  }
+
+  return {
+    id: returnId,
+    return_number: returnNumber,
+    invoice_id: invoice.id,
+    type,
+    amount,
+    profit,
+    refund_amount: refund,
+    refund_method: refundMethod,
+    debt_reduction: debtReduction
+  };
+};
+
+class SalesService {
+  listInvoices(gymId) {
+    return DatabaseService.query(`
+      SELECT i.*,
+             GROUP_CONCAT(p.name || ' x' || ii.quantity) as items_summary,
+             (SELECT GROUP_CONCAT(DISTINCT pm.method) FROM payments pm WHERE pm.invoice_id = i.id AND pm.amount > 0) as payment_methods
+      FROM invoices i
+      LEFT JOIN invoice_items ii ON i.id = ii.invoice_id
+      LEFT JOIN products p ON ii.product_id = p.id
+      WHERE i.gym_id = ?
+      GROUP BY i.id
+      ORDER BY i.created_at DESC
+    `, [requireId(gymId, 'رقم الصالة')]);
+  }
+
+  getInvoiceItems(invoiceId) {
+    return DatabaseService.query(`
+      SELECT ii.*, p.name as product_name,
+             (SELECT COALESCE(SUM(ri.quantity), 0) FROM sales_return_items ri WHERE ri.invoice_item_id = ii.id) as returned_quantity
+      FROM invoice_items ii
+      JOIN products p ON ii.product_id = p.id
+      WHERE ii.invoice_id = ?
+    `, [requireId(invoiceId, 'رقم الفاتورة')]);
+  }
+
+  // إنشاء فاتورة بيع كوحدة واحدة: أي خطأ يلغي الفاتورة وعناصرها وخصم المخزون
+  async createInvoice(gymId, userId, payload, { canEditPrices = false } = {}) {
+    const invoice = validateInvoice(payload);
+    const gym = requireId(gymId, 'رقم الصالة');
+    const user = requireId(userId, 'رقم المستخدم');
+    const subtotal = invoice.is_single_session
+      ? invoice.single_session_price
+      : invoice.items.reduce((sum, item) => sum + item.total_price, 0);
+    const total = subtotal - invoice.discount;
+    if (total < 0) {
+      throw new Error('الخصم أكبر من مجموع الفاتورة');
+    }
+    // بدون دفعات في الطلب: الفاتورة غير الآجلة مدفوعة نقداً بالكامل، والآجلة بالمبلغ المدفوع
+    const tendered = invoice.payments || (invoice.is_credit
+      ? (invoice.paid_amount > 0 ? [{ method: 'cash', amount: invoice.paid_amount }] : [])
+      : (total > 0 ? [{ method: 'cash', amount: total }] : []));
+    const { payments, paid, change } = splitPayments(total, tendered, { isCredit: invoice.is_credit });
+
+    return DatabaseService.transaction(async (tx) => {
+      let customerName = invoice.customer_name;
+      let customerPhone = invoice.customer_phone;
+      if (invoice.customer_id) {
+        const customer = await tx.get('SELECT name, phone FROM customers WHERE id = ?', [invoice.customer_id]);
+        if (!customer) {
+          throw new Error('الزبون غير موجود');
+        }
+        customerName = customer.name;
+        customerPhone = customer.phone;
+      }
+
+      // التحقق من المخزون داخل المعاملة حتى لا تتغير الكميات بين الفحص والخصم
+      const products = await checkStock(tx, gym, invoice.items);
+
+      // لا نحسب ربح للحصص المفردة
+      let totalProfit = 0;
+      for (const item of invoice.items) {
+        const product = products.get(item.product_id);
+        if (!canEditPrices && item.unit_price !== product.sale_price) {
+          throw new Error(`لا يمكنك تغيير سعر "${product.name}" عن سعر البيع المحدد`);
+        }
+        totalProfit += calculateProfit(item.unit_price, item.quantity, product.purchase_price, subtotal, total);
+      }
+
+      const invoiceNumber = await allocateNumber(tx, gym, 'sale');
+      const result = await tx.run(`
+        INSERT INTO invoices (invoice_number, customer_id, customer_name, customer_phone,
+                             subtotal, discount, total, profit, paid_amount, is_credit,
+                             is_single_session, gym_id, user_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        invoiceNumber,
+        invoice.customer_id,
+        customerName,
+        customerPhone,
+        subtotal,
+        invoice.discount,
+        total,
+        totalProfit,
+        paid,
+        invoice.is_credit ? 1 : 0,
+        invoice.is_single_session ? 1 : 0,
+        gym,
+        user
+      ]);
+      const invoiceId = result.lastInsertRowid;
+
+      // تكلفة الوحدة وقت البيع تُحفظ مع العنصر حتى يُعكس ربح المرتجع بها ولو تغير سعر الشراء بعدها
+      for (const item of invoice.items) {
+        const unitCost = products.get(item.product_id).purchase_price || 0;
+        await tx.run(`
+          INSERT INTO invoice_items (invoice_id, product_id, quantity, unit_price, total_price, unit_cost)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, [invoiceId, item.product_id, item.quantity, item.unit_price, item.total_price, unitCost]);
+
+        await moveStock(tx, {
+          productId: item.product_id,
+          gymId: gym,
+          type: 'sale',
+          quantity: -item.quantity,
+          sourceId: invoiceId,
+          userId: user
+        });
+      }
+
+      await recordPayments(tx, { invoiceId, gymId: gym, userId: user }, payments);
+
+      return { id: invoiceId, invoice_number: invoiceNumber, total, profit: totalProfit, paid_amount: paid, change };
+    });
+  }
+
+  // مرتجعات الفاتورة (وإلغاؤها) مع عناصرها، من الأقدم للأحدث
+  async listReturns(invoiceId) {
+    const id = requireId(invoiceId, 'رقم الفاتورة');
+    const returns = await DatabaseService.query(`
+      SELECT r.*, u.full_name as user_name,
+             (SELECT pm.method FROM payments pm WHERE pm.return_id = r.id ORDER BY pm.id LIMIT 1) as refund_method
+      FROM sales_returns r
+      LEFT JOIN users u ON r.user_id = u.id
+      WHERE r.invoice_id = ?
+      ORDER BY r.created_at, r.id
+    `, [id]);
+    const items = await DatabaseService.query(`
+      SELECT ri.*, p.name as product_name
+      FROM sales_return_items ri
+      JOIN sales_returns r ON ri.return_id = r.id
+      LEFT JOIN products p ON ri.product_id = p.id
+      WHERE r.invoice_id = ?
+      ORDER BY ri.id
+    `, [id]);
+    return returns.map((salesReturn) => ({
+      ...salesReturn,
+      items: items.filter((item) => item.return_id === salesReturn.id)
+    }));
+  }
+
+  // إرجاع كلي أو جزئي لعناصر فاتورة في معاملة واحدة. إرجاع كل ما بقي منها يساوي إلغاءها،
+  // فيتطلب صلاحية إلغاء الفواتير (canReturnAll) مثل voidInvoice
+  async createReturn(gymId, userId, invoiceId, payload, { canReturnAll = false } = {}) {
+    const gym = requireId(gymId, 'رقم الصالة');
+    const user = requireId(userId, 'رقم المستخدم');
+    const id = requireId(invoiceId, 'رقم الفاتورة');
+    const { reason, refundMethod, quantities } = validateReturn(payload);
+
+    return DatabaseService.transaction(async (tx) => {
+      const invoice = await getReturnableInvoice(tx, gym, id);
+      const items = await returnableItems(tx, id);
+      for (const [itemId, quantity] of quantities) {
+        const item = items.find((candidate) => candidate.id === itemId);
+        if (!item) {
+          throw new Error('العنصر المرتجع ليس من هذه الفاتورة');
+        }
+        if (quantity > item.remaining) {
+          throw new Error(`الكمية المرتجعة من "${item.product_name || item.product_id}" أكبر من الكمية المتبقية في الفاتورة (${item.remaining})`);
+        }
+      }
+      if (!canReturnAll && items.every((item) => item.remaining === (quantities.get(item.id) || 0))) {
+        throw new Error('إرجاع كل ما بقي من الفاتورة يتطلب صلاحية إلغاء الفواتير');
+      }
+      return recordReturn(tx, invoice, items, quantities, { type: 'return', reason, refundMethod, userId: user });
+    });
+  }
+
+  // إلغاء الفاتورة: مرتجع لكل ما بقي منها بسبب إلزامي، وتبقى الفاتورة مرتبطة بمرتجعاتها
+  async voidInvoice(gymId, userId, invoiceId, reason, refundMethod) {
+    const gym = requireId(gymId, 'رقم الصالة');
+    const user = requireId(userId, 'رقم المستخدم');
+    const id = requireId(invoiceId, 'رقم الفاتورة');
+    const voidReason = requireText(reason, 'سبب الإلغاء');
+    const method = validateRefundMethod(refundMethod);
+
+    return DatabaseService.transaction(async (tx) => {
+      const invoice = await getReturnableInvoice(tx, gym, id);
+      if (invoice.status === 'returned') {
+        throw new Error('أُرجعت كل عناصر الفاتورة مسبقاً');
+      }
+      const items = await returnableItems(tx, id);
+      const quantities = new Map(items.filter((item) => item.remaining > 0).map((item) => [item.id, item.remaining]));
+      return recordReturn(tx, invoice, items, quantities, { type: 'void', reason: voidReason, refundMethod: method, userId: user });
+    });
+  }
+}
+
+module.exports = { SalesService: new SalesService() };
@@ -0,0 +1,112 @@
+const { DatabaseService } = require('../database.cjs');
+const { requireId } = require('../validation.cjs');
+
+// أنواع الحركات، والكمية موجبة للإضافة وسالبة للخصم
+const MOVEMENT_TYPES = ['opening', 'adjustment', 'sale', 'return', 'purchase', 'internal_sale', 'transfer_in', 'transfer_out'];
+
+// لكل فرع مخزونه الخاص في عمود حسب نوع الصالة
+const quantityColumn = (gymType) => (gymType === 'female' ? 'female_gym_quantity' : 'male_gym_quantity');
+
+const branchColumn = async (tx, gymId) => {
+  const gym = await tx.get('SELECT type FROM gyms WHERE id = ?', [gymId]);
+  if (!gym) {
+    throw new Error('الصالة غير موجودة');
+  }
+  return quantityColumn(gym.type);
+};
+
+// تسجيل حركة داخل نفس المعاملة التي غيّرت الكمية
+const recordMovement = (tx, movement) => {
+  if (!MOVEMENT_TYPES.includes(movement.type)) {
+    throw new Error(`نوع حركة المخزون غير معروف: ${movement.type}`);
+  }
+  return tx.run(`
+    INSERT INTO stock_movements (product_id, gym_id, movement_type, quantity, source_id, user_id, notes)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [
+    movement.productId,
+    movement.gymId || null,
+    movement.type,
+    movement.quantity,
+    movement.sourceId || null,
+    movement.userId || null,
+    movement.notes || null
+  ]);
+};
+
+// تعديل كمية المنتج في فرع معين وتسجيل الحركة في نفس المعاملة
+const moveStock = async (tx, movement) => {
+  const column = await branchColumn(tx, movement.gymId);
+  const updated = await tx.run(`
+    UPDATE products
+    SET ${column} = ${column} + ?
+    WHERE id = ?
+  `, [movement.quantity, movement.productId]);
+  if (updated.changes === 0) {
+    throw new Error('المنتج غير موجود');
+  }
+  await recordMovement(tx, movement);
+};
+
+class StockMovementService {
+  // حركات المنتج من الأحدث للأقدم مع رصيد الفرع بعد كل حركة
+  async history(productId) {
+    const movements = await DatabaseService.query(`
+      SELECT m.*, u.full_name as user_name, g.name as gym_name,
+             CASE m.movement_type
+               WHEN 'sale' THEN (SELECT invoice_number FROM invoices WHERE id = m.source_id)
+               WHEN 'return' THEN (SELECT r.return_number || ' (' || i.invoice_number || ')' FROM sales_returns r JOIN invoices i ON r.invoice_id = i.id WHERE r.id = m.source_id)
+               WHEN 'purchase' THEN (SELECT COALESCE(purchase_number || ' (' || NULLIF(supplier_name, '') || ')', purchase_number, supplier_name) FROM purchases WHERE id = m.source_id)
+               WHEN 'internal_sale' THEN (SELECT COALESCE(internal_sale_number || ' (' || admin_name || ')', admin_name) FROM internal_sales WHERE id = m.source_id)
+               WHEN 'transfer_in' THEN (SELECT 'تحويل من ' || fg.name FROM stock_transfers t JOIN gyms fg ON t.from_gym_id = fg.id WHERE t.id = m.source_id)
+               WHEN 'transfer_out' THEN (SELECT 'تحويل إلى ' || tg.name FROM stock_transfers t JOIN gyms tg ON t.to_gym_id = tg.id WHERE t.id = m.source_id)
+             END as source_label
+      FROM stock_movements m
+      LEFT JOIN users u ON m.user_id = u.id
+      LEFT JOIN gyms g ON m.gym_id = g.id
+      WHERE m.product_id = ?
+      ORDER BY m.created_at ASC, m.id ASC
+    `, [requireId(productId, 'رقم المنتج')]);
+
+    const balances = new Map();
+    for (const movement of movements) {
+      const balance = (balances.get(movement.gym_id) || 0) + movement.quantity;
+      balances.set(movement.gym_id, balance);
+      movement.balance_after = balance;
+    }
+    return movements.reverse();
+  }
+
+  // المنتجات التي لا تساوي كميتها في عمود نوع الصالة مجموع حركاتها في كل صالات هذا النوع، لأن
+  // صالات النوع الواحد تتشارك نفس العمود. gym_id أول صالة من النوع لتسجيل حركة التسوية عليها.
+  // db يمكن أن يكون tx لإعادة الفحص داخل معاملة (إصلاحات فحص قاعدة البيانات)
+  reconcile(db = DatabaseService) {
+    return db.query(`
+      SELECT * FROM (
+        SELECT p.id, p.name, p.barcode, g.gym_id, g.gym_name,
+               CASE g.type WHEN 'female' THEN p.female_gym_quantity ELSE p.male_gym_quantity END as counter_quantity,
+               (SELECT COALESCE(SUM(m.quantity), 0)
+                FROM stock_movements m
+                JOIN gyms mg ON m.gym_id = mg.id
+                WHERE m.product_id = p.id AND mg.type = g.type) as ledger_quantity
+        FROM products p
+        CROSS JOIN (
+          SELECT type, MIN(id) as gym_id, GROUP_CONCAT(name, '، ') as gym_name
+          FROM gyms
+          GROUP BY type
+        ) g
+      )
+      WHERE counter_quantity != ledger_quantity
+      ORDER BY name, gym_id
+    `);
+  }
+}
+
+module.exports = {
+  StockMovementService: new StockMovementService(),
+  recordMovement,
+  moveStock,
+  branchColumn,
+  quantityColumn,
+  MOVEMENT_TYPES
+};
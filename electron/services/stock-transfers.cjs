@@ -0,0 +1,204 @@
+const { DatabaseService } = require('../database.cjs');
+const { moveStock, branchColumn } = require('./stock-movements.cjs');
+const {
+  ensureObject,
+  requireId,
+  optionalText,
+  requireQuantity,
+  requireArray
+} = require('../validation.cjs');
+
+const validateTransfer = (payload) => {
+  ensureObject(payload);
+  const items = requireArray(payload.items, 'عناصر التحويل').map((item) => {
+    ensureObject(item);
+    return {
+      product_id: requireId(item.product_id, 'المنتج'),
+      quantity: requireQuantity(item.quantity, 'الكمية')
+    };
+  });
+
+  return {
+    to_gym_id: requireId(payload.to_gym_id, 'الفرع المستلم'),
+    notes: optionalText(payload.notes, 'الملاحظات'),
+    items
+  };
+};
+
+// يتحقق من أن الفرع المرسل يملك الكميات المطلوبة
+const checkTransferStock = async (tx, gymId, items) => {
+  const column = await branchColumn(tx, gymId);
+  const requested = new Map();
+  for (const item of items) {
+    requested.set(item.product_id, (requested.get(item.product_id) || 0) + item.quantity);
+  }
+
+  for (const [productId, quantity] of requested) {
+    const product = await tx.get(`SELECT name, ${column} as available FROM products WHERE id = ?`, [productId]);
+    if (!product) {
+      throw new Error('المنتج غير موجود');
+    }
+    if (product.available < quantity) {
+      throw new Error(`الكمية المتوفرة من "${product.name}" في الفرع المرسل غير كافية (المتوفر: ${product.available})`);
+    }
+  }
+};
+
+// التحويل المعلّق فقط يمكن اعتماده أو رفضه أو إلغاؤه
+const getPendingTransfer = async (tx, transferId) => {
+  const transfer = await tx.get('SELECT * FROM stock_transfers WHERE id = ?', [transferId]);
+  if (!transfer) {
+    throw new Error('التحويل غير موجود');
+  }
+  if (transfer.status !== 'pending') {
+    throw new Error('تمت معالجة هذا التحويل مسبقاً');
+  }
+  return transfer;
+};
+
+class StockTransferService {
+  // التحويلات الصادرة من الفرع والواردة إليه
+  list(gymId) {
+    return DatabaseService.query(`
+      SELECT t.*, fg.name as from_gym_name, tg.name as to_gym_name,
+             ru.full_name as requested_by_name, du.full_name as decided_by_name,
+             COUNT(ti.id) as items_count,
+             COALESCE(SUM(ti.quantity), 0) as total_quantity
+      FROM stock_transfers t
+      JOIN gyms fg ON t.from_gym_id = fg.id
+      JOIN gyms tg ON t.to_gym_id = tg.id
+      LEFT JOIN users ru ON t.requested_by = ru.id
+      LEFT JOIN users du ON t.decided_by = du.id
+      LEFT JOIN stock_transfer_items ti ON ti.transfer_id = t.id
+      WHERE t.from_gym_id = ? OR t.to_gym_id = ?
+      GROUP BY t.id
+      ORDER BY t.created_at DESC, t.id DESC
+    `, [requireId(gymId, 'رقم الصالة'), gymId]);
+  }
+
+  getItems(transferId) {
+    return DatabaseService.query(`
+      SELECT ti.*, p.name as product_name, p.barcode
+      FROM stock_transfer_items ti
+      JOIN products p ON ti.product_id = p.id
+      WHERE ti.transfer_id = ?
+    `, [requireId(transferId, 'رقم التحويل')]);
+  }
+
+  // طلب تحويل من فرع المستخدم إلى فرع آخر، ولا يتحرك المخزون قبل الاعتماد
+  async create(gymId, userId, payload) {
+    const transfer = validateTransfer(payload);
+    const gym = requireId(gymId, 'رقم الصالة');
+    const user = requireId(userId, 'رقم المستخدم');
+    if (transfer.to_gym_id === gym) {
+      throw new Error('لا يمكن التحويل إلى نفس الفرع');
+    }
+
+    return DatabaseService.transaction(async (tx) => {
+      const target = await tx.get('SELECT id FROM gyms WHERE id = ?', [transfer.to_gym_id]);
+      if (!target) {
+        throw new Error('الفرع المستلم غير موجود');
+      }
+      await checkTransferStock(tx, gym, transfer.items);
+
+      const result = await tx.run(`
+        INSERT INTO stock_transfers (from_gym_id, to_gym_id, status, notes, requested_by)
+        VALUES (?, ?, 'pending', ?, ?)
+      `, [gym, transfer.to_gym_id, transfer.notes, user]);
+      const transferId = result.lastInsertRowid;
+
+      for (const item of transfer.items) {
+        await tx.run(`
+          INSERT INTO stock_transfer_items (transfer_id, product_id, quantity)
+          VALUES (?, ?, ?)
+        `, [transferId, item.product_id, item.quantity]);
+      }
+
+      return { id: transferId };
+    });
+  }
+
+  // الفرع المستلم يعتمد التحويل فتنتقل الكميات بين المخزونين
+  async approve(gymId, userId, id) {
+    const gym = requireId(gymId, 'رقم الصالة');
+    const user = requireId(userId, 'رقم المستخدم');
+    const transferId = requireId(id, 'رقم التحويل');
+
+    return DatabaseService.transaction(async (tx) => {
+      const transfer = await getPendingTransfer(tx, transferId);
+      if (transfer.to_gym_id !== gym) {
+        throw new Error('اعتماد التحويل يتم من الفرع المستلم فقط');
+      }
+
+      const items = await tx.query('SELECT product_id, quantity FROM stock_transfer_items WHERE transfer_id = ?', [transferId]);
+      await checkTransferStock(tx, transfer.from_gym_id, items);
+
+      for (const item of items) {
+        await moveStock(tx, {
+          productId: item.product_id,
+          gymId: transfer.from_gym_id,
+          type: 'transfer_out',
+          quantity: -item.quantity,
+          sourceId: transferId,
+          userId: user
+        });
+        await moveStock(tx, {
+          productId: item.product_id,
+          gymId: transfer.to_gym_id,
+          type: 'transfer_in',
+          quantity: item.quantity,
+          sourceId: transferId,
+          userId: user
+        });
+      }
+
+      await tx.run(`
+        UPDATE stock_transfers
+        SET status = 'approved', decided_by = ?, decided_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [user, transferId]);
+      return { id: transferId };
+    });
+  }
+
+  async reject(gymId, userId, id, reason) {
+    const gym = requireId(gymId, 'رقم الصالة');
+    const user = requireId(userId, 'رقم المستخدم');
+    const transferId = requireId(id, 'رقم التحويل');
+    const notes = optionalText(reason, 'سبب الرفض');
+
+    return DatabaseService.transaction(async (tx) => {
+      const transfer = await getPendingTransfer(tx, transferId);
+      if (transfer.to_gym_id !== gym) {
+        throw new Error('رفض التحويل يتم من الفرع المستلم فقط');
+      }
+      await tx.run(`
+        UPDATE stock_transfers
+        SET status = 'rejected', decided_by = ?, decision_notes = ?, decided_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [user, notes, transferId]);
+      return { id: transferId };
+    });
+  }
+
+  async cancel(gymId, userId, id) {
+    const gym = requireId(gymId, 'رقم الصالة');
+    const user = requireId(userId, 'رقم المستخدم');
+    const transferId = requireId(id, 'رقم التحويل');
+
+    return DatabaseService.transaction(async (tx) => {
+      const transfer = await getPendingTransfer(tx, transferId);
+      if (transfer.from_gym_id !== gym) {
+        throw new Error('إلغاء التحويل يتم من الفرع المرسل فقط');
+      }
+      await tx.run(`
+        UPDATE stock_transfers
+        SET status = 'cancelled', decided_by = ?, decided_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [user, transferId]);
+      return { id: transferId };
+    });
+  }
+}
+
+module.exports = { StockTransferService: new StockTransferService() };
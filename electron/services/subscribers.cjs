@@ -0,0 +1,281 @@
+const { DatabaseService } = require('../database.cjs');
+const { SubscriptionTypeService } = require('./subscription-types.cjs');
+const { PeriodService } = require('./periods.cjs');
+const { PAYMENT_METHODS } = require('../payments.cjs');
+const { recordPayments } = require('./payments.cjs');
+const {
+  ensureObject,
+  requireId,
+  requireText,
+  optionalText,
+  requireAmount,
+  requireDate,
+  requireOneOf,
+  ValidationError
+} = require('../validation.cjs');
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const calculateEndDate = (startDate, subscriptionType) => {
+  const start = new Date(startDate);
+  if (subscriptionType.type === 'monthly' && subscriptionType.duration_months) {
+    start.setMonth(start.getMonth() + subscriptionType.duration_months);
+  } else if (subscriptionType.type === 'session') {
+    // الاشتراك بالجلسات صالح لمدة 3 أشهر من تاريخ البداية
+    start.setMonth(start.getMonth() + 3);
+  }
+  return start.toISOString().split('T')[0];
+};
+
+const computeStatus = (subscriber) => {
+  const endDate = new Date(subscriber.end_date);
+  const daysUntilExpiry = Math.ceil((endDate.getTime() - Date.now()) / (1000 * 60 * 60 * 24));
+
+  if (subscriber.subscription_type === 'session' && subscriber.remaining_sessions !== null && subscriber.remaining_sessions <= 0) {
+    return 'expired';
+  }
+  if (subscriber.subscription_type === 'monthly' && daysUntilExpiry < 0) {
+    return 'expired';
+  }
+  if (daysUntilExpiry <= 7 && daysUntilExpiry >= 0) {
+    return 'expiring';
+  }
+  return 'active';
+};
+
+const validateSubscriber = (payload) => {
+  ensureObject(payload);
+  return {
+    full_name: requireText(payload.full_name, 'الاسم الكامل'),
+    phone: optionalText(payload.phone, 'رقم الهاتف', 32),
+    subscription_type_id: requireId(payload.subscription_type_id, 'نوع الاشتراك'),
+    start_date: requireDate(payload.start_date, 'تاريخ البداية'),
+    price_paid: requireAmount(payload.price_paid, 'المبلغ المدفوع'),
+    // بدون طريقة دفع: نقداً عند الإنشاء، وتبقى الطريقة المسجلة عند التعديل
+    payment_method: payload.payment_method ? requireOneOf(payload.payment_method, PAYMENT_METHODS, 'طريقة الدفع') : null,
+    payment_reference: optionalText(payload.payment_reference, 'مرجع الدفع', 100) || null
+  };
+};
+
+// مبلغ التجديد وطريقة دفعه، ونوع الاشتراك يبقى كما هو
+const validateRenewal = (payload) => {
+  ensureObject(payload);
+  return {
+    price_paid: requireAmount(payload.price_paid, 'المبلغ المدفوع'),
+    payment_method: requireOneOf(payload.payment_method || 'cash', PAYMENT_METHODS, 'طريقة الدفع'),
+    payment_reference: optionalText(payload.payment_reference, 'مرجع الدفع', 100) || null
+  };
+};
+
+// دفعة الفترة الحالية بتاريخ تسجيلها (الإنشاء أو آخر تجديد)، فالمبلغ المعدل يبقى في يومه في تقارير الدفع
+// ودفعات الفترات السابقة لا تتغير
+const replacePayment = async (tx, subscriber, { id, gymId, userId, createdAt }) => {
+  await tx.run('DELETE FROM payments WHERE subscriber_id = ? AND created_at >= ?', [id, createdAt]);
+  if (subscriber.price_paid > 0) {
+    await recordPayments(tx, { subscriberId: id, gymId, userId, createdAt }, [{
+      method: subscriber.payment_method || 'cash',
+      amount: subscriber.price_paid,
+      reference: subscriber.payment_reference
+    }]);
+  }
+};
+
+class SubscriberService {
+  // تحميل المشتركين مع تحديث حالاتهم حسب التاريخ والجلسات المتبقية
+  async list(gymId) {
+    const rows = await DatabaseService.query(`
+      SELECT s.*, st.name as subscription_type_name, st.type as subscription_type,
+             COALESCE(u.full_name, 'غير محدد') as created_by_user,
+             (SELECT pm.method FROM payments pm WHERE pm.subscriber_id = s.id ORDER BY pm.id DESC LIMIT 1) as payment_method
+      FROM subscribers s
+      JOIN subscription_types st ON s.subscription_type_id = st.id
+      LEFT JOIN users u ON s.created_by = u.id
+      WHERE s.gym_id = ?
+      ORDER BY s.created_at DESC
+    `, [requireId(gymId, 'رقم الصالة')]);
+
+    const subscribers = [];
+    for (const row of rows) {
+      const status = computeStatus(row);
+      if (status !== row.status) {
+        await DatabaseService.run('UPDATE subscribers SET status = ? WHERE id = ?', [status, row.id]);
+      }
+      subscribers.push({ ...row, status });
+    }
+    return subscribers;
+  }
+
+  expiring(gymId, limit = 5) {
+    return DatabaseService.query(`
+      SELECT full_name, end_date, status
+      FROM subscribers
+      WHERE gym_id = ? AND (status = 'expiring' OR status = 'expired')
+      ORDER BY end_date ASC
+      LIMIT ?
+    `, [requireId(gymId, 'رقم الصالة'), limit]);
+  }
+
+  async create(gymId, userId, payload) {
+    const subscriber = validateSubscriber(payload);
+    await PeriodService.assertOpen(subscriber.start_date, 'تاريخ بداية الاشتراك');
+    const subscriptionType = await SubscriptionTypeService.get(subscriber.subscription_type_id);
+    const gym = requireId(gymId, 'رقم الصالة');
+    const user = requireId(userId, 'رقم المستخدم');
+
+    return DatabaseService.transaction(async (tx) => {
+      const result = await tx.run(`
+        INSERT INTO subscribers (full_name, phone, subscription_type_id, start_date,
+                                 end_date, price_paid, remaining_sessions, gym_id, status, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'active', ?)
+      `, [
+        subscriber.full_name,
+        subscriber.phone,
+        subscriber.subscription_type_id,
+        subscriber.start_date,
+        calculateEndDate(subscriber.start_date, subscriptionType),
+        subscriber.price_paid,
+        subscriptionType.type === 'session' ? subscriptionType.session_count : null,
+        gym,
+        user
+      ]);
+      const created = await tx.get('SELECT created_at FROM subscribers WHERE id = ?', [result.lastInsertRowid]);
+      await replacePayment(tx, subscriber, { id: result.lastInsertRowid, gymId: gym, userId: user, createdAt: created.created_at });
+      return { id: result.lastInsertRowid };
+    });
+  }
+
+  async update(id, payload) {
+    const subscriberId = requireId(id, 'رقم المشترك');
+    const subscriber = validateSubscriber(payload);
+    const current = await DatabaseService.get(`
+      SELECT s.start_date, s.price_paid, s.subscription_type_id, s.gym_id,
+             COALESCE(s.renewed_by, s.created_by) as period_user, COALESCE(s.renewed_at, s.created_at) as period_start,
+             (SELECT pm.method FROM payments pm WHERE pm.subscriber_id = s.id ORDER BY pm.id DESC LIMIT 1) as payment_method
+      FROM subscribers s
+      WHERE s.id = ?
+    `, [subscriberId]);
+    if (!current) {
+      throw new Error('المشترك غير موجود');
+    }
+
+    // اشتراك من فترة مقفلة: الاسم والهاتف فقط، وبيانات الاشتراك محفوظة في أرشيف الفترة
+    const lockedUntil = await PeriodService.lockedPeriodOf(current.start_date);
+    if (lockedUntil) {
+      if (subscriber.start_date !== current.start_date
+        || subscriber.subscription_type_id !== current.subscription_type_id
+        || subscriber.price_paid !== current.price_paid) {
+        throw new ValidationError(`اشتراك هذا المشترك ضمن فترة مقفلة حتى ${lockedUntil}، يمكن تعديل الاسم والهاتف فقط أو تجديد الاشتراك`);
+      }
+      await DatabaseService.run('UPDATE subscribers SET full_name = ?, phone = ? WHERE id = ?', [subscriber.full_name, subscriber.phone, subscriberId]);
+      return { id: subscriberId };
+    }
+    await PeriodService.assertOpen(subscriber.start_date, 'تاريخ بداية الاشتراك');
+
+    const subscriptionType = await SubscriptionTypeService.get(subscriber.subscription_type_id);
+
+    return DatabaseService.transaction(async (tx) => {
+      await tx.run(`
+        UPDATE subscribers
+        SET full_name = ?, phone = ?, subscription_type_id = ?,
+            start_date = ?, end_date = ?, price_paid = ?, remaining_sessions = ?
+        WHERE id = ?
+      `, [
+        subscriber.full_name,
+        subscriber.phone,
+        subscriber.subscription_type_id,
+        subscriber.start_date,
+        calculateEndDate(subscriber.start_date, subscriptionType),
+        subscriber.price_paid,
+        subscriptionType.type === 'session' ? subscriptionType.session_count : null,
+        subscriberId
+      ]);
+      // الدفعة تُعاد كتابتها فقط عند تغير المبلغ أو طريقة الدفع
+      const method = subscriber.payment_method || current.payment_method || 'cash';
+      if (subscriber.price_paid !== current.price_paid || method !== current.payment_method) {
+        // مرجع الدفعة السابقة يبقى إن لم تتغير الطريقة ولم يُكتب مرجع جديد
+        const previous = await tx.get('SELECT reference FROM payments WHERE subscriber_id = ? ORDER BY id DESC LIMIT 1', [subscriberId]);
+        const reference = subscriber.payment_reference
+          || (method === current.payment_method && previous ? previous.reference : null);
+        await replacePayment(tx, { ...subscriber, payment_method: method, payment_reference: reference }, {
+          id: subscriberId,
+          gymId: current.gym_id,
+          userId: current.period_user,
+          createdAt: current.period_start
+        });
+      }
+      return { id: subscriberId };
+    });
+  }
+
+  async remove(id) {
+    const subscriberId = requireId(id, 'رقم المشترك');
+    const current = await DatabaseService.get('SELECT start_date FROM subscribers WHERE id = ?', [subscriberId]);
+    if (current && await PeriodService.lockedPeriodOf(current.start_date)) {
+      throw new ValidationError('اشتراك هذا المشترك ضمن فترة مقفلة، ويُحذف تلقائياً عند إقفال الفترة التي ينتهي فيها');
+    }
+    // دفعات الاشتراك وتجديداته جزء من تقارير الفترات السابقة، فلا تُحذف مع المشترك كما لا يُحذف منتج له فواتير
+    const paid = await DatabaseService.get('SELECT COUNT(*) as count FROM payments WHERE subscriber_id = ?', [subscriberId]);
+    if (paid.count > 0) {
+      throw new ValidationError('لا يمكن حذف هذا المشترك لأن له دفعات مسجلة، ويُحذف تلقائياً عند إقفال الفترة التي ينتهي فيها اشتراكه');
+    }
+    await DatabaseService.run('DELETE FROM subscribers WHERE id = ?', [subscriberId]);
+    return { id: subscriberId };
+  }
+
+  async useSession(id) {
+    const subscriberId = requireId(id, 'رقم المشترك');
+    const result = await DatabaseService.run(`
+      UPDATE subscribers
+      SET remaining_sessions = remaining_sessions - 1
+      WHERE id = ? AND remaining_sessions > 0
+    `, [subscriberId]);
+    if (result.changes === 0) {
+      throw new Error('لا توجد جلسات متبقية لهذا المشترك');
+    }
+    return { id: subscriberId };
+  }
+
+  // تجديد الاشتراك بنفس النوع ابتداءً من اليوم، ودفعته تُسجل في نفس المعاملة كما عند الإنشاء
+  async renew(id, userId, payload) {
+    const subscriberId = requireId(id, 'رقم المشترك');
+    const user = requireId(userId, 'رقم المستخدم');
+    const renewal = validateRenewal(payload);
+    const current = await DatabaseService.get('SELECT subscription_type_id, gym_id FROM subscribers WHERE id = ?', [subscriberId]);
+    if (!current) {
+      throw new Error('المشترك غير موجود');
+    }
+    const subscriptionType = await SubscriptionTypeService.get(current.subscription_type_id);
+    if (!subscriptionType.is_active) {
+      throw new Error('نوع الاشتراك غير مفعل، لا يمكن التجديد');
+    }
+    const startDate = today();
+    await PeriodService.assertOpen(startDate, 'تاريخ التجديد');
+
+    return DatabaseService.transaction(async (tx) => {
+      await tx.run(`
+        UPDATE subscribers
+        SET start_date = ?, end_date = ?, price_paid = ?, remaining_sessions = ?, status = 'active',
+            renewed_at = CURRENT_TIMESTAMP, renewed_by = ?
+        WHERE id = ?
+      `, [
+        startDate,
+        calculateEndDate(startDate, subscriptionType),
+        renewal.price_paid,
+        subscriptionType.type === 'session' ? subscriptionType.session_count : null,
+        user,
+        subscriberId
+      ]);
+      if (renewal.price_paid > 0) {
+        const renewed = await tx.get('SELECT renewed_at FROM subscribers WHERE id = ?', [subscriberId]);
+        await recordPayments(tx, { subscriberId, gymId: current.gym_id, userId: user, createdAt: renewed.renewed_at }, [{
+          method: renewal.payment_method,
+          amount: renewal.price_paid,
+          reference: renewal.payment_reference
+        }]);
+      }
+      return { id: subscriberId };
+    });
+  }
+}
+
+module.exports = { SubscriberService: new SubscriberService(), validateSubscriber };
@@ -0,0 +1,96 @@
+const { DatabaseService } = require('../database.cjs');
+const {
+  ensureObject,
+  requireId,
+  requireText,
+  requireAmount,
+  optionalInteger,
+  requireBoolean,
+  requireOneOf
+} = require('../validation.cjs');
+
+const validateSubscriptionType = (payload) => {
+  ensureObject(payload);
+  const type = requireOneOf(payload.type, ['monthly', 'session'], 'نوع الاشتراك');
+  return {
+    name: requireText(payload.name, 'اسم الاشتراك'),
+    type,
+    duration_months: type === 'monthly' ? optionalInteger(payload.duration_months, 'المدة') : null,
+    session_count: type === 'session' ? optionalInteger(payload.session_count, 'عدد الجلسات') : null,
+    price: requireAmount(payload.price, 'السعر'),
+    is_active: requireBoolean(payload.is_active) ? 1 : 0
+  };
+};
+
+class SubscriptionTypeService {
+  list(gymId, { activeOnly = false } = {}) {
+    return DatabaseService.query(`
+      SELECT * FROM subscription_types
+      WHERE gym_id = ? ${activeOnly ? 'AND is_active = 1' : ''}
+      ORDER BY ${activeOnly ? 'name' : 'created_at DESC'}
+    `, [requireId(gymId, 'رقم الصالة')]);
+  }
+
+  async get(id) {
+    const type = await DatabaseService.get('SELECT * FROM subscription_types WHERE id = ?', [requireId(id, 'نوع الاشتراك')]);
+    if (!type) {
+      throw new Error('نوع الاشتراك غير موجود');
+    }
+    return type;
+  }
+
+  async create(gymId, payload) {
+    const subscription = validateSubscriptionType(payload);
+    const result = await DatabaseService.run(`
+      INSERT INTO subscription_types (name, type, duration_months, session_count, price, gym_id, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      subscription.name,
+      subscription.type,
+      subscription.duration_months,
+      subscription.session_count,
+      subscription.price,
+      requireId(gymId, 'رقم الصالة'),
+      subscription.is_active
+    ]);
+    return { id: result.lastInsertRowid };
+  }
+
+  async update(id, payload) {
+    const typeId = requireId(id, 'نوع الاشتراك');
+    const subscription = validateSubscriptionType(payload);
+    await DatabaseService.run(`
+      UPDATE subscription_types
+      SET name = ?, type = ?, duration_months = ?, session_count = ?,
+          price = ?, is_active = ?
+      WHERE id = ?
+    `, [
+      subscription.name,
+      subscription.type,
+      subscription.duration_months,
+      subscription.session_count,
+      subscription.price,
+      subscription.is_active,
+      typeId
+    ]);
+    return { id: typeId };
+  }
+
+  async setActive(id, isActive) {
+    const typeId = requireId(id, 'نوع الاشتراك');
+    await DatabaseService.run('UPDATE subscription_types SET is_active = ? WHERE id = ?', [requireBoolean(isActive) ? 1 : 0, typeId]);
+    return { id: typeId };
+  }
+
+  async remove(id) {
+    const typeId = requireId(id, 'نوع الاشتراك');
+    const used = await DatabaseService.get('SELECT COUNT(*) as count FROM subscribers WHERE subscription_type_id = ?', [typeId]);
+    if (used.count > 0) {
+      throw new Error('لا يمكن حذف هذا الاشتراك لأنه مرتبط بمشتركين');
+    }
+    await DatabaseService.run('DELETE FROM subscription_types WHERE id = ?', [typeId]);
+    return { id: typeId };
+  }
+}
+
+module.exports = { SubscriptionTypeService: new SubscriptionTypeService() };
@@ -0,0 +1,147 @@
+const bcrypt = require('bcryptjs');
+const { DatabaseService } = require('../database.cjs');
+const { ROLES } = require('../permissions.cjs');
+const {
+  ensureObject,
+  requireId,
+  requireText,
+  optionalText,
+  requireBoolean,
+  requireOneOf
+} = require('../validation.cjs');
+
+const SALT_ROUNDS = 12;
+const MIN_RESET_PASSWORD_LENGTH = 6;
+
+const validateUser = (payload, { passwordRequired }) => {
+  ensureObject(payload);
+  const password = optionalText(payload.password, 'كلمة المرور', 128);
+  if (passwordRequired && !password) {
+    throw new Error('يرجى إدخال كلمة المرور للمستخدم الجديد');
+  }
+  const pin = optionalText(payload.pin, 'الرمز السري', 8);
+  if (pin && !/^\d{4,8}$/.test(pin)) {
+    throw new Error('الرمز السري يجب أن يكون من 4 إلى 8 أرقام');
+  }
+  return {
+    username: requireText(payload.username, 'اسم المستخدم', 64),
+    password,
+    pin,
+    full_name: requireText(payload.full_name, 'الاسم الكامل'),
+    role: requireOneOf(payload.role, ROLES, 'الدور'),
+    gym_id: requireId(payload.gym_id, 'الصالة'),
+    is_active: requireBoolean(payload.is_active) ? 1 : 0
+  };
+};
+
+// يجب أن يبقى مالك نشط واحد على الأقل حتى لا يُفقد الوصول لإدارة النظام
+const ensureAnotherOwner = async (userId) => {
+  const target = await DatabaseService.get('SELECT role, is_active FROM users WHERE id = ?', [userId]);
+  if (!target || target.role !== 'owner' || !target.is_active) {
+    return;
+  }
+  const others = await DatabaseService.get(`
+    SELECT COUNT(*) as count FROM users WHERE role = 'owner' AND is_active = 1 AND id != ?
+  `, [userId]);
+  if (others.count === 0) {
+    throw new Error('لا يمكن إزالة آخر مالك نشط للنظام');
+  }
+};
+
+class UserService {
+  // لا نرسل password_hash إلى الواجهة
+  list() {
+    return DatabaseService.query(`
+      SELECT u.id, u.username, u.full_name, u.role, u.gym_id, u.is_active, u.created_at,
+             u.pin_hash IS NOT NULL as has_pin, u.locked_until,
+             g.name as gym_name, g.type as gym_type
+      FROM users u
+      JOIN gyms g ON u.gym_id = g.id
+      ORDER BY u.created_at DESC
+    `);
+  }
+
+  async create(payload) {
+    const user = validateUser(payload, { passwordRequired: true });
+    const passwordHash = await bcrypt.hash(user.password, SALT_ROUNDS);
+    const pinHash = user.pin ? await bcrypt.hash(user.pin, SALT_ROUNDS) : null;
+    const result = await DatabaseService.run(`
+      INSERT INTO users (username, password_hash, pin_hash, full_name, role, gym_id, is_active)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [user.username, passwordHash, pinHash, user.full_name, user.role, user.gym_id, user.is_active]);
+    return { id: result.lastInsertRowid };
+  }
+
+  async update(id, payload) {
+    const userId = requireId(id, 'رقم المستخدم');
+    const user = validateUser(payload, { passwordRequired: false });
+    if (user.role !== 'owner' || !user.is_active) {
+      await ensureAnotherOwner(userId);
+    }
+
+    if (user.pin) {
+      const pinHash = await bcrypt.hash(user.pin, SALT_ROUNDS);
+      await DatabaseService.run('UPDATE users SET pin_hash = ? WHERE id = ?', [pinHash, userId]);
+    }
+
+    // تعيين كلمة مرور جديدة يلغي قفل الحساب الناتج عن المحاولات الفاشلة
+    if (user.password) {
+      const passwordHash = await bcrypt.hash(user.password, SALT_ROUNDS);
+      await DatabaseService.run(`
+        UPDATE users
+        SET username = ?, password_hash = ?, full_name = ?, role = ?,
+            gym_id = ?, is_active = ?, failed_attempts = 0, locked_until = NULL
+        WHERE id = ?
+      `, [user.username, passwordHash, user.full_name, user.role, user.gym_id, user.is_active, userId]);
+    } else {
+      await DatabaseService.run(`
+        UPDATE users
+        SET username = ?, full_name = ?, role = ?, gym_id = ?, is_active = ?
+        WHERE id = ?
+      `, [user.username, user.full_name, user.role, user.gym_id, user.is_active, userId]);
+    }
+    return { id: userId };
+  }
+
+  // إعادة تعيين كلمة المرور من صفحة التشخيص: تلغي قفل الحساب دون تغيير باقي بياناته
+  async resetPassword(id, password) {
+    const userId = requireId(id, 'رقم المستخدم');
+    const newPassword = requireText(password, 'كلمة المرور', 128);
+    if (newPassword.length < MIN_RESET_PASSWORD_LENGTH) {
+      throw new Error(`كلمة المرور الجديدة يجب أن تكون ${MIN_RESET_PASSWORD_LENGTH} أحرف على الأقل`);
+    }
+    const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+    const result = await DatabaseService.run(`
+      UPDATE users SET password_hash = ?, failed_attempts = 0, locked_until = NULL WHERE id = ?
+    `, [passwordHash, userId]);
+    if (result.changes === 0) {
+      throw new Error('المستخدم غير موجود');
+    }
+    return { id: userId };
+  }
+
+  async remove(id, currentUserId) {
+    const userId = requireId(id, 'رقم المستخدم');
+    if (userId === currentUserId) {
+      throw new Error('لا يمكنك حذف حسابك الخاص');
+    }
+    await ensureAnotherOwner(userId);
+    await DatabaseService.run('DELETE FROM users WHERE id = ?', [userId]);
+    return { id: userId };
+  }
+
+  async setActive(id, isActive, currentUserId) {
+    const userId = requireId(id, 'رقم المستخدم');
+    const active = requireBoolean(isActive);
+    if (userId === currentUserId && !active) {
+      throw new Error('لا يمكنك تعطيل حسابك الخاص');
+    }
+    if (!active) {
+      await ensureAnotherOwner(userId);
+    }
+    await DatabaseService.run('UPDATE users SET is_active = ? WHERE id = ?', [active ? 1 : 0, userId]);
+    return { id: userId };
+  }
+}
+
+module.exports = { UserService: new UserService() };
@@ -0,0 +1,241 @@
+const bcrypt = require('bcryptjs');
+const { DatabaseService } = require('./database.cjs');
+const { parseSettings } = require('./services/gyms.cjs');
+const { permissionsFor, requirePermission } = require('./permissions.cjs');
+
+// مدة صلاحية الجلسة منذ تسجيل الدخول، بعدها يجب إعادة تسجيل الدخول
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+// القفل التلقائي عند عدم النشاط إذا لم تحدده إعدادات الصالة (0 يعطله)
+const DEFAULT_IDLE_LOCK_MINUTES = 10;
+// قفل الحساب مؤقتاً بعد عدد من محاولات الدخول الفاشلة
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCKOUT_MINUTES = 15;
+// محاولات فتح شاشة القفل قبل إنهاء الجلسة
+const MAX_FAILED_UNLOCKS = 5;
+
+const INVALID_CREDENTIALS = 'اسم المستخدم أو كلمة المرور غير صحيحة.';
+
+class AuthenticationError extends Error {
+  constructor(message = 'يجب تسجيل الدخول أولاً') {
+    super(message);
+    this.name = 'AuthenticationError';
+  }
+}
+
+class SessionLockedError extends Error {
+  constructor(message = 'الجلسة مقفلة، يرجى إدخال الرمز السري أو كلمة المرور') {
+    super(message);
+    this.name = 'SessionLockedError';
+  }
+}
+
+// بيانات المستخدم كما تُرسل إلى الواجهة، بدون الهاش وبيانات القفل
+const loadUser = async (where, params) => {
+  const user = await DatabaseService.get(`
+    SELECT u.id, u.username, u.password_hash, u.pin_hash, u.failed_attempts, u.locked_until,
+           u.full_name, u.role, u.gym_id, u.is_active,
+           g.name as gym_name, g.type as gym_type, g.settings as gym_settings
+    FROM users u
+    JOIN gyms g ON u.gym_id = g.id
+    WHERE ${where}
+  `, params);
+  if (!user) {
+    return null;
+  }
+  const {
+    password_hash: passwordHash,
+    pin_hash: pinHash,
+    failed_attempts: failedAttempts,
+    locked_until: lockedUntil,
+    gym_settings: gymSettings,
+    ...profile
+  } = user;
+  const idleLockMinutes = parseSettings(gymSettings).idle_lock_minutes;
+  return {
+    profile: {
+      ...profile,
+      permissions: permissionsFor(profile.role),
+      idle_lock_minutes: idleLockMinutes === undefined ? DEFAULT_IDLE_LOCK_MINUTES : idleLockMinutes
+    },
+    passwordHash,
+    pinHash,
+    failedAttempts,
+    lockedUntil
+  };
+};
+
+const minutesUntil = (date) => Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 60000));
+
+// الجلسة مرتبطة بنافذة الواجهة (webContents) التي سجلت الدخول، وتنتهي بإغلاقها أو بانتهاء مدتها.
+// الواجهة تبلغ عن نشاط المستخدم (touch)، والقفل عند الخمول يُقرر هنا وليس في الواجهة
+class SessionService {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async login(sender, username, password) {
+    const found = await loadUser('u.username = ? AND u.is_active = 1', [username]);
+    if (!found) {
+      return { success: false, message: INVALID_CREDENTIALS };
+    }
+
+    if (found.lockedUntil && new Date(found.lockedUntil).getTime() > Date.now()) {
+      return {
+        success: false,
+        message: `تم قفل الحساب مؤقتاً بسبب محاولات دخول فاشلة متكررة. حاول مجدداً بعد ${minutesUntil(found.lockedUntil)} دقيقة.`
+      };
+    }
+
+    if (!(await bcrypt.compare(password || '', found.passwordHash))) {
+      const attempts = found.failedAttempts + 1;
+      if (attempts >= MAX_FAILED_LOGINS) {
+        const lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60000).toISOString();
+        await DatabaseService.run(
+          'UPDATE users SET failed_attempts = 0, locked_until = ? WHERE id = ?',
+          [lockedUntil, found.profile.id]
+        );
+        return {
+          success: false,
+          message: `تم قفل الحساب لمدة ${LOGIN_LOCKOUT_MINUTES} دقيقة بسبب محاولات دخول فاشلة متكررة.`
+        };
+      }
+      await DatabaseService.run('UPDATE users SET failed_attempts = ? WHERE id = ?', [attempts, found.profile.id]);
+      return { success: false, message: INVALID_CREDENTIALS };
+    }
+
+    await DatabaseService.run(
+      'UPDATE users SET failed_attempts = 0, locked_until = NULL WHERE id = ?',
+      [found.profile.id]
+    );
+
+    if (!this.sessions.has(sender.id)) {
+      sender.once('destroyed', () => this.sessions.delete(sender.id));
+    }
+    const now = Date.now();
+    this.sessions.set(sender.id, {
+      userId: found.profile.id,
+      username: found.profile.username,
+      expiresAt: now + SESSION_TTL_MS,
+      lastActivity: now,
+      locked: false,
+      failedUnlocks: 0
+    });
+    return { success: true, user: found.profile };
+  }
+
+  logout(sender) {
+    this.sessions.delete(sender.id);
+    return true;
+  }
+
+  // إنهاء كل جلسات المستخدم (بعد إعادة تعيين كلمة مروره)
+  endUserSessions(userId) {
+    for (const [senderId, session] of this.sessions) {
+      if (session.userId === userId) {
+        this.sessions.delete(senderId);
+      }
+    }
+    return true;
+  }
+
+  // يعاد تحميل المستخدم في كل طلب حتى يسري تغيير الدور أو التعطيل فوراً
+  async resolve(sender) {
+    const session = this.sessions.get(sender.id);
+    if (!session) {
+      return null;
+    }
+    if (Date.now() > session.expiresAt) {
+      this.sessions.delete(sender.id);
+      return null;
+    }
+    // بعد استعادة قاعدة بيانات قد يكون نفس الرقم لمستخدم آخر
+    const found = await loadUser('u.id = ? AND u.is_active = 1', [session.userId]);
+    if (!found || found.profile.username !== session.username) {
+      this.sessions.delete(sender.id);
+      return null;
+    }
+
+    const idleMinutes = found.profile.idle_lock_minutes;
+    if (idleMinutes > 0 && Date.now() - session.lastActivity > idleMinutes * 60000) {
+      session.locked = true;
+    }
+    return { session, found };
+  }
+
+  async current(sender) {
+    const resolved = await this.resolve(sender);
+    if (!resolved) {
+      return null;
+    }
+    return {
+      user: resolved.found.profile,
+      locked: resolved.session.locked,
+      expires_at: new Date(resolved.session.expiresAt).toISOString()
+    };
+  }
+
+  async currentUser(sender) {
+    const resolved = await this.resolve(sender);
+    return resolved ? resolved.found.profile : null;
+  }
+
+  // نشاط المستخدم في الواجهة (لوحة المفاتيح أو الفأرة) يؤجل القفل التلقائي
+  async touch(sender) {
+    const resolved = await this.resolve(sender);
+    if (resolved && !resolved.session.locked) {
+      resolved.session.lastActivity = Date.now();
+    }
+    return true;
+  }
+
+  lock(sender) {
+    const session = this.sessions.get(sender.id);
+    if (session) {
+      session.locked = true;
+    }
+    return true;
+  }
+
+  // الفتح بالرمز السري إن وُجد أو بكلمة المرور، وتكرار الفشل ينهي الجلسة
+  async unlock(sender, secret) {
+    const resolved = await this.resolve(sender);
+    if (!resolved) {
+      throw new AuthenticationError();
+    }
+    const { session, found } = resolved;
+    const value = String(secret || '');
+    const valid = (found.pinHash && await bcrypt.compare(value, found.pinHash))
+      || await bcrypt.compare(value, found.passwordHash);
+
+    if (!valid) {
+      session.failedUnlocks += 1;
+      if (session.failedUnlocks >= MAX_FAILED_UNLOCKS) {
+        this.sessions.delete(sender.id);
+        return { success: false, loggedOut: true, message: 'تم إنهاء الجلسة بسبب محاولات فاشلة متكررة' };
+      }
+      return { success: false, message: 'الرمز السري أو كلمة المرور غير صحيحة' };
+    }
+
+    session.locked = false;
+    session.failedUnlocks = 0;
+    session.lastActivity = Date.now();
+    return { success: true };
+  }
+
+  async requireUser(sender, permission = null) {
+    const resolved = await this.resolve(sender);
+    if (!resolved) {
+      throw new AuthenticationError();
+    }
+    if (resolved.session.locked) {
+      throw new SessionLockedError();
+    }
+    const user = resolved.found.profile;
+    if (permission) {
+      requirePermission(user, permission);
+    }
+    return user;
+  }
+}
+
+module.exports = { SessionService: new SessionService(), AuthenticationError, SessionLockedError };
@@ -0,0 +1,118 @@
+// أدوات التحقق من المدخلات القادمة من الواجهة قبل الوصول إلى قاعدة البيانات
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const ensureObject = (payload) => {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new ValidationError('بيانات الطلب غير صالحة');
+  }
+  return payload;
+};
+
+const requireId = (value, label) => {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new ValidationError(`${label} غير صالح`);
+  }
+  return id;
+};
+
+const optionalId = (value, label) => (isBlank(value) ? null : requireId(value, label));
+
+const requireText = (value, label, maxLength = 255) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new ValidationError(`${label} مطلوب`);
+  }
+  if (value.length > maxLength) {
+    throw new ValidationError(`${label} طويل جداً`);
+  }
+  return value.trim();
+};
+
+const optionalText = (value, label, maxLength = 1000) => {
+  if (isBlank(value)) return '';
+  if (typeof value !== 'string') {
+    throw new ValidationError(`${label} غير صالح`);
+  }
+  if (value.length > maxLength) {
+    throw new ValidationError(`${label} طويل جداً`);
+  }
+  return value.trim();
+};
+
+const requireAmount = (value, label) => {
+  const amount = Number(value);
+  if (isBlank(value) || !Number.isFinite(amount) || amount < 0) {
+    throw new ValidationError(`${label} يجب أن يكون رقماً موجباً`);
+  }
+  return amount;
+};
+
+const optionalAmount = (value, label) => (isBlank(value) ? 0 : requireAmount(value, label));
+
+const requireQuantity = (value, label) => {
+  const quantity = Number(value);
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    throw new ValidationError(`${label} يجب أن تكون عدداً صحيحاً أكبر من صفر`);
+  }
+  return quantity;
+};
+
+const optionalInteger = (value, label) => {
+  if (isBlank(value)) return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new ValidationError(`${label} غير صالح`);
+  }
+  return number;
+};
+
+const requireBoolean = (value) => value === true || value === 1 || value === '1';
+
+const requireOneOf = (value, allowed, label) => {
+  if (!allowed.includes(value)) {
+    throw new ValidationError(`${label} غير صالح`);
+  }
+  return value;
+};
+
+const requireDate = (value, label) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new ValidationError(`${label} غير صالح`);
+  }
+  return value;
+};
+
+const optionalDate = (value, label) => (isBlank(value) ? null : requireDate(value, label));
+
+const requireArray = (value, label) => {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new ValidationError(`يرجى إضافة ${label} واحد على الأقل`);
+  }
+  return value;
+};
+
+module.exports = {
+  ValidationError,
+  ensureObject,
+  requireId,
+  optionalId,
+  requireText,
+  optionalText,
+  requireAmount,
+  optionalAmount,
+  requireQuantity,
+  optionalInteger,
+  requireBoolean,
+  requireOneOf,
+  requireDate,
+  optionalDate,
+  requireArray
+};
@@ -0,0 +1,279 @@
+const zlib = require('zlib');
+
+// كتابة وقراءة ملفات Excel (xlsx) بدون مكتبات خارجية: الملف أرشيف ZIP فيه ملفات XML.
+// الكتابة تنتج ورقة واحدة من اليمين لليسار، والنصوص تُحفظ كنصوص (inline) حتى تبقى
+// أرقام الهواتف والباركود كما هي بأصفارها الأولى. القراءة تأخذ الورقة الأولى فقط
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// files: [{ name, data }]
+const zip = (files) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const compressed = zlib.deflateRawSync(file.data);
+    const crc = crc32(file.data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(file.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(file.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+};
+
+// قراءة محتوى الأرشيف من الفهرس المركزي: { name: Buffer }
+const unzip = (buffer) => {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (endOffset < 0) {
+    throw new Error('الملف ليس ملف Excel صالحاً');
+  }
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let pointer = buffer.readUInt32LE(endOffset + 16);
+  const files = {};
+  for (let index = 0; index < count; index++) {
+    if (buffer.readUInt32LE(pointer) !== 0x02014b50) {
+      throw new Error('ملف Excel تالف');
+    }
+    const method = buffer.readUInt16LE(pointer + 10);
+    const compressedSize = buffer.readUInt32LE(pointer + 20);
+    const nameLength = buffer.readUInt16LE(pointer + 28);
+    const extraLength = buffer.readUInt16LE(pointer + 30);
+    const commentLength = buffer.readUInt16LE(pointer + 32);
+    const localOffset = buffer.readUInt32LE(pointer + 42);
+    const name = buffer.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      files[name] = data;
+    } else if (method === 8) {
+      files[name] = zlib.inflateRawSync(data);
+    }
+    pointer += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+};
+
+const escapeXml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // محارف التحكم غير مسموحة في XML
+  .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+
+const unescapeXml = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const columnIndex = (reference) => {
+  const letters = reference.replace(/[0-9]/g, '');
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+};
+
+const cellXml = (value, reference, style = 0) => {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  const styleAttribute = style ? ` s="${style}"` : '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${reference}"${styleAttribute}><v>${value}</v></c>`;
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return `<c r="${reference}" t="inlineStr"${styleAttribute}><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// columns: [{ key, label }] بترتيب الأعمدة في الملف، مثل toCsv
+const toXlsx = (columns, rows, { sheetName = 'Sheet1' } = {}) => {
+  const lines = [columns.map((column) => column.label), ...rows.map((row) => columns.map((column) => row[column.key]))];
+  const sheetRows = lines.map((values, rowIndex) => {
+    const cells = values.map((value, index) => cellXml(value, `${columnName(index)}${rowIndex + 1}`, rowIndex === 0 ? 1 : 0)).join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  }).join('');
+  const widths = columns.map((column, index) => `<col min="${index + 1}" max="${index + 1}" width="20" customWidth="1"/>`).join('');
+  // أسماء الأوراق في Excel محدودة بـ 31 حرفاً وبدون هذه الرموز
+  const safeSheetName = escapeXml(sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+
+  const text = (value) => Buffer.from(XML_HEADER + value, 'utf8');
+  return zip([
+    {
+      name: '[Content_Types].xml',
+      data: text('<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>')
+    },
+    {
+      name: '_rels/.rels',
+      data: text('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>')
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: text('<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>')
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: text('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+        + '</Relationships>')
+    },
+    {
+      name: 'xl/styles.xml',
+      data: text('<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<fonts count="2"><font><sz val="11"/><name val="Arial"/></font><font><b/><sz val="11"/><name val="Arial"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border/></borders>'
+        + '<cellStyleXfs count="1"><xf/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf/><xf fontId="1" applyFont="1"/></cellXfs>'
+        + '</styleSheet>')
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      data: text('<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView rightToLeft="1" workbookViewId="0"><pane ySplit="1" topLeftCell="A2" state="frozen"/></sheetView></sheetViews>'
+        + `<cols>${widths}</cols>`
+        + `<sheetData>${sheetRows}</sheetData>`
+        + '</worksheet>')
+    }
+  ]);
+};
+
+// نص الخلية من <t> واحد أو عدة أجزاء منسقة <r><t>
+const collectText = (xml) => {
+  let text = '';
+  for (const match of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>|<t(?:\s[^>]*)?\/>/g)) {
+    text += unescapeXml(match[1] || '');
+  }
+  return text;
+};
+
+const firstSheetPath = (files) => {
+  const workbook = files['xl/workbook.xml'] && files['xl/workbook.xml'].toString('utf8');
+  const rels = files['xl/_rels/workbook.xml.rels'] && files['xl/_rels/workbook.xml.rels'].toString('utf8');
+  const sheet = workbook && workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/);
+  if (sheet && rels) {
+    const relation = [...rels.matchAll(/<Relationship\b[^>]*>/g)]
+      .map((match) => match[0])
+      .find((tag) => tag.includes(`Id="${sheet[1]}"`));
+    const target = relation && relation.match(/Target="([^"]+)"/);
+    if (target) {
+      return target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1]}`;
+    }
+  }
+  return 'xl/worksheets/sheet1.xml';
+};
+
+// قراءة الورقة الأولى إلى مصفوفة صفوف نصية مثل parseCsv
+const parseXlsx = (buffer) => {
+  const files = unzip(buffer);
+  const sheet = files[firstSheetPath(files)];
+  if (!sheet) {
+    throw new Error('لا توجد ورقة بيانات في ملف Excel');
+  }
+  const sharedStrings = files['xl/sharedStrings.xml']
+    ? [...files['xl/sharedStrings.xml'].toString('utf8').matchAll(/<si>([\s\S]*?)<\/si>/g)].map((match) => collectText(match[1]))
+    : [];
+
+  const rows = [];
+  for (const rowMatch of sheet.toString('utf8').matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const row = [];
+    for (const cellMatch of (rowMatch[1] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const body = cellMatch[2] || '';
+      const reference = attributes.match(/\br="([A-Z]+)\d+"/);
+      const type = (attributes.match(/\bt="(\w+)"/) || [])[1];
+      const raw = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+      let value = '';
+      if (type === 'inlineStr') {
+        value = collectText(body);
+      } else if (type === 's') {
+        value = sharedStrings[Number(raw)] || '';
+      } else if (raw !== undefined) {
+        value = unescapeXml(raw);
+      }
+      row[reference ? columnIndex(reference[1]) : row.length] = value;
+    }
+    const values = Array.from(row, (value) => value || '');
+    if (values.some((value) => value.trim() !== '')) {
+      rows.push(values);
+    }
+  }
+  // Excel لا يحفظ الخلايا الفارغة في آخر الصف، فنكمل الصفوف لنفس العرض كما في CSV
+  const width = Math.max(0, ...rows.map((values) => values.length));
+  return rows.map((values) => values.concat(Array(width - values.length).fill('')));
+};
+
+module.exports = { toXlsx, parseXlsx };
@@ -0,0 +1,121 @@
+// أدوات مشتركة لملفات الاختبار (test-*.js في جذر المشروع): تشغيل قائمة الاختبارات، مجلدات مؤقتة،
+// وقاعدة بيانات مؤقتة لاختبار خدمات العملية الرئيسية. npm test يشغل كل الملفات بمشغل Node المدمج
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+
+const tempDirs = [];
+const databases = [];
+// معالجات قنوات IPC المسجلة على ipcMain البديل، لاستدعائها كما تستدعيها الواجهة
+const ipcHandlers = new Map();
+let windows = 0;
+
+// مجلد مؤقت يُحذف بعد انتهاء اختبارات الملف
+const tempDir = (name) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `gym-${name}-test-`));
+  tempDirs.push(dir);
+  return dir;
+};
+
+/**
+ * تشغيل اختبارات ملف بالترتيب. tests قائمة [الاسم، الدالة] أو دالة async ترجعها بعد تجهيز ما تحتاجه،
+ * والدوال قد تكون async. cleanup تُستدعى بعد آخر اختبار حتى عند الفشل، ثم تُحذف المجلدات المؤقتة
+ */
+const runTests = async (title, tests, { cleanup = null } = {}) => {
+  console.log(`=== ${title} ===`);
+  let failed = 0;
+  try {
+    for (const [name, test] of typeof tests === 'function' ? await tests() : tests) {
+      try {
+        await test();
+        console.log(`✅ ${name}`);
+      } catch (error) {
+        failed += 1;
+        console.error(`❌ ${name}:`, error.message);
+      }
+    }
+  } catch (error) {
+    failed += 1;
+    console.error('❌ تجهيز الاختبارات:', error.message);
+  } finally {
+    if (cleanup) {
+      await cleanup();
+    }
+    for (const database of databases.splice(0)) {
+      database.close();
+    }
+    for (const dir of tempDirs.splice(0)) {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+  console.log(failed === 0 ? 'نجحت جميع الاختبارات' : `فشل ${failed} اختبار`);
+  process.exitCode = failed === 0 ? 0 : 1;
+};
+
+// الخدمات تأخذ مسار بيانات التطبيق من وحدة electron، وهي لا تعمل خارج Electron نفسه.
+// في الاختبار تُستبدل بكائن app يشير إلى مجلد مؤقت، بدون نوافذ، وتشفير النظام لا يغير النص
+const useElectronStandIn = (userData) => {
+  const id = path.join(userData, 'electron.cjs');
+  require.cache[id] = {
+    id,
+    filename: id,
+    loaded: true,
+    exports: {
+      app: { isPackaged: true, getPath: () => userData, getVersion: () => require('../package.json').version },
+      ipcMain: { handle: (channel, handler) => ipcHandlers.set(channel, handler) },
+      BrowserWindow: { getAllWindows: () => [] },
+      safeStorage: {
+        isEncryptionAvailable: () => true,
+        encryptString: (text) => Buffer.from(text),
+        decryptString: (buffer) => buffer.toString()
+      },
+      shell: {},
+      dialog: {}
+    }
+  };
+  const resolveFilename = Module._resolveFilename;
+  Module._resolveFilename = function (request, ...rest) {
+    return request === 'electron' ? id : resolveFilename.call(this, request, ...rest);
+  };
+};
+
+/**
+ * قاعدة بيانات مؤقتة بكل الترحيلات والبيانات الافتراضية: صالة الرجال (1) وصالة السيدات (2)
+ * ومستخدم مالك لكل منهما (1 و 2). تُفتح مرة واحدة لكل ملف اختبار قبل تحميل أي خدمة
+ */
+const openTestDatabase = async () => {
+  useElectronStandIn(tempDir('database'));
+  const { DatabaseService } = require('../electron/database.cjs');
+  databases.push(DatabaseService);
+  await DatabaseService.ready;
+  return DatabaseService;
+};
+
+/**
+ * نافذة وهمية سجل فيها المستخدم دخوله، لاستدعاء قنوات IPC بصلاحياته وفرعه.
+ * تتطلب قاعدة الاختبار وتسجيل القنوات (registerDomainHandlers) قبلها
+ */
+const loginWindow = async (username, password = 'admin123') => {
+  const { SessionService } = require('../electron/sessions.cjs');
+  windows += 1;
+  const sender = { id: windows, once: () => {} };
+  const result = await SessionService.login(sender, username, password);
+  if (!result.success) {
+    throw new Error(result.message);
+  }
+  // نفس نتيجة القناة في الواجهة: الخطأ يُرمى برسالته
+  return async (channel, ...args) => {
+    const handler = ipcHandlers.get(channel);
+    if (!handler) {
+      throw new Error(`القناة ${channel} غير مسجلة`);
+    }
+    const response = await handler({ sender }, ...args);
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    return response.data;
+  };
+};
+
+module.exports = { runTests, tempDir, openTestDatabase, loginWindow };
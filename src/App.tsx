@@ -7,6 +7,7 @@ import { GymProvider } from './contexts/GymContext';
 
 // Components
 import LoginPage from './components/auth/LoginPage';
+import LockScreen from './components/auth/LockScreen';
 import Dashboard from './components/dashboard/Dashboard';
 import Layout from './components/layout/Layout';
 import LoadingSpinner from './components/common/LoadingSpinner';
@@ -16,7 +17,7 @@ import QuickSaleModal from './components/sales/QuickSaleModal';
 import './styles/arabic.css';
 
 function AppContent() {
-  const { user, loading } = useAuth();
+  const { user, locked, loading } = useAuth();
   const [showQuickSale, setShowQuickSale] = useState(false);
   const navigate = useNavigate();
 
@@ -38,8 +39,8 @@ function AppContent() {
     const handleKeyDown = (event: KeyboardEvent) => {
       const isInputActive = event.target instanceof HTMLInputElement || event.target instanceof HTMLTextAreaElement;
       
-      // تجاهل الاختصارات إذا كان المستخدم يكتب في حقل إدخال
-      if (isInputActive) {
+      // تجاهل الاختصارات إذا كان المستخدم يكتب في حقل إدخال أو كانت الشاشة مقفلة
+      if (isInputActive || locked) {
         return;
       }
 
@@ -61,7 +62,7 @@ function AppContent() {
     return () => {
       document.removeEventListener('keydown', handleKeyDown);
     };
-  }, [user, showQuickSale, navigate]);
+  }, [user, locked, showQuickSale, navigate]);
 
   if (loading) {
     return (
@@ -99,6 +100,8 @@ function AppContent() {
           onClose={handleCloseQuickSale}
         />
       )}
+
+      {user && locked && <LockScreen />}
     </div>
   );
 }
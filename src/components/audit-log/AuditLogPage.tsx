@@ -0,0 +1,342 @@
+import React, { useState, useEffect } from 'react';
+import { ClipboardList, Download, Eye, Filter } from 'lucide-react';
+
+const actionLabels: Record<string, string> = {
+  create: 'إضافة',
+  update: 'تعديل',
+  delete: 'حذف',
+  set_active: 'تفعيل/تعطيل',
+  use_session: 'استخدام حصة',
+  renew: 'تجديد',
+  pay_debt: 'دفع دين',
+  settle_debt: 'تسوية دين',
+  receive_payment: 'قبض دفعة على الحساب',
+  return: 'إرجاع مبيعات',
+  void: 'إلغاء فاتورة',
+  approve: 'اعتماد',
+  reject: 'رفض',
+  cancel: 'إلغاء',
+  clear_data: 'حذف البيانات',
+  reset_password: 'إعادة تعيين كلمة المرور',
+  backup_retention: 'قواعد الاحتفاظ بالنسخ',
+  delete_backup: 'حذف نسخة احتياطية',
+  restore_backup: 'استعادة نسخة احتياطية',
+  undo_restore: 'التراجع عن الاستعادة',
+  backup_encryption: 'إعدادات تشفير النسخ',
+  drive_client: 'بيانات عميل Google Drive',
+  drive_connect: 'ربط Google Drive',
+  drive_disconnect: 'فك ربط Google Drive',
+  drive_folder: 'مجلد النسخ في Google Drive',
+  send_backup: 'إرسال نسخة إلى الوجهات',
+  backup_destination: 'إعدادات وجهة النسخ',
+  delete_backup_destination: 'حذف وجهة النسخ',
+  backup_schedule: 'جدول النسخ التلقائي',
+  database_repair: 'إصلاح قاعدة البيانات',
+  database_optimize: 'تحسين قاعدة البيانات',
+  close_period: 'إقفال فترة مالية',
+  import: 'استيراد من ملف',
+  export_branch_data: 'تصدير بيانات فرع',
+  import_branch_data: 'استيراد بيانات فرع',
+  receipt_printer: 'إعدادات طابعة الإيصالات',
+  update_numbering: 'ترقيم المستندات'
+};
+
+const entityLabels: Record<string, string> = {
+  categories: 'الفئات',
+  products: 'المنتجات',
+  stock_transfers: 'تحويلات المخزون',
+  subscription_types: 'أنواع الاشتراكات',
+  subscribers: 'المشتركين',
+  invoices: 'الفواتير',
+  purchases: 'المشتريات',
+  internal_sales: 'القائمة البيضاء',
+  customers: 'الزبائن',
+  customer_payments: 'سندات القبض',
+  users: 'المستخدمين',
+  gyms: 'إعدادات الصالة',
+  closed_periods: 'الفترات المقفلة'
+};
+
+const actionClass = (action: string) => {
+  if (action === 'delete' || action === 'delete_backup' || action === 'clear_data' || action === 'reject' || action === 'cancel' || action === 'void') {
+    return 'status-expired';
+  }
+  if (action === 'create' || action === 'approve') {
+    return 'status-active';
+  }
+  return 'status-expiring';
+};
+
+const formatValue = (value: unknown) => {
+  if (value === null || value === undefined || value === '') return '-';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// الحقول التي تغيرت فعلاً بين اللقطتين
+const changedFields = (entry: GymApi.AuditEntry) => {
+  if (!entry.before || !entry.after) return [];
+  const before = entry.before;
+  const after = entry.after;
+  return Object.keys(after).filter((key) => formatValue(before[key]) !== formatValue(after[key]));
+};
+
+const AuditLogPage: React.FC = () => {
+  const [entries, setEntries] = useState<GymApi.AuditEntry[]>([]);
+  const [options, setOptions] = useState<GymApi.AuditFilterOptions>({ users: [], entityTypes: [] });
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [selectedEntry, setSelectedEntry] = useState<GymApi.AuditEntry | null>(null);
+  const [filters, setFilters] = useState({
+    user_id: '',
+    entity_type: '',
+    start: '',
+    end: ''
+  });
+
+  const currentFilters = (): GymApi.AuditFilters => ({
+    user_id: filters.user_id ? parseInt(filters.user_id) : null,
+    entity_type: filters.entity_type || null,
+    start: filters.start || null,
+    end: filters.end || null
+  });
+
+  useEffect(() => {
+    loadOptions();
+  }, []);
+
+  useEffect(() => {
+    loadEntries();
+  }, [filters]);
+
+  const loadOptions = async () => {
+    try {
+      setOptions(await window.electronAPI.audit.filterOptions());
+    } catch (error) {
+      console.error('Error loading audit filters:', error);
+    }
+  };
+
+  const loadEntries = async () => {
+    try {
+      setLoading(true);
+      setEntries(await window.electronAPI.audit.list(currentFilters()));
+    } catch (error) {
+      console.error('Error loading audit log:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في تحميل سجل العمليات');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const exportCsv = async () => {
+    try {
+      setExporting(true);
+      const csv = await window.electronAPI.audit.exportCsv(currentFilters());
+      const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting audit log:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في تصدير سجل العمليات');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const detailKeys = (entry: GymApi.AuditEntry) => (
+    Array.from(new Set([...Object.keys(entry.before || {}), ...Object.keys(entry.after || {})]))
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 arabic-text">
+            سجل العمليات
+          </h1>
+          <p className="text-gray-600 arabic-text">
+            من قام بماذا ومتى، مع القيم قبل التعديل وبعده
+          </p>
+        </div>
+        <button
+          onClick={exportCsv}
+          disabled={exporting || entries.length === 0}
+          className="btn-secondary-ar arabic-text flex items-center"
+        >
+          <Download className="w-5 h-5 ml-2" />
+          {exporting ? 'جاري التصدير...' : 'تصدير CSV'}
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="card-ar">
+        <div className="flex items-center mb-4">
+          <Filter className="w-5 h-5 text-blue-600 ml-2" />
+          <h3 className="text-lg font-semibold text-gray-900 arabic-text">الفلترة</h3>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="form-group-ar">
+            <label className="form-label-ar arabic-text">المستخدم</label>
+            <select
+              value={filters.user_id}
+              onChange={(e) => setFilters({ ...filters, user_id: e.target.value })}
+              className="form-select-ar"
+            >
+              <option value="">الكل</option>
+              {options.users.map((user) => (
+                <option key={user.id} value={user.id}>{user.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group-ar">
+            <label className="form-label-ar arabic-text">نوع السجل</label>
+            <select
+              value={filters.entity_type}
+              onChange={(e) => setFilters({ ...filters, entity_type: e.target.value })}
+              className="form-select-ar"
+            >
+              <option value="">الكل</option>
+              {options.entityTypes.map((type) => (
+                <option key={type} value={type}>{entityLabels[type] || type}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group-ar">
+            <label className="form-label-ar arabic-text">من تاريخ</label>
+            <input
+              type="date"
+              value={filters.start}
+              onChange={(e) => setFilters({ ...filters, start: e.target.value })}
+              className="form-input-ar"
+            />
+          </div>
+          <div className="form-group-ar">
+            <label className="form-label-ar arabic-text">إلى تاريخ</label>
+            <input
+              type="date"
+              value={filters.end}
+              onChange={(e) => setFilters({ ...filters, end: e.target.value })}
+              className="form-input-ar"
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Entries Table */}
+      <div className="card-ar">
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="spinner"></div>
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="text-center py-12">
+            <ClipboardList className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 arabic-text">لا توجد عمليات</h3>
+            <p className="text-gray-600 arabic-text">لم يتم تسجيل أي عملية تطابق الفلترة</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table-ar">
+              <thead>
+                <tr>
+                  <th>التاريخ</th>
+                  <th>المستخدم</th>
+                  <th>الفرع</th>
+                  <th>العملية</th>
+                  <th>السجل</th>
+                  <th>التغييرات</th>
+                  <th>التفاصيل</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((entry) => {
+                  const changes = changedFields(entry);
+                  return (
+                    <tr key={entry.id}>
+                      <td>{new Date(entry.created_at).toLocaleString('ar-DZ')}</td>
+                      <td>{entry.user_name || '-'}</td>
+                      <td>{entry.gym_name || '-'}</td>
+                      <td>
+                        <span className={actionClass(entry.action)}>
+                          {actionLabels[entry.action] || entry.action}
+                        </span>
+                      </td>
+                      <td>
+                        {entry.entity_type ? (entityLabels[entry.entity_type] || entry.entity_type) : '-'}
+                        {entry.entity_id ? ` #${entry.entity_id}` : ''}
+                      </td>
+                      <td className="text-sm text-gray-600">
+                        {changes.length > 0 ? changes.join('، ') : '-'}
+                      </td>
+                      <td>
+                        {(entry.before || entry.after) && (
+                          <button
+                            onClick={() => setSelectedEntry(entry)}
+                            className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                            title="عرض القيم"
+                          >
+                            <Eye className="w-4 h-4" />
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Details Modal */}
+      {selectedEntry && (
+        <div className="modal-overlay-ar">
+          <div className="modal-content-ar max-w-3xl">
+            <h2 className="text-xl font-bold text-gray-900 mb-4 arabic-text">
+              {actionLabels[selectedEntry.action] || selectedEntry.action}
+              {' - '}
+              {selectedEntry.entity_type ? (entityLabels[selectedEntry.entity_type] || selectedEntry.entity_type) : ''}
+              {selectedEntry.entity_id ? ` #${selectedEntry.entity_id}` : ''}
+            </h2>
+            <div className="overflow-x-auto max-h-96">
+              <table className="table-ar">
+                <thead>
+                  <tr>
+                    <th>الحقل</th>
+                    <th>قبل</th>
+                    <th>بعد</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {detailKeys(selectedEntry).map((key) => {
+                    const before = formatValue(selectedEntry.before?.[key]);
+                    const after = formatValue(selectedEntry.after?.[key]);
+                    return (
+                      <tr key={key} className={before !== after ? 'bg-yellow-50' : ''}>
+                        <td className="font-medium">{key}</td>
+                        <td className="break-all">{selectedEntry.before ? before : '-'}</td>
+                        <td className="break-all">{selectedEntry.after ? after : '-'}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex justify-end mt-6">
+              <button onClick={() => setSelectedEntry(null)} className="btn-secondary-ar arabic-text">
+                إغلاق
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLogPage;
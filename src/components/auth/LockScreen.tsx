@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { Lock, LogOut } from 'lucide-react';
+
+// شاشة القفل عند الخمول: تغطي التطبيق وتبقي الجلسة، ويكفي الرمز السري أو كلمة المرور لفتحها
+const LockScreen: React.FC = () => {
+  const { user, unlock, logout } = useAuth();
+  const [secret, setSecret] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!secret) {
+      setError('الرجاء إدخال الرمز السري أو كلمة المرور');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      const result = await unlock(secret);
+      if (!result.success) {
+        setError(result.message || 'الرمز السري أو كلمة المرور غير صحيحة');
+        setSecret('');
+      }
+    } catch (err) {
+      console.error('Unlock error:', err);
+      setError(err instanceof Error ? err.message : 'حدث خطأ أثناء فتح القفل');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[100] bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4" dir="rtl">
+      <div className="max-w-sm w-full bg-white rounded-2xl shadow-xl p-8">
+        <div className="text-center mb-6">
+          <div className="mx-auto w-16 h-16 bg-gradient-to-r from-blue-500 to-purple-600 rounded-full flex items-center justify-center mb-4">
+            <Lock className="w-8 h-8 text-white" />
+          </div>
+          <h2 className="text-xl font-bold text-gray-800 arabic-text">
+            الشاشة مقفلة
+          </h2>
+          <p className="text-gray-600 mt-2 arabic-text">
+            {user?.full_name}
+          </p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-center arabic-text">
+              {error}
+            </div>
+          )}
+
+          <div className="form-group-ar">
+            <label className="form-label-ar arabic-text">
+              الرمز السري أو كلمة المرور
+            </label>
+            <input
+              type="password"
+              value={secret}
+              onChange={(e) => setSecret(e.target.value)}
+              className="form-input-ar text-center"
+              autoComplete="current-password"
+              autoFocus
+              disabled={loading}
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full btn-primary-ar arabic-text h-11"
+          >
+            {loading ? 'جاري التحقق...' : 'فتح القفل'}
+          </button>
+
+          <button
+            type="button"
+            onClick={logout}
+            className="w-full flex items-center justify-center gap-2 text-gray-600 hover:text-red-600 arabic-text py-2"
+          >
+            <LogOut className="w-4 h-4" />
+            تسجيل الدخول بحساب آخر
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default LockScreen;
@@ -27,11 +27,9 @@ const LoginPage: React.FC = () => {
     setError('');
 
     try {
-      // تم إزالة التشفير من كلمات المرور للتجربة
-      console.log('Attempting login with:', username, password);
-      const success = await login(username, password);
-      if (!success) {
-        setError('اسم المستخدم أو كلمة المرور غير صحيحة. يرجى التحقق من البيانات المدخلة.');
+      const result = await login(username, password);
+      if (!result.success) {
+        setError(result.message || 'اسم المستخدم أو كلمة المرور غير صحيحة. يرجى التحقق من البيانات المدخلة.');
       }
     } catch (err) {
       console.error('Login error:', err);
@@ -24,10 +24,7 @@ const CategoriesPage: React.FC = () => {
 
   const loadCategories = async () => {
     try {
-      const data = await window.electronAPI.query(`
-        SELECT * FROM categories 
-        ORDER BY created_at DESC
-      `);
+      const data = await window.electronAPI.categories.list();
       setCategories(data);
     } catch (error) {
       console.error('Error loading categories:', error);
@@ -42,17 +39,10 @@ const CategoriesPage: React.FC = () => {
     try {
       if (editingCategory) {
         // Update existing category
-        await window.electronAPI.run(`
-          UPDATE categories 
-          SET name = ?, description = ? 
-          WHERE id = ?
-        `, [formData.name, formData.description, editingCategory.id]);
+        await window.electronAPI.categories.update(editingCategory.id, formData);
       } else {
         // Create new category
-        await window.electronAPI.run(`
-          INSERT INTO categories (name, description) 
-          VALUES (?, ?)
-        `, [formData.name, formData.description]);
+        await window.electronAPI.categories.create(formData);
       }
       
       await loadCategories();
@@ -61,6 +51,7 @@ const CategoriesPage: React.FC = () => {
       setFormData({ name: '', description: '' });
     } catch (error) {
       console.error('Error saving category:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في حفظ الفئة');
     }
   };
 
@@ -76,11 +67,11 @@ const CategoriesPage: React.FC = () => {
   const handleDelete = async (id: number) => {
     if (window.confirm('هل أنت متأكد من حذف هذه الفئة؟')) {
       try {
-        await window.electronAPI.run('DELETE FROM categories WHERE id = ?', [id]);
+        await window.electronAPI.categories.remove(id);
         await loadCategories();
       } catch (error) {
         console.error('Error deleting category:', error);
-        alert('لا يمكن حذف هذه الفئة لأنها مرتبطة بمنتجات');
+        alert(error instanceof Error ? error.message : 'لا يمكن حذف هذه الفئة لأنها مرتبطة بمنتجات');
       }
     }
   };
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { Download, FileSpreadsheet } from 'lucide-react';
+
+interface ExportButtonsProps {
+  // عنوان الملف واسم الورقة في Excel
+  title: string;
+  columns: GymApi.ExportColumn[];
+  // الصفوف كما تظهر في الصفحة بعد الفلترة
+  rows: object[];
+}
+
+// تصدير القائمة الحالية إلى CSV أو Excel
+const ExportButtons: React.FC<ExportButtonsProps> = ({ title, columns, rows }) => {
+  const [exporting, setExporting] = useState<GymApi.ExportFormat | null>(null);
+
+  const exportRows = async (format: GymApi.ExportFormat) => {
+    try {
+      setExporting(format);
+      const result = await window.electronAPI.exports.save(format, { title, columns, rows });
+      if (!result.canceled) {
+        alert(`تم تصدير ${rows.length} سجل إلى: ${result.path}`);
+      }
+    } catch (error) {
+      console.error('Error exporting list:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في التصدير');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="flex gap-2">
+      <button
+        onClick={() => exportRows('xlsx')}
+        disabled={exporting !== null || rows.length === 0}
+        className="btn-secondary-ar arabic-text flex items-center"
+        title="تصدير القائمة الظاهرة إلى Excel"
+      >
+        <FileSpreadsheet className="w-5 h-5 ml-2" />
+        {exporting === 'xlsx' ? 'جاري التصدير...' : 'Excel'}
+      </button>
+      <button
+        onClick={() => exportRows('csv')}
+        disabled={exporting !== null || rows.length === 0}
+        className="btn-secondary-ar arabic-text flex items-center"
+        title="تصدير القائمة الظاهرة إلى CSV"
+      >
+        <Download className="w-5 h-5 ml-2" />
+        {exporting === 'csv' ? 'جاري التصدير...' : 'CSV'}
+      </button>
+    </div>
+  );
+};
+
+export default ExportButtons;
@@ -0,0 +1,233 @@
+import React, { useState } from 'react';
+import { Upload, FileSpreadsheet, CheckCircle, AlertTriangle } from 'lucide-react';
+
+interface ImportWizardProps {
+  entity: GymApi.ImportEntity;
+  gymId: number;
+  title: string;
+  onClose: () => void;
+  onImported: () => void;
+}
+
+type Step = 'file' | 'mapping' | 'preview' | 'result';
+
+const importApi = (entity: GymApi.ImportEntity) => {
+  switch (entity) {
+    case 'products':
+      return window.electronAPI.products;
+    case 'customers':
+      return window.electronAPI.customers;
+    default:
+      return window.electronAPI.subscribers;
+  }
+};
+
+const PREVIEW_SAMPLE = 3;
+
+// معالج الاستيراد: اختيار الملف، ربط الأعمدة بالحقول، معاينة الصفوف وأخطائها ثم الحفظ.
+// السجل الموجود (نفس الباركود أو رقم الهاتف) يُحدَّث، والخلايا الفارغة لا تغير قيمه
+const ImportWizard: React.FC<ImportWizardProps> = ({ entity, gymId, title, onClose, onImported }) => {
+  const [step, setStep] = useState<Step>('file');
+  const [file, setFile] = useState<GymApi.ImportFile | null>(null);
+  const [mapping, setMapping] = useState<GymApi.ImportMapping>({});
+  const [preview, setPreview] = useState<GymApi.ImportPreview | null>(null);
+  const [result, setResult] = useState<GymApi.ImportResult | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  const chooseFile = async () => {
+    try {
+      setBusy(true);
+      const opened = await window.electronAPI.imports.openFile(entity);
+      if (opened.canceled) return;
+      setFile(opened);
+      setMapping(opened.mapping);
+      setStep('mapping');
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في قراءة الملف');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const loadPreview = async () => {
+    if (!file) return;
+    try {
+      setBusy(true);
+      setPreview(await importApi(entity).previewImport(gymId, { rows: file.rows, mapping }));
+      setStep('preview');
+    } catch (error) {
+      console.error('Error previewing import:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في معاينة الاستيراد');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const runImport = async () => {
+    if (!file) return;
+    try {
+      setBusy(true);
+      setResult(await importApi(entity).importRows(gymId, { rows: file.rows, mapping }));
+      setStep('result');
+      onImported();
+    } catch (error) {
+      console.error('Error importing rows:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في الاستيراد');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const nothingMapped = !Object.values(mapping).some((index) => Number.isInteger(index));
+
+  return (
+    <div className="modal-overlay-ar">
+      <div className="modal-content-ar max-w-4xl">
+        <div className="flex items-center mb-4">
+          <FileSpreadsheet className="w-6 h-6 ml-2 text-green-700" />
+          <h2 className="text-xl font-bold text-gray-900 arabic-text">{title}</h2>
+        </div>
+
+        {step === 'file' && (
+          <div className="space-y-4 arabic-text">
+            <p className="text-sm text-gray-600">
+              اختر ملف CSV أو Excel (xlsx). السطر الأول يجب أن يحتوي على عناوين الأعمدة.
+              السجلات الموجودة ({entity === 'products' ? 'نفس الباركود' : 'نفس رقم الهاتف'}) تُحدَّث بدل تكرارها،
+              والخلايا الفارغة لا تغير القيم الحالية.
+            </p>
+            <button onClick={chooseFile} disabled={busy} className="btn-primary-ar flex items-center">
+              <Upload className="w-5 h-5 ml-2" />
+              {busy ? 'جاري القراءة...' : 'اختيار الملف'}
+            </button>
+          </div>
+        )}
+
+        {step === 'mapping' && file && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600 arabic-text">
+              {file.file}: {file.rows.length} صف. اختر العمود المقابل لكل حقل.
+              الحقول المعلمة بـ <span className="text-red-600">*</span> مطلوبة لإضافة سجل جديد.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {file.fields.map((field) => (
+                <div key={field.key} className="form-group-ar">
+                  <label className="form-label-ar arabic-text">
+                    {field.label}{field.required && <span className="text-red-600"> *</span>}
+                  </label>
+                  <select
+                    value={mapping[field.key] ?? ''}
+                    onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value === '' ? null : parseInt(e.target.value) })}
+                    className="form-select-ar"
+                  >
+                    <option value="">— بدون —</option>
+                    {file.headers.map((header, index) => (
+                      <option key={index} value={index}>{header || `العمود ${index + 1}`}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1 truncate">
+                    {Number.isInteger(mapping[field.key])
+                      ? file.rows.slice(0, PREVIEW_SAMPLE).map((row) => row[mapping[field.key] as number] || '-').join(' | ')
+                      : ''}
+                  </p>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {step === 'preview' && preview && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-3 gap-3 text-sm arabic-text">
+              <div className="p-3 bg-green-50 rounded-md">إضافة: {preview.counts.create}</div>
+              <div className="p-3 bg-blue-50 rounded-md">تحديث: {preview.counts.update}</div>
+              <div className="p-3 bg-red-50 rounded-md">صفوف بها أخطاء: {preview.counts.invalid}</div>
+            </div>
+            {preview.counts.invalid > 0 && (
+              <p className="text-sm text-red-700 arabic-text">الصفوف التي بها أخطاء لن تُستورد. يمكن تصحيح الملف وإعادة المحاولة.</p>
+            )}
+            <div className="overflow-x-auto max-h-96">
+              <table className="table-ar">
+                <thead>
+                  <tr>
+                    <th>الصف</th>
+                    <th>السجل</th>
+                    <th>العملية</th>
+                    <th>ملاحظات</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map((row) => (
+                    <tr key={row.line} className={row.errors.length > 0 ? 'bg-red-50' : ''}>
+                      <td>{row.line}</td>
+                      <td>{row.label || '-'}</td>
+                      <td>
+                        {row.action === 'create' && <span className="status-active">إضافة</span>}
+                        {row.action === 'update' && <span className="status-expiring">تحديث</span>}
+                        {row.action === null && <span className="status-expired">خطأ</span>}
+                      </td>
+                      <td className="text-sm">
+                        {row.errors.length > 0
+                          ? <span className="text-red-700">{row.errors.join('، ')}</span>
+                          : row.notes.join('، ') || '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {step === 'result' && result && (
+          <div className="space-y-4 arabic-text">
+            <div className="flex items-center p-3 rounded-md bg-green-100 text-green-800 text-sm">
+              <CheckCircle className="w-5 h-5 ml-2" />
+              تمت إضافة {result.created} وتحديث {result.updated} سجل
+            </div>
+            {result.failed.length > 0 && (
+              <div className="p-3 rounded-md bg-yellow-50 border border-yellow-200 text-sm">
+                <div className="flex items-center font-medium text-yellow-800 mb-2">
+                  <AlertTriangle className="w-5 h-5 ml-2" />
+                  لم يُستورد {result.failed.length} صف
+                </div>
+                <ul className="list-disc pr-5 space-y-1 max-h-60 overflow-y-auto">
+                  {result.failed.map((row) => (
+                    <li key={row.line}>الصف {row.line}{row.label ? ` (${row.label})` : ''}: {row.errors.join('، ')}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2 mt-6">
+          {step === 'mapping' && (
+            <button onClick={loadPreview} disabled={busy || nothingMapped} className="btn-primary-ar">
+              {busy ? 'جاري المعاينة...' : 'معاينة'}
+            </button>
+          )}
+          {step === 'preview' && preview && (
+            <>
+              <button onClick={() => setStep('mapping')} disabled={busy} className="btn-secondary-ar">
+                تعديل ربط الأعمدة
+              </button>
+              <button
+                onClick={runImport}
+                disabled={busy || preview.counts.create + preview.counts.update === 0}
+                className="btn-primary-ar"
+              >
+                {busy ? 'جاري الاستيراد...' : `استيراد ${preview.counts.create + preview.counts.update} صف`}
+              </button>
+            </>
+          )}
+          <button onClick={onClose} disabled={busy} className="btn-secondary-ar arabic-text">
+            {step === 'result' ? 'إغلاق' : 'إلغاء'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
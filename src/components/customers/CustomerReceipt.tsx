@@ -0,0 +1,83 @@
+import React from 'react';
+import { Printer } from 'lucide-react';
+import { PAYMENT_METHOD_LABELS } from '../../utils/payment-methods';
+
+interface CustomerReceiptProps {
+  receipt: GymApi.CustomerReceiptDetails;
+  onClose: () => void;
+}
+
+const formatCurrency = (amount: number) => {
+  return new Intl.NumberFormat('ar-DZ', {
+    style: 'currency',
+    currency: 'DZD',
+    minimumFractionDigits: 0
+  }).format(amount);
+};
+
+// سند قبض للطباعة: المبلغ وطريقته والفواتير التي سُدد منها وما بقي على كل منها
+const CustomerReceipt: React.FC<CustomerReceiptProps> = ({ receipt, onClose }) => (
+  <div className="modal-overlay-ar">
+    <div className="modal-content-ar max-w-lg">
+      <div className="text-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-900 arabic-text">
+          سند قبض رقم: {receipt.receipt_number}
+        </h2>
+        {receipt.gym_name && <p className="text-gray-600 arabic-text">{receipt.gym_name}</p>}
+        <p className="text-gray-600 arabic-text">
+          {new Date(receipt.created_at).toLocaleDateString('ar-DZ')} - {new Date(receipt.created_at).toLocaleTimeString('ar-DZ')}
+          {receipt.user_name && ` - ${receipt.user_name}`}
+        </p>
+      </div>
+
+      <div className="bg-gray-50 p-4 rounded-lg mb-6 space-y-2 arabic-text">
+        <div className="flex justify-between">
+          <span>استلمنا من:</span>
+          <span className="font-medium">{receipt.customer_name || '-'}{receipt.customer_phone && ` (${receipt.customer_phone})`}</span>
+        </div>
+        <div className="flex justify-between text-lg font-bold text-green-700">
+          <span>المبلغ:</span>
+          <span>{formatCurrency(receipt.amount)}</span>
+        </div>
+        <div className="flex justify-between">
+          <span>طريقة الدفع:</span>
+          <span>{PAYMENT_METHOD_LABELS[receipt.method]}{receipt.reference && ` - ${receipt.reference}`}</span>
+        </div>
+        {receipt.notes && <p className="text-sm text-gray-600">ملاحظات: {receipt.notes}</p>}
+      </div>
+
+      <table className="table-ar mb-6">
+        <thead>
+          <tr>
+            <th>الفاتورة</th>
+            <th>التاريخ</th>
+            <th>المسدد</th>
+            <th>المتبقي</th>
+          </tr>
+        </thead>
+        <tbody>
+          {receipt.allocations.map((allocation) => (
+            <tr key={allocation.invoice_id}>
+              <td>{allocation.invoice_number}</td>
+              <td>{new Date(allocation.invoice_date).toLocaleDateString('ar-DZ')}</td>
+              <td>{formatCurrency(allocation.amount)}</td>
+              <td className={allocation.remaining > 0 ? 'text-red-600' : 'text-green-600'}>{formatCurrency(allocation.remaining)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="flex items-center justify-end space-x-reverse space-x-4">
+        <button onClick={onClose} className="btn-secondary-ar arabic-text">
+          إغلاق
+        </button>
+        <button onClick={() => window.print()} className="btn-primary-ar arabic-text flex items-center">
+          <Printer className="w-4 h-4 ml-2" />
+          طباعة
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+export default CustomerReceipt;
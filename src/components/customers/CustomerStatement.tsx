@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import { FileText, Printer } from 'lucide-react';
+import ExportButtons from '../common/ExportButtons';
+import { PAYMENT_METHOD_LABELS } from '../../utils/payment-methods';
+
+interface CustomerStatementProps {
+  customerId: number;
+  onClose: () => void;
+}
+
+const TYPE_LABELS: Record<GymApi.StatementEntry['type'], string> = {
+  invoice: 'فاتورة آجلة',
+  payment: 'دفعة',
+  return: 'مرتجع',
+  void: 'إلغاء فاتورة'
+};
+
+const exportColumns: GymApi.ExportColumn[] = [
+  { key: 'date_label', label: 'التاريخ' },
+  { key: 'type_label', label: 'الحركة' },
+  { key: 'document_number', label: 'المستند' },
+  { key: 'details', label: 'البيان' },
+  { key: 'debit', label: 'مدين' },
+  { key: 'credit', label: 'دائن' },
+  { key: 'balance', label: 'الرصيد' }
+];
+
+const formatCurrency = (amount: number) => {
+  return new Intl.NumberFormat('ar-DZ', {
+    style: 'currency',
+    currency: 'DZD',
+    minimumFractionDigits: 0
+  }).format(amount);
+};
+
+const entryDetails = (entry: GymApi.StatementEntry) => {
+  if (entry.type === 'payment') {
+    return [entry.method && PAYMENT_METHOD_LABELS[entry.method], entry.related && `الفواتير: ${entry.related}`].filter(Boolean).join(' - ');
+  }
+  return entry.related ? `الفاتورة: ${entry.related}` : '';
+};
+
+// كشف حساب الزبون لفترة: الرصيد الافتتاحي، الحركات بالرصيد المتراكم، والرصيد الختامي
+const CustomerStatement: React.FC<CustomerStatementProps> = ({ customerId, onClose }) => {
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [statement, setStatement] = useState<GymApi.CustomerStatement | null>(null);
+
+  useEffect(() => {
+    loadStatement();
+  }, [customerId, startDate, endDate]);
+
+  const loadStatement = async () => {
+    try {
+      setStatement(await window.electronAPI.customers.statement(customerId, {
+        start: startDate ? new Date(`${startDate}T00:00:00`).toISOString() : null,
+        end: endDate ? new Date(`${endDate}T23:59:59`).toISOString() : null
+      }));
+    } catch (error) {
+      console.error('Error loading customer statement:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في تحميل كشف الحساب');
+    }
+  };
+
+  const rows = statement
+    ? statement.entries.map((entry) => ({
+      ...entry,
+      date_label: new Date(entry.date).toLocaleDateString('ar-DZ'),
+      type_label: TYPE_LABELS[entry.type],
+      details: entryDetails(entry)
+    }))
+    : [];
+  // الملف المصدَّر يبدأ بالرصيد الافتتاحي حتى يكون الرصيد المتراكم مفهوماً وحده
+  const exportRows = statement
+    ? [{ type_label: 'الرصيد الافتتاحي', balance: statement.opening_balance }, ...rows]
+    : [];
+
+  return (
+    <div className="modal-overlay-ar">
+      <div className="modal-content-ar max-w-5xl">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-bold text-gray-900 arabic-text flex items-center">
+            <FileText className="w-6 h-6 ml-2 text-blue-600" />
+            كشف حساب: {statement ? statement.customer.name : ''}
+          </h2>
+          <div className="flex items-center gap-2">
+            <label className="text-sm font-medium text-gray-700 arabic-text">من:</label>
+            <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} className="form-input-ar w-auto" />
+            <label className="text-sm font-medium text-gray-700 arabic-text">إلى:</label>
+            <input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} className="form-input-ar w-auto" />
+          </div>
+        </div>
+
+        {!statement ? (
+          <div className="text-center py-8 text-gray-500 arabic-text">جاري التحميل...</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table-ar">
+              <thead>
+                <tr>
+                  <th>التاريخ</th>
+                  <th>الحركة</th>
+                  <th>المستند</th>
+                  <th>البيان</th>
+                  <th>مدين</th>
+                  <th>دائن</th>
+                  <th>الرصيد</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr className="font-medium bg-gray-50">
+                  <td colSpan={6}>الرصيد الافتتاحي</td>
+                  <td>{formatCurrency(statement.opening_balance)}</td>
+                </tr>
+                {rows.map((row, index) => (
+                  <tr key={`${row.type}-${row.document_number}-${index}`}>
+                    <td>{row.date_label}</td>
+                    <td>{row.type_label}</td>
+                    <td>{row.document_number}</td>
+                    <td className="text-sm text-gray-600">{row.details || '-'}</td>
+                    <td>{row.debit > 0 ? formatCurrency(row.debit) : '-'}</td>
+                    <td>{row.credit > 0 ? formatCurrency(row.credit) : '-'}</td>
+                    <td className={row.balance > 0 ? 'text-red-600 font-semibold' : 'font-semibold'}>{formatCurrency(row.balance)}</td>
+                  </tr>
+                ))}
+                <tr className="font-bold bg-gray-50">
+                  <td colSpan={4}>المجموع والرصيد الختامي</td>
+                  <td>{formatCurrency(statement.total_debit)}</td>
+                  <td>{formatCurrency(statement.total_credit)}</td>
+                  <td>{formatCurrency(statement.closing_balance)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="flex items-center justify-end space-x-reverse space-x-4 mt-6">
+          <ExportButtons
+            title={`كشف حساب ${statement ? statement.customer.name : ''}`}
+            columns={exportColumns}
+            rows={exportRows}
+          />
+          <button onClick={() => window.print()} className="btn-primary-ar arabic-text flex items-center">
+            <Printer className="w-4 h-4 ml-2" />
+            طباعة
+          </button>
+          <button onClick={onClose} className="btn-secondary-ar arabic-text">
+            إغلاق
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CustomerStatement;
@@ -1,6 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, Edit, Trash2, Users, Search, Phone, CreditCard, Eye } from 'lucide-react';
+import { Plus, Edit, Trash2, Users, Search, Phone, CreditCard, Eye, Upload, FileText, Printer } from 'lucide-react';
 import { useGym } from '../../contexts/GymContext';
+import { useAuth } from '../../contexts/AuthContext';
+import ExportButtons from '../common/ExportButtons';
+import ImportWizard from '../common/ImportWizard';
+import CustomerReceipt from './CustomerReceipt';
+import CustomerStatement from './CustomerStatement';
+import { PAYMENT_METHODS, PAYMENT_METHOD_LABELS } from '../../utils/payment-methods';
 
 interface Customer {
   id: number;
@@ -17,13 +23,28 @@ interface CustomerDebt {
   id: number;
   invoice_number: string;
   total: number;
+  returned_amount: number;
   paid_amount: number;
   remaining: number;
   created_at: string;
 }
 
+// أعمدة التصدير بنفس أسماء حقول الاستيراد حتى يُعاد استيراد الملف كما هو
+const exportColumns: GymApi.ExportColumn[] = [
+  { key: 'name', label: 'الاسم' },
+  { key: 'phone', label: 'رقم الهاتف' },
+  { key: 'email', label: 'البريد الإلكتروني' },
+  { key: 'address', label: 'العنوان' },
+  { key: 'total_purchases', label: 'إجمالي المشتريات' },
+  { key: 'total_debt', label: 'الديون' },
+  { key: 'created_at', label: 'تاريخ التسجيل' }
+];
+
 const CustomersPage: React.FC = () => {
   const { gymId } = useGym();
+  const { hasPermission } = useAuth();
+  const canSell = hasPermission('sell');
+  const canDelete = hasPermission('delete_invoices');
   const [customers, setCustomers] = useState<Customer[]>([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
@@ -31,7 +52,11 @@ const CustomersPage: React.FC = () => {
   const [editingCustomer, setEditingCustomer] = useState<Customer | null>(null);
   const [selectedCustomer, setSelectedCustomer] = useState<Customer | null>(null);
   const [customerDebts, setCustomerDebts] = useState<CustomerDebt[]>([]);
+  const [customerReceipts, setCustomerReceipts] = useState<GymApi.CustomerReceipt[]>([]);
+  const [receipt, setReceipt] = useState<GymApi.CustomerReceiptDetails | null>(null);
+  const [statementCustomerId, setStatementCustomerId] = useState<number | null>(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [showImport, setShowImport] = useState(false);
   const [formData, setFormData] = useState({
     name: '',
     phone: '',
@@ -42,6 +67,13 @@ const CustomersPage: React.FC = () => {
   // حالات جديدة لإدارة عملية الدفع
   const [payingDebtId, setPayingDebtId] = useState<number | null>(null);
   const [paymentAmount, setPaymentAmount] = useState<string>('');
+  const [paymentMethod, setPaymentMethod] = useState<GymApi.PaymentMethod>('cash');
+  const [paymentReference, setPaymentReference] = useState('');
+  // تسديد كامل الدين: المبلغ هو المتبقي ولا يُعدل
+  const [settlingFull, setSettlingFull] = useState(false);
+  // دفعة على حساب الزبون تُوزع على فواتيره من الأقدم
+  const [payingAccount, setPayingAccount] = useState(false);
+  const [paymentNotes, setPaymentNotes] = useState('');
 
   useEffect(() => {
     loadCustomers();
@@ -49,17 +81,7 @@ const CustomersPage: React.FC = () => {
 
   const loadCustomers = async () => {
     try {
-      const data = await window.electronAPI.query(`
-        SELECT 
-          c.*,
-          COALESCE(SUM(i.total), 0) as total_purchases,
-          COALESCE(SUM(CASE WHEN i.is_credit = 1 THEN i.total - i.paid_amount ELSE 0 END), 0) as total_debt
-        FROM customers c
-        LEFT JOIN invoices i ON c.id = i.customer_id AND i.gym_id = ?
-        WHERE c.gym_id = ?
-        GROUP BY c.id
-        ORDER BY c.created_at DESC
-      `, [gymId, gymId]);
+      const data = await window.electronAPI.customers.list(gymId);
       setCustomers(data);
     } catch (error) {
       console.error('Error loading customers:', error);
@@ -70,19 +92,12 @@ const CustomersPage: React.FC = () => {
 
   const loadCustomerDebts = async (customerId: number) => {
     try {
-      const data = await window.electronAPI.query(`
-        SELECT 
-          id,
-          invoice_number,
-          total,
-          paid_amount,
-          (total - paid_amount) as remaining,
-          created_at
-        FROM invoices
-        WHERE customer_id = ? AND is_credit = 1 AND total > paid_amount
-        ORDER BY created_at DESC
-      `, [customerId]);
-      setCustomerDebts(data);
+      const [debts, receipts] = await Promise.all([
+        window.electronAPI.customers.debts(customerId),
+        window.electronAPI.customers.listReceipts(customerId)
+      ]);
+      setCustomerDebts(debts);
+      setCustomerReceipts(receipts);
     } catch (error) {
       console.error('Error loading customer debts:', error);
     }
@@ -93,28 +108,9 @@ const CustomersPage: React.FC = () => {
     
     try {
       if (editingCustomer) {
-        await window.electronAPI.run(`
-          UPDATE customers 
-          SET name = ?, phone = ?, email = ?, address = ?
-          WHERE id = ?
-        `, [
-          formData.name,
-          formData.phone,
-          formData.email,
-          formData.address,
-          editingCustomer.id
-        ]);
+        await window.electronAPI.customers.update(editingCustomer.id, formData);
       } else {
-        await window.electronAPI.run(`
-          INSERT INTO customers (name, phone, email, address, gym_id) 
-          VALUES (?, ?, ?, ?, ?)
-        `, [
-          formData.name,
-          formData.phone,
-          formData.email,
-          formData.address,
-          gymId
-        ]);
+        await window.electronAPI.customers.create(gymId, formData);
       }
       
       await loadCustomers();
@@ -123,7 +119,7 @@ const CustomersPage: React.FC = () => {
       resetForm();
     } catch (error) {
       console.error('Error saving customer:', error);
-      alert('حدث خطأ في حفظ الزبون');
+      alert(error instanceof Error ? error.message : 'حدث خطأ في حفظ الزبون');
     }
   };
 
@@ -141,11 +137,11 @@ const CustomersPage: React.FC = () => {
   const handleDelete = async (id: number) => {
     if (window.confirm('هل أنت متأكد من حذف هذا الزبون؟')) {
       try {
-        await window.electronAPI.run('DELETE FROM customers WHERE id = ?', [id]);
+        await window.electronAPI.customers.remove(id);
         await loadCustomers();
       } catch (error) {
         console.error('Error deleting customer:', error);
-        alert('حدث خطأ في حذف الزبون');
+        alert(error instanceof Error ? error.message : 'حدث خطأ في حذف الزبون');
       }
     }
   };
@@ -158,10 +154,12 @@ const CustomersPage: React.FC = () => {
   
   // دالة جديدة لمعالجة عملية الدفع
   const handlePayDebt = async () => {
-    if (payingDebtId === null) return;
+    if (payingDebtId === null && !payingAccount) return;
 
     const parsedAmount = parseFloat(paymentAmount);
-    const debtToPay = customerDebts.find(d => d.id === payingDebtId);
+    const debtToPay = payingAccount
+      ? { remaining: customerDebts.reduce((sum, debt) => sum + debt.remaining, 0) }
+      : customerDebts.find(d => d.id === payingDebtId);
 
     if (isNaN(parsedAmount) || parsedAmount <= 0) {
       alert('يرجى إدخال مبلغ صحيح وموجب.');
@@ -174,45 +172,60 @@ const CustomersPage: React.FC = () => {
     }
 
     try {
-      await window.electronAPI.run(`
-        UPDATE invoices 
-        SET paid_amount = paid_amount + ?
-        WHERE id = ?
-      `, [parsedAmount, payingDebtId]);
+      const payment = { method: paymentMethod, reference: paymentReference };
+      let result: GymApi.CustomerReceiptDetails;
+      if (payingAccount && selectedCustomer) {
+        result = await window.electronAPI.customers.receivePayment(selectedCustomer.id, { ...payment, amount: parsedAmount, notes: paymentNotes });
+      } else if (settlingFull) {
+        result = await window.electronAPI.customers.settleDebt(payingDebtId as number, payment);
+      } else {
+        result = await window.electronAPI.customers.payDebt(payingDebtId as number, parsedAmount, payment);
+      }
 
       if (selectedCustomer) {
         await loadCustomerDebts(selectedCustomer.id);
         await loadCustomers();
       }
-      // إعادة تعيين الحالات لإخفاء مربع الحوار
-      setPayingDebtId(null);
-      setPaymentAmount('');
+      // إعادة تعيين الحالات لإخفاء مربع الحوار، ثم عرض سند القبض للطباعة
+      closePaymentDialog();
+      setReceipt(result);
     } catch (error) {
       console.error('Error paying debt:', error);
-      alert('حدث خطأ في تسجيل الدفع');
+      alert(error instanceof Error ? error.message : 'حدث خطأ في تسجيل الدفع');
     }
   };
-  
-  const markDebtAsPaid = async (invoiceId: number) => {
-    if (window.confirm('هل أنت متأكد من تسديد كامل المبلغ؟')) {
-      try {
-        const invoice = customerDebts.find(d => d.id === invoiceId);
-        if (invoice) {
-          await window.electronAPI.run(`
-            UPDATE invoices 
-            SET paid_amount = total
-            WHERE id = ?
-          `, [invoiceId]);
-          
-          if (selectedCustomer) {
-            await loadCustomerDebts(selectedCustomer.id);
-            await loadCustomers();
-          }
-        }
-      } catch (error) {
-        console.error('Error marking debt as paid:', error);
-        alert('حدث خطأ في تسجيل الدفع');
-      }
+
+  const openPaymentDialog = (debt: CustomerDebt, full: boolean) => {
+    setPayingDebtId(debt.id);
+    setPaymentAmount(debt.remaining.toString());
+    setPaymentMethod('cash');
+    setPaymentReference('');
+    setSettlingFull(full);
+  };
+
+  const openAccountPayment = () => {
+    setPayingAccount(true);
+    setPaymentAmount(customerDebts.reduce((sum, debt) => sum + debt.remaining, 0).toString());
+    setPaymentMethod('cash');
+    setPaymentReference('');
+    setPaymentNotes('');
+  };
+
+  const closePaymentDialog = () => {
+    setPayingDebtId(null);
+    setPayingAccount(false);
+    setPaymentAmount('');
+    setPaymentReference('');
+    setPaymentNotes('');
+    setSettlingFull(false);
+  };
+
+  const printReceipt = async (receiptId: number) => {
+    try {
+      setReceipt(await window.electronAPI.customers.receipt(receiptId));
+    } catch (error) {
+      console.error('Error loading receipt:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في تحميل سند القبض');
     }
   };
 
@@ -264,13 +277,27 @@ const CustomersPage: React.FC = () => {
             إدارة بيانات الزبائن والديون
           </p>
         </div>
-        <button
-          onClick={openAddModal}
-          className="btn-primary-ar arabic-text flex items-center"
-        >
-          <Plus className="w-5 h-5 ml-2" />
-          إضافة عميل جديد
-        </button>
+        <div className="flex gap-2">
+          <ExportButtons title="الزبائن" columns={exportColumns} rows={filteredCustomers} />
+          {canSell && (
+            <>
+              <button
+                onClick={() => setShowImport(true)}
+                className="btn-secondary-ar arabic-text flex items-center"
+              >
+                <Upload className="w-5 h-5 ml-2" />
+                استيراد
+              </button>
+              <button
+                onClick={openAddModal}
+                className="btn-primary-ar arabic-text flex items-center"
+              >
+                <Plus className="w-5 h-5 ml-2" />
+                إضافة عميل جديد
+              </button>
+            </>
+          )}
+        </div>
       </div>
       <div className="card-ar">
         <div className="relative">
@@ -331,12 +358,14 @@ const CustomersPage: React.FC = () => {
                     </td>
                     <td>
                       <div className="flex items-center space-x-reverse space-x-2">
-                        <button
-                          onClick={() => handleEdit(customer)}
-                          className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
-                        >
-                          <Edit className="w-4 h-4" />
-                        </button>
+                        {canSell && (
+                          <button
+                            onClick={() => handleEdit(customer)}
+                            className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                          >
+                            <Edit className="w-4 h-4" />
+                          </button>
+                        )}
                         {customer.total_debt > 0 && (
                           <button
                             onClick={() => viewCustomerDebts(customer)}
@@ -354,11 +383,20 @@ const CustomersPage: React.FC = () => {
                           <Eye className="w-4 h-4" />
                         </button>
                         <button
-                          onClick={() => handleDelete(customer.id)}
-                          className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                          onClick={() => setStatementCustomerId(customer.id)}
+                          className="p-2 text-purple-600 hover:bg-purple-50 rounded-lg transition-colors"
+                          title="كشف الحساب"
                         >
-                          <Trash2 className="w-4 h-4" />
+                          <FileText className="w-4 h-4" />
                         </button>
+                        {canDelete && (
+                          <button
+                            onClick={() => handleDelete(customer.id)}
+                            className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -451,9 +489,23 @@ const CustomersPage: React.FC = () => {
       {showDebtModal && selectedCustomer && (
         <div className="modal-overlay-ar">
           <div className="modal-content-ar max-w-4xl">
-            <h2 className="text-xl font-bold text-gray-900 mb-6 arabic-text">
-              ديون الزبون: {selectedCustomer.name}
-            </h2>
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-xl font-bold text-gray-900 arabic-text">
+                ديون الزبون: {selectedCustomer.name}
+              </h2>
+              <div className="flex gap-2">
+                {customerDebts.length > 0 && (
+                  <button onClick={openAccountPayment} className="btn-primary-ar arabic-text flex items-center">
+                    <CreditCard className="w-4 h-4 ml-2" />
+                    دفعة على الحساب
+                  </button>
+                )}
+                <button onClick={() => setStatementCustomerId(selectedCustomer.id)} className="btn-secondary-ar arabic-text flex items-center">
+                  <FileText className="w-4 h-4 ml-2" />
+                  كشف الحساب
+                </button>
+              </div>
+            </div>
             
             {customerDebts.length === 0 ? (
               <div className="text-center py-8">
@@ -477,7 +529,12 @@ const CustomersPage: React.FC = () => {
                     {customerDebts.map((debt) => (
                       <tr key={debt.id}>
                         <td className="font-medium">{debt.invoice_number}</td>
-                        <td>{formatCurrency(debt.total)}</td>
+                        <td>
+                          {formatCurrency(debt.total)}
+                          {debt.returned_amount > 0 && (
+                            <span className="block text-xs text-gray-500">مرتجع: {formatCurrency(debt.returned_amount)}</span>
+                          )}
+                        </td>
                         <td>{formatCurrency(debt.paid_amount)}</td>
                         <td className="font-bold text-red-600">
                           {formatCurrency(debt.remaining)}
@@ -489,16 +546,13 @@ const CustomersPage: React.FC = () => {
                           <div className="flex space-x-2 space-x-reverse">
                             {/* تعديل زر الدفع ليفتح مربع حوار مخصص */}
                             <button
-                              onClick={() => {
-                                setPayingDebtId(debt.id);
-                                setPaymentAmount(debt.remaining.toString());
-                              }}
+                              onClick={() => openPaymentDialog(debt, false)}
                               className="btn-success-ar text-xs py-1 px-2"
                             >
                               دفع
                             </button>
                             <button
-                              onClick={() => markDebtAsPaid(debt.id)}
+                              onClick={() => openPaymentDialog(debt, true)}
                               className="btn-primary-ar text-xs py-1 px-2"
                             >
                               تسديد كامل
@@ -510,14 +564,16 @@ const CustomersPage: React.FC = () => {
                   </tbody>
                 </table>
                 {/* مربع حوار الدفع الجديد */}
-                {payingDebtId !== null && (
+                {(payingDebtId !== null || payingAccount) && (
                   <div className="modal-overlay-ar">
                     <div className="modal-content-ar">
                       <h3 className="text-lg font-bold text-gray-900 mb-4 arabic-text">
-                        تسجيل دفعة
+                        {payingAccount ? 'دفعة على الحساب' : settlingFull ? 'تسديد كامل الدين' : 'تسجيل دفعة'}
                       </h3>
                       <p className="text-gray-600 arabic-text mb-4">
-                        يرجى إدخال المبلغ المراد دفعه.
+                        {payingAccount
+                          ? 'يُوزع المبلغ على الفواتير الآجلة من الأقدم إلى الأحدث.'
+                          : settlingFull ? 'يُسدد كامل المبلغ المتبقي من الفاتورة.' : 'يرجى إدخال المبلغ المراد دفعه.'}
                       </p>
                       <div className="form-group-ar mb-4">
                         <label className="form-label-ar arabic-text">المبلغ المدفوع</label>
@@ -527,16 +583,50 @@ const CustomersPage: React.FC = () => {
                           onChange={(e) => setPaymentAmount(e.target.value)}
                           className="form-input-ar"
                           placeholder="أدخل المبلغ"
+                          disabled={settlingFull}
                           required
                         />
                       </div>
+                      <div className="form-group-ar mb-4">
+                        <label className="form-label-ar arabic-text">طريقة الدفع</label>
+                        <select
+                          value={paymentMethod}
+                          onChange={(e) => setPaymentMethod(e.target.value as GymApi.PaymentMethod)}
+                          className="form-select-ar"
+                        >
+                          {PAYMENT_METHODS.map((method) => (
+                            <option key={method} value={method}>{PAYMENT_METHOD_LABELS[method]}</option>
+                          ))}
+                        </select>
+                      </div>
+                      {paymentMethod !== 'cash' && (
+                        <div className="form-group-ar mb-4">
+                          <label className="form-label-ar arabic-text">رقم العملية أو الشيك</label>
+                          <input
+                            type="text"
+                            value={paymentReference}
+                            onChange={(e) => setPaymentReference(e.target.value)}
+                            className="form-input-ar"
+                            maxLength={100}
+                          />
+                        </div>
+                      )}
+                      {payingAccount && (
+                        <div className="form-group-ar mb-4">
+                          <label className="form-label-ar arabic-text">ملاحظات</label>
+                          <input
+                            type="text"
+                            value={paymentNotes}
+                            onChange={(e) => setPaymentNotes(e.target.value)}
+                            className="form-input-ar"
+                            maxLength={255}
+                          />
+                        </div>
+                      )}
                       <div className="flex justify-end space-x-reverse space-x-4">
                         <button
                           type="button"
-                          onClick={() => {
-                            setPayingDebtId(null);
-                            setPaymentAmount('');
-                          }}
+                          onClick={closePaymentDialog}
                           className="btn-secondary-ar arabic-text"
                         >
                           إلغاء
@@ -555,6 +645,44 @@ const CustomersPage: React.FC = () => {
               </div>
             )}
 
+            {customerReceipts.length > 0 && (
+              <div className="mt-6">
+                <h3 className="font-semibold text-gray-900 arabic-text mb-2">سندات القبض</h3>
+                <table className="table-ar">
+                  <thead>
+                    <tr>
+                      <th>رقم السند</th>
+                      <th>المبلغ</th>
+                      <th>طريقة الدفع</th>
+                      <th>التاريخ</th>
+                      <th>المستخدم</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {customerReceipts.map((item) => (
+                      <tr key={item.id}>
+                        <td className="font-medium">{item.receipt_number}</td>
+                        <td>{formatCurrency(item.amount)}</td>
+                        <td>{PAYMENT_METHOD_LABELS[item.method]}</td>
+                        <td>{new Date(item.created_at).toLocaleDateString('ar-DZ')}</td>
+                        <td>{item.user_name || '-'}</td>
+                        <td>
+                          <button
+                            onClick={() => printReceipt(item.id)}
+                            className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                            title="طباعة السند"
+                          >
+                            <Printer className="w-4 h-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
             <div className="flex items-center justify-end pt-4">
               <button
                 onClick={() => setShowDebtModal(false)}
@@ -566,6 +694,22 @@ const CustomersPage: React.FC = () => {
           </div>
         </div>
       )}
+
+      {receipt && <CustomerReceipt receipt={receipt} onClose={() => setReceipt(null)} />}
+
+      {statementCustomerId !== null && (
+        <CustomerStatement customerId={statementCustomerId} onClose={() => setStatementCustomerId(null)} />
+      )}
+
+      {showImport && (
+        <ImportWizard
+          entity="customers"
+          gymId={gymId}
+          title="استيراد الزبائن"
+          onClose={() => setShowImport(false)}
+          onImported={loadCustomers}
+        />
+      )}
     </div>
   );
 };
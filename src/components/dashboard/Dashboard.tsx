@@ -11,6 +11,9 @@ import InternalSalesPage from '../internal-sales/InternalSalesPage';
 import UsersPage from '../users/UsersPage';
 import SettingsPage from '../settings/SettingsPage';
 import CustomersPage from '../customers/CustomersPage';
+import StockTransfersPage from '../stock-transfers/StockTransfersPage';
+import AuditLogPage from '../audit-log/AuditLogPage';
+import DiagnosticsPage from '../diagnostics/DiagnosticsPage';
 
 const Dashboard: React.FC = () => {
   return (
@@ -19,12 +22,15 @@ const Dashboard: React.FC = () => {
       <Route path="categories" element={<CategoriesPage />} />
       <Route path="products" element={<ProductsPage />} />
       <Route path="purchases" element={<PurchasesPage />} />
+      <Route path="stock-transfers" element={<StockTransfersPage />} />
       <Route path="sales" element={<SalesPage />} />
       <Route path="subscriptions" element={<SubscriptionsPage />} />
       <Route path="subscribers" element={<SubscribersPage />} />
       <Route path="internal-sales" element={<InternalSalesPage />} />
       <Route path="customers" element={<CustomersPage />} />
       <Route path="users" element={<UsersPage />} />
+      <Route path="audit-log" element={<AuditLogPage />} />
+      <Route path="diagnostics" element={<DiagnosticsPage />} />
       <Route path="settings" element={<SettingsPage />} />
     </Routes>
   );
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useGym } from '../../contexts/GymContext';
+import { useAuth } from '../../contexts/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import {
   Users,
@@ -18,9 +19,12 @@ import {
   EyeOff,
   Maximize,
   Minimize,
-  RotateCcw // أيقونة جديدة للتحديث
+  RotateCcw, // أيقونة جديدة للتحديث
+  Wallet
 } from 'lucide-react';
 import { toast } from 'react-toastify';
+import EndOfDayReport from './EndOfDayReport';
+import { PAYMENT_METHOD_LABELS } from '../../utils/payment-methods';
 
 interface DashboardStats {
   totalSubscribers: number;
@@ -31,18 +35,22 @@ interface DashboardStats {
   totalRevenue: number;
   subscriptionRevenue: number;
   salesRevenue: number;
-  salesProfit: number;
+  salesReturns: number;
+  salesProfit: number | null;
   totalSales: number;
   singleSessionRevenue: number;
   singleSessionCount: number;
   internalSalesRevenue: number;
-  internalSalesProfit: number;
+  internalSalesProfit: number | null;
   customerDebts: number;
+  paymentMethods: GymApi.PaymentMethodTotal[];
 }
 
 const DashboardHome: React.FC = () => {
   const { gymId, gymName, gymType } = useGym();
   const navigate = useNavigate();
+  const { hasPermission } = useAuth();
+  const canViewProfit = hasPermission('view_profit');
   const [stats, setStats] = useState<DashboardStats>({
     totalSubscribers: 0,
     activeSubscribers: 0,
@@ -52,28 +60,26 @@ const DashboardHome: React.FC = () => {
     totalRevenue: 0,
     subscriptionRevenue: 0,
     salesRevenue: 0,
+    salesReturns: 0,
     salesProfit: 0,
     totalSales: 0,
     singleSessionRevenue: 0,
     singleSessionCount: 0,
     internalSalesRevenue: 0,
     internalSalesProfit: 0,
-    customerDebts: 0
+    customerDebts: 0,
+    paymentMethods: []
   });
   const [loading, setLoading] = useState(true);
+  const [showEndOfDay, setShowEndOfDay] = useState(false);
 
   const [showProfit, setShowProfit] = useState(false);
-  const [showPasswordPrompt, setShowPasswordPrompt] = useState(false);
-  const [passwordInput, setPasswordInput] = useState('');
-  const [passwordError, setPasswordError] = useState('');
   const [isFullScreen, setIsFullScreen] = useState(false);
 
   const [dateRange, setDateRange] = useState<'all' | 'today' | 'week' | 'month' | 'custom'>('all');
   const [startDate, setStartDate] = useState('');
   const [endDate, setEndDate] = useState('');
 
-  const SECRET_PASSWORD = '9999999990';
-
   useEffect(() => {
     loadDashboardStats();
   }, [gymId, dateRange, startDate, endDate]);
@@ -89,32 +95,10 @@ const DashboardHome: React.FC = () => {
     };
   }, []);
 
+  // الأرباح لا تصل من العملية الرئيسية أصلاً لمن لا يملك صلاحية عرضها
   const toggleProfit = () => {
-    if (showProfit) {
-      setShowProfit(false);
-      toast.info('تم إخفاء صافي الربح.');
-    } else {
-      setShowPasswordPrompt(true);
-    }
-  };
-
-  const handlePasswordSubmit = () => {
-    if (passwordInput === SECRET_PASSWORD) {
-      setShowProfit(true);
-      setShowPasswordPrompt(false);
-      setPasswordInput('');
-      setPasswordError('');
-      toast.success('كلمة المرور صحيحة. تم عرض صافي الربح.');
-    } else {
-      setPasswordError('كلمة المرور غير صحيحة. يرجى المحاولة مرة أخرى.');
-      toast.error('كلمة المرور غير صحيحة.');
-    }
-  };
-
-  const closePasswordPrompt = () => {
-    setShowPasswordPrompt(false);
-    setPasswordInput('');
-    setPasswordError('');
+    setShowProfit(!showProfit);
+    toast.info(showProfit ? 'تم إخفاء صافي الربح.' : 'تم عرض صافي الربح.');
   };
 
   const toggleFullScreen = () => {
@@ -170,89 +154,12 @@ const DashboardHome: React.FC = () => {
     try {
       setLoading(true);
       const { start, end } = getDateRange();
-      
-      let dateCondition = '';
-      let dateParams: any[] = [];
-      
-      if (start && end) {
-        dateCondition = "AND datetime(created_at) BETWEEN datetime(?) AND datetime(?)";
-        dateParams = [start.toISOString(), end.toISOString()];
-      }
-
-      const subscribersData = await window.electronAPI.query(`
-        SELECT 
-          COUNT(*) as total,
-          SUM(CASE WHEN status = 'active' THEN 1 ELSE 0 END) as active,
-          SUM(CASE WHEN status = 'expiring' THEN 1 ELSE 0 END) as expiring
-        FROM subscribers 
-        WHERE gym_id = ? ${dateCondition}
-      `, [gymId, ...dateParams]);
-
-      const productsData = await window.electronAPI.query(`
-        SELECT 
-          COUNT(*) as total,
-          SUM(CASE WHEN male_gym_quantity + female_gym_quantity < 5 THEN 1 ELSE 0 END) as low_stock
-        FROM products
-      `);
-
-      const salesData = await window.electronAPI.query(`
-        SELECT 
-          COUNT(DISTINCT i.id) as total_sales,
-          COALESCE(SUM(i.total), 0) as revenue,
-          COALESCE(SUM(i.profit), 0) as profit
-        FROM invoices i
-        WHERE i.gym_id = ? AND i.is_single_session = 0 ${dateCondition}
-      `, [gymId, ...dateParams]);
-
-      const singleSessionData = await window.electronAPI.query(`
-        SELECT 
-          COUNT(*) as session_count,
-          COALESCE(SUM(total), 0) as revenue
-        FROM invoices 
-        WHERE gym_id = ? AND is_single_session = 1 ${dateCondition}
-      `, [gymId, ...dateParams]);
-
-      const subscriptionRevenue = await window.electronAPI.query(`
-        SELECT COALESCE(SUM(price_paid), 0) as revenue
-        FROM subscribers 
-        WHERE gym_id = ? ${dateCondition}
-      `, [gymId, ...dateParams]);
-
-      const internalSalesData = await window.electronAPI.query(`
-        SELECT 
-          COALESCE(SUM(total_price), 0) as revenue,
-          COALESCE(SUM(profit), 0) as profit
-        FROM internal_sales i
-        WHERE i.gym_id = ? ${dateCondition}
-      `, [gymId, ...dateParams]);
-
-      const debtsData = await window.electronAPI.query(`
-        SELECT COALESCE(SUM(total - paid_amount), 0) as total_debts
-        FROM invoices 
-        WHERE gym_id = ? AND is_credit = 1 AND total > paid_amount
-      `, [gymId]);
-
-      const totalProfit = (salesData[0]?.profit || 0) + (internalSalesData[0]?.profit || 0);
-      const totalRevenue = (salesData[0]?.revenue || 0) + (subscriptionRevenue[0]?.revenue || 0) + 
-                           (singleSessionData[0]?.revenue || 0) + (internalSalesData[0]?.revenue || 0);
-
-      setStats({
-        totalSubscribers: subscribersData[0]?.total || 0,
-        activeSubscribers: subscribersData[0]?.active || 0,
-        expiringSubscribers: subscribersData[0]?.expiring || 0,
-        totalProducts: productsData[0]?.total || 0,
-        lowStockProducts: productsData[0]?.low_stock || 0,
-        totalRevenue: totalRevenue,
-        subscriptionRevenue: subscriptionRevenue[0]?.revenue || 0,
-        salesRevenue: salesData[0]?.revenue || 0,
-        salesProfit: totalProfit,
-        totalSales: salesData[0]?.total_sales || 0,
-        singleSessionRevenue: singleSessionData[0]?.revenue || 0,
-        singleSessionCount: singleSessionData[0]?.session_count || 0,
-        internalSalesRevenue: internalSalesData[0]?.revenue || 0,
-        internalSalesProfit: internalSalesData[0]?.profit || 0,
-        customerDebts: debtsData[0]?.total_debts || 0
+
+      const data = await window.electronAPI.dashboard.stats(gymId, {
+        start: start ? start.toISOString() : null,
+        end: end ? end.toISOString() : null
       });
+      setStats(data);
     } catch (error) {
       console.error('Error loading dashboard stats:', error);
     } finally {
@@ -318,21 +225,23 @@ const DashboardHome: React.FC = () => {
         
         <div className="flex items-center space-x-2 space-x-reverse">
           {/* Toggle Profit Button */}
-          <button
-            onClick={toggleProfit}
-            className={`flex items-center px-4 py-2 rounded-lg font-medium transition-all arabic-text ${
-              showProfit
-                ? 'bg-orange-500 text-white shadow-md hover:bg-orange-600'
-                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-            }`}
-          >
-            {showProfit ? (
-              <EyeOff className="w-4 h-4 ml-2" />
-            ) : (
-              <Eye className="w-4 h-4 ml-2" />
-            )}
-            {showProfit ? 'إخفاء' : 'عرض'}
-          </button>
+          {canViewProfit && (
+            <button
+              onClick={toggleProfit}
+              className={`flex items-center px-4 py-2 rounded-lg font-medium transition-all arabic-text ${
+                showProfit
+                  ? 'bg-orange-500 text-white shadow-md hover:bg-orange-600'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {showProfit ? (
+                <EyeOff className="w-4 h-4 ml-2" />
+              ) : (
+                <Eye className="w-4 h-4 ml-2" />
+              )}
+              {showProfit ? 'إخفاء' : 'عرض'}
+            </button>
+          )}
           {/* Fullscreen Button */}
           <button
             onClick={toggleFullScreen}
@@ -356,49 +265,6 @@ const DashboardHome: React.FC = () => {
         </div>
       </div>
 
-      {/* Password Prompt Modal */}
-      {showPasswordPrompt && (
-        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg shadow-xl p-8 max-w-sm w-full mx-4">
-            <h3 className="text-lg font-bold text-gray-900 mb-4 arabic-text">
-              كلمة المرور مطلوبة
-            </h3>
-            <p className="text-sm text-gray-600 mb-4 arabic-text">
-              يرجى إدخال كلمة السر.
-            </p>
-            <input
-              type="password"
-              value={passwordInput}
-              onChange={(e) => setPasswordInput(e.target.value)}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 mb-2 text-right"
-              placeholder="أدخل كلمة المرور"
-              onKeyPress={(e) => {
-                if (e.key === 'Enter') {
-                  handlePasswordSubmit();
-                }
-              }}
-            />
-            {passwordError && (
-              <p className="text-sm text-red-500 mb-4 arabic-text">{passwordError}</p>
-            )}
-            <div className="flex justify-end space-x-2 space-x-reverse">
-              <button
-                onClick={closePasswordPrompt}
-                className="btn-secondary-ar arabic-text"
-              >
-                إلغاء
-              </button>
-              <button
-                onClick={handlePasswordSubmit}
-                className="btn-primary-ar arabic-text"
-              >
-                تأكيد
-              </button>
-            </div>
-          </div>
-        </div>
-      )}
-
       {/* Modern Date Filter */}
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
         <div className="flex items-center mb-4">
@@ -467,10 +333,10 @@ const DashboardHome: React.FC = () => {
           subtitle="جميع المصادر"
         />
 
-        {showProfit && (
+        {showProfit && canViewProfit && (
             <StatCard
                 title="صافي الربح"
-                value={formatCurrency(stats.salesProfit)}
+                value={formatCurrency(stats.salesProfit ?? 0)}
                 icon={<TrendingUp className="w-6 h-6 text-white" />}
                 color="bg-orange-500"
                 subtitle="من المبيعات"
@@ -491,7 +357,7 @@ const DashboardHome: React.FC = () => {
           value={formatCurrency(stats.salesRevenue)}
           icon={<ShoppingCart className="w-6 h-6 text-white" />}
           color="bg-purple-500"
-          subtitle="مبيعات المنتجات"
+          subtitle={stats.salesReturns > 0 ? `بعد خصم مرتجعات ${formatCurrency(stats.salesReturns)}` : 'مبيعات المنتجات'}
           onClick={() => navigate('/dashboard/sales')}
         />
       </div>
@@ -511,7 +377,7 @@ const DashboardHome: React.FC = () => {
           value={formatCurrency(stats.internalSalesRevenue)}
           icon={<UserPlus className="w-6 h-6 text-white" />}
           color="bg-indigo-500"
-          subtitle={`ربح: ${formatCurrency(stats.internalSalesProfit)}`}
+          subtitle={stats.internalSalesProfit === null ? undefined : `ربح: ${formatCurrency(stats.internalSalesProfit)}`}
           onClick={() => navigate('/dashboard/internal-sales')}
         />
 
@@ -539,7 +405,7 @@ const DashboardHome: React.FC = () => {
         <h3 className="text-lg font-semibold text-gray-900 mb-4 arabic-text">
           إجراءات سريعة
         </h3>
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
           <button 
             onClick={openQuickSale}
             className="btn-primary-ar arabic-text flex items-center justify-center py-3"
@@ -568,11 +434,18 @@ const DashboardHome: React.FC = () => {
             <Users className="w-5 h-5 ml-2" />
             إدارة الزبائن
           </button>
+          <button 
+            onClick={() => setShowEndOfDay(true)}
+            className="btn-secondary-ar arabic-text flex items-center justify-center py-3"
+          >
+            <Wallet className="w-5 h-5 ml-2" />
+            تقرير نهاية اليوم
+          </button>
         </div>
       </div>
 
       {/* Financial Overview */}
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
           <div className="flex items-center mb-4">
             <TrendingUp className="w-5 h-5 text-blue-600 ml-2" />
@@ -603,11 +476,11 @@ const DashboardHome: React.FC = () => {
                 {formatCurrency(stats.singleSessionRevenue)}
               </span>
             </div>
-            {showProfit && (
+            {showProfit && canViewProfit && (
                 <div className="flex justify-between items-center border-t pt-2">
                     <span className="text-gray-600 arabic-text">صافي الربح</span>
                     <span className="font-semibold text-orange-600">
-                        {formatCurrency(stats.salesProfit)}
+                        {formatCurrency(stats.salesProfit ?? 0)}
                     </span>
                 </div>
             )}
@@ -649,8 +522,28 @@ const DashboardHome: React.FC = () => {
             </div>
           </div>
         </div>
+
+        {/* Collected by payment method */}
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <div className="flex items-center mb-4">
+            <Wallet className="w-5 h-5 text-blue-600 ml-2" />
+            <h3 className="text-lg font-semibold text-gray-900 arabic-text">التحصيل حسب طريقة الدفع</h3>
+          </div>
+          <div className="space-y-4">
+            {stats.paymentMethods.map((row) => (
+              <div key={row.method} className="flex justify-between items-center">
+                <span className="text-gray-600 arabic-text">{PAYMENT_METHOD_LABELS[row.method]}</span>
+                <span className="font-semibold text-green-600">
+                  {formatCurrency(row.net)}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
       </div>
 
+      {showEndOfDay && <EndOfDayReport onClose={() => setShowEndOfDay(false)} />}
+
       {/* Recent Activities and Alerts */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Customer Debts */}
@@ -668,7 +561,7 @@ const DashboardHome: React.FC = () => {
             <Package className="w-5 h-5 text-orange-600 ml-2" />
             <h3 className="text-lg font-semibold text-gray-900 arabic-text">منتجات ستنفد قريباً</h3>
           </div>
-          <LowStockProducts />
+          <LowStockProducts gymId={gymId} />
         </div>
 
         {/* Expiring Subscriptions */}
@@ -687,6 +580,7 @@ const DashboardHome: React.FC = () => {
 // Component for Customer Debts
 const CustomerDebts: React.FC<{ gymId: number }> = ({ gymId }) => {
   const [debts, setDebts] = useState<any[]>([]);
+  const [aging, setAging] = useState<GymApi.AgingTotals | null>(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -695,16 +589,12 @@ const CustomerDebts: React.FC<{ gymId: number }> = ({ gymId }) => {
 
   const loadCustomerDebts = async () => {
     try {
-      const data = await window.electronAPI.query(`
-        SELECT c.name, c.phone, SUM(i.total - i.paid_amount) as total_debt
-        FROM customers c
-        JOIN invoices i ON c.id = i.customer_id
-        WHERE i.gym_id = ? AND i.is_credit = 1 AND i.total > i.paid_amount
-        GROUP BY c.id, c.name, c.phone
-        ORDER BY total_debt DESC
-        LIMIT 5
-      `, [gymId]);
+      const [data, agingReport] = await Promise.all([
+        window.electronAPI.customers.topDebtors(gymId),
+        window.electronAPI.customers.aging(gymId)
+      ]);
       setDebts(data);
+      setAging(agingReport.totals);
     } catch (error) {
       console.error('Error loading customer debts:', error);
     } finally {
@@ -724,6 +614,20 @@ const CustomerDebts: React.FC<{ gymId: number }> = ({ gymId }) => {
 
   return (
     <div className="space-y-3">
+      {aging && aging.total > 0 && (
+        <div className="grid grid-cols-3 gap-2 text-center arabic-text">
+          {[
+            { key: 'current', label: '0-30 يوم', color: 'bg-yellow-50 text-yellow-700' },
+            { key: 'days_31_60', label: '31-60 يوم', color: 'bg-orange-50 text-orange-700' },
+            { key: 'over_60', label: 'أكثر من 60', color: 'bg-red-100 text-red-700' }
+          ].map(({ key, label, color }) => (
+            <div key={key} className={`p-2 rounded-lg ${color}`}>
+              <p className="text-xs">{label}</p>
+              <p className="font-bold text-sm">{formatCurrency(aging[key as keyof GymApi.AgingTotals])}</p>
+            </div>
+          ))}
+        </div>
+      )}
       {debts.length === 0 ? (
         <p className="text-gray-500 text-center py-4 arabic-text">لا توجد ديون</p>
       ) : (
@@ -742,23 +646,17 @@ const CustomerDebts: React.FC<{ gymId: number }> = ({ gymId }) => {
 };
 
 // Component for Low Stock Products
-const LowStockProducts: React.FC = () => {
+const LowStockProducts: React.FC<{ gymId: number }> = ({ gymId }) => {
   const [products, setProducts] = useState<any[]>([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     loadLowStockProducts();
-  }, []);
+  }, [gymId]);
 
   const loadLowStockProducts = async () => {
     try {
-      const data = await window.electronAPI.query(`
-        SELECT name, (male_gym_quantity + female_gym_quantity) as total_quantity
-        FROM products
-        WHERE (male_gym_quantity + female_gym_quantity) < 5 AND (male_gym_quantity + female_gym_quantity) > 0
-        ORDER BY total_quantity ASC
-        LIMIT 5
-      `);
+      const data = await window.electronAPI.products.lowStock(gymId);
       setProducts(data);
     } catch (error) {
       console.error('Error loading low stock products:', error);
@@ -796,13 +694,7 @@ const ExpiringSubscriptions: React.FC<{ gymId: number }> = ({ gymId }) => {
 
   const loadExpiringSubscriptions = async () => {
     try {
-      const data = await window.electronAPI.query(`
-        SELECT full_name, end_date, status
-        FROM subscribers
-        WHERE gym_id = ? AND (status = 'expiring' OR status = 'expired')
-        ORDER BY end_date ASC
-        LIMIT 5
-      `, [gymId]);
+      const data = await window.electronAPI.subscribers.expiring(gymId);
       setSubscriptions(data);
     } catch (error) {
       console.error('Error loading expiring subscriptions:', error);
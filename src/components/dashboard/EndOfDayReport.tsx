@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import { Printer, Wallet } from 'lucide-react';
+import { useGym } from '../../contexts/GymContext';
+import { PAYMENT_METHOD_LABELS } from '../../utils/payment-methods';
+
+interface EndOfDayReportProps {
+  onClose: () => void;
+}
+
+const SOURCE_LABELS: Record<GymApi.PaymentSource, string> = {
+  sales: 'المبيعات',
+  single_sessions: 'الحصص المفردة',
+  subscriptions: 'الاشتراكات',
+  debt_payments: 'تسديد الديون',
+  refunds: 'المرتجعات المردودة'
+};
+
+const formatCurrency = (amount: number) => {
+  return new Intl.NumberFormat('ar-DZ', {
+    style: 'currency',
+    currency: 'DZD',
+    minimumFractionDigits: 0
+  }).format(amount);
+};
+
+const today = () => {
+  const date = new Date();
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// تقرير نهاية اليوم: ما يجب أن يكون في الصندوق وفي كل حساب، مفصلاً حسب طريقة الدفع والمصدر
+const EndOfDayReport: React.FC<EndOfDayReportProps> = ({ onClose }) => {
+  const { gymId, gymName } = useGym();
+  const [day, setDay] = useState(today());
+  const [report, setReport] = useState<GymApi.PaymentsReport | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadReport();
+  }, [gymId, day]);
+
+  const loadReport = async () => {
+    try {
+      setLoading(true);
+      const start = new Date(`${day}T00:00:00`);
+      const end = new Date(`${day}T23:59:59`);
+      setReport(await window.electronAPI.dashboard.paymentsReport(gymId, {
+        start: start.toISOString(),
+        end: end.toISOString()
+      }));
+    } catch (error) {
+      console.error('Error loading end of day report:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في تحميل تقرير نهاية اليوم');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const methods = report ? report.methods.filter((row) => row.count > 0) : [];
+  const sources = report
+    ? (Object.keys(SOURCE_LABELS) as GymApi.PaymentSource[])
+      .map((source) => ({
+        source,
+        rows: report.sources.filter((row) => row.source === source)
+      }))
+      .filter(({ rows }) => rows.length > 0)
+    : [];
+  const net = methods.reduce((sum, row) => sum + row.net, 0);
+
+  return (
+    <div className="modal-overlay-ar">
+      <div className="modal-content-ar max-w-4xl">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-bold text-gray-900 arabic-text flex items-center">
+            <Wallet className="w-6 h-6 ml-2 text-green-600" />
+            تقرير نهاية اليوم - {gymName}
+          </h2>
+          <input
+            type="date"
+            value={day}
+            onChange={(e) => setDay(e.target.value || today())}
+            className="form-input-ar w-auto"
+          />
+        </div>
+
+        {loading || !report ? (
+          <div className="text-center py-8 text-gray-500 arabic-text">جاري التحميل...</div>
+        ) : report.payments.length === 0 ? (
+          <div className="text-center py-8 text-gray-500 arabic-text">لا توجد دفعات في هذا اليوم</div>
+        ) : (
+          <div className="space-y-6">
+            <table className="table-ar">
+              <thead>
+                <tr>
+                  <th>طريقة الدفع</th>
+                  <th>عدد العمليات</th>
+                  <th>المقبوض</th>
+                  <th>المردود</th>
+                  <th>الصافي</th>
+                </tr>
+              </thead>
+              <tbody>
+                {methods.map((row) => (
+                  <tr key={row.method}>
+                    <td>{PAYMENT_METHOD_LABELS[row.method]}</td>
+                    <td>{row.count}</td>
+                    <td className="text-green-600">{formatCurrency(row.received)}</td>
+                    <td className="text-red-600">{formatCurrency(row.refunded)}</td>
+                    <td className="font-semibold">{formatCurrency(row.net)}</td>
+                  </tr>
+                ))}
+                <tr className="font-bold">
+                  <td colSpan={4}>الصافي الكلي</td>
+                  <td>{formatCurrency(net)}</td>
+                </tr>
+              </tbody>
+            </table>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {sources.map(({ source, rows }) => (
+                <div key={source} className="bg-gray-50 p-4 rounded-lg arabic-text">
+                  <h3 className="font-semibold mb-2">{SOURCE_LABELS[source]}</h3>
+                  {rows.map((row) => (
+                    <div key={row.method} className="flex justify-between text-sm">
+                      <span>{PAYMENT_METHOD_LABELS[row.method]}</span>
+                      <span>{formatCurrency(row.amount)}</span>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+
+            <table className="table-ar">
+              <thead>
+                <tr>
+                  <th>الوقت</th>
+                  <th>المستند</th>
+                  <th>الجهة</th>
+                  <th>المصدر</th>
+                  <th>الطريقة</th>
+                  <th>المرجع</th>
+                  <th>المبلغ</th>
+                  <th>المستخدم</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.payments.map((payment) => (
+                  <tr key={payment.id}>
+                    <td>{new Date(payment.created_at).toLocaleTimeString('ar-DZ')}</td>
+                    <td>{payment.document_number || '-'}</td>
+                    <td>{payment.party_name || '-'}</td>
+                    <td>{SOURCE_LABELS[payment.source]}</td>
+                    <td>{PAYMENT_METHOD_LABELS[payment.method]}</td>
+                    <td>{payment.reference || '-'}</td>
+                    <td className={payment.amount < 0 ? 'text-red-600' : 'text-green-600'}>{formatCurrency(payment.amount)}</td>
+                    <td>{payment.user_name || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="flex items-center justify-end space-x-reverse space-x-4 mt-6">
+          <button onClick={() => window.print()} className="btn-primary-ar arabic-text flex items-center">
+            <Printer className="w-4 h-4 ml-2" />
+            طباعة
+          </button>
+          <button onClick={onClose} className="btn-secondary-ar arabic-text">
+            إغلاق
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EndOfDayReport;
@@ -0,0 +1,282 @@
+import React, { useState, useEffect } from 'react';
+import { Activity, Database, KeyRound, RefreshCw, ShieldCheck, AlertTriangle } from 'lucide-react';
+
+const formatSize = (bytes: number) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+};
+
+const emptyReset = { user_id: '', password: '', confirm: '' };
+
+const DiagnosticsPage: React.FC = () => {
+  const [summary, setSummary] = useState<GymApi.DiagnosticsSummary | null>(null);
+  const [users, setUsers] = useState<GymApi.User[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [resetting, setResetting] = useState(false);
+  const [resetData, setResetData] = useState(emptyReset);
+
+  useEffect(() => {
+    loadSummary();
+    loadUsers();
+  }, []);
+
+  const loadSummary = async () => {
+    try {
+      setLoading(true);
+      setSummary(await window.electronAPI.diagnostics.summary());
+    } catch (error) {
+      console.error('Error loading diagnostics:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في تحميل معلومات التشخيص');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadUsers = async () => {
+    try {
+      setUsers(await window.electronAPI.users.list());
+    } catch (error) {
+      console.error('Error loading users:', error);
+    }
+  };
+
+  const handleReset = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!resetData.user_id) {
+      alert('يرجى اختيار المستخدم');
+      return;
+    }
+    if (resetData.password !== resetData.confirm) {
+      alert('كلمتا المرور غير متطابقتين');
+      return;
+    }
+    const target = users.find((user) => user.id === parseInt(resetData.user_id));
+    if (!window.confirm(`سيتم تغيير كلمة مرور ${target?.full_name || ''} وإنهاء جلساته المفتوحة. هل تريد المتابعة؟`)) {
+      return;
+    }
+
+    try {
+      setResetting(true);
+      await window.electronAPI.diagnostics.resetPassword(parseInt(resetData.user_id), resetData.password);
+      setResetData(emptyReset);
+      alert('تم تعيين كلمة المرور الجديدة بنجاح');
+      loadUsers();
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في إعادة تعيين كلمة المرور');
+    } finally {
+      setResetting(false);
+    }
+  };
+
+  if (loading && !summary) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 arabic-text">
+            التشخيص
+          </h1>
+          <p className="text-gray-600 arabic-text">
+            حالة قاعدة البيانات والأخطاء الأخيرة وإعادة تعيين كلمات المرور
+          </p>
+        </div>
+        <button
+          onClick={loadSummary}
+          disabled={loading}
+          className="btn-secondary-ar arabic-text flex items-center"
+        >
+          <RefreshCw className={`w-5 h-5 ml-2 ${loading ? 'animate-spin' : ''}`} />
+          تحديث
+        </button>
+      </div>
+
+      {summary && (
+        <>
+          {/* Database Info */}
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+            <div className="card-ar">
+              <p className="text-sm text-gray-600 arabic-text">حجم قاعدة البيانات</p>
+              <p className="text-2xl font-bold text-gray-900">{formatSize(summary.db_size)}</p>
+              {summary.wal_size > 0 && (
+                <p className="text-xs text-gray-500">WAL: {formatSize(summary.wal_size)}</p>
+              )}
+            </div>
+            <div className="card-ar">
+              <p className="text-sm text-gray-600 arabic-text">إصدار المخطط</p>
+              <p className="text-2xl font-bold text-gray-900">
+                {summary.schema_version} / {summary.latest_schema_version}
+              </p>
+              {summary.schema_applied_at && (
+                <p className="text-xs text-gray-500">
+                  {new Date(summary.schema_applied_at).toLocaleString('ar-DZ')}
+                </p>
+              )}
+            </div>
+            <div className="card-ar">
+              <p className="text-sm text-gray-600 arabic-text">سلامة البيانات</p>
+              <div className="flex items-center mt-2">
+                {summary.integrity.ok ? (
+                  <>
+                    <ShieldCheck className="w-6 h-6 text-green-600 ml-2" />
+                    <span className="status-active">سليمة</span>
+                  </>
+                ) : (
+                  <>
+                    <AlertTriangle className="w-6 h-6 text-red-600 ml-2" />
+                    <span className="status-expired">توجد مشاكل</span>
+                  </>
+                )}
+              </div>
+            </div>
+            <div className="card-ar">
+              <p className="text-sm text-gray-600 arabic-text">الإصدار</p>
+              <p className="text-2xl font-bold text-gray-900">{summary.app_version}</p>
+              <p className="text-xs text-gray-500">
+                Electron {summary.electron_version || '-'} · Node {summary.node_version} · {summary.platform}
+              </p>
+            </div>
+          </div>
+
+          <div className="card-ar">
+            <div className="flex items-center mb-2">
+              <Database className="w-5 h-5 text-blue-600 ml-2" />
+              <h3 className="text-lg font-semibold text-gray-900 arabic-text">مسار قاعدة البيانات</h3>
+            </div>
+            <p className="text-sm text-gray-700 break-all" dir="ltr">{summary.db_path}</p>
+            {!summary.integrity.ok && (
+              <ul className="mt-4 text-sm text-red-700 list-disc pr-5" dir="ltr">
+                {summary.integrity.messages.map((message, index) => (
+                  <li key={index}>{message}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Row Counts */}
+            <div className="card-ar">
+              <h3 className="text-lg font-semibold text-gray-900 arabic-text mb-4">عدد السجلات في كل جدول</h3>
+              <div className="overflow-x-auto max-h-96">
+                <table className="table-ar">
+                  <thead>
+                    <tr>
+                      <th>الجدول</th>
+                      <th>عدد السجلات</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {summary.tables.map((table) => (
+                      <tr key={table.name}>
+                        <td dir="ltr" className="text-right">{table.name}</td>
+                        <td>{table.rows}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+
+            {/* Recent Errors */}
+            <div className="card-ar">
+              <div className="flex items-center mb-4">
+                <Activity className="w-5 h-5 text-red-600 ml-2" />
+                <h3 className="text-lg font-semibold text-gray-900 arabic-text">الأخطاء الأخيرة</h3>
+              </div>
+              {summary.recent_errors.length === 0 ? (
+                <p className="text-gray-600 arabic-text text-center py-8">لا توجد أخطاء منذ تشغيل البرنامج</p>
+              ) : (
+                <div className="overflow-x-auto max-h-96">
+                  <table className="table-ar">
+                    <thead>
+                      <tr>
+                        <th>الوقت</th>
+                        <th>المصدر</th>
+                        <th>الرسالة</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {summary.recent_errors.map((error, index) => (
+                        <tr key={index}>
+                          <td>{new Date(error.created_at).toLocaleTimeString('ar-DZ')}</td>
+                          <td dir="ltr" className="text-right">{error.source}</td>
+                          <td className="text-sm break-all">{error.message}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Password Reset */}
+      <div className="card-ar">
+        <div className="flex items-center mb-4">
+          <KeyRound className="w-5 h-5 text-blue-600 ml-2" />
+          <h3 className="text-lg font-semibold text-gray-900 arabic-text">إعادة تعيين كلمة المرور</h3>
+        </div>
+        <p className="text-sm text-gray-600 arabic-text mb-4">
+          تُلغى أيضاً أقفال الحساب الناتجة عن المحاولات الفاشلة، وتُنهى جلسات المستخدم المفتوحة
+        </p>
+        <form onSubmit={handleReset} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <div className="form-group-ar">
+            <label className="form-label-ar arabic-text">المستخدم</label>
+            <select
+              value={resetData.user_id}
+              onChange={(e) => setResetData({ ...resetData, user_id: e.target.value })}
+              className="form-select-ar"
+            >
+              <option value="">اختر المستخدم</option>
+              {users.map((user) => (
+                <option key={user.id} value={user.id}>
+                  {user.full_name} ({user.username})
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group-ar">
+            <label className="form-label-ar arabic-text">كلمة المرور الجديدة</label>
+            <input
+              type="password"
+              value={resetData.password}
+              onChange={(e) => setResetData({ ...resetData, password: e.target.value })}
+              className="form-input-ar"
+              autoComplete="new-password"
+            />
+          </div>
+          <div className="form-group-ar">
+            <label className="form-label-ar arabic-text">تأكيد كلمة المرور</label>
+            <input
+              type="password"
+              value={resetData.confirm}
+              onChange={(e) => setResetData({ ...resetData, confirm: e.target.value })}
+              className="form-input-ar"
+              autoComplete="new-password"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={resetting || !resetData.password}
+            className="btn-primary-ar arabic-text"
+          >
+            {resetting ? 'جاري الحفظ...' : 'تعيين كلمة المرور'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default DiagnosticsPage;
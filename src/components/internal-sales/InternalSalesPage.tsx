@@ -3,9 +3,11 @@ import { Plus, Search, Eye, UserPlus, Package } from 'lucide-react';
 import { useGym } from '../../contexts/GymContext';
 import { useAuth } from '../../contexts/AuthContext';
 import { getQuantityField } from '../../utils/inventory';
+import ExportButtons from '../common/ExportButtons';
 
 interface InternalSale {
   id: number;
+  internal_sale_number: string | null;
   admin_name: string;
   product_name: string;
   quantity: number;
@@ -24,9 +26,21 @@ interface Product {
   female_gym_quantity: number;
 }
 
+// أعمدة تصدير القائمة
+const exportColumns: GymApi.ExportColumn[] = [
+  { key: 'internal_sale_number', label: 'الرقم' },
+  { key: 'created_at', label: 'التاريخ' },
+  { key: 'admin_name', label: 'الاسم' },
+  { key: 'product_name', label: 'المنتج' },
+  { key: 'quantity', label: 'الكمية' },
+  { key: 'price_label', label: 'نوع السعر' },
+  { key: 'unit_price', label: 'سعر الوحدة' },
+  { key: 'total_price', label: 'المجموع' }
+];
+
 const InternalSalesPage: React.FC = () => {
   const { gymId, gymType } = useGym();
-  const { user } = useAuth();
+  const { user, hasPermission } = useAuth();
   const [internalSales, setInternalSales] = useState<InternalSale[]>([]);
   const [products, setProducts] = useState<Product[]>([]);
   const [loading, setLoading] = useState(true);
@@ -49,13 +63,7 @@ const InternalSalesPage: React.FC = () => {
 
   const loadInternalSales = async () => {
     try {
-      const data = await window.electronAPI.query(`
-        SELECT i.*, p.name as product_name
-        FROM internal_sales i
-        JOIN products p ON i.product_id = p.id
-        WHERE i.gym_id = ?
-        ORDER BY i.created_at DESC
-      `, [gymId]);
+      const data = await window.electronAPI.internalSales.list(gymId);
       setInternalSales(data);
     } catch (error) {
       console.error('Error loading internal sales:', error);
@@ -66,12 +74,7 @@ const InternalSalesPage: React.FC = () => {
 
   const loadProducts = async () => {
     try {
-      const data = await window.electronAPI.query(`
-        SELECT id, name, purchase_price, sale_price, male_gym_quantity, female_gym_quantity
-        FROM products
-        WHERE ${gymType === 'male' ? 'male_gym_quantity' : 'female_gym_quantity'} > 0
-        ORDER BY name
-      `);
+      const data = await window.electronAPI.products.listInStock(gymId);
       setProducts(data);
     } catch (error) {
       console.error('Error loading products:', error);
@@ -88,50 +91,23 @@ const InternalSalesPage: React.FC = () => {
         return;
       }
 
-      const quantity = parseInt(formData.quantity);
-      const unitPrice = formData.price_type === 'purchase' 
-        ? selectedProduct.purchase_price 
-        : parseFloat(formData.unit_price);
-      const totalPrice = quantity * unitPrice;
-
-      // حساب الربح - إذا كان السعر يدوي، احسب الربح، وإلا فالربح = 0
-      let profit = 0;
-      if (formData.price_type === 'manual') {
-        profit = totalPrice - (quantity * selectedProduct.purchase_price);
-      }
-
-      // Create internal sale with profit
-      await window.electronAPI.run(`
-        INSERT INTO internal_sales (admin_name, product_id, quantity, price_type, 
-                                   unit_price, total_price, profit, gym_id, user_id) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [
-        formData.admin_name,
-        parseInt(formData.product_id),
-        quantity,
-        formData.price_type,
-        unitPrice,
-        totalPrice,
-        profit,
-        gymId,
-        user?.id
-      ]);
-
-      // Update product quantity - خصم الكمية من الكمية المناسبة حسب نوع الصالة
-      await window.electronAPI.run(`
-        UPDATE products 
-        SET male_gym_quantity = male_gym_quantity - ? 
-        WHERE id = ?
-      `, [quantity, parseInt(formData.product_id)]);
+      // السعر والربح وخصم المخزون تُحسب في العملية الرئيسية
+      const result = await window.electronAPI.internalSales.create(gymId, {
+        admin_name: formData.admin_name,
+        product_id: selectedProduct.id,
+        quantity: parseInt(formData.quantity),
+        price_type: formData.price_type,
+        unit_price: formData.price_type === 'manual' ? parseFloat(formData.unit_price) : undefined
+      });
 
       await loadInternalSales();
       await loadProducts();
       setShowModal(false);
       resetForm();
-      alert('تم تسجيل البيع الداخلي بنجاح');
+      alert(`تم تسجيل البيع الداخلي بنجاح برقم ${result.internal_sale_number}`);
     } catch (error) {
       console.error('Error creating internal sale:', error);
-      alert('حدث خطأ في تسجيل البيع الداخلي');
+      alert(error instanceof Error ? error.message : 'حدث خطأ في تسجيل البيع الداخلي');
     }
   };
 
@@ -161,7 +137,8 @@ const InternalSalesPage: React.FC = () => {
 
   const filteredSales = internalSales.filter(sale => {
     const matchesSearch = sale.admin_name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         sale.product_name.toLowerCase().includes(searchTerm.toLowerCase());
+                         sale.product_name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+                         Boolean(sale.internal_sale_number?.toLowerCase().includes(searchTerm.toLowerCase()));
     const matchesDate = !dateFilter || sale.created_at.startsWith(dateFilter);
     return matchesSearch && matchesDate;
   });
@@ -198,13 +175,20 @@ const InternalSalesPage: React.FC = () => {
             خاصة بموظفين الصالة
           </p>
         </div>
-        <button
-          onClick={openAddModal}
-          className="btn-primary-ar arabic-text flex items-center"
-        >
-          <Plus className="w-5 h-5 ml-2" />
-          بيع داخلي جديد
-        </button>
+        <div className="flex gap-2">
+          <ExportButtons
+            title="القائمة البيضاء"
+            columns={exportColumns}
+            rows={filteredSales.map((sale) => ({ ...sale, price_label: sale.price_type === 'purchase' ? 'سعر التكلفة' : 'سعر يدوي' }))}
+          />
+          <button
+            onClick={openAddModal}
+            className="btn-primary-ar arabic-text flex items-center"
+          >
+            <Plus className="w-5 h-5 ml-2" />
+            بيع داخلي جديد
+          </button>
+        </div>
       </div>
 
       {/* Stats */}
@@ -258,7 +242,7 @@ const InternalSalesPage: React.FC = () => {
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
               className="form-input-ar pr-10"
-              placeholder="البحث باسم الإداري أو المنتج..."
+              placeholder="البحث باسم الإداري أو المنتج أو الرقم..."
             />
           </div>
           <input
@@ -287,6 +271,7 @@ const InternalSalesPage: React.FC = () => {
             <table className="table-ar">
               <thead>
                 <tr>
+                  <th>الرقم</th>
                   <th>اسم الإداري</th>
                   <th>المنتج</th>
                   <th>الكمية</th>
@@ -299,7 +284,8 @@ const InternalSalesPage: React.FC = () => {
               <tbody>
                 {filteredSales.map((sale) => (
                   <tr key={sale.id}>
-                    <td className="font-medium">{sale.admin_name}</td>
+                    <td className="font-medium">{sale.internal_sale_number || '-'}</td>
+                    <td>{sale.admin_name}</td>
                     <td>{sale.product_name}</td>
                     <td>{sale.quantity}</td>
                     <td>
@@ -398,7 +384,7 @@ const InternalSalesPage: React.FC = () => {
                     required
                   >
                     <option value="purchase">سعر التكلفة</option>
-                    <option value="manual">سعر يدوي</option>
+                    {hasPermission('edit_prices') && <option value="manual">سعر يدوي</option>}
                   </select>
                 </div>
               </div>
@@ -0,0 +1,42 @@
+import React, { useState, useEffect } from 'react';
+import { DatabaseBackup, AlertTriangle } from 'lucide-react';
+
+// فحص دوري حتى يظهر التحذير إذا قدمت آخر نسخة أثناء عمل البرنامج
+const REFRESH_INTERVAL_MS = 10 * 60 * 1000;
+
+// مؤشر آخر نسخة احتياطية سليمة في الشريط العلوي، ويتحول إلى تحذير عندما تصبح قديمة
+const BackupIndicator: React.FC = () => {
+  const [status, setStatus] = useState<GymApi.BackupStatus | null>(null);
+
+  useEffect(() => {
+    const load = () => window.electronAPI.backups.status()
+      .then(setStatus)
+      .catch((error) => console.error('Error loading backup status:', error));
+    load();
+    const timer = setInterval(load, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  if (!status) {
+    return null;
+  }
+
+  const lastDate = status.last_success ? new Date(status.last_success.created_at) : null;
+  const label = lastDate
+    ? `آخر نسخة: ${lastDate.toLocaleDateString('ar-DZ')} ${lastDate.toLocaleTimeString('ar-DZ', { hour: '2-digit', minute: '2-digit' })}`
+    : 'لا توجد نسخة احتياطية';
+
+  return (
+    <div
+      className={`flex items-center px-3 py-1 rounded-full text-xs arabic-text ${
+        status.stale ? 'bg-red-100 text-red-700' : 'bg-green-50 text-green-700'
+      }`}
+      title={status.stale ? 'آخر نسخة احتياطية قديمة، أنشئ نسخة من صفحة الإعدادات' : label}
+    >
+      {status.stale ? <AlertTriangle className="w-4 h-4 ml-1" /> : <DatabaseBackup className="w-4 h-4 ml-1" />}
+      {label}
+    </div>
+  );
+};
+
+export default BackupIndicator;
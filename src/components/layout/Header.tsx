@@ -1,10 +1,11 @@
 import React from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { useGym } from '../../contexts/GymContext';
-import { LogOut, User, Calendar } from 'lucide-react';
+import { LogOut, Lock, User, Calendar } from 'lucide-react';
+import BackupIndicator from './BackupIndicator';
 
 const Header: React.FC = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, lock } = useAuth();
   const { gymName, gymType } = useGym();
 
   const getCurrentDate = () => {
@@ -35,6 +36,8 @@ const Header: React.FC = () => {
 
         {/* User Info and Actions */}
         <div className="flex items-center space-x-reverse space-x-4">
+          <BackupIndicator />
+
           <div className="flex items-center space-x-reverse space-x-3">
             <div className="text-right">
               <div className="text-sm font-medium text-gray-800 arabic-text">
@@ -49,6 +52,14 @@ const Header: React.FC = () => {
             </div>
           </div>
 
+          <button
+            onClick={lock}
+            className="flex items-center space-x-reverse space-x-2 px-4 py-2 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors arabic-text"
+          >
+            <Lock className="w-4 h-4" />
+            <span>قفل</span>
+          </button>
+
           <button
             onClick={logout}
             className="flex items-center space-x-reverse space-x-2 px-4 py-2 text-gray-600 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors arabic-text"
@@ -0,0 +1,64 @@
+import React, { useState, useEffect } from 'react';
+import { Undo2, X } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+
+// شريط يظهر بعد استعادة قاعدة البيانات للتراجع عنها بإرجاع لقطة ما قبل الاستعادة
+const RestoreBanner: React.FC = () => {
+  const { hasPermission } = useAuth();
+  const [lastRestore, setLastRestore] = useState<GymApi.LastRestore | null>(null);
+  const [undoing, setUndoing] = useState(false);
+
+  useEffect(() => {
+    if (hasPermission('restore_backups')) {
+      window.electronAPI.backups.lastRestore()
+        .then(setLastRestore)
+        .catch((error) => console.error('Error loading last restore:', error));
+    }
+  }, []);
+
+  const handleUndo = async () => {
+    if (!window.confirm('هل تريد إرجاع البيانات كما كانت قبل الاستعادة؟')) {
+      return;
+    }
+    try {
+      setUndoing(true);
+      await window.electronAPI.backups.undoRestore();
+      window.location.reload();
+    } catch (error) {
+      console.error('Error undoing restore:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في التراجع عن الاستعادة');
+      setUndoing(false);
+    }
+  };
+
+  if (!lastRestore) {
+    return null;
+  }
+
+  return (
+    <div className="bg-amber-50 border-b border-amber-200 px-6 py-3 flex items-center justify-between">
+      <span className="text-amber-800 arabic-text">
+        تمت استعادة البيانات من {lastRestore.file} في {new Date(lastRestore.restored_at).toLocaleString('ar-DZ')}
+      </span>
+      <div className="flex items-center space-x-reverse space-x-2">
+        <button
+          onClick={handleUndo}
+          disabled={undoing}
+          className="flex items-center px-3 py-1 bg-amber-600 hover:bg-amber-700 text-white rounded-md text-sm arabic-text disabled:bg-gray-400"
+        >
+          <Undo2 className="w-4 h-4 ml-1" />
+          {undoing ? 'جاري التراجع...' : 'تراجع عن الاستعادة'}
+        </button>
+        <button
+          onClick={() => setLastRestore(null)}
+          className="p-1 text-amber-700 hover:bg-amber-100 rounded"
+          title="إخفاء"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RestoreBanner;
@@ -10,13 +10,26 @@ import {
   FileText,
   Settings,
   Tag,
-  UserCheck
+  UserCheck,
+  ArrowLeftRight,
+  ClipboardList,
+  Activity
 } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+
+interface MenuItem {
+  path: string;
+  icon: React.ElementType;
+  label: string;
+  exact?: boolean;
+  permission?: GymApi.Permission;
+}
 
 const Sidebar: React.FC = () => {
   const location = useLocation();
+  const { hasPermission } = useAuth();
 
-  const menuItems = [
+  const menuItems: MenuItem[] = [
     {
       path: '/dashboard',
       icon: LayoutDashboard,
@@ -26,22 +39,32 @@ const Sidebar: React.FC = () => {
     {
       path: '/dashboard/categories',
       icon: Tag,
-      label: 'الفئات'
+      label: 'الفئات',
+      permission: 'manage_stock'
     },
     {
       path: '/dashboard/products',
       icon: Package,
-      label: 'المنتجات'
+      label: 'المنتجات',
+      permission: 'manage_stock'
     },
     {
       path: '/dashboard/purchases',
       icon: ShoppingCart,
-      label: 'المشتريات'
+      label: 'المشتريات',
+      permission: 'manage_stock'
+    },
+    {
+      path: '/dashboard/stock-transfers',
+      icon: ArrowLeftRight,
+      label: 'تحويلات المخزون',
+      permission: 'manage_stock'
     },
     {
       path: '/dashboard/sales',
       icon: CreditCard,
-      label: 'المبيعات'
+      label: 'المبيعات',
+      permission: 'sell'
     },
     {
       path: '/dashboard/subscriptions',
@@ -56,7 +79,8 @@ const Sidebar: React.FC = () => {
     {
       path: '/dashboard/internal-sales',
       icon: UserPlus,
-      label: 'القائمة البيضاء'
+      label: 'القائمة البيضاء',
+      permission: 'sell'
     },
     {
       path: '/dashboard/customers',
@@ -66,7 +90,20 @@ const Sidebar: React.FC = () => {
     {
       path: '/dashboard/users',
       icon: Users,
-      label: 'المستخدمين'
+      label: 'المستخدمين',
+      permission: 'manage_users'
+    },
+    {
+      path: '/dashboard/audit-log',
+      icon: ClipboardList,
+      label: 'سجل العمليات',
+      permission: 'view_audit_log'
+    },
+    {
+      path: '/dashboard/diagnostics',
+      icon: Activity,
+      label: 'التشخيص',
+      permission: 'run_diagnostics'
     },
     {
       path: '/dashboard/settings',
@@ -94,7 +131,7 @@ const Sidebar: React.FC = () => {
       <div className="bg-white mx-4 p-2 rounded-lg shadow-inner">
         {/* قسم التنقل مع تباعد بين العناصر */}
         <nav className="space-y-1">
-          {menuItems.map((item) => {
+          {menuItems.filter((item) => !item.permission || hasPermission(item.permission)).map((item) => {
             const Icon = item.icon;
             const isActive = item.exact 
               ? location.pathname === item.path
@@ -1,7 +1,10 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, Edit, Trash2, Package, Search, Barcode } from 'lucide-react';
+import { Plus, Edit, Trash2, Package, Search, Barcode, History, AlertTriangle, Upload } from 'lucide-react';
 import { useGym } from '../../contexts/GymContext';
-import { getTotalQuantity, formatQuantityDisplay } from '../../utils/inventory';
+import { useAuth } from '../../contexts/AuthContext';
+import { getTotalQuantity, getAvailableQuantity, formatQuantityDisplay } from '../../utils/inventory';
+import ExportButtons from '../common/ExportButtons';
+import ImportWizard from '../common/ImportWizard';
 
 interface Product {
   id: number;
@@ -22,14 +25,44 @@ interface Category {
   name: string;
 }
 
+const movementTypeLabels: Record<GymApi.StockMovementType, string> = {
+  opening: 'رصيد افتتاحي',
+  adjustment: 'تسوية يدوية',
+  sale: 'بيع',
+  return: 'مرتجع بيع',
+  purchase: 'شراء',
+  internal_sale: 'بيع داخلي',
+  transfer_in: 'تحويل وارد',
+  transfer_out: 'تحويل صادر'
+};
+
+// أعمدة التصدير بنفس أسماء حقول الاستيراد حتى يُعاد استيراد الملف كما هو
+const exportColumns: GymApi.ExportColumn[] = [
+  { key: 'barcode', label: 'الباركود' },
+  { key: 'name', label: 'اسم المنتج' },
+  { key: 'category_name', label: 'الفئة' },
+  { key: 'purchase_price', label: 'سعر الشراء' },
+  { key: 'sale_price', label: 'سعر البيع' },
+  { key: 'available', label: 'الكمية في هذا الفرع' },
+  { key: 'total', label: 'الكمية الإجمالية' },
+  { key: 'notes', label: 'الملاحظات' }
+];
+
 const ProductsPage: React.FC = () => {
-  const { gymType } = useGym();
+  const { gymId, gymType } = useGym();
+  const { hasPermission } = useAuth();
+  const canEditPrices = hasPermission('edit_prices');
+  const canImport = canEditPrices && hasPermission('manage_stock');
   const [products, setProducts] = useState<Product[]>([]);
   const [categories, setCategories] = useState<Category[]>([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [editingProduct, setEditingProduct] = useState<Product | null>(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [mismatches, setMismatches] = useState<GymApi.StockMismatch[]>([]);
+  const [historyProduct, setHistoryProduct] = useState<Product | null>(null);
+  const [showImport, setShowImport] = useState(false);
+  const [movements, setMovements] = useState<GymApi.StockMovement[]>([]);
   const [formData, setFormData] = useState({
     barcodeInput: '',
     barcode: '',
@@ -71,13 +104,10 @@ const ProductsPage: React.FC = () => {
 
   const loadProducts = async () => {
     try {
-      const data = await window.electronAPI.query(`
-        SELECT p.*, c.name as category_name
-        FROM products p
-        LEFT JOIN categories c ON p.category_id = c.id
-        ORDER BY p.created_at DESC
-      `);
+      const data = await window.electronAPI.products.list();
       setProducts(data);
+      // مطابقة الكميات مع سجل الحركات
+      setMismatches(await window.electronAPI.stock.reconcile());
     } catch (error) {
       console.error('Error loading products:', error);
     } finally {
@@ -85,66 +115,45 @@ const ProductsPage: React.FC = () => {
     }
   };
 
+  const openHistory = async (product: Product) => {
+    try {
+      const data = await window.electronAPI.stock.history(product.id);
+      setMovements(data);
+      setHistoryProduct(product);
+    } catch (error) {
+      console.error('Error loading stock history:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في تحميل سجل الحركات');
+    }
+  };
+
   const loadCategories = async () => {
     try {
-      const data = await window.electronAPI.query('SELECT * FROM categories ORDER BY name');
+      const data = await window.electronAPI.categories.list();
       setCategories(data);
     } catch (error) {
       console.error('Error loading categories:', error);
     }
   };
 
-  const generateBarcode = () => {
-    const timestamp = Date.now().toString();
-    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-    return `${timestamp.slice(-8)}${random}`;
-  };
-
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     
     try {
-      const barcode = formData.barcode || generateBarcode();
-      const quantity = parseInt(formData.quantity) || 0;
-      
+      // الباركود يُولَّد تلقائياً في العملية الرئيسية إذا تُرك فارغاً
+      const payload = {
+        barcode: formData.barcode,
+        name: formData.name,
+        category_id: formData.category_id ? parseInt(formData.category_id) : null,
+        purchase_price: parseFloat(formData.purchase_price) || 0,
+        sale_price: parseFloat(formData.sale_price) || 0,
+        quantity: parseInt(formData.quantity) || 0,
+        notes: formData.notes
+      };
+
       if (editingProduct) {
-        // تحديث المنتج الحالي
-        const quantityField = gymType === 'male' ? 'male_gym_quantity' : 'female_gym_quantity';
-        
-        await window.electronAPI.run(`
-          UPDATE products 
-          SET barcode = ?, name = ?, category_id = ?, purchase_price = ?, 
-              sale_price = ?, ${quantityField} = ?, notes = ?
-          WHERE id = ?
-        `, [
-          barcode,
-          formData.name,
-          formData.category_id || null,
-          parseFloat(formData.purchase_price) || 0,
-          parseFloat(formData.sale_price) || 0,
-          quantity, // يتم استخدام الكمية الجديدة مباشرة
-          formData.notes,
-          editingProduct.id
-        ]);
+        await window.electronAPI.products.update(gymId, editingProduct.id, payload);
       } else {
-        // إنشاء منتج جديد
-        const maleQuantity = gymType === 'male' ? quantity : 0;
-        const femaleQuantity = gymType === 'female' ? quantity : 0;
-        
-        await window.electronAPI.run(`
-          INSERT INTO products (barcode, name, category_id, purchase_price, sale_price, 
-                                male_gym_quantity, female_gym_quantity, notes) 
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-        `, [
-          barcode,
-          formData.name,
-          formData.category_id || null,
-          parseFloat(formData.purchase_price) || 0,
-          parseFloat(formData.sale_price) || 0,
-          maleQuantity,
-          femaleQuantity,
-          formData.notes
-        ]);
+        await window.electronAPI.products.create(gymId, payload);
       }
       
       await loadProducts();
@@ -153,7 +162,7 @@ const ProductsPage: React.FC = () => {
       resetForm();
     } catch (error) {
       console.error('Error saving product:', error);
-      alert('حدث خطأ في حفظ المنتج');
+      alert(error instanceof Error ? error.message : 'حدث خطأ في حفظ المنتج');
     }
   };
 
@@ -176,11 +185,11 @@ const ProductsPage: React.FC = () => {
   const handleDelete = async (id: number) => {
     if (window.confirm('هل أنت متأكد من حذف هذا المنتج؟')) {
       try {
-        await window.electronAPI.run('DELETE FROM products WHERE id = ?', [id]);
+        await window.electronAPI.products.remove(id);
         await loadProducts();
       } catch (error) {
         console.error('Error deleting product:', error);
-        alert('لا يمكن حذف هذا المنتج لأنه مرتبط بفواتير');
+        alert(error instanceof Error ? error.message : 'لا يمكن حذف هذا المنتج لأنه مرتبط بفواتير');
       }
     }
   };
@@ -234,13 +243,35 @@ const ProductsPage: React.FC = () => {
             إدارة مخزون المنتجات في الصالة
           </p>
         </div>
-        <button
-          onClick={openAddModal}
-          className="btn-primary-ar arabic-text flex items-center"
-        >
-          <Plus className="w-5 h-5 ml-2" />
-          إضافة منتج جديد
-        </button>
+        <div className="flex gap-2">
+          <ExportButtons
+            title="المنتجات"
+            columns={exportColumns}
+            rows={filteredProducts.map((product) => ({
+              ...product,
+              available: getAvailableQuantity(product, gymType),
+              total: getTotalQuantity(product)
+            }))}
+          />
+          {canImport && (
+            <button
+              onClick={() => setShowImport(true)}
+              className="btn-secondary-ar arabic-text flex items-center"
+            >
+              <Upload className="w-5 h-5 ml-2" />
+              استيراد
+            </button>
+          )}
+          {canEditPrices && (
+            <button
+              onClick={openAddModal}
+              className="btn-primary-ar arabic-text flex items-center"
+            >
+              <Plus className="w-5 h-5 ml-2" />
+              إضافة منتج جديد
+            </button>
+          )}
+        </div>
       </div>
 
       {/* Search */}
@@ -257,6 +288,26 @@ const ProductsPage: React.FC = () => {
         </div>
       </div>
 
+      {mismatches.length > 0 && (
+        <div className="card-ar border border-red-200 bg-red-50">
+          <div className="flex items-start">
+            <AlertTriangle className="w-5 h-5 text-red-600 ml-3 mt-1" />
+            <div>
+              <h3 className="font-bold text-red-800 arabic-text">
+                كميات غير مطابقة لسجل الحركات ({mismatches.length})
+              </h3>
+              <ul className="text-sm text-red-700 arabic-text mt-2 space-y-1">
+                {mismatches.map((mismatch) => (
+                  <li key={`${mismatch.id}-${mismatch.gym_id}`}>
+                    {mismatch.name} ({mismatch.gym_name}): الكمية المسجلة {mismatch.counter_quantity}، مجموع الحركات {mismatch.ledger_quantity}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Products Table */}
       <div className="card-ar">
         {filteredProducts.length === 0 ? (
@@ -302,11 +353,16 @@ const ProductsPage: React.FC = () => {
                       <td>{product.sale_price.toFixed(2)} دج</td>
                       <td>
                         <div className="text-sm">
-                          <div className={`font-medium ${quantityInfo.isLowStock ? 'text-red-600' : 'text-green-600'}`}>
+                          <div className={`font-medium flex items-center ${quantityInfo.isLowStock ? 'text-red-600' : 'text-green-600'}`}>
                             {quantityInfo.total} (إجمالي)
+                            {mismatches.some((mismatch) => mismatch.id === product.id) && (
+                              <span title="الكمية لا تطابق سجل الحركات">
+                                <AlertTriangle className="w-4 h-4 text-red-600 mr-1" />
+                              </span>
+                            )}
                           </div>
                           <div className="text-gray-500 text-xs">
-                            {quantityInfo.available} متاح
+                            {quantityInfo.available} متاح في هذا الفرع
                           </div>
                         </div>
                       </td>
@@ -319,6 +375,13 @@ const ProductsPage: React.FC = () => {
                       </td>
                       <td>
                         <div className="flex items-center space-x-reverse space-x-2">
+                          <button
+                            onClick={() => openHistory(product)}
+                            className="p-2 text-gray-600 hover:bg-gray-50 rounded-lg transition-colors"
+                            title="سجل الحركات"
+                          >
+                            <History className="w-4 h-4" />
+                          </button>
                           <button
                             onClick={() => handleEdit(product)}
                             className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
@@ -426,6 +489,7 @@ const ProductsPage: React.FC = () => {
                     value={formData.purchase_price}
                     onChange={(e) => setFormData({ ...formData, purchase_price: e.target.value })}
                     className="form-input-ar"
+                    disabled={!canEditPrices}
                     placeholder="0.00"
                   />
                 </div>
@@ -440,6 +504,7 @@ const ProductsPage: React.FC = () => {
                     value={formData.sale_price}
                     onChange={(e) => setFormData({ ...formData, sale_price: e.target.value })}
                     className="form-input-ar"
+                    disabled={!canEditPrices}
                     placeholder="0.00"
                     required
                   />
@@ -491,6 +556,74 @@ const ProductsPage: React.FC = () => {
           </div>
         </div>
       )}
+
+      {/* Stock History Modal */}
+      {historyProduct && (
+        <div className="modal-overlay-ar">
+          <div className="modal-content-ar max-w-4xl">
+            <h2 className="text-xl font-bold text-gray-900 mb-6 arabic-text">
+              سجل حركات المخزون: {historyProduct.name}
+            </h2>
+
+            {movements.length === 0 ? (
+              <div className="text-center py-8">
+                <History className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                <p className="text-gray-600 arabic-text">لا توجد حركات لهذا المنتج</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto max-h-96">
+                <table className="table-ar">
+                  <thead>
+                    <tr>
+                      <th>التاريخ</th>
+                      <th>نوع الحركة</th>
+                      <th>الكمية</th>
+                      <th>رصيد الفرع بعد الحركة</th>
+                      <th>المستند</th>
+                      <th>الصالة</th>
+                      <th>المستخدم</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {movements.map((movement) => (
+                      <tr key={movement.id}>
+                        <td>{new Date(movement.created_at).toLocaleString('ar-DZ')}</td>
+                        <td>{movementTypeLabels[movement.movement_type] || movement.movement_type}</td>
+                        <td className={`font-bold ${movement.quantity < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                          {movement.quantity > 0 ? `+${movement.quantity}` : movement.quantity}
+                        </td>
+                        <td>{movement.balance_after}</td>
+                        <td>{movement.source_label || movement.notes || '-'}</td>
+                        <td>{movement.gym_name || '-'}</td>
+                        <td>{movement.user_name || '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <div className="flex justify-end pt-4">
+              <button
+                onClick={() => setHistoryProduct(null)}
+                className="btn-secondary-ar arabic-text"
+              >
+                إغلاق
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showImport && (
+        <ImportWizard
+          entity="products"
+          gymId={gymId}
+          title="استيراد المنتجات"
+          onClose={() => setShowImport(false)}
+          onImported={loadProducts}
+        />
+      )}
     </div>
   );
 };
@@ -1,11 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { Plus, Search, Eye, ShoppingCart, Package } from 'lucide-react';
 import { useGym } from '../../contexts/GymContext';
-import { useAuth } from '../../contexts/AuthContext';
 import { getQuantityField } from '../../utils/inventory';
+import ExportButtons from '../common/ExportButtons';
 
 interface Purchase {
   id: number;
+  purchase_number: string | null;
   supplier_name: string;
   total_amount: number;
   created_at: string;
@@ -26,9 +27,17 @@ interface Product {
   purchase_price: number;
 }
 
+// أعمدة تصدير القائمة
+const exportColumns: GymApi.ExportColumn[] = [
+  { key: 'purchase_number', label: 'الرقم' },
+  { key: 'created_at', label: 'التاريخ' },
+  { key: 'supplier_name', label: 'المورد' },
+  { key: 'items_count', label: 'عدد العناصر' },
+  { key: 'total_amount', label: 'المجموع' }
+];
+
 const PurchasesPage: React.FC = () => {
   const { gymId, gymType } = useGym();
-  const { user } = useAuth();
   const [purchases, setPurchases] = useState<Purchase[]>([]);
   const [products, setProducts] = useState<Product[]>([]);
   const [loading, setLoading] = useState(true);
@@ -59,14 +68,7 @@ const PurchasesPage: React.FC = () => {
 
   const loadPurchases = async () => {
     try {
-      const data = await window.electronAPI.query(`
-        SELECT p.*, COUNT(pi.id) as items_count
-        FROM purchases p
-        LEFT JOIN purchase_items pi ON p.id = pi.purchase_id
-        WHERE p.gym_id = ?
-        GROUP BY p.id
-        ORDER BY p.created_at DESC
-      `, [gymId]);
+      const data = await window.electronAPI.purchases.list(gymId);
       setPurchases(data);
     } catch (error) {
       console.error('Error loading purchases:', error);
@@ -77,11 +79,7 @@ const PurchasesPage: React.FC = () => {
 
   const loadProducts = async () => {
     try {
-      const data = await window.electronAPI.query(`
-        SELECT id, name, purchase_price
-        FROM products
-        ORDER BY name
-      `);
+      const data = await window.electronAPI.products.list();
       setProducts(data);
     } catch (error) {
       console.error('Error loading products:', error);
@@ -137,54 +135,29 @@ const PurchasesPage: React.FC = () => {
     }
 
     try {
-      const totalAmount = calculateTotal();
-
-      // Create purchase
-      const purchaseResult = await window.electronAPI.run(`
-        INSERT INTO purchases (supplier_name, total_amount, gym_id, user_id) 
-        VALUES (?, ?, ?, ?)
-      `, [
-        formData.supplier_name,
-        totalAmount,
-        gymId,
-        user?.id
-      ]);
-
-      const purchaseId = purchaseResult.lastInsertRowid;
-
-      // Add purchase items and update inventory
-      for (const item of formData.items) {
-        await window.electronAPI.run(`
-          INSERT INTO purchase_items (purchase_id, product_id, quantity, unit_cost, total_cost) 
-          VALUES (?, ?, ?, ?, ?)
-        `, [purchaseId, item.product_id, item.quantity, item.unit_cost, item.total_cost]);
-
-        // Update product quantity and purchase price - إضافة الكمية إلى الكمية المناسبة حسب نوع الصالة
-        await window.electronAPI.run(`
-          UPDATE products 
-          SET male_gym_quantity = male_gym_quantity + ?, purchase_price = ?
-          WHERE id = ?
-        `, [item.quantity, item.unit_cost, item.product_id]);
-      }
+      // المجموع وتحديث المخزون وسعر الشراء تتم في العملية الرئيسية
+      const result = await window.electronAPI.purchases.create(gymId, {
+        supplier_name: formData.supplier_name,
+        items: formData.items.map(item => ({
+          product_id: item.product_id,
+          quantity: item.quantity,
+          unit_cost: item.unit_cost
+        }))
+      });
 
       await loadPurchases();
       setShowModal(false);
       resetForm();
-      alert('تم تسجيل المشتريات بنجاح');
+      alert(`تم تسجيل المشتريات بنجاح برقم ${result.purchase_number}`);
     } catch (error) {
       console.error('Error creating purchase:', error);
-      alert('حدث خطأ في تسجيل المشتريات');
+      alert(error instanceof Error ? error.message : 'حدث خطأ في تسجيل المشتريات');
     }
   };
 
   const viewPurchase = async (purchase: Purchase) => {
     try {
-      const items = await window.electronAPI.query(`
-        SELECT pi.*, p.name as product_name
-        FROM purchase_items pi
-        JOIN products p ON pi.product_id = p.id
-        WHERE pi.purchase_id = ?
-      `, [purchase.id]);
+      const items = await window.electronAPI.purchases.getItems(purchase.id);
       
       setSelectedPurchase({ purchase, items });
       setShowViewModal(true);
@@ -206,7 +179,10 @@ const PurchasesPage: React.FC = () => {
   };
 
   const filteredPurchases = purchases.filter(purchase => {
-    const matchesSearch = purchase.supplier_name?.toLowerCase().includes(searchTerm.toLowerCase());
+    const term = searchTerm.toLowerCase();
+    const matchesSearch = !term ||
+                         purchase.supplier_name?.toLowerCase().includes(term) ||
+                         purchase.purchase_number?.toLowerCase().includes(term);
     const matchesDate = !dateFilter || purchase.created_at.startsWith(dateFilter);
     return matchesSearch && matchesDate;
   });
@@ -239,13 +215,16 @@ const PurchasesPage: React.FC = () => {
             إدارة مشتريات المخزون والموردين
           </p>
         </div>
-        <button
-          onClick={openAddModal}
-          className="btn-primary-ar arabic-text flex items-center"
-        >
-          <Plus className="w-5 h-5 ml-2" />
-          مشتريات جديدة
-        </button>
+        <div className="flex gap-2">
+          <ExportButtons title="المشتريات" columns={exportColumns} rows={filteredPurchases} />
+          <button
+            onClick={openAddModal}
+            className="btn-primary-ar arabic-text flex items-center"
+          >
+            <Plus className="w-5 h-5 ml-2" />
+            مشتريات جديدة
+          </button>
+        </div>
       </div>
 
       {/* Filters */}
@@ -258,7 +237,7 @@ const PurchasesPage: React.FC = () => {
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
               className="form-input-ar pr-10"
-              placeholder="البحث باسم المورد..."
+              placeholder="البحث باسم المورد أو الرقم..."
             />
           </div>
           <input
@@ -287,6 +266,7 @@ const PurchasesPage: React.FC = () => {
             <table className="table-ar">
               <thead>
                 <tr>
+                  <th>الرقم</th>
                   <th>اسم المورد</th>
                   <th>عدد المنتجات</th>
                   <th>المبلغ الإجمالي</th>
@@ -297,7 +277,8 @@ const PurchasesPage: React.FC = () => {
               <tbody>
                 {filteredPurchases.map((purchase) => (
                   <tr key={purchase.id}>
-                    <td className="font-medium">{purchase.supplier_name || 'غير محدد'}</td>
+                    <td className="font-medium">{purchase.purchase_number || '-'}</td>
+                    <td>{purchase.supplier_name || 'غير محدد'}</td>
                     <td>{purchase.items_count} منتج</td>
                     <td className="font-bold">{formatCurrency(purchase.total_amount)}</td>
                     <td>
@@ -458,7 +439,7 @@ const PurchasesPage: React.FC = () => {
           <div className="modal-content-ar max-w-2xl">
             <div className="text-center mb-6">
               <h2 className="text-2xl font-bold text-gray-900 arabic-text">
-                تفاصيل المشتريات
+                تفاصيل المشتريات {selectedPurchase.purchase.purchase_number}
               </h2>
               <p className="text-gray-600 arabic-text">
                 تاريخ الشراء: {new Date(selectedPurchase.purchase.created_at).toLocaleDateString('ar-DZ')}
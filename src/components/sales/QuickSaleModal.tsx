@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { X, Plus, Minus, Scan, User, CreditCard, Calculator, ShoppingCart } from 'lucide-react';
 import { useGym } from '../../contexts/GymContext';
-import { useAuth } from '../../contexts/AuthContext';
+import { PAYMENT_METHODS, PAYMENT_METHOD_LABELS, calculateChange } from '../../utils/payment-methods';
+import { autoPrintEnabled, printSaleReceipt, saleSuccessMessage } from '../../utils/receipt-printing';
 
 interface Product {
   id: number;
@@ -11,6 +12,7 @@ interface Product {
   purchase_price: number;
   male_gym_quantity: number;
   female_gym_quantity: number;
+  available: number;
 }
 
 interface Customer {
@@ -34,7 +36,6 @@ interface QuickSaleModalProps {
 
 const QuickSaleModal: React.FC<QuickSaleModalProps> = ({ isOpen, onClose }) => {
   const { gymId, gymType } = useGym();
-  const { user } = useAuth();
   const [products, setProducts] = useState<Product[]>([]);
   const [customers, setCustomers] = useState<Customer[]>([]);
   const [items, setItems] = useState<QuickSaleItem[]>([]);
@@ -43,11 +44,12 @@ const QuickSaleModal: React.FC<QuickSaleModalProps> = ({ isOpen, onClose }) => {
   const [selectedCustomer, setSelectedCustomer] = useState<Customer | null>(null);
   const [showCustomerForm, setShowCustomerForm] = useState(false);
   const [discount, setDiscount] = useState(0);
-  const [paidAmount, setPaidAmount] = useState(0);
+  const [payments, setPayments] = useState<GymApi.PaymentInput[]>([{ method: 'cash', amount: 0 }]);
   const [isCredit, setIsCredit] = useState(false);
   const [showProductSelector, setShowProductSelector] = useState(false);
   const [isSingleSession, setIsSingleSession] = useState(false);
   const [singleSessionPrice, setSingleSessionPrice] = useState(200);
+  const [printReceipt, setPrintReceipt] = useState(false);
   const [newCustomer, setNewCustomer] = useState({
     name: '',
     phone: '',
@@ -59,6 +61,7 @@ const QuickSaleModal: React.FC<QuickSaleModalProps> = ({ isOpen, onClose }) => {
     if (isOpen) {
       loadProducts();
       loadCustomers();
+      autoPrintEnabled().then(setPrintReceipt);
       // Focus on barcode input when modal opens
       setTimeout(() => {
         const barcodeInputElement = document.getElementById('barcode-input');
@@ -119,12 +122,7 @@ const QuickSaleModal: React.FC<QuickSaleModalProps> = ({ isOpen, onClose }) => {
 
   const loadProducts = async () => {
     try {
-      const data = await window.electronAPI.query(`
-        SELECT id, name, barcode, sale_price, purchase_price, male_gym_quantity, female_gym_quantity
-        FROM products
-        WHERE male_gym_quantity + female_gym_quantity > 0
-        ORDER BY name
-      `);
+      const data = await window.electronAPI.products.listInStock(gymId);
       setProducts(data);
     } catch (error) {
       console.error('Error loading products:', error);
@@ -155,12 +153,7 @@ const QuickSaleModal: React.FC<QuickSaleModalProps> = ({ isOpen, onClose }) => {
 
   const loadCustomers = async () => {
     try {
-      const data = await window.electronAPI.query(`
-        SELECT id, name, phone
-        FROM customers
-        WHERE gym_id = ?
-        ORDER BY name
-      `, [gymId]);
+      const data = await window.electronAPI.customers.listBasic(gymId);
       setCustomers(data);
     } catch (error) {
       console.error('Error loading customers:', error);
@@ -217,24 +210,27 @@ const QuickSaleModal: React.FC<QuickSaleModalProps> = ({ isOpen, onClose }) => {
     return subtotal - discount;
   };
 
+  // الدفعات المدخلة فعلاً. الفاتورة غير الآجلة بدون مبلغ مدخل تُعد مدفوعة نقداً بالكامل
+  const enteredPayments = () => payments.filter((payment) => payment.amount > 0);
+
+  const calculatePaid = () => enteredPayments().reduce((sum, payment) => sum + payment.amount, 0);
+
+  const updatePayment = (index: number, changes: Partial<GymApi.PaymentInput>) => {
+    setPayments(payments.map((payment, i) => (i === index ? { ...payment, ...changes } : payment)));
+  };
+
+  const addPayment = () => {
+    const remaining = Math.max(0, calculateTotal() - calculatePaid());
+    setPayments([...payments, { method: payments.some((payment) => payment.method === 'cash') ? 'card' : 'cash', amount: remaining }]);
+  };
+
+  const removePayment = (index: number) => {
+    setPayments(payments.filter((_, i) => i !== index));
+  };
+
   const createCustomer = async () => {
     try {
-      const result = await window.electronAPI.run(`
-        INSERT INTO customers (name, phone, email, address, gym_id) 
-        VALUES (?, ?, ?, ?, ?)
-      `, [
-        newCustomer.name,
-        newCustomer.phone,
-        newCustomer.email,
-        newCustomer.address,
-        gymId
-      ]);
-
-      const customer: Customer = {
-        id: result.lastInsertRowid,
-        name: newCustomer.name,
-        phone: newCustomer.phone
-      };
+      const customer = await window.electronAPI.customers.create(gymId, newCustomer);
 
       setSelectedCustomer(customer);
       setCustomers([...customers, customer]);
@@ -242,7 +238,7 @@ const QuickSaleModal: React.FC<QuickSaleModalProps> = ({ isOpen, onClose }) => {
       setNewCustomer({ name: '', phone: '', email: '', address: '' });
     } catch (error) {
       console.error('Error creating customer:', error);
-      alert('حدث خطأ في إضافة الزبون');
+      alert(error instanceof Error ? error.message : 'حدث خطأ في إضافة الزبون');
     }
   };
 
@@ -251,78 +247,36 @@ const QuickSaleModal: React.FC<QuickSaleModalProps> = ({ isOpen, onClose }) => {
       alert('يرجى إضافة منتج واحد على الأقل');
       return;
     }
+    const tendered = enteredPayments();
+    if (!isCredit && tendered.length > 0 && calculatePaid() < calculateTotal()) {
+      alert('المبلغ المدفوع أقل من مجموع الفاتورة، اختر الدفع الآجل لتسجيل الباقي ديناً');
+      return;
+    }
 
     try {
-      const invoiceNumber = `INV-${Date.now().toString().slice(-8)}-${Math.floor(Math.random() * 1000).toString().padStart(3, '0')}`;
-      const subtotal = calculateSubtotal();
-      const total = calculateTotal();
-      const currentTime = new Date().toISOString();
-
-      // Calculate profit
-      let totalProfit = 0;
-      if (!isSingleSession) {
-        for (const item of items) {
-          const productData = await window.electronAPI.query(`
-            SELECT purchase_price FROM products WHERE id = ?
-          `, [item.product_id]);
-          
-          if (productData.length > 0) {
-            const purchasePrice = productData[0].purchase_price;
-            const itemProfit = (item.total_price * (total / subtotal)) - (item.quantity * purchasePrice);
-            totalProfit += itemProfit;
-          }
-        }
-      }
-
-      // Create invoice
-      const invoiceResult = await window.electronAPI.run(`
-        INSERT INTO invoices (invoice_number, customer_id, customer_name, customer_phone, 
-                             subtotal, discount, total, profit, paid_amount, is_credit, 
-                             is_single_session, gym_id, user_id, created_at) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [
-        invoiceNumber,
-        selectedCustomer?.id || null,
-        selectedCustomer?.name || '',
-        selectedCustomer?.phone || '',
-        subtotal,
+      // رقم الفاتورة والمجاميع والربح وخصم المخزون وتوزيع الدفعات تُحسب في العملية الرئيسية
+      const invoice = await window.electronAPI.sales.createInvoice(gymId, {
+        customer_id: selectedCustomer?.id || null,
         discount,
-        total,
-        totalProfit,
-        paidAmount,
-        isCredit,
-        isSingleSession,
-        gymId,
-        user?.id,
-        currentTime
-      ]);
-
-      const invoiceId = invoiceResult.lastInsertRowid;
-
-      // Add invoice items and update inventory
-      if (!isSingleSession) {
-        for (const item of items) {
-          await window.electronAPI.run(`
-            INSERT INTO invoice_items (invoice_id, product_id, quantity, unit_price, total_price) 
-            VALUES (?, ?, ?, ?, ?)
-          `, [invoiceId, item.product_id, item.quantity, item.unit_price, item.total_price]);
-
-          // Update product quantity
-          await window.electronAPI.run(`
-            UPDATE products 
-            SET male_gym_quantity = male_gym_quantity - ? 
-            WHERE id = ?
-          `, [item.quantity, item.product_id]);
-        }
-      }
+        payments: !isCredit && tendered.length === 0 ? [{ method: 'cash', amount: calculateTotal() }] : tendered,
+        is_credit: isCredit,
+        is_single_session: isSingleSession,
+        single_session_price: singleSessionPrice,
+        items: items.map(item => ({
+          product_id: item.product_id,
+          quantity: item.quantity,
+          unit_price: item.unit_price
+        }))
+      });
 
       // Reset form and close modal
       resetForm();
       onClose();
-      alert('تم إنشاء الفاتورة بنجاح');
+      const printError = printReceipt ? await printSaleReceipt(invoice.id, invoice.change) : null;
+      alert(saleSuccessMessage(invoice.change, formatCurrency, printError));
     } catch (error) {
       console.error('Error creating invoice:', error);
-      alert('حدث خطأ في إنشاء الفاتورة');
+      alert(error instanceof Error ? error.message : 'حدث خطأ في إنشاء الفاتورة');
     }
   };
 
@@ -332,7 +286,7 @@ const QuickSaleModal: React.FC<QuickSaleModalProps> = ({ isOpen, onClose }) => {
     setCustomerSearch('');
     setSelectedCustomer(null);
     setDiscount(0);
-    setPaidAmount(0);
+    setPayments([{ method: 'cash', amount: 0 }]);
     setIsCredit(false);
     setIsSingleSession(false);
     setSingleSessionPrice(200);
@@ -578,18 +532,64 @@ const QuickSaleModal: React.FC<QuickSaleModalProps> = ({ isOpen, onClose }) => {
                   </label>
                 </div>
 
-                {isCredit && (
-                  <div>
-                    <label className="form-label-ar arabic-text">المبلغ المدفوع (دج)</label>
-                    <input
-                      type="number"
-                      value={paidAmount}
-                      onChange={(e) => setPaidAmount(parseFloat(e.target.value) || 0)}
-                      className="form-input-ar"
-                      min="0"
-                    />
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <label className="form-label-ar arabic-text mb-0">
+                      {isCredit ? 'المبلغ المدفوع الآن' : 'المبلغ المستلم'}
+                    </label>
+                    <button
+                      type="button"
+                      onClick={addPayment}
+                      className="text-sm text-blue-600 hover:text-blue-800 arabic-text"
+                    >
+                      + تقسيم الدفع
+                    </button>
                   </div>
-                )}
+                  <div className="space-y-2">
+                    {payments.map((payment, index) => (
+                      <div key={index} className="p-2 bg-white rounded-lg border space-y-2">
+                        <div className="flex items-center space-x-reverse space-x-2">
+                          <select
+                            value={payment.method}
+                            onChange={(e) => updatePayment(index, { method: e.target.value as GymApi.PaymentMethod })}
+                            className="form-select-ar flex-1"
+                          >
+                            {PAYMENT_METHODS.map((method) => (
+                              <option key={method} value={method}>{PAYMENT_METHOD_LABELS[method]}</option>
+                            ))}
+                          </select>
+                          <input
+                            type="number"
+                            value={payment.amount || ''}
+                            onChange={(e) => updatePayment(index, { amount: parseFloat(e.target.value) || 0 })}
+                            className="form-input-ar w-28"
+                            placeholder={!isCredit && index === 0 ? String(calculateTotal()) : '0'}
+                            min="0"
+                          />
+                          {payments.length > 1 && (
+                            <button
+                              type="button"
+                              onClick={() => removePayment(index)}
+                              className="p-1 text-red-600 hover:bg-red-50 rounded"
+                            >
+                              <X className="w-4 h-4" />
+                            </button>
+                          )}
+                        </div>
+                        {payment.method !== 'cash' && (
+                          <input
+                            type="text"
+                            value={payment.reference || ''}
+                            onChange={(e) => updatePayment(index, { reference: e.target.value })}
+                            className="form-input-ar"
+                            placeholder="رقم العملية أو الشيك (اختياري)"
+                            maxLength={100}
+                          />
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
               </div>
             </div>
 
@@ -614,10 +614,28 @@ const QuickSaleModal: React.FC<QuickSaleModalProps> = ({ isOpen, onClose }) => {
                     <span>-{formatCurrency(discount)}</span>
                   </div>
                 )}
-                {calculateTotal() > paidAmount && (
+                {enteredPayments().length > 0 && (
+                  <div className="flex justify-between">
+                    <span className="arabic-text">المبلغ المستلم:</span>
+                    <span>{formatCurrency(calculatePaid())}</span>
+                  </div>
+                )}
+                {isCredit && calculateTotal() > calculatePaid() && (
                   <div className="flex justify-between text-red-600 font-medium">
-                    <span className="arabic-text">المبلغ المتبقي:</span>
-                    <span>{formatCurrency(calculateTotal() - paidAmount)}</span>
+                    <span className="arabic-text">المبلغ المتبقي (دين):</span>
+                    <span>{formatCurrency(calculateTotal() - calculatePaid())}</span>
+                  </div>
+                )}
+                {!isCredit && enteredPayments().length > 0 && calculateTotal() > calculatePaid() && (
+                  <div className="flex justify-between text-red-600 font-medium">
+                    <span className="arabic-text">ينقص:</span>
+                    <span>{formatCurrency(calculateTotal() - calculatePaid())}</span>
+                  </div>
+                )}
+                {calculateChange(calculateTotal(), enteredPayments()) > 0 && (
+                  <div className="flex justify-between text-green-700 font-bold text-lg">
+                    <span className="arabic-text">الباقي للزبون:</span>
+                    <span>{formatCurrency(calculateChange(calculateTotal(), enteredPayments()))}</span>
                   </div>
                 )}
               </div>
@@ -625,6 +643,15 @@ const QuickSaleModal: React.FC<QuickSaleModalProps> = ({ isOpen, onClose }) => {
 
             {/* Action Buttons */}
             <div className="space-y-3">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={printReceipt}
+                  onChange={(e) => setPrintReceipt(e.target.checked)}
+                  className="ml-2"
+                />
+                <span className="arabic-text">طباعة الإيصال بعد البيع</span>
+              </label>
               <button
                 onClick={handleSubmit}
                 disabled={!isSingleSession && items.length === 0}
@@ -668,7 +695,7 @@ const QuickSaleModal: React.FC<QuickSaleModalProps> = ({ isOpen, onClose }) => {
                     <div className="flex-1">
                       <div className="font-medium arabic-text">{product.name}</div>
                       <div className="text-sm text-gray-600">
-                        {formatCurrency(product.sale_price)}
+                        {formatCurrency(product.sale_price)} - متوفر: {product.available}
                       </div>
                     </div>
                     <div className="text-blue-600 font-bold">+</div>
@@ -0,0 +1,93 @@
+import React from 'react';
+import { Printer } from 'lucide-react';
+import { PAYMENT_METHOD_LABELS } from '../../utils/payment-methods';
+
+interface ReturnReceiptProps {
+  invoiceNumber: string;
+  salesReturn: GymApi.SalesReturn;
+  onClose: () => void;
+}
+
+const formatCurrency = (amount: number) => {
+  return new Intl.NumberFormat('ar-DZ', {
+    style: 'currency',
+    currency: 'DZD',
+    minimumFractionDigits: 0
+  }).format(amount);
+};
+
+// وصل المرتجع أو الإلغاء للطباعة: العناصر المرتجعة وما خُصم من الدين وما رُدّ للزبون
+const ReturnReceipt: React.FC<ReturnReceiptProps> = ({ invoiceNumber, salesReturn, onClose }) => (
+  <div className="modal-overlay-ar">
+    <div className="modal-content-ar max-w-lg">
+      <div className="text-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-900 arabic-text">
+          {salesReturn.type === 'void' ? 'إلغاء فاتورة' : 'وصل إرجاع'} رقم: {salesReturn.return_number}
+        </h2>
+        <p className="text-gray-600 arabic-text">
+          الفاتورة الأصلية: {invoiceNumber}
+        </p>
+        <p className="text-gray-600 arabic-text">
+          {new Date(salesReturn.created_at).toLocaleDateString('ar-DZ')} - {new Date(salesReturn.created_at).toLocaleTimeString('ar-DZ')}
+          {salesReturn.user_name && ` - ${salesReturn.user_name}`}
+        </p>
+      </div>
+
+      {salesReturn.items.length > 0 && (
+        <table className="table-ar mb-6">
+          <thead>
+            <tr>
+              <th>المنتج</th>
+              <th>الكمية</th>
+              <th>سعر الوحدة</th>
+              <th>المجموع</th>
+            </tr>
+          </thead>
+          <tbody>
+            {salesReturn.items.map((item) => (
+              <tr key={item.id}>
+                <td>{item.product_name || `#${item.product_id}`}</td>
+                <td>{item.quantity}</td>
+                <td>{formatCurrency(item.unit_price)}</td>
+                <td>{formatCurrency(item.total_price)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="bg-gray-50 p-4 rounded-lg mb-6 space-y-2 arabic-text">
+        <div className="flex justify-between text-lg font-bold">
+          <span>قيمة المرتجع بعد الخصم:</span>
+          <span>{formatCurrency(salesReturn.amount)}</span>
+        </div>
+        {salesReturn.debt_reduction > 0 && (
+          <div className="flex justify-between">
+            <span>خُصم من دين الفاتورة:</span>
+            <span>{formatCurrency(salesReturn.debt_reduction)}</span>
+          </div>
+        )}
+        <div className="flex justify-between font-bold text-green-700">
+          <span>المبلغ المردود للزبون:</span>
+          <span>{formatCurrency(salesReturn.refund_amount)}</span>
+        </div>
+        {salesReturn.refund_amount > 0 && salesReturn.refund_method && (
+          <p className="text-sm text-gray-600">طريقة الرد: {PAYMENT_METHOD_LABELS[salesReturn.refund_method]}</p>
+        )}
+        {salesReturn.reason && <p className="text-sm text-gray-600">السبب: {salesReturn.reason}</p>}
+      </div>
+
+      <div className="flex items-center justify-end space-x-reverse space-x-4">
+        <button onClick={onClose} className="btn-secondary-ar arabic-text">
+          إغلاق
+        </button>
+        <button onClick={() => window.print()} className="btn-primary-ar arabic-text flex items-center">
+          <Printer className="w-4 h-4 ml-2" />
+          طباعة
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+export default ReturnReceipt;
@@ -1,8 +1,13 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, Search, Eye, Printer, CreditCard, ShoppingCart, Scan } from 'lucide-react';
+import { Plus, Search, Eye, Printer, CreditCard, ShoppingCart, Scan, RotateCcw, Ban, FileText } from 'lucide-react';
 import { useGym } from '../../contexts/GymContext';
 import { useAuth } from '../../contexts/AuthContext';
 import { getQuantityField, hasEnoughStock } from '../../utils/inventory';
+import ExportButtons from '../common/ExportButtons';
+import SalesReturnModal from './SalesReturnModal';
+import ReturnReceipt from './ReturnReceipt';
+import { PAYMENT_METHODS, PAYMENT_METHOD_LABELS } from '../../utils/payment-methods';
+import { autoPrintEnabled, printSaleReceipt, saleSuccessMessage } from '../../utils/receipt-printing';
 
 interface Invoice {
   id: number;
@@ -13,19 +18,39 @@ interface Invoice {
   discount: number;
   total: number;
   paid_amount: number;
+  returned_amount: number;
+  status: GymApi.InvoiceStatus;
   is_credit: boolean;
+  is_single_session: boolean;
+  payment_methods: string | null;
   created_at: string;
-  items: InvoiceItem[];
 }
 
 interface InvoiceItem {
   id: number;
   product_name: string;
   quantity: number;
+  returned_quantity: number;
   unit_price: number;
   total_price: number;
 }
 
+const statusLabels: Record<GymApi.InvoiceStatus, { label: string; className: string }> = {
+  active: { label: 'سارية', className: 'status-active' },
+  partially_returned: { label: 'مرتجع جزئي', className: 'status-expiring' },
+  returned: { label: 'مرتجعة', className: 'status-expired' },
+  voided: { label: 'ملغاة', className: 'status-expired' }
+};
+
+// الفاتورة المرتجعة بالكامل أو الملغاة لم يبق منها شيء
+const isOpenInvoice = (invoice: Invoice) => invoice.status === 'active' || invoice.status === 'partially_returned';
+
+const paymentMethodsLabel = (invoice: Invoice) => (invoice.payment_methods || '')
+  .split(',')
+  .filter(Boolean)
+  .map((method) => PAYMENT_METHOD_LABELS[method as GymApi.PaymentMethod] || method)
+  .join('، ');
+
 interface Product {
   id: number;
   name: string;
@@ -33,17 +58,39 @@ interface Product {
   sale_price: number;
   male_gym_quantity: number;
   female_gym_quantity: number;
+  available: number;
 }
 
+// أعمدة تصدير القائمة
+const exportColumns: GymApi.ExportColumn[] = [
+  { key: 'invoice_number', label: 'رقم الفاتورة' },
+  { key: 'created_at', label: 'التاريخ' },
+  { key: 'customer_name', label: 'الزبون' },
+  { key: 'customer_phone', label: 'هاتف الزبون' },
+  { key: 'subtotal', label: 'المجموع الفرعي' },
+  { key: 'discount', label: 'الخصم' },
+  { key: 'total', label: 'المجموع' },
+  { key: 'paid_amount', label: 'المدفوع' },
+  { key: 'returned_amount', label: 'المرتجع' },
+  { key: 'payment_label', label: 'طريقة الدفع' },
+  { key: 'status_label', label: 'الحالة' }
+];
+
 const SalesPage: React.FC = () => {
-  const { gymId, gymType } = useGym();
-  const { user } = useAuth();
+  const { gymId } = useGym();
+  const { hasPermission } = useAuth();
   const [invoices, setInvoices] = useState<Invoice[]>([]);
   const [products, setProducts] = useState<Product[]>([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [showViewModal, setShowViewModal] = useState(false);
-  const [selectedInvoice, setSelectedInvoice] = useState<Invoice | null>(null);
+  const [selectedInvoice, setSelectedInvoice] = useState<(Invoice & {
+    items: InvoiceItem[];
+    returns: GymApi.SalesReturn[];
+    payments: GymApi.Payment[];
+  }) | null>(null);
+  const [returnMode, setReturnMode] = useState<'return' | 'void' | null>(null);
+  const [receipt, setReceipt] = useState<GymApi.SalesReturn | null>(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [dateFilter, setDateFilter] = useState('');
   const [barcodeInput, setBarcodeInput] = useState('');
@@ -53,6 +100,8 @@ const SalesPage: React.FC = () => {
     customer_phone: '',
     discount: '0',
     paid_amount: '0',
+    payment_method: 'cash' as GymApi.PaymentMethod,
+    payment_reference: '',
     is_credit: false,
     is_single_session: false,
     single_session_price: '200',
@@ -116,16 +165,7 @@ const SalesPage: React.FC = () => {
   }, [barcodeInput, products, formData.items, showModal]);
   const loadInvoices = async () => {
     try {
-      const data = await window.electronAPI.query(`
-        SELECT i.*, 
-               GROUP_CONCAT(p.name || ' x' || ii.quantity) as items_summary
-        FROM invoices i
-        LEFT JOIN invoice_items ii ON i.id = ii.invoice_id
-        LEFT JOIN products p ON ii.product_id = p.id
-        WHERE i.gym_id = ?
-        GROUP BY i.id
-        ORDER BY i.created_at DESC
-      `, [gymId]);
+      const data = await window.electronAPI.sales.listInvoices(gymId);
       setInvoices(data);
     } catch (error) {
       console.error('Error loading invoices:', error);
@@ -136,24 +176,13 @@ const SalesPage: React.FC = () => {
 
   const loadProducts = async () => {
     try {
-      const data = await window.electronAPI.query(`
-        SELECT id, name, barcode, sale_price, male_gym_quantity, female_gym_quantity
-        FROM products
-        WHERE ${gymType === 'male' ? 'male_gym_quantity' : 'female_gym_quantity'} > 0
-        ORDER BY name
-      `);
+      const data = await window.electronAPI.products.listInStock(gymId);
       setProducts(data);
     } catch (error) {
       console.error('Error loading products:', error);
     }
   };
 
-  const generateInvoiceNumber = () => {
-    const timestamp = Date.now().toString();
-    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-    return `INV-${timestamp.slice(-8)}-${random}`;
-  };
-
   const addItem = () => {
     setFormData({
       ...formData,
@@ -208,109 +237,115 @@ const SalesPage: React.FC = () => {
       return;
     }
 
-    try {
-      const invoiceNumber = generateInvoiceNumber();
-      const subtotal = formData.is_single_session ? parseFloat(formData.single_session_price) : calculateSubtotal();
-      const total = formData.is_single_session ? parseFloat(formData.single_session_price) : calculateTotal();
-      const paidAmount = parseFloat(formData.paid_amount) || 0;
-
-      // حساب الربح الإجمالي للفاتورة
-      let totalProfit = 0;
-      
-      // لا نحسب ربح للحصص المفردة
-      if (!formData.is_single_session) {
-        for (const item of formData.items) {
-          // الحصول على سعر الشراء للمنتج
-          const productData = await window.electronAPI.query(`
-            SELECT purchase_price FROM products WHERE id = ?
-          `, [item.product_id]);
-          
-          if (productData.length > 0) {
-            const purchasePrice = productData[0].purchase_price;
-            // حساب الربح لهذا العنصر بعد الخصم
-            const itemProfit = (item.total_price * (total / subtotal)) - (item.quantity * purchasePrice);
-            totalProfit += itemProfit;
-          }
-        }
-      }
+    // بدون مبلغ مدفوع: الفاتورة غير الآجلة مدفوعة بالكامل بالطريقة المختارة
+    const paid = parseFloat(formData.paid_amount) || 0;
+    const total = formData.is_single_session ? parseFloat(formData.single_session_price) || 0 : calculateTotal();
+    const amount = paid > 0 || formData.is_credit ? paid : total;
+    const payments: GymApi.PaymentInput[] = amount > 0
+      ? [{ method: formData.payment_method, amount, reference: formData.payment_reference }]
+      : [];
 
-      // Get current timestamp
-      const now = new Date();
-      const timestamp = now.toISOString().slice(0, 19).replace('T', ' ');
-
-      // Create invoice with profit
-      const invoiceResult = await window.electronAPI.run(`
-        INSERT INTO invoices (invoice_number, customer_name, customer_phone, subtotal, 
-                             discount, total, profit, paid_amount, is_credit, is_single_session, gym_id, user_id, created_at) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [
-        invoiceNumber,
-        formData.customer_name,
-        formData.customer_phone,
-        subtotal,
-        parseFloat(formData.discount) || 0,
-        total,
-        totalProfit,
-        paidAmount,
-        formData.is_credit,
-        formData.is_single_session,
-        gymId,
-        user?.id,
-        timestamp
-      ]);
-
-      const invoiceId = invoiceResult.lastInsertRowid;
-
-      // Add invoice items and update inventory
-      if (!formData.is_single_session) {
-        for (const item of formData.items) {
-          await window.electronAPI.run(`
-            INSERT INTO invoice_items (invoice_id, product_id, quantity, unit_price, total_price) 
-            VALUES (?, ?, ?, ?, ?)
-          `, [invoiceId, item.product_id, item.quantity, item.unit_price, item.total_price]);
-
-          // Update product quantity - خصم الكمية من الكمية المناسبة حسب نوع الصالة
-          await window.electronAPI.run(`
-            UPDATE products 
-            SET male_gym_quantity = male_gym_quantity - ? 
-            WHERE id = ?
-          `, [item.quantity, item.product_id]);
-        }
-      }
+    try {
+      // رقم الفاتورة والمجاميع والربح وخصم المخزون تُحسب في العملية الرئيسية
+      const invoice = await window.electronAPI.sales.createInvoice(gymId, {
+        customer_name: formData.customer_name,
+        customer_phone: formData.customer_phone,
+        discount: parseFloat(formData.discount) || 0,
+        payments,
+        is_credit: formData.is_credit,
+        is_single_session: formData.is_single_session,
+        single_session_price: parseFloat(formData.single_session_price),
+        items: formData.items.map(item => ({
+          product_id: item.product_id,
+          quantity: item.quantity,
+          unit_price: item.unit_price
+        }))
+      });
 
       await loadInvoices();
       await loadProducts();
       setShowModal(false);
       resetForm();
-      alert('تم إنشاء الفاتورة بنجاح');
+      const printError = await autoPrintEnabled() ? await printSaleReceipt(invoice.id, invoice.change) : null;
+      alert(saleSuccessMessage(invoice.change, formatCurrency, printError));
     } catch (error) {
       console.error('Error creating invoice:', error);
-      alert('حدث خطأ في إنشاء الفاتورة');
+      alert(error instanceof Error ? error.message : 'حدث خطأ في إنشاء الفاتورة');
     }
   };
 
+  const loadInvoiceDetails = async (invoice: Invoice) => {
+    const items = await window.electronAPI.sales.getInvoiceItems(invoice.id);
+    const returns = await window.electronAPI.sales.listReturns(invoice.id);
+    const payments = await window.electronAPI.sales.listPayments(invoice.id);
+    const details = { ...invoice, items, returns, payments };
+    setSelectedInvoice(details);
+    return details;
+  };
+
   const viewInvoice = async (invoice: Invoice) => {
     try {
-      const items = await window.electronAPI.query(`
-        SELECT ii.*, p.name as product_name
-        FROM invoice_items ii
-        JOIN products p ON ii.product_id = p.id
-        WHERE ii.invoice_id = ?
-      `, [invoice.id]);
-      
-      setSelectedInvoice({ ...invoice, items });
+      await loadInvoiceDetails(invoice);
       setShowViewModal(true);
     } catch (error) {
       console.error('Error loading invoice details:', error);
     }
   };
 
+  // إعادة طباعة إيصال الفاتورة من السجل على طابعة الإيصالات
+  const reprintInvoice = async (invoiceId: number) => {
+    try {
+      await window.electronAPI.receipts.print(invoiceId, { reprint: true });
+    } catch (error) {
+      console.error('Error printing receipt:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في طباعة الإيصال');
+    }
+  };
+
+  const previewReceipt = async (invoiceId: number) => {
+    try {
+      await window.electronAPI.receipts.preview(invoiceId, { reprint: true });
+    } catch (error) {
+      console.error('Error previewing receipt:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في معاينة الإيصال');
+    }
+  };
+
+  const openReturn = async (invoice: Invoice, mode: 'return' | 'void') => {
+    try {
+      await loadInvoiceDetails(invoice);
+      setReturnMode(mode);
+    } catch (error) {
+      console.error('Error loading invoice details:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في تحميل الفاتورة');
+    }
+  };
+
+  // بعد الإرجاع أو الإلغاء: تحديث الفاتورة وعرض وصل المرتجع للطباعة
+  const handleReturned = async (result: GymApi.CreatedSalesReturn) => {
+    setReturnMode(null);
+    try {
+      const data = await window.electronAPI.sales.listInvoices(gymId);
+      setInvoices(data);
+      await loadProducts();
+      const updated = data.find((invoice) => invoice.id === result.invoice_id);
+      if (updated) {
+        const details = await loadInvoiceDetails(updated);
+        setReceipt(details.returns.find((salesReturn) => salesReturn.id === result.id) || null);
+      }
+    } catch (error) {
+      console.error('Error reloading invoice:', error);
+    }
+  };
+
   const resetForm = () => {
     setFormData({
       customer_name: '',
       customer_phone: '',
       discount: '0',
       paid_amount: '0',
+      payment_method: 'cash',
+      payment_reference: '',
       is_credit: false,
       is_single_session: false,
       single_session_price: '200',
@@ -359,13 +394,24 @@ const SalesPage: React.FC = () => {
             إنشاء وإدارة فواتير المبيعات
           </p>
         </div>
-        <button
-          onClick={openAddModal}
-          className="btn-primary-ar arabic-text flex items-center"
-        >
-          <Plus className="w-5 h-5 ml-2" />
-          فاتورة جديدة
-        </button>
+        <div className="flex gap-2">
+          <ExportButtons
+            title="الفواتير"
+            columns={exportColumns}
+            rows={filteredInvoices.map((invoice) => ({
+              ...invoice,
+              payment_label: [invoice.is_credit ? 'دين' : null, paymentMethodsLabel(invoice)].filter(Boolean).join(' + '),
+              status_label: statusLabels[invoice.status].label
+            }))}
+          />
+          <button
+            onClick={openAddModal}
+            className="btn-primary-ar arabic-text flex items-center"
+          >
+            <Plus className="w-5 h-5 ml-2" />
+            فاتورة جديدة
+          </button>
+        </div>
       </div>
 
       {/* Filters */}
@@ -415,6 +461,7 @@ const SalesPage: React.FC = () => {
                   <th>المجموع الكلي</th>
                   <th>المبلغ المدفوع</th>
                   <th>نوع الدفع</th>
+                  <th>الحالة</th>
                   <th>التاريخ</th>
                   <th>الإجراءات</th>
                 </tr>
@@ -431,8 +478,19 @@ const SalesPage: React.FC = () => {
                     <td>{formatCurrency(invoice.paid_amount)}</td>
                     <td>
                       <span className={invoice.is_credit ? 'status-expiring' : 'status-active'}>
-                        {invoice.is_credit ? 'آجل' : 'نقدي'}
+                        {invoice.is_credit ? 'آجل' : 'مدفوعة'}
                       </span>
+                      {invoice.payment_methods && (
+                        <span className="block text-xs text-gray-600">{paymentMethodsLabel(invoice)}</span>
+                      )}
+                    </td>
+                    <td>
+                      <span className={statusLabels[invoice.status].className}>
+                        {statusLabels[invoice.status].label}
+                      </span>
+                      {invoice.returned_amount > 0 && (
+                        <span className="block text-xs text-red-600">-{formatCurrency(invoice.returned_amount)}</span>
+                      )}
                     </td>
                     <td>
                       {new Date(invoice.created_at).toLocaleDateString('ar-DZ')}
@@ -446,11 +504,30 @@ const SalesPage: React.FC = () => {
                           <Eye className="w-4 h-4" />
                         </button>
                         <button
-                          onClick={() => viewInvoice(invoice)}
+                          onClick={() => reprintInvoice(invoice.id)}
                           className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-colors"
+                          title="إعادة طباعة الإيصال"
                         >
                           <Printer className="w-4 h-4" />
                         </button>
+                        {hasPermission('sell') && isOpenInvoice(invoice) && !invoice.is_single_session && (
+                          <button
+                            onClick={() => openReturn(invoice, 'return')}
+                            className="p-2 text-orange-600 hover:bg-orange-50 rounded-lg transition-colors"
+                            title="إرجاع"
+                          >
+                            <RotateCcw className="w-4 h-4" />
+                          </button>
+                        )}
+                        {hasPermission('delete_invoices') && isOpenInvoice(invoice) && (
+                          <button
+                            onClick={() => openReturn(invoice, 'void')}
+                            className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                            title="إلغاء الفاتورة"
+                          >
+                            <Ban className="w-4 h-4" />
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -608,7 +685,7 @@ const SalesPage: React.FC = () => {
                           <option value="">اختر المنتج</option>
                           {products.map((product) => (
                             <option key={product.id} value={product.id}>
-                              {product.name} - {formatCurrency(product.sale_price)}
+                              {product.name} - {formatCurrency(product.sale_price)} (متوفر: {product.available})
                             </option>
                           ))}
                         </select>
@@ -634,6 +711,7 @@ const SalesPage: React.FC = () => {
                           value={item.unit_price}
                           onChange={(e) => updateItem(index, 'unit_price', parseFloat(e.target.value) || 0)}
                           className="form-input-ar"
+                          disabled={!hasPermission('edit_prices')}
                           required
                         />
                       </div>
@@ -665,7 +743,7 @@ const SalesPage: React.FC = () => {
 
               {/* Totals */}
               <div className="bg-gray-50 p-4 rounded-lg">
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
                   {!formData.is_single_session && (
                   <div className="form-group-ar">
                     <label className="form-label-ar arabic-text">
@@ -696,6 +774,31 @@ const SalesPage: React.FC = () => {
                     />
                   </div>
 
+                  <div className="form-group-ar">
+                    <label className="form-label-ar arabic-text">
+                      طريقة الدفع
+                    </label>
+                    <select
+                      value={formData.payment_method}
+                      onChange={(e) => setFormData({ ...formData, payment_method: e.target.value as GymApi.PaymentMethod })}
+                      className="form-select-ar"
+                    >
+                      {PAYMENT_METHODS.map((method) => (
+                        <option key={method} value={method}>{PAYMENT_METHOD_LABELS[method]}</option>
+                      ))}
+                    </select>
+                    {formData.payment_method !== 'cash' && (
+                      <input
+                        type="text"
+                        value={formData.payment_reference}
+                        onChange={(e) => setFormData({ ...formData, payment_reference: e.target.value })}
+                        className="form-input-ar mt-2"
+                        placeholder="رقم العملية أو الشيك"
+                        maxLength={100}
+                      />
+                    )}
+                  </div>
+
                   <div className="form-group-ar">
                     <label className="flex items-center">
                       <input
@@ -791,7 +894,12 @@ const SalesPage: React.FC = () => {
                   {selectedInvoice.items.map((item) => (
                     <tr key={item.id}>
                       <td>{item.product_name}</td>
-                      <td>{item.quantity}</td>
+                      <td>
+                        {item.quantity}
+                        {item.returned_quantity > 0 && (
+                          <span className="text-xs text-red-600 mr-1">(أُرجع {item.returned_quantity})</span>
+                        )}
+                      </td>
                       <td>{formatCurrency(item.unit_price)}</td>
                       <td>{formatCurrency(item.total_price)}</td>
                     </tr>
@@ -817,19 +925,101 @@ const SalesPage: React.FC = () => {
                   <span className="arabic-text">المجموع الكلي:</span>
                   <span>{formatCurrency(selectedInvoice.total)}</span>
                 </div>
+                {selectedInvoice.returned_amount > 0 && (
+                  <div className="flex justify-between text-red-600">
+                    <span className="arabic-text">المرتجع:</span>
+                    <span>-{formatCurrency(selectedInvoice.returned_amount)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between">
                   <span className="arabic-text">المبلغ المدفوع:</span>
                   <span>{formatCurrency(selectedInvoice.paid_amount)}</span>
                 </div>
-                {selectedInvoice.total > selectedInvoice.paid_amount && (
+                {selectedInvoice.total - selectedInvoice.returned_amount > selectedInvoice.paid_amount && (
                   <div className="flex justify-between text-red-600 font-bold">
                     <span className="arabic-text">المبلغ المتبقي:</span>
-                    <span>{formatCurrency(selectedInvoice.total - selectedInvoice.paid_amount)}</span>
+                    <span>{formatCurrency(selectedInvoice.total - selectedInvoice.returned_amount - selectedInvoice.paid_amount)}</span>
                   </div>
                 )}
               </div>
             </div>
 
+            {/* Payments */}
+            {selectedInvoice.payments.length > 0 && (
+              <div className="mb-6">
+                <h3 className="font-semibold mb-4 arabic-text">الدفعات</h3>
+                <table className="table-ar">
+                  <thead>
+                    <tr>
+                      <th>التاريخ</th>
+                      <th>طريقة الدفع</th>
+                      <th>المرجع</th>
+                      <th>المبلغ</th>
+                      <th>المستخدم</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selectedInvoice.payments.map((payment) => (
+                      <tr key={payment.id}>
+                        <td>{new Date(payment.created_at).toLocaleString('ar-DZ')}</td>
+                        <td>{PAYMENT_METHOD_LABELS[payment.method]}</td>
+                        <td>{payment.reference || '-'}</td>
+                        <td className={payment.amount < 0 ? 'text-red-600' : ''}>
+                          {formatCurrency(payment.amount)}
+                          {payment.return_id && <span className="block text-xs">رد مرتجع</span>}
+                        </td>
+                        <td>{payment.user_name || '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {/* Returns */}
+            {selectedInvoice.returns.length > 0 && (
+              <div className="mb-6">
+                <h3 className="font-semibold mb-4 arabic-text">المرتجعات</h3>
+                <table className="table-ar">
+                  <thead>
+                    <tr>
+                      <th>الرقم</th>
+                      <th>التاريخ</th>
+                      <th>العناصر</th>
+                      <th>القيمة</th>
+                      <th>المردود</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selectedInvoice.returns.map((salesReturn) => (
+                      <tr key={salesReturn.id}>
+                        <td>
+                          {salesReturn.return_number}
+                          {salesReturn.type === 'void' && <span className="status-expired mr-1">إلغاء</span>}
+                        </td>
+                        <td>{new Date(salesReturn.created_at).toLocaleDateString('ar-DZ')}</td>
+                        <td className="text-sm">
+                          {salesReturn.items.map((item) => `${item.product_name || `#${item.product_id}`} x${item.quantity}`).join('، ') || '-'}
+                        </td>
+                        <td>{formatCurrency(salesReturn.amount)}</td>
+                        <td>{formatCurrency(salesReturn.refund_amount)}</td>
+                        <td>
+                          <button
+                            onClick={() => setReceipt(salesReturn)}
+                            className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-colors"
+                            title="طباعة وصل المرتجع"
+                          >
+                            <Printer className="w-4 h-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
             <div className="flex items-center justify-end space-x-reverse space-x-4">
               <button
                 onClick={() => setShowViewModal(false)}
@@ -838,16 +1028,40 @@ const SalesPage: React.FC = () => {
                 إغلاق
               </button>
               <button
-                onClick={() => window.print()}
+                onClick={() => previewReceipt(selectedInvoice.id)}
+                className="btn-secondary-ar arabic-text flex items-center"
+              >
+                <FileText className="w-4 h-4 ml-2" />
+                معاينة PDF
+              </button>
+              <button
+                onClick={() => reprintInvoice(selectedInvoice.id)}
                 className="btn-primary-ar arabic-text flex items-center"
               >
                 <Printer className="w-4 h-4 ml-2" />
-                طباعة
+                طباعة الإيصال
               </button>
             </div>
           </div>
         </div>
       )}
+
+      {returnMode && selectedInvoice && (
+        <SalesReturnModal
+          invoice={selectedInvoice}
+          mode={returnMode}
+          onClose={() => setReturnMode(null)}
+          onDone={handleReturned}
+        />
+      )}
+
+      {receipt && selectedInvoice && (
+        <ReturnReceipt
+          invoiceNumber={selectedInvoice.invoice_number}
+          salesReturn={receipt}
+          onClose={() => setReceipt(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,228 @@
+import React, { useState } from 'react';
+import { RotateCcw, Ban } from 'lucide-react';
+import { useGym } from '../../contexts/GymContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { PAYMENT_METHODS, PAYMENT_METHOD_LABELS } from '../../utils/payment-methods';
+
+interface ReturnableItem {
+  id: number;
+  product_name: string;
+  quantity: number;
+  returned_quantity: number;
+  unit_price: number;
+}
+
+interface ReturnableInvoice {
+  id: number;
+  invoice_number: string;
+  subtotal: number;
+  total: number;
+  paid_amount: number;
+  returned_amount: number;
+  is_credit: boolean;
+  items: ReturnableItem[];
+}
+
+interface SalesReturnModalProps {
+  invoice: ReturnableInvoice;
+  // void: إلغاء كل ما بقي من الفاتورة بسبب إلزامي، return: إرجاع عناصر مختارة
+  mode: 'return' | 'void';
+  onClose: () => void;
+  onDone: (salesReturn: GymApi.CreatedSalesReturn) => void;
+}
+
+const formatCurrency = (amount: number) => {
+  return new Intl.NumberFormat('ar-DZ', {
+    style: 'currency',
+    currency: 'DZD',
+    minimumFractionDigits: 0
+  }).format(amount);
+};
+
+const SalesReturnModal: React.FC<SalesReturnModalProps> = ({ invoice, mode, onClose, onDone }) => {
+  const { gymId } = useGym();
+  const { hasPermission } = useAuth();
+  // إرجاع كل ما بقي من الفاتورة إلغاء لها، فلا يُعرض إلا لمن يلغي الفواتير
+  const canReturnAll = hasPermission('delete_invoices');
+  const returnable = invoice.items.filter((item) => item.quantity > item.returned_quantity);
+  const [quantities, setQuantities] = useState<Record<number, number>>(
+    mode === 'void' ? Object.fromEntries(returnable.map((item) => [item.id, item.quantity - item.returned_quantity])) : {}
+  );
+  const [reason, setReason] = useState('');
+  const [refundMethod, setRefundMethod] = useState<GymApi.PaymentMethod>('cash');
+  const [saving, setSaving] = useState(false);
+
+  const setQuantity = (item: ReturnableItem, value: number) => {
+    const remaining = item.quantity - item.returned_quantity;
+    setQuantities({ ...quantities, [item.id]: Math.max(0, Math.min(remaining, Math.floor(value) || 0)) });
+  };
+
+  const returnAll = () => {
+    setQuantities(Object.fromEntries(returnable.map((item) => [item.id, item.quantity - item.returned_quantity])));
+  };
+
+  // تقدير للعرض فقط بنفس نسبة الخصم، والمبلغ الفعلي يُحسب في العملية الرئيسية
+  const ratio = invoice.subtotal > 0 ? invoice.total / invoice.subtotal : 0;
+  const amount = mode === 'void'
+    ? invoice.total - invoice.returned_amount
+    : returnable.reduce((sum, item) => sum + (quantities[item.id] || 0) * item.unit_price * ratio, 0);
+  const debt = invoice.is_credit ? Math.max(0, invoice.total - invoice.returned_amount - invoice.paid_amount) : 0;
+  const debtReduction = Math.min(amount, debt);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const items = returnable
+      .filter((item) => (quantities[item.id] || 0) > 0)
+      .map((item) => ({ invoice_item_id: item.id, quantity: quantities[item.id] }));
+    if (mode === 'return' && items.length === 0) {
+      alert('يرجى تحديد كمية مرتجعة لعنصر واحد على الأقل');
+      return;
+    }
+    if (mode === 'void' && reason.trim() === '') {
+      alert('يرجى كتابة سبب الإلغاء');
+      return;
+    }
+
+    try {
+      const confirmResult = await window.electronAPI.showConfirm({
+        title: mode === 'void' ? 'إلغاء الفاتورة' : 'إرجاع مبيعات',
+        message: mode === 'void'
+          ? `هل أنت متأكد من إلغاء الفاتورة ${invoice.invoice_number}؟`
+          : `هل تريد تسجيل إرجاع بقيمة ${formatCurrency(amount)} من الفاتورة ${invoice.invoice_number}؟`,
+        detail: 'تعود الكميات إلى المخزون ويُخصم الربح، ولا يمكن التراجع عن هذه العملية.',
+        buttons: [mode === 'void' ? 'إلغاء الفاتورة' : 'إرجاع', 'تراجع'],
+        defaultId: 1,
+        cancelId: 1
+      });
+      if (confirmResult.response === 1) {
+        return;
+      }
+
+      setSaving(true);
+      const result = mode === 'void'
+        ? await window.electronAPI.sales.voidInvoice(gymId, invoice.id, reason, refundMethod)
+        : await window.electronAPI.sales.createReturn(gymId, invoice.id, { reason, refund_method: refundMethod, items });
+      onDone(result);
+    } catch (error) {
+      console.error('Error returning invoice:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في تسجيل المرتجع');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay-ar">
+      <div className="modal-content-ar max-w-2xl">
+        <h2 className="text-xl font-bold text-gray-900 mb-6 arabic-text flex items-center">
+          {mode === 'void' ? <Ban className="w-6 h-6 ml-2 text-red-600" /> : <RotateCcw className="w-6 h-6 ml-2 text-orange-600" />}
+          {mode === 'void' ? 'إلغاء الفاتورة' : 'إرجاع من الفاتورة'} {invoice.invoice_number}
+        </h2>
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          {returnable.length > 0 && (
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="font-semibold arabic-text">العناصر</h3>
+                {mode === 'return' && canReturnAll && (
+                  <button type="button" onClick={returnAll} className="btn-secondary-ar arabic-text text-sm">
+                    إرجاع الكل
+                  </button>
+                )}
+              </div>
+              <table className="table-ar">
+                <thead>
+                  <tr>
+                    <th>المنتج</th>
+                    <th>المباع</th>
+                    <th>أُرجع سابقاً</th>
+                    <th>سعر الوحدة</th>
+                    <th>الكمية المرتجعة</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {returnable.map((item) => (
+                    <tr key={item.id}>
+                      <td>{item.product_name}</td>
+                      <td>{item.quantity}</td>
+                      <td>{item.returned_quantity}</td>
+                      <td>{formatCurrency(item.unit_price)}</td>
+                      <td>
+                        <input
+                          type="number"
+                          min="0"
+                          max={item.quantity - item.returned_quantity}
+                          value={quantities[item.id] || 0}
+                          onChange={(e) => setQuantity(item, parseInt(e.target.value))}
+                          disabled={mode === 'void'}
+                          className="form-input-ar w-24"
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="form-group-ar">
+            <label className="form-label-ar arabic-text">
+              {mode === 'void' ? 'سبب الإلغاء *' : 'سبب الإرجاع'}
+            </label>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="form-input-ar"
+              rows={2}
+              maxLength={255}
+              required={mode === 'void'}
+            />
+          </div>
+
+          <div className="bg-gray-50 p-4 rounded-lg space-y-2 arabic-text">
+            <div className="flex justify-between font-bold">
+              <span>قيمة المرتجع بعد الخصم:</span>
+              <span>{formatCurrency(amount)}</span>
+            </div>
+            {debtReduction > 0 && (
+              <div className="flex justify-between">
+                <span>يُخصم من دين الفاتورة:</span>
+                <span>{formatCurrency(debtReduction)}</span>
+              </div>
+            )}
+            <div className="flex justify-between text-green-700 font-bold">
+              <span>يُرد للزبون:</span>
+              <span>{formatCurrency(amount - debtReduction)}</span>
+            </div>
+          </div>
+
+          {amount - debtReduction > 0 && (
+            <div className="form-group-ar">
+              <label className="form-label-ar arabic-text">طريقة رد المبلغ</label>
+              <select
+                value={refundMethod}
+                onChange={(e) => setRefundMethod(e.target.value as GymApi.PaymentMethod)}
+                className="form-select-ar"
+              >
+                {PAYMENT_METHODS.map((method) => (
+                  <option key={method} value={method}>{PAYMENT_METHOD_LABELS[method]}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="flex items-center justify-end space-x-reverse space-x-4">
+            <button type="button" onClick={onClose} disabled={saving} className="btn-secondary-ar arabic-text">
+              تراجع
+            </button>
+            <button type="submit" disabled={saving} className="btn-primary-ar arabic-text">
+              {saving ? 'جاري الحفظ...' : (mode === 'void' ? 'إلغاء الفاتورة' : 'تسجيل الإرجاع')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SalesReturnModal;
@@ -0,0 +1,448 @@
+import React, { useState, useEffect } from 'react';
+import { HardDrive, Plus, Edit, Trash2, PlugZap, FolderOpen } from 'lucide-react';
+
+const typeLabels: Record<GymApi.BackupDestinationType, string> = {
+  folder: 'مجلد محلي أو قرص خارجي',
+  network: 'مجلد مشترك على الشبكة',
+  webdav: 'WebDAV',
+  s3: 'تخزين متوافق مع S3',
+  google_drive: 'Google Drive'
+};
+
+const emptyForm = (): GymApi.BackupDestinationInput => ({
+  name: '',
+  type: 'folder',
+  enabled: true,
+  settings: { path_style: true }
+});
+
+// وجهات النسخ الاحتياطية: كل نسخة يدوية أو مجدولة تُرسل إلى جميع الوجهات المفعلة.
+// كلمات السر لا تُعرض بعد حفظها، وتركها فارغة عند التعديل يبقي القيمة السابقة
+const BackupDestinations: React.FC = () => {
+  const [destinations, setDestinations] = useState<GymApi.BackupDestination[]>([]);
+  const [showModal, setShowModal] = useState(false);
+  const [editing, setEditing] = useState<GymApi.BackupDestination | null>(null);
+  const [formData, setFormData] = useState<GymApi.BackupDestinationInput>(emptyForm());
+  const [busy, setBusy] = useState<string | null>(null);
+  const [testResult, setTestResult] = useState<{ ok: boolean; message: string } | null>(null);
+
+  useEffect(() => {
+    loadDestinations();
+  }, []);
+
+  const loadDestinations = async () => {
+    try {
+      setDestinations(await window.electronAPI.destinations.list());
+    } catch (error) {
+      console.error('Error loading backup destinations:', error);
+    }
+  };
+
+  const setSetting = (key: keyof GymApi.BackupDestinationSettings, value: string | boolean) => {
+    setFormData({ ...formData, settings: { ...formData.settings, [key]: value } });
+    setTestResult(null);
+  };
+
+  const openModal = (destination?: GymApi.BackupDestination) => {
+    setEditing(destination || null);
+    setFormData(destination
+      ? { id: destination.id, name: destination.name, type: destination.type, enabled: destination.enabled, settings: { ...destination.settings } }
+      : emptyForm());
+    setTestResult(null);
+    setShowModal(true);
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditing(null);
+  };
+
+  const chooseFolder = async () => {
+    try {
+      const result = await window.electronAPI.destinations.chooseFolder();
+      if (!result.canceled && result.path) {
+        setSetting('path', result.path);
+      }
+    } catch (error) {
+      console.error('Error choosing destination folder:', error);
+    }
+  };
+
+  const runTest = async (payload: GymApi.BackupDestinationInput, key: string) => {
+    try {
+      setBusy(key);
+      const result = await window.electronAPI.destinations.test(payload);
+      return { ok: true, message: result.message };
+    } catch (error) {
+      return { ok: false, message: error instanceof Error ? error.message : 'فشل الاتصال بالوجهة' };
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const testForm = async () => {
+    setTestResult(await runTest(formData, 'test'));
+  };
+
+  const testSaved = async (destination: GymApi.BackupDestination) => {
+    const result = await runTest({ id: destination.id, name: destination.name, type: destination.type, enabled: destination.enabled, settings: destination.settings }, `test-${destination.id}`);
+    alert(`${result.ok ? '✓' : '✗'} ${destination.name}: ${result.message}`);
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    try {
+      setBusy('save');
+      await window.electronAPI.destinations.save(formData);
+      closeModal();
+      await loadDestinations();
+    } catch (error) {
+      console.error('Error saving backup destination:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في حفظ الوجهة');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const toggleEnabled = async (destination: GymApi.BackupDestination) => {
+    try {
+      await window.electronAPI.destinations.save({
+        id: destination.id,
+        name: destination.name,
+        type: destination.type,
+        enabled: !destination.enabled,
+        settings: destination.settings
+      });
+      await loadDestinations();
+    } catch (error) {
+      console.error('Error updating backup destination:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في تحديث الوجهة');
+    }
+  };
+
+  const handleDelete = async (destination: GymApi.BackupDestination) => {
+    if (!window.confirm(`هل تريد حذف الوجهة ${destination.name}؟ النسخ المرسلة إليها لا تُحذف`)) {
+      return;
+    }
+    try {
+      await window.electronAPI.destinations.remove(destination.id);
+      await loadDestinations();
+    } catch (error) {
+      console.error('Error deleting backup destination:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في حذف الوجهة');
+    }
+  };
+
+  const lastStatus = (destination: GymApi.BackupDestination) => {
+    if (!destination.last) return <span className="text-gray-500">لم تُرسل نسخ بعد</span>;
+    const at = new Date(destination.last.at).toLocaleString('ar-DZ');
+    if (destination.last.status === 'uploaded') return <span className="text-green-700" title={destination.last.file}>نجح - {at}</span>;
+    return <span className="text-red-700" title={destination.last.error || ''}>فشل - {at}</span>;
+  };
+
+  const { settings } = formData;
+  const secretPlaceholder = editing?.has_secret ? 'اتركها فارغة للإبقاء على المحفوظة' : '';
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded-lg space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <HardDrive className="w-5 h-5 ml-2 text-gray-700" />
+          <h3 className="font-semibold text-gray-800 arabic-text">وجهات النسخ الاحتياطية</h3>
+        </div>
+        <button onClick={() => openModal()} className="btn-secondary-ar arabic-text flex items-center">
+          <Plus className="w-4 h-4 ml-2" />
+          إضافة وجهة
+        </button>
+      </div>
+
+      {destinations.length === 0 ? (
+        <p className="text-sm text-gray-600 arabic-text">
+          النسخ تُحفظ على هذا الجهاز فقط. أضف قرصاً خارجياً أو مجلد شبكة أو خادم WebDAV أو S3 لإرسال نسخة من كل نسخة احتياطية إليه
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="table-ar">
+            <thead>
+              <tr>
+                <th>الاسم</th>
+                <th>النوع</th>
+                <th>مفعلة</th>
+                <th>آخر إرسال</th>
+                <th>الإجراءات</th>
+              </tr>
+            </thead>
+            <tbody>
+              {destinations.map((destination) => (
+                <tr key={destination.id}>
+                  <td>{destination.name}</td>
+                  <td>{typeLabels[destination.type]}</td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={destination.enabled}
+                      onChange={() => toggleEnabled(destination)}
+                    />
+                  </td>
+                  <td>{lastStatus(destination)}</td>
+                  <td>
+                    <div className="flex items-center space-x-reverse space-x-2">
+                      <button
+                        onClick={() => testSaved(destination)}
+                        disabled={busy !== null}
+                        className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-colors disabled:opacity-40"
+                        title="اختبار الاتصال"
+                      >
+                        <PlugZap className={`w-4 h-4 ${busy === `test-${destination.id}` ? 'animate-pulse' : ''}`} />
+                      </button>
+                      <button
+                        onClick={() => openModal(destination)}
+                        className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                        title="تعديل"
+                      >
+                        <Edit className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(destination)}
+                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                        title="حذف"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {showModal && (
+        <div className="modal-overlay-ar">
+          <div className="modal-content-ar max-w-2xl">
+            <h2 className="text-xl font-bold text-gray-900 mb-6 arabic-text">
+              {editing ? 'تعديل الوجهة' : 'إضافة وجهة'}
+            </h2>
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="form-group-ar">
+                  <label className="form-label-ar arabic-text">الاسم</label>
+                  <input
+                    type="text"
+                    value={formData.name}
+                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                    className="form-input-ar"
+                    placeholder="مثال: القرص الخارجي"
+                    required
+                  />
+                </div>
+                <div className="form-group-ar">
+                  <label className="form-label-ar arabic-text">النوع</label>
+                  <select
+                    value={formData.type}
+                    onChange={(e) => {
+                      setFormData({ ...formData, type: e.target.value as GymApi.BackupDestinationType, settings: { path_style: true } });
+                      setTestResult(null);
+                    }}
+                    className="form-select-ar"
+                    disabled={Boolean(editing)}
+                  >
+                    {Object.entries(typeLabels).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              {(formData.type === 'folder' || formData.type === 'network') && (
+                <div className="form-group-ar">
+                  <label className="form-label-ar arabic-text">مسار المجلد</label>
+                  <div className="flex space-x-reverse space-x-2">
+                    <input
+                      type="text"
+                      dir="ltr"
+                      value={settings.path || ''}
+                      onChange={(e) => setSetting('path', e.target.value)}
+                      className="form-input-ar"
+                      placeholder={formData.type === 'network' ? '\\\\NAS\\backups' : 'E:\\GymBackups'}
+                      required
+                    />
+                    <button type="button" onClick={chooseFolder} className="btn-secondary-ar arabic-text flex items-center whitespace-nowrap">
+                      <FolderOpen className="w-4 h-4 ml-2" />
+                      اختيار
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {formData.type === 'webdav' && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div className="form-group-ar md:col-span-2">
+                    <label className="form-label-ar arabic-text">عنوان المجلد على الخادم</label>
+                    <input
+                      type="url"
+                      dir="ltr"
+                      value={settings.url || ''}
+                      onChange={(e) => setSetting('url', e.target.value)}
+                      className="form-input-ar"
+                      placeholder="https://cloud.example.com/remote.php/dav/files/user/backups"
+                      required
+                    />
+                  </div>
+                  <div className="form-group-ar">
+                    <label className="form-label-ar arabic-text">اسم المستخدم</label>
+                    <input
+                      type="text"
+                      dir="ltr"
+                      value={settings.username || ''}
+                      onChange={(e) => setSetting('username', e.target.value)}
+                      className="form-input-ar"
+                    />
+                  </div>
+                  <div className="form-group-ar">
+                    <label className="form-label-ar arabic-text">كلمة المرور</label>
+                    <input
+                      type="password"
+                      dir="ltr"
+                      value={settings.password || ''}
+                      onChange={(e) => setSetting('password', e.target.value)}
+                      className="form-input-ar"
+                      placeholder={secretPlaceholder}
+                      autoComplete="off"
+                    />
+                  </div>
+                </div>
+              )}
+
+              {formData.type === 's3' && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div className="form-group-ar">
+                    <label className="form-label-ar arabic-text">عنوان الخادم (Endpoint)</label>
+                    <input
+                      type="url"
+                      dir="ltr"
+                      value={settings.endpoint || ''}
+                      onChange={(e) => setSetting('endpoint', e.target.value)}
+                      className="form-input-ar"
+                      placeholder="https://s3.eu-west-3.amazonaws.com"
+                      required
+                    />
+                  </div>
+                  <div className="form-group-ar">
+                    <label className="form-label-ar arabic-text">المنطقة (Region)</label>
+                    <input
+                      type="text"
+                      dir="ltr"
+                      value={settings.region || ''}
+                      onChange={(e) => setSetting('region', e.target.value)}
+                      className="form-input-ar"
+                      placeholder="us-east-1"
+                    />
+                  </div>
+                  <div className="form-group-ar">
+                    <label className="form-label-ar arabic-text">الحاوية (Bucket)</label>
+                    <input
+                      type="text"
+                      dir="ltr"
+                      value={settings.bucket || ''}
+                      onChange={(e) => setSetting('bucket', e.target.value)}
+                      className="form-input-ar"
+                      required
+                    />
+                  </div>
+                  <div className="form-group-ar">
+                    <label className="form-label-ar arabic-text">مجلد داخل الحاوية</label>
+                    <input
+                      type="text"
+                      dir="ltr"
+                      value={settings.prefix || ''}
+                      onChange={(e) => setSetting('prefix', e.target.value)}
+                      className="form-input-ar"
+                      placeholder="gym-backups/"
+                    />
+                  </div>
+                  <div className="form-group-ar">
+                    <label className="form-label-ar arabic-text">مفتاح الدخول (Access Key)</label>
+                    <input
+                      type="text"
+                      dir="ltr"
+                      value={settings.access_key_id || ''}
+                      onChange={(e) => setSetting('access_key_id', e.target.value)}
+                      className="form-input-ar"
+                      required
+                    />
+                  </div>
+                  <div className="form-group-ar">
+                    <label className="form-label-ar arabic-text">المفتاح السري (Secret Key)</label>
+                    <input
+                      type="password"
+                      dir="ltr"
+                      value={settings.secret_access_key || ''}
+                      onChange={(e) => setSetting('secret_access_key', e.target.value)}
+                      className="form-input-ar"
+                      placeholder={secretPlaceholder}
+                      autoComplete="off"
+                    />
+                  </div>
+                  <label className="flex items-center md:col-span-2 text-sm arabic-text">
+                    <input
+                      type="checkbox"
+                      checked={settings.path_style !== false}
+                      onChange={(e) => setSetting('path_style', e.target.checked)}
+                      className="ml-2"
+                    />
+                    اسم الحاوية في المسار (مطلوب لـ MinIO ومعظم الخوادم المحلية)
+                  </label>
+                </div>
+              )}
+
+              {formData.type === 'google_drive' && (
+                <p className="text-sm text-gray-600 arabic-text">
+                  تُرسل النسخ إلى الحساب والمجلد المختارين في قسم ربط Google Drive
+                </p>
+              )}
+
+              <label className="flex items-center text-sm arabic-text">
+                <input
+                  type="checkbox"
+                  checked={formData.enabled}
+                  onChange={(e) => setFormData({ ...formData, enabled: e.target.checked })}
+                  className="ml-2"
+                />
+                إرسال كل نسخة احتياطية جديدة إلى هذه الوجهة
+              </label>
+
+              {testResult && (
+                <div className={`p-3 rounded-lg text-sm arabic-text ${testResult.ok ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+                  {testResult.message}
+                </div>
+              )}
+
+              <div className="flex justify-end space-x-reverse space-x-4 pt-4">
+                <button type="button" onClick={closeModal} className="btn-secondary-ar arabic-text">
+                  إلغاء
+                </button>
+                <button
+                  type="button"
+                  onClick={testForm}
+                  disabled={busy !== null}
+                  className="btn-secondary-ar arabic-text flex items-center"
+                >
+                  <PlugZap className="w-4 h-4 ml-2" />
+                  {busy === 'test' ? 'جاري الاختبار...' : 'اختبار الاتصال'}
+                </button>
+                <button type="submit" disabled={busy !== null} className="btn-primary-ar arabic-text">
+                  {busy === 'save' ? 'جاري الحفظ...' : 'حفظ'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BackupDestinations;
@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { Lock, Unlock } from 'lucide-react';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// تشفير النسخ الاحتياطية بكلمة مرور. كلمة المرور لا تُعرض بعد حفظها، ويمكن فقط استبدالها
+const BackupEncryption: React.FC = () => {
+  const [status, setStatus] = useState<GymApi.BackupEncryptionStatus | null>(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const loadStatus = async () => {
+    try {
+      setStatus(await window.electronAPI.backups.encryptionStatus());
+    } catch (error) {
+      console.error('Error loading backup encryption status:', error);
+    }
+  };
+
+  const save = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      alert(`كلمة المرور يجب أن تكون ${MIN_PASSPHRASE_LENGTH} أحرف على الأقل`);
+      return;
+    }
+    if (passphrase !== confirm) {
+      alert('كلمتا المرور غير متطابقتين');
+      return;
+    }
+    try {
+      setSaving(true);
+      setStatus(await window.electronAPI.backups.setEncryption({ enabled: true, passphrase }));
+      setPassphrase('');
+      setConfirm('');
+      alert('تم تفعيل تشفير النسخ الاحتياطية. احفظ كلمة المرور في مكان آمن');
+    } catch (error) {
+      console.error('Error enabling backup encryption:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في حفظ إعدادات التشفير');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const disable = async () => {
+    if (!window.confirm('ستُحفظ النسخ الجديدة دون تشفير. النسخ المشفرة السابقة تبقى مشفرة بكلمة مرورها. هل تريد المتابعة؟')) {
+      return;
+    }
+    try {
+      setSaving(true);
+      setStatus(await window.electronAPI.backups.setEncryption({ enabled: false }));
+    } catch (error) {
+      console.error('Error disabling backup encryption:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في حفظ إعدادات التشفير');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!status) {
+    return null;
+  }
+
+  return (
+    <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          {status.enabled
+            ? <Lock className="w-5 h-5 ml-2 text-green-700" />
+            : <Unlock className="w-5 h-5 ml-2 text-gray-500" />}
+          <h3 className="font-semibold text-gray-800 arabic-text">تشفير النسخ الاحتياطية</h3>
+        </div>
+        <span className={status.enabled ? 'status-active' : 'status-expiring'}>
+          {status.enabled ? 'مفعل' : 'غير مفعل'}
+        </span>
+      </div>
+      <p className="text-sm text-gray-600 arabic-text">
+        النسخ اليدوية والتلقائية والمرفوعة إلى Google Drive تُضغط وتُشفر بكلمة المرور (ملفات .gymbak).
+        لا يمكن استعادة نسخة مشفرة دون كلمة مرورها، ولا توجد طريقة لاسترجاعها إذا نُسيت.
+      </p>
+
+      {!status.available && !status.enabled ? (
+        <p className="text-sm text-red-700 arabic-text">حفظ كلمة المرور بأمان غير متاح على هذا الجهاز</p>
+      ) : (
+        <form onSubmit={save} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          <div className="form-group-ar">
+            <label className="form-label-ar arabic-text">
+              {status.enabled ? 'كلمة مرور جديدة' : 'كلمة المرور'}
+            </label>
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              className="form-input-ar"
+              autoComplete="new-password"
+            />
+          </div>
+          <div className="form-group-ar">
+            <label className="form-label-ar arabic-text">تأكيد كلمة المرور</label>
+            <input
+              type="password"
+              value={confirm}
+              onChange={(e) => setConfirm(e.target.value)}
+              className="form-input-ar"
+              autoComplete="new-password"
+            />
+          </div>
+          <div className="flex space-x-reverse space-x-2">
+            <button type="submit" disabled={saving || !passphrase} className="btn-primary-ar arabic-text">
+              {status.enabled ? 'تغيير كلمة المرور' : 'تفعيل التشفير'}
+            </button>
+            {status.enabled && (
+              <button type="button" onClick={disable} disabled={saving} className="btn-secondary-ar arabic-text">
+                إيقاف
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default BackupEncryption;
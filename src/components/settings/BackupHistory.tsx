@@ -0,0 +1,292 @@
+import React, { useState, useEffect } from 'react';
+import { History, RotateCcw, Download, Trash2, Save, Lock, Send } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import RestorePreviewModal from './RestorePreviewModal';
+
+interface BackupHistoryProps {
+  // يتغير بعد كل نسخة جديدة حتى يُعاد تحميل السجل
+  refreshKey: number;
+}
+
+const triggerLabels: Record<GymApi.BackupTrigger, string> = {
+  manual: 'يدوي',
+  auto: 'تلقائي',
+  custom: 'مسار مخصص',
+  legacy: 'قديم',
+  'pre-restore': 'قبل الاستعادة',
+  exit: 'عند الإغلاق',
+  'pre-repair': 'قبل الإصلاح',
+  'pre-close': 'قبل إقفال الفترة',
+  'pre-import': 'قبل استيراد بيانات فرع'
+};
+
+const formatSize = (bytes: number) => {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+};
+
+const formatDuration = (ms: number | null) => {
+  if (ms === null) return '-';
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} ث`;
+};
+
+const BackupHistory: React.FC<BackupHistoryProps> = ({ refreshKey }) => {
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('restore_backups');
+  const [entries, setEntries] = useState<GymApi.BackupEntry[]>([]);
+  const [retention, setRetention] = useState<GymApi.BackupRetention>({ daily: 7, weekly: 4, monthly: 6 });
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState<number | null>(null);
+  const [savingRetention, setSavingRetention] = useState(false);
+  const [restoreId, setRestoreId] = useState<number | null>(null);
+
+  useEffect(() => {
+    loadCatalogue();
+  }, [refreshKey]);
+
+  const loadCatalogue = async () => {
+    try {
+      setLoading(true);
+      const catalogue = await window.electronAPI.backups.list();
+      setEntries(catalogue.entries);
+      setRetention(catalogue.retention);
+    } catch (error) {
+      console.error('Error loading backup history:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const saveRetention = async () => {
+    try {
+      setSavingRetention(true);
+      setRetention(await window.electronAPI.backups.setRetention(retention));
+      await loadCatalogue();
+      alert('تم حفظ قواعد الاحتفاظ وحذف النسخ الزائدة');
+    } catch (error) {
+      console.error('Error saving retention:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في حفظ قواعد الاحتفاظ');
+    } finally {
+      setSavingRetention(false);
+    }
+  };
+
+  const handleExport = async (entry: GymApi.BackupEntry) => {
+    try {
+      setBusyId(entry.id);
+      const result = await window.electronAPI.backups.export(entry.id);
+      if (!result.canceled) {
+        alert(`تم تصدير النسخة إلى: ${result.path}`);
+      }
+    } catch (error) {
+      console.error('Error exporting backup:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في تصدير النسخة الاحتياطية');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (entry: GymApi.BackupEntry) => {
+    if (!window.confirm(`هل أنت متأكد من حذف النسخة ${entry.file}؟`)) {
+      return;
+    }
+    try {
+      setBusyId(entry.id);
+      await window.electronAPI.backups.remove(entry.id);
+      await loadCatalogue();
+    } catch (error) {
+      console.error('Error deleting backup:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في حذف النسخة الاحتياطية');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const verificationBadge = (entry: GymApi.BackupEntry) => {
+    if (entry.verified === true) return <span className="status-active">سليمة</span>;
+    if (entry.verified === false) return <span className="status-expired" title={entry.error || ''}>فشل التحقق</span>;
+    return <span className="status-expiring">غير متحقق منها</span>;
+  };
+
+  // إعادة الإرسال إلى الوجهات المفعلة التي لم تصلها النسخة بعد
+  const handleSend = async (entry: GymApi.BackupEntry) => {
+    try {
+      setBusyId(entry.id);
+      const results = await window.electronAPI.backups.send(entry.id);
+      await loadCatalogue();
+      if (results.length === 0) {
+        alert('النسخة موجودة في جميع الوجهات المفعلة');
+      } else {
+        alert(results
+          .map((result) => (result.status === 'uploaded'
+            ? `${result.destination}: تم الإرسال`
+            : `${result.destination}: فشل - ${result.error}`))
+          .join('\n'));
+      }
+    } catch (error) {
+      console.error('Error sending backup:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في إرسال النسخة الاحتياطية');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const uploadLabels = (entry: GymApi.BackupEntry) => {
+    const uploads = Object.values(entry.uploads || {});
+    if (uploads.length === 0) return '-';
+    return (
+      <div className="flex flex-col text-xs">
+        {uploads.map((upload) => (upload.status === 'uploaded' ? (
+          <span key={upload.destination} className="text-green-700" title={upload.location || ''}>✓ {upload.destination}</span>
+        ) : (
+          <span key={upload.destination} className="text-red-700" title={upload.error || ''}>✗ {upload.destination}</span>
+        )))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg space-y-4">
+      <div className="flex items-center">
+        <History className="w-5 h-5 ml-2 text-gray-700" />
+        <h3 className="font-semibold text-gray-800 arabic-text">سجل النسخ الاحتياطية</h3>
+      </div>
+
+      {/* Retention Rules */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+        <div className="form-group-ar">
+          <label className="form-label-ar arabic-text">نسخ يومية (أيام)</label>
+          <input
+            type="number"
+            min="0"
+            value={retention.daily}
+            onChange={(e) => setRetention({ ...retention, daily: parseInt(e.target.value) || 0 })}
+            className="form-input-ar"
+            disabled={!canManage}
+          />
+        </div>
+        <div className="form-group-ar">
+          <label className="form-label-ar arabic-text">نسخ أسبوعية (أسابيع)</label>
+          <input
+            type="number"
+            min="0"
+            value={retention.weekly}
+            onChange={(e) => setRetention({ ...retention, weekly: parseInt(e.target.value) || 0 })}
+            className="form-input-ar"
+            disabled={!canManage}
+          />
+        </div>
+        <div className="form-group-ar">
+          <label className="form-label-ar arabic-text">نسخ شهرية (أشهر)</label>
+          <input
+            type="number"
+            min="0"
+            value={retention.monthly}
+            onChange={(e) => setRetention({ ...retention, monthly: parseInt(e.target.value) || 0 })}
+            className="form-input-ar"
+            disabled={!canManage}
+          />
+        </div>
+        {canManage && (
+          <button
+            onClick={saveRetention}
+            disabled={savingRetention}
+            className="btn-secondary-ar arabic-text flex items-center justify-center"
+          >
+            <Save className="w-4 h-4 ml-2" />
+            {savingRetention ? 'جاري الحفظ...' : 'حفظ قواعد الاحتفاظ'}
+          </button>
+        )}
+      </div>
+      <p className="text-xs text-gray-600 arabic-text">
+        تُحذف النسخ اليدوية والتلقائية الزائدة تلقائياً، وتبقى دائماً أحدث نسخة سليمة والنسخ المحفوظة في مسار مخصص
+      </p>
+
+      {/* History Table */}
+      {loading ? (
+        <div className="flex items-center justify-center h-24">
+          <div className="spinner"></div>
+        </div>
+      ) : entries.length === 0 ? (
+        <p className="text-center text-gray-600 arabic-text py-6">لا توجد نسخ احتياطية بعد</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="table-ar">
+            <thead>
+              <tr>
+                <th>التاريخ</th>
+                <th>المصدر</th>
+                <th>الحجم</th>
+                <th>المدة</th>
+                <th>التحقق</th>
+                <th>الوجهات</th>
+                {canManage && <th>الإجراءات</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry.id} className={entry.exists === false ? 'opacity-50' : ''}>
+                  <td title={entry.path}>{new Date(entry.created_at).toLocaleString('ar-DZ')}</td>
+                  <td>
+                    <span className="flex items-center">
+                      {triggerLabels[entry.trigger] || entry.trigger}
+                      {entry.encrypted && <Lock className="w-3 h-3 mr-1 text-gray-500" aria-label="مشفرة" />}
+                    </span>
+                  </td>
+                  <td>{entry.size ? formatSize(entry.size) : '-'}</td>
+                  <td>{formatDuration(entry.duration_ms)}</td>
+                  <td>{entry.exists === false ? <span className="status-expired">الملف محذوف</span> : verificationBadge(entry)}</td>
+                  <td>{uploadLabels(entry)}</td>
+                  {canManage && (
+                    <td>
+                      <div className="flex items-center space-x-reverse space-x-2">
+                        <button
+                          onClick={() => setRestoreId(entry.id)}
+                          disabled={busyId !== null || !entry.exists || entry.verified === false}
+                          className="p-2 text-amber-600 hover:bg-amber-50 rounded-lg transition-colors disabled:opacity-40"
+                          title="استعادة"
+                        >
+                          <RotateCcw className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleSend(entry)}
+                          disabled={busyId !== null || !entry.exists || !entry.verified}
+                          className="p-2 text-indigo-600 hover:bg-indigo-50 rounded-lg transition-colors disabled:opacity-40"
+                          title="إرسال إلى الوجهات"
+                        >
+                          <Send className={`w-4 h-4 ${busyId === entry.id ? 'animate-pulse' : ''}`} />
+                        </button>
+                        <button
+                          onClick={() => handleExport(entry)}
+                          disabled={busyId !== null || !entry.exists}
+                          className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors disabled:opacity-40"
+                          title="تصدير"
+                        >
+                          <Download className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(entry)}
+                          disabled={busyId !== null}
+                          className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-40"
+                          title="حذف"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {restoreId !== null && (
+        <RestorePreviewModal source={{ id: restoreId }} onClose={() => setRestoreId(null)} />
+      )}
+    </div>
+  );
+};
+
+export default BackupHistory;
@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import { Clock, AlertTriangle, CheckCircle } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+
+interface BackupScheduleProps {
+  // يتغير بعد كل نسخة جديدة حتى تُحدث آخر نسخة سليمة
+  refreshKey: number;
+}
+
+const frequencyLabels: Record<GymApi.BackupSchedule['frequency'], string> = {
+  manual: 'يدوي فقط',
+  daily: 'يومياً',
+  weekly: 'أسبوعياً (الأحد)',
+  monthly: 'شهرياً (أول الشهر)'
+};
+
+// جدول النسخ التلقائي: يُحفظ ويُطبق عند كل تشغيل، وإذا كان الجهاز مطفأ وقت النسخ
+// تُنشأ النسخة بعد التشغيل. يمكن أيضاً إنشاء نسخة عند إغلاق البرنامج
+const BackupSchedule: React.FC<BackupScheduleProps> = ({ refreshKey }) => {
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('restore_backups');
+  const [status, setStatus] = useState<GymApi.BackupStatus | null>(null);
+  const [schedule, setSchedule] = useState<GymApi.BackupSchedule | null>(null);
+  const [destinations, setDestinations] = useState<GymApi.BackupDestination[]>([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadStatus();
+  }, [refreshKey]);
+
+  const loadStatus = async () => {
+    try {
+      const next = await window.electronAPI.backups.status();
+      setStatus(next);
+      setSchedule(next.schedule);
+      if (canManage) {
+        setDestinations(await window.electronAPI.destinations.list());
+      }
+    } catch (error) {
+      console.error('Error loading backup schedule:', error);
+    }
+  };
+
+  const toggleDestination = (id: number) => {
+    if (!schedule) return;
+    const selected = schedule.destination_ids ?? destinations.filter((item) => item.enabled).map((item) => item.id);
+    setSchedule({
+      ...schedule,
+      destination_ids: selected.includes(id) ? selected.filter((item) => item !== id) : [...selected, id]
+    });
+  };
+
+  const saveSchedule = async () => {
+    if (!schedule) return;
+    try {
+      setSaving(true);
+      const next = await window.electronAPI.backups.setSchedule(schedule);
+      setStatus(next);
+      setSchedule(next.schedule);
+      alert('تم حفظ جدول النسخ التلقائي');
+    } catch (error) {
+      console.error('Error saving backup schedule:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في حفظ جدول النسخ التلقائي');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!status || !schedule) {
+    return null;
+  }
+
+  const enabledDestinations = destinations.filter((item) => item.enabled);
+
+  return (
+    <div className="mb-6 p-4 bg-purple-50 border border-purple-200 rounded-lg space-y-4">
+      <div className="flex items-center">
+        <Clock className="w-5 h-5 ml-2 text-purple-800" />
+        <h3 className="font-semibold text-purple-800 arabic-text">النسخ الاحتياطي التلقائي</h3>
+      </div>
+
+      {/* Last Successful Backup */}
+      <div className={`flex items-start p-3 rounded-md ${status.stale ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
+        {status.stale
+          ? <AlertTriangle className="w-5 h-5 ml-2 flex-shrink-0" />
+          : <CheckCircle className="w-5 h-5 ml-2 flex-shrink-0" />}
+        <div className="text-sm arabic-text">
+          {status.last_success
+            ? `آخر نسخة سليمة: ${new Date(status.last_success.created_at).toLocaleString('ar-DZ')}`
+            : 'لا توجد أي نسخة احتياطية سليمة'}
+          {status.stale && status.last_success && ' - النسخة قديمة، يُنصح بإنشاء نسخة الآن'}
+          {status.next_run && (
+            <div className="text-xs mt-1">النسخة التلقائية القادمة: {new Date(status.next_run).toLocaleString('ar-DZ')}</div>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="form-group-ar">
+          <label className="form-label-ar arabic-text">التكرار</label>
+          <select
+            value={schedule.frequency}
+            onChange={(e) => setSchedule({ ...schedule, frequency: e.target.value as GymApi.BackupSchedule['frequency'] })}
+            className="form-select-ar"
+            disabled={!canManage}
+          >
+            {Object.entries(frequencyLabels).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group-ar">
+          <label className="form-label-ar arabic-text">الوقت</label>
+          <input
+            type="time"
+            value={schedule.time}
+            onChange={(e) => setSchedule({ ...schedule, time: e.target.value })}
+            className="form-input-ar"
+            disabled={!canManage || schedule.frequency === 'manual'}
+          />
+        </div>
+        <label className="flex items-center text-sm arabic-text md:mt-6">
+          <input
+            type="checkbox"
+            checked={schedule.backup_on_exit}
+            onChange={(e) => setSchedule({ ...schedule, backup_on_exit: e.target.checked })}
+            className="ml-2"
+            disabled={!canManage}
+          />
+          إنشاء نسخة عند إغلاق البرنامج
+        </label>
+      </div>
+
+      {canManage && enabledDestinations.length > 0 && (
+        <div className="space-y-2">
+          <label className="flex items-center text-sm arabic-text">
+            <input
+              type="checkbox"
+              checked={schedule.destination_ids === null}
+              onChange={(e) => setSchedule({
+                ...schedule,
+                destination_ids: e.target.checked ? null : enabledDestinations.map((item) => item.id)
+              })}
+              className="ml-2"
+            />
+            إرسال النسخ التلقائية إلى جميع الوجهات المفعلة
+          </label>
+          {schedule.destination_ids !== null && (
+            <div className="flex flex-wrap gap-4 pr-6">
+              {enabledDestinations.map((destination) => (
+                <label key={destination.id} className="flex items-center text-sm arabic-text">
+                  <input
+                    type="checkbox"
+                    checked={schedule.destination_ids?.includes(destination.id) ?? false}
+                    onChange={() => toggleDestination(destination.id)}
+                    className="ml-2"
+                  />
+                  {destination.name}
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {canManage && (
+        <button
+          onClick={saveSchedule}
+          disabled={saving}
+          className="flex items-center justify-center bg-purple-600 hover:bg-purple-700 text-white py-2 px-4 rounded-md transition-colors disabled:bg-gray-400"
+        >
+          <Clock className="ml-2" size={18} />
+          {saving ? 'جاري الحفظ...' : 'حفظ الجدول'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default BackupSchedule;
@@ -0,0 +1,268 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowLeftRight, Download, Upload, AlertTriangle, CheckCircle } from 'lucide-react';
+import { useGym } from '../../contexts/GymContext';
+
+interface BranchTransferProps {
+  // يُستدعى بعد الاستيراد لأنه ينشئ نسخة احتياطية جديدة
+  onImported: () => void;
+}
+
+const tableLabels: Record<GymApi.BranchDataTable, string> = {
+  gyms: 'الصالات',
+  users: 'المستخدمين',
+  categories: 'الفئات',
+  products: 'المنتجات',
+  subscription_types: 'أنواع الاشتراكات',
+  customers: 'الزبائن',
+  subscribers: 'المشتركين',
+  invoices: 'الفواتير',
+  invoice_items: 'عناصر الفواتير',
+  sales_returns: 'مرتجعات المبيعات',
+  sales_return_items: 'عناصر المرتجعات',
+  customer_payments: 'سندات القبض',
+  payments: 'الدفعات',
+  purchases: 'المشتريات',
+  purchase_items: 'عناصر المشتريات',
+  internal_sales: 'القائمة البيضاء',
+  stock_movements: 'حركات المخزون'
+};
+
+const gymTypeLabel = (type: GymApi.GymType) => (type === 'female' ? 'نساء' : 'رجال');
+
+// جدول الأعداد لكل نوع من السجلات: ما يُضاف وما هو موجود مسبقاً وما يُحدَّث وما لا يُستورد
+const MergeCounts: React.FC<{ report: GymApi.BranchMergeReport }> = ({ report }) => (
+  <div className="overflow-x-auto">
+    <table className="table-ar text-sm">
+      <thead>
+        <tr>
+          <th>السجلات</th>
+          <th>إضافة</th>
+          <th>موجود مسبقاً</th>
+          <th>تحديث</th>
+          <th>لا يُستورد</th>
+        </tr>
+      </thead>
+      <tbody>
+        {(Object.keys(tableLabels) as GymApi.BranchDataTable[]).map((table) => (
+          <tr key={table}>
+            <td>{tableLabels[table]}</td>
+            <td>{report.counts[table].created}</td>
+            <td>{report.counts[table].matched}</td>
+            <td>{report.counts[table].updated}</td>
+            <td>{report.counts[table].skipped}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const Conflicts: React.FC<{ report: GymApi.BranchMergeReport }> = ({ report }) => (
+  report.conflict_count > 0 ? (
+    <div className="p-3 rounded-md bg-yellow-50 border border-yellow-200 text-sm arabic-text">
+      <div className="flex items-center font-medium text-yellow-800 mb-2">
+        <AlertTriangle className="w-5 h-5 ml-2" />
+        {report.conflict_count} تعارض
+        {report.conflict_count > report.conflicts.length && ` (يظهر أول ${report.conflicts.length})`}
+      </div>
+      <ul className="list-disc pr-5 space-y-1 max-h-60 overflow-y-auto">
+        {report.conflicts.map((conflict, index) => (
+          <li key={index}>{tableLabels[conflict.table]} - {conflict.record}: {conflict.message}</li>
+        ))}
+      </ul>
+    </div>
+  ) : null
+);
+
+// نقل فرع إلى جهاز آخر أو دمج بيانات فرع عمل على جهاز منفصل: تصدير ملف .gymdata ثم استيراده
+// مع معاينة ما سيُضاف وما هو موجود مسبقاً والتعارضات، بدل نسخ ملف قاعدة البيانات واستبدال كل شيء
+const BranchTransfer: React.FC<BranchTransferProps> = ({ onImported }) => {
+  const { gymId } = useGym();
+  const [gyms, setGyms] = useState<GymApi.GymSummary[]>([]);
+  const [exportGym, setExportGym] = useState<string>(String(gymId));
+  const [filePath, setFilePath] = useState<string | null>(null);
+  const [targets, setTargets] = useState<GymApi.BranchTargets>({});
+  const [preview, setPreview] = useState<GymApi.BranchImportPreview | null>(null);
+  const [result, setResult] = useState<GymApi.BranchImportResult | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    loadGyms();
+  }, []);
+
+  const loadGyms = async () => {
+    try {
+      setGyms(await window.electronAPI.gyms.list());
+    } catch (error) {
+      console.error('Error loading gyms:', error);
+    }
+  };
+
+  const exportData = async () => {
+    try {
+      setBusy(true);
+      const exported = await window.electronAPI.transfers.export(exportGym === 'all' ? null : parseInt(exportGym));
+      if (!exported.canceled) {
+        alert(`تم تصدير بيانات ${exported.gyms.map((gym) => gym.name).join('، ')} إلى:\n${exported.path}`);
+      }
+    } catch (error) {
+      console.error('Error exporting branch data:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في تصدير البيانات');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const loadPreview = async (path: string, nextTargets: GymApi.BranchTargets) => {
+    try {
+      setBusy(true);
+      const loaded = await window.electronAPI.transfers.preview(path, nextTargets);
+      setPreview(loaded);
+      setTargets(loaded.targets);
+    } catch (error) {
+      console.error('Error previewing branch import:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في قراءة الملف');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const chooseFile = async () => {
+    try {
+      const chosen = await window.electronAPI.transfers.chooseFile();
+      if (chosen.canceled) return;
+      setFilePath(chosen.path);
+      setResult(null);
+      await loadPreview(chosen.path, {});
+    } catch (error) {
+      console.error('Error choosing branch data file:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في اختيار الملف');
+    }
+  };
+
+  const changeTarget = (sourceGymId: number, value: string) => {
+    if (!filePath) return;
+    loadPreview(filePath, { ...targets, [sourceGymId]: value === 'new' ? 'new' : parseInt(value) });
+  };
+
+  const runImport = async () => {
+    if (!filePath || !preview) return;
+    try {
+      const confirmResult = await window.electronAPI.showConfirm({
+        title: 'استيراد بيانات الفرع',
+        message: `هل تريد دمج بيانات ${preview.gyms.map((gym) => gym.name).join('، ')} في هذا الجهاز؟`,
+        detail: 'ستُنشأ نسخة احتياطية قبل الاستيراد. السجلات الموجودة مسبقاً لا تتكرر ولا تتغير بياناتها.',
+        buttons: ['استيراد', 'إلغاء'],
+        defaultId: 1,
+        cancelId: 1
+      });
+      if (confirmResult.response === 1) {
+        return;
+      }
+
+      setBusy(true);
+      setResult(await window.electronAPI.transfers.import(filePath, targets));
+      setPreview(null);
+      setFilePath(null);
+      await loadGyms();
+      onImported();
+    } catch (error) {
+      console.error('Error importing branch data:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في استيراد البيانات');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="mt-6 mb-6 p-4 bg-indigo-50 border border-indigo-200 rounded-lg space-y-4">
+      <div className="flex items-center">
+        <ArrowLeftRight className="w-5 h-5 ml-2 text-indigo-800" />
+        <h3 className="font-semibold text-indigo-800 arabic-text">نقل بيانات فرع بين الأجهزة</h3>
+      </div>
+      <p className="text-sm text-indigo-700 arabic-text">
+        لنقل فرع إلى جهاز جديد أو دمج فرع عمل على جهاز منفصل: صدّر بياناته إلى ملف ثم استورده على الجهاز الآخر.
+        المنتجات تُطابق بالباركود والزبائن والمشتركون برقم الهاتف، والموجود منها لا يتكرر.
+        حسابات المستخدمين لا تُنقل.
+      </p>
+
+      <div className="flex items-end gap-3">
+        <div className="form-group-ar">
+          <label className="form-label-ar arabic-text">الصالة</label>
+          <select value={exportGym} onChange={(e) => setExportGym(e.target.value)} className="form-select-ar">
+            {gyms.map((gym) => (
+              <option key={gym.id} value={gym.id}>{gym.name}</option>
+            ))}
+            <option value="all">كل الصالات</option>
+          </select>
+        </div>
+        <button onClick={exportData} disabled={busy} className="btn-secondary-ar flex items-center mb-4">
+          <Download className="w-4 h-4 ml-1" />
+          تصدير إلى ملف
+        </button>
+        <button onClick={chooseFile} disabled={busy} className="btn-secondary-ar flex items-center mb-4">
+          <Upload className="w-4 h-4 ml-1" />
+          استيراد من ملف
+        </button>
+      </div>
+
+      {preview && (
+        <div className="p-3 bg-white border border-indigo-200 rounded-md text-sm space-y-3 arabic-text">
+          <p className="font-medium">
+            {preview.file} - صُدّر في {new Date(preview.exported_at).toLocaleString('ar-DZ')} (الإصدار {preview.app_version})
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {preview.gyms.map((gym) => (
+              <div key={gym.id} className="form-group-ar">
+                <label className="form-label-ar">
+                  {gym.name} ({gymTypeLabel(gym.type)}) تُدمج في
+                </label>
+                <select
+                  value={String(targets[gym.id] ?? 'new')}
+                  onChange={(e) => changeTarget(gym.id, e.target.value)}
+                  disabled={busy}
+                  className="form-select-ar"
+                >
+                  {gyms.map((target) => (
+                    <option key={target.id} value={target.id}>{target.name} ({gymTypeLabel(target.type)})</option>
+                  ))}
+                  <option value="new">صالة جديدة</option>
+                </select>
+              </div>
+            ))}
+          </div>
+          <MergeCounts report={preview} />
+          <Conflicts report={preview} />
+          <div className="flex gap-2">
+            <button onClick={runImport} disabled={busy} className="btn-primary-ar">
+              {busy ? 'جاري الاستيراد...' : 'استيراد'}
+            </button>
+            <button
+              onClick={() => {
+                setPreview(null);
+                setFilePath(null);
+              }}
+              disabled={busy}
+              className="btn-secondary-ar"
+            >
+              إلغاء
+            </button>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <div className="p-3 bg-white border border-indigo-200 rounded-md text-sm space-y-3 arabic-text">
+          <div className="flex items-center p-3 rounded-md bg-green-100 text-green-800">
+            <CheckCircle className="w-5 h-5 ml-2" />
+            تم استيراد {result.file}
+          </div>
+          <MergeCounts report={result} />
+          <Conflicts report={result} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BranchTransfer;
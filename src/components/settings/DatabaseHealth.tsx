@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { Stethoscope, Wrench, Gauge, ShieldCheck, AlertTriangle } from 'lucide-react';
+
+interface DatabaseHealthProps {
+  // يُستدعى بعد كل إصلاح لأن الإصلاح ينشئ نسخة احتياطية جديدة
+  onRepaired: () => void;
+}
+
+const formatSize = (bytes: number) => `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+
+const describeRow = (row: GymApi.HealthIssueRow) => {
+  if (row.counter_quantity !== undefined) {
+    return `${row.name} - ${row.gym_name}: الكمية ${row.counter_quantity} / مجموع الحركات ${row.ledger_quantity}`;
+  }
+  if (row.quantity !== undefined) {
+    return `${row.name} - ${row.gym_name}: ${row.quantity}`;
+  }
+  if (row.missing_id !== undefined) {
+    return `#${row.id}${row.label ? ` (${row.label})` : ''} ← السجل المحذوف #${row.missing_id}`;
+  }
+  return row.label || `#${row.id}`;
+};
+
+// فحص سلامة القاعدة والروابط بين الجداول والمخزون، مع إصلاح موجه لكل مشكلة.
+// كل إصلاح تسبقه نسخة احتياطية تظهر في سجل النسخ
+const DatabaseHealth: React.FC<DatabaseHealthProps> = ({ onRepaired }) => {
+  const [report, setReport] = useState<GymApi.HealthReport | null>(null);
+  const [busy, setBusy] = useState<string | null>(null);
+
+  const runCheck = async () => {
+    try {
+      setBusy('check');
+      setReport(await window.electronAPI.maintenance.healthCheck());
+    } catch (error) {
+      console.error('Error checking database health:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ أثناء فحص قاعدة البيانات');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const repair = async (issue: GymApi.HealthIssue) => {
+    if (!window.confirm(`${issue.fix_label} (${issue.count} سجل).\nستُنشأ نسخة احتياطية قبل الإصلاح. هل تريد المتابعة؟`)) {
+      return;
+    }
+    try {
+      setBusy(issue.code);
+      const result = await window.electronAPI.maintenance.repair(issue.code);
+      setReport(result.report);
+      onRepaired();
+      alert(`تم إصلاح ${result.fixed} سجل.\nالنسخة الاحتياطية قبل الإصلاح: ${result.backup.file}`);
+    } catch (error) {
+      console.error('Error repairing database:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ أثناء إصلاح قاعدة البيانات');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const optimize = async () => {
+    try {
+      setBusy('optimize');
+      const result = await window.electronAPI.maintenance.optimize();
+      alert(`تم تحسين قاعدة البيانات. الحجم: ${formatSize(result.size_before)} ← ${formatSize(result.size_after)}`);
+    } catch (error) {
+      console.error('Error optimizing database:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ أثناء تحسين قاعدة البيانات');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded-lg space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <Stethoscope className="w-5 h-5 ml-2 text-gray-700" />
+          <h3 className="font-semibold text-gray-800 arabic-text">فحص وإصلاح قاعدة البيانات</h3>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={runCheck} disabled={busy !== null} className="btn-primary-ar flex items-center text-sm">
+            <Stethoscope className="w-4 h-4 ml-1" />
+            {busy === 'check' ? 'جاري الفحص...' : 'فحص الآن'}
+          </button>
+          <button onClick={optimize} disabled={busy !== null} className="btn-secondary-ar flex items-center text-sm">
+            <Gauge className="w-4 h-4 ml-1" />
+            {busy === 'optimize' ? 'جاري التحسين...' : 'تحسين الأداء'}
+          </button>
+        </div>
+      </div>
+
+      {report && (
+        <>
+          <p className="text-xs text-gray-500 arabic-text">
+            آخر فحص: {new Date(report.checked_at).toLocaleString('ar-DZ')}
+          </p>
+
+          {report.issues.length === 0 ? (
+            <div className="flex items-center p-3 rounded-md bg-green-100 text-green-800 text-sm arabic-text">
+              <ShieldCheck className="w-5 h-5 ml-2" />
+              لم يتم العثور على أي مشكلة
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {report.issues.map((issue) => (
+                <div
+                  key={issue.code}
+                  className={`p-3 rounded-md border ${issue.severity === 'error' ? 'bg-red-50 border-red-200' : 'bg-yellow-50 border-yellow-200'}`}
+                >
+                  <div className="flex items-start justify-between">
+                    <div className="flex items-start">
+                      <AlertTriangle className={`w-5 h-5 ml-2 flex-shrink-0 ${issue.severity === 'error' ? 'text-red-600' : 'text-yellow-600'}`} />
+                      <div>
+                        <div className="font-medium text-sm arabic-text">{issue.title} ({issue.count})</div>
+                        <div className="text-xs text-gray-600 arabic-text">{issue.description}</div>
+                      </div>
+                    </div>
+                    {issue.fix_label && (
+                      <button
+                        onClick={() => repair(issue)}
+                        disabled={busy !== null}
+                        className="flex items-center text-sm bg-purple-600 hover:bg-purple-700 text-white py-1 px-3 rounded-md transition-colors disabled:bg-gray-400"
+                        title={issue.fix_label}
+                      >
+                        <Wrench className="w-4 h-4 ml-1" />
+                        {busy === issue.code ? 'جاري الإصلاح...' : 'إصلاح'}
+                      </button>
+                    )}
+                  </div>
+                  {issue.fix_label && (
+                    <p className="text-xs text-gray-600 mt-2 arabic-text">الإصلاح: {issue.fix_label}</p>
+                  )}
+                  <ul className="mt-2 text-xs text-gray-700 list-disc pr-5 space-y-1">
+                    {issue.sample.map((row, index) => (
+                      <li key={index}>{describeRow(row)}</li>
+                    ))}
+                    {issue.count > issue.sample.length && (
+                      <li className="list-none text-gray-500">و {issue.count - issue.sample.length} سجل آخر...</li>
+                    )}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DatabaseHealth;
@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { Hash } from 'lucide-react';
+import { useGym } from '../../contexts/GymContext';
+
+// ترقيم مستندات الصالة الحالية: بادئة كل نوع والسنة وعدد الخانات، مع الرقم التالي الذي سيُعطى
+const DocumentNumberingSettings: React.FC = () => {
+  const { gymId } = useGym();
+  const [numbering, setNumbering] = useState<GymApi.DocumentNumbering[]>([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadNumbering();
+  }, [gymId]);
+
+  const loadNumbering = async () => {
+    try {
+      setNumbering(await window.electronAPI.numbering.list(gymId));
+    } catch (error) {
+      console.error('Error loading document numbering:', error);
+    }
+  };
+
+  const updateScheme = (type: GymApi.DocumentType, changes: Partial<GymApi.NumberingScheme>) => {
+    setNumbering(numbering.map((scheme) => (scheme.type === type ? { ...scheme, ...changes } : scheme)));
+  };
+
+  const saveNumbering = async () => {
+    try {
+      setSaving(true);
+      const payload = Object.fromEntries(numbering.map(({ type, prefix, include_year, reset_yearly, digits }) => [
+        type,
+        { prefix, include_year, reset_yearly, digits }
+      ])) as Record<GymApi.DocumentType, GymApi.NumberingScheme>;
+      setNumbering(await window.electronAPI.numbering.save(gymId, payload));
+      alert('تم حفظ ترقيم المستندات');
+    } catch (error) {
+      console.error('Error saving document numbering:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في حفظ ترقيم المستندات');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (numbering.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg space-y-4">
+      <div className="flex items-center">
+        <Hash className="w-5 h-5 ml-2 text-gray-700" />
+        <h3 className="font-semibold text-gray-800 arabic-text">ترقيم المستندات (هذا الفرع)</h3>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="table-ar">
+          <thead>
+            <tr>
+              <th>المستند</th>
+              <th>البادئة</th>
+              <th>السنة في الرقم</th>
+              <th>تصفير سنوي</th>
+              <th>عدد الخانات</th>
+              <th>الرقم التالي</th>
+            </tr>
+          </thead>
+          <tbody>
+            {numbering.map((scheme) => (
+              <tr key={scheme.type}>
+                <td className="font-medium">{scheme.label}</td>
+                <td>
+                  <input
+                    type="text"
+                    value={scheme.prefix}
+                    onChange={(e) => updateScheme(scheme.type, { prefix: e.target.value.toUpperCase() })}
+                    className="form-input-ar w-32"
+                    maxLength={12}
+                    dir="ltr"
+                  />
+                </td>
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={scheme.include_year}
+                    onChange={(e) => updateScheme(scheme.type, {
+                      include_year: e.target.checked,
+                      reset_yearly: e.target.checked && scheme.reset_yearly
+                    })}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={scheme.reset_yearly}
+                    disabled={!scheme.include_year}
+                    onChange={(e) => updateScheme(scheme.type, { reset_yearly: e.target.checked })}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    min="3"
+                    max="9"
+                    value={scheme.digits}
+                    onChange={(e) => updateScheme(scheme.type, { digits: parseInt(e.target.value) || 0 })}
+                    className="form-input-ar w-20"
+                  />
+                </td>
+                <td className="font-mono" dir="ltr">{scheme.next_number}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <p className="text-xs text-gray-600 arabic-text">
+        الأرقام متسلسلة بدون فجوات لكل فرع ونوع مستند، وتُحجز عند حفظ المستند. تغيير البادئة لا يعيد ترقيم المستندات السابقة،
+        والتصفير السنوي يبدأ العد من 1 في أول مستند من كل سنة.
+      </p>
+
+      <button onClick={saveNumbering} disabled={saving} className="btn-primary-ar arabic-text disabled:opacity-50">
+        حفظ الترقيم
+      </button>
+    </div>
+  );
+};
+
+export default DocumentNumberingSettings;
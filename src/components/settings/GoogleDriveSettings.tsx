@@ -0,0 +1,318 @@
+import React, { useState, useEffect } from 'react';
+import { Cloud, FolderPlus, LogOut, RefreshCw, RotateCcw } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import RestorePreviewModal from './RestorePreviewModal';
+
+const DEFAULT_FOLDER_NAME = 'GYM DADA Backups';
+
+const formatSize = (size?: string) => {
+  if (!size) return '-';
+  const bytes = Number(size);
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+};
+
+// ربط Google Drive: بيانات عميل Google Cloud، ثم تسجيل الدخول في المتصفح، ثم اختيار مجلد النسخ.
+// النسخ الموجودة في المجلد يمكن تنزيلها ومعاينتها واستعادتها. الإرسال إليه يتم بإضافته في وجهات النسخ
+const GoogleDriveSettings: React.FC = () => {
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('restore_backups');
+  const [status, setStatus] = useState<GymApi.DriveStatus | null>(null);
+  const [client, setClient] = useState({ client_id: '', client_secret: '' });
+  const [editingClient, setEditingClient] = useState(false);
+  const [folders, setFolders] = useState<GymApi.DriveFolder[]>([]);
+  const [newFolderName, setNewFolderName] = useState(DEFAULT_FOLDER_NAME);
+  const [remoteFiles, setRemoteFiles] = useState<GymApi.DriveFile[] | null>(null);
+  const [busy, setBusy] = useState<string | null>(null);
+  const [restoreSource, setRestoreSource] = useState<GymApi.RestoreSource | null>(null);
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const loadStatus = async () => {
+    try {
+      const next = await window.electronAPI.drive.status();
+      setStatus(next);
+      if (next.connected && canManage) {
+        await loadFolders();
+      }
+    } catch (error) {
+      console.error('Error loading Google Drive status:', error);
+    }
+  };
+
+  // تنفيذ عملية مع إظهار حالة الانشغال ورسالة الخطأ
+  const run = async (name: string, action: () => Promise<void>, fallback: string) => {
+    try {
+      setBusy(name);
+      await action();
+    } catch (error) {
+      console.error(`Google Drive ${name} error:`, error);
+      alert(error instanceof Error ? error.message : fallback);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const saveClient = (e: React.FormEvent) => {
+    e.preventDefault();
+    run('client', async () => {
+      setStatus(await window.electronAPI.drive.setClient(client));
+      setClient({ client_id: '', client_secret: '' });
+      setEditingClient(false);
+    }, 'حدث خطأ في حفظ بيانات العميل');
+  };
+
+  const connect = () => run('connect', async () => {
+    setStatus(await window.electronAPI.drive.connect());
+    await loadFolders();
+  }, 'فشل في ربط Google Drive');
+
+  const disconnect = () => {
+    if (!window.confirm('هل تريد فك ربط Google Drive؟ النسخ المرفوعة تبقى في حسابك')) {
+      return;
+    }
+    run('disconnect', async () => {
+      setStatus(await window.electronAPI.drive.disconnect());
+      setFolders([]);
+      setRemoteFiles(null);
+    }, 'حدث خطأ في فك الربط');
+  };
+
+  const loadFolders = async () => {
+    setFolders(await window.electronAPI.drive.listFolders());
+  };
+
+  const createFolder = () => run('folder', async () => {
+    setStatus(await window.electronAPI.drive.createFolder(newFolderName));
+    await loadFolders();
+  }, 'حدث خطأ في إنشاء المجلد');
+
+  const selectFolder = (folderId: string) => {
+    const folder = folders.find((item) => item.id === folderId);
+    if (!folder) return;
+    run('folder', async () => {
+      setStatus(await window.electronAPI.drive.selectFolder(folder));
+      setRemoteFiles(null);
+    }, 'حدث خطأ في اختيار المجلد');
+  };
+
+  const loadRemoteFiles = () => run('list', async () => {
+    setRemoteFiles(await window.electronAPI.drive.listBackups());
+  }, 'حدث خطأ في قراءة النسخ من Google Drive');
+
+  const restoreRemote = (file: GymApi.DriveFile) => run(file.id, async () => {
+    const downloaded = await window.electronAPI.drive.download(file.id);
+    setRestoreSource({ path: downloaded.path });
+  }, 'حدث خطأ في تنزيل النسخة من Google Drive');
+
+  if (!status) {
+    return null;
+  }
+
+  return (
+    <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <Cloud className="w-5 h-5 ml-2 text-blue-800" />
+          <h3 className="font-semibold text-blue-800 arabic-text">ربط Google Drive</h3>
+        </div>
+        <span className={status.connected ? 'status-active' : 'status-expiring'}>
+          {status.connected ? (status.account || 'مربوط') : 'غير مربوط'}
+        </span>
+      </div>
+
+      {!canManage ? (
+        <p className="text-sm text-gray-600 arabic-text">
+          {status.folder ? `مجلد النسخ: ${status.folder.name}` : 'يمكن للمالك ربط Google Drive من هذه الصفحة'}
+        </p>
+      ) : (
+        <>
+          {/* Google Cloud Client */}
+          {(!status.configured || editingClient) ? (
+            <form onSubmit={saveClient} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+              <div className="form-group-ar">
+                <label className="form-label-ar arabic-text">معرف العميل (Client ID)</label>
+                <input
+                  type="text"
+                  dir="ltr"
+                  value={client.client_id}
+                  onChange={(e) => setClient({ ...client, client_id: e.target.value })}
+                  className="form-input-ar"
+                />
+              </div>
+              <div className="form-group-ar">
+                <label className="form-label-ar arabic-text">كلمة سر العميل (Client Secret)</label>
+                <input
+                  type="password"
+                  dir="ltr"
+                  value={client.client_secret}
+                  onChange={(e) => setClient({ ...client, client_secret: e.target.value })}
+                  className="form-input-ar"
+                  autoComplete="off"
+                />
+              </div>
+              <div className="flex space-x-reverse space-x-2">
+                <button
+                  type="submit"
+                  disabled={busy !== null || !client.client_id || !client.client_secret}
+                  className="btn-primary-ar arabic-text"
+                >
+                  حفظ
+                </button>
+                {editingClient && (
+                  <button type="button" onClick={() => setEditingClient(false)} className="btn-secondary-ar arabic-text">
+                    إلغاء
+                  </button>
+                )}
+              </div>
+              <p className="md:col-span-3 text-xs text-gray-600 arabic-text">
+                أنشئ عميل OAuth من نوع "Desktop app" في Google Cloud Console وفعّل Google Drive API. تغيير العميل يلغي الربط الحالي.
+              </p>
+            </form>
+          ) : (
+            <div className="flex flex-wrap items-center gap-3">
+              {status.connected ? (
+                <button
+                  onClick={disconnect}
+                  disabled={busy !== null}
+                  className="flex items-center btn-secondary-ar arabic-text"
+                >
+                  <LogOut className="w-4 h-4 ml-2" />
+                  فك الربط
+                </button>
+              ) : (
+                <button
+                  onClick={connect}
+                  disabled={busy !== null}
+                  className="flex items-center bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-md transition-colors disabled:bg-gray-400"
+                >
+                  <Cloud className="w-4 h-4 ml-2" />
+                  {busy === 'connect' ? 'أكمل تسجيل الدخول في المتصفح...' : 'ربط Google Drive'}
+                </button>
+              )}
+              <button
+                onClick={() => setEditingClient(true)}
+                disabled={busy !== null}
+                className="text-sm text-blue-700 hover:underline arabic-text"
+              >
+                تغيير بيانات العميل
+              </button>
+            </div>
+          )}
+
+          {/* Backup Folder */}
+          {status.connected && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-end">
+              <div className="form-group-ar">
+                <label className="form-label-ar arabic-text">مجلد النسخ</label>
+                <div className="flex space-x-reverse space-x-2">
+                  <select
+                    value={status.folder?.id || ''}
+                    onChange={(e) => selectFolder(e.target.value)}
+                    className="form-select-ar"
+                    disabled={busy !== null}
+                  >
+                    {status.folder && !folders.some((folder) => folder.id === status.folder?.id) && (
+                      <option value={status.folder.id}>{status.folder.name}</option>
+                    )}
+                    {!status.folder && <option value="">اختر المجلد</option>}
+                    {folders.map((folder) => (
+                      <option key={folder.id} value={folder.id}>{folder.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => run('folders', loadFolders, 'حدث خطأ في قراءة المجلدات')}
+                    disabled={busy !== null}
+                    className="p-2 text-blue-700 hover:bg-blue-100 rounded-lg"
+                    title="تحديث المجلدات"
+                  >
+                    <RefreshCw className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+              <div className="form-group-ar">
+                <label className="form-label-ar arabic-text">مجلد جديد</label>
+                <div className="flex space-x-reverse space-x-2">
+                  <input
+                    type="text"
+                    value={newFolderName}
+                    onChange={(e) => setNewFolderName(e.target.value)}
+                    className="form-input-ar"
+                  />
+                  <button
+                    onClick={createFolder}
+                    disabled={busy !== null || !newFolderName.trim()}
+                    className="flex items-center btn-secondary-ar arabic-text whitespace-nowrap"
+                  >
+                    <FolderPlus className="w-4 h-4 ml-2" />
+                    إنشاء
+                  </button>
+                </div>
+              </div>
+              <p className="md:col-span-2 text-xs text-gray-600 arabic-text">
+                يظهر هنا فقط المجلدات التي أنشأها البرنامج، فلا يصل البرنامج إلى باقي ملفاتك. لإرسال النسخ إلى هذا المجلد أضف Google Drive في وجهات النسخ الاحتياطية.
+              </p>
+            </div>
+          )}
+
+          {/* Remote Backups */}
+          {status.connected && status.folder && (
+            <div className="space-y-3">
+              <button
+                onClick={loadRemoteFiles}
+                disabled={busy !== null}
+                className="flex items-center text-sm text-blue-700 hover:underline arabic-text"
+              >
+                <RefreshCw className={`w-4 h-4 ml-1 ${busy === 'list' ? 'animate-spin' : ''}`} />
+                عرض النسخ الموجودة على Drive
+              </button>
+              {remoteFiles && (remoteFiles.length === 0 ? (
+                <p className="text-sm text-gray-600 arabic-text">لا توجد نسخ في هذا المجلد</p>
+              ) : (
+                <div className="overflow-x-auto max-h-80">
+                  <table className="table-ar">
+                    <thead>
+                      <tr>
+                        <th>الملف</th>
+                        <th>التاريخ</th>
+                        <th>الحجم</th>
+                        <th>الإجراءات</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {remoteFiles.map((file) => (
+                        <tr key={file.id}>
+                          <td dir="ltr" className="text-right">{file.name}</td>
+                          <td>{new Date(file.createdTime).toLocaleString('ar-DZ')}</td>
+                          <td>{formatSize(file.size)}</td>
+                          <td>
+                            <button
+                              onClick={() => restoreRemote(file)}
+                              disabled={busy !== null}
+                              className="p-2 text-amber-600 hover:bg-amber-50 rounded-lg transition-colors disabled:opacity-40"
+                              title="تنزيل واستعادة"
+                            >
+                              <RotateCcw className={`w-4 h-4 ${busy === file.id ? 'animate-spin' : ''}`} />
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+
+      {restoreSource && (
+        <RestorePreviewModal source={restoreSource} onClose={() => setRestoreSource(null)} />
+      )}
+    </div>
+  );
+};
+
+export default GoogleDriveSettings;
@@ -0,0 +1,234 @@
+import React, { useState } from 'react';
+import { ShieldCheck, AlertTriangle } from 'lucide-react';
+
+interface PeriodArchiveModalProps {
+  archive: GymApi.PeriodArchive;
+  onClose: () => void;
+}
+
+type ArchiveTab = 'invoices' | 'purchases' | 'internal_sales' | 'subscribers' | 'stock';
+
+const tabs: { id: ArchiveTab; label: string }[] = [
+  { id: 'invoices', label: 'الفواتير' },
+  { id: 'purchases', label: 'المشتريات' },
+  { id: 'internal_sales', label: 'القائمة البيضاء' },
+  { id: 'subscribers', label: 'الاشتراكات' },
+  { id: 'stock', label: 'أرصدة المخزون' }
+];
+
+const formatCurrency = (amount: number) => new Intl.NumberFormat('ar-DZ', {
+  style: 'currency',
+  currency: 'DZD',
+  minimumFractionDigits: 0
+}).format(amount);
+
+const formatDate = (value: string) => new Date(value).toLocaleDateString('ar-DZ');
+
+// عرض أرشيف فترة مقفلة للقراءة فقط. الأرشيف لا يُفتح إلا إذا صح توقيعه
+const PeriodArchiveModal: React.FC<PeriodArchiveModalProps> = ({ archive, onClose }) => {
+  const [activeTab, setActiveTab] = useState<ArchiveTab>('invoices');
+  const { content } = archive;
+  const gymName = (gymId: number | null) => content.gyms.find((gym) => gym.id === gymId)?.name || '-';
+
+  return (
+    <div className="modal-overlay-ar">
+      <div className="modal-content-ar max-w-5xl">
+        <h2 className="text-xl font-bold text-gray-900 mb-2 arabic-text">
+          أرشيف الفترة {content.period_start ? `${formatDate(content.period_start)} - ` : 'حتى '}{formatDate(content.period_end)}
+        </h2>
+        <p className="text-sm text-gray-600 mb-4 arabic-text break-all">
+          {archive.file} - أُقفلت في {new Date(content.closed_at).toLocaleString('ar-DZ')}
+        </p>
+
+        <div className={`flex items-center p-3 rounded-md mb-4 text-sm arabic-text ${archive.signer_known ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>
+          {archive.signer_known
+            ? <ShieldCheck className="w-5 h-5 ml-2" />
+            : <AlertTriangle className="w-5 h-5 ml-2" />}
+          {archive.signer_known
+            ? 'التوقيع صحيح والأرشيف من هذا البرنامج ولم يُعدل بعد إنشائه'
+            : `التوقيع صحيح لكن بمفتاح غير معروف على هذا الجهاز (${archive.fingerprint})`}
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4 text-sm arabic-text">
+          <div className="p-3 bg-blue-50 rounded-md">
+            المبيعات: {formatCurrency(content.summary.sales_total)}
+            {content.summary.returns_total ? (
+              <span className="block text-xs text-red-600">المرتجعات: {formatCurrency(content.summary.returns_total)}</span>
+            ) : null}
+          </div>
+          <div className="p-3 bg-blue-50 rounded-md">المشتريات: {formatCurrency(content.summary.purchases_total)}</div>
+          <div className="p-3 bg-blue-50 rounded-md">القائمة البيضاء: {formatCurrency(content.summary.internal_sales_total)}</div>
+          <div className="p-3 bg-blue-50 rounded-md">الاشتراكات: {formatCurrency(content.summary.subscriptions_total)}</div>
+        </div>
+
+        <div className="flex border-b border-gray-200 mb-4">
+          {tabs.map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`px-4 py-2 text-sm arabic-text ${activeTab === tab.id ? 'border-b-2 border-blue-600 text-blue-600 font-medium' : 'text-gray-600'}`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="overflow-x-auto max-h-96">
+          {activeTab === 'invoices' && (
+            <table className="table-ar">
+              <thead>
+                <tr>
+                  <th>رقم الفاتورة</th>
+                  <th>التاريخ</th>
+                  <th>الفرع</th>
+                  <th>الزبون</th>
+                  <th>العناصر</th>
+                  <th>المجموع</th>
+                  <th>المدفوع</th>
+                </tr>
+              </thead>
+              <tbody>
+                {content.invoices.map((invoice) => (
+                  <tr key={invoice.id} className={invoice.kept ? 'bg-yellow-50' : ''}>
+                    <td>{invoice.invoice_number}</td>
+                    <td>{formatDate(invoice.created_at)}</td>
+                    <td>{gymName(invoice.gym_id)}</td>
+                    <td>{invoice.customer_name || '-'}</td>
+                    <td className="text-sm">
+                      {invoice.items.map((item) => `${item.product_name || `#${item.product_id}`} x${item.quantity}`).join('، ') || '-'}
+                    </td>
+                    <td>{formatCurrency(invoice.total)}</td>
+                    <td>
+                      {formatCurrency(invoice.paid_amount)}
+                      {invoice.kept ? <span className="text-xs text-yellow-700 mr-1">(دين باقٍ)</span> : null}
+                      {invoice.returned_amount ? (
+                        <span className="block text-xs text-red-600">مرتجع: {formatCurrency(invoice.returned_amount)}</span>
+                      ) : null}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {activeTab === 'purchases' && (
+            <table className="table-ar">
+              <thead>
+                <tr>
+                  <th>الرقم</th>
+                  <th>التاريخ</th>
+                  <th>الفرع</th>
+                  <th>المورد</th>
+                  <th>العناصر</th>
+                  <th>المجموع</th>
+                </tr>
+              </thead>
+              <tbody>
+                {content.purchases.map((purchase) => (
+                  <tr key={purchase.id}>
+                    <td>{purchase.purchase_number || '-'}</td>
+                    <td>{formatDate(purchase.created_at)}</td>
+                    <td>{gymName(purchase.gym_id)}</td>
+                    <td>{purchase.supplier_name || '-'}</td>
+                    <td className="text-sm">
+                      {purchase.items.map((item) => `${item.product_name || `#${item.product_id}`} x${item.quantity}`).join('، ') || '-'}
+                    </td>
+                    <td>{formatCurrency(purchase.total_amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {activeTab === 'internal_sales' && (
+            <table className="table-ar">
+              <thead>
+                <tr>
+                  <th>الرقم</th>
+                  <th>التاريخ</th>
+                  <th>الفرع</th>
+                  <th>الاسم</th>
+                  <th>المنتج</th>
+                  <th>الكمية</th>
+                  <th>المجموع</th>
+                </tr>
+              </thead>
+              <tbody>
+                {content.internal_sales.map((sale) => (
+                  <tr key={sale.id}>
+                    <td>{sale.internal_sale_number || '-'}</td>
+                    <td>{formatDate(sale.created_at)}</td>
+                    <td>{gymName(sale.gym_id)}</td>
+                    <td>{sale.admin_name}</td>
+                    <td>{sale.product_name || `#${sale.product_id}`}</td>
+                    <td>{sale.quantity}</td>
+                    <td>{formatCurrency(sale.total_price)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {activeTab === 'subscribers' && (
+            <table className="table-ar">
+              <thead>
+                <tr>
+                  <th>الاسم</th>
+                  <th>الفرع</th>
+                  <th>نوع الاشتراك</th>
+                  <th>البداية</th>
+                  <th>النهاية</th>
+                  <th>المبلغ</th>
+                </tr>
+              </thead>
+              <tbody>
+                {content.subscribers.map((subscriber) => (
+                  <tr key={subscriber.id} className={subscriber.kept ? 'bg-yellow-50' : ''}>
+                    <td>{subscriber.full_name}</td>
+                    <td>{gymName(subscriber.gym_id)}</td>
+                    <td>{subscriber.subscription_type_name || '-'}</td>
+                    <td>{formatDate(subscriber.start_date)}</td>
+                    <td>
+                      {formatDate(subscriber.end_date)}
+                      {subscriber.kept ? <span className="text-xs text-yellow-700 mr-1">(مستمر)</span> : null}
+                    </td>
+                    <td>{formatCurrency(subscriber.price_paid)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {activeTab === 'stock' && (
+            <table className="table-ar">
+              <thead>
+                <tr>
+                  <th>المنتج</th>
+                  <th>الفرع</th>
+                  <th>الرصيد في نهاية الفترة</th>
+                </tr>
+              </thead>
+              <tbody>
+                {content.stock_openings.map((opening) => (
+                  <tr key={`${opening.product_id}-${opening.gym_id}`}>
+                    <td>{opening.product_name || `#${opening.product_id}`}</td>
+                    <td>{gymName(opening.gym_id)}</td>
+                    <td>{opening.quantity}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="flex justify-end mt-6">
+          <button onClick={onClose} className="btn-secondary-ar arabic-text">
+            إغلاق
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PeriodArchiveModal;
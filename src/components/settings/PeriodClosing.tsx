@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import { Archive, Eye, FolderOpen, Lock } from 'lucide-react';
+import PeriodArchiveModal from './PeriodArchiveModal';
+
+interface PeriodClosingProps {
+  // يُستدعى بعد الإقفال لأنه ينشئ نسخة احتياطية جديدة
+  onClosed: () => void;
+}
+
+const yesterday = () => {
+  const date = new Date();
+  date.setDate(date.getDate() - 1);
+  return date.toISOString().split('T')[0];
+};
+
+const formatDate = (value: string) => new Date(value).toLocaleDateString('ar-DZ');
+
+// إقفال فترة مالية بدل حذف جميع البيانات: معاملات الفترة تُحفظ في أرشيف موقع ثم تُحذف،
+// وتبقى أرصدة المخزون وديون الزبائن والاشتراكات المستمرة. الفترة المقفلة لا تقبل التعديل
+const PeriodClosing: React.FC<PeriodClosingProps> = ({ onClosed }) => {
+  const [periods, setPeriods] = useState<GymApi.ClosedPeriods | null>(null);
+  const [periodEnd, setPeriodEnd] = useState('');
+  const [preview, setPreview] = useState<GymApi.PeriodPreview | null>(null);
+  const [archive, setArchive] = useState<GymApi.PeriodArchive | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    loadPeriods();
+  }, []);
+
+  const loadPeriods = async () => {
+    try {
+      setPeriods(await window.electronAPI.periods.list());
+    } catch (error) {
+      console.error('Error loading closed periods:', error);
+    }
+  };
+
+  const loadPreview = async () => {
+    try {
+      setBusy(true);
+      setPreview(await window.electronAPI.periods.preview(periodEnd));
+    } catch (error) {
+      console.error('Error previewing period closing:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في معاينة الفترة');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const closePeriod = async () => {
+    if (!preview) return;
+    try {
+      const confirmResult = await window.electronAPI.showConfirm({
+        title: 'إقفال الفترة',
+        message: `هل تريد إقفال الفترة حتى ${formatDate(preview.period_end)}؟`,
+        detail: 'ستُحفظ معاملات الفترة في أرشيف موقع ثم تُحذف من البرنامج، ولن يمكن تعديل أي سجل ضمنها بعد الإقفال. ستُنشأ نسخة احتياطية قبل الإقفال.',
+        buttons: ['إقفال الفترة', 'إلغاء'],
+        defaultId: 1,
+        cancelId: 1
+      });
+      if (confirmResult.response === 1) {
+        return;
+      }
+
+      setBusy(true);
+      const result = await window.electronAPI.periods.close({ period_end: preview.period_end });
+      setPreview(null);
+      setPeriodEnd('');
+      await loadPeriods();
+      onClosed();
+      alert(`تم إقفال الفترة حتى ${formatDate(result.period_end)}.\nالأرشيف: ${result.archive_file}`);
+    } catch (error) {
+      console.error('Error closing period:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في إقفال الفترة');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const viewArchive = async (id: number) => {
+    try {
+      setArchive(await window.electronAPI.periods.view(id));
+    } catch (error) {
+      console.error('Error opening period archive:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في فتح الأرشيف');
+    }
+  };
+
+  const openArchiveFile = async () => {
+    try {
+      const result = await window.electronAPI.periods.openFile();
+      if (!result.canceled && result.archive) {
+        setArchive(result.archive);
+      }
+    } catch (error) {
+      console.error('Error opening period archive:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في فتح الأرشيف');
+    }
+  };
+
+  return (
+    <div className="mt-6 mb-6 p-4 bg-red-50 border border-red-200 rounded-lg space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <Archive className="w-5 h-5 ml-2 text-red-800" />
+          <h3 className="font-semibold text-red-800 arabic-text">إقفال الفترات المالية</h3>
+        </div>
+        <button onClick={openArchiveFile} className="btn-secondary-ar flex items-center text-sm">
+          <FolderOpen className="w-4 h-4 ml-1" />
+          فتح ملف أرشيف
+        </button>
+      </div>
+      <p className="text-sm text-red-700 arabic-text">
+        تُحفظ فواتير الفترة ومشترياتها والقائمة البيضاء والاشتراكات في أرشيف موقع يمكن عرضه لاحقاً، ثم تُحذف من البرنامج.
+        تبقى كميات المخزون والديون غير المسددة والفواتير التي لها حركة بعد نهاية الفترة والاشتراكات التي لم تنته.
+      </p>
+
+      {periods?.locked_until && (
+        <div className="flex items-center text-sm text-gray-700 arabic-text">
+          <Lock className="w-4 h-4 ml-1" />
+          السجلات حتى {formatDate(periods.locked_until)} مقفلة ولا تقبل التعديل
+        </div>
+      )}
+
+      {periods && periods.periods.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="table-ar">
+            <thead>
+              <tr>
+                <th>الفترة</th>
+                <th>تاريخ الإقفال</th>
+                <th>بواسطة</th>
+                <th>الفواتير</th>
+                <th>الاشتراكات</th>
+                <th>الأرشيف</th>
+              </tr>
+            </thead>
+            <tbody>
+              {periods.periods.map((period) => (
+                <tr key={period.id}>
+                  <td>{period.period_start ? `${formatDate(period.period_start)} - ` : 'حتى '}{formatDate(period.period_end)}</td>
+                  <td>{new Date(period.closed_at).toLocaleString('ar-DZ')}</td>
+                  <td>{period.closed_by_name || '-'}</td>
+                  <td>{period.summary.invoices}</td>
+                  <td>{period.summary.subscribers}</td>
+                  <td>
+                    <button
+                      onClick={() => viewArchive(period.id)}
+                      disabled={!period.archive_exists}
+                      className="text-blue-600 hover:text-blue-800 disabled:text-gray-400 flex items-center text-sm"
+                      title={period.archive_exists ? 'عرض' : 'ملف الأرشيف غير موجود في مكانه، استخدم فتح ملف أرشيف'}
+                    >
+                      <Eye className="w-4 h-4 ml-1" />
+                      عرض
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex items-end gap-3">
+        <div className="form-group-ar">
+          <label className="form-label-ar arabic-text">إقفال الفترة حتى تاريخ</label>
+          <input
+            type="date"
+            value={periodEnd}
+            max={yesterday()}
+            min={periods?.locked_until || undefined}
+            onChange={(e) => {
+              setPeriodEnd(e.target.value);
+              setPreview(null);
+            }}
+            className="form-input-ar"
+          />
+        </div>
+        <button onClick={loadPreview} disabled={!periodEnd || busy} className="btn-secondary-ar mb-4">
+          معاينة
+        </button>
+      </div>
+
+      {preview && (
+        <div className="p-3 bg-white border border-red-200 rounded-md text-sm space-y-2 arabic-text">
+          <p className="font-medium">
+            الفترة: {preview.period_start ? `${formatDate(preview.period_start)} - ` : 'حتى '}{formatDate(preview.period_end)}
+          </p>
+          <ul className="list-disc pr-5 space-y-1">
+            <li>الفواتير: {preview.summary.invoices} (تبقى منها {preview.summary.invoices_kept} فاتورة دين غير مسددة أو لها مرتجع أو دفعة بعد نهاية الفترة)</li>
+            <li>المشتريات: {preview.summary.purchases}</li>
+            <li>القائمة البيضاء: {preview.summary.internal_sales}</li>
+            <li>الاشتراكات: {preview.summary.subscribers} (يبقى منها {preview.summary.subscribers_kept} اشتراك مستمر)</li>
+            <li>حركات المخزون: {preview.summary.stock_movements} (تُختصر في رصيد افتتاحي لكل منتج وفرع)</li>
+          </ul>
+          <button
+            onClick={closePeriod}
+            disabled={busy}
+            className="bg-red-600 hover:bg-red-700 text-white py-2 px-4 rounded-md transition-colors disabled:bg-gray-400"
+          >
+            {busy ? 'جاري الإقفال...' : 'إقفال الفترة'}
+          </button>
+        </div>
+      )}
+
+      {archive && <PeriodArchiveModal archive={archive} onClose={() => setArchive(null)} />}
+    </div>
+  );
+};
+
+export default PeriodClosing;
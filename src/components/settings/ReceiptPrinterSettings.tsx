@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import { Printer, FileText, RefreshCw } from 'lucide-react';
+import { useGym } from '../../contexts/GymContext';
+
+const modeLabels: Record<GymApi.ReceiptPrintMode, string> = {
+  system: 'عبر تعريف الطابعة في النظام (يدعم الشعار والعربية)',
+  escpos: 'أوامر ESC/POS خام إلى منفذ الطابعة'
+};
+
+// طابعة الإيصالات على هذا الجهاز: الطابعة الافتراضية وعرض الورق وطريقة الطباعة،
+// مع معاينة PDF وطباعة تجريبية بإيصال نموذجي للصالة
+const ReceiptPrinterSettings: React.FC = () => {
+  const { gymId } = useGym();
+  const [config, setConfig] = useState<GymApi.ReceiptPrinterConfig | null>(null);
+  const [printers, setPrinters] = useState<GymApi.PrinterInfo[]>([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadConfig();
+  }, []);
+
+  const loadConfig = async () => {
+    try {
+      setConfig(await window.electronAPI.receipts.config());
+      setPrinters(await window.electronAPI.receipts.printers());
+    } catch (error) {
+      console.error('Error loading receipt printer settings:', error);
+    }
+  };
+
+  const saveConfig = async () => {
+    if (!config) return;
+    try {
+      setSaving(true);
+      setConfig(await window.electronAPI.receipts.setConfig(config));
+      alert('تم حفظ إعدادات طابعة الإيصالات');
+    } catch (error) {
+      console.error('Error saving receipt printer settings:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في حفظ إعدادات الطابعة');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // التجربة تستخدم الإعدادات المحفوظة، فتُحفظ التغييرات أولاً
+  const runTest = async (kind: 'print' | 'preview') => {
+    if (!config) return;
+    try {
+      setSaving(true);
+      setConfig(await window.electronAPI.receipts.setConfig(config));
+      if (kind === 'print') {
+        await window.electronAPI.receipts.printTest(gymId);
+      } else {
+        const result = await window.electronAPI.receipts.previewTest(gymId);
+        console.log('Receipt preview saved to', result.path);
+      }
+    } catch (error) {
+      console.error('Error testing receipt printer:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في تجربة الطابعة');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!config) {
+    return null;
+  }
+
+  return (
+    <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <Printer className="w-5 h-5 ml-2 text-gray-700" />
+          <h3 className="font-semibold text-gray-800 arabic-text">طابعة الإيصالات (هذا الجهاز)</h3>
+        </div>
+        <button onClick={loadConfig} className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg" title="تحديث قائمة الطابعات">
+          <RefreshCw className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="form-group-ar">
+        <label className="form-label-ar arabic-text">طريقة الطباعة</label>
+        <select
+          value={config.mode}
+          onChange={(e) => setConfig({ ...config, mode: e.target.value as GymApi.ReceiptPrintMode })}
+          className="form-select-ar"
+        >
+          {Object.entries(modeLabels).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {config.mode === 'system' ? (
+          <div className="form-group-ar md:col-span-2">
+            <label className="form-label-ar arabic-text">الطابعة</label>
+            <select
+              value={config.printer_name || ''}
+              onChange={(e) => setConfig({ ...config, printer_name: e.target.value || null })}
+              className="form-select-ar"
+            >
+              <option value="">الطابعة الافتراضية للنظام</option>
+              {printers.map((printer) => (
+                <option key={printer.name} value={printer.name}>{printer.display_name}</option>
+              ))}
+            </select>
+          </div>
+        ) : (
+          <>
+            <div className="form-group-ar">
+              <label className="form-label-ar arabic-text">منفذ الطابعة</label>
+              <input
+                type="text"
+                value={config.raw_device || ''}
+                onChange={(e) => setConfig({ ...config, raw_device: e.target.value })}
+                className="form-input-ar"
+                placeholder="\\\\localhost\\POS80 أو /dev/usb/lp0"
+                dir="ltr"
+              />
+            </div>
+            <div className="form-group-ar">
+              <label className="form-label-ar arabic-text">رقم جدول الأحرف العربية</label>
+              <input
+                type="number"
+                min="0"
+                max="255"
+                value={config.codepage}
+                onChange={(e) => setConfig({ ...config, codepage: parseInt(e.target.value) || 0 })}
+                className="form-input-ar"
+              />
+            </div>
+          </>
+        )}
+        <div className="form-group-ar">
+          <label className="form-label-ar arabic-text">عرض الورق</label>
+          <select
+            value={config.paper_width}
+            onChange={(e) => setConfig({ ...config, paper_width: Number(e.target.value) as GymApi.ReceiptPrinterConfig['paper_width'] })}
+            className="form-select-ar"
+          >
+            <option value={80}>80 ملم</option>
+            <option value={58}>58 ملم</option>
+          </select>
+        </div>
+      </div>
+
+      {config.mode === 'escpos' && (
+        <p className="text-xs text-gray-600 arabic-text">
+          يُرسل النص بترميز Windows-1256، ورقم جدول الأحرف الذي يقابله يختلف حسب الطابعة (راجع دليلها).
+          الشعار لا يُطبع في هذا الوضع.
+        </p>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="form-group-ar">
+          <label className="form-label-ar arabic-text">عدد النسخ</label>
+          <input
+            type="number"
+            min="1"
+            max="5"
+            value={config.copies}
+            onChange={(e) => setConfig({ ...config, copies: parseInt(e.target.value) || 1 })}
+            className="form-input-ar"
+          />
+        </div>
+        <label className="flex items-center text-sm arabic-text md:mt-6">
+          <input
+            type="checkbox"
+            checked={config.auto_print}
+            onChange={(e) => setConfig({ ...config, auto_print: e.target.checked })}
+            className="ml-2"
+          />
+          طباعة الإيصال تلقائياً بعد كل بيع
+        </label>
+        {config.mode === 'system' && (
+          <label className="flex items-center text-sm arabic-text md:mt-6">
+            <input
+              type="checkbox"
+              checked={config.show_logo}
+              onChange={(e) => setConfig({ ...config, show_logo: e.target.checked })}
+              className="ml-2"
+            />
+            طباعة شعار الصالة
+          </label>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-3">
+        <button onClick={saveConfig} disabled={saving} className="btn-primary-ar arabic-text disabled:opacity-50">
+          حفظ إعدادات الطابعة
+        </button>
+        <button onClick={() => runTest('preview')} disabled={saving} className="btn-secondary-ar arabic-text flex items-center disabled:opacity-50">
+          <FileText className="w-4 h-4 ml-2" />
+          معاينة PDF
+        </button>
+        <button onClick={() => runTest('print')} disabled={saving} className="btn-secondary-ar arabic-text flex items-center disabled:opacity-50">
+          <Printer className="w-4 h-4 ml-2" />
+          طباعة تجريبية
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ReceiptPrinterSettings;
@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import { AlertTriangle, RotateCcw, Lock } from 'lucide-react';
+
+interface RestorePreviewModalProps {
+  source: GymApi.RestoreSource;
+  onClose: () => void;
+}
+
+const tableLabels: Record<string, string> = {
+  gyms: 'الصالات',
+  users: 'المستخدمين',
+  products: 'المنتجات',
+  subscribers: 'المشتركين',
+  invoices: 'الفواتير',
+  purchases: 'المشتريات',
+  internal_sales: 'القائمة البيضاء',
+  customers: 'الزبائن'
+};
+
+const formatRange = (stats: GymApi.RestoreTableStats | null) => {
+  if (!stats || !stats.first) return '-';
+  const format = (value: string) => new Date(value).toLocaleDateString('ar-DZ');
+  return `${format(stats.first)} - ${format(stats.last || stats.first)}`;
+};
+
+// معاينة ملف الاستعادة ومقارنته بالبيانات الحالية قبل الاستبدال.
+// النسخة المشفرة تُطلب كلمة مرورها أولاً ثم تُعاد المعاينة بها.
+// بعد الاستعادة تُعاد تحميل الواجهة فقط، والتراجع متاح من الشريط أعلى الصفحة
+const RestorePreviewModal: React.FC<RestorePreviewModalProps> = ({ source, onClose }) => {
+  const [preview, setPreview] = useState<GymApi.RestorePreview | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [restoring, setRestoring] = useState(false);
+  const [passphrase, setPassphrase] = useState('');
+  // كلمة المرور التي نجحت بها المعاينة، وتُرسل نفسها عند الاستعادة
+  const [unlockedWith, setUnlockedWith] = useState<string | undefined>(undefined);
+  const [triedPassphrase, setTriedPassphrase] = useState(false);
+
+  useEffect(() => {
+    loadPreview();
+  }, [source]);
+
+  const loadPreview = async (withPassphrase?: string) => {
+    try {
+      setLoading(true);
+      const result = await window.electronAPI.backups.preview({ ...source, passphrase: withPassphrase });
+      setPreview(result);
+      setUnlockedWith(result.passphrase_required ? undefined : withPassphrase);
+      setTriedPassphrase(withPassphrase !== undefined);
+    } catch (error) {
+      console.error('Error previewing backup:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في قراءة ملف النسخة الاحتياطية');
+      onClose();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    try {
+      setRestoring(true);
+      await window.electronAPI.backups.restore({ ...source, passphrase: unlockedWith });
+      window.location.reload();
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في استعادة النسخة الاحتياطية');
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay-ar">
+      <div className="modal-content-ar max-w-3xl">
+        <h2 className="text-xl font-bold text-gray-900 mb-4 arabic-text">
+          معاينة الاستعادة
+        </h2>
+
+        {loading || !preview ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="spinner"></div>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="text-sm text-gray-700 space-y-1">
+              <p className="break-all">
+                <span className="font-medium arabic-text">الملف: </span>
+                {preview.file}
+              </p>
+              <p className="arabic-text">
+                <span className="font-medium">تاريخ الملف: </span>
+                {new Date(preview.modified_at).toLocaleString('ar-DZ')}
+              </p>
+              <p className="arabic-text">
+                <span className="font-medium">إصدار المخطط: </span>
+                {preview.schema_version ?? '-'} (الحالي: {preview.current_schema_version})
+                {preview.valid && preview.schema_version !== null && preview.schema_version < preview.latest_schema_version && (
+                  <span className="text-gray-500"> - سيتم تحديثه تلقائياً بعد الاستعادة</span>
+                )}
+              </p>
+            </div>
+
+            {preview.passphrase_required ? (
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  loadPreview(passphrase);
+                }}
+                className="bg-blue-50 border border-blue-200 px-4 py-3 rounded-lg space-y-3"
+              >
+                <div className="flex items-center font-medium text-blue-800 arabic-text">
+                  <Lock className="w-5 h-5 ml-2" />
+                  هذه النسخة مشفرة، أدخل كلمة المرور لمعاينتها
+                </div>
+                {triedPassphrase && preview.errors.length > 0 && (
+                  <p className="text-sm text-red-700 arabic-text">{preview.errors[preview.errors.length - 1]}</p>
+                )}
+                <div className="flex items-center space-x-reverse space-x-2">
+                  <input
+                    type="password"
+                    value={passphrase}
+                    onChange={(e) => setPassphrase(e.target.value)}
+                    className="form-input-ar"
+                    autoComplete="off"
+                    autoFocus
+                  />
+                  <button type="submit" disabled={!passphrase} className="btn-primary-ar arabic-text">
+                    فتح
+                  </button>
+                </div>
+              </form>
+            ) : !preview.valid && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg arabic-text">
+                <div className="flex items-center font-medium mb-1">
+                  <AlertTriangle className="w-5 h-5 ml-2" />
+                  لا يمكن استعادة هذا الملف
+                </div>
+                <ul className="list-disc pr-5 text-sm">
+                  {preview.errors.map((error, index) => (
+                    <li key={index}>{error}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {!preview.passphrase_required && (
+              <div className="overflow-x-auto">
+                <table className="table-ar">
+                  <thead>
+                    <tr>
+                      <th>البيانات</th>
+                      <th>في الملف</th>
+                      <th>الفترة في الملف</th>
+                      <th>الحالية</th>
+                      <th>الفترة الحالية</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.tables.map((table) => {
+                      const changed = (table.candidate?.rows ?? null) !== (table.current?.rows ?? null);
+                      return (
+                        <tr key={table.name} className={changed ? 'bg-yellow-50' : ''}>
+                          <td className="font-medium">{tableLabels[table.name] || table.name}</td>
+                          <td>{table.candidate ? table.candidate.rows : '-'}</td>
+                          <td className="text-sm">{formatRange(table.candidate)}</td>
+                          <td>{table.current ? table.current.rows : '-'}</td>
+                          <td className="text-sm">{formatRange(table.current)}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {preview.valid && (
+              <p className="text-sm text-gray-600 arabic-text">
+                ستُحفظ نسخة من البيانات الحالية قبل الاستعادة، ويمكن التراجع عنها بضغطة واحدة بعد إعادة التحميل.
+              </p>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-reverse space-x-4 mt-6">
+          <button onClick={onClose} disabled={restoring} className="btn-secondary-ar arabic-text">
+            إلغاء
+          </button>
+          {preview?.valid && (
+            <button
+              onClick={handleRestore}
+              disabled={restoring}
+              className="btn-primary-ar arabic-text flex items-center"
+            >
+              <RotateCcw className="w-4 h-4 ml-2" />
+              {restoring ? 'جاري الاستعادة...' : 'استعادة'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RestorePreviewModal;
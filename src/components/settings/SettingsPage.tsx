@@ -1,12 +1,24 @@
 import React, { useState, useEffect } from 'react';
-import { Save, Settings, Building, Palette, Database, FileText, Upload, Download, FolderOpen, Cloud, Clock } from 'lucide-react';
+import { Save, Building, Palette, Database, FileText, Upload, Download, FolderOpen, Image, Trash2 } from 'lucide-react';
 import { useGym } from '../../contexts/GymContext';
+import { useAuth } from '../../contexts/AuthContext';
+import BackupHistory from './BackupHistory';
+import BackupEncryption from './BackupEncryption';
+import GoogleDriveSettings from './GoogleDriveSettings';
+import BackupDestinations from './BackupDestinations';
+import BackupSchedule from './BackupSchedule';
+import DatabaseHealth from './DatabaseHealth';
+import PeriodClosing from './PeriodClosing';
+import BranchTransfer from './BranchTransfer';
+import RestorePreviewModal from './RestorePreviewModal';
+import ReceiptPrinterSettings from './ReceiptPrinterSettings';
+import DocumentNumberingSettings from './DocumentNumberingSettings';
 
 interface GymSettings {
   id: number;
   name: string;
   type: 'male' | 'female';
-  logo: string;
+  logo: string | null;
   settings: {
     address?: string;
     phone?: string;
@@ -14,8 +26,8 @@ interface GymSettings {
     currency?: string;
     tax_rate?: number;
     receipt_footer?: string;
-    backup_frequency?: string;
     theme_color?: string;
+    idle_lock_minutes?: number;
   };
 }
 
@@ -34,8 +46,9 @@ const SettingsPage: React.FC = () => {
     currency: 'DZD',
     tax_rate: '0',
     receipt_footer: '',
-    backup_frequency: 'daily',
-    theme_color: '#667eea'
+    theme_color: '#667eea',
+    idle_lock_minutes: '10',
+    logo: null as string | null
   });
 
   useEffect(() => {
@@ -46,28 +59,22 @@ const SettingsPage: React.FC = () => {
     if (!gymId) return;
     try {
       setLoading(true);
-      const data = await window.electronAPI.query(
-        'SELECT * FROM gyms WHERE id = ?',
-        [gymId]
-      );
-      
-      if (data.length > 0) {
-        const gym = data[0];
-        const settings = gym.settings ? JSON.parse(gym.settings) : {};
-        
-        setGymSettings({ ...gym, settings });
-        setFormData({
-          name: gym.name,
-          address: settings.address || '',
-          phone: settings.phone || '',
-          email: settings.email || '',
-          currency: settings.currency || 'DZD',
-          tax_rate: settings.tax_rate?.toString() || '0',
-          receipt_footer: settings.receipt_footer || '',
-          backup_frequency: settings.backup_frequency || 'daily',
-          theme_color: settings.theme_color || '#667eea'
-        });
-      }
+      const gym = await window.electronAPI.gyms.get(gymId);
+      const settings = gym.settings;
+
+      setGymSettings(gym);
+      setFormData({
+        name: gym.name,
+        address: settings.address || '',
+        phone: settings.phone || '',
+        email: settings.email || '',
+        currency: settings.currency || 'DZD',
+        tax_rate: settings.tax_rate?.toString() || '0',
+        receipt_footer: settings.receipt_footer || '',
+        theme_color: settings.theme_color || '#667eea',
+        idle_lock_minutes: (settings.idle_lock_minutes ?? 10).toString(),
+        logo: gym.logo
+      });
     } catch (error) {
       console.error('Error loading gym settings:', error);
     } finally {
@@ -79,38 +86,70 @@ const SettingsPage: React.FC = () => {
     setSaving(true);
     
     try {
-      const settings = {
+      await window.electronAPI.gyms.updateSettings(gymId, {
+        name: formData.name,
         address: formData.address,
         phone: formData.phone,
         email: formData.email,
         currency: formData.currency,
         tax_rate: parseFloat(formData.tax_rate) || 0,
         receipt_footer: formData.receipt_footer,
-        backup_frequency: formData.backup_frequency,
-        theme_color: formData.theme_color
-      };
-
-      await window.electronAPI.run(`
-        UPDATE gyms 
-        SET name = ?, settings = ?
-        WHERE id = ?
-      `, [formData.name, JSON.stringify(settings), gymId]);
+        theme_color: formData.theme_color,
+        idle_lock_minutes: parseInt(formData.idle_lock_minutes) || 0,
+        logo: formData.logo
+      });
 
       await loadGymSettings();
       alert('تم حفظ الإعدادات بنجاح');
     } catch (error) {
       console.error('Error saving settings:', error);
-      alert('حدث خطأ في حفظ الإعدادات');
+      alert(error instanceof Error ? error.message : 'حدث خطأ في حفظ الإعدادات');
     } finally {
       setSaving(false);
     }
   };
 
+  // الشعار يُحفظ مع الإعدادات كصورة مضمنة ويُطبع على الإيصالات
+  const chooseLogo = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    if (file.size > 200 * 1024) {
+      alert('صورة الشعار كبيرة جداً، الحد الأقصى 200 كيلوبايت');
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => setFormData((current) => ({ ...current, logo: reader.result as string }));
+    reader.readAsDataURL(file);
+  };
+
   const [backupStatus, setBackupStatus] = useState<{ type: 'success' | 'error' | 'info' | null; message: string | null }>({ type: null, message: null });
   const [isBackupLoading, setIsBackupLoading] = useState(false);
-  const [isClearing, setIsClearing] = useState(false);
-  const [driveConnected, setDriveConnected] = useState(false);
-  const [autoBackupSchedule, setAutoBackupSchedule] = useState('manual');
+  const { hasPermission } = useAuth();
+  const [backupHistoryKey, setBackupHistoryKey] = useState(0);
+  const [restoreSource, setRestoreSource] = useState<GymApi.RestoreSource | null>(null);
+
+  // النسخة لا تعتبر ناجحة إلا بعد فتحها والتحقق من سلامتها في العملية الرئيسية
+  const backupSuccessMessage = (result: { path?: string; backup?: GymApi.BackupEntry; destinations?: GymApi.DestinationResult[] }) => {
+    let message = `تم إنشاء نسخة احتياطية بنجاح والتحقق من سلامتها في: ${result.path}`;
+    if (result.backup) {
+      message += `\nSHA-256: ${(result.backup.sha256 || '').slice(0, 16)}… (إصدار المخطط ${result.backup.schema_version})`;
+      if (result.backup.encrypted) {
+        message += '\nالنسخة مضغوطة ومشفرة بكلمة مرور النسخ الاحتياطية';
+      }
+    }
+    for (const destination of result.destinations || []) {
+      message += destination.status === 'uploaded'
+        ? `\nتم إرسالها إلى ${destination.destination}`
+        : `\nفشل إرسالها إلى ${destination.destination}: ${destination.error}`;
+    }
+    return message;
+  };
+
+  // فشل الإرسال إلى وجهة لا يلغي النسخة المحلية لكنه يحتاج انتباه المستخدم
+  const backupResultType = (result: { destinations?: GymApi.DestinationResult[] }) => (
+    (result.destinations || []).some((destination) => destination.status === 'failed') ? 'error' : 'success'
+  );
 
   const createBackup = async () => {
     try {
@@ -119,12 +158,13 @@ const SettingsPage: React.FC = () => {
 
       const result = await window.electronAPI.backupDatabaseEnhanced();
       
+      setBackupHistoryKey((key) => key + 1);
       if (result.error) {
         setBackupStatus({ type: 'error', message: `فشل النسخ الاحتياطي: ${result.error}` });
       } else {
         setBackupStatus({ 
-          type: 'success', 
-          message: `تم إنشاء نسخة احتياطية بنجاح في: ${result.path}` 
+          type: backupResultType(result), 
+          message: backupSuccessMessage(result)
         });
       }
     } catch (error) {
@@ -140,30 +180,20 @@ const SettingsPage: React.FC = () => {
       setIsBackupLoading(true);
       setBackupStatus({ type: 'info', message: 'اختر مكان حفظ النسخة الاحتياطية...' });
 
-      const pathResult = await window.electronAPI.chooseBackupPath();
+      const result = await window.electronAPI.backupDatabaseEnhanced({ choosePath: true });
       
-      if (pathResult.canceled) {
+      if (result.canceled) {
         setBackupStatus({ type: null, message: null });
         return;
       }
       
-      if (pathResult.error) {
-        setBackupStatus({ type: 'error', message: `خطأ في اختيار المسار: ${pathResult.error}` });
-        return;
-      }
-
-      setBackupStatus({ type: 'info', message: 'جاري إنشاء نسخة احتياطية...' });
-
-      const result = await window.electronAPI.backupDatabaseEnhanced({
-        customPath: pathResult.filePath
-      });
-      
+      setBackupHistoryKey((key) => key + 1);
       if (result.error) {
         setBackupStatus({ type: 'error', message: `فشل النسخ الاحتياطي: ${result.error}` });
       } else {
         setBackupStatus({ 
-          type: 'success', 
-          message: `تم إنشاء نسخة احتياطية بنجاح في: ${result.path}` 
+          type: backupResultType(result), 
+          message: backupSuccessMessage(result)
         });
       }
     } catch (error) {
@@ -174,223 +204,16 @@ const SettingsPage: React.FC = () => {
     }
   };
 
-  const createBackupToDrive = async () => {
-    try {
-      if (!driveConnected) {
-        alert('يرجى ربط حساب Google Drive أولاً');
-        return;
-      }
-
-      setIsBackupLoading(true);
-      setBackupStatus({ type: 'info', message: 'جاري إنشاء نسخة احتياطية ورفعها إلى Google Drive...' });
-
-      const result = await window.electronAPI.backupDatabaseEnhanced({
-        uploadToDrive: true,
-        driveCredentials: {
-          // هنا يجب إضافة بيانات الاعتماد الفعلية
-          client_id: 'your_client_id',
-          client_secret: 'your_client_secret',
-          refresh_token: 'your_refresh_token'
-        }
-      });
-      
-      if (result.error) {
-        setBackupStatus({ type: 'error', message: `فشل النسخ الاحتياطي: ${result.error}` });
-      } else {
-        let message = `تم إنشاء نسخة احتياطية بنجاح في: ${result.path}`;
-        if (result.driveFileId) {
-          message += `\nتم رفعها إلى Google Drive بنجاح`;
-        }
-        setBackupStatus({ 
-          type: 'success', 
-          message: message
-        });
-      }
-    } catch (error) {
-      console.error('Error creating Drive backup:', error);
-      setBackupStatus({ type: 'error', message: `حدث خطأ غير متوقع: ${error instanceof Error ? error.message : 'Unknown error'}` });
-    } finally {
-      setIsBackupLoading(false);
-    }
-  };
-
-  const connectGoogleDrive = async () => {
-    try {
-      const result = await window.electronAPI.googleDriveAuth();
-      
-      if (result.success && result.authUrl) {
-        // فتح رابط المصادقة في المتصفح
-        window.open(result.authUrl, '_blank');
-        
-        // في التطبيق الحقيقي، يجب التعامل مع رد المصادقة
-        // للبساطة، سنعتبر أن المستخدم تم ربطه
-        setDriveConnected(true);
-        setBackupStatus({ 
-          type: 'success', 
-          message: 'تم ربط Google Drive بنجاح (محاكاة)' 
-        });
-      }
-    } catch (error) {
-      console.error('Error connecting Google Drive:', error);
-      setBackupStatus({ type: 'error', message: 'فشل في ربط Google Drive' });
-    }
-  };
-
-  const setupAutoBackup = async () => {
-    try {
-      const result = await window.electronAPI.setupAutoBackup(autoBackupSchedule);
-      
-      if (result.success) {
-        setBackupStatus({ 
-          type: 'success', 
-          message: `تم إعداد النسخ الاحتياطي التلقائي: ${autoBackupSchedule}` 
-        });
-      } else {
-        setBackupStatus({ type: 'error', message: result.error || 'فشل في إعداد النسخ التلقائي' });
-      }
-    } catch (error) {
-      console.error('Error setting up auto backup:', error);
-      setBackupStatus({ type: 'error', message: 'حدث خطأ في إعداد النسخ التلقائي' });
-    }
-  };
-
+  // اختيار الملف هنا، والمعاينة والاستعادة في نافذة المعاينة
   const restoreBackup = async () => {
     try {
-      const confirmResult = await window.electronAPI.showConfirm({
-        title: 'استعادة قاعدة البيانات',
-        message: 'هل أنت متأكد من استعادة قاعدة البيانات من نسخة احتياطية؟',
-        detail: 'سيتم استبدال جميع البيانات الحالية بالبيانات من النسخة الاحتياطية. هذا الإجراء لا يمكن التراجع عنه.',
-        buttons: ['استعادة', 'إلغاء'],
-        defaultId: 1,
-        cancelId: 1
-      });
-
-      if (confirmResult.response === 1) {
-        return;
-      }
-
-      setIsBackupLoading(true);
-      setBackupStatus({ type: 'info', message: 'جاري استعادة النسخة الاحتياطية...' });
-
-      const result = await window.electronAPI.restoreDatabase();
-      
-      if (result.canceled) {
-        setBackupStatus({ type: null, message: null });
-        return;
-      }
-      
-      if (result.error) {
-        setBackupStatus({ type: 'error', message: `فشل استعادة قاعدة البيانات: ${result.error}` });
-      } else if (result.success) {
-        setBackupStatus({ type: 'success', message: 'تم استعادة قاعدة البيانات بنجاح' });
-        
-        const restartResult = await window.electronAPI.showConfirm({
-          title: 'إعادة تشغيل التطبيق',
-          message: 'يجب إعادة تشغيل التطبيق لتطبيق التغييرات',
-          detail: 'هل تريد إعادة تشغيل التطبيق الآن؟',
-          buttons: ['إعادة تشغيل', 'لاحقاً'],
-          defaultId: 0
-        });
-        
-        if (restartResult.response === 0) {
-          window.electronAPI.closeApp();
-        }
-      }
-    } catch (error) {
-      console.error('Error restoring backup:', error);
-      setBackupStatus({ type: 'error', message: `حدث خطأ غير متوقع: ${error instanceof Error ? error.message : 'Unknown error'}` });
-    } finally {
-      setIsBackupLoading(false);
-    }
-  };
-
-  const repairDatabase = async () => {
-    try {
-      const confirmResult = await window.electronAPI.showConfirm({
-        title: 'إصلاح قاعدة البيانات',
-        message: 'هل تريد إصلاح وتحسين أداء قاعدة البيانات؟',
-        detail: 'سيقوم هذا الإجراء بإصلاح وتحسين أداء قاعدة البيانات. قد يستغرق بعض الوقت.',
-        buttons: ['إصلاح', 'إلغاء'],
-        defaultId: 1,
-        cancelId: 1
-      });
-
-      if (confirmResult.response === 1) {
-        return;
-      }
-
-      setIsBackupLoading(true);
-      setBackupStatus({ type: 'info', message: 'جاري إصلاح قاعدة البيانات...' });
-
-      const result = await window.electronAPI.repairDatabase();
-      
-      if (result.error) {
-        setBackupStatus({ type: 'error', message: `فشل إصلاح قاعدة البيانات: ${result.error}` });
-      } else {
-        setBackupStatus({ type: 'success', message: 'تم إصلاح وتحسين قاعدة البيانات بنجاح' });
+      const result = await window.electronAPI.backups.chooseFile();
+      if (!result.canceled && result.path) {
+        setRestoreSource({ path: result.path });
       }
     } catch (error) {
-      console.error('Error repairing database:', error);
+      console.error('Error choosing backup file:', error);
       setBackupStatus({ type: 'error', message: `حدث خطأ غير متوقع: ${error instanceof Error ? error.message : 'Unknown error'}` });
-    } finally {
-      setIsBackupLoading(false);
-    }
-  };
-
-  const clearAllData = async () => {
-    try {
-      const firstConfirm = await window.electronAPI.showConfirm({
-        title: 'تحذير: حذف جميع البيانات',
-        message: 'هل أنت متأكد من حذف جميع البيانات؟',
-        detail: 'سيتم حذف جميع البيانات باستثناء حسابات المستخدمين. هذا الإجراء لا يمكن التراجع عنه!',
-        buttons: ['نعم، احذف جميع البيانات', 'إلغاء'],
-        defaultId: 1,
-        cancelId: 1
-      });
-
-      if (firstConfirm.response === 1) {
-        return;
-      }
-
-      const secondConfirm = await window.electronAPI.showConfirm({
-        title: 'تأكيد نهائي',
-        message: 'هذا هو التأكيد الأخير!',
-        detail: 'سيتم حذف جميع المنتجات، المبيعات، المشتركين، والفواتير نهائياً. هل تريد المتابعة؟',
-        buttons: ['نعم، احذف نهائياً', 'إلغاء'],
-        defaultId: 1,
-        cancelId: 1
-      });
-
-      if (secondConfirm.response === 1) {
-        return;
-      }
-
-      setIsClearing(true);
-      setBackupStatus({ type: 'info', message: 'جاري حذف البيانات...' });
-
-      const tablesToClear = [
-        'invoice_items',
-        'invoices',
-        'purchase_items',
-        'purchases',
-        'internal_sales',
-        'subscribers',
-        'subscription_types',
-        'products',
-        'categories',
-        'customers'
-      ];
-
-      for (const table of tablesToClear) {
-        await window.electronAPI.run(`DELETE FROM ${table}`);
-      }
-
-      setBackupStatus({ type: 'success', message: 'تم حذف جميع البيانات بنجاح! يمكنك الآن البدء من جديد.' });
-    } catch (error) {
-      console.error('Error clearing data:', error);
-      setBackupStatus({ type: 'error', message: `حدث خطأ في حذف البيانات: ${error instanceof Error ? error.message : 'Unknown error'}` });
-    } finally {
-      setIsClearing(false);
     }
   };
 
@@ -518,6 +341,25 @@ const SettingsPage: React.FC = () => {
                     placeholder="البريد الإلكتروني"
                   />
                 </div>
+
+                <div className="form-group-ar">
+                  <label className="form-label-ar arabic-text">
+                    القفل التلقائي عند عدم النشاط
+                  </label>
+                  <select
+                    value={formData.idle_lock_minutes}
+                    onChange={(e) => setFormData({ ...formData, idle_lock_minutes: e.target.value })}
+                    className="form-select-ar"
+                  >
+                    <option value="0">معطل</option>
+                    <option value="2">بعد دقيقتين</option>
+                    <option value="5">بعد 5 دقائق</option>
+                    <option value="10">بعد 10 دقائق</option>
+                    <option value="15">بعد 15 دقيقة</option>
+                    <option value="30">بعد 30 دقيقة</option>
+                    <option value="60">بعد ساعة</option>
+                  </select>
+                </div>
               </div>
             )}
 
@@ -621,6 +463,38 @@ const SettingsPage: React.FC = () => {
                     rows={3}
                   />
                 </div>
+
+                <div className="form-group-ar">
+                  <label className="form-label-ar arabic-text">
+                    شعار الصالة على الإيصال
+                  </label>
+                  <div className="flex items-center gap-4">
+                    {formData.logo ? (
+                      <img src={formData.logo} alt="الشعار" className="h-16 max-w-[160px] object-contain border rounded-lg p-1 bg-white" />
+                    ) : (
+                      <div className="h-16 w-16 flex items-center justify-center border rounded-lg text-gray-400">
+                        <Image className="w-6 h-6" />
+                      </div>
+                    )}
+                    <label className="btn-secondary-ar arabic-text cursor-pointer">
+                      اختيار صورة
+                      <input type="file" accept="image/png,image/jpeg,image/gif,image/webp" onChange={chooseLogo} className="hidden" />
+                    </label>
+                    {formData.logo && (
+                      <button
+                        onClick={() => setFormData({ ...formData, logo: null })}
+                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                        title="حذف الشعار"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {hasPermission('manage_users') && <DocumentNumberingSettings />}
+
+                {hasPermission('manage_users') && <ReceiptPrinterSettings />}
               </div>
             )}
 
@@ -632,7 +506,7 @@ const SettingsPage: React.FC = () => {
                 </div>
 
                 {backupStatus.type && (
-                  <div className={`p-4 rounded-md ${
+                  <div className={`p-4 rounded-md whitespace-pre-line break-all ${
                     backupStatus.type === 'success' ? 'bg-green-100 text-green-800' :
                     backupStatus.type === 'error' ? 'bg-red-100 text-red-800' :
                     'bg-blue-100 text-blue-800'
@@ -641,132 +515,61 @@ const SettingsPage: React.FC = () => {
                   </div>
                 )}
 
-                <div className="form-group-ar">
-                  <label className="form-label-ar arabic-text">
-                    تكرار النسخ الاحتياطي التلقائي
-                  </label>
-                  <select
-                    value={formData.backup_frequency}
-                    onChange={(e) => setFormData({ ...formData, backup_frequency: e.target.value })}
-                    className="form-select-ar"
-                  >
-                    <option value="daily">يومياً</option>
-                    <option value="weekly">أسبوعياً</option>
-                    <option value="monthly">شهرياً</option>
-                    <option value="manual">يدوي فقط</option>
-                  </select>
-                </div>
-
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
-                  <button
-                    onClick={createBackup}
-                    disabled={isBackupLoading}
-                    className="flex items-center justify-center bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-md transition-colors disabled:bg-gray-400"
-                  >
-                    <Upload className="ml-2" size={18} />
-                    إنشاء نسخة احتياطية
-                  </button>
-                  
-                  <button
-                    onClick={createBackupWithCustomPath}
-                    disabled={isBackupLoading}
-                    className="flex items-center justify-center bg-green-600 hover:bg-green-700 text-white py-2 px-4 rounded-md transition-colors disabled:bg-gray-400"
-                  >
-                    <FolderOpen className="ml-2" size={18} />
-                    اختيار مسار الحفظ
-                  </button>
-                  
-                  <button
-                    onClick={restoreBackup}
-                    disabled={isBackupLoading}
-                    className="flex items-center justify-center bg-amber-600 hover:bg-amber-700 text-white py-2 px-4 rounded-md transition-colors disabled:bg-gray-400"
-                  >
-                    <Download className="ml-2" size={18} />
-                    استعادة من نسخة احتياطية
-                  </button>
-                </div>
-                
-                {/* Google Drive Integration */}
-                <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
-                  <h3 className="font-semibold mb-3 text-blue-800 arabic-text">ربط Google Drive</h3>
-                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {/* النسخ والاستعادة لمن يملك صلاحية النسخ الاحتياطية، فالنسخة نسخة كاملة من القاعدة */}
+                {hasPermission('restore_backups') && (
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
                     <button
-                      onClick={connectGoogleDrive}
-                      disabled={isBackupLoading || driveConnected}
-                      className={`flex items-center justify-center py-2 px-4 rounded-md transition-colors ${
-                        driveConnected 
-                          ? 'bg-green-600 text-white cursor-not-allowed' 
-                          : 'bg-blue-600 hover:bg-blue-700 text-white'
-                      } disabled:bg-gray-400`}
+                      onClick={createBackup}
+                      disabled={isBackupLoading}
+                      className="flex items-center justify-center bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-md transition-colors disabled:bg-gray-400"
                     >
-                      <Cloud className="ml-2" size={18} />
-                      {driveConnected ? 'مربوط بـ Google Drive' : 'ربط Google Drive'}
+                      <Upload className="ml-2" size={18} />
+                      إنشاء نسخة احتياطية
                     </button>
-                    
+                  
                     <button
-                      onClick={createBackupToDrive}
-                      disabled={isBackupLoading || !driveConnected}
-                      className="flex items-center justify-center bg-indigo-600 hover:bg-indigo-700 text-white py-2 px-4 rounded-md transition-colors disabled:bg-gray-400"
+                      onClick={createBackupWithCustomPath}
+                      disabled={isBackupLoading}
+                      className="flex items-center justify-center bg-green-600 hover:bg-green-700 text-white py-2 px-4 rounded-md transition-colors disabled:bg-gray-400"
                     >
-                      <Cloud className="ml-2" size={18} />
-                      نسخ احتياطي إلى Drive
+                      <FolderOpen className="ml-2" size={18} />
+                      اختيار مسار الحفظ
                     </button>
-                  </div>
-                </div>
-                
-                {/* Auto Backup Scheduling */}
-                <div className="mb-6 p-4 bg-purple-50 border border-purple-200 rounded-lg">
-                  <h3 className="font-semibold mb-3 text-purple-800 arabic-text">النسخ الاحتياطي التلقائي</h3>
-                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                    <div>
-                      <label className="form-label-ar arabic-text">جدولة النسخ التلقائي</label>
-                      <select
-                        value={autoBackupSchedule}
-                        onChange={(e) => setAutoBackupSchedule(e.target.value)}
-                        className="form-select-ar"
-                      >
-                        <option value="manual">يدوي فقط</option>
-                        <option value="daily">يومياً (2:00 ص)</option>
-                        <option value="weekly">أسبوعياً (الأحد 2:00 ص)</option>
-                        <option value="monthly">شهرياً (أول الشهر 2:00 ص)</option>
-                      </select>
-                    </div>
-                    
+                  
                     <button
-                      onClick={setupAutoBackup}
+                      onClick={restoreBackup}
                       disabled={isBackupLoading}
-                      className="flex items-center justify-center bg-purple-600 hover:bg-purple-700 text-white py-2 px-4 rounded-md transition-colors disabled:bg-gray-400"
+                      className="flex items-center justify-center bg-amber-600 hover:bg-amber-700 text-white py-2 px-4 rounded-md transition-colors disabled:bg-gray-400"
                     >
-                      <Clock className="ml-2" size={18} />
-                      تطبيق الجدولة
+                      <Download className="ml-2" size={18} />
+                      استعادة من نسخة احتياطية
                     </button>
                   </div>
-                </div>
+                )}
                 
-                <div className="grid grid-cols-1 md:grid-cols-1 gap-4 mb-6">
-                  <button
-                    onClick={repairDatabase}
-                    disabled={isBackupLoading}
-                    className="flex items-center justify-center bg-purple-600 hover:bg-purple-700 text-white py-2 px-4 rounded-md transition-colors disabled:bg-gray-400"
-                  >
-                    <Settings className="ml-2" size={18} />
-                    إصلاح وتحسين قاعدة البيانات
-                  </button>
-                </div>
+                {/* Google Drive Integration */}
+                <GoogleDriveSettings />
+
+                {hasPermission('restore_backups') && <BackupDestinations />}
                 
-                <div className="mt-6 p-4 bg-red-50 border border-red-200 rounded-lg">
-                  <h3 className="font-semibold mb-2 text-red-800 arabic-text">منطقة الخطر</h3>
-                  <p className="text-sm text-red-600 mb-3 arabic-text">
-                    حذف جميع البيانات باستثناء حسابات المستخدمين. هذا الإجراء لا يمكن التراجع عنه!
-                  </p>
-                  <button
-                    onClick={clearAllData}
-                    disabled={isClearing}
-                    className="bg-red-600 hover:bg-red-700 text-white py-2 px-4 rounded-md transition-colors disabled:bg-gray-400 arabic-text"
-                  >
-                    {isClearing ? 'جاري الحذف...' : 'حذف جميع البيانات'}
-                  </button>
-                </div>
+                {/* Auto Backup Scheduling */}
+                <BackupSchedule refreshKey={backupHistoryKey} />
+                
+                {hasPermission('restore_backups') && <BackupEncryption />}
+
+                <BackupHistory refreshKey={backupHistoryKey} />
+
+                {hasPermission('run_diagnostics') && (
+                  <DatabaseHealth onRepaired={() => setBackupHistoryKey((key) => key + 1)} />
+                )}
+                
+                {hasPermission('restore_backups') && (
+                  <BranchTransfer onImported={() => setBackupHistoryKey((key) => key + 1)} />
+                )}
+
+                {hasPermission('clear_data') && (
+                  <PeriodClosing onClosed={() => setBackupHistoryKey((key) => key + 1)} />
+                )}
 
                 <div className="p-4 bg-blue-50 rounded-lg">
                   <h3 className="font-semibold mb-2 arabic-text">معلومات النسخ الاحتياطي</h3>
@@ -790,6 +593,10 @@ const SettingsPage: React.FC = () => {
           </div>
         </div>
       </div>
+
+      {restoreSource && (
+        <RestorePreviewModal source={restoreSource} onClose={() => setRestoreSource(null)} />
+      )}
     </div>
   );
 };
@@ -0,0 +1,447 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Eye, ArrowLeftRight, Check, X, Ban } from 'lucide-react';
+import { useGym } from '../../contexts/GymContext';
+
+const statusLabels: Record<GymApi.StockTransferStatus, { label: string; className: string }> = {
+  pending: { label: 'بانتظار الاعتماد', className: 'status-expiring' },
+  approved: { label: 'معتمد', className: 'status-active' },
+  rejected: { label: 'مرفوض', className: 'status-expired' },
+  cancelled: { label: 'ملغى', className: 'status-expired' }
+};
+
+interface TransferFormItem {
+  product_id: number;
+  quantity: number;
+}
+
+const StockTransfersPage: React.FC = () => {
+  const { gymId } = useGym();
+  const [transfers, setTransfers] = useState<GymApi.StockTransfer[]>([]);
+  const [products, setProducts] = useState<GymApi.StockProduct[]>([]);
+  const [gyms, setGyms] = useState<GymApi.GymSummary[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [selectedTransfer, setSelectedTransfer] = useState<{
+    transfer: GymApi.StockTransfer;
+    items: GymApi.StockTransferItem[];
+  } | null>(null);
+  const [formData, setFormData] = useState({
+    to_gym_id: '',
+    notes: '',
+    items: [] as TransferFormItem[]
+  });
+
+  useEffect(() => {
+    loadTransfers();
+    loadGyms();
+  }, [gymId]);
+
+  const loadTransfers = async () => {
+    try {
+      const data = await window.electronAPI.stockTransfers.list(gymId);
+      setTransfers(data);
+    } catch (error) {
+      console.error('Error loading transfers:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadGyms = async () => {
+    try {
+      const data = await window.electronAPI.gyms.list();
+      setGyms(data.filter((gym) => gym.id !== gymId));
+    } catch (error) {
+      console.error('Error loading gyms:', error);
+    }
+  };
+
+  const loadProducts = async () => {
+    try {
+      const data = await window.electronAPI.products.listInStock(gymId);
+      setProducts(data);
+    } catch (error) {
+      console.error('Error loading products:', error);
+    }
+  };
+
+  const openAddModal = async () => {
+    await loadProducts();
+    setFormData({
+      to_gym_id: gyms.length === 1 ? gyms[0].id.toString() : '',
+      notes: '',
+      items: []
+    });
+    setShowModal(true);
+  };
+
+  const addItem = () => {
+    setFormData({ ...formData, items: [...formData.items, { product_id: 0, quantity: 1 }] });
+  };
+
+  const updateItem = (index: number, field: keyof TransferFormItem, value: number) => {
+    const newItems = [...formData.items];
+    newItems[index] = { ...newItems[index], [field]: value };
+    setFormData({ ...formData, items: newItems });
+  };
+
+  const removeItem = (index: number) => {
+    setFormData({ ...formData, items: formData.items.filter((_, i) => i !== index) });
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (formData.items.length === 0) {
+      alert('يرجى إضافة منتج واحد على الأقل');
+      return;
+    }
+
+    try {
+      await window.electronAPI.stockTransfers.create(gymId, {
+        to_gym_id: parseInt(formData.to_gym_id),
+        notes: formData.notes,
+        items: formData.items
+      });
+      await loadTransfers();
+      setShowModal(false);
+      alert('تم إرسال طلب التحويل، وسيتم نقل الكميات بعد اعتماده من الفرع المستلم');
+    } catch (error) {
+      console.error('Error creating transfer:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في إنشاء التحويل');
+    }
+  };
+
+  const viewTransfer = async (transfer: GymApi.StockTransfer) => {
+    try {
+      const items = await window.electronAPI.stockTransfers.getItems(transfer.id);
+      setSelectedTransfer({ transfer, items });
+    } catch (error) {
+      console.error('Error loading transfer details:', error);
+    }
+  };
+
+  const approveTransfer = async (transfer: GymApi.StockTransfer) => {
+    if (!window.confirm(`هل تؤكد استلام التحويل رقم ${transfer.id} من ${transfer.from_gym_name}؟`)) {
+      return;
+    }
+    try {
+      await window.electronAPI.stockTransfers.approve(gymId, transfer.id);
+      await loadTransfers();
+    } catch (error) {
+      console.error('Error approving transfer:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في اعتماد التحويل');
+    }
+  };
+
+  const rejectTransfer = async (transfer: GymApi.StockTransfer) => {
+    const reason = window.prompt('سبب رفض التحويل (اختياري):');
+    if (reason === null) {
+      return;
+    }
+    try {
+      await window.electronAPI.stockTransfers.reject(gymId, transfer.id, reason);
+      await loadTransfers();
+    } catch (error) {
+      console.error('Error rejecting transfer:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في رفض التحويل');
+    }
+  };
+
+  const cancelTransfer = async (transfer: GymApi.StockTransfer) => {
+    if (!window.confirm(`هل أنت متأكد من إلغاء التحويل رقم ${transfer.id}؟`)) {
+      return;
+    }
+    try {
+      await window.electronAPI.stockTransfers.cancel(gymId, transfer.id);
+      await loadTransfers();
+    } catch (error) {
+      console.error('Error cancelling transfer:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في إلغاء التحويل');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 arabic-text">
+            تحويلات المخزون
+          </h1>
+          <p className="text-gray-600 arabic-text">
+            نقل المنتجات بين مخازن الفروع بعد اعتماد الفرع المستلم
+          </p>
+        </div>
+        <button
+          onClick={openAddModal}
+          className="btn-primary-ar arabic-text flex items-center"
+          disabled={gyms.length === 0}
+        >
+          <Plus className="w-5 h-5 ml-2" />
+          تحويل جديد
+        </button>
+      </div>
+
+      {/* Transfers Table */}
+      <div className="card-ar">
+        {transfers.length === 0 ? (
+          <div className="text-center py-12">
+            <ArrowLeftRight className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 arabic-text">لا توجد تحويلات</h3>
+            <p className="text-gray-600 arabic-text">ابدأ بإرسال منتجات إلى فرع آخر</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table-ar">
+              <thead>
+                <tr>
+                  <th>الرقم</th>
+                  <th>من</th>
+                  <th>إلى</th>
+                  <th>المنتجات</th>
+                  <th>الحالة</th>
+                  <th>طلب بواسطة</th>
+                  <th>التاريخ</th>
+                  <th>الإجراءات</th>
+                </tr>
+              </thead>
+              <tbody>
+                {transfers.map((transfer) => {
+                  const status = statusLabels[transfer.status];
+                  const isPending = transfer.status === 'pending';
+                  return (
+                    <tr key={transfer.id}>
+                      <td className="font-medium">#{transfer.id}</td>
+                      <td>{transfer.from_gym_name}</td>
+                      <td>{transfer.to_gym_name}</td>
+                      <td>{transfer.items_count} منتج ({transfer.total_quantity} قطعة)</td>
+                      <td><span className={status.className}>{status.label}</span></td>
+                      <td>{transfer.requested_by_name || '-'}</td>
+                      <td>{new Date(transfer.created_at).toLocaleDateString('ar-DZ')}</td>
+                      <td>
+                        <div className="flex items-center space-x-reverse space-x-2">
+                          <button
+                            onClick={() => viewTransfer(transfer)}
+                            className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                            title="عرض التفاصيل"
+                          >
+                            <Eye className="w-4 h-4" />
+                          </button>
+                          {isPending && transfer.to_gym_id === gymId && (
+                            <>
+                              <button
+                                onClick={() => approveTransfer(transfer)}
+                                className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-colors"
+                                title="اعتماد الاستلام"
+                              >
+                                <Check className="w-4 h-4" />
+                              </button>
+                              <button
+                                onClick={() => rejectTransfer(transfer)}
+                                className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                title="رفض"
+                              >
+                                <X className="w-4 h-4" />
+                              </button>
+                            </>
+                          )}
+                          {isPending && transfer.from_gym_id === gymId && (
+                            <button
+                              onClick={() => cancelTransfer(transfer)}
+                              className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                              title="إلغاء"
+                            >
+                              <Ban className="w-4 h-4" />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Create Transfer Modal */}
+      {showModal && (
+        <div className="modal-overlay-ar">
+          <div className="modal-content-ar max-w-3xl">
+            <h2 className="text-xl font-bold text-gray-900 mb-6 arabic-text">
+              تحويل منتجات إلى فرع آخر
+            </h2>
+
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div className="form-group-ar">
+                <label className="form-label-ar arabic-text">الفرع المستلم *</label>
+                <select
+                  value={formData.to_gym_id}
+                  onChange={(e) => setFormData({ ...formData, to_gym_id: e.target.value })}
+                  className="form-select-ar"
+                  required
+                >
+                  <option value="">اختر الفرع</option>
+                  {gyms.map((gym) => (
+                    <option key={gym.id} value={gym.id}>{gym.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-lg font-semibold arabic-text">المنتجات</h3>
+                  <button
+                    type="button"
+                    onClick={addItem}
+                    className="btn-secondary-ar arabic-text flex items-center"
+                  >
+                    <Plus className="w-4 h-4 ml-2" />
+                    إضافة منتج
+                  </button>
+                </div>
+
+                <div className="space-y-4">
+                  {formData.items.map((item, index) => (
+                    <div key={index} className="grid grid-cols-1 md:grid-cols-3 gap-4 p-4 bg-gray-50 rounded-lg">
+                      <div>
+                        <label className="form-label-ar arabic-text">المنتج</label>
+                        <select
+                          value={item.product_id}
+                          onChange={(e) => updateItem(index, 'product_id', parseInt(e.target.value) || 0)}
+                          className="form-select-ar"
+                          required
+                        >
+                          <option value="">اختر المنتج</option>
+                          {products.map((product) => (
+                            <option key={product.id} value={product.id}>
+                              {product.name} - متوفر: {product.available}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+
+                      <div>
+                        <label className="form-label-ar arabic-text">الكمية</label>
+                        <input
+                          type="number"
+                          min="1"
+                          value={item.quantity}
+                          onChange={(e) => updateItem(index, 'quantity', parseInt(e.target.value) || 1)}
+                          className="form-input-ar"
+                          required
+                        />
+                      </div>
+
+                      <div className="flex items-end">
+                        <button
+                          type="button"
+                          onClick={() => removeItem(index)}
+                          className="btn-danger-ar w-full"
+                        >
+                          حذف
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div className="form-group-ar">
+                <label className="form-label-ar arabic-text">ملاحظات</label>
+                <textarea
+                  value={formData.notes}
+                  onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                  className="form-input-ar"
+                  placeholder="ملاحظات إضافية (اختياري)"
+                  rows={2}
+                />
+              </div>
+
+              <div className="flex items-center justify-end space-x-reverse space-x-4 pt-4">
+                <button
+                  type="button"
+                  onClick={() => setShowModal(false)}
+                  className="btn-secondary-ar arabic-text"
+                >
+                  إلغاء
+                </button>
+                <button type="submit" className="btn-primary-ar arabic-text">
+                  إرسال التحويل
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* View Transfer Modal */}
+      {selectedTransfer && (
+        <div className="modal-overlay-ar">
+          <div className="modal-content-ar max-w-2xl">
+            <div className="text-center mb-6">
+              <h2 className="text-2xl font-bold text-gray-900 arabic-text">
+                تحويل رقم #{selectedTransfer.transfer.id}
+              </h2>
+              <p className="text-gray-600 arabic-text">
+                من {selectedTransfer.transfer.from_gym_name} إلى {selectedTransfer.transfer.to_gym_name}
+              </p>
+            </div>
+
+            <div className="mb-6 p-4 bg-gray-50 rounded-lg space-y-1 arabic-text">
+              <p>الحالة: {statusLabels[selectedTransfer.transfer.status].label}</p>
+              <p>طلب بواسطة: {selectedTransfer.transfer.requested_by_name || '-'} ({new Date(selectedTransfer.transfer.created_at).toLocaleString('ar-DZ')})</p>
+              {selectedTransfer.transfer.decided_at && (
+                <p>
+                  عولج بواسطة: {selectedTransfer.transfer.decided_by_name || '-'} ({new Date(selectedTransfer.transfer.decided_at).toLocaleString('ar-DZ')})
+                </p>
+              )}
+              {selectedTransfer.transfer.notes && <p>ملاحظات: {selectedTransfer.transfer.notes}</p>}
+              {selectedTransfer.transfer.decision_notes && <p>سبب الرفض: {selectedTransfer.transfer.decision_notes}</p>}
+            </div>
+
+            <table className="table-ar mb-6">
+              <thead>
+                <tr>
+                  <th>المنتج</th>
+                  <th>الباركود</th>
+                  <th>الكمية</th>
+                </tr>
+              </thead>
+              <tbody>
+                {selectedTransfer.items.map((item) => (
+                  <tr key={item.id}>
+                    <td>{item.product_name}</td>
+                    <td>{item.barcode || '-'}</td>
+                    <td>{item.quantity}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="flex items-center justify-end">
+              <button
+                onClick={() => setSelectedTransfer(null)}
+                className="btn-secondary-ar arabic-text"
+              >
+                إغلاق
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StockTransfersPage;
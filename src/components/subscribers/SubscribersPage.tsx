@@ -1,7 +1,10 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, Edit, Trash2, Users, Search, Phone, Calendar, AlertTriangle } from 'lucide-react';
+import { Plus, Edit, Trash2, Users, Search, Phone, Calendar, AlertTriangle, Upload } from 'lucide-react';
 import { useGym } from '../../contexts/GymContext';
 import { useAuth } from '../../contexts/AuthContext';
+import ExportButtons from '../common/ExportButtons';
+import ImportWizard from '../common/ImportWizard';
+import { PAYMENT_METHODS, PAYMENT_METHOD_LABELS } from '../../utils/payment-methods';
 
 interface Subscriber {
   id: number;
@@ -12,6 +15,7 @@ interface Subscriber {
   start_date: string;
   end_date: string;
   price_paid: number;
+  payment_method: GymApi.PaymentMethod | null;
   remaining_sessions: number | null;
   status: 'active' | 'expired' | 'expiring';
   gym_id: number;
@@ -29,9 +33,23 @@ interface SubscriptionType {
   price: number;
 }
 
+// أعمدة التصدير بنفس أسماء حقول الاستيراد حتى يُعاد استيراد الملف كما هو
+const exportColumns: GymApi.ExportColumn[] = [
+  { key: 'full_name', label: 'الاسم الكامل' },
+  { key: 'phone', label: 'رقم الهاتف' },
+  { key: 'subscription_type_name', label: 'نوع الاشتراك' },
+  { key: 'start_date', label: 'تاريخ البداية' },
+  { key: 'end_date', label: 'تاريخ النهاية' },
+  { key: 'price_paid', label: 'المبلغ المدفوع' },
+  { key: 'remaining_sessions', label: 'الجلسات المتبقية' },
+  { key: 'status_label', label: 'الحالة' }
+];
+
 const SubscribersPage: React.FC = () => {
   const { gymId } = useGym();
-  const { user } = useAuth();
+  const { hasPermission } = useAuth();
+  const canSell = hasPermission('sell');
+  const canDelete = hasPermission('delete_invoices');
   const [subscribers, setSubscribers] = useState<Subscriber[]>([]);
   const [subscriptionTypes, setSubscriptionTypes] = useState<SubscriptionType[]>([]);
   const [loading, setLoading] = useState(true);
@@ -39,17 +57,26 @@ const SubscribersPage: React.FC = () => {
   const [editingSubscriber, setEditingSubscriber] = useState<Subscriber | null>(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState<string>('all');
+  const [showImport, setShowImport] = useState(false);
+  const [renewingSubscriber, setRenewingSubscriber] = useState<Subscriber | null>(null);
+  const [renewalData, setRenewalData] = useState({
+    price_paid: '',
+    payment_method: 'cash' as GymApi.PaymentMethod,
+    payment_reference: ''
+  });
   const [formData, setFormData] = useState({
     full_name: '',
     phone: '',
     subscription_type_id: '',
     start_date: new Date().toISOString().split('T')[0],
-    price_paid: ''
+    price_paid: '',
+    payment_method: 'cash' as GymApi.PaymentMethod,
+    payment_reference: ''
   });
 
   useEffect(() => {
     const handleKeyPress = (e: KeyboardEvent) => {
-      if (e.key === 'Enter' && !showModal) {
+      if (e.key === 'Enter' && !showModal && !showImport && !renewingSubscriber) {
         e.preventDefault();
         openAddModal();
       }
@@ -57,7 +84,7 @@ const SubscribersPage: React.FC = () => {
 
     document.addEventListener('keydown', handleKeyPress);
     return () => document.removeEventListener('keydown', handleKeyPress);
-  }, [showModal]);
+  }, [showModal, showImport, renewingSubscriber]);
 
   useEffect(() => {
     loadSubscribers();
@@ -66,45 +93,9 @@ const SubscribersPage: React.FC = () => {
 
   const loadSubscribers = async () => {
     try {
-      const data = await window.electronAPI.query(`
-        SELECT s.*, st.name as subscription_type_name, st.type as subscription_type,
-               COALESCE(u.full_name, 'غير محدد') as created_by_user
-        FROM subscribers s
-        JOIN subscription_types st ON s.subscription_type_id = st.id
-        LEFT JOIN users u ON s.created_by = u.id
-        WHERE s.gym_id = ?
-        ORDER BY s.created_at DESC
-      `, [gymId]);
-      
-      // Update status based on dates and sessions
-      const updatedData = data.map((subscriber: any) => {
-        const endDate = new Date(subscriber.end_date);
-        const today = new Date();
-        const daysUntilExpiry = Math.ceil((endDate.getTime() - today.getTime()) / (1000 * 60 * 60 * 24));
-        
-        let status = 'active';
-        if (subscriber.subscription_type === 'session' && subscriber.remaining_sessions !== null && subscriber.remaining_sessions <= 0) {
-          status = 'expired';
-        } else if (subscriber.subscription_type === 'monthly' && daysUntilExpiry < 0) {
-          status = 'expired';
-        } else if (daysUntilExpiry <= 7 && daysUntilExpiry >= 0) {
-          status = 'expiring';
-        }
-        
-        return { ...subscriber, status };
-      });
-      
-      setSubscribers(updatedData);
-      
-      // Update status in database
-      for (const subscriber of updatedData) {
-        if (subscriber.status !== subscriber.original_status) {
-          await window.electronAPI.run(
-            'UPDATE subscribers SET status = ? WHERE id = ?',
-            [subscriber.status, subscriber.id]
-          );
-        }
-      }
+      // الحالة (نشط/ينتهي قريباً/منتهي) تُحدَّث في العملية الرئيسية
+      const data = await window.electronAPI.subscribers.list(gymId);
+      setSubscribers(data);
     } catch (error) {
       console.error('Error loading subscribers:', error);
     } finally {
@@ -114,80 +105,37 @@ const SubscribersPage: React.FC = () => {
 
   const loadSubscriptionTypes = async () => {
     try {
-      const data = await window.electronAPI.query(`
-        SELECT * FROM subscription_types 
-        WHERE gym_id = ? AND is_active = 1
-        ORDER BY name
-      `, [gymId]);
+      const data = await window.electronAPI.subscriptionTypes.list(gymId, { activeOnly: true });
       setSubscriptionTypes(data);
     } catch (error) {
       console.error('Error loading subscription types:', error);
     }
   };
 
-  const calculateEndDate = (startDate: string, subscriptionType: SubscriptionType) => {
-    const start = new Date(startDate);
-    if (subscriptionType.type === 'monthly' && subscriptionType.duration_months) {
-      start.setMonth(start.getMonth() + subscriptionType.duration_months);
-    } else if (subscriptionType.type === 'session') {
-      // For session-based, set end date to 3 months from start
-      start.setMonth(start.getMonth() + 3);
-    }
-    return start.toISOString().split('T')[0];
-  };
-
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     
     try {
-      const selectedSubscription = subscriptionTypes.find(
-        st => st.id === parseInt(formData.subscription_type_id)
-      );
-      
-      if (!selectedSubscription) {
+      if (!formData.subscription_type_id) {
         alert('يرجى اختيار نوع الاشتراك');
         return;
       }
 
-      const endDate = calculateEndDate(formData.start_date, selectedSubscription);
-      const remainingSessions = selectedSubscription.type === 'session' 
-        ? selectedSubscription.session_count 
-        : null;
+      // تاريخ الانتهاء وعدد الجلسات يُحسبان في العملية الرئيسية حسب نوع الاشتراك
+      const payload = {
+        full_name: formData.full_name,
+        phone: formData.phone,
+        subscription_type_id: parseInt(formData.subscription_type_id),
+        start_date: formData.start_date,
+        price_paid: parseFloat(formData.price_paid),
+        payment_method: formData.payment_method,
+        payment_reference: formData.payment_method === 'cash' ? '' : formData.payment_reference
+      };
 
       if (editingSubscriber) {
-        // Update existing subscriber
-        await window.electronAPI.run(`
-          UPDATE subscribers 
-          SET full_name = ?, phone = ?, subscription_type_id = ?, 
-              start_date = ?, end_date = ?, price_paid = ?, remaining_sessions = ?
-          WHERE id = ?
-        `, [
-          formData.full_name,
-          formData.phone,
-          parseInt(formData.subscription_type_id),
-          formData.start_date,
-          endDate,
-          parseFloat(formData.price_paid),
-          remainingSessions,
-          editingSubscriber.id
-        ]);
+        await window.electronAPI.subscribers.update(editingSubscriber.id, payload);
       } else {
-        // Create new subscriber
-        await window.electronAPI.run(`
-          INSERT INTO subscribers (full_name, phone, subscription_type_id, start_date, 
-                                 end_date, price_paid, remaining_sessions, gym_id, status, created_by) 
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'active', ?)
-        `, [
-          formData.full_name,
-          formData.phone,
-          parseInt(formData.subscription_type_id),
-          formData.start_date,
-          endDate,
-          parseFloat(formData.price_paid),
-          remainingSessions,
-          gymId,
-          user?.id
-        ]);
+        await window.electronAPI.subscribers.create(gymId, payload);
       }
       
       await loadSubscribers();
@@ -196,7 +144,7 @@ const SubscribersPage: React.FC = () => {
       resetForm();
     } catch (error) {
       console.error('Error saving subscriber:', error);
-      alert('حدث خطأ في حفظ المشترك');
+      alert(error instanceof Error ? error.message : 'حدث خطأ في حفظ المشترك');
     }
   };
 
@@ -207,7 +155,9 @@ const SubscribersPage: React.FC = () => {
       phone: subscriber.phone,
       subscription_type_id: subscriber.subscription_type_id.toString(),
       start_date: subscriber.start_date,
-      price_paid: subscriber.price_paid.toString()
+      price_paid: subscriber.price_paid.toString(),
+      payment_method: subscriber.payment_method || 'cash',
+      payment_reference: ''
     });
     setShowModal(true);
   };
@@ -215,7 +165,7 @@ const SubscribersPage: React.FC = () => {
   const handleDelete = async (id: number) => {
     if (window.confirm('هل أنت متأكد من حذف هذا المشترك؟')) {
       try {
-        await window.electronAPI.run('DELETE FROM subscribers WHERE id = ?', [id]);
+        await window.electronAPI.subscribers.remove(id);
         await loadSubscribers();
       } catch (error) {
         console.error('Error deleting subscriber:', error);
@@ -237,42 +187,41 @@ const SubscribersPage: React.FC = () => {
       });
     
       if (result.response === 0) {
-        await window.electronAPI.run(`
-          UPDATE subscribers 
-          SET remaining_sessions = remaining_sessions - 1 
-          WHERE id = ? AND remaining_sessions > 0
-        `, [subscriberId]);
+        await window.electronAPI.subscribers.useSession(subscriberId);
         await loadSubscribers();
       }
     } catch (error) {
       console.error('Error using session:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في استخدام الجلسة');
     }
   };
 
-  const renewSubscription = async (subscriber: Subscriber) => {
-    const selectedSubscription = subscriptionTypes.find(
-      st => st.id === subscriber.subscription_type_id
-    );
-    
-    if (!selectedSubscription) return;
+  // المبلغ المقترح سعر نوع الاشتراك الحالي، وإلا ما دُفع في الفترة السابقة
+  const openRenewModal = (subscriber: Subscriber) => {
+    const subscriptionType = subscriptionTypes.find((type) => type.id === subscriber.subscription_type_id);
+    setRenewalData({
+      price_paid: (subscriptionType ? subscriptionType.price : subscriber.price_paid).toString(),
+      payment_method: 'cash',
+      payment_reference: ''
+    });
+    setRenewingSubscriber(subscriber);
+  };
+
+  const renewSubscription = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!renewingSubscriber) return;
 
     try {
-      const newStartDate = new Date().toISOString().split('T')[0];
-      const newEndDate = calculateEndDate(newStartDate, selectedSubscription);
-      const newRemainingSessions = selectedSubscription.type === 'session' 
-        ? selectedSubscription.session_count 
-        : null;
-
-      await window.electronAPI.run(`
-        UPDATE subscribers 
-        SET start_date = ?, end_date = ?, remaining_sessions = ?, status = 'active'
-        WHERE id = ?
-      `, [newStartDate, newEndDate, newRemainingSessions, subscriber.id]);
-      
+      await window.electronAPI.subscribers.renew(renewingSubscriber.id, {
+        price_paid: parseFloat(renewalData.price_paid),
+        payment_method: renewalData.payment_method,
+        payment_reference: renewalData.payment_method === 'cash' ? '' : renewalData.payment_reference
+      });
+      setRenewingSubscriber(null);
       await loadSubscribers();
     } catch (error) {
       console.error('Error renewing subscription:', error);
-      alert('حدث خطأ في تجديد الاشتراك');
+      alert(error instanceof Error ? error.message : 'حدث خطأ في تجديد الاشتراك');
     }
   };
 
@@ -282,7 +231,9 @@ const SubscribersPage: React.FC = () => {
       phone: '',
       subscription_type_id: '',
       start_date: new Date().toISOString().split('T')[0],
-      price_paid: ''
+      price_paid: '',
+      payment_method: 'cash',
+      payment_reference: ''
     });
   };
 
@@ -345,13 +296,31 @@ const SubscribersPage: React.FC = () => {
             إدارة المشتركين واشتراكاتهم
           </p>
         </div>
-        <button
-          onClick={openAddModal}
-          className="btn-primary-ar arabic-text flex items-center"
-        >
-          <Plus className="w-5 h-5 ml-2" />
-          إضافة مشترك جديد
-        </button>
+        <div className="flex gap-2">
+          <ExportButtons
+            title="المشتركين"
+            columns={exportColumns}
+            rows={filteredSubscribers.map((subscriber) => ({ ...subscriber, status_label: getStatusText(subscriber.status) }))}
+          />
+          {canSell && (
+            <>
+              <button
+                onClick={() => setShowImport(true)}
+                className="btn-secondary-ar arabic-text flex items-center"
+              >
+                <Upload className="w-5 h-5 ml-2" />
+                استيراد
+              </button>
+              <button
+                onClick={openAddModal}
+                className="btn-primary-ar arabic-text flex items-center"
+              >
+                <Plus className="w-5 h-5 ml-2" />
+                إضافة مشترك جديد
+              </button>
+            </>
+          )}
+        </div>
       </div>
 
       {/* Filters */}
@@ -457,27 +426,31 @@ const SubscribersPage: React.FC = () => {
                     <td>{subscriber.created_by_user || '-'}</td>
                     <td>
                       <div className="flex items-center space-x-reverse space-x-2">
-                        <button
-                          onClick={() => handleEdit(subscriber)}
-                          className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
-                        >
-                          <Edit className="w-4 h-4" />
-                        </button>
-                        {subscriber.status === 'expired' && (
+                        {canSell && (
                           <button
-                            onClick={() => renewSubscription(subscriber)}
+                            onClick={() => handleEdit(subscriber)}
+                            className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                          >
+                            <Edit className="w-4 h-4" />
+                          </button>
+                        )}
+                        {canSell && subscriber.status === 'expired' && (
+                          <button
+                            onClick={() => openRenewModal(subscriber)}
                             className="p-2 text-green-600 hover:bg-green-50 rounded-lg transition-colors"
                             title="تجديد الاشتراك"
                           >
                             <Calendar className="w-4 h-4" />
                           </button>
                         )}
-                        <button
-                          onClick={() => handleDelete(subscriber.id)}
-                          className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
-                        >
-                          <Trash2 className="w-4 h-4" />
-                        </button>
+                        {canDelete && (
+                          <button
+                            onClick={() => handleDelete(subscriber.id)}
+                            className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -581,6 +554,37 @@ const SubscribersPage: React.FC = () => {
                     required
                   />
                 </div>
+
+                <div className="form-group-ar">
+                  <label className="form-label-ar arabic-text">
+                    طريقة الدفع
+                  </label>
+                  <select
+                    value={formData.payment_method}
+                    onChange={(e) => setFormData({ ...formData, payment_method: e.target.value as GymApi.PaymentMethod })}
+                    className="form-select-ar"
+                  >
+                    {PAYMENT_METHODS.map((method) => (
+                      <option key={method} value={method}>{PAYMENT_METHOD_LABELS[method]}</option>
+                    ))}
+                  </select>
+                </div>
+
+                {formData.payment_method !== 'cash' && (
+                  <div className="form-group-ar">
+                    <label className="form-label-ar arabic-text">
+                      مرجع الدفع
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.payment_reference}
+                      onChange={(e) => setFormData({ ...formData, payment_reference: e.target.value })}
+                      className="form-input-ar"
+                      maxLength={100}
+                      placeholder="رقم العملية أو الشيك"
+                    />
+                  </div>
+                )}
               </div>
 
               <div className="flex items-center justify-end space-x-reverse space-x-4 pt-4">
@@ -602,6 +606,95 @@ const SubscribersPage: React.FC = () => {
           </div>
         </div>
       )}
+
+      {/* Renew Modal */}
+      {renewingSubscriber && (
+        <div className="modal-overlay-ar">
+          <div className="modal-content-ar">
+            <h2 className="text-xl font-bold text-gray-900 mb-2 arabic-text">تجديد الاشتراك</h2>
+            <p className="text-sm text-gray-600 mb-6 arabic-text">
+              {renewingSubscriber.full_name} - {renewingSubscriber.subscription_type_name}، يبدأ الاشتراك الجديد من اليوم
+            </p>
+
+            <form onSubmit={renewSubscription} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="form-group-ar">
+                  <label className="form-label-ar arabic-text">
+                    المبلغ المدفوع (دج) *
+                  </label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={renewalData.price_paid}
+                    onChange={(e) => setRenewalData({ ...renewalData, price_paid: e.target.value })}
+                    className="form-input-ar"
+                    placeholder="0.00"
+                    required
+                  />
+                </div>
+
+                <div className="form-group-ar">
+                  <label className="form-label-ar arabic-text">
+                    طريقة الدفع
+                  </label>
+                  <select
+                    value={renewalData.payment_method}
+                    onChange={(e) => setRenewalData({ ...renewalData, payment_method: e.target.value as GymApi.PaymentMethod })}
+                    className="form-select-ar"
+                  >
+                    {PAYMENT_METHODS.map((method) => (
+                      <option key={method} value={method}>{PAYMENT_METHOD_LABELS[method]}</option>
+                    ))}
+                  </select>
+                </div>
+
+                {renewalData.payment_method !== 'cash' && (
+                  <div className="form-group-ar">
+                    <label className="form-label-ar arabic-text">
+                      مرجع الدفع
+                    </label>
+                    <input
+                      type="text"
+                      value={renewalData.payment_reference}
+                      onChange={(e) => setRenewalData({ ...renewalData, payment_reference: e.target.value })}
+                      className="form-input-ar"
+                      maxLength={100}
+                      placeholder="رقم العملية أو الشيك"
+                    />
+                  </div>
+                )}
+              </div>
+
+              <div className="flex items-center justify-end space-x-reverse space-x-4 pt-4">
+                <button
+                  type="button"
+                  onClick={() => setRenewingSubscriber(null)}
+                  className="btn-secondary-ar arabic-text"
+                >
+                  إلغاء
+                </button>
+                <button
+                  type="submit"
+                  className="btn-primary-ar arabic-text"
+                >
+                  تجديد
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {showImport && (
+        <ImportWizard
+          entity="subscribers"
+          gymId={gymId}
+          title="استيراد المشتركين"
+          onClose={() => setShowImport(false)}
+          onImported={loadSubscribers}
+        />
+      )}
     </div>
   );
 };
@@ -35,11 +35,7 @@ const SubscriptionsPage: React.FC = () => {
 
   const loadSubscriptions = async () => {
     try {
-      const data = await window.electronAPI.query(`
-        SELECT * FROM subscription_types 
-        WHERE gym_id = ? 
-        ORDER BY created_at DESC
-      `, [gymId]);
+      const data = await window.electronAPI.subscriptionTypes.list(gymId);
       setSubscriptions(data);
     } catch (error) {
       console.error('Error loading subscriptions:', error);
@@ -52,36 +48,19 @@ const SubscriptionsPage: React.FC = () => {
     e.preventDefault();
     
     try {
+      const payload = {
+        name: formData.name,
+        type: formData.type,
+        duration_months: formData.type === 'monthly' ? parseInt(formData.duration_months) || null : null,
+        session_count: formData.type === 'session' ? parseInt(formData.session_count) || null : null,
+        price: parseFloat(formData.price),
+        is_active: formData.is_active
+      };
+
       if (editingSubscription) {
-        // Update existing subscription
-        await window.electronAPI.run(`
-          UPDATE subscription_types 
-          SET name = ?, type = ?, duration_months = ?, session_count = ?, 
-              price = ?, is_active = ?
-          WHERE id = ?
-        `, [
-          formData.name,
-          formData.type,
-          formData.type === 'monthly' ? parseInt(formData.duration_months) || null : null,
-          formData.type === 'session' ? parseInt(formData.session_count) || null : null,
-          parseFloat(formData.price),
-          formData.is_active,
-          editingSubscription.id
-        ]);
+        await window.electronAPI.subscriptionTypes.update(editingSubscription.id, payload);
       } else {
-        // Create new subscription
-        await window.electronAPI.run(`
-          INSERT INTO subscription_types (name, type, duration_months, session_count, price, gym_id, is_active) 
-          VALUES (?, ?, ?, ?, ?, ?, ?)
-        `, [
-          formData.name,
-          formData.type,
-          formData.type === 'monthly' ? parseInt(formData.duration_months) || null : null,
-          formData.type === 'session' ? parseInt(formData.session_count) || null : null,
-          parseFloat(formData.price),
-          gymId,
-          formData.is_active
-        ]);
+        await window.electronAPI.subscriptionTypes.create(gymId, payload);
       }
       
       await loadSubscriptions();
@@ -90,7 +69,7 @@ const SubscriptionsPage: React.FC = () => {
       resetForm();
     } catch (error) {
       console.error('Error saving subscription:', error);
-      alert('حدث خطأ في حفظ الاشتراك');
+      alert(error instanceof Error ? error.message : 'حدث خطأ في حفظ الاشتراك');
     }
   };
 
@@ -110,21 +89,18 @@ const SubscriptionsPage: React.FC = () => {
   const handleDelete = async (id: number) => {
     if (window.confirm('هل أنت متأكد من حذف هذا الاشتراك؟')) {
       try {
-        await window.electronAPI.run('DELETE FROM subscription_types WHERE id = ?', [id]);
+        await window.electronAPI.subscriptionTypes.remove(id);
         await loadSubscriptions();
       } catch (error) {
         console.error('Error deleting subscription:', error);
-        alert('لا يمكن حذف هذا الاشتراك لأنه مرتبط بمشتركين');
+        alert(error instanceof Error ? error.message : 'لا يمكن حذف هذا الاشتراك لأنه مرتبط بمشتركين');
       }
     }
   };
 
   const toggleActive = async (id: number, currentStatus: boolean) => {
     try {
-      await window.electronAPI.run(
-        'UPDATE subscription_types SET is_active = ? WHERE id = ?',
-        [!currentStatus, id]
-      );
+      await window.electronAPI.subscriptionTypes.setActive(id, !currentStatus);
       await loadSubscriptions();
     } catch (error) {
       console.error('Error toggling subscription status:', error);
@@ -6,11 +6,13 @@ interface User {
   id: number;
   username: string;
   full_name: string;
-  role: string;
+  role: GymApi.Role;
   gym_id: number;
   gym_name: string;
   gym_type: 'male' | 'female';
   is_active: boolean;
+  has_pin: boolean;
+  locked_until: string | null;
   created_at: string;
 }
 
@@ -20,6 +22,13 @@ interface Gym {
   type: 'male' | 'female';
 }
 
+const roleLabels: Record<GymApi.Role, string> = {
+  owner: 'المالك',
+  manager: 'مدير',
+  cashier: 'أمين الصندوق',
+  coach: 'مدرب'
+};
+
 const UsersPage: React.FC = () => {
   const { user: currentUser } = useAuth();
   const [users, setUsers] = useState<User[]>([]);
@@ -31,8 +40,9 @@ const UsersPage: React.FC = () => {
   const [formData, setFormData] = useState({
     username: '',
     password: '',
+    pin: '',
     full_name: '',
-    role: 'admin',
+    role: 'cashier' as GymApi.Role,
     gym_id: '',
     is_active: true
   });
@@ -44,12 +54,7 @@ const UsersPage: React.FC = () => {
 
   const loadUsers = async () => {
     try {
-      const data = await window.electronAPI.query(`
-        SELECT u.*, g.name as gym_name, g.type as gym_type
-        FROM users u
-        JOIN gyms g ON u.gym_id = g.id
-        ORDER BY u.created_at DESC
-      `);
+      const data = await window.electronAPI.users.list();
       setUsers(data);
     } catch (error) {
       console.error('Error loading users:', error);
@@ -60,7 +65,7 @@ const UsersPage: React.FC = () => {
 
   const loadGyms = async () => {
     try {
-      const data = await window.electronAPI.query('SELECT * FROM gyms ORDER BY name');
+      const data = await window.electronAPI.gyms.list();
       setGyms(data);
     } catch (error) {
       console.error('Error loading gyms:', error);
@@ -87,34 +92,20 @@ const UsersPage: React.FC = () => {
         isEditing: !!editingUser
       });
       
+      const payload = {
+        username: formData.username,
+        password: formData.password || undefined,
+        pin: formData.pin || undefined,
+        full_name: formData.full_name,
+        role: formData.role,
+        gym_id: parseInt(formData.gym_id),
+        is_active: formData.is_active
+      };
+
       if (editingUser) {
-        // Update existing user using the electron API
-        const result = await window.electronAPI.updateUser(editingUser.id, {
-          username: formData.username,
-          password: formData.password || undefined,
-          full_name: formData.full_name,
-          role: formData.role,
-          gym_id: parseInt(formData.gym_id),
-          is_active: formData.is_active
-        });
-        
-        if (!result.success) {
-          throw new Error(result.message || result.error || 'فشل في تحديث المستخدم');
-        }
+        await window.electronAPI.users.update(editingUser.id, payload);
       } else {
-        // Create new user using the electron API
-        const result = await window.electronAPI.createUser({
-          username: formData.username,
-          password: formData.password,
-          full_name: formData.full_name,
-          role: formData.role,
-          gym_id: parseInt(formData.gym_id),
-          is_active: formData.is_active
-        });
-        
-        if (!result.success) {
-          throw new Error(result.message || result.error || 'فشل في إنشاء المستخدم');
-        }
+        await window.electronAPI.users.create(payload);
       }
       
       await loadUsers();
@@ -124,7 +115,7 @@ const UsersPage: React.FC = () => {
       alert(editingUser ? 'تم تحديث المستخدم بنجاح' : 'تم إنشاء المستخدم بنجاح');
     } catch (error) {
       console.error('Error saving user:', error);
-      alert(`حدث خطأ في حفظ المستخدم: ${error.message}`);
+      alert(`حدث خطأ في حفظ المستخدم: ${error instanceof Error ? error.message : ''}`);
     }
   };
 
@@ -133,6 +124,7 @@ const UsersPage: React.FC = () => {
     setFormData({
       username: user.username,
       password: '',
+      pin: '',
       full_name: user.full_name,
       role: user.role,
       gym_id: user.gym_id?.toString() || '',
@@ -149,11 +141,11 @@ const UsersPage: React.FC = () => {
 
     if (window.confirm('هل أنت متأكد من حذف هذا المستخدم؟')) {
       try {
-        await window.electronAPI.run('DELETE FROM users WHERE id = ?', [id]);
+        await window.electronAPI.users.remove(id);
         await loadUsers();
       } catch (error) {
         console.error('Error deleting user:', error);
-        alert('حدث خطأ في حذف المستخدم');
+        alert(error instanceof Error ? error.message : 'حدث خطأ في حذف المستخدم');
       }
     }
   };
@@ -165,13 +157,11 @@ const UsersPage: React.FC = () => {
     }
 
     try {
-      await window.electronAPI.run(
-        'UPDATE users SET is_active = ? WHERE id = ?',
-        [!currentStatus, id]
-      );
+      await window.electronAPI.users.setActive(id, !currentStatus);
       await loadUsers();
     } catch (error) {
       console.error('Error toggling user status:', error);
+      alert(error instanceof Error ? error.message : 'حدث خطأ في تغيير حالة المستخدم');
     }
   };
 
@@ -179,8 +169,9 @@ const UsersPage: React.FC = () => {
     setFormData({
       username: '',
       password: '',
+      pin: '',
       full_name: '',
-      role: 'admin',
+      role: 'cashier',
       gym_id: '',
       is_active: true
     });
@@ -256,7 +247,7 @@ const UsersPage: React.FC = () => {
                     <td>{user.full_name}</td>
                     <td>
                       <span className="status-active">
-                        {user.role === 'admin' ? 'مدير' : user.role}
+                        {roleLabels[user.role] || user.role}
                       </span>
                     </td>
                     <td>{user.gym_name}</td>
@@ -277,6 +268,9 @@ const UsersPage: React.FC = () => {
                       >
                         {user.is_active ? 'نشط' : 'معطل'}
                       </button>
+                      {user.locked_until && new Date(user.locked_until) > new Date() && (
+                        <span className="status-expired mr-2">مقفل مؤقتاً</span>
+                      )}
                     </td>
                     <td>
                       {new Date(user.created_at).toLocaleDateString('ar-DZ')}
@@ -355,6 +349,21 @@ const UsersPage: React.FC = () => {
                 </div>
               </div>
 
+              <div className="form-group-ar">
+                <label className="form-label-ar arabic-text">
+                  الرمز السري لفتح القفل {editingUser?.has_pin ? '(اتركه فارغاً لعدم التغيير)' : '(اختياري)'}
+                </label>
+                <input
+                  type="password"
+                  inputMode="numeric"
+                  value={formData.pin}
+                  onChange={(e) => setFormData({ ...formData, pin: e.target.value.replace(/\D/g, '') })}
+                  className="form-input-ar"
+                  placeholder="من 4 إلى 8 أرقام"
+                  maxLength={8}
+                />
+              </div>
+
               <div className="form-group-ar">
                 <label className="form-label-ar arabic-text">
                   الاسم الكامل *
@@ -376,12 +385,13 @@ const UsersPage: React.FC = () => {
                   </label>
                   <select
                     value={formData.role}
-                    onChange={(e) => setFormData({ ...formData, role: e.target.value })}
+                    onChange={(e) => setFormData({ ...formData, role: e.target.value as GymApi.Role })}
                     className="form-select-ar"
                     required
                   >
-                    <option value="admin">مدير</option>
-                    <option value="employee">موظف</option>
+                    {Object.entries(roleLabels).map(([role, label]) => (
+                      <option key={role} value={role}>{label}</option>
+                    ))}
                   </select>
                 </div>
 
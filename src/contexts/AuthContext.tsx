@@ -1,19 +1,26 @@
-import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
-
-interface User {
-  id: number;
-  username: string;
-  full_name: string;
-  role: string;
-  gym_id: number;
-  gym_name: string;
-  gym_type: 'male' | 'female';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef, ReactNode } from 'react';
+
+type User = GymApi.SessionUser;
+
+// فحص حالة الجلسة (انتهاء المدة أو القفل عند الخمول) يتم في العملية الرئيسية،
+// والواجهة تسأل عنها دورياً وتبلغ عن نشاط المستخدم بحد أقصى مرة كل ACTIVITY_THROTTLE_MS
+const SESSION_POLL_MS = 15 * 1000;
+const ACTIVITY_THROTTLE_MS = 30 * 1000;
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart'];
+
+interface LoginResult {
+  success: boolean;
+  message?: string;
 }
 
 interface AuthContextType {
   user: User | null;
-  login: (username: string, password: string) => Promise<boolean>;
+  login: (username: string, password: string) => Promise<LoginResult>;
   logout: () => void;
+  locked: boolean;
+  lock: () => void;
+  unlock: (secret: string) => Promise<GymApi.UnlockResult>;
+  hasPermission: (permission: GymApi.Permission) => boolean;
   loading: boolean;
 }
 
@@ -33,50 +40,99 @@ interface AuthProviderProps {
 
 export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
   const [user, setUser] = useState<User | null>(null);
+  const [locked, setLocked] = useState(false);
   const [loading, setLoading] = useState(true);
+  const lastTouch = useRef(0);
 
-  useEffect(() => {
-    // Check for stored session
-    const storedUser = localStorage.getItem('gym_user');
-    if (storedUser) {
-      try {
-        setUser(JSON.parse(storedUser));
-      } catch (error) {
-        console.error('Error parsing stored user:', error);
-        localStorage.removeItem('gym_user');
-      }
+  const refreshSession = useCallback(async () => {
+    try {
+      const session = await window.electronAPI.auth.current();
+      setUser(session ? session.user : null);
+      setLocked(Boolean(session?.locked));
+    } catch (error) {
+      console.error('Error loading session:', error);
     }
-    setLoading(false);
   }, []);
 
-  const login = async (username: string, password: string): Promise<boolean> => {
+  useEffect(() => {
+    // الجلسة محفوظة في العملية الرئيسية، فلا نثق بأي مستخدم مخزن في الواجهة
+    localStorage.removeItem('gym_user');
+    refreshSession().finally(() => setLoading(false));
+  }, [refreshSession]);
+
+  useEffect(() => {
+    if (!user) {
+      return;
+    }
+
+    const handleActivity = () => {
+      const now = Date.now();
+      if (locked || now - lastTouch.current < ACTIVITY_THROTTLE_MS) {
+        return;
+      }
+      lastTouch.current = now;
+      window.electronAPI.auth.touch().catch((error) => console.error('Session touch error:', error));
+    };
+
+    ACTIVITY_EVENTS.forEach((name) => window.addEventListener(name, handleActivity, { passive: true }));
+    const timer = window.setInterval(refreshSession, SESSION_POLL_MS);
+    return () => {
+      ACTIVITY_EVENTS.forEach((name) => window.removeEventListener(name, handleActivity));
+      window.clearInterval(timer);
+    };
+  }, [user, locked, refreshSession]);
+
+  const login = async (username: string, password: string): Promise<LoginResult> => {
     try {
-      // Use a dedicated login endpoint that handles password verification on the server side
       const result = await window.electronAPI.login(username, password);
-      
+
       if (result.success) {
-        const userSession: User = result.user;
-      setUser(userSession);
-      localStorage.setItem('gym_user', JSON.stringify(userSession));
-      return true;
+        setUser(result.user ?? null);
+        setLocked(false);
+        return { success: true };
       }
-      
-      return false;
+
+      return { success: false, message: result.message };
     } catch (error) {
       console.error('Login error:', error);
-      return false;
+      return { success: false };
     }
   };
 
   const logout = () => {
     setUser(null);
-    localStorage.removeItem('gym_user');
+    setLocked(false);
+    window.electronAPI.auth.logout().catch((error) => console.error('Logout error:', error));
   };
 
+  const lock = () => {
+    setLocked(true);
+    window.electronAPI.auth.lock().catch((error) => console.error('Lock error:', error));
+  };
+
+  const unlock = async (secret: string) => {
+    const result = await window.electronAPI.auth.unlock(secret);
+    if (result.success) {
+      lastTouch.current = Date.now();
+      setLocked(false);
+    } else if (result.loggedOut) {
+      setUser(null);
+      setLocked(false);
+    }
+    return result;
+  };
+
+  // للإخفاء في الواجهة فقط، العملية الرئيسية تفحص الصلاحية مع كل طلب
+  const hasPermission = (permission: GymApi.Permission) => Boolean(user?.permissions.includes(permission));
+
   const value: AuthContextType = {
     user,
     login,
     logout,
+    locked,
+    lock,
+    unlock,
+    hasPermission,
     loading
   };
 
@@ -6,34 +6,31 @@ export interface ProductQuantity {
 }
 
 /**
- * الحصول على الكمية الإجمالية للمنتج (مخزن مشترك)
+ * الحصول على الكمية الإجمالية للمنتج في الفرعين
  */
 export const getTotalQuantity = (product: ProductQuantity): number => {
   return product.male_gym_quantity + product.female_gym_quantity;
 };
 
 /**
- * الحصول على الكمية المتاحة (مخزن مشترك)
+ * الحصول على الكمية المتاحة في مخزون الفرع
  */
-export const getAvailableQuantity = (product: ProductQuantity, gymType?: 'male' | 'female'): number => {
-  // المخزن مشترك - إرجاع الكمية الإجمالية
-  return getTotalQuantity(product);
+export const getAvailableQuantity = (product: ProductQuantity, gymType: 'male' | 'female'): number => {
+  return product[getQuantityField(gymType)];
 };
 
 /**
  * الحصول على اسم حقل الكمية حسب نوع الصالة (للتحديث)
  */
-export const getQuantityField = (gymType: 'male' | 'female'): string => {
-  // يمكن تحديث أي من الحقلين، سنستخدم male_gym_quantity كحقل أساسي
-  return 'male_gym_quantity';
+export const getQuantityField = (gymType: 'male' | 'female'): keyof ProductQuantity => {
+  return gymType === 'female' ? 'female_gym_quantity' : 'male_gym_quantity';
 };
 
 /**
  * التحقق من وجود مخزون كافي
  */
 export const hasEnoughStock = (product: ProductQuantity, quantity: number, gymType: 'male' | 'female'): boolean => {
-  const availableQuantity = getTotalQuantity(product);
-  return availableQuantity >= quantity;
+  return getAvailableQuantity(product, gymType) >= quantity;
 };
 
 /**
@@ -41,12 +38,12 @@ export const hasEnoughStock = (product: ProductQuantity, quantity: number, gymTy
  */
 export const formatQuantityDisplay = (product: ProductQuantity, gymType: 'male' | 'female') => {
   const totalQuantity = getTotalQuantity(product);
-  const availableQuantity = totalQuantity;
+  const availableQuantity = getAvailableQuantity(product, gymType);
   
   return {
     total: totalQuantity,
     available: availableQuantity,
-    isLowStock: totalQuantity < 5,
-    status: totalQuantity < 5 ? 'مخزون منخفض' : 'متوفر'
+    isLowStock: availableQuantity < 5,
+    status: availableQuantity < 5 ? 'مخزون منخفض' : 'متوفر'
   };
 }; 
\ No newline at end of file
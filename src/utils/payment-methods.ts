@@ -0,0 +1,19 @@
+// طرق الدفع وأسماؤها في الواجهة (نفس القائمة في electron/payments.cjs)
+
+export const PAYMENT_METHODS: GymApi.PaymentMethod[] = ['cash', 'card', 'baridimob', 'ccp', 'cheque'];
+
+export const PAYMENT_METHOD_LABELS: Record<GymApi.PaymentMethod, string> = {
+  cash: 'نقداً',
+  card: 'بطاقة بنكية',
+  baridimob: 'بريدي موب',
+  ccp: 'تحويل CCP',
+  cheque: 'شيك'
+};
+
+/**
+ * الباقي الذي يُرد للزبون نقداً، للعرض فقط (التوزيع الفعلي يتم في العملية الرئيسية)
+ */
+export const calculateChange = (total: number, payments: GymApi.PaymentInput[]): number => {
+  const paid = payments.reduce((sum, payment) => sum + (payment.amount || 0), 0);
+  return Math.max(0, paid - total);
+};
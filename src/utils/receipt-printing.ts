@@ -0,0 +1,28 @@
+// طباعة إيصال البيع بعد حفظ الفاتورة. الفاتورة محفوظة مهما حدث، ففشل الطباعة يرجع رسالة تُضاف
+// إلى رسالة النجاح ولا يُرمى كخطأ
+
+// الطباعة التلقائية بعد البيع مفعلة في إعدادات طابعة هذا الجهاز
+export const autoPrintEnabled = async (): Promise<boolean> => {
+  try {
+    return (await window.electronAPI.receipts.config()).auto_print;
+  } catch (error) {
+    console.error('Error loading printer settings:', error);
+    return false;
+  }
+};
+
+export const printSaleReceipt = async (invoiceId: number, change: number): Promise<string | null> => {
+  try {
+    await window.electronAPI.receipts.print(invoiceId, { change });
+    return null;
+  } catch (error) {
+    console.error('Error printing receipt:', error);
+    return `تعذرت طباعة الإيصال: ${error instanceof Error ? error.message : 'خطأ غير معروف'}`;
+  }
+};
+
+export const saleSuccessMessage = (change: number, formatCurrency: (amount: number) => string, printError: string | null) => [
+  'تم إنشاء الفاتورة بنجاح',
+  change > 0 && `الباقي للزبون: ${formatCurrency(change)}`,
+  printError
+].filter(Boolean).join('\n');
@@ -1,76 +1,1278 @@
 /// <reference types="vite/client" />
 
-interface Window {
-  electronAPI: {
-    query: (sql: string, params?: any[]) => Promise<any[]>;
-    run: (sql: string, params?: any[]) => Promise<any>;
-    login: (username: string, password: string) => Promise<{
-      success: boolean;
-      user?: {
-        id: number;
-        username: string;
-        full_name: string;
-        role: string;
-        gym_id: number;
-        gym_name: string;
-        gym_type: 'male' | 'female';
-      };
-      message?: string;
+// أنواع البيانات المتبادلة مع العملية الرئيسية عبر قنوات المجالات
+declare namespace GymApi {
+  type GymType = 'male' | 'female';
+
+  interface Category {
+    id: number;
+    name: string;
+    description: string;
+    created_at: string;
+  }
+
+  interface CategoryInput {
+    name: string;
+    description?: string;
+  }
+
+  interface Product {
+    id: number;
+    barcode: string;
+    name: string;
+    category_id: number | null;
+    category_name: string;
+    purchase_price: number;
+    sale_price: number;
+    male_gym_quantity: number;
+    female_gym_quantity: number;
+    image_path: string;
+    notes: string;
+    created_at: string;
+  }
+
+  interface StockProduct {
+    id: number;
+    name: string;
+    barcode: string;
+    sale_price: number;
+    purchase_price: number;
+    male_gym_quantity: number;
+    female_gym_quantity: number;
+    available: number;
+  }
+
+  interface LowStockProduct {
+    name: string;
+    total_quantity: number;
+  }
+
+  type StockMovementType =
+    | 'opening'
+    | 'adjustment'
+    | 'sale'
+    | 'return'
+    | 'purchase'
+    | 'internal_sale'
+    | 'transfer_in'
+    | 'transfer_out';
+
+  interface StockMovement {
+    id: number;
+    product_id: number;
+    gym_id: number | null;
+    gym_name: string | null;
+    movement_type: StockMovementType;
+    quantity: number;
+    balance_after: number;
+    source_id: number | null;
+    source_label: string | null;
+    user_id: number | null;
+    user_name: string | null;
+    notes: string | null;
+    created_at: string;
+  }
+
+  interface StockMismatch {
+    id: number;
+    name: string;
+    barcode: string;
+    gym_id: number;
+    gym_name: string;
+    counter_quantity: number;
+    ledger_quantity: number;
+  }
+
+  type StockTransferStatus = 'pending' | 'approved' | 'rejected' | 'cancelled';
+
+  interface StockTransfer {
+    id: number;
+    from_gym_id: number;
+    from_gym_name: string;
+    to_gym_id: number;
+    to_gym_name: string;
+    status: StockTransferStatus;
+    notes: string;
+    requested_by: number | null;
+    requested_by_name: string | null;
+    decided_by: number | null;
+    decided_by_name: string | null;
+    decision_notes: string | null;
+    items_count: number;
+    total_quantity: number;
+    created_at: string;
+    decided_at: string | null;
+  }
+
+  interface StockTransferItem {
+    id: number;
+    transfer_id: number;
+    product_id: number;
+    product_name: string;
+    barcode: string;
+    quantity: number;
+  }
+
+  interface StockTransferInput {
+    to_gym_id: number;
+    notes?: string;
+    items: { product_id: number; quantity: number }[];
+  }
+
+  interface ProductInput {
+    barcode?: string;
+    name: string;
+    category_id?: number | null;
+    purchase_price?: number;
+    sale_price: number;
+    quantity?: number;
+    notes?: string;
+  }
+
+  interface SubscriptionType {
+    id: number;
+    name: string;
+    type: 'monthly' | 'session';
+    duration_months: number | null;
+    session_count: number | null;
+    price: number;
+    gym_id: number;
+    is_active: boolean;
+    created_at: string;
+  }
+
+  interface SubscriptionTypeInput {
+    name: string;
+    type: 'monthly' | 'session';
+    duration_months?: number | null;
+    session_count?: number | null;
+    price: number;
+    is_active: boolean;
+  }
+
+  interface Subscriber {
+    id: number;
+    full_name: string;
+    phone: string;
+    subscription_type_id: number;
+    subscription_type_name: string;
+    subscription_type: 'monthly' | 'session';
+    start_date: string;
+    end_date: string;
+    price_paid: number;
+    remaining_sessions: number | null;
+    status: 'active' | 'expired' | 'expiring';
+    gym_id: number;
+    created_at: string;
+    created_by_user: string;
+    payment_method: PaymentMethod | null;
+  }
+
+  interface ExpiringSubscriber {
+    full_name: string;
+    end_date: string;
+    status: 'active' | 'expired' | 'expiring';
+  }
+
+  interface SubscriberInput {
+    full_name: string;
+    phone?: string;
+    subscription_type_id: number;
+    start_date: string;
+    price_paid: number;
+    payment_method?: PaymentMethod;
+    payment_reference?: string;
+  }
+
+  // التجديد بنفس نوع الاشتراك: المبلغ المدفوع وطريقته فقط
+  interface SubscriberRenewal {
+    price_paid: number;
+    payment_method?: PaymentMethod;
+    payment_reference?: string;
+  }
+
+  type PaymentMethod = 'cash' | 'card' | 'baridimob' | 'ccp' | 'cheque';
+
+  interface PaymentInput {
+    method: PaymentMethod;
+    amount: number;
+    reference?: string;
+  }
+
+  // دفعة مقبوضة لفاتورة أو اشتراك، والمبلغ السالب رد مرتجع (return_id)
+  interface Payment {
+    id: number;
+    invoice_id: number | null;
+    subscriber_id: number | null;
+    return_id: number | null;
+    customer_payment_id: number | null;
+    method: PaymentMethod;
+    amount: number;
+    reference: string | null;
+    gym_id: number;
+    user_id: number | null;
+    user_name?: string | null;
+    created_at: string;
+  }
+
+  interface PaymentMethodTotal {
+    method: PaymentMethod;
+    received: number;
+    refunded: number;
+    net: number;
+    count: number;
+  }
+
+  type PaymentSource = 'sales' | 'single_sessions' | 'subscriptions' | 'debt_payments' | 'refunds';
+
+  interface PaymentsReport {
+    methods: PaymentMethodTotal[];
+    sources: { source: PaymentSource; method: PaymentMethod; amount: number }[];
+    payments: (Payment & { source: PaymentSource; document_number: string | null; party_name: string | null })[];
+  }
+
+  interface Invoice {
+    id: number;
+    invoice_number: string;
+    customer_id: number | null;
+    customer_name: string;
+    customer_phone: string;
+    subtotal: number;
+    discount: number;
+    total: number;
+    profit?: number;
+    paid_amount: number;
+    // مجموع المرتجعات بعد الخصم، والمتبقي من الدين = total - returned_amount - paid_amount
+    returned_amount: number;
+    status: InvoiceStatus;
+    is_credit: boolean;
+    is_single_session: boolean;
+    items_summary: string | null;
+    // طرق الدفع المستخدمة مفصولة بفواصل
+    payment_methods: string | null;
+    created_at: string;
+  }
+
+  type InvoiceStatus = 'active' | 'partially_returned' | 'returned' | 'voided';
+
+  interface InvoiceItem {
+    id: number;
+    invoice_id: number;
+    product_id: number;
+    product_name: string;
+    quantity: number;
+    returned_quantity: number;
+    unit_price: number;
+    total_price: number;
+    unit_cost: number;
+  }
+
+  interface InvoiceInput {
+    customer_id?: number | null;
+    customer_name?: string;
+    customer_phone?: string;
+    discount?: number;
+    paid_amount?: number;
+    is_credit?: boolean;
+    is_single_session?: boolean;
+    single_session_price?: number;
+    // بدون دفعات: الفاتورة غير الآجلة نقداً بالكامل، والآجلة بالمبلغ paid_amount
+    payments?: PaymentInput[];
+    items: Array<{
+      product_id: number;
+      quantity: number;
+      unit_price: number;
     }>;
-    createUser: (userData: {
-      username: string;
-      password: string;
-      full_name: string;
-      role: string;
-      gym_id: number;
-      is_active: boolean;
-    }) => Promise<{
-      success: boolean;
-      result?: any;
-      message?: string;
-      error?: string;
+  }
+
+  interface CreatedInvoice {
+    id: number;
+    invoice_number: string;
+    total: number;
+    profit?: number;
+    paid_amount: number;
+    // الباقي المردود للزبون نقداً
+    change: number;
+  }
+
+  interface SalesReturnInput {
+    reason?: string;
+    refund_method?: PaymentMethod;
+    items: Array<{
+      invoice_item_id: number;
+      quantity: number;
+    }>;
+  }
+
+  // amount: قيمة العناصر بعد خصم الفاتورة، منها debt_reduction من دين الفاتورة والباقي refund_amount يُرد بطريقة refund_method
+  interface CreatedSalesReturn {
+    id: number;
+    return_number: string;
+    invoice_id: number;
+    type: 'return' | 'void';
+    amount: number;
+    profit?: number;
+    refund_amount: number;
+    refund_method?: PaymentMethod | null;
+    debt_reduction: number;
+  }
+
+  interface SalesReturnItem {
+    id: number;
+    return_id: number;
+    invoice_item_id: number;
+    product_id: number;
+    product_name: string | null;
+    quantity: number;
+    unit_price: number;
+    total_price: number;
+  }
+
+  interface SalesReturn extends CreatedSalesReturn {
+    reason: string | null;
+    gym_id: number;
+    user_id: number | null;
+    user_name: string | null;
+    created_at: string;
+    items: SalesReturnItem[];
+  }
+
+  interface Purchase {
+    id: number;
+    purchase_number: string | null;
+    supplier_name: string;
+    total_amount: number;
+    items_count: number;
+    created_at: string;
+  }
+
+  interface PurchaseItem {
+    id: number;
+    purchase_id: number;
+    product_id: number;
+    product_name: string;
+    quantity: number;
+    unit_cost: number;
+    total_cost: number;
+  }
+
+  interface PurchaseInput {
+    supplier_name?: string;
+    items: Array<{
+      product_id: number;
+      quantity: number;
+      unit_cost: number;
     }>;
-    updateUser: (userId: number, userData: {
-      username: string;
-      password?: string;
-      full_name: string;
-      role: string;
+  }
+
+  interface InternalSale {
+    id: number;
+    internal_sale_number: string | null;
+    admin_name: string;
+    product_id: number;
+    product_name: string;
+    quantity: number;
+    price_type: 'purchase' | 'manual';
+    unit_price: number;
+    total_price: number;
+    profit?: number;
+    created_at: string;
+  }
+
+  interface InternalSaleInput {
+    admin_name: string;
+    product_id: number;
+    quantity: number;
+    price_type: 'purchase' | 'manual';
+    unit_price?: number;
+  }
+
+  interface Customer {
+    id: number;
+    name: string;
+    phone: string;
+    email: string;
+    address: string;
+    total_purchases: number;
+    total_debt: number;
+    created_at: string;
+  }
+
+  interface CustomerBasic {
+    id: number;
+    name: string;
+    phone: string;
+  }
+
+  interface CustomerInput {
+    name: string;
+    phone: string;
+    email?: string;
+    address?: string;
+  }
+
+  interface CustomerDebt {
+    id: number;
+    invoice_number: string;
+    total: number;
+    returned_amount: number;
+    paid_amount: number;
+    remaining: number;
+    created_at: string;
+  }
+
+  interface Debtor {
+    name: string;
+    phone: string;
+    total_debt: number;
+  }
+
+  // سند قبض دفعة من الزبون، موزعة على فواتيره الآجلة
+  interface CustomerReceipt {
+    id: number;
+    receipt_number: string;
+    customer_id: number | null;
+    method: PaymentMethod;
+    amount: number;
+    reference: string | null;
+    notes: string | null;
+    gym_id: number;
+    user_id: number | null;
+    user_name?: string | null;
+    created_at: string;
+  }
+
+  interface CustomerReceiptDetails extends CustomerReceipt {
+    customer_name: string | null;
+    customer_phone: string | null;
+    gym_name: string | null;
+    // remaining: ما بقي على الفاتورة بعد هذا السند
+    allocations: { invoice_id: number; invoice_number: string; invoice_date: string; amount: number; remaining: number }[];
+  }
+
+  interface CustomerPaymentInput {
+    amount: number;
+    method?: PaymentMethod;
+    reference?: string;
+    notes?: string;
+  }
+
+  // حركة في كشف الحساب: الفاتورة الآجلة مدينة، والدفعة والمرتجع دائنان (والمبلغ المردود من المرتجع مدين)
+  interface StatementEntry {
+    type: 'invoice' | 'payment' | 'return' | 'void';
+    date: string;
+    document_number: string;
+    related: string | null;
+    method: PaymentMethod | null;
+    debit: number;
+    credit: number;
+    balance: number;
+  }
+
+  interface CustomerStatement {
+    customer: { id: number; name: string; phone: string; gym_id: number };
+    start: string | null;
+    end: string | null;
+    opening_balance: number;
+    entries: StatementEntry[];
+    total_debit: number;
+    total_credit: number;
+    closing_balance: number;
+  }
+
+  // أعمار الديون بالأيام منذ تاريخ الفاتورة
+  interface AgingTotals {
+    current: number;
+    days_31_60: number;
+    over_60: number;
+    total: number;
+  }
+
+  interface DebtAging {
+    as_of: string;
+    totals: AgingTotals;
+    customers: (AgingTotals & { customer_id: number | null; name: string | null; phone: string | null })[];
+  }
+
+  type Role = 'owner' | 'manager' | 'cashier' | 'coach';
+
+  type Permission =
+    | 'view_profit'
+    | 'delete_invoices'
+    | 'edit_prices'
+    | 'manage_users'
+    | 'clear_data'
+    | 'restore_backups'
+    | 'sell'
+    | 'manage_stock'
+    | 'view_audit_log'
+    | 'run_diagnostics';
+
+  // المستخدم المسجل في الجلسة كما تعيده العملية الرئيسية
+  interface SessionUser {
+    id: number;
+    username: string;
+    full_name: string;
+    role: Role;
+    gym_id: number;
+    gym_name: string;
+    gym_type: GymType;
+    is_active: boolean;
+    permissions: Permission[];
+    idle_lock_minutes: number;
+  }
+
+  interface SessionState {
+    user: SessionUser;
+    locked: boolean;
+    expires_at: string;
+  }
+
+  interface UnlockResult {
+    success: boolean;
+    loggedOut?: boolean;
+    message?: string;
+  }
+
+  interface User {
+    id: number;
+    username: string;
+    full_name: string;
+    role: Role;
+    gym_id: number;
+    gym_name: string;
+    gym_type: GymType;
+    is_active: boolean;
+    has_pin: boolean;
+    locked_until: string | null;
+    created_at: string;
+  }
+
+  interface UserInput {
+    username: string;
+    password?: string;
+    pin?: string;
+    full_name: string;
+    role: Role;
+    gym_id: number;
+    is_active: boolean;
+  }
+
+  interface GymSummary {
+    id: number;
+    name: string;
+    type: GymType;
+  }
+
+  interface GymSettings {
+    address?: string;
+    phone?: string;
+    email?: string;
+    currency?: string;
+    tax_rate?: number;
+    receipt_footer?: string;
+    theme_color?: string;
+    idle_lock_minutes?: number;
+  }
+
+  interface Gym extends GymSummary {
+    logo: string | null;
+    settings: GymSettings;
+    created_at: string;
+  }
+
+  interface GymSettingsInput extends GymSettings {
+    name: string;
+    logo?: string | null;
+  }
+
+  type DocumentType = 'sale' | 'return' | 'purchase' | 'internal_sale' | 'receipt';
+
+  interface NumberingScheme {
+    prefix: string;
+    include_year: boolean;
+    reset_yearly: boolean;
+    digits: number;
+  }
+
+  interface DocumentNumbering extends NumberingScheme {
+    type: DocumentType;
+    label: string;
+    next_number: string;
+  }
+
+  type ReceiptPrintMode = 'system' | 'escpos';
+
+  interface ReceiptPrinterConfig {
+    printer_name: string | null;
+    paper_width: 58 | 80;
+    mode: ReceiptPrintMode;
+    raw_device: string | null;
+    codepage: number;
+    copies: number;
+    show_logo: boolean;
+    auto_print: boolean;
+  }
+
+  interface PrinterInfo {
+    name: string;
+    display_name: string;
+  }
+
+  interface ReceiptPrintOptions {
+    change?: number;
+    reprint?: boolean;
+  }
+
+  interface ReceiptPrintResult {
+    printed: boolean;
+    mode: ReceiptPrintMode;
+    copies: number;
+  }
+
+  interface DateRange {
+    start: string | null;
+    end: string | null;
+  }
+
+  interface DashboardStats {
+    totalSubscribers: number;
+    activeSubscribers: number;
+    expiringSubscribers: number;
+    totalProducts: number;
+    lowStockProducts: number;
+    totalRevenue: number;
+    subscriptionRevenue: number;
+    salesRevenue: number;
+    // مرتجعات الفترة، مخصومة من salesRevenue
+    salesReturns: number;
+    salesProfit: number | null;
+    totalSales: number;
+    singleSessionRevenue: number;
+    singleSessionCount: number;
+    internalSalesRevenue: number;
+    internalSalesProfit: number | null;
+    customerDebts: number;
+    paymentMethods: PaymentMethodTotal[];
+  }
+
+  interface Created {
+    id: number;
+  }
+
+  interface AuditEntry {
+    id: number;
+    user_id: number | null;
+    user_name: string | null;
+    gym_id: number | null;
+    gym_name: string | null;
+    action: string;
+    entity_type: string | null;
+    entity_id: number | null;
+    before: Record<string, unknown> | null;
+    after: Record<string, unknown> | null;
+    created_at: string;
+  }
+
+  interface AuditFilters {
+    user_id?: number | null;
+    entity_type?: string | null;
+    start?: string | null;
+    end?: string | null;
+  }
+
+  interface AuditFilterOptions {
+    users: { id: number; name: string }[];
+    entityTypes: string[];
+  }
+
+  type BackupTrigger = 'manual' | 'auto' | 'exit' | 'custom' | 'legacy' | 'pre-restore' | 'pre-repair' | 'pre-close' | 'pre-import';
+
+  // سجل نسخة احتياطية في فهرس النسخ
+  interface BackupEntry {
+    id: number;
+    path: string;
+    file: string;
+    trigger: BackupTrigger;
+    created_at: string;
+    duration_ms: number | null;
+    size: number;
+    sha256: string | null;
+    schema_version: number | null;
+    encrypted?: boolean;
+    verified: boolean | null;
+    error: string | null;
+    // نتيجة الإرسال إلى كل وجهة، بمفتاح رقم الوجهة
+    uploads: Record<string, BackupUpload>;
+    exists?: boolean;
+  }
+
+  interface BackupUpload {
+    destination: string;
+    type: BackupDestinationType;
+    status: 'uploaded' | 'failed';
+    location: string | null;
+    error: string | null;
+    updated_at: string;
+  }
+
+  interface BackupRetention {
+    daily: number;
+    weekly: number;
+    monthly: number;
+  }
+
+  interface BackupCatalogue {
+    retention: BackupRetention;
+    entries: BackupEntry[];
+  }
+
+  // جدول النسخ التلقائي. destination_ids: null تعني جميع الوجهات المفعلة
+  interface BackupSchedule {
+    frequency: 'manual' | 'daily' | 'weekly' | 'monthly';
+    time: string;
+    destination_ids: number[] | null;
+    backup_on_exit: boolean;
+  }
+
+  // stale: آخر نسخة سليمة أقدم من المتوقع حسب الجدول
+  interface BackupStatus {
+    schedule: BackupSchedule;
+    last_success: Pick<BackupEntry, 'id' | 'file' | 'trigger' | 'created_at'> | null;
+    stale: boolean;
+    next_run: string | null;
+  }
+
+  // تشفير النسخ بكلمة مرور. available: حفظ كلمة المرور بأمان ممكن على هذا الجهاز
+  interface BackupEncryptionStatus {
+    enabled: boolean;
+    available: boolean;
+  }
+
+  // مصدر الاستعادة: نسخة من السجل أو ملف اختاره المستخدم، مع كلمة المرور للنسخ المشفرة
+  type RestoreSource = ({ id: number } | { path: string }) & { passphrase?: string };
+
+  interface RestoreTableStats {
+    rows: number;
+    first: string | null;
+    last: string | null;
+  }
+
+  interface RestorePreview {
+    file: string;
+    path: string;
+    size: number;
+    modified_at: string;
+    encrypted: boolean;
+    passphrase_required: boolean;
+    schema_version: number | null;
+    current_schema_version: number;
+    latest_schema_version: number;
+    valid: boolean;
+    errors: string[];
+    tables: {
+      name: string;
+      candidate: RestoreTableStats | null;
+      current: RestoreTableStats | null;
+    }[];
+  }
+
+  interface LastRestore {
+    snapshot_id: number;
+    file: string;
+    restored_at: string;
+  }
+
+  type BackupDestinationType = 'folder' | 'network' | 'webdav' | 's3' | 'google_drive';
+
+  // الحقول السرية (password و secret_access_key) تُرسل عند الحفظ فقط ولا تعود إلى الواجهة
+  interface BackupDestinationSettings {
+    path?: string;
+    url?: string;
+    username?: string;
+    password?: string;
+    endpoint?: string;
+    region?: string;
+    bucket?: string;
+    prefix?: string;
+    access_key_id?: string;
+    secret_access_key?: string;
+    path_style?: boolean;
+  }
+
+  interface BackupDestination {
+    id: number;
+    name: string;
+    type: BackupDestinationType;
+    enabled: boolean;
+    settings: BackupDestinationSettings;
+    has_secret: boolean;
+    last: {
+      status: 'uploaded' | 'failed';
+      error: string | null;
+      file: string;
+      at: string;
+    } | null;
+  }
+
+  type BackupDestinationInput = Pick<BackupDestination, 'name' | 'type' | 'enabled' | 'settings'> & { id?: number };
+
+  interface DestinationResult extends Omit<BackupUpload, 'updated_at'> {
+    destination_id: number;
+  }
+
+  interface DriveFolder {
+    id: string;
+    name: string;
+  }
+
+  // حالة ربط Google Drive. بيانات الدخول نفسها لا تصل إلى الواجهة
+  interface DriveStatus {
+    configured: boolean;
+    connected: boolean;
+    client_id: string | null;
+    account: string | null;
+    folder: DriveFolder | null;
+  }
+
+  interface DriveFile {
+    id: string;
+    name: string;
+    size?: string;
+    createdTime: string;
+  }
+
+  interface DiagnosticsError {
+    source: string;
+    name: string;
+    message: string;
+    created_at: string;
+  }
+
+  interface DiagnosticsSummary {
+    db_path: string;
+    db_size: number;
+    wal_size: number;
+    schema_version: number;
+    latest_schema_version: number;
+    schema_applied_at: string | null;
+    tables: { name: string; rows: number }[];
+    integrity: { ok: boolean; messages: string[] };
+    recent_errors: DiagnosticsError[];
+    app_version: string;
+    electron_version: string | null;
+    node_version: string;
+    platform: string;
+  }
+
+  // سجل من المشكلة: الحقول تختلف حسب نوع الفحص
+  interface HealthIssueRow {
+    id?: number;
+    missing_id?: number;
+    label?: string | null;
+    name?: string;
+    gym_name?: string;
+    quantity?: number;
+    counter_quantity?: number;
+    ledger_quantity?: number;
+  }
+
+  interface HealthIssue {
+    code: string;
+    title: string;
+    description: string;
+    severity: 'error' | 'warning';
+    count: number;
+    sample: HealthIssueRow[];
+    fix_label: string | null;
+  }
+
+  interface HealthReport {
+    checked_at: string;
+    integrity: { ok: boolean; messages: string[] };
+    issues: HealthIssue[];
+  }
+
+  interface HealthRepairResult {
+    fixed: number;
+    backup: { id: number; file: string };
+    report: HealthReport;
+  }
+
+  interface PeriodSummary {
+    invoices: number;
+    invoices_kept: number;
+    purchases: number;
+    internal_sales: number;
+    subscribers: number;
+    subscribers_kept: number;
+    stock_movements: number;
+    sales_total: number;
+    // غير موجود في أرشيفات ما قبل المرتجعات
+    returns_total?: number;
+    purchases_total: number;
+    internal_sales_total: number;
+    subscriptions_total: number;
+  }
+
+  interface ClosedPeriod {
+    id: number;
+    period_start: string | null;
+    period_end: string;
+    archive_file: string;
+    archive_exists: boolean;
+    key_fingerprint: string;
+    summary: PeriodSummary;
+    closed_by: number | null;
+    closed_by_name: string | null;
+    closed_at: string;
+  }
+
+  interface ClosedPeriods {
+    locked_until: string | null;
+    periods: ClosedPeriod[];
+  }
+
+  interface PeriodPreview {
+    period_start: string | null;
+    period_end: string;
+    summary: PeriodSummary;
+  }
+
+  // محتوى أرشيف الفترة. kept: السجل بقي في القاعدة بعد الإقفال (دين غير مسدد أو اشتراك لم ينته)
+  interface PeriodArchiveContent {
+    period_start: string | null;
+    period_end: string;
+    closed_at: string;
+    app_version: string;
+    summary: PeriodSummary;
+    gyms: { id: number; name: string; type: GymType }[];
+    invoices: (Omit<Invoice, 'items_summary'> & {
       gym_id: number;
-      is_active: boolean;
-    }) => Promise<{
+      kept: number;
+      items: InvoiceItem[];
+      returns?: (Omit<SalesReturn, 'user_name' | 'items'> & { items: SalesReturnItem[] })[];
+      payments?: (Payment & { receipt_number?: string | null })[];
+    })[];
+    purchases: (Omit<Purchase, 'items_count'> & { gym_id: number; items: PurchaseItem[] })[];
+    internal_sales: (InternalSale & { gym_id: number })[];
+    subscribers: (Omit<Subscriber, 'subscription_type' | 'status' | 'created_by_user' | 'payment_method'> & { kept: number; payments?: Payment[] })[];
+    stock_openings: { product_id: number; product_name: string | null; gym_id: number | null; quantity: number }[];
+  }
+
+  interface PeriodArchive {
+    file: string;
+    fingerprint: string;
+    signer_known: boolean;
+    content: PeriodArchiveContent;
+  }
+
+  type BranchDataTable = 'gyms' | 'users' | 'categories' | 'products' | 'subscription_types' | 'customers'
+    | 'subscribers' | 'invoices' | 'invoice_items' | 'sales_returns' | 'sales_return_items' | 'customer_payments' | 'payments' | 'purchases' | 'purchase_items'
+    | 'internal_sales' | 'stock_movements';
+
+  interface BranchDataExport {
+    path: string;
+    size: number;
+    gyms: GymSummary[];
+    totals: Record<BranchDataTable, number>;
+  }
+
+  // صالة هذا الجهاز لكل صالة في الملف (حسب رقمها في الملف)، أو 'new' لإنشاء صالة جديدة
+  type BranchTargets = Record<number, number | 'new'>;
+
+  // matched: موجود مسبقاً فلم يُكرر، updated: موجود وحُدّث (تجديد اشتراك أو تسديد دين أو مرتجع)،
+  // skipped: لم يُستورد (ضمن فترة مقفلة أو مستخدم غير موجود)
+  interface BranchMergeCounts {
+    created: number;
+    matched: number;
+    updated: number;
+    skipped: number;
+  }
+
+  interface BranchConflict {
+    table: BranchDataTable;
+    record: string;
+    message: string;
+  }
+
+  interface BranchMergeReport {
+    targets: BranchTargets;
+    counts: Record<BranchDataTable, BranchMergeCounts>;
+    conflicts: BranchConflict[];
+    conflict_count: number;
+  }
+
+  interface BranchImportPreview extends BranchMergeReport {
+    file: string;
+    exported_at: string;
+    app_version: string;
+    gyms: GymSummary[];
+    totals: Record<BranchDataTable, number>;
+  }
+
+  interface BranchImportResult extends BranchMergeReport {
+    file: string;
+  }
+
+  type ImportEntity = 'products' | 'customers' | 'subscribers';
+
+  interface ImportField {
+    key: string;
+    label: string;
+    required: boolean;
+  }
+
+  // رقم العمود في الملف لكل حقل، أو null إذا لم يُربط
+  type ImportMapping = Record<string, number | null>;
+
+  interface ImportFile {
+    file: string;
+    headers: string[];
+    rows: string[][];
+    fields: ImportField[];
+    mapping: ImportMapping;
+  }
+
+  interface ImportRequest {
+    rows: string[][];
+    mapping: ImportMapping;
+  }
+
+  interface ImportPreviewRow {
+    line: number;
+    action: 'create' | 'update' | null;
+    label: string;
+    errors: string[];
+    notes: string[];
+  }
+
+  interface ImportPreview {
+    rows: ImportPreviewRow[];
+    counts: { create: number; update: number; invalid: number };
+  }
+
+  interface ImportResult {
+    created: number;
+    updated: number;
+    failed: { line: number; label: string; errors: string[] }[];
+  }
+
+  type ExportFormat = 'csv' | 'xlsx';
+
+  interface ExportColumn {
+    key: string;
+    label: string;
+  }
+
+  interface ExportRequest {
+    title: string;
+    columns: ExportColumn[];
+    rows: object[];
+  }
+}
+
+interface Window {
+  electronAPI: {
+    login: (username: string, password: string) => Promise<{
       success: boolean;
-      result?: any;
+      user?: GymApi.SessionUser;
       message?: string;
-      error?: string;
     }>;
+    auth: {
+      current: () => Promise<GymApi.SessionState | null>;
+      logout: () => Promise<boolean>;
+      touch: () => Promise<boolean>;
+      lock: () => Promise<boolean>;
+      unlock: (secret: string) => Promise<GymApi.UnlockResult>;
+    };
+    categories: {
+      list: () => Promise<GymApi.Category[]>;
+      create: (payload: GymApi.CategoryInput) => Promise<GymApi.Created>;
+      update: (id: number, payload: GymApi.CategoryInput) => Promise<GymApi.Created>;
+      remove: (id: number) => Promise<GymApi.Created>;
+    };
+    products: {
+      list: () => Promise<GymApi.Product[]>;
+      listInStock: (gymId: number) => Promise<GymApi.StockProduct[]>;
+      lowStock: (gymId: number) => Promise<GymApi.LowStockProduct[]>;
+      create: (gymId: number, payload: GymApi.ProductInput) => Promise<GymApi.Created>;
+      update: (gymId: number, id: number, payload: GymApi.ProductInput) => Promise<GymApi.Created>;
+      remove: (id: number) => Promise<GymApi.Created>;
+      previewImport: (gymId: number, data: GymApi.ImportRequest) => Promise<GymApi.ImportPreview>;
+      importRows: (gymId: number, data: GymApi.ImportRequest) => Promise<GymApi.ImportResult>;
+    };
+    stock: {
+      history: (productId: number) => Promise<GymApi.StockMovement[]>;
+      reconcile: () => Promise<GymApi.StockMismatch[]>;
+    };
+    stockTransfers: {
+      list: (gymId: number) => Promise<GymApi.StockTransfer[]>;
+      getItems: (transferId: number) => Promise<GymApi.StockTransferItem[]>;
+      create: (gymId: number, payload: GymApi.StockTransferInput) => Promise<GymApi.Created>;
+      approve: (gymId: number, id: number) => Promise<GymApi.Created>;
+      reject: (gymId: number, id: number, reason?: string) => Promise<GymApi.Created>;
+      cancel: (gymId: number, id: number) => Promise<GymApi.Created>;
+    };
+    subscriptionTypes: {
+      list: (gymId: number, options?: { activeOnly?: boolean }) => Promise<GymApi.SubscriptionType[]>;
+      create: (gymId: number, payload: GymApi.SubscriptionTypeInput) => Promise<GymApi.Created>;
+      update: (id: number, payload: GymApi.SubscriptionTypeInput) => Promise<GymApi.Created>;
+      setActive: (id: number, isActive: boolean) => Promise<GymApi.Created>;
+      remove: (id: number) => Promise<GymApi.Created>;
+    };
+    subscribers: {
+      list: (gymId: number) => Promise<GymApi.Subscriber[]>;
+      expiring: (gymId: number) => Promise<GymApi.ExpiringSubscriber[]>;
+      create: (gymId: number, payload: GymApi.SubscriberInput) => Promise<GymApi.Created>;
+      update: (id: number, payload: GymApi.SubscriberInput) => Promise<GymApi.Created>;
+      remove: (id: number) => Promise<GymApi.Created>;
+      useSession: (id: number) => Promise<GymApi.Created>;
+      renew: (id: number, payload: GymApi.SubscriberRenewal) => Promise<GymApi.Created>;
+      previewImport: (gymId: number, data: GymApi.ImportRequest) => Promise<GymApi.ImportPreview>;
+      importRows: (gymId: number, data: GymApi.ImportRequest) => Promise<GymApi.ImportResult>;
+    };
+    sales: {
+      listInvoices: (gymId: number) => Promise<GymApi.Invoice[]>;
+      getInvoiceItems: (invoiceId: number) => Promise<GymApi.InvoiceItem[]>;
+      createInvoice: (gymId: number, payload: GymApi.InvoiceInput) => Promise<GymApi.CreatedInvoice>;
+      listPayments: (invoiceId: number) => Promise<GymApi.Payment[]>;
+      listReturns: (invoiceId: number) => Promise<GymApi.SalesReturn[]>;
+      createReturn: (gymId: number, invoiceId: number, payload: GymApi.SalesReturnInput) => Promise<GymApi.CreatedSalesReturn>;
+      voidInvoice: (gymId: number, invoiceId: number, reason: string, refundMethod?: GymApi.PaymentMethod) => Promise<GymApi.CreatedSalesReturn>;
+    };
+    purchases: {
+      list: (gymId: number) => Promise<GymApi.Purchase[]>;
+      getItems: (purchaseId: number) => Promise<GymApi.PurchaseItem[]>;
+      create: (gymId: number, payload: GymApi.PurchaseInput) => Promise<GymApi.Created & { purchase_number: string; total_amount: number }>;
+    };
+    internalSales: {
+      list: (gymId: number) => Promise<GymApi.InternalSale[]>;
+      create: (gymId: number, payload: GymApi.InternalSaleInput) => Promise<GymApi.Created & { internal_sale_number: string; total_price: number; profit?: number }>;
+    };
+    customers: {
+      list: (gymId: number) => Promise<GymApi.Customer[]>;
+      listBasic: (gymId: number) => Promise<GymApi.CustomerBasic[]>;
+      topDebtors: (gymId: number) => Promise<GymApi.Debtor[]>;
+      create: (gymId: number, payload: GymApi.CustomerInput) => Promise<GymApi.CustomerBasic>;
+      update: (id: number, payload: GymApi.CustomerInput) => Promise<GymApi.Created>;
+      remove: (id: number) => Promise<GymApi.Created>;
+      debts: (customerId: number) => Promise<GymApi.CustomerDebt[]>;
+      payDebt: (invoiceId: number, amount: number, payment?: Omit<GymApi.PaymentInput, 'amount'>) => Promise<GymApi.CustomerReceiptDetails>;
+      settleDebt: (invoiceId: number, payment?: Omit<GymApi.PaymentInput, 'amount'>) => Promise<GymApi.CustomerReceiptDetails>;
+      receivePayment: (customerId: number, payload: GymApi.CustomerPaymentInput) => Promise<GymApi.CustomerReceiptDetails>;
+      receipt: (receiptId: number) => Promise<GymApi.CustomerReceiptDetails>;
+      listReceipts: (customerId: number) => Promise<GymApi.CustomerReceipt[]>;
+      statement: (customerId: number, range?: GymApi.DateRange) => Promise<GymApi.CustomerStatement>;
+      aging: (gymId: number) => Promise<GymApi.DebtAging>;
+      previewImport: (gymId: number, data: GymApi.ImportRequest) => Promise<GymApi.ImportPreview>;
+      importRows: (gymId: number, data: GymApi.ImportRequest) => Promise<GymApi.ImportResult>;
+    };
+    imports: {
+      openFile: (entity: GymApi.ImportEntity) => Promise<{ canceled: true } | ({ canceled: false } & GymApi.ImportFile)>;
+    };
+    exports: {
+      save: (format: GymApi.ExportFormat, payload: GymApi.ExportRequest) => Promise<{ canceled: boolean; path?: string }>;
+    };
+    users: {
+      list: () => Promise<GymApi.User[]>;
+      create: (payload: GymApi.UserInput) => Promise<GymApi.Created>;
+      update: (id: number, payload: GymApi.UserInput) => Promise<GymApi.Created>;
+      remove: (id: number) => Promise<GymApi.Created>;
+      setActive: (id: number, isActive: boolean) => Promise<GymApi.Created>;
+    };
+    gyms: {
+      list: () => Promise<GymApi.GymSummary[]>;
+      get: (id: number) => Promise<GymApi.Gym>;
+      updateSettings: (id: number, payload: GymApi.GymSettingsInput) => Promise<GymApi.Gym>;
+    };
+    numbering: {
+      list: (gymId: number) => Promise<GymApi.DocumentNumbering[]>;
+      save: (gymId: number, payload: Record<GymApi.DocumentType, GymApi.NumberingScheme>) => Promise<GymApi.DocumentNumbering[]>;
+    };
+    receipts: {
+      config: () => Promise<GymApi.ReceiptPrinterConfig>;
+      setConfig: (payload: GymApi.ReceiptPrinterConfig) => Promise<GymApi.ReceiptPrinterConfig>;
+      printers: () => Promise<GymApi.PrinterInfo[]>;
+      print: (invoiceId: number, options?: GymApi.ReceiptPrintOptions) => Promise<GymApi.ReceiptPrintResult>;
+      preview: (invoiceId: number, options?: GymApi.ReceiptPrintOptions) => Promise<{ path: string }>;
+      printTest: (gymId: number) => Promise<GymApi.ReceiptPrintResult>;
+      previewTest: (gymId: number) => Promise<{ path: string }>;
+    };
+    dashboard: {
+      stats: (gymId: number, range?: GymApi.DateRange) => Promise<GymApi.DashboardStats>;
+      paymentsReport: (gymId: number, range?: GymApi.DateRange) => Promise<GymApi.PaymentsReport>;
+    };
+    audit: {
+      list: (filters?: GymApi.AuditFilters) => Promise<GymApi.AuditEntry[]>;
+      filterOptions: () => Promise<GymApi.AuditFilterOptions>;
+      exportCsv: (filters?: GymApi.AuditFilters) => Promise<string>;
+    };
+    backups: {
+      list: () => Promise<GymApi.BackupCatalogue>;
+      setRetention: (payload: GymApi.BackupRetention) => Promise<GymApi.BackupRetention>;
+      remove: (id: number) => Promise<{ id: number }>;
+      export: (id: number) => Promise<{ id?: number; path?: string; canceled?: boolean }>;
+      chooseFile: () => Promise<{ path?: string; canceled?: boolean }>;
+      preview: (source: GymApi.RestoreSource) => Promise<GymApi.RestorePreview>;
+      restore: (source: GymApi.RestoreSource) => Promise<GymApi.LastRestore>;
+      undoRestore: () => Promise<{ id: number }>;
+      lastRestore: () => Promise<GymApi.LastRestore | null>;
+      encryptionStatus: () => Promise<GymApi.BackupEncryptionStatus>;
+      setEncryption: (payload: { enabled: boolean; passphrase?: string }) => Promise<GymApi.BackupEncryptionStatus>;
+      send: (id: number) => Promise<GymApi.DestinationResult[]>;
+      status: () => Promise<GymApi.BackupStatus>;
+      setSchedule: (payload: GymApi.BackupSchedule) => Promise<GymApi.BackupStatus>;
+    };
+    destinations: {
+      list: () => Promise<GymApi.BackupDestination[]>;
+      save: (payload: GymApi.BackupDestinationInput) => Promise<GymApi.BackupDestination>;
+      remove: (id: number) => Promise<{ success: boolean }>;
+      test: (payload: GymApi.BackupDestinationInput) => Promise<{ message: string }>;
+      chooseFolder: () => Promise<{ path?: string; canceled?: boolean }>;
+    };
+    periods: {
+      list: () => Promise<GymApi.ClosedPeriods>;
+      preview: (periodEnd: string) => Promise<GymApi.PeriodPreview>;
+      close: (payload: { period_end: string }) => Promise<GymApi.Created & { period_end: string; archive_file: string; summary: GymApi.PeriodSummary }>;
+      view: (id: number) => Promise<GymApi.PeriodArchive>;
+      openFile: () => Promise<{ canceled: boolean; archive?: GymApi.PeriodArchive }>;
+    };
+    transfers: {
+      // gymId = null لتصدير كل الصالات
+      export: (gymId: number | null) => Promise<{ canceled: true } | ({ canceled: false } & GymApi.BranchDataExport)>;
+      chooseFile: () => Promise<{ canceled: true } | { canceled: false; path: string }>;
+      preview: (filePath: string, targets?: GymApi.BranchTargets) => Promise<GymApi.BranchImportPreview>;
+      import: (filePath: string, targets: GymApi.BranchTargets) => Promise<GymApi.BranchImportResult>;
+    };
+    drive: {
+      status: () => Promise<GymApi.DriveStatus>;
+      setClient: (payload: { client_id: string; client_secret: string }) => Promise<GymApi.DriveStatus>;
+      connect: () => Promise<GymApi.DriveStatus>;
+      disconnect: () => Promise<GymApi.DriveStatus>;
+      listFolders: () => Promise<GymApi.DriveFolder[]>;
+      createFolder: (name: string) => Promise<GymApi.DriveStatus>;
+      selectFolder: (folder: GymApi.DriveFolder) => Promise<GymApi.DriveStatus>;
+      listBackups: () => Promise<GymApi.DriveFile[]>;
+      download: (fileId: string) => Promise<{ path: string; name: string }>;
+    };
+    diagnostics: {
+      summary: () => Promise<GymApi.DiagnosticsSummary>;
+      resetPassword: (userId: number, password: string) => Promise<{ id: number }>;
+    };
+    maintenance: {
+      healthCheck: () => Promise<GymApi.HealthReport>;
+      repair: (code: string) => Promise<GymApi.HealthRepairResult>;
+      optimize: () => Promise<{ size_before: number; size_after: number }>;
+    };
     // Database management
-    backupDatabase: () => Promise<{ success: boolean; path?: string; error?: string; }>;
+    backupDatabase: () => Promise<{ success: boolean; path?: string; backup?: GymApi.BackupEntry; destinations?: GymApi.DestinationResult[]; error?: string; }>;
+    // choosePath: اختيار مسار الحفظ في نافذة الحفظ، وcanceled إذا أغلقها المستخدم
     backupDatabaseEnhanced: (options?: {
-      customPath?: string;
-      uploadToDrive?: boolean;
-      driveCredentials?: any;
-    }) => Promise<{ success: boolean; path?: string; driveFileId?: string; error?: string; }>;
-    chooseBackupPath: () => Promise<{ success?: boolean; filePath?: string; canceled?: boolean; error?: string; }>;
-    setupAutoBackup: (schedule: string, driveCredentials?: any) => Promise<{ success: boolean; error?: string; }>;
-    googleDriveAuth: () => Promise<{ success: boolean; authUrl?: string; error?: string; }>;
+      choosePath?: boolean;
+    }) => Promise<{ success?: boolean; canceled?: boolean; path?: string; backup?: GymApi.BackupEntry; destinations?: GymApi.DestinationResult[]; error?: string; }>;
     restoreDatabase: () => Promise<{ success: boolean; needRestart?: boolean; canceled?: boolean; error?: string; }>;
     repairDatabase: () => Promise<{ success: boolean; error?: string; }>;
-    // Debug
-    debugUsers: () => Promise<{
-      users?: any[];
-      gyms?: any[];
-      error?: string;
-    }>;
-    debugPasswords: () => Promise<{
-      users?: any[];
-      error?: string;
-    }>;
-    debugLogin: (username: string, password: string) => Promise<{
-      success: boolean;
-      user?: any;
-      message?: string;
-      error?: string;
-    }>;
     // System info
     platform: string;
     appVersion: () => Promise<string>;
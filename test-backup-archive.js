@@ -0,0 +1,95 @@
+// اختبار صيغة النسخ الاحتياطية المشفرة
+// التشغيل: node test-backup-archive.js
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  BackupArchiveError,
+  archivePath,
+  isArchive,
+  readHeader,
+  encryptFile,
+  decryptFile
+} = require('./electron/services/backup-archive.cjs');
+const { runTests, tempDir } = require('./scripts/testing.cjs');
+
+const PASSPHRASE = 'كلمة-مرور-طويلة-123';
+const dir = tempDir('archive');
+const source = path.join(dir, 'gym.db');
+const archive = archivePath(source);
+const restored = path.join(dir, 'restored.db');
+
+// ملف يشبه قاعدة البيانات: جزء قابل للضغط وجزء عشوائي
+fs.writeFileSync(source, Buffer.concat([Buffer.alloc(200000, 'gym'), crypto.randomBytes(50000)]));
+
+// نسخة معدلة من الأرشيف: change تعدل محتواه
+const tamperedCopy = (name, change) => {
+  const target = path.join(dir, name);
+  const bytes = fs.readFileSync(archive);
+  fs.writeFileSync(target, change(bytes));
+  return target;
+};
+
+const expectRejection = async (name, promise, code) => {
+  await assert.rejects(promise, (error) => {
+    assert.ok(error instanceof BackupArchiveError, `${name}: نوع الخطأ ${error.name}`);
+    assert.strictEqual(error.code, code, `${name}: الرمز ${error.code}`);
+    return true;
+  });
+  assert.ok(!fs.existsSync(restored), `${name}: يجب ألا يبقى ملف مفكوك`);
+  assert.ok(!fs.existsSync(`${restored}.partial`), `${name}: يجب حذف الملف المؤقت`);
+};
+
+const tests = [
+  ['إنشاء الأرشيف وفكه يعيد الملف الأصلي', async () => {
+    await encryptFile(source, archive, PASSPHRASE, { app_version: '1.0.0', schema_version: 7 });
+    assert.strictEqual(archive, path.join(dir, 'gym.gymbak'));
+    assert.ok(await isArchive(archive));
+    assert.ok(!(await isArchive(source)));
+    assert.ok(fs.statSync(archive).size < fs.statSync(source).size, 'الأرشيف يجب أن يكون مضغوطاً');
+    assert.ok(!fs.readFileSync(archive).includes(Buffer.alloc(64, 'gym')), 'البيانات يجب ألا تظهر كنص واضح');
+
+    const { header } = await readHeader(archive);
+    assert.strictEqual(header.schema_version, 7);
+    assert.strictEqual(header.cipher, 'aes-256-gcm');
+
+    await decryptFile(archive, restored, PASSPHRASE);
+    assert.ok(fs.readFileSync(restored).equals(fs.readFileSync(source)));
+    fs.rmSync(restored);
+  }],
+  ['رفض كلمة المرور الخاطئة', () => expectRejection(
+    'رفض كلمة المرور الخاطئة', decryptFile(archive, restored, 'wrong-passphrase'), 'WRONG_PASSPHRASE'
+  )],
+  ['رفض تعديل البيانات المشفرة', () => {
+    const file = tamperedCopy('body.gymbak', (bytes) => {
+      bytes[bytes.length - 1000] ^= 0x01;
+      return bytes;
+    });
+    return expectRejection('رفض تعديل البيانات المشفرة', decryptFile(file, restored, PASSPHRASE), 'TAMPERED');
+  }],
+  ['رفض تعديل الترويسة', () => {
+    const file = tamperedCopy('header.gymbak', (bytes) => {
+      const text = bytes.toString('latin1').replace('"schema_version":7', '"schema_version":8');
+      return Buffer.from(text, 'latin1');
+    });
+    return expectRejection('رفض تعديل الترويسة', decryptFile(file, restored, PASSPHRASE), 'TAMPERED');
+  }],
+  ['رفض تعديل وسم المصادقة', () => {
+    const file = tamperedCopy('tag.gymbak', (bytes) => {
+      bytes[bytes.length - 1] ^= 0xff;
+      return bytes;
+    });
+    return expectRejection('رفض تعديل وسم المصادقة', decryptFile(file, restored, PASSPHRASE), 'TAMPERED');
+  }],
+  ['رفض الملف المقطوع', () => {
+    const file = tamperedCopy('truncated.gymbak', (bytes) => bytes.subarray(0, bytes.length - 5000));
+    return expectRejection('رفض الملف المقطوع', decryptFile(file, restored, PASSPHRASE), 'TAMPERED');
+  }],
+  ['رفض ملف ليس أرشيفاً', () => expectRejection(
+    'رفض ملف ليس أرشيفاً', decryptFile(source, restored, PASSPHRASE), 'INVALID'
+  )]
+];
+
+runTests('اختبار النسخ الاحتياطية المشفرة', tests);
@@ -0,0 +1,69 @@
+// اختبار جدول النسخ التلقائي: مواعيد النسخ، اكتشاف النسخ الفائتة والنسخ القديمة
+// التشغيل: node test-backup-schedule.js
+
+const assert = require('assert');
+const {
+  DEFAULT_SCHEDULE,
+  normalizeSchedule,
+  cronPattern,
+  previousRun,
+  nextRun,
+  isMissed,
+  isStale
+} = require('./electron/services/backup-schedule.cjs');
+const { runTests } = require('./scripts/testing.cjs');
+
+const daily = { ...DEFAULT_SCHEDULE, frequency: 'daily', time: '02:00' };
+const weekly = { ...DEFAULT_SCHEDULE, frequency: 'weekly', time: '22:30' };
+const monthly = { ...DEFAULT_SCHEDULE, frequency: 'monthly', time: '03:15' };
+const manual = { ...DEFAULT_SCHEDULE };
+
+// الأربعاء 14 أكتوبر 2026 الساعة 10:00 بالتوقيت المحلي
+const now = new Date(2026, 9, 14, 10, 0);
+
+const tests = [
+  ['التحقق من بيانات الجدول', () => {
+    assert.deepStrictEqual(
+      normalizeSchedule({ frequency: 'daily', time: '23:59', destination_ids: [2, 2, 5], backup_on_exit: true }),
+      { frequency: 'daily', time: '23:59', destination_ids: [2, 5], backup_on_exit: true }
+    );
+    assert.strictEqual(normalizeSchedule({ frequency: 'weekly', backup_on_exit: false }).destination_ids, null);
+    assert.throws(() => normalizeSchedule({ frequency: 'hourly', time: '02:00', backup_on_exit: false }));
+    assert.throws(() => normalizeSchedule({ frequency: 'daily', time: '24:00', backup_on_exit: false }));
+    assert.throws(() => normalizeSchedule({ frequency: 'daily', time: '02:00', destination_ids: [0], backup_on_exit: false }));
+  }],
+  ['نمط cron لكل تكرار', () => {
+    assert.strictEqual(cronPattern(daily), '0 2 * * *');
+    assert.strictEqual(cronPattern(weekly), '30 22 * * 0');
+    assert.strictEqual(cronPattern(monthly), '15 3 1 * *');
+    assert.strictEqual(cronPattern(manual), null);
+  }],
+  ['آخر موعد والموعد القادم', () => {
+    assert.deepStrictEqual(previousRun(daily, now), new Date(2026, 9, 14, 2, 0));
+    assert.deepStrictEqual(nextRun(daily, now), new Date(2026, 9, 15, 2, 0));
+    assert.deepStrictEqual(previousRun(weekly, now), new Date(2026, 9, 11, 22, 30));
+    assert.deepStrictEqual(nextRun(weekly, now), new Date(2026, 9, 18, 22, 30));
+    assert.deepStrictEqual(previousRun(monthly, now), new Date(2026, 9, 1, 3, 15));
+    assert.deepStrictEqual(nextRun(monthly, now), new Date(2026, 10, 1, 3, 15));
+    // قبل موعد اليوم: آخر موعد هو الأمس
+    assert.deepStrictEqual(previousRun(daily, new Date(2026, 9, 14, 1, 0)), new Date(2026, 9, 13, 2, 0));
+    assert.strictEqual(previousRun(manual, now), null);
+    assert.strictEqual(nextRun(manual, now), null);
+  }],
+  ['اكتشاف النسخة الفائتة', () => {
+    assert.strictEqual(isMissed(daily, null, now), true);
+    assert.strictEqual(isMissed(daily, new Date(2026, 9, 13, 2, 0).toISOString(), now), true);
+    assert.strictEqual(isMissed(daily, new Date(2026, 9, 14, 2, 1).toISOString(), now), false);
+    assert.strictEqual(isMissed(weekly, new Date(2026, 9, 12, 9, 0).toISOString(), now), false);
+    assert.strictEqual(isMissed(manual, null, now), false);
+  }],
+  ['تحذير النسخة القديمة', () => {
+    assert.strictEqual(isStale(daily, null, now), true);
+    assert.strictEqual(isStale(daily, new Date(2026, 9, 13, 2, 0).toISOString(), now), false);
+    assert.strictEqual(isStale(daily, new Date(2026, 9, 11, 9, 0).toISOString(), now), true);
+    assert.strictEqual(isStale(manual, new Date(2026, 9, 9, 10, 0).toISOString(), now), false);
+    assert.strictEqual(isStale(manual, new Date(2026, 9, 6, 10, 0).toISOString(), now), true);
+  }]
+];
+
+runTests('اختبار جدول النسخ التلقائي', tests);
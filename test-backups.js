@@ -0,0 +1,57 @@
+// اختبار فهرس النسخ الاحتياطية: الفهرس التالف يُعاد بناؤه من كل النسخ في المجلد (المشفرة واللقطات)
+// دون أن يضيع التشفير والجدول وقواعد الاحتفاظ، وملف الإعدادات التالف يظهر خطؤه ولا يُستبدل بصمت
+// التشغيل: node test-backups.js
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { runTests, openTestDatabase } = require('./scripts/testing.cjs');
+
+const run = async () => {
+  await openTestDatabase();
+  const { BackupService } = require('./electron/services/backups.cjs');
+  const dir = BackupService.ensureDirectory();
+  const cataloguePath = path.join(dir, 'catalogue.json');
+  const settingsPath = path.join(dir, 'settings.json');
+
+  BackupService.setEncryption({ enabled: true, passphrase: 'كلمة-مرور-طويلة' });
+  const schedule = BackupService.setSchedule({ frequency: 'daily', time: '02:00', backup_on_exit: true });
+  BackupService.setRetention({ daily: 3, weekly: 2, monthly: 1 });
+  const archive = await BackupService.create(path.join(dir, 'gym-auto-backup-2026-10-01T02-00-00.db'), { trigger: 'auto' });
+  const snapshot = await BackupService.create(path.join(dir, 'gym-pre-restore-2026-10-02T09-00-00.db'), { trigger: 'pre-restore' });
+
+  return [
+    ['الفهرس التالف يُبنى من النسخ المشفرة واللقطات مع بيانات تحققها', async () => {
+      fs.writeFileSync(cataloguePath, '{"entries": [');
+      const { entries } = BackupService.list();
+      assert.ok(fs.existsSync(`${cataloguePath}.corrupt`));
+      assert.deepStrictEqual(
+        entries.map(({ file, trigger, encrypted, verified, sha256 }) => ({ file, trigger, encrypted, verified, sha256 })),
+        [
+          { file: path.basename(snapshot.path), trigger: 'pre-restore', encrypted: false, verified: true, sha256: snapshot.sha256 },
+          { file: 'gym-auto-backup-2026-10-01T02-00-00.gymbak', trigger: 'auto', encrypted: true, verified: true, sha256: archive.sha256 }
+        ]
+      );
+      assert.strictEqual(BackupService.lastSuccess().file, path.basename(archive.path));
+    }],
+
+    ['إعادة بناء الفهرس تحافظ على التشفير والجدول وقواعد الاحتفاظ', async () => {
+      assert.deepStrictEqual(BackupService.encryptionStatus(), { enabled: true, available: true });
+      assert.strictEqual(BackupService.backupPassphrase(), 'كلمة-مرور-طويلة');
+      assert.ok(BackupService.hasSchedule());
+      assert.deepStrictEqual(BackupService.schedule(), schedule);
+      assert.deepStrictEqual(BackupService.list().retention, { daily: 3, weekly: 2, monthly: 1 });
+    }],
+
+    ['ملف الإعدادات التالف يظهر خطؤه ولا يُستبدل بالقيم الافتراضية', async () => {
+      const saved = fs.readFileSync(settingsPath, 'utf8');
+      fs.writeFileSync(settingsPath, 'not json');
+      assert.throws(() => BackupService.encryptionStatus(), /ملف إعدادات النسخ الاحتياطية تالف/);
+      assert.strictEqual(fs.readFileSync(settingsPath, 'utf8'), 'not json');
+      fs.writeFileSync(settingsPath, saved);
+      assert.strictEqual(BackupService.backupPassphrase(), 'كلمة-مرور-طويلة');
+    }]
+  ];
+};
+
+runTests('اختبار فهرس النسخ الاحتياطية', run);
@@ -0,0 +1,51 @@
+// اختبار القنوات التي تعمل على سجل برقمه: مدير فرع لا يعدل ولا يحذف مشتركي الفرع الآخر وزبائنه ومنتجاته
+// برقمها، ويبقى يعمل على سجلات فرعه، والمالك يعمل على الفرعين
+// التشغيل: node test-branch-access.js
+
+const assert = require('assert');
+const { runTests, openTestDatabase, loginWindow } = require('./scripts/testing.cjs');
+
+const run = async () => {
+  const database = await openTestDatabase();
+  require('./electron/ipc-handlers.cjs').registerDomainHandlers();
+  const male = await loginWindow('admin_male');
+  const female = await loginWindow('admin_female');
+  await male('users:create', { username: 'manager_male', password: 'manager123', full_name: 'مدير الفرع', role: 'manager', gym_id: 1, is_active: true });
+  const manager = await loginWindow('manager_male', 'manager123');
+
+  const [type] = await female('subscription-types:list', 2);
+  const subscriber = await female('subscribers:create', 2, { full_name: 'مشتركة', subscription_type_id: type.id, start_date: '2026-01-01', price_paid: 1000 });
+  const customer = await female('customers:create', 2, { name: 'زبونة', phone: '0550000002' });
+  const product = await female('products:create', 2, { name: 'مياه', purchase_price: 2, sale_price: 5, quantity: 10 });
+  const exists = async (table, id) => Boolean(await database.get(`SELECT id FROM ${table} WHERE id = ?`, [id]));
+
+  return [
+    ['مدير فرع لا يعدل سجلات الفرع الآخر ولا يحذفها برقمها', async () => {
+      await assert.rejects(manager('subscribers:update', subscriber.id, { full_name: 'تعديل', subscription_type_id: type.id, start_date: '2026-01-01', price_paid: 1 }), /فرع آخر/);
+      await assert.rejects(manager('subscribers:remove', subscriber.id), /فرع آخر/);
+      await assert.rejects(manager('customers:update', customer.id, { name: 'تعديل', phone: '0550000002' }), /فرع آخر/);
+      await assert.rejects(manager('customers:remove', customer.id), /فرع آخر/);
+      await assert.rejects(manager('products:remove', product.id), /فرع آخر/);
+      await assert.rejects(manager('subscription-types:remove', type.id), /فرع آخر/);
+      const row = await database.get('SELECT full_name FROM subscribers WHERE id = ?', [subscriber.id]);
+      assert.strictEqual(row.full_name, 'مشتركة');
+      assert.ok(await exists('customers', customer.id));
+      assert.ok(await exists('products', product.id));
+    }],
+
+    ['مدير الفرع يعدل سجلات فرعه ويحذفها', async () => {
+      const own = await manager('customers:create', 1, { name: 'زبون', phone: '0550000001' });
+      await manager('customers:update', own.id, { name: 'زبون معدل', phone: '0550000001' });
+      await manager('customers:remove', own.id);
+      assert.strictEqual(await exists('customers', own.id), false);
+    }],
+
+    ['المالك يعمل على سجلات الفرعين', async () => {
+      await male('customers:update', customer.id, { name: 'زبونة معدلة', phone: '0550000002' });
+      const row = await database.get('SELECT name FROM customers WHERE id = ?', [customer.id]);
+      assert.strictEqual(row.name, 'زبونة معدلة');
+    }]
+  ];
+};
+
+runTests('اختبار فرع السجلات المعدلة برقمها', run);
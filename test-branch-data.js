@@ -0,0 +1,122 @@
+// اختبار ملف نقل بيانات الفرع: الكتابة والقراءة، المراجع بين الجداول، ورفض الملفات التالفة
+// التشغيل: node test-branch-data.js
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const {
+  BRANCH_DATA_EXTENSION,
+  TABLES,
+  BranchDataError,
+  createBranchData,
+  writeBranchData,
+  parseBranchData,
+  readBranchData
+} = require('./electron/services/branch-data.cjs');
+const { runTests, tempDir } = require('./scripts/testing.cjs');
+
+const dir = tempDir('branch-data');
+const options = { schemaVersion: 11 };
+
+const sampleData = () => ({
+  ...Object.fromEntries(TABLES.map((table) => [table, []])),
+  gyms: [{ id: 3, name: 'فرع الرجال', type: 'male', settings: { currency: 'DZD' } }],
+  users: [{ id: 1, username: 'admin', full_name: 'المدير' }],
+  products: [{ id: 10, barcode: '0001', name: 'واي بروتين', category_id: 99, sale_price: 1200 }],
+  customers: [{ id: 4, name: 'زبون', phone: '0555', gym_id: 3 }],
+  // المستخدم 7 حُذف من القاعدة، والحركة تشير إلى فاتورة غير موجودة
+  invoices: [{ id: 20, invoice_number: 'INV-1', total: 2400, gym_id: 3, user_id: 7, customer_id: 4 }],
+  invoice_items: [{ id: 21, invoice_id: 20, product_id: 10, quantity: 2 }],
+  sales_returns: [{ id: 40, return_number: 'RET-1', invoice_id: 20, amount: 1200, gym_id: 3, user_id: 1 }],
+  sales_return_items: [{ id: 41, return_id: 40, invoice_item_id: 21, product_id: 10, quantity: 1 }],
+  // سند القبض 61 غير موجود في الملف
+  customer_payments: [{ id: 60, receipt_number: 'RCP-1', customer_id: 4, method: 'card', amount: 2400, gym_id: 3, user_id: 1 }],
+  payments: [
+    { id: 50, invoice_id: 20, customer_payment_id: 60, method: 'card', amount: 2400, reference: 'TX-9', gym_id: 3, user_id: 7 },
+    { id: 51, invoice_id: 20, return_id: 40, method: 'cash', amount: -1200, gym_id: 3, user_id: 1 },
+    { id: 52, invoice_id: 20, customer_payment_id: 61, method: 'cash', amount: 100, gym_id: 3, user_id: 1 }
+  ],
+  stock_movements: [
+    { id: 30, product_id: 10, gym_id: 3, movement_type: 'sale', quantity: -2, source_id: 20, user_id: 1 },
+    { id: 31, product_id: 10, gym_id: 3, movement_type: 'sale', quantity: -1, source_id: 555, user_id: null },
+    { id: 32, product_id: 10, gym_id: 3, movement_type: 'return', quantity: 1, source_id: 40, user_id: 1 }
+  ]
+});
+
+const expectRejection = (buffer, pattern) => {
+  assert.throws(() => parseBranchData(buffer, options), (error) => {
+    assert.ok(error instanceof BranchDataError, `نوع الخطأ ${error.name}`);
+    assert.match(error.message, pattern);
+    return true;
+  });
+};
+
+const tests = [
+  ['الكتابة ثم القراءة بنفس البيانات', () => {
+    const content = createBranchData({ appVersion: '1.0.1', schemaVersion: 11, data: sampleData() });
+    const file = path.join(dir, `gym-data${BRANCH_DATA_EXTENSION}`);
+    writeBranchData(file, content);
+    assert.ok(!fs.existsSync(`${file}.partial`));
+    assert.deepStrictEqual(readBranchData(file, options), content);
+  }],
+
+  ['المراجع الاختيارية المفقودة تصبح null عند التصدير', () => {
+    const { data } = createBranchData({ appVersion: '1.0.1', schemaVersion: 11, data: sampleData() });
+    assert.strictEqual(data.products[0].category_id, null);
+    assert.strictEqual(data.invoices[0].user_id, null);
+    assert.strictEqual(data.invoices[0].customer_id, 4);
+    assert.strictEqual(data.stock_movements[0].source_id, 20);
+    assert.strictEqual(data.stock_movements[1].source_id, null);
+    assert.strictEqual(data.stock_movements[2].source_id, 40);
+    assert.strictEqual(data.payments[0].user_id, null);
+    assert.strictEqual(data.payments[1].return_id, 40);
+    assert.strictEqual(data.payments[0].customer_payment_id, 60);
+    assert.strictEqual(data.payments[2].customer_payment_id, null);
+  }],
+
+  ['ملف من نسخة قبل المرتجعات والدفعات يُقبل بجداولها فارغة', () => {
+    const content = createBranchData({ appVersion: '1.0.0', schemaVersion: 8, data: sampleData() });
+    const { sales_returns, sales_return_items, customer_payments, payments, ...rest } = content.data;
+    const data = { ...rest, stock_movements: rest.stock_movements.filter((movement) => movement.movement_type !== 'return') };
+    const oldFile = { ...content, data, checksum: crypto.createHash('sha256').update(JSON.stringify(data), 'utf8').digest('hex') };
+    const parsed = parseBranchData(Buffer.from(JSON.stringify(oldFile)), options);
+    assert.deepStrictEqual(parsed.data.sales_returns, []);
+    assert.deepStrictEqual(parsed.data.sales_return_items, []);
+    assert.deepStrictEqual(parsed.data.customer_payments, []);
+    assert.deepStrictEqual(parsed.data.payments, []);
+    assert.strictEqual(parsed.data.stock_movements.length, 2);
+  }],
+
+  ['قبول JSON غير مضغوط', () => {
+    const content = createBranchData({ appVersion: '1.0.1', schemaVersion: 7, data: sampleData() });
+    assert.deepStrictEqual(parseBranchData(Buffer.from(JSON.stringify(content)), options), content);
+  }],
+
+  ['رفض ملف معدل أو ليس ملف بيانات', () => {
+    const content = createBranchData({ appVersion: '1.0.1', schemaVersion: 11, data: sampleData() });
+    content.data.invoices[0].total = 1;
+    expectRejection(zlib.gzipSync(JSON.stringify(content)), /تالف أو معدل/);
+    expectRejection(Buffer.from('{"format":"other"}'), /ليس ملف بيانات فرع/);
+    expectRejection(Buffer.from('not json'), /ليس ملف بيانات فرع/);
+  }],
+
+  ['رفض ملف من نسخة أحدث من البرنامج', () => {
+    const content = createBranchData({ appVersion: '2.0.0', schemaVersion: 12, data: sampleData() });
+    expectRejection(Buffer.from(JSON.stringify(content)), /نسخة أحدث/);
+  }],
+
+  ['رفض المراجع المطلوبة المكسورة والأرقام المكررة', () => {
+    const broken = createBranchData({ appVersion: '1.0.1', schemaVersion: 11, data: sampleData() });
+    broken.data.invoice_items[0].product_id = 11;
+    expectRejection(Buffer.from(JSON.stringify(broken)), /invoice_items يشير إلى products/);
+
+    const duplicated = sampleData();
+    duplicated.customers.push({ ...duplicated.customers[0] });
+    const content = createBranchData({ appVersion: '1.0.1', schemaVersion: 11, data: duplicated });
+    expectRejection(Buffer.from(JSON.stringify(content)), /مكرر في customers/);
+  }]
+];
+
+runTests('اختبار ملف نقل بيانات الفرع', tests);
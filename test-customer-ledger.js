@@ -0,0 +1,73 @@
+// اختبار حساب الزبون: توزيع الدفعة على الفواتير، كشف الحساب بالرصيد المتراكم، وأعمار الديون
+// التشغيل: node test-customer-ledger.js
+
+const assert = require('assert');
+const { allocatePayment, buildStatement, agingBuckets } = require('./electron/customer-ledger.cjs');
+const { runTests } = require('./scripts/testing.cjs');
+
+const invoices = [
+  { id: 3, remaining: 500, created_at: '2026-03-10 09:00:00' },
+  { id: 1, remaining: 1000, created_at: '2026-01-05 12:00:00' },
+  { id: 2, remaining: 0, created_at: '2026-02-01 12:00:00' },
+  { id: 4, remaining: 300, created_at: '2026-03-10 09:00:00' }
+];
+
+const entries = [
+  { type: 'payment', date: '2026-01-20 10:00:00', document_number: 'RCP-1', debit: 0, credit: 400 },
+  { type: 'invoice', date: '2026-01-05 12:00:00', document_number: 'INV-1', debit: 1500, credit: 0 },
+  { type: 'payment', date: '2026-01-05 12:00:00', document_number: 'INV-1', debit: 0, credit: 100 },
+  { type: 'return', date: '2026-02-10 08:00:00', document_number: 'RET-1', debit: 0, credit: 300 },
+  { type: 'invoice', date: '2026-03-01 18:00:00', document_number: 'INV-2', debit: 800, credit: 0 }
+];
+
+const tests = [
+  ['الدفعة تُوزع على الفواتير من الأقدم', () => {
+    assert.deepStrictEqual(allocatePayment(1200, invoices), [
+      { invoice_id: 1, amount: 1000, remaining: 0 },
+      { invoice_id: 3, amount: 200, remaining: 300 }
+    ]);
+  }],
+
+  ['دفعة تغطي كل الديون والفواتير بنفس التاريخ حسب الرقم', () => {
+    const allocations = allocatePayment(1800, invoices);
+    assert.deepStrictEqual(allocations.map((item) => [item.invoice_id, item.amount]), [[1, 1000], [3, 500], [4, 300]]);
+    assert.ok(allocations.every((item) => item.remaining === 0));
+  }],
+
+  ['رفض دفعة أكبر من الديون أو زبون بدون ديون', () => {
+    assert.throws(() => allocatePayment(1801, invoices), /أكبر من مجموع ديون الزبون \(1800\)/);
+    assert.throws(() => allocatePayment(10, [{ id: 1, remaining: 0, created_at: '2026-01-01 00:00:00' }]), /لا توجد ديون مفتوحة/);
+  }],
+
+  ['كشف الحساب الكامل بالرصيد المتراكم', () => {
+    const statement = buildStatement(entries);
+    assert.deepStrictEqual(statement.entries.map((entry) => [entry.document_number, entry.balance]), [
+      ['INV-1', 1500], ['INV-1', 1400], ['RCP-1', 1000], ['RET-1', 700], ['INV-2', 1500]
+    ]);
+    assert.strictEqual(statement.opening_balance, 0);
+    assert.strictEqual(statement.total_debit, 2300);
+    assert.strictEqual(statement.total_credit, 800);
+    assert.strictEqual(statement.closing_balance, 1500);
+  }],
+
+  ['كشف فترة: ما قبلها رصيد افتتاحي وما بعدها لا يظهر', () => {
+    const statement = buildStatement(entries, { start: '2026-01-15T00:00:00.000Z', end: '2026-02-28T23:59:59.000Z' });
+    assert.strictEqual(statement.opening_balance, 1400);
+    assert.deepStrictEqual(statement.entries.map((entry) => entry.document_number), ['RCP-1', 'RET-1']);
+    assert.strictEqual(statement.closing_balance, 700);
+    assert.strictEqual(statement.total_credit, 700);
+  }],
+
+  ['أعمار الديون حسب تاريخ الفاتورة', () => {
+    const asOf = new Date('2026-03-31T12:00:00Z');
+    assert.deepStrictEqual(agingBuckets([
+      { remaining: 100, created_at: '2026-03-01 12:00:00' },
+      { remaining: 200, created_at: '2026-02-28 12:00:00' },
+      { remaining: 300, created_at: '2026-01-30 12:00:00' },
+      { remaining: 400, created_at: '2025-12-01 08:00:00' },
+      { remaining: 0, created_at: '2025-01-01 08:00:00' }
+    ], asOf), { current: 100, days_31_60: 500, over_60: 400, total: 1000 });
+  }]
+];
+
+runTests('اختبار حساب الزبون', tests);
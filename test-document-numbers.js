@@ -0,0 +1,67 @@
+// اختبار مخططات ترقيم المستندات: رموز الصالات والبادئات الافتراضية وتنسيق الرقم وفحص الإعدادات
+// التشغيل: node test-document-numbers.js
+
+const assert = require('assert');
+const {
+  gymCode,
+  resolveSchemes,
+  validateNumbering,
+  sequenceYear,
+  formatDocumentNumber,
+  documentYear
+} = require('./electron/document-numbers.cjs');
+const { runTests } = require('./scripts/testing.cjs');
+
+const gyms = [
+  { id: 1, type: 'male' },
+  { id: 2, type: 'female' },
+  { id: 3, type: 'male' }
+];
+
+const tests = [
+  ['رمز الصالة حسب نوعها، ورقمها عند تكرار النوع', () => {
+    assert.strictEqual(gymCode(gyms[0], gyms), 'M');
+    assert.strictEqual(gymCode(gyms[1], gyms), 'F');
+    assert.strictEqual(gymCode(gyms[2], gyms), 'M3');
+  }],
+
+  ['المخطط الافتراضي ومخطط الإعدادات فوقه', () => {
+    const schemes = resolveSchemes(gyms[0], gyms, { purchase: { prefix: 'ACH', include_year: false, reset_yearly: false, digits: 4 } });
+    assert.deepStrictEqual(schemes.sale, { prefix: 'M', include_year: true, reset_yearly: true, digits: 6 });
+    assert.strictEqual(schemes.return.prefix, 'M-RET');
+    assert.strictEqual(schemes.internal_sale.prefix, 'M-INT');
+    assert.strictEqual(schemes.purchase.prefix, 'ACH');
+  }],
+
+  ['تنسيق الرقم بالسنة أو بدونها', () => {
+    const scheme = { prefix: 'M', include_year: true, reset_yearly: true, digits: 6 };
+    assert.strictEqual(formatDocumentNumber(scheme, 2026, 123), 'M-2026-000123');
+    assert.strictEqual(formatDocumentNumber({ ...scheme, include_year: false, digits: 3 }, 2026, 1234), 'M-1234');
+    assert.strictEqual(sequenceYear(scheme, 2026), 2026);
+    assert.strictEqual(sequenceYear({ ...scheme, reset_yearly: false }, 2026), 0);
+  }],
+
+  ['سنة المستند من تاريخ القاعدة', () => {
+    assert.strictEqual(documentYear('2025-06-30 10:00:00'), 2025);
+    assert.strictEqual(documentYear(new Date(2027, 0, 1)), 2027);
+  }],
+
+  ['فحص المخطط: البادئة والخانات والتصفير بدون السنة', () => {
+    const payload = resolveSchemes(gyms[0], gyms);
+    const numbering = validateNumbering({ ...payload, sale: { ...payload.sale, prefix: ' m-26 ' } });
+    assert.strictEqual(numbering.sale.prefix, 'M-26');
+    assert.throws(() => validateNumbering({ ...payload, sale: { ...payload.sale, prefix: 'M 1' } }), /بادئة فواتير البيع/);
+    assert.throws(() => validateNumbering({ ...payload, sale: { ...payload.sale, digits: 2 } }), /عدد خانات/);
+    assert.throws(() => validateNumbering({ ...payload, sale: { ...payload.sale, include_year: false } }), /يتطلب إظهار السنة/);
+    assert.throws(() => validateNumbering({ ...payload, return: undefined }), /بيانات الطلب غير صالحة/);
+  }],
+
+  ['البادئة لا تتكرر لنفس النوع في صالتين', () => {
+    const others = [resolveSchemes(gyms[1], gyms)];
+    const payload = resolveSchemes(gyms[0], gyms);
+    assert.throws(() => validateNumbering({ ...payload, sale: { ...payload.sale, prefix: 'F' } }, others), /مستخدمة في صالة أخرى \(فواتير البيع\)/);
+    assert.ok(validateNumbering({ ...payload, purchase: { ...payload.purchase, prefix: 'F' } }, others));
+  }]
+];
+
+runTests('اختبار ترقيم المستندات', tests);
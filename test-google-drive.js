@@ -0,0 +1,258 @@
+// اختبار ربط Google Drive على خادم محلي يحاكي Google
+// التشغيل: node test-google-drive.js
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { DriveClient, DriveError, authorize } = require('./electron/services/drive-client.cjs');
+const { runTests, tempDir } = require('./scripts/testing.cjs');
+
+const dir = tempDir('drive');
+const CHUNK_SIZE = 256 * 1024;
+
+// حالة الخادم المزيف: الملفات والجلسات والأعطال المطلوب افتعالها
+const fake = {
+  challenge: null,
+  accessTokens: new Set(),
+  files: new Map(),
+  sessions: new Map(),
+  nextId: 1,
+  // أعطال تُطبق بالترتيب على أجزاء الرفع: 'drop' يقطع الاتصال و 503 خطأ مؤقت
+  uploadFaults: [],
+  expireTokens: false,
+  tokenRefreshes: 0
+};
+
+const readBody = (req) => new Promise((resolve) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+const json = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://127.0.0.1');
+  const body = await readBody(req);
+
+  // صفحة موافقة Google: تعيد التوجيه مباشرة إلى العنوان المحلي
+  if (url.pathname === '/auth') {
+    const params = url.searchParams;
+    fake.challenge = params.get('code_challenge');
+    const redirect = new URL(params.get('redirect_uri'));
+    if (params.get('login_hint') === 'deny') {
+      redirect.search = new URLSearchParams({ error: 'access_denied', state: params.get('state') }).toString();
+    } else {
+      redirect.search = new URLSearchParams({ code: 'auth-code', state: params.get('state') }).toString();
+    }
+    res.writeHead(302, { Location: redirect.toString() });
+    res.end();
+    return;
+  }
+
+  if (url.pathname === '/token') {
+    const form = new URLSearchParams(body.toString());
+    if (form.get('grant_type') === 'authorization_code') {
+      const challenge = crypto.createHash('sha256').update(form.get('code_verifier')).digest('base64url');
+      if (form.get('code') !== 'auth-code' || challenge !== fake.challenge) {
+        json(res, 400, { error: 'invalid_grant' });
+        return;
+      }
+      json(res, 200, { access_token: 'first-token', refresh_token: 'refresh-token', expires_in: 3600 });
+      return;
+    }
+    if (form.get('refresh_token') !== 'refresh-token') {
+      json(res, 400, { error: 'invalid_grant', error_description: 'Token has been revoked' });
+      return;
+    }
+    fake.tokenRefreshes += 1;
+    const token = `token-${fake.tokenRefreshes}`;
+    fake.accessTokens.add(token);
+    json(res, 200, { access_token: token, expires_in: 3600 });
+    return;
+  }
+
+  const token = (req.headers.authorization || '').replace('Bearer ', '');
+  if (!fake.accessTokens.has(token)) {
+    json(res, 401, { error: { message: 'Invalid Credentials' } });
+    return;
+  }
+  if (fake.expireTokens) {
+    fake.expireTokens = false;
+    fake.accessTokens.delete(token);
+    json(res, 401, { error: { message: 'Invalid Credentials' } });
+    return;
+  }
+
+  if (url.pathname === '/drive/v3/about') {
+    json(res, 200, { user: { emailAddress: 'owner@example.com', displayName: 'Owner' } });
+    return;
+  }
+
+  if (url.pathname === '/drive/v3/files' && req.method === 'POST') {
+    const metadata = JSON.parse(body.toString());
+    const file = { id: `id-${fake.nextId++}`, name: metadata.name, mimeType: metadata.mimeType, parents: [] };
+    fake.files.set(file.id, file);
+    json(res, 200, { id: file.id, name: file.name });
+    return;
+  }
+
+  if (url.pathname === '/drive/v3/files') {
+    const q = url.searchParams.get('q');
+    const parent = /'([^']+)' in parents/.exec(q);
+    const files = [...fake.files.values()].filter((file) => (parent
+      ? file.parents.includes(parent[1])
+      : file.mimeType === 'application/vnd.google-apps.folder'));
+    json(res, 200, { files: files.map(({ id, name, data }) => ({ id, name, size: data ? String(data.length) : undefined, createdTime: new Date().toISOString() })) });
+    return;
+  }
+
+  const fileMatch = /^\/drive\/v3\/files\/([^/]+)$/.exec(url.pathname);
+  if (fileMatch) {
+    const file = fake.files.get(fileMatch[1]);
+    if (!file) {
+      json(res, 404, { error: { message: 'File not found' } });
+      return;
+    }
+    if (url.searchParams.get('alt') === 'media') {
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+      res.end(file.data);
+      return;
+    }
+    json(res, 200, { id: file.id, name: file.name, size: String(file.data.length) });
+    return;
+  }
+
+  if (url.pathname === '/upload/drive/v3/files' && url.searchParams.get('uploadType') === 'resumable') {
+    const metadata = JSON.parse(body.toString());
+    const sessionId = `session-${fake.nextId++}`;
+    fake.sessions.set(sessionId, { metadata, size: Number(req.headers['x-upload-content-length']), received: Buffer.alloc(0) });
+    res.writeHead(200, { Location: `http://127.0.0.1:${server.address().port}/upload/${sessionId}` });
+    res.end();
+    return;
+  }
+
+  const sessionMatch = /^\/upload\/(session-\d+)$/.exec(url.pathname);
+  if (sessionMatch && req.method === 'PUT') {
+    const session = fake.sessions.get(sessionMatch[1]);
+    const range = req.headers['content-range'];
+    const resumeIncomplete = () => {
+      const headers = session.received.length > 0 ? { Range: `bytes=0-${session.received.length - 1}` } : {};
+      res.writeHead(308, headers);
+      res.end();
+    };
+
+    if (range.startsWith('bytes */')) {
+      resumeIncomplete();
+      return;
+    }
+    const fault = fake.uploadFaults.shift();
+    if (fault === 'drop') {
+      req.socket.destroy();
+      return;
+    }
+    if (fault) {
+      json(res, fault, { error: { message: 'Backend Error' } });
+      return;
+    }
+    // بعد العطل قد يعيد العميل إرسال جزء وصل نصفه، فتُؤخذ البايتات الجديدة فقط
+    const start = Number(/bytes (\d+)-/.exec(range)[1]);
+    assert.strictEqual(start, session.received.length, 'يجب أن يُكمل العميل من آخر بايت وصل');
+    session.received = Buffer.concat([session.received, body]);
+    if (session.received.length < session.size) {
+      resumeIncomplete();
+      return;
+    }
+    const file = { id: `id-${fake.nextId++}`, name: session.metadata.name, parents: session.metadata.parents, data: session.received };
+    fake.files.set(file.id, file);
+    json(res, 200, { id: file.id, name: file.name, size: String(file.data.length) });
+    return;
+  }
+
+  json(res, 404, { error: { message: 'Not found' } });
+});
+
+const run = async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const endpoints = {
+    auth: `${base}/auth`,
+    token: `${base}/token`,
+    revoke: `${base}/revoke`,
+    api: `${base}/drive/v3`,
+    upload: `${base}/upload/drive/v3`
+  };
+  // المتصفح: فتح الرابط يتبع إعادة التوجيه إلى الخادم المحلي للبرنامج
+  const openUrl = (url) => fetch(url).then((response) => response.text());
+  const client = new DriveClient({ clientId: 'client', clientSecret: 'secret', refreshToken: 'refresh-token', endpoints, retryDelayMs: 5, chunkSize: CHUNK_SIZE });
+
+  const source = path.join(dir, 'gym-backup.gymbak');
+  fs.writeFileSync(source, crypto.randomBytes(CHUNK_SIZE * 4 + 1234));
+  let folder;
+  let uploaded;
+
+  return [
+    ['تسجيل الدخول عبر العنوان المحلي مع PKCE', async () => {
+      const tokens = await authorize({ clientId: 'client', clientSecret: 'secret', openUrl, endpoints, timeoutMs: 5000 });
+      assert.strictEqual(tokens.refresh_token, 'refresh-token');
+    }],
+    ['رفض تسجيل الدخول عند إلغاء المستخدم', async () => {
+      const denyUrl = (url) => openUrl(`${url}&login_hint=deny`);
+      await assert.rejects(
+        authorize({ clientId: 'client', clientSecret: 'secret', openUrl: denyUrl, endpoints, timeoutMs: 5000 }),
+        (error) => error instanceof DriveError && error.message.includes('access_denied')
+      );
+    }],
+    ['إنشاء مجلد النسخ وعرضه', async () => {
+      assert.strictEqual((await client.about()).user.emailAddress, 'owner@example.com');
+      folder = await client.createFolder('GYM DADA Backups');
+      const folders = await client.listFolders();
+      assert.deepStrictEqual(folders.map((item) => item.name), ['GYM DADA Backups']);
+    }],
+    ['الرفع المستأنف يكمل بعد انقطاع الاتصال وخطأ الخادم', async () => {
+      fake.uploadFaults = [null, 'drop', 503, null];
+      uploaded = await client.upload(source, { name: 'gym-backup.gymbak', folderId: folder.id });
+      assert.ok(fake.files.get(uploaded.id).data.equals(fs.readFileSync(source)));
+      assert.deepStrictEqual(fake.files.get(uploaded.id).parents, [folder.id]);
+    }],
+    ['تجديد رمز الدخول عند انتهائه', async () => {
+      const before = fake.tokenRefreshes;
+      fake.expireTokens = true;
+      const files = await client.listFiles(folder.id);
+      assert.strictEqual(files.length, 1);
+      assert.strictEqual(fake.tokenRefreshes, before + 1);
+    }],
+    ['تنزيل النسخة من Drive', async () => {
+      const target = path.join(dir, 'downloaded.gymbak');
+      await client.download(uploaded.id, target);
+      assert.ok(fs.readFileSync(target).equals(fs.readFileSync(source)));
+    }],
+    ['التوقف بعد عدد محدد من المحاولات', async () => {
+      fake.uploadFaults = [503, 503, 503, 503, 503, 503];
+      await assert.rejects(
+        client.upload(source, { name: 'failing.gymbak', folderId: folder.id }),
+        (error) => error instanceof DriveError && error.message.includes('محاولات')
+      );
+      fake.uploadFaults = [];
+    }],
+    ['عدم إعادة المحاولة عند رفض الصلاحية', async () => {
+      fake.uploadFaults = [403];
+      await assert.rejects(
+        client.upload(source, { name: 'forbidden.gymbak', folderId: folder.id }),
+        (error) => error instanceof DriveError && error.status === 403
+      );
+      fake.uploadFaults = [];
+    }],
+    ['رمز تجديد ملغى يطلب الربط من جديد', async () => {
+      const revoked = new DriveClient({ clientId: 'client', clientSecret: 'secret', refreshToken: 'revoked', endpoints, retryDelayMs: 5 });
+      await assert.rejects(revoked.listFolders(), (error) => error instanceof DriveError && error.message.includes('الربط من جديد'));
+    }]
+  ];
+};
+
+runTests('اختبار ربط Google Drive', run, { cleanup: () => server.close() });
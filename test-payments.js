@@ -0,0 +1,72 @@
+// اختبار توزيع الدفعات على الفاتورة: تقسيم الدفع بين الطرق، الباقي النقدي، والدفع الآجل
+// التشغيل: node test-payments.js
+
+const assert = require('assert');
+const { splitPayments, validatePayment } = require('./electron/payments.cjs');
+const { runTests } = require('./scripts/testing.cjs');
+
+const tests = [
+  ['دفع نقدي بالمبلغ نفسه بدون باقٍ', () => {
+    const result = splitPayments(1500, [{ method: 'cash', amount: 1500 }]);
+    assert.deepStrictEqual(result, {
+      payments: [{ method: 'cash', amount: 1500, reference: null }],
+      paid: 1500,
+      change: 0
+    });
+  }],
+
+  ['الباقي يُخصم من الدفع النقدي', () => {
+    const result = splitPayments(1500, [{ method: 'cash', amount: 2000 }]);
+    assert.strictEqual(result.change, 500);
+    assert.strictEqual(result.paid, 1500);
+    assert.deepStrictEqual(result.payments, [{ method: 'cash', amount: 1500, reference: null }]);
+  }],
+
+  ['تقسيم بين البطاقة والنقد مع باقٍ نقدي', () => {
+    const result = splitPayments(3000, [
+      { method: 'card', amount: 2000, reference: ' 778 ' },
+      { method: 'cash', amount: 1200 }
+    ]);
+    assert.strictEqual(result.change, 200);
+    assert.deepStrictEqual(result.payments, [
+      { method: 'card', amount: 2000, reference: '778' },
+      { method: 'cash', amount: 1000, reference: null }
+    ]);
+  }],
+
+  ['الباقي على عدة دفعات نقدية يبدأ من آخرها وتُحذف الدفعة التي تصبح صفراً', () => {
+    const result = splitPayments(1000, [
+      { method: 'cash', amount: 900 },
+      { method: 'baridimob', amount: 500 },
+      { method: 'cash', amount: 200 }
+    ]);
+    assert.strictEqual(result.change, 600);
+    assert.deepStrictEqual(result.payments.map((payment) => [payment.method, payment.amount]), [['cash', 500], ['baridimob', 500]]);
+  }],
+
+  ['رفض دفع غير كافٍ لفاتورة غير آجلة', () => {
+    assert.throws(() => splitPayments(1000, [{ method: 'cash', amount: 600 }]), /أقل من مجموع الفاتورة/);
+    assert.throws(() => splitPayments(1000, []), /أقل من مجموع الفاتورة/);
+  }],
+
+  ['رفض دفع غير نقدي أكبر من المطلوب', () => {
+    assert.throws(() => splitPayments(1000, [{ method: 'card', amount: 1200 }]), /لا يُرد إلا نقداً/);
+    assert.throws(() => splitPayments(1000, [{ method: 'ccp', amount: 900 }, { method: 'cheque', amount: 300 }, { method: 'cash', amount: 50 }]), /لا يُرد إلا نقداً/);
+  }],
+
+  ['الفاتورة الآجلة تقبل دفعاً جزئياً أو بدون دفع', () => {
+    const partial = splitPayments(5000, [{ method: 'ccp', amount: 2000, reference: 'CCP-1' }], { isCredit: true });
+    assert.strictEqual(partial.paid, 2000);
+    assert.strictEqual(partial.change, 0);
+    assert.deepStrictEqual(splitPayments(5000, [], { isCredit: true }), { payments: [], paid: 0, change: 0 });
+  }],
+
+  ['رفض طريقة دفع أو مبلغ غير صالح', () => {
+    assert.throws(() => validatePayment({ method: 'bitcoin', amount: 100 }), /طريقة الدفع غير صالح/);
+    assert.throws(() => validatePayment({ method: 'cash', amount: 0 }), /أكبر من صفر/);
+    assert.throws(() => validatePayment({ method: 'cash', amount: -5 }), /رقماً موجباً/);
+    assert.strictEqual(validatePayment({ amount: 100 }).method, 'cash');
+  }]
+];
+
+runTests('اختبار توزيع الدفعات', tests);
@@ -0,0 +1,88 @@
+// اختبار أرشيف الفترات المقفلة: التوقيع والتحقق ورفض الملفات المعدلة
+// التشغيل: node test-period-archive.js
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const {
+  PERIOD_ARCHIVE_EXTENSION,
+  PeriodArchiveError,
+  generateSigningKey,
+  keyFingerprint,
+  writeArchive,
+  readArchive
+} = require('./electron/services/period-archive.cjs');
+const { runTests, tempDir } = require('./scripts/testing.cjs');
+
+const dir = tempDir('period-archive');
+const key = generateSigningKey();
+const content = {
+  period_start: null,
+  period_end: '2025-12-31',
+  invoices: [{ id: 1, invoice_number: 'INV-1', total: 1200, kept: 0, items: [{ product_name: 'بروتين', quantity: 2 }] }],
+  subscribers: [{ id: 7, full_name: 'مشترك', price_paid: 3000, kept: 1 }]
+};
+const archiveFile = path.join(dir, `period-2025-12-31${PERIOD_ARCHIVE_EXTENSION}`);
+
+// نسخة معدلة من الأرشيف: change تعدل الغلاف JSON
+const tamperedCopy = (name, change) => {
+  const target = path.join(dir, name);
+  const envelope = JSON.parse(fs.readFileSync(archiveFile, 'utf8'));
+  fs.writeFileSync(target, JSON.stringify(change(envelope)));
+  return target;
+};
+
+const expectRejection = (name, filePath, code) => {
+  assert.throws(() => readArchive(filePath), (error) => {
+    assert.ok(error instanceof PeriodArchiveError, `${name}: نوع الخطأ ${error.name}`);
+    assert.strictEqual(error.code, code, `${name}: الرمز ${error.code}`);
+    return true;
+  });
+};
+
+const tests = [
+  ['كتابة الأرشيف وقراءته', () => {
+    const written = writeArchive(archiveFile, content, key);
+    assert.strictEqual(written.fingerprint, keyFingerprint(key.publicKey));
+    assert.ok(!fs.existsSync(`${archiveFile}.partial`));
+    const archive = readArchive(archiveFile);
+    assert.deepStrictEqual(archive.content, content);
+    assert.strictEqual(archive.fingerprint, written.fingerprint);
+    assert.strictEqual(archive.sha256, written.sha256);
+  }],
+  ['بصمة مختلفة لكل مفتاح', () => {
+    assert.notStrictEqual(keyFingerprint(generateSigningKey().publicKey), keyFingerprint(key.publicKey));
+  }],
+  ['رفض تعديل البيانات', () => {
+    const file = tamperedCopy('changed-data.gymarchive', (envelope) => {
+      const data = JSON.parse(zlib.gunzipSync(Buffer.from(envelope.payload, 'base64')).toString('utf8'));
+      data.invoices[0].total = 1;
+      return { ...envelope, payload: zlib.gzipSync(Buffer.from(JSON.stringify(data))).toString('base64') };
+    });
+    expectRejection('تعديل البيانات', file, 'TAMPERED');
+  }],
+  ['رفض إعادة التوقيع بمفتاح آخر مع إبقاء المفتاح العام', () => {
+    const other = generateSigningKey();
+    const otherFile = path.join(dir, 'other.gymarchive');
+    writeArchive(otherFile, { ...content, invoices: [] }, other);
+    const forged = tamperedCopy('forged.gymarchive', (envelope) => ({
+      ...envelope,
+      payload: JSON.parse(fs.readFileSync(otherFile, 'utf8')).payload,
+      signature: JSON.parse(fs.readFileSync(otherFile, 'utf8')).signature
+    }));
+    expectRejection('توقيع بمفتاح آخر', forged, 'TAMPERED');
+    // نفس الملف بمفتاحه الصحيح يُقبل لكن ببصمة مختلفة
+    assert.strictEqual(readArchive(otherFile).fingerprint, keyFingerprint(other.publicKey));
+  }],
+  ['رفض الملفات التي ليست أرشيفاً', () => {
+    const plain = path.join(dir, 'plain.gymarchive');
+    fs.writeFileSync(plain, 'not json');
+    expectRejection('ملف نصي', plain, 'INVALID');
+    expectRejection('صيغة أخرى', tamperedCopy('format.gymarchive', (envelope) => ({ ...envelope, format: 'x' })), 'INVALID');
+    expectRejection('إصدار أحدث', tamperedCopy('version.gymarchive', (envelope) => ({ ...envelope, version: 99 })), 'INVALID');
+    expectRejection('توقيع فارغ', tamperedCopy('signature.gymarchive', (envelope) => ({ ...envelope, signature: '' })), 'TAMPERED');
+  }]
+];
+
+runTests('اختبار أرشيف الفترات المقفلة', tests);
@@ -0,0 +1,67 @@
+// اختبار إقفال الفترة: الفاتورة المسددة داخل الفترة تُحذف بعد أرشفتها، والفاتورة التي لها مرتجع بعد نهاية
+// الفترة تبقى مع مرتجعها ودفعة رده في تقارير الفترة المفتوحة
+// التشغيل: node test-periods.js
+
+const assert = require('assert');
+const { runTests, openTestDatabase, loginWindow } = require('./scripts/testing.cjs');
+
+const PERIOD_END = '2026-01-31';
+const IN_PERIOD = '2026-01-10 10:00:00';
+
+const run = async () => {
+  const database = await openTestDatabase();
+  require('./electron/ipc-handlers.cjs').registerDomainHandlers();
+  const { PeriodService } = require('./electron/services/periods.cjs');
+  const male = await loginWindow('admin_male');
+
+  const product = await male('products:create', 1, { name: 'مياه', purchase_price: 2, sale_price: 5, quantity: 20 });
+  // فاتورة نقدية مؤرخة داخل الفترة مع دفعتها وحركة مخزونها
+  const sellInPeriod = async (quantity) => {
+    const invoice = await male('sales:create-invoice', 1, { items: [{ product_id: product.id, quantity, unit_price: 5 }] });
+    await database.run('UPDATE invoices SET created_at = ? WHERE id = ?', [IN_PERIOD, invoice.id]);
+    await database.run('UPDATE payments SET created_at = ? WHERE invoice_id = ?', [IN_PERIOD, invoice.id]);
+    await database.run("UPDATE stock_movements SET created_at = ? WHERE movement_type = 'sale' AND source_id = ?", [IN_PERIOD, invoice.id]);
+    return invoice;
+  };
+  await database.run("UPDATE stock_movements SET created_at = '2026-01-01 08:00:00' WHERE product_id = ?", [product.id]);
+
+  const settled = await sellInPeriod(2);
+  const refunded = await sellInPeriod(4);
+  const [item] = await male('sales:get-invoice-items', refunded.id);
+  // المرتجع اليوم، أي في الفترة التي تبقى مفتوحة
+  const salesReturn = await male('sales:create-return', 1, refunded.id, { items: [{ invoice_item_id: item.id, quantity: 1 }] });
+  await PeriodService.close(1, { period_end: PERIOD_END });
+
+  return [
+    ['الفاتورة المسددة داخل الفترة تُحذف مع دفعاتها', async () => {
+      assert.strictEqual(await database.get('SELECT id FROM invoices WHERE id = ?', [settled.id]), undefined);
+      const payments = await database.get('SELECT COUNT(*) as count FROM payments WHERE invoice_id = ?', [settled.id]);
+      assert.strictEqual(payments.count, 0);
+    }],
+
+    ['الفاتورة التي لها مرتجع بعد نهاية الفترة تبقى مع مرتجعها ودفعاتها', async () => {
+      assert.ok(await database.get('SELECT id FROM invoices WHERE id = ?', [refunded.id]));
+      assert.ok(await database.get('SELECT id FROM sales_returns WHERE id = ?', [salesReturn.id]));
+      const payments = await database.query('SELECT amount FROM payments WHERE invoice_id = ? ORDER BY id', [refunded.id]);
+      assert.deepStrictEqual(payments.map((payment) => payment.amount), [20, -5]);
+      const movement = await database.get("SELECT source_id FROM stock_movements WHERE movement_type = 'return'");
+      assert.strictEqual(movement.source_id, salesReturn.id);
+    }],
+
+    ['رد المرتجع يبقى في تقرير الدفع للفترة المفتوحة', async () => {
+      const report = await male('dashboard:payments-report', 1, { start: '2026-02-01 00:00:00', end: '2099-01-01 00:00:00' });
+      assert.deepStrictEqual(report.payments.map((payment) => [payment.source, payment.amount]), [['refunds', -5]]);
+      const cash = report.methods.find((method) => method.method === 'cash');
+      assert.strictEqual(cash.refunded, 5);
+    }],
+
+    ['المخزون بعد الإقفال رصيد افتتاحي ثم حركة المرتجع', async () => {
+      const movements = await database.query('SELECT movement_type, quantity FROM stock_movements WHERE product_id = ? ORDER BY id', [product.id]);
+      assert.deepStrictEqual(movements.map((movement) => [movement.movement_type, movement.quantity]), [['return', 1], ['opening', 14]]);
+      const quantities = await database.get('SELECT male_gym_quantity as quantity FROM products WHERE id = ?', [product.id]);
+      assert.strictEqual(quantities.quantity, 15);
+    }]
+  ];
+};
+
+runTests('اختبار إقفال الفترة', run);
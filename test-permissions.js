@@ -0,0 +1,32 @@
+// اختبار ربط الفرع بجلسة المستخدم: الفرع الذي ترسله الواجهة لا يُقبل إلا إذا كان فرع المستخدم أو كان مالكاً
+// التشغيل: node test-permissions.js
+
+const assert = require('assert');
+const { resolveGym, PermissionError } = require('./electron/permissions.cjs');
+const { runTests } = require('./scripts/testing.cjs');
+
+const cashier = { id: 3, role: 'cashier', gym_id: 1 };
+const manager = { id: 4, role: 'manager', gym_id: 2 };
+const owner = { id: 1, role: 'owner', gym_id: 1 };
+
+const tests = [
+  ['فرع الجلسة عندما لا ترسل الواجهة فرعاً', () => {
+    assert.strictEqual(resolveGym(cashier, undefined), 1);
+    assert.strictEqual(resolveGym(manager, null), 2);
+  }],
+
+  ['المستخدم يعمل على فرعه فقط', () => {
+    assert.strictEqual(resolveGym(cashier, 1), 1);
+    assert.strictEqual(resolveGym(cashier, '1'), '1');
+    assert.throws(() => resolveGym(cashier, 2), PermissionError);
+    assert.throws(() => resolveGym(manager, 1), /فرع آخر/);
+  }],
+
+  ['المالك يختار أي فرع إلا في قرارات الفرع نفسه', () => {
+    assert.strictEqual(resolveGym(owner, 2), 2);
+    assert.strictEqual(resolveGym(owner, 1, { ownGymOnly: true }), 1);
+    assert.throws(() => resolveGym(owner, 2, { ownGymOnly: true }), PermissionError);
+  }]
+];
+
+runTests('اختبار ربط الفرع بالجلسة', tests);
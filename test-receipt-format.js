@@ -0,0 +1,90 @@
+// اختبار قوالب إيصال البيع: صفحة HTML لعرضي الورق، السطور النصية بعرض ثابت، وأوامر ESC/POS
+// التشغيل: node test-receipt-format.js
+
+const assert = require('assert');
+const { formatAmount, receiptHtml, receiptLines, receiptEscPos, encodeCp1256, isPrinterPort } = require('./electron/receipt-format.cjs');
+const { runTests } = require('./scripts/testing.cjs');
+
+const receipt = {
+  gym: { name: 'نادي <الأبطال>', logo: 'data:image/png;base64,iVBORw0KGgo=', address: 'وسط المدينة', phone: '0555', footer: 'شكراً لزيارتكم\nنراكم قريباً', currency: 'DZD' },
+  title: 'فاتورة',
+  number: 'INV-1',
+  date: '2026-03-10 09:30:00',
+  cashier: 'أمين',
+  customer: { name: 'زبون', phone: '0666' },
+  lines: [
+    { name: 'واي بروتين', quantity: 2, unit_price: 4500, total: 9000 },
+    { name: 'ماء', quantity: 1, unit_price: 50, total: 50 }
+  ],
+  subtotal: 9050,
+  discount: 50,
+  total: 9000,
+  returned: 0,
+  payments: [{ method: 'card', amount: 5000, reference: 'TX9' }, { method: 'cash', amount: 3000, reference: null }],
+  change: 0,
+  remaining: 1000
+};
+
+const tests = [
+  ['تنسيق المبالغ بفواصل الآلاف والعملة', () => {
+    assert.strictEqual(formatAmount(1500), '1 500 دج');
+    assert.strictEqual(formatAmount(1234567.5, 'EUR'), '1 234 567.50 €');
+    assert.strictEqual(formatAmount(-50), '-50 دج');
+  }],
+
+  ['قالب 80 ملم: أعمدة للأصناف والشعار والتذييل والنص محمي', () => {
+    const html = receiptHtml(receipt, { paperWidth: 80 });
+    assert.ok(html.includes('width: 72mm'));
+    assert.ok(html.includes('<th class="num">الكمية</th>'));
+    assert.ok(html.includes('<img class="logo"'));
+    assert.ok(html.includes('نادي &lt;الأبطال&gt;'));
+    assert.ok(html.includes('شكراً لزيارتكم<br>نراكم قريباً'));
+    assert.ok(html.includes('بطاقة بنكية (TX9)'));
+    assert.ok(html.includes('المتبقي ديناً'));
+  }],
+
+  ['قالب 58 ملم: الكمية تحت اسم الصنف وبدون شعار عند تعطيله', () => {
+    const html = receiptHtml(receipt, { paperWidth: 58, showLogo: false });
+    assert.ok(html.includes('width: 48mm'));
+    assert.ok(!html.includes('الكمية</th>'));
+    assert.ok(html.includes('2 × 4 500 دج'));
+    assert.ok(!html.includes('<img'));
+  }],
+
+  ['السطور النصية لا تتجاوز عرض الورق والمبالغ في طرف السطر', () => {
+    for (const columns of [32, 48]) {
+      const lines = receiptLines(receipt, columns);
+      assert.ok(lines.every((line) => line.text.length <= columns), `عرض ${columns}`);
+      const total = lines.find((line) => line.text.endsWith('الإجمالي'));
+      assert.strictEqual(total.text.length, columns);
+      assert.ok(total.text.startsWith('9 000 دج'));
+      assert.ok(total.bold);
+    }
+    assert.ok(receiptLines({ ...receipt, change: 200, remaining: 0 }, 48).some((line) => line.text.endsWith('الباقي للزبون')));
+  }],
+
+  ['ترميز Windows-1256 للعربية وما لا يُرمز يصبح ؟', () => {
+    assert.deepStrictEqual([...encodeCp1256('باب 1')], [0xc8, 0xc7, 0xc8, 0x20, 0x31]);
+    assert.deepStrictEqual([...encodeCp1256('€✓')], [0x80, 0x3f]);
+  }],
+
+  ['أوامر ESC/POS: تهيئة وجدول الأحرف ثم القص', () => {
+    const data = receiptEscPos(receipt, { paperWidth: 58, codepage: 28 });
+    assert.deepStrictEqual([...data.subarray(0, 5)], [0x1b, 0x40, 0x1b, 0x74, 28]);
+    assert.deepStrictEqual([...data.subarray(-4)], [0x1d, 0x56, 0x41, 0x03]);
+    assert.ok(data.includes(encodeCp1256('INV-1')));
+    assert.ok(data.includes(Buffer.from([0x1d, 0x21, 0x11])), 'اسم الصالة بخط مضاعف');
+  }],
+
+  ['الطباعة الخام إلى منافذ الطابعات ومشاركاتها فقط', () => {
+    for (const device of ['/dev/usb/lp0', '/dev/lp1', 'LPT1', 'com3', 'COM12:', '\\\\localhost\\POS80', '\\\\192.168.1.5\\Receipt Printer']) {
+      assert.ok(isPrinterPort(device), device);
+    }
+    for (const device of ['', null, '/etc/passwd', '/dev/sda', '/dev/usb/lp0/../../etc/passwd', 'C:\\Windows\\win.ini',
+      'receipt.bin', '\\\\host\\share\\file.txt', '\\\\host\\share\\..\\x', '\\\\host\\..', 'LPT1.txt']) {
+      assert.ok(!isPrinterPort(device), String(device));
+    }
+  }]
+];
+
+runTests('اختبار قوالب الإيصال', tests);
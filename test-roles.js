@@ -0,0 +1,55 @@
+// اختبار صلاحيات الأدوار على المشتركين والزبائن: المدرب يعرض فقط، وأمين الصندوق يسجل ويعدل ولا يحذف،
+// والحذف لمن يملك صلاحية حذف الفواتير
+// التشغيل: node test-roles.js
+
+const assert = require('assert');
+const { runTests, openTestDatabase, loginWindow } = require('./scripts/testing.cjs');
+
+const run = async () => {
+  const database = await openTestDatabase();
+  require('./electron/ipc-handlers.cjs').registerDomainHandlers();
+  const male = await loginWindow('admin_male');
+  const login = async (role) => {
+    await male('users:create', { username: role, password: `${role}123`, full_name: role, role, gym_id: 1, is_active: true });
+    return loginWindow(role, `${role}123`);
+  };
+  const coach = await login('coach');
+  const cashier = await login('cashier');
+
+  const [type] = await male('subscription-types:list', 1);
+  const subscriberPayload = { full_name: 'مشترك', subscription_type_id: type.id, start_date: '2026-01-01', price_paid: 1000 };
+  const customerPayload = { name: 'زبون', phone: '0550000001' };
+  const subscriber = await male('subscribers:create', 1, subscriberPayload);
+  const customer = await male('customers:create', 1, customerPayload);
+  const exists = async (table, id) => Boolean(await database.get(`SELECT id FROM ${table} WHERE id = ?`, [id]));
+
+  return [
+    ['المدرب يعرض المشتركين والزبائن ولا يسجل ولا يعدل ولا يحذف', async () => {
+      assert.strictEqual((await coach('subscribers:list', 1)).length, 1);
+      assert.strictEqual((await coach('customers:list', 1)).length, 1);
+      await assert.rejects(coach('subscribers:create', 1, subscriberPayload), /صلاحية/);
+      await assert.rejects(coach('subscribers:update', subscriber.id, subscriberPayload), /صلاحية/);
+      await assert.rejects(coach('subscribers:remove', subscriber.id), /صلاحية/);
+      await assert.rejects(coach('customers:create', 1, customerPayload), /صلاحية/);
+      await assert.rejects(coach('customers:update', customer.id, customerPayload), /صلاحية/);
+      await assert.rejects(coach('customers:remove', customer.id), /صلاحية/);
+      assert.ok(await exists('subscribers', subscriber.id));
+      assert.ok(await exists('customers', customer.id));
+    }],
+
+    ['أمين الصندوق يسجل ويعدل ولا يحذف', async () => {
+      const created = await cashier('customers:create', 1, { name: 'زبون آخر', phone: '0550000002' });
+      await cashier('customers:update', created.id, { name: 'زبون معدل', phone: '0550000002' });
+      await assert.rejects(cashier('customers:remove', created.id), /صلاحية/);
+      await assert.rejects(cashier('subscribers:remove', subscriber.id), /صلاحية/);
+      assert.ok(await exists('customers', created.id));
+    }],
+
+    ['المالك يحذف الزبون', async () => {
+      await male('customers:remove', customer.id);
+      assert.strictEqual(await exists('customers', customer.id), false);
+    }]
+  ];
+};
+
+runTests('اختبار صلاحيات المشتركين والزبائن', run);
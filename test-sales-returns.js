@@ -0,0 +1,101 @@
+// اختبار مرتجعات المبيعات عبر قنوات IPC: عودة الكميات للمخزون، رفض إرجاع أكثر مما بيع،
+// وعكس الربح بتكلفة وقت البيع ونسبة خصم الفاتورة، وإرجاع الفاتورة كلها لمن يلغي الفواتير فقط
+// التشغيل: node test-sales-returns.js
+
+const assert = require('assert');
+const { runTests, openTestDatabase, loginWindow } = require('./scripts/testing.cjs');
+
+const run = async () => {
+  const database = await openTestDatabase();
+  require('./electron/ipc-handlers.cjs').registerDomainHandlers();
+  const male = await loginWindow('admin_male');
+  await male('users:create', { username: 'cashier', password: 'cashier123', full_name: 'أمين الصندوق', role: 'cashier', gym_id: 1, is_active: true });
+  const cashier = await loginWindow('cashier', 'cashier123');
+
+  const createProduct = async (name, purchasePrice, salePrice, quantity) => {
+    const { id } = await male('products:create', 1, { name, purchase_price: purchasePrice, sale_price: salePrice, quantity });
+    return { id, sale_price: salePrice };
+  };
+  const sell = async (product, quantity, discount = 0) => {
+    const invoice = await male('sales:create-invoice', 1, {
+      items: [{ product_id: product.id, quantity, unit_price: product.sale_price }],
+      discount
+    });
+    const [item] = await male('sales:get-invoice-items', invoice.id);
+    return { invoice, item };
+  };
+  const stock = async (productId) => (
+    await database.get('SELECT male_gym_quantity as quantity FROM products WHERE id = ?', [productId])
+  ).quantity;
+
+  return [
+    ['المرتجع يعيد الكمية إلى مخزون الفرع البائع بحركة إرجاع', async () => {
+      const product = await createProduct('مياه', 2, 5, 10);
+      const { invoice, item } = await sell(product, 5);
+      assert.strictEqual(await stock(product.id), 5);
+
+      const salesReturn = await male('sales:create-return', 1, invoice.id, { items: [{ invoice_item_id: item.id, quantity: 2 }] });
+      assert.strictEqual(await stock(product.id), 7);
+      const movement = await database.get(
+        "SELECT quantity FROM stock_movements WHERE movement_type = 'return' AND source_id = ?",
+        [salesReturn.id]
+      );
+      assert.strictEqual(movement.quantity, 2);
+    }],
+
+    ['لا يُرجع أكثر مما بيع أو مما بقي بعد مرتجع سابق', async () => {
+      const product = await createProduct('عصير', 3, 6, 10);
+      const { invoice, item } = await sell(product, 3);
+      await assert.rejects(
+        male('sales:create-return', 1, invoice.id, { items: [{ invoice_item_id: item.id, quantity: 4 }] }),
+        /أكبر من الكمية المتبقية في الفاتورة \(3\)/
+      );
+      // نفس العنصر مكرراً في الطلب تُجمع كمياته
+      await assert.rejects(
+        male('sales:create-return', 1, invoice.id, { items: [{ invoice_item_id: item.id, quantity: 2 }, { invoice_item_id: item.id, quantity: 2 }] }),
+        /أكبر من الكمية المتبقية/
+      );
+      await male('sales:create-return', 1, invoice.id, { items: [{ invoice_item_id: item.id, quantity: 2 }] });
+      await assert.rejects(
+        male('sales:create-return', 1, invoice.id, { items: [{ invoice_item_id: item.id, quantity: 2 }] }),
+        /الكمية المتبقية في الفاتورة \(1\)/
+      );
+      assert.strictEqual(await stock(product.id), 9);
+    }],
+
+    ['ربح المرتجع من فاتورة مخصومة بتكلفة وقت البيع ولو تغير سعر الشراء', async () => {
+      const product = await createProduct('بروتين', 4, 10, 10);
+      // المجموع 40 والخصم 8: كل وحدة تُباع بـ 8، والربح (8 - 4) × 4 = 16
+      const { invoice, item } = await sell(product, 4, 8);
+      assert.strictEqual(invoice.profit, 16);
+      assert.strictEqual(item.unit_cost, 4);
+
+      await male('products:update', 1, product.id, { name: 'بروتين', purchase_price: 9, sale_price: 10, quantity: 6 });
+      const first = await male('sales:create-return', 1, invoice.id, { items: [{ invoice_item_id: item.id, quantity: 1 }] });
+      assert.strictEqual(first.amount, 8);
+      assert.strictEqual(first.profit, 4);
+
+      // المرتجع الذي يُنهي الفاتورة يأخذ ما بقي من ربحها
+      const last = await male('sales:create-return', 1, invoice.id, { items: [{ invoice_item_id: item.id, quantity: 3 }] });
+      assert.strictEqual(last.amount, 24);
+      assert.strictEqual(last.profit, 12);
+      const row = await database.get('SELECT status, returned_amount FROM invoices WHERE id = ?', [invoice.id]);
+      assert.deepStrictEqual({ ...row }, { status: 'returned', returned_amount: 32 });
+    }],
+
+    ['أمين الصندوق يُرجع جزءاً من الفاتورة ولا يُرجع كل ما بقي منها', async () => {
+      const product = await createProduct('قفازات', 5, 12, 10);
+      const { invoice, item } = await sell(product, 3);
+      await cashier('sales:create-return', 1, invoice.id, { items: [{ invoice_item_id: item.id, quantity: 1 }] });
+      await assert.rejects(
+        cashier('sales:create-return', 1, invoice.id, { items: [{ invoice_item_id: item.id, quantity: 2 }] }),
+        /صلاحية إلغاء الفواتير/
+      );
+      const row = await database.get('SELECT status FROM invoices WHERE id = ?', [invoice.id]);
+      assert.strictEqual(row.status, 'partially_returned');
+      assert.strictEqual(await stock(product.id), 8);
+    }]
+  ];
+};
+
+runTests('اختبار مرتجعات المبيعات', run);
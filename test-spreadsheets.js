@@ -0,0 +1,130 @@
+// اختبار ملفات CSV و Excel: بقاء النص العربي والأصفار الأولى عند التصدير ثم الاستيراد
+// التشغيل: node test-spreadsheets.js
+
+const assert = require('assert');
+const zlib = require('zlib');
+const { toCsv, parseCsv } = require('./electron/csv.cjs');
+const { toXlsx, parseXlsx } = require('./electron/xlsx.cjs');
+const { runTests } = require('./scripts/testing.cjs');
+
+const columns = [
+  { key: 'name', label: 'الاسم' },
+  { key: 'phone', label: 'رقم الهاتف' },
+  { key: 'price', label: 'السعر' },
+  { key: 'notes', label: 'ملاحظات' }
+];
+const rows = [
+  { name: 'محمد "الأمين"، سطيف', phone: '0555123456', price: 1200.5, notes: 'سطر أول\nسطر ثانٍ' },
+  { name: 'Café <&>', phone: '+213770000000', price: 0, notes: '=SUM(A1:A2)' },
+  { name: 'بدون هاتف', phone: null, price: 30, notes: '' }
+];
+const expected = [
+  ['الاسم', 'رقم الهاتف', 'السعر', 'ملاحظات'],
+  ['محمد "الأمين"، سطيف', '0555123456', '1200.5', 'سطر أول\nسطر ثانٍ'],
+  ['Café <&>', '+213770000000', '0', '=SUM(A1:A2)'],
+  ['بدون هاتف', '', '30', '']
+];
+
+// ورقة Excel كما يحفظها Excel نفسه: نصوص مشتركة (sharedStrings) وخلايا غير متتالية
+const excelStyleWorkbook = () => {
+  const files = {
+    'xl/workbook.xml': '<workbook><sheets><sheet name="ورقة" sheetId="1" r:id="rId7"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId7" Type="worksheet" Target="worksheets/data.xml"/></Relationships>',
+    'xl/sharedStrings.xml': '<sst><si><t>الاسم</t></si><si><r><t>أحمد </t></r><r><t xml:space="preserve">بن علي</t></r></si></sst>',
+    'xl/worksheets/data.xml': '<worksheet><sheetData>'
+      + '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="str"><v>المبلغ &amp; الخصم</v></c></row>'
+      + '<row r="2"/>'
+      + '<row r="3"><c r="A3" t="s"><v>1</v></c><c r="C3"><v>46027</v></c></row>'
+      + '</sheetData></worksheet>'
+  };
+  // أرشيف ZIP بسيط بدون ضغط (method 0) لاختبار هذا النوع أيضاً
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name);
+    const data = Buffer.from(text);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += 30 + nameBuffer.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(centrals.length / 2, 8);
+  end.writeUInt16LE(centrals.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+};
+
+const tests = [
+  ['CSV: تصدير ثم استيراد بنفس القيم', () => {
+    const csv = toCsv(columns, rows);
+    assert.ok(csv.startsWith('﻿'), 'علامة BOM لقراءة UTF-8 في Excel');
+    assert.ok(csv.includes("'=SUM"), 'الصيغ تُحمى عند التصدير');
+    assert.deepStrictEqual(parseCsv(Buffer.from(csv, 'utf8')), expected);
+  }],
+
+  ['CSV: فاصلة منقوطة وترميز Windows-1256 كما يحفظها Excel العربي', () => {
+    // «الاسم;السعر» ثم «علي;1200» بترميز Windows-1256
+    const windows1256 = Buffer.from([
+      0xc7, 0xe1, 0xc7, 0xd3, 0xe3, 0x3b, 0xc7, 0xe1, 0xd3, 0xda, 0xd1, 0x0d, 0x0a,
+      0xda, 0xe1, 0xed, 0x3b, 0x31, 0x32, 0x30, 0x30, 0x0d, 0x0a
+    ]);
+    assert.deepStrictEqual(parseCsv(windows1256), [['الاسم', 'السعر'], ['علي', '1200']]);
+  }],
+
+  ['CSV: تجاهل الأسطر الفارغة ودعم الخلايا الفارغة', () => {
+    assert.deepStrictEqual(parseCsv(Buffer.from('a,b,c\n\n1,,3\r\n,,\n"x",y,\n')), [['a', 'b', 'c'], ['1', '', '3'], ['x', 'y', '']]);
+  }],
+
+  ['Excel: تصدير ثم استيراد بنفس القيم', () => {
+    const workbook = toXlsx(columns, rows, { sheetName: 'المشتركين' });
+    assert.strictEqual(workbook.readUInt32LE(0), 0x04034b50, 'ملف ZIP');
+    assert.deepStrictEqual(parseXlsx(workbook), expected);
+  }],
+
+  ['Excel: الورقة من اليمين لليسار والأرقام كأرقام والنصوص كنصوص', () => {
+    const workbook = toXlsx(columns, rows, { sheetName: 'قائمة/الأسعار: 2026' });
+    // البحث في محتوى الأرشيف بعد فك الضغط
+    const texts = [];
+    let pointer = 0;
+    while (workbook.readUInt32LE(pointer) === 0x04034b50) {
+      const size = workbook.readUInt32LE(pointer + 18);
+      const nameLength = workbook.readUInt16LE(pointer + 26);
+      const start = pointer + 30 + nameLength;
+      texts.push(zlib.inflateRawSync(workbook.subarray(start, start + size)).toString('utf8'));
+      pointer = start + size;
+    }
+    const xml = texts.join('\n');
+    assert.ok(xml.includes('rightToLeft="1"'));
+    assert.ok(xml.includes('<c r="C2"><v>1200.5</v></c>'), 'السعر رقم');
+    assert.ok(xml.includes('<c r="B2" t="inlineStr"><is><t xml:space="preserve">0555123456</t>'), 'الهاتف نص بصفره الأول');
+    assert.ok(xml.includes('name="قائمة الأسعار  2026"'), 'اسم الورقة بدون رموز ممنوعة');
+  }],
+
+  ['Excel: قراءة ملف بنصوص مشتركة وخلايا متفرقة وبدون ضغط', () => {
+    assert.deepStrictEqual(parseXlsx(excelStyleWorkbook()), [
+      ['الاسم', '', 'المبلغ & الخصم'],
+      ['أحمد بن علي', '', '46027']
+    ]);
+  }],
+
+  ['Excel: رفض ملف ليس xlsx', () => {
+    assert.throws(() => parseXlsx(Buffer.from('not a zip file')), /ليس ملف Excel/);
+  }]
+];
+
+runTests('اختبار ملفات CSV و Excel', tests);
@@ -0,0 +1,55 @@
+// اختبار تحويل المخزون بين الفرعين عبر قنوات IPC: الفرع المرسل لا يعتمد تحويله ولا يرفضه،
+// والفرع المستلم وحده يعتمده فتنتقل الكميات، والمنتج الذي له تحويل لا يُحذف
+// التشغيل: node test-stock-transfers.js
+
+const assert = require('assert');
+const { runTests, openTestDatabase, loginWindow } = require('./scripts/testing.cjs');
+
+const run = async () => {
+  const database = await openTestDatabase();
+  require('./electron/ipc-handlers.cjs').registerDomainHandlers();
+  const male = await loginWindow('admin_male');
+  const female = await loginWindow('admin_female');
+
+  const product = await male('products:create', 1, { name: 'مياه', purchase_price: 2, sale_price: 5, quantity: 10 });
+  const quantities = () => database.get(
+    'SELECT male_gym_quantity as male, female_gym_quantity as female FROM products WHERE id = ?',
+    [product.id]
+  );
+  const transfer = await male('stock-transfers:create', 1, { to_gym_id: 2, items: [{ product_id: product.id, quantity: 4 }] });
+
+  return [
+    ['الفرع المرسل لا يعتمد تحويله بإرسال رقم الفرع المستلم', async () => {
+      await assert.rejects(male('stock-transfers:approve', 2, transfer.id), /فرع آخر/);
+      await assert.rejects(male('stock-transfers:reject', 2, transfer.id, 'تجربة'), /فرع آخر/);
+      await assert.rejects(male('stock-transfers:approve', 1, transfer.id), /الفرع المستلم فقط/);
+      await assert.rejects(male('stock-transfers:approve', undefined, transfer.id), /الفرع المستلم فقط/);
+      assert.deepStrictEqual({ ...(await quantities()) }, { male: 10, female: 0 });
+    }],
+
+    ['الفرع المستلم لا يرسل تحويلاً باسم الفرع الآخر', async () => {
+      await assert.rejects(
+        female('stock-transfers:create', 1, { to_gym_id: 2, items: [{ product_id: product.id, quantity: 1 }] }),
+        /فرع آخر/
+      );
+    }],
+
+    ['الفرع المستلم يعتمد التحويل فتنتقل الكميات', async () => {
+      await female('stock-transfers:approve', 2, transfer.id);
+      assert.deepStrictEqual({ ...(await quantities()) }, { male: 6, female: 4 });
+      const row = await database.get('SELECT status FROM stock_transfers WHERE id = ?', [transfer.id]);
+      assert.strictEqual(row.status, 'approved');
+    }],
+
+    ['المنتج الذي له تحويل لا يُحذف ولا تُحذف حركاته', async () => {
+      const other = await male('products:create', 1, { name: 'عصير', purchase_price: 3, sale_price: 6, quantity: 5 });
+      await male('stock-transfers:create', 1, { to_gym_id: 2, items: [{ product_id: other.id, quantity: 2 }] });
+      await assert.rejects(male('products:remove', other.id), /تحويلات مخزون/);
+      await assert.rejects(male('products:remove', product.id), /تحويلات مخزون/);
+      const movements = await database.get('SELECT COUNT(*) as count FROM stock_movements WHERE product_id = ?', [product.id]);
+      assert.strictEqual(movements.count, 3);
+    }]
+  ];
+};
+
+runTests('اختبار تحويل المخزون بين الفرعين', run);
@@ -0,0 +1,71 @@
+// اختبار تجديد الاشتراك عبر قنوات IPC: دفعة التجديد تُسجل بمبلغها وطريقتها، ودفعات الفترات السابقة
+// لا تتغير عند تعديل المشترك بعد التجديد ولا تُحذف معه
+// التشغيل: node test-subscribers.js
+
+const assert = require('assert');
+const { runTests, openTestDatabase, loginWindow } = require('./scripts/testing.cjs');
+
+const run = async () => {
+  const database = await openTestDatabase();
+  require('./electron/ipc-handlers.cjs').registerDomainHandlers();
+  const male = await loginWindow('admin_male');
+
+  const type = await male('subscription-types:create', 1, { name: 'شهري', type: 'monthly', duration_months: 1, price: 2500, is_active: true });
+  const subscriber = await male('subscribers:create', 1, {
+    full_name: 'مشترك تجريبي',
+    subscription_type_id: type.id,
+    start_date: '2026-01-01',
+    price_paid: 2000
+  });
+  // الفترة الأولى سُجلت قبل التجديد
+  await database.run("UPDATE subscribers SET created_at = '2026-01-01 09:00:00' WHERE id = ?", [subscriber.id]);
+  await database.run("UPDATE payments SET created_at = '2026-01-01 09:00:00' WHERE subscriber_id = ?", [subscriber.id]);
+  const payments = () => database.query(
+    'SELECT method, amount, reference, user_id FROM payments WHERE subscriber_id = ? ORDER BY id',
+    [subscriber.id]
+  );
+
+  return [
+    ['التجديد يتطلب مبلغاً صالحاً وطريقة دفع معروفة', async () => {
+      await assert.rejects(male('subscribers:renew', subscriber.id, {}), /المبلغ المدفوع/);
+      await assert.rejects(male('subscribers:renew', subscriber.id, { price_paid: 2500, payment_method: 'bitcoin' }), /طريقة الدفع/);
+      assert.strictEqual((await payments()).length, 1);
+    }],
+
+    ['التجديد يسجل دفعته بجانب دفعة الفترة السابقة', async () => {
+      await male('subscribers:renew', subscriber.id, { price_paid: 2500, payment_method: 'card', payment_reference: 'TX-1' });
+      assert.deepStrictEqual((await payments()).map((payment) => ({ ...payment })), [
+        { method: 'cash', amount: 2000, reference: null, user_id: 1 },
+        { method: 'card', amount: 2500, reference: 'TX-1', user_id: 1 }
+      ]);
+      const [listed] = await male('subscribers:list', 1);
+      assert.strictEqual(listed.price_paid, 2500);
+      assert.strictEqual(listed.payment_method, 'card');
+      assert.strictEqual(listed.start_date, new Date().toISOString().split('T')[0]);
+    }],
+
+    ['تعديل المبلغ بعد التجديد يعيد كتابة دفعة التجديد فقط', async () => {
+      const [listed] = await male('subscribers:list', 1);
+      await male('subscribers:update', subscriber.id, {
+        full_name: listed.full_name,
+        subscription_type_id: type.id,
+        start_date: listed.start_date,
+        price_paid: 2400
+      });
+      assert.deepStrictEqual((await payments()).map(({ method, amount, reference }) => ({ method, amount, reference })), [
+        { method: 'cash', amount: 2000, reference: null },
+        { method: 'card', amount: 2400, reference: 'TX-1' }
+      ]);
+    }],
+
+    ['المشترك الذي له دفعات لا يُحذف ولا تُحذف دفعاته', async () => {
+      await assert.rejects(male('subscribers:remove', subscriber.id), /له دفعات مسجلة/);
+      assert.strictEqual((await payments()).length, 2);
+      const free = await male('subscribers:create', 1, { full_name: 'مشترك مجاني', subscription_type_id: type.id, start_date: '2026-01-01', price_paid: 0 });
+      await male('subscribers:remove', free.id);
+      assert.strictEqual(await database.get('SELECT id FROM subscribers WHERE id = ?', [free.id]), undefined);
+    }]
+  ];
+};
+
+runTests('اختبار تجديد الاشتراك', run);